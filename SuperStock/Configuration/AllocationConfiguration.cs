@@ -0,0 +1,21 @@
+namespace SuperStock.Configuration
+{
+    /// <summary>
+    /// Sector and market-cap allocation of holdings, classified by a local symbol master
+    /// </summary>
+    public class AllocationConfiguration
+    {
+        public const string SectionName = "Allocation";
+
+        /// <summary>
+        /// JSON list of symbols with their sector, industry and market-cap
+        /// bucket (LARGE, MID or SMALL), relative to the content root
+        /// </summary>
+        public string SymbolMasterFile { get; set; } = "Data/symbol-master.json";
+
+        /// <summary>
+        /// Sector weight, in percent of the portfolio, above which a concentration warning is shown
+        /// </summary>
+        public double SectorConcentrationThreshold { get; set; } = 40;
+    }
+}
@@ -0,0 +1,38 @@
+using System.Collections.Generic;
+
+namespace SuperStock.Configuration
+{
+    /// <summary>
+    /// Indices the dashboard can compare returns against. A basket of the
+    /// user's watchlist is always offered alongside them.
+    /// </summary>
+    public class BenchmarkConfiguration
+    {
+        public const string SectionName = "Benchmarks";
+
+        /// <summary>
+        /// Indices on offer; NIFTY 50 and NIFTY Bank when none are configured. (A
+        /// default list here would be appended to, not replaced, by the configuration binder.)
+        /// </summary>
+        public List<BenchmarkIndex> Indices { get; set; } = new List<BenchmarkIndex>();
+
+        public string DefaultBenchmark { get; set; } = "NIFTY50";
+
+        /// <summary>
+        /// How long daily closes are cached
+        /// </summary>
+        public int CacheMinutes { get; set; } = 60;
+    }
+
+    public class BenchmarkIndex
+    {
+        public string Id { get; set; }
+
+        public string Name { get; set; }
+
+        /// <summary>
+        /// Yahoo symbol of the index
+        /// </summary>
+        public string Symbol { get; set; }
+    }
+}
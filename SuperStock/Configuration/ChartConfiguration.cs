@@ -0,0 +1,26 @@
+namespace SuperStock.Configuration
+{
+    /// <summary>
+    /// Historical candles for the stock chart (api/chart)
+    /// </summary>
+    public class ChartConfiguration
+    {
+        public const string SectionName = "Chart";
+
+        /// <summary>
+        /// How long 5-minute and hourly candles are cached
+        /// </summary>
+        public int IntradayCacheSeconds { get; set; } = 60;
+
+        /// <summary>
+        /// How long daily and weekly candles are cached
+        /// </summary>
+        public int DailyCacheMinutes { get; set; } = 30;
+
+        /// <summary>
+        /// While the market is open, intraday candles lagging by more than this
+        /// are reported as delayed
+        /// </summary>
+        public int DelayToleranceMinutes { get; set; } = 5;
+    }
+}
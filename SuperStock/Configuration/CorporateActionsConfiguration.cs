@@ -0,0 +1,24 @@
+namespace SuperStock.Configuration
+{
+    /// <summary>
+    /// Corporate actions (splits, bonuses and dividends). The calendar is seeded
+    /// from SeedFile at startup and due actions are applied to holdings on their ex-date.
+    /// </summary>
+    public class CorporateActionsConfiguration
+    {
+        public const string SectionName = "CorporateActions";
+
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>
+        /// JSON calendar loaded at startup, relative to the content root. Actions
+        /// already in the calendar are left as they are.
+        /// </summary>
+        public string SeedFile { get; set; } = "Data/corporate-actions.json";
+
+        /// <summary>
+        /// How often the job looks for actions that have gone ex
+        /// </summary>
+        public int CheckIntervalSeconds { get; set; } = 900;
+    }
+}
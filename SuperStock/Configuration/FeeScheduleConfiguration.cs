@@ -0,0 +1,61 @@
+namespace SuperStock.Configuration
+{
+    /// <summary>
+    /// Brokerage and statutory charges applied to every equity delivery trade.
+    /// Rates are fractions of turnover (0.001 = 0.1%).
+    /// </summary>
+    public class FeeScheduleConfiguration
+    {
+        public const string SectionName = "FeeSchedule";
+
+        /// <summary>
+        /// "Percent" charges BrokerageRate of turnover capped at BrokerageCap, "Flat" charges BrokerageFlat per order
+        /// </summary>
+        public string BrokerageMode { get; set; } = "Percent";
+
+        /// <summary>
+        /// Brokerage as a fraction of turnover when BrokerageMode is Percent
+        /// </summary>
+        public double BrokerageRate { get; set; } = 0.0003;
+
+        /// <summary>
+        /// Brokerage per order when BrokerageMode is Flat
+        /// </summary>
+        public double BrokerageFlat { get; set; } = 20;
+
+        /// <summary>
+        /// Maximum brokerage per order in Percent mode. 0 means no cap.
+        /// </summary>
+        public double BrokerageCap { get; set; } = 20;
+
+        /// <summary>
+        /// Securities Transaction Tax on the buy side
+        /// </summary>
+        public double SttBuyRate { get; set; } = 0.001;
+
+        /// <summary>
+        /// Securities Transaction Tax on the sell side
+        /// </summary>
+        public double SttSellRate { get; set; } = 0.001;
+
+        /// <summary>
+        /// NSE exchange transaction charges
+        /// </summary>
+        public double ExchangeChargeRate { get; set; } = 0.0000297;
+
+        /// <summary>
+        /// SEBI turnover fee (Rs 10 per crore)
+        /// </summary>
+        public double SebiFeeRate { get; set; } = 0.000001;
+
+        /// <summary>
+        /// Stamp duty, charged on the buy side only
+        /// </summary>
+        public double StampDutyRate { get; set; } = 0.00015;
+
+        /// <summary>
+        /// GST on brokerage, exchange charges and the SEBI fee
+        /// </summary>
+        public double GstRate { get; set; } = 0.18;
+    }
+}
@@ -0,0 +1,49 @@
+using System.Collections.Generic;
+
+namespace SuperStock.Configuration
+{
+    /// <summary>
+    /// NSE equity session timings and trading holidays. Times are exchange-local (HH:mm).
+    /// </summary>
+    public class MarketHoursConfiguration
+    {
+        public const string SectionName = "MarketHours";
+
+        /// <summary>
+        /// Time zone of the session times (IANA id)
+        /// </summary>
+        public string TimeZoneId { get; set; } = "Asia/Kolkata";
+
+        /// <summary>
+        /// Start of the pre-open call auction
+        /// </summary>
+        public string PreOpenTime { get; set; } = "09:00";
+
+        /// <summary>
+        /// Start of normal trading
+        /// </summary>
+        public string OpenTime { get; set; } = "09:15";
+
+        public string CloseTime { get; set; } = "15:30";
+
+        /// <summary>
+        /// When false orders execute at any time (useful outside India or in development)
+        /// </summary>
+        public bool EnforceTradingHours { get; set; } = true;
+
+        /// <summary>
+        /// Weekday trading holidays; weekends are always closed
+        /// </summary>
+        public List<MarketHoliday> Holidays { get; set; } = new List<MarketHoliday>();
+    }
+
+    public class MarketHoliday
+    {
+        /// <summary>
+        /// yyyy-MM-dd
+        /// </summary>
+        public string Date { get; set; }
+
+        public string Name { get; set; }
+    }
+}
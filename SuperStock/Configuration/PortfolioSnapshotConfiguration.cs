@@ -0,0 +1,23 @@
+namespace SuperStock.Configuration
+{
+    /// <summary>
+    /// Daily portfolio snapshots for the equity curve. Every user's portfolio is
+    /// valued once per trading day, after SnapshotTime on the exchange clock.
+    /// </summary>
+    public class PortfolioSnapshotConfiguration
+    {
+        public const string SectionName = "PortfolioSnapshots";
+
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>
+        /// Exchange-local time (HH:mm) after which the day's closing snapshot is taken
+        /// </summary>
+        public string SnapshotTime { get; set; } = "15:45";
+
+        /// <summary>
+        /// How often the snapshot job checks whether the day's snapshot is due
+        /// </summary>
+        public int CheckIntervalSeconds { get; set; } = 300;
+    }
+}
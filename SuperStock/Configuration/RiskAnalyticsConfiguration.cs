@@ -0,0 +1,29 @@
+namespace SuperStock.Configuration
+{
+    /// <summary>
+    /// Portfolio risk metrics computed from the daily portfolio snapshots
+    /// </summary>
+    public class RiskAnalyticsConfiguration
+    {
+        public const string SectionName = "RiskAnalytics";
+
+        /// <summary>
+        /// Yahoo symbol of the index beta is measured against
+        /// </summary>
+        public string BenchmarkSymbol { get; set; } = "^NSEI";
+
+        public string BenchmarkName { get; set; } = "NIFTY 50";
+
+        /// <summary>
+        /// Annual risk-free rate for Sharpe and Sortino, as a fraction (0.065 = 6.5%)
+        /// </summary>
+        public double RiskFreeRate { get; set; } = 0.065;
+
+        public int TradingDaysPerYear { get; set; } = 252;
+
+        /// <summary>
+        /// Daily returns needed before any metric is reported
+        /// </summary>
+        public int MinReturns { get; set; } = 5;
+    }
+}
@@ -0,0 +1,29 @@
+namespace SuperStock.Configuration
+{
+    /// <summary>
+    /// Intraday short selling. A short blocks MarginRate of its value from funds
+    /// and is bought back automatically at SquareOffTime.
+    /// </summary>
+    public class ShortSellingConfiguration
+    {
+        public const string SectionName = "ShortSelling";
+
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>
+        /// Margin blocked from funds as a fraction of the short value (0.2 = 20%)
+        /// </summary>
+        public double MarginRate { get; set; } = 0.2;
+
+        /// <summary>
+        /// Exchange-local time (HH:mm, on the MarketHours clock) after which no
+        /// new shorts open and open shorts are squared off
+        /// </summary>
+        public string SquareOffTime { get; set; } = "15:20";
+
+        /// <summary>
+        /// How often the square-off job checks the clock
+        /// </summary>
+        public int CheckIntervalSeconds { get; set; } = 60;
+    }
+}
@@ -0,0 +1,30 @@
+namespace SuperStock.Configuration
+{
+    /// <summary>
+    /// Systematic investment plans (SIP). Due plans buy a fixed rupee amount of
+    /// a stock at ExecutionTime on their scheduled trading days.
+    /// </summary>
+    public class SipConfiguration
+    {
+        public const string SectionName = "Sip";
+
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>
+        /// Exchange-local time (HH:mm) at which due plans are executed
+        /// </summary>
+        public string ExecutionTime { get; set; } = "09:30";
+
+        /// <summary>
+        /// Smallest amount a plan may invest per instalment
+        /// </summary>
+        public double MinAmount { get; set; } = 100;
+
+        public int MaxPlansPerUser { get; set; } = 20;
+
+        /// <summary>
+        /// How often the SIP job looks for due plans
+        /// </summary>
+        public int CheckIntervalSeconds { get; set; } = 60;
+    }
+}
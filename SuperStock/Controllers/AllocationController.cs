@@ -0,0 +1,73 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.Security.Claims;
+using System.Threading.Tasks;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class AllocationController : ControllerBase
+    {
+        private readonly AllocationService _allocationService;
+        private readonly ILogger<AllocationController> _logger;
+
+        public AllocationController(AllocationService allocationService, ILogger<AllocationController> logger)
+        {
+            _allocationService = allocationService ?? throw new ArgumentNullException(nameof(allocationService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Gets the sector and market-cap allocation of the user's holdings in one game
+        /// </summary>
+        [HttpGet]
+        public Task<IActionResult> GetAllocation([FromQuery] string gameType = "")
+        {
+            return HandleAsync("GetAllocation", async email =>
+            {
+                var allocation = await _allocationService.GetAllocationAsync(email, gameType ?? string.Empty);
+                return Ok(new AllocationResponse
+                {
+                    Success = true,
+                    Message = $"Allocation of {allocation.Holdings.Count} holdings",
+                    Data = allocation
+                });
+            });
+        }
+
+        private async Task<IActionResult> HandleAsync(string operation, Func<string, Task<IActionResult>> action)
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new AllocationResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                return await action(userEmail);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new AllocationResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+    }
+}
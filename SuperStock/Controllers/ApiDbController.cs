@@ -1,8 +1,11 @@
 ﻿using Microsoft.AspNetCore.Authentication.JwtBearer;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Options;
 using MongoDB.Driver;
 using Newtonsoft.Json;
+using SuperStock.Configuration;
+using SuperStock.Exceptions;
 using SuperStock.Models;
 using SuperStock.Services;
 using System;
@@ -15,15 +18,33 @@ namespace SuperStock.Controllers
     [ApiController]
     public class ApiDbController : Controller
     {
+        /// <summary>
+        /// Orders that fill at a trigger price; they only fill at a price the server has seen
+        /// </summary>
+        private static readonly HashSet<string> TriggeredOrderTypes = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            "LIMIT", "AMO", "STOP_LOSS", "TARGET"
+        };
+
         private IMongoClient _iMongoClient;
         private readonly StockService _stockService;
         private readonly UserService _userService;
+        private readonly FeeCalculator _feeCalculator;
+        private readonly OrderExecutionService _orderExecution;
+        private readonly ShortSellingConfiguration _shortSelling;
+        private readonly MarketSessionService _marketSession;
+        private readonly SymbolMasterService _symbolMaster;
 
-        public ApiDbController(IMongoClient mongoClient, StockService stockService, UserService userService )
+        public ApiDbController(IMongoClient mongoClient, StockService stockService, UserService userService, FeeCalculator feeCalculator, OrderExecutionService orderExecution, IOptions<ShortSellingConfiguration> shortSellingOptions, MarketSessionService marketSession, SymbolMasterService symbolMaster)
         {
             _iMongoClient = mongoClient;
             _stockService = stockService;
             _userService = userService;
+            _feeCalculator = feeCalculator;
+            _orderExecution = orderExecution;
+            _shortSelling = shortSellingOptions.Value;
+            _marketSession = marketSession;
+            _symbolMaster = symbolMaster;
         }
 
         [Route("api/UserStocks")]
@@ -48,24 +69,152 @@ namespace SuperStock.Controllers
         public ActionResult UpdateUserEquityHoldings(OrderModel OrderData)
         {            
             string userEquityString = "";
+            FeeBreakdown fees = null;
+            if (OrderData.Quantity == 0)
+            {
+                return BadRequest(new OrderRejectionResponse
+                {
+                    Success = false,
+                    Message = "Quantity must be at least 1",
+                    ErrorCode = "INVALID_QUANTITY"
+                });
+            }
+            if (!_marketSession.IsOrderExecutionAllowed())
+            {
+                // 409 like an unreached limit: queued orders wait for the next open
+                var session = _marketSession.GetStatus();
+                return Conflict(new OrderRejectionResponse
+                {
+                    Success = false,
+                    Message = $"{session.Message}. Place an after-market order to execute at the open",
+                    ErrorCode = "MARKET_CLOSED"
+                });
+            }
             if (HttpContext.User.Identity is ClaimsIdentity identity)
             {
                 var email = identity.FindFirst(ClaimTypes.Email)?.Value;
                 var gameType = OrderData.GameType;
+                var idempotencyKey = GetIdempotencyKey(OrderData);
+                var intraday = string.Equals(OrderData.ProductType, "INTRADAY", StringComparison.OrdinalIgnoreCase);
+                if (intraday && OrderData.Quantity < 0 && !_marketSession.IsShortSellingAllowed())
+                {
+                    // Final rather than 409: the window doesn't reopen until tomorrow
+                    return UnprocessableEntity(new OrderRejectionResponse
+                    {
+                        Success = false,
+                        Message = $"Intraday shorts can't be opened after the {_marketSession.SquareOffTime:hh\\:mm} IST square-off",
+                        ErrorCode = "SHORT_WINDOW_CLOSED"
+                    });
+                }
+                // Fetched before claiming: if the price provider fails, the key is still free for the retry
                 var stockName = OrderData.Stock.Contains(".NS") ? OrderData.Stock : OrderData.Stock + ".NS";
                 List<StockPriceModel> liveStatus =_stockService.GetStockPrice(stockName).GetAwaiter().GetResult();
-                var price = liveStatus.FirstOrDefault()?.Price.ToString();
-                if (price == null)
+                var original = _orderExecution.Claim(email, idempotencyKey);
+                if (original != null)
+                {
+                    return Conflict(new DuplicateOrderResponse
+                    {
+                        Success = false,
+                        Message = original.Status == OrderIdempotencyService.Filled
+                            ? "This order has already been executed"
+                            : "This order is already being processed",
+                        ErrorCode = "DUPLICATE_ORDER",
+                        OrderStatus = original.Status,
+                        Holdings = original.Holdings,
+                        Fees = original.Fees
+                    });
+                }
+                double marketPrice;
+                try
+                {
+                    var price = liveStatus.FirstOrDefault()?.Price.ToString();
+                    if (price == null)
+                    {
+                        // The client's price can't satisfy its own limit: wait for a live quote
+                        if (OrderData.LimitPrice.HasValue || TriggeredOrderTypes.Contains(OrderData.OrderType ?? string.Empty))
+                        {
+                            _orderExecution.Release(email, idempotencyKey);
+                            return Conflict(new OrderRejectionResponse
+                            {
+                                Success = false,
+                                Message = $"No live price is available for {OrderData.Stock} yet",
+                                ErrorCode = "PRICE_UNAVAILABLE"
+                            });
+                        }
+                        price = OrderData.Price;
+                    }
+                    marketPrice = Convert.ToDouble(price);
+                }
+                catch (Exception)
                 {
-                    price = OrderData.Price;
+                    // Nothing has executed yet: free the key so the retry isn't reported as a duplicate
+                    _orderExecution.Release(email, idempotencyKey);
+                    throw;
+                }
+                if (OrderData.LimitPrice.HasValue && !IsLimitReached(marketPrice, OrderData.LimitPrice.Value, OrderData.Quantity > 0))
+                {
+                    _orderExecution.Release(email, idempotencyKey);
+                    return Conflict(new OrderRejectionResponse
+                    {
+                        Success = false,
+                        Message = $"Limit price {OrderData.LimitPrice.Value:0.00} not reached. Market price is {marketPrice:0.00}",
+                        ErrorCode = "LIMIT_NOT_REACHED"
+                    });
+                }
+                var execution = _orderExecution.Execute(new OrderExecutionRequest
+                {
+                    Email = email,
+                    GameType = gameType,
+                    Symbol = OrderData.Stock,
+                    Quantity = OrderData.Quantity,
+                    Price = marketPrice,
+                    OrderType = string.IsNullOrEmpty(OrderData.OrderType) ? "MARKET" : OrderData.OrderType.ToUpperInvariant(),
+                    Intraday = intraday,
+                    IdempotencyKey = idempotencyKey
+                });
+                userEquityString = execution.Holdings;
+                fees = execution.Fees;
+                if (execution.Rejection is OrderRejectedException ex)
+                {
+                    return UnprocessableEntity(new OrderRejectionResponse
+                    {
+                        Success = false,
+                        Message = ex.Message,
+                        ErrorCode = ex.ErrorCode,
+                        AvailableFunds = ex.AvailableFunds,
+                        RequiredAmount = ex.RequiredAmount,
+                        HeldQuantity = ex.HeldQuantity,
+                        MaxQuantity = ex.AvailableFunds.HasValue
+                            ? (intraday && OrderData.Quantity < 0
+                                ? _feeCalculator.MaxAffordableQuantity(ex.AvailableFunds.Value, marketPrice, _shortSelling.MarginRate, false)
+                                : _feeCalculator.MaxAffordableQuantity(ex.AvailableFunds.Value, marketPrice))
+                            : ex.HeldQuantity
+                    });
                 }
-                userEquityString = _stockService.UpdateUserEquityByEmail(email, OrderData.Stock, Convert.ToDouble(price),Convert.ToInt32(OrderData.Quantity),gameType);
             }
 
-            var result = this.Json(userEquityString);
+            var result = this.Json(new { Holdings = userEquityString, Fees = fees });
             return Json( JsonConvert.SerializeObject(result));
         }
 
+        /// <summary>
+        /// Idempotency key from the Idempotency-Key header, else from the order body
+        /// </summary>
+        private string GetIdempotencyKey(OrderModel orderData)
+        {
+            var key = Request.Headers["Idempotency-Key"].FirstOrDefault();
+            if (string.IsNullOrWhiteSpace(key))
+            {
+                key = orderData.IdempotencyKey;
+            }
+            return string.IsNullOrWhiteSpace(key) ? null : key.Trim();
+        }
+
+        private static bool IsLimitReached(double marketPrice, double limitPrice, bool isBuy)
+        {
+            return isBuy ? marketPrice <= limitPrice : marketPrice >= limitPrice;
+        }
+
         [Route("api/AllStocks")]
         [Produces("application/json")]
         [Authorize(AuthenticationSchemes = JwtBearerDefaults.AuthenticationScheme)]        
@@ -76,7 +225,8 @@ namespace SuperStock.Controllers
             if (HttpContext.User.Identity is ClaimsIdentity identity)
             {
                 var email = identity.FindFirst(ClaimTypes.Email)?.Value;
-                AllEquity = _stockService.GetAllAvailableStocks(item).GetAwaiter().GetResult();
+                AllEquity = _stockService.GetAllAvailableStocks(item).GetAwaiter().GetResult()
+                    .Select(_symbolMaster.Enrich).ToList();
             }
             var result = this.Json(AllEquity);
             return JsonConvert.SerializeObject(result);
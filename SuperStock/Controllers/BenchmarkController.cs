@@ -0,0 +1,102 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.Security.Claims;
+using System.Threading.Tasks;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class BenchmarkController : ControllerBase
+    {
+        private readonly BenchmarkService _benchmarkService;
+        private readonly ILogger<BenchmarkController> _logger;
+
+        public BenchmarkController(BenchmarkService benchmarkService, ILogger<BenchmarkController> logger)
+        {
+            _benchmarkService = benchmarkService ?? throw new ArgumentNullException(nameof(benchmarkService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Gets the benchmarks the user can compare against and the default one
+        /// </summary>
+        [HttpGet]
+        public Task<IActionResult> GetBenchmarks()
+        {
+            return HandleAsync("GetBenchmarks", email =>
+            {
+                var options = _benchmarkService.GetOptions();
+                return Task.FromResult<IActionResult>(Ok(new BenchmarkResponse
+                {
+                    Success = true,
+                    Message = $"{options.Count} benchmarks available",
+                    Data = new { Options = options, Default = _benchmarkService.DefaultBenchmark }
+                }));
+            });
+        }
+
+        /// <summary>
+        /// Gets a benchmark's daily closes from a date on (a year back by default).
+        /// The watchlist basket is built from the watchlist of the given game.
+        /// </summary>
+        [HttpGet("series")]
+        public Task<IActionResult> GetSeries([FromQuery] string benchmark, [FromQuery] string gameType = "", [FromQuery] DateTime? from = null)
+        {
+            return HandleAsync("GetSeries", async email =>
+            {
+                var series = await _benchmarkService.GetSeriesAsync(benchmark, email, gameType ?? string.Empty, from ?? DateTime.UtcNow.Date.AddYears(-1));
+                if (series == null)
+                {
+                    return BadRequest(new BenchmarkResponse
+                    {
+                        Success = false,
+                        Message = $"Unknown benchmark '{benchmark}'",
+                        ErrorCode = "UNKNOWN_BENCHMARK"
+                    });
+                }
+
+                return Ok(new BenchmarkResponse
+                {
+                    Success = true,
+                    Message = $"Retrieved {series.Points.Count} closes of {series.Name}",
+                    Data = series
+                });
+            });
+        }
+
+        private async Task<IActionResult> HandleAsync(string operation, Func<string, Task<IActionResult>> action)
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new BenchmarkResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                return await action(userEmail);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new BenchmarkResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+    }
+}
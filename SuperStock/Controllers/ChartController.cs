@@ -0,0 +1,117 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Exceptions;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.Security.Claims;
+using System.Text.RegularExpressions;
+using System.Threading.Tasks;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class ChartController : ControllerBase
+    {
+        private static readonly Regex SymbolPattern = new Regex(@"^[A-Za-z0-9&\^\.\-]{1,20}$", RegexOptions.Compiled);
+
+        private readonly ChartDataService _chartDataService;
+        private readonly ILogger<ChartController> _logger;
+
+        public ChartController(ChartDataService chartDataService, ILogger<ChartController> logger)
+        {
+            _chartDataService = chartDataService ?? throw new ArgumentNullException(nameof(chartDataService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Gets the OHLC candles of a symbol for a chart timeframe (1D, 1W, 1M, 3M, 1Y or 5Y)
+        /// </summary>
+        [HttpGet("{symbol}")]
+        public Task<IActionResult> GetChart(string symbol, [FromQuery] string timeframe = "1W")
+        {
+            return HandleAsync("GetChart", async email =>
+            {
+                if (string.IsNullOrWhiteSpace(symbol) || !SymbolPattern.IsMatch(symbol.Trim()))
+                {
+                    return BadRequest(new ChartResponse
+                    {
+                        Success = false,
+                        Message = $"Invalid symbol '{symbol}'",
+                        ErrorCode = "INVALID_SYMBOL"
+                    });
+                }
+
+                var series = await _chartDataService.GetSeriesAsync(symbol, timeframe);
+                if (series == null)
+                {
+                    return BadRequest(new ChartResponse
+                    {
+                        Success = false,
+                        Message = $"Unknown timeframe '{timeframe}'; use one of {string.Join(", ", ChartDataService.SupportedTimeframes)}",
+                        ErrorCode = "INVALID_TIMEFRAME"
+                    });
+                }
+
+                if (series.Candles.Count == 0)
+                {
+                    return NotFound(new ChartResponse
+                    {
+                        Success = false,
+                        Message = $"No {series.Timeframe} price history is available for {series.Symbol}",
+                        ErrorCode = "NO_CHART_DATA"
+                    });
+                }
+
+                return Ok(new ChartResponse
+                {
+                    Success = true,
+                    Message = $"Retrieved {series.Candles.Count} {series.Interval} candles of {series.Symbol} from {series.Source}",
+                    Data = series
+                });
+            });
+        }
+
+        private async Task<IActionResult> HandleAsync(string operation, Func<string, Task<IActionResult>> action)
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new ChartResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                return await action(userEmail);
+            }
+            catch (StockDataException ex)
+            {
+                _logger.LogWarning(ex, "Price history unavailable in {Operation}", operation);
+                return StatusCode(503, new ChartResponse
+                {
+                    Success = false,
+                    Message = "Price history is temporarily unavailable. Please try again shortly.",
+                    ErrorCode = "PROVIDER_UNAVAILABLE"
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new ChartResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+    }
+}
@@ -0,0 +1,95 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Exceptions;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.Security.Claims;
+using System.Threading.Tasks;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class ChartDrawingsController : ControllerBase
+    {
+        private readonly ChartDrawingService _drawingService;
+        private readonly ILogger<ChartDrawingsController> _logger;
+
+        public ChartDrawingsController(ChartDrawingService drawingService, ILogger<ChartDrawingsController> logger)
+        {
+            _drawingService = drawingService ?? throw new ArgumentNullException(nameof(drawingService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Gets the user's drawings on a symbol's chart
+        /// </summary>
+        [HttpGet("{symbol}")]
+        public Task<IActionResult> GetDrawings(string symbol)
+        {
+            return HandleAsync("GetDrawings", async email =>
+            {
+                var set = await _drawingService.GetDrawingsAsync(email, symbol);
+                return Ok(new ChartDrawingResponse { Success = true, Message = $"Retrieved {set.Drawings.Count} drawings", Data = set });
+            });
+        }
+
+        /// <summary>
+        /// Saves the user's drawings on a symbol's chart. Returns the stored
+        /// drawings, which are the server's own if they were changed later.
+        /// </summary>
+        [HttpPut("{symbol}")]
+        public Task<IActionResult> SaveDrawings(string symbol, [FromBody] ChartDrawingsRequest request)
+        {
+            return HandleAsync("SaveDrawings", async email =>
+            {
+                var set = await _drawingService.SaveDrawingsAsync(email, symbol, request);
+                return Ok(new ChartDrawingResponse { Success = true, Message = $"Saved {set.Drawings.Count} drawings", Data = set });
+            });
+        }
+
+        /// <summary>
+        /// Resolves the user and maps drawing exceptions to responses
+        /// </summary>
+        private async Task<IActionResult> HandleAsync(string operation, Func<string, Task<IActionResult>> action)
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new ChartDrawingResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                return await action(userEmail);
+            }
+            catch (InvalidChartDrawingException ex)
+            {
+                return BadRequest(new ChartDrawingResponse { Success = false, Message = ex.Message, ErrorCode = ex.ErrorCode });
+            }
+            catch (ChartDrawingException ex)
+            {
+                _logger.LogError(ex, "Chart drawing error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new ChartDrawingResponse { Success = false, Message = ex.Message, ErrorCode = ex.ErrorCode });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new ChartDrawingResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+    }
+}
@@ -0,0 +1,81 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.Security.Claims;
+using System.Threading.Tasks;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class CorporateActionsController : ControllerBase
+    {
+        private readonly CorporateActionService _corporateActionService;
+        private readonly ILogger<CorporateActionsController> _logger;
+
+        public CorporateActionsController(CorporateActionService corporateActionService, ILogger<CorporateActionsController> logger)
+        {
+            _corporateActionService = corporateActionService ?? throw new ArgumentNullException(nameof(corporateActionService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Gets the corporate action calendar, optionally for one symbol
+        /// </summary>
+        [HttpGet]
+        public Task<IActionResult> GetCalendar([FromQuery] string symbol = null)
+        {
+            return HandleAsync("GetCalendar", async email =>
+            {
+                var actions = await _corporateActionService.GetCalendarAsync(symbol);
+                return Ok(new CorporateActionResponse { Success = true, Message = $"Retrieved {actions.Count} corporate actions", Data = actions });
+            });
+        }
+
+        /// <summary>
+        /// Gets the user's account ledger, of one game when gameType is given ("" for practice)
+        /// </summary>
+        [HttpGet("ledger")]
+        public Task<IActionResult> GetLedger([FromQuery] string gameType = null)
+        {
+            return HandleAsync("GetLedger", async email =>
+            {
+                var entries = await _corporateActionService.GetLedgerAsync(email, gameType);
+                return Ok(new CorporateActionResponse { Success = true, Message = $"Retrieved {entries.Count} ledger entries", Data = entries });
+            });
+        }
+
+        private async Task<IActionResult> HandleAsync(string operation, Func<string, Task<IActionResult>> action)
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new CorporateActionResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                return await action(userEmail);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new CorporateActionResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+    }
+}
@@ -0,0 +1,57 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using SuperStock.Services;
+using System;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class FeesController : ControllerBase
+    {
+        private readonly FeeCalculator _feeCalculator;
+        private readonly ShortSellingConfiguration _shortSelling;
+
+        public FeesController(FeeCalculator feeCalculator, IOptions<ShortSellingConfiguration> shortSellingOptions)
+        {
+            _feeCalculator = feeCalculator ?? throw new ArgumentNullException(nameof(feeCalculator));
+            _shortSelling = shortSellingOptions?.Value ?? throw new ArgumentNullException(nameof(shortSellingOptions));
+        }
+
+        /// <summary>
+        /// Gets the fee schedule so the order preview charges what execution will
+        /// </summary>
+        [HttpGet("schedule")]
+        public IActionResult GetSchedule()
+        {
+            return Ok(_feeCalculator.Schedule);
+        }
+
+        /// <summary>
+        /// Gets the intraday short-selling margin rate and square-off time
+        /// </summary>
+        [HttpGet("margin")]
+        public IActionResult GetMargin()
+        {
+            return Ok(_shortSelling);
+        }
+
+        /// <summary>
+        /// Gets the charges for a single trade
+        /// </summary>
+        [HttpGet("preview")]
+        public IActionResult GetPreview([FromQuery] string side, [FromQuery] int quantity, [FromQuery] double price)
+        {
+            if (quantity <= 0 || price <= 0)
+            {
+                return BadRequest("Quantity and price must be greater than zero");
+            }
+
+            var isBuy = !string.Equals(side, "sell", StringComparison.OrdinalIgnoreCase);
+            return Ok(_feeCalculator.Calculate(isBuy, quantity, price));
+        }
+    }
+}
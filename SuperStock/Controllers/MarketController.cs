@@ -0,0 +1,38 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using SuperStock.Services;
+using System;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class MarketController : ControllerBase
+    {
+        private readonly MarketSessionService _marketSession;
+
+        public MarketController(MarketSessionService marketSession)
+        {
+            _marketSession = marketSession ?? throw new ArgumentNullException(nameof(marketSession));
+        }
+
+        /// <summary>
+        /// Gets the current NSE session (pre-open, open or closed) and the next open
+        /// </summary>
+        [HttpGet("status")]
+        public IActionResult GetStatus()
+        {
+            return Ok(_marketSession.GetStatus());
+        }
+
+        /// <summary>
+        /// Gets session timings and the holiday list so the client can follow the clock
+        /// </summary>
+        [HttpGet("schedule")]
+        public IActionResult GetSchedule()
+        {
+            return Ok(_marketSession.Schedule);
+        }
+    }
+}
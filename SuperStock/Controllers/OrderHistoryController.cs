@@ -0,0 +1,90 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Exceptions;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.Security.Claims;
+using System.Threading.Tasks;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class OrderHistoryController : ControllerBase
+    {
+        private readonly TradeHistoryService _tradeHistoryService;
+        private readonly ILogger<OrderHistoryController> _logger;
+
+        public OrderHistoryController(TradeHistoryService tradeHistoryService, ILogger<OrderHistoryController> logger)
+        {
+            _tradeHistoryService = tradeHistoryService ?? throw new ArgumentNullException(nameof(tradeHistoryService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Gets the user's order history, optionally filtered by symbol, date range and game type
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> GetOrderHistory([FromQuery] TradeHistoryQuery query)
+        {
+            try
+            {
+                var userEmail = GetUserEmailFromClaims();
+                if (string.IsNullOrEmpty(userEmail))
+                {
+                    return Unauthorized(new TradeHistoryResponse
+                    {
+                        Success = false,
+                        Message = "User not authenticated",
+                        ErrorCode = "UNAUTHORIZED"
+                    });
+                }
+
+                var trades = await _tradeHistoryService.GetTradesAsync(userEmail, query ?? new TradeHistoryQuery());
+
+                return Ok(new TradeHistoryResponse
+                {
+                    Success = true,
+                    Message = $"Retrieved {trades.Count} orders",
+                    Data = trades
+                });
+            }
+            catch (InvalidDateRangeException ex)
+            {
+                return BadRequest(new TradeHistoryResponse
+                {
+                    Success = false,
+                    Message = ex.Message,
+                    ErrorCode = ex.ErrorCode
+                });
+            }
+            catch (TradeHistoryException ex)
+            {
+                return StatusCode(500, new TradeHistoryResponse
+                {
+                    Success = false,
+                    Message = ex.Message,
+                    ErrorCode = ex.ErrorCode
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in GetOrderHistory");
+                return StatusCode(500, new TradeHistoryResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+
+        private string GetUserEmailFromClaims()
+        {
+            return User?.FindFirst(ClaimTypes.Email)?.Value;
+        }
+    }
+}
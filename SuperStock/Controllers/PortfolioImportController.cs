@@ -0,0 +1,114 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Exceptions;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.IO;
+using System.Linq;
+using System.Security.Claims;
+using System.Threading.Tasks;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class PortfolioImportController : ControllerBase
+    {
+        private const long MaxFileBytes = 1024 * 1024;
+
+        private readonly PortfolioImportService _importService;
+        private readonly ILogger<PortfolioImportController> _logger;
+
+        public PortfolioImportController(PortfolioImportService importService, ILogger<PortfolioImportController> logger)
+        {
+            _importService = importService ?? throw new ArgumentNullException(nameof(importService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Seeds the practice portfolio from an uploaded broker holdings statement (CSV).
+        /// Rows that fail validation are returned as an error report and nothing is imported.
+        /// An Idempotency-Key header makes a resubmitted import a 409 instead of a second import.
+        /// </summary>
+        [HttpPost]
+        [RequestSizeLimit(MaxFileBytes + 64 * 1024)]
+        public Task<IActionResult> Import(IFormFile file)
+        {
+            return HandleAsync("Import", async email =>
+            {
+                if (file == null || file.Length == 0)
+                {
+                    throw new InvalidHoldingsStatementException("Choose a holdings CSV to import");
+                }
+                if (file.Length > MaxFileBytes)
+                {
+                    throw new InvalidHoldingsStatementException("The file is larger than 1 MB");
+                }
+
+                string csv;
+                using (var reader = new StreamReader(file.OpenReadStream()))
+                {
+                    csv = await reader.ReadToEndAsync();
+                }
+
+                var idempotencyKey = Request.Headers["Idempotency-Key"].FirstOrDefault();
+                var result = _importService.Import(email, csv, string.IsNullOrWhiteSpace(idempotencyKey) ? null : idempotencyKey.Trim());
+                return Ok(new PortfolioImportResponse
+                {
+                    Success = result.Imported,
+                    Message = result.Imported
+                        ? $"Imported {result.Holdings.Count - result.Errors.Count} of {result.Rows} holdings"
+                        : $"{result.Errors.Count} problem(s) found; nothing was imported",
+                    Data = result,
+                    ErrorCode = result.Imported ? null : "IMPORT_VALIDATION_FAILED"
+                });
+            });
+        }
+
+        private async Task<IActionResult> HandleAsync(string operation, Func<string, Task<IActionResult>> action)
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new PortfolioImportResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                return await action(userEmail);
+            }
+            catch (InvalidHoldingsStatementException ex)
+            {
+                return BadRequest(new PortfolioImportResponse { Success = false, Message = ex.Message, ErrorCode = ex.ErrorCode });
+            }
+            catch (DuplicateImportException ex)
+            {
+                return Conflict(new PortfolioImportResponse { Success = false, Message = ex.Message, ErrorCode = ex.ErrorCode });
+            }
+            catch (PortfolioImportException ex)
+            {
+                _logger.LogError(ex, "Import error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new PortfolioImportResponse { Success = false, Message = ex.Message, ErrorCode = ex.ErrorCode });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new PortfolioImportResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+    }
+}
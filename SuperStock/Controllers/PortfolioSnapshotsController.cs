@@ -0,0 +1,115 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.Linq;
+using System.Security.Claims;
+using System.Threading.Tasks;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class PortfolioSnapshotsController : ControllerBase
+    {
+        private readonly PortfolioSnapshotService _snapshotService;
+        private readonly ILogger<PortfolioSnapshotsController> _logger;
+
+        public PortfolioSnapshotsController(PortfolioSnapshotService snapshotService, ILogger<PortfolioSnapshotsController> logger)
+        {
+            _snapshotService = snapshotService ?? throw new ArgumentNullException(nameof(snapshotService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Gets the user's daily snapshots of one game ("" for practice, "C1" for
+        /// competition), oldest first, optionally from a date on
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> GetSnapshots([FromQuery] string gameType = "", [FromQuery] DateTime? from = null)
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new PortfolioSnapshotResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                var snapshots = await _snapshotService.GetSnapshotsAsync(userEmail, gameType ?? string.Empty, from);
+                return Ok(new PortfolioSnapshotResponse
+                {
+                    Success = true,
+                    Message = $"Retrieved {snapshots.Count} snapshots",
+                    Data = snapshots
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in GetSnapshots for user {Email}", userEmail);
+                return StatusCode(500, new PortfolioSnapshotResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+
+        /// <summary>
+        /// Gets the other participants' total values on the latest snapshot date of one game
+        /// </summary>
+        [HttpGet("leaderboard")]
+        public async Task<IActionResult> GetLeaderboardSnapshot([FromQuery] string gameType = "")
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new PortfolioSnapshotResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                var snapshots = await _snapshotService.GetLatestGameSnapshotsAsync(gameType ?? string.Empty);
+                var leaderboard = new LeaderboardSnapshot
+                {
+                    Date = snapshots.FirstOrDefault()?.Date,
+                    TotalValues = snapshots
+                        .Where(s => !string.Equals(s.Email, userEmail, StringComparison.OrdinalIgnoreCase))
+                        .Select(s => s.TotalValue)
+                        .OrderByDescending(v => v)
+                        .ToList()
+                };
+                return Ok(new PortfolioSnapshotResponse
+                {
+                    Success = true,
+                    Message = $"Retrieved {leaderboard.TotalValues.Count} other participants",
+                    Data = leaderboard
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in GetLeaderboardSnapshot for user {Email}", userEmail);
+                return StatusCode(500, new PortfolioSnapshotResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+    }
+}
@@ -0,0 +1,81 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.Security.Claims;
+using System.Threading.Tasks;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class ReturnsController : ControllerBase
+    {
+        private readonly ReturnsService _returnsService;
+        private readonly ILogger<ReturnsController> _logger;
+
+        public ReturnsController(ReturnsService returnsService, ILogger<ReturnsController> logger)
+        {
+            _returnsService = returnsService ?? throw new ArgumentNullException(nameof(returnsService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Gets the time-weighted return and XIRR of the user's investments in one game ("" for practice, "C1" for competition)
+        /// </summary>
+        [HttpGet]
+        public Task<IActionResult> GetReturns([FromQuery] string gameType = "")
+        {
+            return HandleAsync("GetReturns", async email =>
+            {
+                var returns = await _returnsService.GetReturnsAsync(email, gameType ?? string.Empty);
+                return Ok(new ReturnsResponse { Success = true, Message = $"Returns over {returns.CashFlows} cash flows", Data = returns });
+            });
+        }
+
+        /// <summary>
+        /// Gets the returns of every participant in one game, for the leaderboard
+        /// </summary>
+        [HttpGet("leaderboard")]
+        public Task<IActionResult> GetLeaderboardReturns([FromQuery] string gameType = "")
+        {
+            return HandleAsync("GetLeaderboardReturns", async email =>
+            {
+                var returns = await _returnsService.GetLeaderboardReturnsAsync(gameType ?? string.Empty);
+                return Ok(new ReturnsResponse { Success = true, Message = $"Retrieved returns of {returns.Count} participants", Data = returns });
+            });
+        }
+
+        private async Task<IActionResult> HandleAsync(string operation, Func<string, Task<IActionResult>> action)
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new ReturnsResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                return await action(userEmail);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new ReturnsResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+    }
+}
@@ -0,0 +1,81 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.Security.Claims;
+using System.Threading.Tasks;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class RiskController : ControllerBase
+    {
+        private readonly RiskAnalyticsService _riskService;
+        private readonly ILogger<RiskController> _logger;
+
+        public RiskController(RiskAnalyticsService riskService, ILogger<RiskController> logger)
+        {
+            _riskService = riskService ?? throw new ArgumentNullException(nameof(riskService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Gets the risk metrics of the user's portfolio in one game ("" for practice, "C1" for competition)
+        /// </summary>
+        [HttpGet]
+        public Task<IActionResult> GetRisk([FromQuery] string gameType = "")
+        {
+            return HandleAsync("GetRisk", async email =>
+            {
+                var metrics = await _riskService.GetRiskAsync(email, gameType ?? string.Empty);
+                return Ok(new RiskResponse { Success = true, Message = $"Risk over {metrics.Observations} daily returns", Data = metrics });
+            });
+        }
+
+        /// <summary>
+        /// Gets the risk metrics of every participant in one game, for the leaderboard
+        /// </summary>
+        [HttpGet("leaderboard")]
+        public Task<IActionResult> GetLeaderboardRisk([FromQuery] string gameType = "")
+        {
+            return HandleAsync("GetLeaderboardRisk", async email =>
+            {
+                var metrics = await _riskService.GetLeaderboardRiskAsync(gameType ?? string.Empty);
+                return Ok(new RiskResponse { Success = true, Message = $"Retrieved risk of {metrics.Count} participants", Data = metrics });
+            });
+        }
+
+        private async Task<IActionResult> HandleAsync(string operation, Func<string, Task<IActionResult>> action)
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new RiskResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                return await action(userEmail);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new RiskResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+    }
+}
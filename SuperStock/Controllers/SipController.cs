@@ -0,0 +1,154 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Exceptions;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.Security.Claims;
+using System.Threading.Tasks;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class SipController : ControllerBase
+    {
+        private readonly SipService _sipService;
+        private readonly ILogger<SipController> _logger;
+
+        public SipController(SipService sipService, ILogger<SipController> logger)
+        {
+            _sipService = sipService ?? throw new ArgumentNullException(nameof(sipService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Gets the user's SIP plans, of one game when gameType is given ("" for practice)
+        /// </summary>
+        [HttpGet]
+        public Task<IActionResult> GetPlans([FromQuery] string gameType = null)
+        {
+            return HandleAsync("GetPlans", async email =>
+            {
+                var plans = await _sipService.GetPlansAsync(email, gameType);
+                return Ok(new SipResponse { Success = true, Message = $"Retrieved {plans.Count} plans", Data = plans });
+            });
+        }
+
+        /// <summary>
+        /// Creates a plan
+        /// </summary>
+        [HttpPost]
+        public Task<IActionResult> CreatePlan([FromBody] SipPlanRequest request)
+        {
+            return HandleAsync("CreatePlan", async email =>
+            {
+                var plan = await _sipService.CreatePlanAsync(email, request);
+                return Ok(new SipResponse { Success = true, Message = $"SIP in {plan.Symbol} created", Data = plan });
+            });
+        }
+
+        /// <summary>
+        /// Edits a plan's stock, amount or schedule
+        /// </summary>
+        [HttpPut("{id}")]
+        public Task<IActionResult> UpdatePlan(string id, [FromBody] SipPlanRequest request)
+        {
+            return HandleAsync("UpdatePlan", async email =>
+            {
+                var plan = await _sipService.UpdatePlanAsync(email, id, request);
+                return Ok(new SipResponse { Success = true, Message = $"SIP in {plan.Symbol} updated", Data = plan });
+            });
+        }
+
+        [HttpPost("{id}/pause")]
+        public Task<IActionResult> PausePlan(string id)
+        {
+            return HandleAsync("PausePlan", async email =>
+            {
+                var plan = await _sipService.SetPausedAsync(email, id, true);
+                return Ok(new SipResponse { Success = true, Message = $"SIP in {plan.Symbol} paused", Data = plan });
+            });
+        }
+
+        [HttpPost("{id}/resume")]
+        public Task<IActionResult> ResumePlan(string id)
+        {
+            return HandleAsync("ResumePlan", async email =>
+            {
+                var plan = await _sipService.SetPausedAsync(email, id, false);
+                return Ok(new SipResponse { Success = true, Message = $"SIP in {plan.Symbol} resumed", Data = plan });
+            });
+        }
+
+        [HttpDelete("{id}")]
+        public Task<IActionResult> DeletePlan(string id)
+        {
+            return HandleAsync("DeletePlan", async email =>
+            {
+                await _sipService.DeletePlanAsync(email, id);
+                return Ok(new SipResponse { Success = true, Message = "SIP deleted" });
+            });
+        }
+
+        /// <summary>
+        /// Gets the user's SIP instalments, newest first, optionally of one plan
+        /// </summary>
+        [HttpGet("executions")]
+        public Task<IActionResult> GetExecutions([FromQuery] string planId = null)
+        {
+            return HandleAsync("GetExecutions", async email =>
+            {
+                var executions = await _sipService.GetExecutionsAsync(email, planId);
+                return Ok(new SipResponse { Success = true, Message = $"Retrieved {executions.Count} instalments", Data = executions });
+            });
+        }
+
+        /// <summary>
+        /// Resolves the user and maps SIP exceptions to responses
+        /// </summary>
+        private async Task<IActionResult> HandleAsync(string operation, Func<string, Task<IActionResult>> action)
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new SipResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                return await action(userEmail);
+            }
+            catch (SipPlanNotFoundException ex)
+            {
+                return NotFound(new SipResponse { Success = false, Message = ex.Message, ErrorCode = ex.ErrorCode });
+            }
+            catch (InvalidSipPlanException ex)
+            {
+                return BadRequest(new SipResponse { Success = false, Message = ex.Message, ErrorCode = ex.ErrorCode });
+            }
+            catch (SipException ex)
+            {
+                _logger.LogError(ex, "SIP error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new SipResponse { Success = false, Message = ex.Message, ErrorCode = ex.ErrorCode });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in {Operation} for user {Email}", operation, userEmail);
+                return StatusCode(500, new SipResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+    }
+}
@@ -0,0 +1,74 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using SuperStock.Exceptions;
+using SuperStock.Models;
+using SuperStock.Services;
+using System;
+using System.Security.Claims;
+
+namespace SuperStock.Controllers
+{
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class TaxLotsController : ControllerBase
+    {
+        private readonly TaxLotService _taxLotService;
+        private readonly TradeHistoryService _tradeHistoryService;
+        private readonly ILogger<TaxLotsController> _logger;
+
+        public TaxLotsController(TaxLotService taxLotService, TradeHistoryService tradeHistoryService, ILogger<TaxLotsController> logger)
+        {
+            _taxLotService = taxLotService ?? throw new ArgumentNullException(nameof(taxLotService));
+            _tradeHistoryService = tradeHistoryService ?? throw new ArgumentNullException(nameof(tradeHistoryService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Gets the open tax lots and realized P/L of one game ("" for practice, "C1" for competition)
+        /// </summary>
+        [HttpGet]
+        public IActionResult GetSummary([FromQuery] string gameType = "")
+        {
+            var userEmail = User?.FindFirst(ClaimTypes.Email)?.Value;
+            if (string.IsNullOrEmpty(userEmail))
+            {
+                return Unauthorized(new TradeHistoryResponse
+                {
+                    Success = false,
+                    Message = "User not authenticated",
+                    ErrorCode = "UNAUTHORIZED"
+                });
+            }
+
+            try
+            {
+                return Ok(new TaxLotSummary
+                {
+                    RealizedPnl = _tradeHistoryService.GetRealizedPnl(userEmail, gameType ?? string.Empty),
+                    OpenLots = _taxLotService.GetOpenLots(userEmail, gameType ?? string.Empty)
+                });
+            }
+            catch (TradeHistoryException ex)
+            {
+                return StatusCode(500, new TradeHistoryResponse
+                {
+                    Success = false,
+                    Message = ex.Message,
+                    ErrorCode = ex.ErrorCode
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error in GetSummary");
+                return StatusCode(500, new TradeHistoryResponse
+                {
+                    Success = false,
+                    Message = "An unexpected error occurred",
+                    ErrorCode = "INTERNAL_ERROR"
+                });
+            }
+        }
+    }
+}
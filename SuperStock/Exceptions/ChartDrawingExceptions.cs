@@ -0,0 +1,34 @@
+using System;
+
+namespace SuperStock.Exceptions
+{
+    /// <summary>
+    /// Base exception for chart drawing operations
+    /// </summary>
+    public class ChartDrawingException : Exception
+    {
+        public string ErrorCode { get; }
+
+        public ChartDrawingException(string message, string errorCode = null) : base(message)
+        {
+            ErrorCode = errorCode ?? "CHART_DRAWING_ERROR";
+        }
+
+        public ChartDrawingException(string message, Exception innerException, string errorCode = null)
+            : base(message, innerException)
+        {
+            ErrorCode = errorCode ?? "CHART_DRAWING_ERROR";
+        }
+    }
+
+    /// <summary>
+    /// Exception thrown when a symbol or drawing is invalid
+    /// </summary>
+    public class InvalidChartDrawingException : ChartDrawingException
+    {
+        public InvalidChartDrawingException(string message)
+            : base(message, "INVALID_CHART_DRAWING")
+        {
+        }
+    }
+}
@@ -0,0 +1,45 @@
+using System;
+
+namespace SuperStock.Exceptions
+{
+    /// <summary>
+    /// Base exception for holdings statement imports
+    /// </summary>
+    public class PortfolioImportException : Exception
+    {
+        public string ErrorCode { get; }
+
+        public PortfolioImportException(string message, string errorCode = null) : base(message)
+        {
+            ErrorCode = errorCode ?? "IMPORT_ERROR";
+        }
+
+        public PortfolioImportException(string message, Exception innerException, string errorCode = null)
+            : base(message, innerException)
+        {
+            ErrorCode = errorCode ?? "IMPORT_ERROR";
+        }
+    }
+
+    /// <summary>
+    /// Exception thrown when an uploaded file is empty, too large or not a holdings statement
+    /// </summary>
+    public class InvalidHoldingsStatementException : PortfolioImportException
+    {
+        public InvalidHoldingsStatementException(string message)
+            : base(message, "INVALID_STATEMENT")
+        {
+        }
+    }
+
+    /// <summary>
+    /// Exception thrown when an import is submitted again with the idempotency key of an earlier one
+    /// </summary>
+    public class DuplicateImportException : PortfolioImportException
+    {
+        public DuplicateImportException(string message)
+            : base(message, "DUPLICATE_IMPORT")
+        {
+        }
+    }
+}
@@ -0,0 +1,45 @@
+using System;
+
+namespace SuperStock.Exceptions
+{
+    /// <summary>
+    /// Base exception for SIP plan operations
+    /// </summary>
+    public class SipException : Exception
+    {
+        public string ErrorCode { get; }
+
+        public SipException(string message, string errorCode = null) : base(message)
+        {
+            ErrorCode = errorCode ?? "SIP_ERROR";
+        }
+
+        public SipException(string message, Exception innerException, string errorCode = null)
+            : base(message, innerException)
+        {
+            ErrorCode = errorCode ?? "SIP_ERROR";
+        }
+    }
+
+    /// <summary>
+    /// Exception thrown when a plan does not exist or belongs to another user
+    /// </summary>
+    public class SipPlanNotFoundException : SipException
+    {
+        public SipPlanNotFoundException(string planId)
+            : base($"SIP plan '{planId}' was not found", "SIP_NOT_FOUND")
+        {
+        }
+    }
+
+    /// <summary>
+    /// Exception thrown when a plan's amount or schedule is invalid
+    /// </summary>
+    public class InvalidSipPlanException : SipException
+    {
+        public InvalidSipPlanException(string message)
+            : base(message, "INVALID_SIP_PLAN")
+        {
+        }
+    }
+}
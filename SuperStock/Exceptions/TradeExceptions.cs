@@ -0,0 +1,90 @@
+using System;
+
+namespace SuperStock.Exceptions
+{
+    /// <summary>
+    /// Base exception for order history operations
+    /// </summary>
+    public class TradeHistoryException : Exception
+    {
+        public string ErrorCode { get; }
+
+        public TradeHistoryException(string message, string errorCode = null) : base(message)
+        {
+            ErrorCode = errorCode ?? "TRADE_HISTORY_ERROR";
+        }
+
+        public TradeHistoryException(string message, Exception innerException, string errorCode = null)
+            : base(message, innerException)
+        {
+            ErrorCode = errorCode ?? "TRADE_HISTORY_ERROR";
+        }
+    }
+
+    /// <summary>
+    /// Exception thrown when the requested date range is invalid
+    /// </summary>
+    public class InvalidDateRangeException : TradeHistoryException
+    {
+        public InvalidDateRangeException(DateTime from, DateTime to)
+            : base($"Start date {from:yyyy-MM-dd} is after end date {to:yyyy-MM-dd}", "INVALID_DATE_RANGE")
+        {
+        }
+    }
+
+    /// <summary>
+    /// Base exception for orders that fail pre-trade checks. Carries the numbers
+    /// the order form needs to explain the rejection.
+    /// </summary>
+    public class OrderRejectedException : Exception
+    {
+        public string ErrorCode { get; }
+        public double? AvailableFunds { get; protected set; }
+        public double? RequiredAmount { get; protected set; }
+        public int? HeldQuantity { get; protected set; }
+
+        public OrderRejectedException(string message, string errorCode = null) : base(message)
+        {
+            ErrorCode = errorCode ?? "ORDER_REJECTED";
+        }
+    }
+
+    /// <summary>
+    /// Exception thrown when a buy costs more than the available funds
+    /// </summary>
+    public class InsufficientFundsException : OrderRejectedException
+    {
+        public InsufficientFundsException(double availableFunds, double requiredAmount)
+            : base($"Insufficient Balance in SuperStock Account. Required {requiredAmount:0.00}, available {availableFunds:0.00}", "INSUFFICIENT_FUNDS")
+        {
+            AvailableFunds = availableFunds;
+            RequiredAmount = requiredAmount;
+        }
+    }
+
+    /// <summary>
+    /// Exception thrown when selling more shares than are held
+    /// </summary>
+    public class InsufficientHoldingsException : OrderRejectedException
+    {
+        public InsufficientHoldingsException(string stock, int heldQuantity, int requestedQuantity)
+            : base(heldQuantity > 0
+                ? $"You hold only {heldQuantity} shares of {stock}. Cannot sell {requestedQuantity}"
+                : $"You do not hold any shares of {stock}. Please buy before selling", "INSUFFICIENT_HOLDINGS")
+        {
+            HeldQuantity = heldQuantity;
+        }
+    }
+
+    /// <summary>
+    /// Exception thrown when an intraday short cannot be opened or covered
+    /// </summary>
+    public class ShortSellingException : OrderRejectedException
+    {
+        public ShortSellingException(string message, string errorCode, int? heldQuantity = null)
+            : base(message, errorCode)
+        {
+            HeldQuantity = heldQuantity;
+        }
+    }
+}
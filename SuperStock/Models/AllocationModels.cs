@@ -0,0 +1,97 @@
+using System.Collections.Generic;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// Classification of a symbol in the symbol master
+    /// </summary>
+    public class SymbolInfo
+    {
+        public string Symbol { get; set; }
+
+        public string Sector { get; set; }
+
+        public string Industry { get; set; }
+
+        /// <summary>
+        /// LARGE, MID, SMALL or UNCLASSIFIED
+        /// </summary>
+        public string MarketCap { get; set; }
+    }
+
+    /// <summary>
+    /// One holding's share of the portfolio. Shorts count by their exposure
+    /// (price × quantity), like longs.
+    /// </summary>
+    public class AllocationHolding
+    {
+        public string Symbol { get; set; }
+
+        public string Sector { get; set; }
+
+        public string Industry { get; set; }
+
+        public string MarketCap { get; set; }
+
+        public int Quantity { get; set; }
+
+        public double Value { get; set; }
+
+        /// <summary>
+        /// Percent of the portfolio's total exposure
+        /// </summary>
+        public double Weight { get; set; }
+
+        public bool IsShort { get; set; }
+    }
+
+    /// <summary>
+    /// Total value and weight of a sector or market-cap bucket
+    /// </summary>
+    public class AllocationSlice
+    {
+        public string Name { get; set; }
+
+        public double Value { get; set; }
+
+        public double Weight { get; set; }
+
+        public int Holdings { get; set; }
+    }
+
+    public class ConcentrationWarning
+    {
+        public string Sector { get; set; }
+
+        public double Weight { get; set; }
+
+        public double Threshold { get; set; }
+
+        public string Message { get; set; }
+    }
+
+    public class PortfolioAllocation
+    {
+        public string GameType { get; set; }
+
+        public double TotalValue { get; set; }
+
+        public double Threshold { get; set; }
+
+        public List<AllocationHolding> Holdings { get; set; } = new List<AllocationHolding>();
+
+        public List<AllocationSlice> Sectors { get; set; } = new List<AllocationSlice>();
+
+        public List<AllocationSlice> MarketCaps { get; set; } = new List<AllocationSlice>();
+
+        public List<ConcentrationWarning> Warnings { get; set; } = new List<ConcentrationWarning>();
+    }
+
+    public class AllocationResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public object Data { get; set; }
+        public string ErrorCode { get; set; }
+    }
+}
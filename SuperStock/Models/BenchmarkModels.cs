@@ -0,0 +1,42 @@
+using System;
+using System.Collections.Generic;
+
+namespace SuperStock.Models
+{
+    public class BenchmarkOption
+    {
+        public string Id { get; set; }
+
+        public string Name { get; set; }
+    }
+
+    public class BenchmarkPoint
+    {
+        public DateTime Date { get; set; }
+
+        public double Close { get; set; }
+    }
+
+    /// <summary>
+    /// Daily closes of a benchmark, oldest first. A watchlist basket is an index
+    /// starting at 100, with Symbols listing its constituents.
+    /// </summary>
+    public class BenchmarkSeries
+    {
+        public string Id { get; set; }
+
+        public string Name { get; set; }
+
+        public List<string> Symbols { get; set; } = new List<string>();
+
+        public List<BenchmarkPoint> Points { get; set; } = new List<BenchmarkPoint>();
+    }
+
+    public class BenchmarkResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public object Data { get; set; }
+        public string ErrorCode { get; set; }
+    }
+}
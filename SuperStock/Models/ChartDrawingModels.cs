@@ -0,0 +1,94 @@
+using MongoDB.Bson;
+using MongoDB.Bson.Serialization.Attributes;
+using System;
+using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// A user's chart drawings on one symbol
+    /// </summary>
+    [BsonIgnoreExtraElements]
+    public class ChartDrawingSet
+    {
+        [BsonId]
+        [BsonRepresentation(BsonType.ObjectId)]
+        public string Id { get; set; }
+
+        [BsonElement("EMAIL")]
+        public string Email { get; set; }
+
+        [BsonElement("SYMBOL")]
+        public string Symbol { get; set; }
+
+        [BsonElement("DRAWINGS")]
+        public List<ChartDrawing> Drawings { get; set; } = new List<ChartDrawing>();
+
+        /// <summary>
+        /// When the drawings were last changed on the client; the newer copy
+        /// wins when the browser and server disagree
+        /// </summary>
+        [BsonElement("UPDATEDAT")]
+        public DateTime UpdatedAt { get; set; }
+    }
+
+    /// <summary>
+    /// One drawing: a trendline, horizontal line, rectangle, Fibonacci
+    /// retracement or text note, anchored at chart times and prices
+    /// </summary>
+    public class ChartDrawing
+    {
+        /// <summary>
+        /// Client-generated id
+        /// </summary>
+        [BsonElement("ID")]
+        public string Id { get; set; }
+
+        /// <summary>
+        /// trendline, hline, rectangle, fibonacci or text
+        /// </summary>
+        [BsonElement("TYPE")]
+        public string Type { get; set; }
+
+        [BsonElement("POINTS")]
+        public List<ChartDrawingPoint> Points { get; set; } = new List<ChartDrawingPoint>();
+
+        [BsonElement("TEXT")]
+        public string Text { get; set; }
+
+        [BsonElement("COLOR")]
+        public string Color { get; set; }
+    }
+
+    /// <summary>
+    /// A drawing anchor: time in epoch milliseconds and price in rupees
+    /// </summary>
+    public class ChartDrawingPoint
+    {
+        [BsonElement("X")]
+        public double X { get; set; }
+
+        [BsonElement("Y")]
+        public double Y { get; set; }
+    }
+
+    /// <summary>
+    /// Request model for saving the drawings of a symbol
+    /// </summary>
+    public class ChartDrawingsRequest
+    {
+        [Required]
+        public List<ChartDrawing> Drawings { get; set; }
+
+        public DateTime UpdatedAt { get; set; }
+    }
+
+    public class ChartDrawingResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public object Data { get; set; }
+        public string ErrorCode { get; set; }
+    }
+}
@@ -0,0 +1,105 @@
+using System;
+using System.Collections.Generic;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// Candle intervals requested from the stock data providers
+    /// (Twelve Data names)
+    /// </summary>
+    public static class ChartIntervals
+    {
+        public const string FiveMinutes = "5min";
+        public const string OneHour = "1h";
+        public const string OneDay = "1day";
+        public const string OneWeek = "1week";
+
+        public static bool IsIntraday(string interval)
+        {
+            return interval == FiveMinutes || interval == OneHour;
+        }
+
+        public static TimeSpan GetLength(string interval)
+        {
+            return interval switch
+            {
+                FiveMinutes => TimeSpan.FromMinutes(5),
+                OneHour => TimeSpan.FromHours(1),
+                OneWeek => TimeSpan.FromDays(7),
+                _ => TimeSpan.FromDays(1)
+            };
+        }
+    }
+
+    /// <summary>
+    /// A chart timeframe (1D, 1W...) and the candles that make it up
+    /// </summary>
+    public class ChartTimeframe
+    {
+        public string Timeframe { get; set; }
+
+        public string Interval { get; set; }
+
+        /// <summary>
+        /// How far back candles are requested
+        /// </summary>
+        public TimeSpan Lookback { get; set; }
+
+        /// <summary>
+        /// Keep only the latest session's candles (1D looks back several days
+        /// to get past weekends and holidays)
+        /// </summary>
+        public bool LastSessionOnly { get; set; }
+    }
+
+    /// <summary>
+    /// One OHLC candle. Intraday times are UTC; daily and weekly candles are
+    /// dated at midnight.
+    /// </summary>
+    public class OhlcCandle
+    {
+        public DateTime Time { get; set; }
+
+        public double Open { get; set; }
+
+        public double High { get; set; }
+
+        public double Low { get; set; }
+
+        public double Close { get; set; }
+
+        public long Volume { get; set; }
+    }
+
+    /// <summary>
+    /// Candles of a symbol for a timeframe, oldest first, with the provider
+    /// they came from. While the market is open, IsDelayed flags candles that
+    /// lag the market, by DelayMinutes.
+    /// </summary>
+    public class ChartSeries
+    {
+        public string Symbol { get; set; }
+
+        public string Timeframe { get; set; }
+
+        public string Interval { get; set; }
+
+        public string Source { get; set; }
+
+        public DateTime FetchedAt { get; set; }
+
+        public bool IsDelayed { get; set; }
+
+        public int DelayMinutes { get; set; }
+
+        public List<OhlcCandle> Candles { get; set; } = new List<OhlcCandle>();
+    }
+
+    public class ChartResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public object Data { get; set; }
+        public string ErrorCode { get; set; }
+    }
+}
@@ -0,0 +1,158 @@
+using MongoDB.Bson;
+using MongoDB.Bson.Serialization.Attributes;
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// A split, bonus issue or dividend of one stock, effective on its ex-date
+    /// </summary>
+    [BsonIgnoreExtraElements]
+    public class CorporateAction
+    {
+        [BsonId]
+        [BsonRepresentation(BsonType.ObjectId)]
+        public string Id { get; set; }
+
+        [BsonElement("SYMBOL")]
+        public string Symbol { get; set; }
+
+        /// <summary>
+        /// SPLIT, BONUS or DIVIDEND
+        /// </summary>
+        [BsonElement("TYPE")]
+        public string Type { get; set; }
+
+        /// <summary>
+        /// Exchange date from which the stock trades without the entitlement
+        /// </summary>
+        [BsonElement("EXDATE")]
+        [BsonDateTimeOptions(DateOnly = true)]
+        public DateTime ExDate { get; set; }
+
+        /// <summary>
+        /// Split: every RatioHeld shares become RatioNew shares.
+        /// Bonus: RatioNew bonus shares for every RatioHeld held.
+        /// </summary>
+        [BsonElement("RATIOHELD")]
+        public int RatioHeld { get; set; }
+
+        [BsonElement("RATIONEW")]
+        public int RatioNew { get; set; }
+
+        /// <summary>
+        /// Rupees paid per share held by a dividend
+        /// </summary>
+        [BsonElement("DIVIDENDPERSHARE")]
+        public double DividendPerShare { get; set; }
+
+        [BsonElement("DESCRIPTION")]
+        public string Description { get; set; }
+
+        /// <summary>
+        /// PENDING until applied to every holder, then APPLIED. HISTORICAL for
+        /// actions that had already gone ex when they were added to the calendar;
+        /// those are listed but never applied.
+        /// </summary>
+        [BsonElement("STATUS")]
+        public string Status { get; set; }
+
+        /// <summary>
+        /// Holders whose adjustment failed, retried by the next run. Null until
+        /// the first run; while set, only these holders are processed, so people
+        /// who bought after the ex-date are never adjusted.
+        /// </summary>
+        [BsonElement("RETRYHOLDERS")]
+        [JsonIgnore]
+        public List<CorporateActionHolder> RetryHolders { get; set; }
+
+        [BsonElement("APPLIEDAT")]
+        public DateTime? AppliedAt { get; set; }
+
+        [BsonElement("CREATEDAT")]
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// One holder of a corporate action in one game
+    /// </summary>
+    public class CorporateActionHolder
+    {
+        [BsonElement("EMAIL")]
+        public string Email { get; set; }
+
+        [BsonElement("GAMETYPE")]
+        public string GameType { get; set; }
+    }
+
+    /// <summary>
+    /// Account ledger entry: how one corporate action changed a user's
+    /// holding or funds in one game
+    /// </summary>
+    [BsonIgnoreExtraElements]
+    public class LedgerEntry
+    {
+        [BsonId]
+        [BsonRepresentation(BsonType.ObjectId)]
+        public string Id { get; set; }
+
+        [BsonElement("ACTIONID")]
+        public string ActionId { get; set; }
+
+        [BsonElement("EMAIL")]
+        public string Email { get; set; }
+
+        [BsonElement("GAMETYPE")]
+        public string GameType { get; set; }
+
+        [BsonElement("SYMBOL")]
+        public string Symbol { get; set; }
+
+        /// <summary>
+        /// SPLIT, BONUS or DIVIDEND
+        /// </summary>
+        [BsonElement("TYPE")]
+        public string Type { get; set; }
+
+        [BsonElement("DESCRIPTION")]
+        public string Description { get; set; }
+
+        /// <summary>
+        /// Holding before and after the action, negative for a short
+        /// </summary>
+        [BsonElement("QUANTITYBEFORE")]
+        public int QuantityBefore { get; set; }
+
+        [BsonElement("QUANTITYAFTER")]
+        public int QuantityAfter { get; set; }
+
+        [BsonElement("AVGPRICEBEFORE")]
+        public double AvgPriceBefore { get; set; }
+
+        [BsonElement("AVGPRICEAFTER")]
+        public double AvgPriceAfter { get; set; }
+
+        /// <summary>
+        /// Rupees credited to funds (a dividend), debited for a short; 0 otherwise
+        /// </summary>
+        [BsonElement("AMOUNT")]
+        public double Amount { get; set; }
+
+        [BsonElement("EXDATE")]
+        [BsonDateTimeOptions(DateOnly = true)]
+        public DateTime ExDate { get; set; }
+
+        [BsonElement("CREATEDAT")]
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    }
+
+    public class CorporateActionResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public object Data { get; set; }
+        public string ErrorCode { get; set; }
+    }
+}
@@ -0,0 +1,17 @@
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// Charges for a single trade, each rounded to the paisa
+    /// </summary>
+    public class FeeBreakdown
+    {
+        public double Turnover { get; set; }
+        public double Brokerage { get; set; }
+        public double Stt { get; set; }
+        public double ExchangeCharges { get; set; }
+        public double SebiFee { get; set; }
+        public double StampDuty { get; set; }
+        public double Gst { get; set; }
+        public double Total { get; set; }
+    }
+}
@@ -0,0 +1,33 @@
+using System;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// Current NSE session as seen by the order flow and the market-status banner
+    /// </summary>
+    public class MarketStatus
+    {
+        /// <summary>
+        /// PRE_OPEN, OPEN or CLOSED
+        /// </summary>
+        public string Phase { get; set; }
+
+        public bool IsOpen { get; set; }
+
+        public string Message { get; set; }
+
+        /// <summary>
+        /// Name of today's trading holiday, if any
+        /// </summary>
+        public string Holiday { get; set; }
+
+        public DateTimeOffset ExchangeTime { get; set; }
+
+        public DateTimeOffset NextOpen { get; set; }
+
+        /// <summary>
+        /// Close of the current session; null while the market is closed
+        /// </summary>
+        public DateTimeOffset? NextClose { get; set; }
+    }
+}
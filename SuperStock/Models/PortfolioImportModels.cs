@@ -0,0 +1,93 @@
+using System.Collections.Generic;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// One data row of a broker holdings statement, as read from the file
+    /// </summary>
+    public class HoldingsStatementRow
+    {
+        /// <summary>
+        /// Line number in the file, for the error report
+        /// </summary>
+        public int Row { get; set; }
+
+        public string Symbol { get; set; }
+
+        public string Isin { get; set; }
+
+        public string Name { get; set; }
+
+        public string Quantity { get; set; }
+
+        public string AveragePrice { get; set; }
+    }
+
+    /// <summary>
+    /// Data rows of a holdings statement and the broker format its header matched
+    /// </summary>
+    public class HoldingsStatement
+    {
+        public string Format { get; set; }
+
+        public List<HoldingsStatementRow> Rows { get; set; } = new List<HoldingsStatementRow>();
+    }
+
+    /// <summary>
+    /// A validated statement row, ready to be bought into the paper portfolio
+    /// </summary>
+    public class ImportedHolding
+    {
+        public int Row { get; set; }
+
+        public string Symbol { get; set; }
+
+        public int Quantity { get; set; }
+
+        public double AveragePrice { get; set; }
+    }
+
+    /// <summary>
+    /// Why a statement row was rejected. Row 0 is a problem with the file as a whole.
+    /// </summary>
+    public class ImportRowError
+    {
+        public int Row { get; set; }
+
+        public string Symbol { get; set; }
+
+        public string Message { get; set; }
+    }
+
+    /// <summary>
+    /// Outcome of an import. Nothing is imported unless every row is valid.
+    /// </summary>
+    public class PortfolioImportResult
+    {
+        public string Format { get; set; }
+
+        public int Rows { get; set; }
+
+        public bool Imported { get; set; }
+
+        public List<ImportedHolding> Holdings { get; set; } = new List<ImportedHolding>();
+
+        public List<ImportRowError> Errors { get; set; } = new List<ImportRowError>();
+
+        /// <summary>
+        /// Cost of the holdings at their statement average prices
+        /// </summary>
+        public double TotalCost { get; set; }
+    }
+
+    /// <summary>
+    /// Response model for portfolio import operations
+    /// </summary>
+    public class PortfolioImportResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public object Data { get; set; }
+        public string ErrorCode { get; set; }
+    }
+}
@@ -0,0 +1,77 @@
+using MongoDB.Bson;
+using MongoDB.Bson.Serialization.Attributes;
+using System;
+using System.Collections.Generic;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// A user's portfolio in one game at the close of one trading day
+    /// </summary>
+    [BsonIgnoreExtraElements]
+    public class PortfolioSnapshot
+    {
+        [BsonId]
+        [BsonRepresentation(BsonType.ObjectId)]
+        public string Id { get; set; }
+
+        [BsonElement("EMAIL")]
+        public string Email { get; set; }
+
+        [BsonElement("GAMETYPE")]
+        public string GameType { get; set; }
+
+        /// <summary>
+        /// Trading day on the exchange clock
+        /// </summary>
+        [BsonElement("DATE")]
+        [BsonDateTimeOptions(DateOnly = true)]
+        public DateTime Date { get; set; }
+
+        /// <summary>
+        /// Available funds
+        /// </summary>
+        [BsonElement("CASH")]
+        public double Cash { get; set; }
+
+        /// <summary>
+        /// Cost of open positions: average price of longs, blocked margin of shorts
+        /// </summary>
+        [BsonElement("INVESTED")]
+        public double Invested { get; set; }
+
+        /// <summary>
+        /// Open positions at the day's prices; a short counts its margin plus its gain
+        /// </summary>
+        [BsonElement("HOLDINGSVALUE")]
+        public double HoldingsValue { get; set; }
+
+        /// <summary>
+        /// Cash plus holdings, the figure the leaderboard ranks by
+        /// </summary>
+        [BsonElement("TOTALVALUE")]
+        public double TotalValue { get; set; }
+
+        [BsonElement("CREATEDAT")]
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// Total values of the other participants on the latest snapshot date, highest
+    /// first, to project where a portfolio would rank. Emails are left out.
+    /// </summary>
+    public class LeaderboardSnapshot
+    {
+        public DateTime? Date { get; set; }
+
+        public List<double> TotalValues { get; set; } = new List<double>();
+    }
+
+    public class PortfolioSnapshotResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public object Data { get; set; }
+        public string ErrorCode { get; set; }
+    }
+}
@@ -0,0 +1,42 @@
+using System;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// Time-weighted and money-weighted return of a user's investments in one
+    /// game. Either is null until there is enough history to calculate it.
+    /// </summary>
+    public class ReturnMetrics
+    {
+        public string Email { get; set; }
+
+        public string GameType { get; set; }
+
+        /// <summary>
+        /// Cumulative return of the holdings over the daily snapshots, in percent,
+        /// with the money moved in and out by trades taken out
+        /// </summary>
+        public double? TimeWeightedReturn { get; set; }
+
+        /// <summary>
+        /// Annualized internal rate of return of the trade and dividend cash flows
+        /// and the current value of open positions, in percent
+        /// </summary>
+        public double? Xirr { get; set; }
+
+        /// <summary>
+        /// First snapshot or cash flow the returns cover
+        /// </summary>
+        public DateTime? From { get; set; }
+
+        public int CashFlows { get; set; }
+    }
+
+    public class ReturnsResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public object Data { get; set; }
+        public string ErrorCode { get; set; }
+    }
+}
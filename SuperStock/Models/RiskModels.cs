@@ -0,0 +1,59 @@
+using System;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// Risk of a portfolio over its daily snapshots. A metric is null until
+    /// there are enough returns to estimate it.
+    /// </summary>
+    public class RiskMetrics
+    {
+        public string Email { get; set; }
+
+        public string GameType { get; set; }
+
+        /// <summary>
+        /// Annualized standard deviation of daily returns, in percent
+        /// </summary>
+        public double? Volatility { get; set; }
+
+        /// <summary>
+        /// Largest fall from a peak in portfolio value, in percent
+        /// </summary>
+        public double? MaxDrawdown { get; set; }
+
+        /// <summary>
+        /// Annualized return above the risk-free rate per unit of volatility
+        /// </summary>
+        public double? Sharpe { get; set; }
+
+        /// <summary>
+        /// Like Sharpe, but only counting volatility below the risk-free rate
+        /// </summary>
+        public double? Sortino { get; set; }
+
+        /// <summary>
+        /// Sensitivity of daily returns to the benchmark's
+        /// </summary>
+        public double? Beta { get; set; }
+
+        /// <summary>
+        /// Daily returns the metrics are based on
+        /// </summary>
+        public int Observations { get; set; }
+
+        public DateTime? From { get; set; }
+
+        public DateTime? To { get; set; }
+
+        public string Benchmark { get; set; }
+    }
+
+    public class RiskResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public object Data { get; set; }
+        public string ErrorCode { get; set; }
+    }
+}
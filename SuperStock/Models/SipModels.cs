@@ -0,0 +1,165 @@
+using MongoDB.Bson;
+using MongoDB.Bson.Serialization.Attributes;
+using System;
+using System.ComponentModel.DataAnnotations;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// A systematic investment plan: buy a fixed rupee amount of one stock
+    /// every trading day, week or month
+    /// </summary>
+    [BsonIgnoreExtraElements]
+    public class SipPlan
+    {
+        [BsonId]
+        [BsonRepresentation(BsonType.ObjectId)]
+        public string Id { get; set; }
+
+        [BsonElement("EMAIL")]
+        public string Email { get; set; }
+
+        [BsonElement("GAMETYPE")]
+        public string GameType { get; set; }
+
+        [BsonElement("SYMBOL")]
+        public string Symbol { get; set; }
+
+        /// <summary>
+        /// Rupees to invest per instalment, charges included
+        /// </summary>
+        [BsonElement("AMOUNT")]
+        public double Amount { get; set; }
+
+        /// <summary>
+        /// DAILY, WEEKLY or MONTHLY
+        /// </summary>
+        [BsonElement("FREQUENCY")]
+        public string Frequency { get; set; }
+
+        /// <summary>
+        /// Weekday of a weekly plan (1 = Monday ... 5 = Friday)
+        /// </summary>
+        [BsonElement("DAYOFWEEK")]
+        public int? DayOfWeek { get; set; }
+
+        /// <summary>
+        /// Day of month of a monthly plan (1-28)
+        /// </summary>
+        [BsonElement("DAYOFMONTH")]
+        public int? DayOfMonth { get; set; }
+
+        /// <summary>
+        /// ACTIVE or PAUSED
+        /// </summary>
+        [BsonElement("STATUS")]
+        public string Status { get; set; }
+
+        /// <summary>
+        /// When the next instalment is due (UTC); null while paused
+        /// </summary>
+        [BsonElement("NEXTRUNAT")]
+        public DateTime? NextRunAt { get; set; }
+
+        [BsonElement("LASTRUNAT")]
+        public DateTime? LastRunAt { get; set; }
+
+        [BsonElement("EXECUTIONCOUNT")]
+        public int ExecutionCount { get; set; }
+
+        /// <summary>
+        /// Shares bought and rupees spent (charges included) by filled instalments
+        /// </summary>
+        [BsonElement("TOTALQUANTITY")]
+        public int TotalQuantity { get; set; }
+
+        [BsonElement("TOTALINVESTED")]
+        public double TotalInvested { get; set; }
+
+        [BsonElement("CREATEDAT")]
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// Outcome of one instalment of a plan
+    /// </summary>
+    [BsonIgnoreExtraElements]
+    public class SipExecution
+    {
+        [BsonId]
+        [BsonRepresentation(BsonType.ObjectId)]
+        public string Id { get; set; }
+
+        [BsonElement("PLANID")]
+        public string PlanId { get; set; }
+
+        [BsonElement("EMAIL")]
+        public string Email { get; set; }
+
+        [BsonElement("GAMETYPE")]
+        public string GameType { get; set; }
+
+        [BsonElement("SYMBOL")]
+        public string Symbol { get; set; }
+
+        [BsonElement("AMOUNT")]
+        public double Amount { get; set; }
+
+        [BsonElement("QUANTITY")]
+        public int Quantity { get; set; }
+
+        [BsonElement("PRICE")]
+        public double Price { get; set; }
+
+        [BsonElement("FEES")]
+        public double Fees { get; set; }
+
+        /// <summary>
+        /// FILLED, REJECTED (failed pre-trade checks) or SKIPPED (amount below one share)
+        /// </summary>
+        [BsonElement("STATUS")]
+        public string Status { get; set; }
+
+        [BsonElement("REASON")]
+        public string Reason { get; set; }
+
+        [BsonElement("EXECUTEDAT")]
+        public DateTime ExecutedAt { get; set; } = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// Request model for creating or editing a plan
+    /// </summary>
+    public class SipPlanRequest
+    {
+        [Required]
+        [StringLength(20, MinimumLength = 1)]
+        public string Symbol { get; set; }
+
+        [Range(1, 10000000)]
+        public double Amount { get; set; }
+
+        [Required]
+        [RegularExpression("^(DAILY|WEEKLY|MONTHLY)$", ErrorMessage = "Frequency must be DAILY, WEEKLY or MONTHLY")]
+        public string Frequency { get; set; }
+
+        [Range(1, 5)]
+        public int? DayOfWeek { get; set; }
+
+        [Range(1, 28)]
+        public int? DayOfMonth { get; set; }
+
+        public string GameType { get; set; }
+    }
+
+    /// <summary>
+    /// Response model for SIP operations
+    /// </summary>
+    public class SipResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public object Data { get; set; }
+        public string ErrorCode { get; set; }
+    }
+}
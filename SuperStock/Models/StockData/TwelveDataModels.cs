@@ -103,6 +103,49 @@ namespace SuperStock.Models.StockData
         public string Status { get; set; } = string.Empty;
     }
 
+    /// <summary>
+    /// Response model for the Twelve Data time_series API. Errors come back
+    /// with status "error" and a code and message instead of values.
+    /// </summary>
+    public class TwelveDataTimeSeriesResponse
+    {
+        [JsonPropertyName("values")]
+        public List<TwelveDataTimeSeriesValue> Values { get; set; } = new();
+
+        [JsonPropertyName("status")]
+        public string Status { get; set; } = string.Empty;
+
+        [JsonPropertyName("code")]
+        public int Code { get; set; }
+
+        [JsonPropertyName("message")]
+        public string Message { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// One candle of a Twelve Data time series
+    /// </summary>
+    public class TwelveDataTimeSeriesValue
+    {
+        [JsonPropertyName("datetime")]
+        public string DateTime { get; set; } = string.Empty;
+
+        [JsonPropertyName("open")]
+        public string Open { get; set; } = "0";
+
+        [JsonPropertyName("high")]
+        public string High { get; set; } = "0";
+
+        [JsonPropertyName("low")]
+        public string Low { get; set; } = "0";
+
+        [JsonPropertyName("close")]
+        public string Close { get; set; } = "0";
+
+        [JsonPropertyName("volume")]
+        public string Volume { get; set; } = "0";
+    }
+
     /// <summary>
     /// Error response model from Twelve Data API
     /// </summary>
@@ -16,6 +16,11 @@ namespace SuperStock.Models
         public double Low { get; set; }
         public int Count { get; set; }
         public double AveragePrice { get; set; }
+
+        /// <summary>
+        /// Margin blocked for an intraday short (negative Count), 0 for long holdings
+        /// </summary>
+        public double Margin { get; set; }
         
         // New properties for enhanced stock data functionality
         public DateTime LastUpdated { get; set; } = DateTime.UtcNow;
@@ -29,6 +34,29 @@ namespace SuperStock.Models
         public string Price { get; set; }
         public string GameType { get; set; }
         public int Quantity { get; set; }
+
+        /// <summary>
+        /// Limit price of a pending order filled by the client order book.
+        /// Null for market orders.
+        /// </summary>
+        public double? LimitPrice { get; set; }
+
+        /// <summary>
+        /// MARKET, LIMIT, AMO, STOP_LOSS or TARGET. Recorded in the order history.
+        /// </summary>
+        public string OrderType { get; set; }
+
+        /// <summary>
+        /// Client-generated key identifying one order intent. Retries of the
+        /// same order carry the same key so it can only fill once.
+        /// </summary>
+        public string IdempotencyKey { get; set; }
+
+        /// <summary>
+        /// DELIVERY (default) or INTRADAY. An intraday sell without holdings
+        /// opens a short position.
+        /// </summary>
+        public string ProductType { get; set; }
     }
 
     /// <summary>
@@ -73,6 +101,18 @@ namespace SuperStock.Models
 
         [BsonElement("FACEVALUE")]
         public string FaceValue { get; set; }
+
+        /// <summary>
+        /// Classification from the symbol master, filled in for api/AllStocks
+        /// </summary>
+        [BsonIgnore]
+        public string Sector { get; set; }
+
+        [BsonIgnore]
+        public string Industry { get; set; }
+
+        [BsonIgnore]
+        public string MarketCap { get; set; }
     }
 
     [BsonIgnoreExtraElements]
@@ -96,6 +136,19 @@ namespace SuperStock.Models
         [BsonElement("T1HOLDING")]
         public string T1Holdings { get; set; }
 
+        /// <summary>
+        /// Margin blocked per shorted symbol
+        /// </summary>
+        [BsonElement("SHORTMARGIN")]
+        public Dictionary<string, double> ShortMargin { get; set; }
+
+        /// <summary>
+        /// When each open short was first sold (UTC), so the square-off job can
+        /// find shorts carried past their day
+        /// </summary>
+        [BsonElement("SHORTOPENEDAT")]
+        public Dictionary<string, DateTime> ShortOpenedAt { get; set; }
+
         [BsonIgnore]
         public List<StockPriceModel> UserStockList { get; set; }
     }
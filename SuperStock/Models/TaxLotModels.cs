@@ -0,0 +1,69 @@
+using MongoDB.Bson;
+using MongoDB.Bson.Serialization.Attributes;
+using System;
+using System.Collections.Generic;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// Shares acquired by one trade. Sells close the oldest lots first (FIFO);
+    /// a short opens a lot with negative quantity that buys close.
+    /// </summary>
+    [BsonIgnoreExtraElements]
+    public class TaxLot
+    {
+        [BsonId]
+        [BsonRepresentation(BsonType.ObjectId)]
+        public string Id { get; set; }
+
+        [BsonElement("EMAIL")]
+        public string Email { get; set; }
+
+        [BsonElement("GAMETYPE")]
+        public string GameType { get; set; }
+
+        [BsonElement("SYMBOL")]
+        public string Symbol { get; set; }
+
+        /// <summary>
+        /// Quantity the lot was opened with, negative for a short
+        /// </summary>
+        [BsonElement("QUANTITY")]
+        public int Quantity { get; set; }
+
+        /// <summary>
+        /// Quantity not yet closed, negative for a short
+        /// </summary>
+        [BsonElement("REMAININGQUANTITY")]
+        public int RemainingQuantity { get; set; }
+
+        /// <summary>
+        /// Cost per share including buy charges, or for a short the proceeds
+        /// per share net of sell charges
+        /// </summary>
+        [BsonElement("COSTPRICE")]
+        public double CostPrice { get; set; }
+
+        /// <summary>
+        /// True for a lot rebuilt from the holding's average price, for
+        /// positions opened before lots were tracked
+        /// </summary>
+        [BsonElement("CARRIEDOVER")]
+        public bool CarriedOver { get; set; }
+
+        [BsonElement("ACQUIREDAT")]
+        public DateTime AcquiredAt { get; set; } = DateTime.UtcNow;
+
+        [BsonElement("CLOSEDAT")]
+        public DateTime? ClosedAt { get; set; }
+    }
+
+    /// <summary>
+    /// Open lots and realized P/L of one game, for the dashboard P/L cards
+    /// </summary>
+    public class TaxLotSummary
+    {
+        public double RealizedPnl { get; set; }
+        public List<TaxLot> OpenLots { get; set; } = new List<TaxLot>();
+    }
+}
@@ -0,0 +1,223 @@
+using MongoDB.Bson;
+using MongoDB.Bson.Serialization.Attributes;
+using SuperStock.Exceptions;
+using System;
+
+namespace SuperStock.Models
+{
+    /// <summary>
+    /// A single executed or rejected order, kept for the order history / trade blotter
+    /// </summary>
+    [BsonIgnoreExtraElements]
+    public class TradeRecord
+    {
+        [BsonId]
+        [BsonRepresentation(BsonType.ObjectId)]
+        public string Id { get; set; }
+
+        [BsonElement("EMAIL")]
+        public string Email { get; set; }
+
+        [BsonElement("GAMETYPE")]
+        public string GameType { get; set; }
+
+        [BsonElement("SYMBOL")]
+        public string Symbol { get; set; }
+
+        /// <summary>
+        /// BUY or SELL
+        /// </summary>
+        [BsonElement("SIDE")]
+        public string Side { get; set; }
+
+        [BsonElement("QUANTITY")]
+        public int Quantity { get; set; }
+
+        /// <summary>
+        /// Fill price for filled trades, requested price for rejected ones
+        /// </summary>
+        [BsonElement("PRICE")]
+        public double Price { get; set; }
+
+        /// <summary>
+        /// MARKET, LIMIT, AMO, STOP_LOSS, TARGET, SQUARE_OFF, SIP, IMPORT or REBALANCE
+        /// </summary>
+        [BsonElement("ORDERTYPE")]
+        public string OrderType { get; set; }
+
+        [BsonElement("FEES")]
+        public double Fees { get; set; }
+
+        /// <summary>
+        /// FILLED or REJECTED
+        /// </summary>
+        [BsonElement("STATUS")]
+        public string Status { get; set; }
+
+        [BsonElement("REJECTIONREASON")]
+        public string RejectionReason { get; set; }
+
+        [BsonElement("IDEMPOTENCYKEY")]
+        public string IdempotencyKey { get; set; }
+
+        /// <summary>
+        /// DELIVERY or INTRADAY (short sells, covers and square-offs)
+        /// </summary>
+        [BsonElement("PRODUCTTYPE")]
+        public string ProductType { get; set; }
+
+        /// <summary>
+        /// Profit or loss, net of charges, of the tax lots this trade closed (FIFO).
+        /// Null when the trade only opened a position.
+        /// </summary>
+        [BsonElement("REALIZEDPNL")]
+        public double? RealizedPnl { get; set; }
+
+        [BsonElement("TIMESTAMP")]
+        public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// Filters accepted by the order history endpoint
+    /// </summary>
+    public class TradeHistoryQuery
+    {
+        public string Symbol { get; set; }
+        public DateTime? From { get; set; }
+        public DateTime? To { get; set; }
+        public string GameType { get; set; }
+    }
+
+    /// <summary>
+    /// Response model for order history operations
+    /// </summary>
+    public class TradeHistoryResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public object Data { get; set; }
+        public string ErrorCode { get; set; }
+    }
+
+    /// <summary>
+    /// Structured reason returned when ExecuteOrder rejects an order
+    /// </summary>
+    public class OrderRejectionResponse
+    {
+        public bool Success { get; set; }
+        public string Message { get; set; }
+        public string ErrorCode { get; set; }
+        public double? AvailableFunds { get; set; }
+        public double? RequiredAmount { get; set; }
+        public int? HeldQuantity { get; set; }
+
+        /// <summary>
+        /// Largest quantity that would have passed the same check
+        /// </summary>
+        public int? MaxQuantity { get; set; }
+    }
+
+    /// <summary>
+    /// An order submission claimed by its idempotency key
+    /// </summary>
+    [BsonIgnoreExtraElements]
+    public class OrderRequestRecord
+    {
+        [BsonId]
+        [BsonRepresentation(BsonType.ObjectId)]
+        public string Id { get; set; }
+
+        [BsonElement("EMAIL")]
+        public string Email { get; set; }
+
+        [BsonElement("KEY")]
+        public string Key { get; set; }
+
+        /// <summary>
+        /// PENDING while the order executes, FILLED once it has gone through
+        /// </summary>
+        [BsonElement("STATUS")]
+        public string Status { get; set; }
+
+        /// <summary>
+        /// Holdings string returned by the original execution
+        /// </summary>
+        [BsonElement("HOLDINGS")]
+        public string Holdings { get; set; }
+
+        [BsonElement("FEES")]
+        public FeeBreakdown Fees { get; set; }
+
+        [BsonElement("CREATEDAT")]
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+        [BsonElement("COMPLETEDAT")]
+        public DateTime? CompletedAt { get; set; }
+    }
+
+    /// <summary>
+    /// Returned when an order is resubmitted with a key that was already used,
+    /// with the outcome of the original submission so the client can reconcile
+    /// </summary>
+    public class DuplicateOrderResponse : OrderRejectionResponse
+    {
+        public string OrderStatus { get; set; }
+        public string Holdings { get; set; }
+        public FeeBreakdown Fees { get; set; }
+    }
+
+    /// <summary>
+    /// An order for OrderExecutionService, at a price the caller has already
+    /// checked. Quantity is negative for a sell.
+    /// </summary>
+    public class OrderExecutionRequest
+    {
+        public string Email { get; set; }
+        public string GameType { get; set; } = string.Empty;
+        public string Symbol { get; set; }
+        public int Quantity { get; set; }
+        public double Price { get; set; }
+
+        /// <summary>
+        /// Recorded in the order history, e.g. MARKET, SIP or SQUARE_OFF
+        /// </summary>
+        public string OrderType { get; set; } = "MARKET";
+
+        /// <summary>
+        /// An intraday sell without holdings opens a short
+        /// </summary>
+        public bool Intraday { get; set; }
+
+        public string IdempotencyKey { get; set; }
+
+        /// <summary>
+        /// False for positions transferred in rather than traded
+        /// </summary>
+        public bool ChargeFees { get; set; } = true;
+    }
+
+    /// <summary>
+    /// Outcome of an order run through OrderExecutionService
+    /// </summary>
+    public class OrderExecutionResult
+    {
+        /// <summary>
+        /// The order history entry; null for a duplicate, which is not recorded again
+        /// </summary>
+        public TradeRecord Trade { get; set; }
+        public string Holdings { get; set; }
+        public FeeBreakdown Fees { get; set; }
+
+        /// <summary>
+        /// Why the order was rejected; null when it filled
+        /// </summary>
+        public OrderRejectedException Rejection { get; set; }
+
+        /// <summary>
+        /// The earlier submission with the same idempotency key, when this one was not executed
+        /// </summary>
+        public OrderRequestRecord Duplicate { get; set; }
+
+        public bool Filled => Rejection == null && Duplicate == null && Trade != null;
+    }
+}
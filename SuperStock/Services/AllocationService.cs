@@ -0,0 +1,112 @@
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Breaks a user's holdings down by sector and market-cap bucket and flags
+    /// sectors whose weight exceeds the concentration threshold
+    /// </summary>
+    public class AllocationService
+    {
+        private readonly StockService _stockService;
+        private readonly SymbolMasterService _symbolMaster;
+        private readonly AllocationConfiguration _config;
+
+        public AllocationService(StockService stockService, SymbolMasterService symbolMaster, IOptions<AllocationConfiguration> config)
+        {
+            _stockService = stockService ?? throw new ArgumentNullException(nameof(stockService));
+            _symbolMaster = symbolMaster ?? throw new ArgumentNullException(nameof(symbolMaster));
+            _config = config?.Value ?? new AllocationConfiguration();
+        }
+
+        /// <summary>
+        /// Allocation of the user's holdings in one game, valued at current prices
+        /// </summary>
+        public async Task<PortfolioAllocation> GetAllocationAsync(string email, string gameType)
+        {
+            var equity = await _stockService.GetUserEquityByEmail(email, gameType ?? string.Empty);
+            var allocation = Calculate(equity.UserStockList.Select(s => (s.Name, s.Count, s.Price)));
+            allocation.GameType = gameType ?? string.Empty;
+            return allocation;
+        }
+
+        /// <summary>
+        /// Allocation of (symbol, quantity, price) holdings. Weights are percentages
+        /// of the total exposure; sectors and buckets are ordered largest first.
+        /// </summary>
+        public PortfolioAllocation Calculate(IEnumerable<(string Symbol, int Quantity, double Price)> positions)
+        {
+            var holdings = positions
+                .Where(p => p.Quantity != 0 && p.Price > 0)
+                .Select(p =>
+                {
+                    var info = _symbolMaster.Get(p.Symbol);
+                    return new AllocationHolding
+                    {
+                        Symbol = info.Symbol,
+                        Sector = info.Sector,
+                        Industry = info.Industry,
+                        MarketCap = info.MarketCap,
+                        Quantity = p.Quantity,
+                        Value = Math.Round(p.Price * Math.Abs(p.Quantity), 2),
+                        IsShort = p.Quantity < 0
+                    };
+                })
+                .ToList();
+
+            var total = holdings.Sum(h => h.Value);
+            foreach (var holding in holdings)
+            {
+                holding.Weight = Weight(holding.Value, total);
+            }
+
+            var allocation = new PortfolioAllocation
+            {
+                TotalValue = Math.Round(total, 2),
+                Threshold = _config.SectorConcentrationThreshold,
+                Holdings = holdings.OrderByDescending(h => h.Value).ToList(),
+                Sectors = Group(holdings, h => h.Sector, total),
+                MarketCaps = Group(holdings, h => h.MarketCap, total)
+            };
+
+            allocation.Warnings = allocation.Sectors
+                .Where(s => s.Name != SymbolMasterService.Unclassified && s.Weight > _config.SectorConcentrationThreshold)
+                .Select(s => new ConcentrationWarning
+                {
+                    Sector = s.Name,
+                    Weight = s.Weight,
+                    Threshold = _config.SectorConcentrationThreshold,
+                    Message = $"{s.Name} is {s.Weight:0.#}% of your portfolio, above the {_config.SectorConcentrationThreshold:0.#}% limit"
+                })
+                .ToList();
+
+            return allocation;
+        }
+
+        private static List<AllocationSlice> Group(List<AllocationHolding> holdings, Func<AllocationHolding, string> key, double total)
+        {
+            return holdings
+                .GroupBy(key)
+                .Select(g => new AllocationSlice
+                {
+                    Name = g.Key,
+                    Value = Math.Round(g.Sum(h => h.Value), 2),
+                    Weight = Weight(g.Sum(h => h.Value), total),
+                    Holdings = g.Count()
+                })
+                .OrderByDescending(s => s.Value)
+                .ToList();
+        }
+
+        private static double Weight(double value, double total)
+        {
+            return total > 0 ? Math.Round(value / total * 100, 2) : 0;
+        }
+    }
+}
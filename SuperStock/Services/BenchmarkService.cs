@@ -0,0 +1,160 @@
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Daily closes of the benchmarks returns are compared against: the
+    /// configured indices and an equal-weighted basket of the user's watchlist
+    /// </summary>
+    public class BenchmarkService
+    {
+        public const string WatchlistBenchmark = "WATCHLIST";
+
+        private readonly StockService _stockService;
+        private readonly IMemoryCache _cache;
+        private readonly BenchmarkConfiguration _config;
+        private readonly ILogger<BenchmarkService> _logger;
+
+        public BenchmarkService(StockService stockService, IMemoryCache cache, IOptions<BenchmarkConfiguration> config, ILogger<BenchmarkService> logger)
+        {
+            _stockService = stockService ?? throw new ArgumentNullException(nameof(stockService));
+            _cache = cache ?? throw new ArgumentNullException(nameof(cache));
+            _config = config?.Value ?? new BenchmarkConfiguration();
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        private static readonly List<BenchmarkIndex> DefaultIndices = new List<BenchmarkIndex>
+        {
+            new BenchmarkIndex { Id = "NIFTY50", Name = "NIFTY 50", Symbol = "^NSEI" },
+            new BenchmarkIndex { Id = "NIFTYBANK", Name = "NIFTY Bank", Symbol = "^NSEBANK" }
+        };
+
+        private List<BenchmarkIndex> Indices => _config.Indices.Count > 0 ? _config.Indices : DefaultIndices;
+
+        public string DefaultBenchmark => _config.DefaultBenchmark;
+
+        public List<BenchmarkOption> GetOptions()
+        {
+            var options = Indices
+                .Select(i => new BenchmarkOption { Id = i.Id, Name = i.Name })
+                .ToList();
+            options.Add(new BenchmarkOption { Id = WatchlistBenchmark, Name = "My watchlist (equal-weighted)" });
+            return options;
+        }
+
+        /// <summary>
+        /// Closes of a benchmark from the given date on, or null if the id is unknown
+        /// </summary>
+        public async Task<BenchmarkSeries> GetSeriesAsync(string benchmarkId, string email, string gameType, DateTime from)
+        {
+            var id = string.IsNullOrWhiteSpace(benchmarkId) ? _config.DefaultBenchmark : benchmarkId.Trim().ToUpperInvariant();
+            if (id == WatchlistBenchmark)
+            {
+                return await GetWatchlistSeriesAsync(email, gameType, from);
+            }
+
+            var index = Indices.FirstOrDefault(i => string.Equals(i.Id, id, StringComparison.OrdinalIgnoreCase));
+            if (index == null)
+            {
+                return null;
+            }
+
+            var closes = await GetClosesAsync(index.Symbol, from);
+            return new BenchmarkSeries
+            {
+                Id = index.Id,
+                Name = index.Name,
+                Symbols = new List<string> { index.Symbol },
+                Points = closes.Where(c => c.Date >= from.Date).Select(c => new BenchmarkPoint { Date = c.Date, Close = c.Close }).ToList()
+            };
+        }
+
+        /// <summary>
+        /// Daily closes of a Yahoo symbol from the given date to today, cached.
+        /// Starts a week early so the first day has a previous close to compare with.
+        /// </summary>
+        public async Task<List<(DateTime Date, double Close)>> GetClosesAsync(string symbol, DateTime from)
+        {
+            var cacheKey = $"benchmark-closes-{symbol}-{from:yyyyMMdd}";
+            if (_cache.TryGetValue(cacheKey, out List<(DateTime Date, double Close)> cached))
+            {
+                return cached;
+            }
+
+            var closes = await _stockService.GetDailyCloses(symbol, from.Date.AddDays(-7), DateTime.UtcNow.Date.AddDays(1));
+            _cache.Set(cacheKey, closes, TimeSpan.FromMinutes(Math.Max(_config.CacheMinutes, 1)));
+            return closes;
+        }
+
+        private async Task<BenchmarkSeries> GetWatchlistSeriesAsync(string email, string gameType, DateTime from)
+        {
+            var symbols = _stockService.GetWatchListSymbols(email, gameType ?? string.Empty);
+            var constituents = new Dictionary<string, List<(DateTime Date, double Close)>>();
+            foreach (var symbol in symbols)
+            {
+                try
+                {
+                    var closes = (await GetClosesAsync(symbol + ".NS", from)).Where(c => c.Date >= from.Date).ToList();
+                    if (closes.Count > 0)
+                    {
+                        constituents[symbol] = closes;
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "Leaving {Symbol} out of the watchlist basket: closes unavailable", symbol);
+                }
+            }
+
+            return new BenchmarkSeries
+            {
+                Id = WatchlistBenchmark,
+                Name = "Watchlist basket",
+                Symbols = constituents.Keys.ToList(),
+                Points = EqualWeighted(constituents.Values.ToList())
+            };
+        }
+
+        /// <summary>
+        /// Equal-weighted basket index, 100 on the first day every constituent
+        /// traded, held without rebalancing. Only days all constituents traded are kept.
+        /// </summary>
+        public static List<BenchmarkPoint> EqualWeighted(List<List<(DateTime Date, double Close)>> constituents)
+        {
+            if (constituents.Count == 0)
+            {
+                return new List<BenchmarkPoint>();
+            }
+
+            var byDate = constituents
+                .Select(closes => closes.GroupBy(c => c.Date.Date).ToDictionary(g => g.Key, g => g.Last().Close))
+                .ToList();
+            var dates = byDate
+                .Select(closes => (IEnumerable<DateTime>)closes.Keys)
+                .Aggregate((common, next) => common.Intersect(next))
+                .OrderBy(d => d)
+                .ToList();
+            if (dates.Count == 0)
+            {
+                return new List<BenchmarkPoint>();
+            }
+
+            var bases = byDate.Select(closes => closes[dates[0]]).ToList();
+            return dates
+                .Select(date => new BenchmarkPoint
+                {
+                    Date = date,
+                    Close = Math.Round(byDate.Select((closes, i) => closes[date] / bases[i]).Average() * 100, 4)
+                })
+                .ToList();
+        }
+    }
+}
@@ -0,0 +1,146 @@
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Historical candles for the stock chart. Maps chart timeframes to candle
+    /// intervals, caches what the providers return and reports whether the
+    /// latest candle lags the market.
+    /// </summary>
+    public class ChartDataService
+    {
+        private readonly StockDataService _stockDataService;
+        private readonly MarketSessionService _marketSession;
+        private readonly IMemoryCache _cache;
+        private readonly ChartConfiguration _config;
+
+        public ChartDataService(StockDataService stockDataService, MarketSessionService marketSession, IMemoryCache cache, IOptions<ChartConfiguration> config)
+        {
+            _stockDataService = stockDataService ?? throw new ArgumentNullException(nameof(stockDataService));
+            _marketSession = marketSession ?? throw new ArgumentNullException(nameof(marketSession));
+            _cache = cache ?? throw new ArgumentNullException(nameof(cache));
+            _config = config?.Value ?? new ChartConfiguration();
+        }
+
+        private static readonly Dictionary<string, ChartTimeframe> Timeframes = new List<ChartTimeframe>
+        {
+            new ChartTimeframe { Timeframe = "1D", Interval = ChartIntervals.FiveMinutes, Lookback = TimeSpan.FromDays(5), LastSessionOnly = true },
+            new ChartTimeframe { Timeframe = "1W", Interval = ChartIntervals.OneHour, Lookback = TimeSpan.FromDays(7) },
+            new ChartTimeframe { Timeframe = "1M", Interval = ChartIntervals.OneDay, Lookback = TimeSpan.FromDays(31) },
+            new ChartTimeframe { Timeframe = "3M", Interval = ChartIntervals.OneDay, Lookback = TimeSpan.FromDays(92) },
+            new ChartTimeframe { Timeframe = "1Y", Interval = ChartIntervals.OneDay, Lookback = TimeSpan.FromDays(366) },
+            new ChartTimeframe { Timeframe = "5Y", Interval = ChartIntervals.OneWeek, Lookback = TimeSpan.FromDays(5 * 366) }
+        }.ToDictionary(t => t.Timeframe, StringComparer.OrdinalIgnoreCase);
+
+        public static IEnumerable<string> SupportedTimeframes => Timeframes.Keys;
+
+        /// <summary>
+        /// The timeframe's interval and lookback, or null if it is unknown
+        /// </summary>
+        public static ChartTimeframe ResolveTimeframe(string timeframe)
+        {
+            return !string.IsNullOrWhiteSpace(timeframe) && Timeframes.TryGetValue(timeframe.Trim(), out var resolved)
+                ? resolved
+                : null;
+        }
+
+        /// <summary>
+        /// Candles of a symbol for a timeframe, or null if the timeframe is
+        /// unknown. The series has no candles when no provider has any.
+        /// </summary>
+        public async Task<ChartSeries> GetSeriesAsync(string symbol, string timeframe)
+        {
+            var frame = ResolveTimeframe(timeframe);
+            if (frame == null)
+            {
+                return null;
+            }
+
+            var cleanSymbol = symbol.Trim().ToUpperInvariant();
+            var cacheKey = $"chart-candles-{cleanSymbol}-{frame.Timeframe}";
+            if (!_cache.TryGetValue(cacheKey, out CachedCandles cached))
+            {
+                var to = DateTime.UtcNow;
+                var (candles, source) = await _stockDataService.GetCandlesAsync(cleanSymbol, frame.Interval, to - frame.Lookback, to);
+
+                if (frame.LastSessionOnly && candles.Count > 0)
+                {
+                    var session = GetExchangeDate(candles[^1].Time);
+                    candles = candles.Where(c => GetExchangeDate(c.Time) == session).ToList();
+                }
+
+                cached = new CachedCandles { Candles = candles, Source = source, FetchedAt = to };
+                if (candles.Count > 0)
+                {
+                    _cache.Set(cacheKey, cached, ChartIntervals.IsIntraday(frame.Interval)
+                        ? TimeSpan.FromSeconds(Math.Max(_config.IntradayCacheSeconds, 1))
+                        : TimeSpan.FromMinutes(Math.Max(_config.DailyCacheMinutes, 1)));
+                }
+            }
+
+            var delay = GetDelayMinutes(frame, cached.Candles, DateTimeOffset.UtcNow);
+            return new ChartSeries
+            {
+                Symbol = cleanSymbol,
+                Timeframe = frame.Timeframe,
+                Interval = frame.Interval,
+                Source = cached.Source,
+                FetchedAt = cached.FetchedAt,
+                IsDelayed = delay > 0,
+                DelayMinutes = delay,
+                Candles = cached.Candles
+            };
+        }
+
+        /// <summary>
+        /// Minutes the latest candle lags the market by. Zero while the market
+        /// is closed, for weekly candles and for intraday candles within the
+        /// tolerance. Daily candles are behind until today's candle appears.
+        /// </summary>
+        public int GetDelayMinutes(ChartTimeframe frame, List<OhlcCandle> candles, DateTimeOffset now)
+        {
+            if (candles.Count == 0 || frame.Interval == ChartIntervals.OneWeek)
+            {
+                return 0;
+            }
+
+            var status = _marketSession.GetStatus(now);
+            if (!status.IsOpen)
+            {
+                return 0;
+            }
+
+            var last = candles[^1].Time;
+            if (frame.Interval == ChartIntervals.OneDay)
+            {
+                return GetExchangeDate(last) < _marketSession.GetExchangeDate(now)
+                    ? Math.Max((int)(now - status.NextOpen).TotalMinutes, 1)
+                    : 0;
+            }
+
+            var lag = now - new DateTimeOffset(last, TimeSpan.Zero) - ChartIntervals.GetLength(frame.Interval);
+            return lag.TotalMinutes > _config.DelayToleranceMinutes ? (int)lag.TotalMinutes : 0;
+        }
+
+        private DateTime GetExchangeDate(DateTime utc)
+        {
+            return _marketSession.GetExchangeDate(new DateTimeOffset(DateTime.SpecifyKind(utc, DateTimeKind.Utc)));
+        }
+
+        private class CachedCandles
+        {
+            public List<OhlcCandle> Candles { get; set; }
+
+            public string Source { get; set; }
+
+            public DateTime FetchedAt { get; set; }
+        }
+    }
+}
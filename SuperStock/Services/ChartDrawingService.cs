@@ -0,0 +1,173 @@
+using Microsoft.Extensions.Logging;
+using MongoDB.Bson;
+using MongoDB.Driver;
+using SuperStock.Exceptions;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.RegularExpressions;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Stores each user's chart drawings per symbol. The browser keeps its own
+    /// copy in IndexedDB and syncs here; whichever copy was changed last wins.
+    /// </summary>
+    public class ChartDrawingService
+    {
+        private const int MaxDrawings = 200;
+        private const int MaxTextLength = 200;
+
+        private static readonly Regex SymbolPattern = new Regex(@"^[A-Za-z0-9&\^\.\-]{1,20}$", RegexOptions.Compiled);
+        private static readonly Regex ColorPattern = new Regex(@"^#[0-9A-Fa-f]{3,8}$", RegexOptions.Compiled);
+
+        /// <summary>
+        /// Anchor points each drawing type is made of
+        /// </summary>
+        private static readonly Dictionary<string, int> PointCounts = new Dictionary<string, int>
+        {
+            ["trendline"] = 2,
+            ["hline"] = 1,
+            ["rectangle"] = 2,
+            ["fibonacci"] = 2,
+            ["text"] = 1
+        };
+
+        private static bool _indexesCreated;
+
+        private readonly IMongoCollection<ChartDrawingSet> _drawingCollection;
+        private readonly ILogger<ChartDrawingService> _logger;
+
+        public ChartDrawingService(IMongoClient mongoClient, ILogger<ChartDrawingService> logger)
+        {
+            if (mongoClient == null) throw new ArgumentNullException(nameof(mongoClient));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _drawingCollection = mongoClient.GetDatabase("HomeStocks").GetCollection<ChartDrawingSet>("ChartDrawings");
+            EnsureIndexes();
+        }
+
+        /// <summary>
+        /// The user's drawings on a symbol; an empty set if there are none
+        /// </summary>
+        public async Task<ChartDrawingSet> GetDrawingsAsync(string email, string symbol)
+        {
+            var cleanSymbol = NormalizeSymbol(symbol);
+            var set = await _drawingCollection
+                .Find(s => s.Email == email && s.Symbol == cleanSymbol)
+                .FirstOrDefaultAsync();
+
+            return set ?? new ChartDrawingSet { Email = email, Symbol = cleanSymbol };
+        }
+
+        /// <summary>
+        /// Replaces the user's drawings on a symbol, unless the stored copy was
+        /// changed more recently, in which case the stored copy is returned
+        /// </summary>
+        public async Task<ChartDrawingSet> SaveDrawingsAsync(string email, string symbol, ChartDrawingsRequest request)
+        {
+            var cleanSymbol = NormalizeSymbol(symbol);
+            var drawings = Validate(request?.Drawings);
+            var updatedAt = request.UpdatedAt == default ? DateTime.UtcNow : request.UpdatedAt.ToUniversalTime();
+
+            var existing = await _drawingCollection
+                .Find(s => s.Email == email && s.Symbol == cleanSymbol)
+                .FirstOrDefaultAsync();
+            if (existing != null && existing.UpdatedAt > updatedAt)
+            {
+                _logger.LogInformation("Kept newer {Symbol} chart drawings of user {Email}", cleanSymbol, email);
+                return existing;
+            }
+
+            var set = new ChartDrawingSet
+            {
+                Id = existing?.Id ?? ObjectId.GenerateNewId().ToString(),
+                Email = email,
+                Symbol = cleanSymbol,
+                Drawings = drawings,
+                UpdatedAt = updatedAt
+            };
+            await _drawingCollection.ReplaceOneAsync(
+                s => s.Email == email && s.Symbol == cleanSymbol,
+                set,
+                new ReplaceOptions { IsUpsert = true });
+            return set;
+        }
+
+        private static string NormalizeSymbol(string symbol)
+        {
+            if (string.IsNullOrWhiteSpace(symbol) || !SymbolPattern.IsMatch(symbol.Trim()))
+            {
+                throw new InvalidChartDrawingException($"Invalid symbol '{symbol}'");
+            }
+            return symbol.Trim().ToUpperInvariant();
+        }
+
+        /// <summary>
+        /// Checks each drawing's type, anchors, text and colour
+        /// </summary>
+        private static List<ChartDrawing> Validate(List<ChartDrawing> drawings)
+        {
+            if (drawings == null)
+            {
+                throw new InvalidChartDrawingException("Drawings are required");
+            }
+            if (drawings.Count > MaxDrawings)
+            {
+                throw new InvalidChartDrawingException($"A chart can have at most {MaxDrawings} drawings");
+            }
+
+            foreach (var drawing in drawings)
+            {
+                if (drawing == null || string.IsNullOrWhiteSpace(drawing.Id) || drawing.Id.Length > 64)
+                {
+                    throw new InvalidChartDrawingException("Every drawing needs an id of up to 64 characters");
+                }
+                if (drawing.Type == null || !PointCounts.TryGetValue(drawing.Type, out var pointCount))
+                {
+                    throw new InvalidChartDrawingException($"Unknown drawing type '{drawing.Type}'");
+                }
+                if (drawing.Points == null || drawing.Points.Count != pointCount
+                    || drawing.Points.Any(p => p == null || double.IsNaN(p.X) || double.IsInfinity(p.X) || double.IsNaN(p.Y) || double.IsInfinity(p.Y)))
+                {
+                    throw new InvalidChartDrawingException($"A {drawing.Type} needs {pointCount} point(s) with a time and a price");
+                }
+
+                drawing.Text = drawing.Text?.Trim();
+                if (drawing.Type == "text" && string.IsNullOrEmpty(drawing.Text))
+                {
+                    throw new InvalidChartDrawingException("A text note cannot be empty");
+                }
+                if (drawing.Text?.Length > MaxTextLength)
+                {
+                    throw new InvalidChartDrawingException($"Text notes are limited to {MaxTextLength} characters");
+                }
+                if (!string.IsNullOrEmpty(drawing.Color) && !ColorPattern.IsMatch(drawing.Color))
+                {
+                    throw new InvalidChartDrawingException($"Invalid colour '{drawing.Color}'");
+                }
+            }
+
+            return drawings;
+        }
+
+        private void EnsureIndexes()
+        {
+            if (_indexesCreated) return;
+
+            try
+            {
+                var keys = Builders<ChartDrawingSet>.IndexKeys;
+                _drawingCollection.Indexes.CreateOne(new CreateIndexModel<ChartDrawingSet>(
+                    keys.Ascending(s => s.Email).Ascending(s => s.Symbol),
+                    new CreateIndexOptions { Unique = true }));
+                _indexesCreated = true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating chart drawing indexes");
+            }
+        }
+    }
+}
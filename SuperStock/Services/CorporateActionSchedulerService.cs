@@ -0,0 +1,69 @@
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using System;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Seeds the corporate action calendar at startup, then applies actions as
+    /// their ex-date arrives on the exchange clock
+    /// </summary>
+    public class CorporateActionSchedulerService : BackgroundService
+    {
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly CorporateActionsConfiguration _config;
+        private readonly ILogger<CorporateActionSchedulerService> _logger;
+
+        public CorporateActionSchedulerService(IServiceScopeFactory scopeFactory, IOptions<CorporateActionsConfiguration> config,
+            ILogger<CorporateActionSchedulerService> logger)
+        {
+            _scopeFactory = scopeFactory ?? throw new ArgumentNullException(nameof(scopeFactory));
+            _config = config?.Value ?? throw new ArgumentNullException(nameof(config));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            if (!_config.Enabled)
+            {
+                return;
+            }
+
+            try
+            {
+                using var scope = _scopeFactory.CreateScope();
+                await scope.ServiceProvider.GetRequiredService<CorporateActionService>().SeedAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error seeding corporate actions");
+            }
+
+            var interval = TimeSpan.FromSeconds(Math.Max(_config.CheckIntervalSeconds, 60));
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var today = scope.ServiceProvider.GetRequiredService<MarketSessionService>().GetExchangeDate();
+                    var adjusted = await scope.ServiceProvider.GetRequiredService<CorporateActionService>().ApplyDueActionsAsync(today);
+                    if (adjusted > 0)
+                    {
+                        _logger.LogInformation("Applied corporate actions to {Count} holdings", adjusted);
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error applying corporate actions");
+                }
+
+                await Task.Delay(interval, stoppingToken);
+            }
+        }
+    }
+}
@@ -0,0 +1,389 @@
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using MongoDB.Driver;
+using SuperStock.Configuration;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Keeps the corporate action calendar and applies actions to holdings once
+    /// they go ex: splits and bonuses change the share count and average price
+    /// with the amount invested unchanged, dividends are credited to funds.
+    /// Every adjustment is written to the holder's account ledger.
+    /// </summary>
+    public class CorporateActionService
+    {
+        public const string Split = "SPLIT";
+        public const string Bonus = "BONUS";
+        public const string Dividend = "DIVIDEND";
+
+        public const string Pending = "PENDING";
+        public const string Applied = "APPLIED";
+        public const string Historical = "HISTORICAL";
+
+        private const int MaxLedgerEntries = 500;
+
+        private static readonly string[] GameTypes = { "", "C1" };
+        private static bool _indexesCreated;
+
+        private readonly IMongoCollection<CorporateAction> _actionCollection;
+        private readonly IMongoCollection<LedgerEntry> _ledgerCollection;
+        private readonly StockService _stockService;
+        private readonly TaxLotService _taxLotService;
+        private readonly MarketSessionService _marketSession;
+        private readonly CorporateActionsConfiguration _config;
+        private readonly IHostEnvironment _environment;
+        private readonly ILogger<CorporateActionService> _logger;
+
+        public CorporateActionService(IMongoClient mongoClient, StockService stockService, TaxLotService taxLotService,
+            MarketSessionService marketSession, IOptions<CorporateActionsConfiguration> config, IHostEnvironment environment,
+            ILogger<CorporateActionService> logger)
+        {
+            if (mongoClient == null) throw new ArgumentNullException(nameof(mongoClient));
+            _stockService = stockService ?? throw new ArgumentNullException(nameof(stockService));
+            _taxLotService = taxLotService ?? throw new ArgumentNullException(nameof(taxLotService));
+            _marketSession = marketSession ?? throw new ArgumentNullException(nameof(marketSession));
+            _config = config?.Value ?? new CorporateActionsConfiguration();
+            _environment = environment ?? throw new ArgumentNullException(nameof(environment));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+
+            var database = mongoClient.GetDatabase("HomeStocks");
+            _actionCollection = database.GetCollection<CorporateAction>("CorporateActions");
+            _ledgerCollection = database.GetCollection<LedgerEntry>("AccountLedger");
+            EnsureIndexes();
+        }
+
+        /// <summary>
+        /// Adds the actions in the seed file that are not yet in the calendar.
+        /// Actions that have already gone ex are stored as HISTORICAL: today's
+        /// holdings were bought after them at adjusted prices.
+        /// </summary>
+        public async Task<int> SeedAsync()
+        {
+            if (string.IsNullOrWhiteSpace(_config.SeedFile))
+            {
+                return 0;
+            }
+
+            var path = Path.Combine(_environment.ContentRootPath, _config.SeedFile);
+            if (!File.Exists(path))
+            {
+                _logger.LogWarning("Corporate action seed file {Path} not found", path);
+                return 0;
+            }
+
+            List<CorporateAction> actions;
+            try
+            {
+                actions = JsonSerializer.Deserialize<List<CorporateAction>>(await File.ReadAllTextAsync(path),
+                    new JsonSerializerOptions { PropertyNameCaseInsensitive = true }) ?? new List<CorporateAction>();
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogError(ex, "Corporate action seed file {Path} is not valid JSON", path);
+                return 0;
+            }
+
+            var today = _marketSession.GetExchangeDate();
+            var added = 0;
+            foreach (var action in actions)
+            {
+                action.Symbol = NormalizeSymbol(action.Symbol);
+                action.Type = (action.Type ?? string.Empty).Trim().ToUpperInvariant();
+                action.ExDate = action.ExDate.Date;
+
+                var error = Validate(action);
+                if (error != null)
+                {
+                    _logger.LogWarning("Skipping corporate action {Type} of {Symbol} on {ExDate:yyyy-MM-dd}: {Error}", action.Type, action.Symbol, action.ExDate, error);
+                    continue;
+                }
+
+                var exists = await _actionCollection.CountDocumentsAsync(
+                    a => a.Symbol == action.Symbol && a.Type == action.Type && a.ExDate == action.ExDate) > 0;
+                if (exists)
+                {
+                    continue;
+                }
+
+                action.Id = null;
+                action.Status = action.ExDate < today ? Historical : Pending;
+                action.AppliedAt = null;
+                action.CreatedAt = DateTime.UtcNow;
+                await _actionCollection.InsertOneAsync(action);
+                added++;
+            }
+
+            if (added > 0)
+            {
+                _logger.LogInformation("Added {Count} corporate actions from {Path}", added, path);
+            }
+            return added;
+        }
+
+        /// <summary>
+        /// The calendar ordered by ex-date, optionally for one symbol
+        /// </summary>
+        public async Task<List<CorporateAction>> GetCalendarAsync(string symbol = null)
+        {
+            var filter = string.IsNullOrWhiteSpace(symbol)
+                ? Builders<CorporateAction>.Filter.Empty
+                : Builders<CorporateAction>.Filter.Eq(a => a.Symbol, NormalizeSymbol(symbol));
+
+            return await _actionCollection.Find(filter)
+                .SortBy(a => a.ExDate)
+                .ThenBy(a => a.CreatedAt)
+                .ToListAsync();
+        }
+
+        /// <summary>
+        /// The user's ledger, newest first. A null game type returns every game's entries.
+        /// </summary>
+        public async Task<List<LedgerEntry>> GetLedgerAsync(string email, string gameType = null)
+        {
+            var builder = Builders<LedgerEntry>.Filter;
+            var filter = builder.Eq(e => e.Email, email);
+            if (gameType != null)
+            {
+                filter &= builder.Eq(e => e.GameType, gameType);
+            }
+
+            return await _ledgerCollection.Find(filter)
+                .SortByDescending(e => e.CreatedAt)
+                .Limit(MaxLedgerEntries)
+                .ToListAsync();
+        }
+
+        /// <summary>
+        /// Applies every pending action whose ex-date has arrived, in ex-date
+        /// order, to everyone holding the stock in either game. A holder's ledger
+        /// entry is written before their holding changes and is unique per
+        /// action, so a holder is never adjusted twice and an interrupted run
+        /// picks up where it left off. An action stays pending with its failed
+        /// holders in RetryHolders until every holder has been adjusted.
+        /// </summary>
+        public async Task<int> ApplyDueActionsAsync(DateTime exchangeDate)
+        {
+            var dueActions = await _actionCollection
+                .Find(a => a.Status == Pending && a.ExDate <= exchangeDate.Date)
+                .SortBy(a => a.ExDate)
+                .ThenBy(a => a.CreatedAt)
+                .ToListAsync();
+
+            var adjusted = 0;
+            foreach (var action in dueActions)
+            {
+                var failed = new List<CorporateActionHolder>();
+                foreach (var gameType in GameTypes)
+                {
+                    foreach (var holder in GetHoldersToAdjust(action, gameType))
+                    {
+                        try
+                        {
+                            if (await ApplyToHolderAsync(action, gameType, holder))
+                            {
+                                adjusted++;
+                            }
+                        }
+                        catch (Exception ex)
+                        {
+                            _logger.LogError(ex, "Error applying {Type} of {Symbol} to user {Email}", action.Type, action.Symbol, holder.Email);
+                            failed.Add(new CorporateActionHolder { Email = holder.Email, GameType = gameType });
+                        }
+                    }
+                }
+
+                if (failed.Count > 0)
+                {
+                    await _actionCollection.UpdateOneAsync(a => a.Id == action.Id, Builders<CorporateAction>.Update
+                        .Set(a => a.RetryHolders, failed));
+                    _logger.LogWarning("{Type} of {Symbol} (ex {ExDate:yyyy-MM-dd}) failed for {Count} holders; retrying next run", action.Type, action.Symbol, action.ExDate, failed.Count);
+                    continue;
+                }
+
+                await _actionCollection.UpdateOneAsync(a => a.Id == action.Id, Builders<CorporateAction>.Update
+                    .Set(a => a.Status, Applied)
+                    .Set(a => a.AppliedAt, DateTime.UtcNow)
+                    .Unset(a => a.RetryHolders));
+                _logger.LogInformation("Applied {Type} of {Symbol} (ex {ExDate:yyyy-MM-dd})", action.Type, action.Symbol, action.ExDate);
+            }
+            return adjusted;
+        }
+
+        /// <summary>
+        /// Everyone holding the stock on the first run; on a retry only the
+        /// holders that failed and still hold it
+        /// </summary>
+        private List<(string Email, int Quantity, double AveragePrice)> GetHoldersToAdjust(CorporateAction action, string gameType)
+        {
+            var holders = _stockService.GetHolders(action.Symbol, gameType);
+            if (action.RetryHolders == null)
+            {
+                return holders;
+            }
+
+            return holders
+                .Where(h => action.RetryHolders.Any(r => r.Email == h.Email && r.GameType == gameType))
+                .ToList();
+        }
+
+        /// <summary>
+        /// Holding after a split or bonus. Fractional entitlements are dropped and
+        /// the amount invested is spread over the whole shares.
+        /// </summary>
+        public static (int Quantity, double AveragePrice) AdjustHolding(CorporateAction action, int quantity, double averagePrice)
+        {
+            if (action.Type != Split && action.Type != Bonus)
+            {
+                return (quantity, averagePrice);
+            }
+
+            // Shares are counted as a magnitude so shorts scale the same way
+            var held = Math.Abs(quantity);
+            var after = action.Type == Split
+                ? held * action.RatioNew / action.RatioHeld
+                : held + held * action.RatioNew / action.RatioHeld;
+            if (after == 0)
+            {
+                return (0, 0);
+            }
+
+            return (Math.Sign(quantity) * after, Math.Round(averagePrice * held / after, 4));
+        }
+
+        /// <summary>
+        /// Why an action cannot be applied, or null when it is valid
+        /// </summary>
+        public static string Validate(CorporateAction action)
+        {
+            if (string.IsNullOrWhiteSpace(action.Symbol))
+            {
+                return "A symbol is required";
+            }
+            if (action.ExDate == default)
+            {
+                return "An ex-date is required";
+            }
+
+            switch (action.Type)
+            {
+                case Split:
+                case Bonus:
+                    return action.RatioHeld > 0 && action.RatioNew > 0
+                        ? null
+                        : "Splits and bonuses need a positive ratioHeld and ratioNew";
+                case Dividend:
+                    return action.DividendPerShare > 0 ? null : "A dividend needs a positive dividendPerShare";
+                default:
+                    return "Type must be SPLIT, BONUS or DIVIDEND";
+            }
+        }
+
+        private async Task<bool> ApplyToHolderAsync(CorporateAction action, string gameType, (string Email, int Quantity, double AveragePrice) holder)
+        {
+            var (quantityAfter, averageAfter) = AdjustHolding(action, holder.Quantity, holder.AveragePrice);
+            var entry = new LedgerEntry
+            {
+                ActionId = action.Id,
+                Email = holder.Email,
+                GameType = gameType,
+                Symbol = action.Symbol,
+                Type = action.Type,
+                Description = Describe(action),
+                QuantityBefore = holder.Quantity,
+                QuantityAfter = quantityAfter,
+                AvgPriceBefore = holder.AveragePrice,
+                AvgPriceAfter = averageAfter,
+                Amount = action.Type == Dividend ? Math.Round(holder.Quantity * action.DividendPerShare, 2) : 0,
+                ExDate = action.ExDate
+            };
+
+            try
+            {
+                await _ledgerCollection.InsertOneAsync(entry);
+            }
+            catch (MongoWriteException ex) when (ex.WriteError?.Category == ServerErrorCategory.DuplicateKey)
+            {
+                return false;
+            }
+
+            try
+            {
+                if (action.Type == Dividend)
+                {
+                    // A short pays the dividend to the lender
+                    _stockService.CreditFunds(holder.Email, entry.Amount, gameType);
+                }
+                else
+                {
+                    _stockService.SetHolding(holder.Email, action.Symbol, quantityAfter, averageAfter, gameType);
+                    _taxLotService.ApplyCorporateAction(holder.Email, gameType, action.Symbol, holder.Quantity, quantityAfter);
+                }
+                return true;
+            }
+            catch
+            {
+                // Drop the entry so the retry can write it again
+                await _ledgerCollection.DeleteOneAsync(e => e.Id == entry.Id);
+                throw;
+            }
+        }
+
+        private static string Describe(CorporateAction action)
+        {
+            if (!string.IsNullOrWhiteSpace(action.Description))
+            {
+                return action.Description;
+            }
+
+            switch (action.Type)
+            {
+                case Split:
+                    return $"Split {action.RatioHeld}:{action.RatioNew}";
+                case Bonus:
+                    return $"Bonus {action.RatioNew}:{action.RatioHeld}";
+                default:
+                    return $"Dividend of ₹{action.DividendPerShare:0.00} per share";
+            }
+        }
+
+        private void EnsureIndexes()
+        {
+            if (_indexesCreated) return;
+
+            try
+            {
+                _actionCollection.Indexes.CreateOne(new CreateIndexModel<CorporateAction>(
+                    Builders<CorporateAction>.IndexKeys.Ascending(a => a.Status).Ascending(a => a.ExDate)));
+
+                var ledgerKeys = Builders<LedgerEntry>.IndexKeys;
+                _ledgerCollection.Indexes.CreateMany(new[]
+                {
+                    new CreateIndexModel<LedgerEntry>(
+                        ledgerKeys.Ascending(e => e.ActionId).Ascending(e => e.Email).Ascending(e => e.GameType),
+                        new CreateIndexOptions { Unique = true }),
+                    new CreateIndexModel<LedgerEntry>(
+                        ledgerKeys.Ascending(e => e.Email).Descending(e => e.CreatedAt))
+                });
+                _indexesCreated = true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating corporate action indexes");
+            }
+        }
+
+        private static string NormalizeSymbol(string symbol)
+        {
+            return (symbol ?? string.Empty).Replace(".NS", "").Trim().ToUpperInvariant();
+        }
+    }
+}
@@ -0,0 +1,101 @@
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using SuperStock.Models;
+using System;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Calculates brokerage and statutory charges from the configured fee schedule.
+    /// wwwroot/js/fee-engine.js mirrors this calculation for the order preview.
+    /// </summary>
+    public class FeeCalculator
+    {
+        private readonly FeeScheduleConfiguration _schedule;
+
+        public FeeCalculator(IOptions<FeeScheduleConfiguration> schedule)
+        {
+            _schedule = schedule?.Value ?? new FeeScheduleConfiguration();
+        }
+
+        public FeeScheduleConfiguration Schedule => _schedule;
+
+        /// <summary>
+        /// Charges for buying or selling quantity shares at price
+        /// </summary>
+        public FeeBreakdown Calculate(bool isBuy, int quantity, double price)
+        {
+            var turnover = Math.Abs(quantity) * price;
+            if (turnover <= 0)
+            {
+                return new FeeBreakdown();
+            }
+
+            var brokerage = Round(CalculateBrokerage(turnover));
+            var stt = Round(turnover * (isBuy ? _schedule.SttBuyRate : _schedule.SttSellRate));
+            var exchangeCharges = Round(turnover * _schedule.ExchangeChargeRate);
+            var sebiFee = Round(turnover * _schedule.SebiFeeRate);
+            var stampDuty = isBuy ? Round(turnover * _schedule.StampDutyRate) : 0;
+            var gst = Round((brokerage + exchangeCharges + sebiFee) * _schedule.GstRate);
+
+            return new FeeBreakdown
+            {
+                Turnover = Round(turnover),
+                Brokerage = brokerage,
+                Stt = stt,
+                ExchangeCharges = exchangeCharges,
+                SebiFee = sebiFee,
+                StampDuty = stampDuty,
+                Gst = gst,
+                Total = Round(brokerage + stt + exchangeCharges + sebiFee + stampDuty + gst)
+            };
+        }
+
+        /// <summary>
+        /// Largest quantity whose cost plus charges fits within the available funds.
+        /// For an intraday short pass the margin rate and isBuy false: only the
+        /// margin is blocked, plus sell-side charges.
+        /// </summary>
+        public int MaxAffordableQuantity(double availableFunds, double price, double marginRate = 1, bool isBuy = true)
+        {
+            if (availableFunds <= 0 || price <= 0)
+            {
+                return 0;
+            }
+
+            // Start from an estimate that already allows for charges, then step down
+            var perShare = price * marginRate;
+            var quantity = (int)Math.Floor(availableFunds / perShare);
+            if (quantity > 0)
+            {
+                var feePerShare = Calculate(isBuy, quantity, price).Total / quantity;
+                quantity = (int)Math.Floor(availableFunds / (perShare + feePerShare));
+            }
+            while (quantity > 0 && RequiredAmount(quantity) >= availableFunds)
+            {
+                quantity--;
+            }
+            return quantity;
+
+            // Short margin is blocked rounded to the paisa, a buy debits the exact cost
+            double RequiredAmount(int q) =>
+                (marginRate < 1 ? Math.Round(q * perShare, 2) : q * perShare) + Calculate(isBuy, q, price).Total;
+        }
+
+        private double CalculateBrokerage(double turnover)
+        {
+            if (string.Equals(_schedule.BrokerageMode, "Flat", StringComparison.OrdinalIgnoreCase))
+            {
+                return _schedule.BrokerageFlat;
+            }
+
+            var brokerage = turnover * _schedule.BrokerageRate;
+            return _schedule.BrokerageCap > 0 ? Math.Min(brokerage, _schedule.BrokerageCap) : brokerage;
+        }
+
+        private static double Round(double amount)
+        {
+            return Math.Round(amount, 2, MidpointRounding.AwayFromZero);
+        }
+    }
+}
@@ -1,4 +1,5 @@
 using SuperStock.Models;
+using System;
 using System.Collections.Generic;
 using System.Threading.Tasks;
 
@@ -21,6 +22,16 @@ namespace SuperStock.Services
         /// <returns>List of stock price models with current market data</returns>
         Task<List<StockPriceModel>> GetStockPriceAsync(params string[] symbols);
 
+        /// <summary>
+        /// Retrieves historical OHLC candles for a symbol, oldest first
+        /// </summary>
+        /// <param name="symbol">Stock symbol to fetch candles for</param>
+        /// <param name="interval">Candle interval, one of <see cref="ChartIntervals"/></param>
+        /// <param name="from">Start of the range (UTC)</param>
+        /// <param name="to">End of the range (UTC)</param>
+        /// <returns>Candles in the range; NotSupportedException if the provider has no candles at this interval</returns>
+        Task<List<OhlcCandle>> GetCandlesAsync(string symbol, string interval, DateTime from, DateTime to);
+
         /// <summary>
         /// Checks if the provider is currently healthy and available
         /// </summary>
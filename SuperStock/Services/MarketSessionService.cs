@@ -0,0 +1,166 @@
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using SuperStock.Models;
+using System;
+using System.Globalization;
+using System.Linq;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Works out the NSE session (pre-open, open, closed) from the configured
+    /// timings and holiday list. wwwroot/js/market-session.js mirrors this for
+    /// the market-status banner and the after-market order queue.
+    /// </summary>
+    public class MarketSessionService
+    {
+        public const string PreOpen = "PRE_OPEN";
+        public const string Open = "OPEN";
+        public const string Closed = "CLOSED";
+
+        private readonly MarketHoursConfiguration _config;
+        private readonly ShortSellingConfiguration _shortSelling;
+        private readonly TimeZoneInfo _timeZone;
+
+        public MarketSessionService(IOptions<MarketHoursConfiguration> config, IOptions<ShortSellingConfiguration> shortSelling)
+        {
+            _config = config?.Value ?? new MarketHoursConfiguration();
+            _shortSelling = shortSelling?.Value ?? new ShortSellingConfiguration();
+            _timeZone = TimeZoneInfo.FindSystemTimeZoneById(_config.TimeZoneId);
+        }
+
+        public MarketHoursConfiguration Schedule => _config;
+
+        /// <summary>
+        /// Exchange-local time at which intraday shorts are squared off
+        /// </summary>
+        public TimeSpan SquareOffTime => ParseTime(_shortSelling.SquareOffTime, 15, 20);
+
+        /// <summary>
+        /// Session status at the given instant (now when omitted)
+        /// </summary>
+        public MarketStatus GetStatus(DateTimeOffset? at = null)
+        {
+            var exchangeNow = TimeZoneInfo.ConvertTime(at ?? DateTimeOffset.UtcNow, _timeZone);
+            var today = exchangeNow.Date;
+            var timeOfDay = exchangeNow.TimeOfDay;
+
+            var status = new MarketStatus
+            {
+                Phase = Closed,
+                Holiday = GetHolidayName(today),
+                ExchangeTime = exchangeNow
+            };
+
+            if (IsTradingDay(today))
+            {
+                if (timeOfDay >= ParseTime(_config.OpenTime, 9, 15) && timeOfDay < ParseTime(_config.CloseTime, 15, 30))
+                {
+                    status.Phase = Open;
+                    status.NextClose = ToExchangeTime(today, ParseTime(_config.CloseTime, 15, 30));
+                }
+                else if (timeOfDay >= ParseTime(_config.PreOpenTime, 9, 0) && timeOfDay < ParseTime(_config.OpenTime, 9, 15))
+                {
+                    status.Phase = PreOpen;
+                }
+            }
+
+            status.IsOpen = status.Phase == Open;
+            status.NextOpen = status.IsOpen
+                ? ToExchangeTime(today, ParseTime(_config.OpenTime, 9, 15))
+                : GetNextOpen(exchangeNow);
+            status.Message = Describe(status);
+            return status;
+        }
+
+        /// <summary>
+        /// Whether orders may execute now. Always true when trading hours are not enforced.
+        /// </summary>
+        public bool IsOrderExecutionAllowed(DateTimeOffset? at = null)
+        {
+            return !_config.EnforceTradingHours || GetStatus(at).IsOpen;
+        }
+
+        /// <summary>
+        /// Whether a new intraday short may open: only before the square-off time
+        /// </summary>
+        public bool IsShortSellingAllowed(DateTimeOffset? at = null)
+        {
+            return GetExchangeTime(at) < SquareOffTime;
+        }
+
+        /// <summary>
+        /// Weekdays that are not on the holiday list
+        /// </summary>
+        public bool IsTradingDay(DateTime exchangeDate)
+        {
+            return exchangeDate.DayOfWeek != DayOfWeek.Saturday
+                && exchangeDate.DayOfWeek != DayOfWeek.Sunday
+                && GetHolidayName(exchangeDate) == null;
+        }
+
+        /// <summary>
+        /// Today's date on the exchange clock
+        /// </summary>
+        public DateTime GetExchangeDate(DateTimeOffset? at = null)
+        {
+            return TimeZoneInfo.ConvertTime(at ?? DateTimeOffset.UtcNow, _timeZone).Date;
+        }
+
+        /// <summary>
+        /// Time of day on the exchange clock
+        /// </summary>
+        public TimeSpan GetExchangeTime(DateTimeOffset? at = null)
+        {
+            return TimeZoneInfo.ConvertTime(at ?? DateTimeOffset.UtcNow, _timeZone).TimeOfDay;
+        }
+
+        private DateTimeOffset GetNextOpen(DateTimeOffset exchangeNow)
+        {
+            var openTime = ParseTime(_config.OpenTime, 9, 15);
+            var day = exchangeNow.TimeOfDay < openTime ? exchangeNow.Date : exchangeNow.Date.AddDays(1);
+
+            // A year of holidays and weekends is far more than can ever be skipped
+            for (var i = 0; i < 366 && !IsTradingDay(day); i++)
+            {
+                day = day.AddDays(1);
+            }
+            return ToExchangeTime(day, openTime);
+        }
+
+        private string GetHolidayName(DateTime exchangeDate)
+        {
+            var date = exchangeDate.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
+            return _config.Holidays?.FirstOrDefault(h => h.Date == date)?.Name;
+        }
+
+        private DateTimeOffset ToExchangeTime(DateTime date, TimeSpan time)
+        {
+            var local = DateTime.SpecifyKind(date.Date + time, DateTimeKind.Unspecified);
+            return new DateTimeOffset(local, _timeZone.GetUtcOffset(local));
+        }
+
+        private static string Describe(MarketStatus status)
+        {
+            var nextOpen = status.NextOpen.ToString("ddd d MMM, HH:mm", CultureInfo.InvariantCulture);
+            switch (status.Phase)
+            {
+                case Open:
+                    return $"Market is open until {status.NextClose.Value:HH:mm} IST";
+                case PreOpen:
+                    return $"Pre-open session. Normal trading starts at {status.NextOpen:HH:mm} IST";
+                default:
+                    return status.Holiday != null
+                        ? $"Market is closed for {status.Holiday}. Opens {nextOpen} IST"
+                        : $"Market is closed. Opens {nextOpen} IST";
+            }
+        }
+
+        private static TimeSpan ParseTime(string value, int defaultHours, int defaultMinutes)
+        {
+            return TimeSpan.TryParseExact(value, @"hh\:mm", CultureInfo.InvariantCulture, out var time)
+                ? time
+                : new TimeSpan(defaultHours, defaultMinutes, 0);
+        }
+    }
+}
@@ -0,0 +1,147 @@
+using Microsoft.Extensions.Logging;
+using SuperStock.Exceptions;
+using SuperStock.Models;
+using System;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Executes an order against the user's holdings: charges its fees, updates
+    /// holdings and funds, applies it to the tax lots, records it in the order
+    /// history and settles its idempotency key. Orders from the order form,
+    /// SIP instalments, imports and square-offs all go through here.
+    /// </summary>
+    public class OrderExecutionService
+    {
+        private readonly StockService _stockService;
+        private readonly FeeCalculator _feeCalculator;
+        private readonly TradeHistoryService _tradeHistoryService;
+        private readonly TaxLotService _taxLotService;
+        private readonly OrderIdempotencyService _orderIdempotencyService;
+        private readonly ILogger<OrderExecutionService> _logger;
+
+        public OrderExecutionService(StockService stockService, FeeCalculator feeCalculator, TradeHistoryService tradeHistoryService,
+            TaxLotService taxLotService, OrderIdempotencyService orderIdempotencyService, ILogger<OrderExecutionService> logger)
+        {
+            _stockService = stockService ?? throw new ArgumentNullException(nameof(stockService));
+            _feeCalculator = feeCalculator ?? throw new ArgumentNullException(nameof(feeCalculator));
+            _tradeHistoryService = tradeHistoryService ?? throw new ArgumentNullException(nameof(tradeHistoryService));
+            _taxLotService = taxLotService ?? throw new ArgumentNullException(nameof(taxLotService));
+            _orderIdempotencyService = orderIdempotencyService ?? throw new ArgumentNullException(nameof(orderIdempotencyService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Claims an idempotency key. Returns null when the claim succeeds (or
+        /// there is no key), otherwise the earlier submission with the same key.
+        /// </summary>
+        public OrderRequestRecord Claim(string email, string idempotencyKey)
+        {
+            return idempotencyKey == null ? null : _orderIdempotencyService.TryClaim(email, idempotencyKey);
+        }
+
+        /// <summary>
+        /// Frees a claimed key of an order that was not executed, so it can be retried
+        /// </summary>
+        public void Release(string email, string idempotencyKey)
+        {
+            if (idempotencyKey != null)
+            {
+                _orderIdempotencyService.Release(email, idempotencyKey);
+            }
+        }
+
+        /// <summary>
+        /// Settles a claimed key of a request made of several orders, such as an
+        /// import, once they have all run
+        /// </summary>
+        public void Complete(string email, string idempotencyKey)
+        {
+            if (idempotencyKey != null)
+            {
+                _orderIdempotencyService.Complete(email, idempotencyKey, null, null);
+            }
+        }
+
+        /// <summary>
+        /// Claims the order's key, then executes it. An order whose key was
+        /// already used is not executed again.
+        /// </summary>
+        public OrderExecutionResult Submit(OrderExecutionRequest request)
+        {
+            var original = Claim(request.Email, request.IdempotencyKey);
+            if (original != null)
+            {
+                return new OrderExecutionResult { Duplicate = original, Holdings = original.Holdings, Fees = original.Fees };
+            }
+            return Execute(request);
+        }
+
+        /// <summary>
+        /// Executes an order whose key, if it has one, is already claimed. The key
+        /// is completed when the order fills and released when it does not.
+        /// Rejections are returned; any other failure is recorded as a rejected
+        /// trade and rethrown.
+        /// </summary>
+        public OrderExecutionResult Execute(OrderExecutionRequest request)
+        {
+            var isBuy = request.Quantity > 0;
+            var gameType = request.GameType ?? string.Empty;
+            var fees = request.ChargeFees
+                ? _feeCalculator.Calculate(isBuy, request.Quantity, request.Price)
+                : new FeeBreakdown();
+            var trade = new TradeRecord
+            {
+                Email = request.Email,
+                GameType = gameType,
+                Symbol = request.Symbol,
+                Side = isBuy ? "BUY" : "SELL",
+                Quantity = Math.Abs(request.Quantity),
+                Price = request.Price,
+                OrderType = request.OrderType,
+                IdempotencyKey = request.IdempotencyKey,
+                ProductType = request.Intraday ? "INTRADAY" : "DELIVERY"
+            };
+            var result = new OrderExecutionResult { Trade = trade, Fees = fees };
+
+            (int Quantity, double AveragePrice) heldBefore;
+            try
+            {
+                heldBefore = _stockService.GetHolding(request.Email, request.Symbol, gameType);
+                result.Holdings = _stockService.UpdateUserEquityByEmail(request.Email, request.Symbol, request.Price,
+                    request.Quantity, gameType, fees.Total, request.Intraday);
+            }
+            catch (OrderRejectedException ex)
+            {
+                Reject(trade, ex.Message, request.IdempotencyKey);
+                result.Rejection = ex;
+                return result;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error executing {Side} {Quantity} {Symbol} for user {Email}", trade.Side, trade.Quantity, trade.Symbol, trade.Email);
+                Reject(trade, ex.Message, request.IdempotencyKey);
+                throw;
+            }
+
+            // Holdings have changed: from here on the order is filled
+            trade.Status = TradeHistoryService.Filled;
+            trade.Fees = fees.Total;
+            trade.RealizedPnl = _taxLotService.ApplyTrade(request.Email, gameType, request.Symbol, request.Quantity, request.Price, fees.Total, heldBefore);
+            _tradeHistoryService.RecordTrade(trade);
+            if (request.IdempotencyKey != null)
+            {
+                _orderIdempotencyService.Complete(request.Email, request.IdempotencyKey, result.Holdings, fees);
+            }
+            return result;
+        }
+
+        private void Reject(TradeRecord trade, string reason, string idempotencyKey)
+        {
+            trade.Status = TradeHistoryService.Rejected;
+            trade.RejectionReason = reason;
+            _tradeHistoryService.RecordTrade(trade);
+            Release(trade.Email, idempotencyKey);
+        }
+    }
+}
@@ -0,0 +1,134 @@
+using Microsoft.Extensions.Logging;
+using MongoDB.Driver;
+using SuperStock.Models;
+using System;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Claims order idempotency keys so a retried or replayed order fills at most once
+    /// </summary>
+    public class OrderIdempotencyService
+    {
+        public const string Pending = "PENDING";
+        public const string Filled = "FILLED";
+
+        /// <summary>
+        /// Keys are kept long enough to cover background-sync replays of offline orders
+        /// </summary>
+        private static readonly TimeSpan KeyRetention = TimeSpan.FromDays(7);
+
+        /// <summary>
+        /// A request still pending after this long has died without releasing its key
+        /// (e.g. the process restarted mid-order), so a retry may take the key over
+        /// </summary>
+        private static readonly TimeSpan PendingLease = TimeSpan.FromMinutes(2);
+
+        private static bool _indexesCreated;
+
+        private readonly IMongoCollection<OrderRequestRecord> _requestCollection;
+        private readonly ILogger<OrderIdempotencyService> _logger;
+
+        public OrderIdempotencyService(IMongoClient mongoClient, ILogger<OrderIdempotencyService> logger)
+        {
+            if (mongoClient == null) throw new ArgumentNullException(nameof(mongoClient));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _requestCollection = mongoClient.GetDatabase("HomeStocks").GetCollection<OrderRequestRecord>("OrderRequests");
+            EnsureIndexes();
+        }
+
+        /// <summary>
+        /// Claims the key for this user. Returns null when the claim succeeds,
+        /// otherwise the record of the earlier submission with the same key.
+        /// A pending claim older than the lease is taken over.
+        /// </summary>
+        public OrderRequestRecord TryClaim(string email, string key)
+        {
+            try
+            {
+                _requestCollection.InsertOne(new OrderRequestRecord
+                {
+                    Email = email,
+                    Key = key,
+                    Status = Pending
+                });
+                return null;
+            }
+            catch (MongoWriteException ex) when (ex.WriteError?.Category == ServerErrorCategory.DuplicateKey)
+            {
+                var expiredBefore = DateTime.UtcNow - PendingLease;
+                var takenOver = _requestCollection.FindOneAndUpdate(
+                    r => r.Email == email && r.Key == key && r.Status == Pending && r.CreatedAt < expiredBefore,
+                    Builders<OrderRequestRecord>.Update.Set(r => r.CreatedAt, DateTime.UtcNow));
+                if (takenOver != null)
+                {
+                    _logger.LogWarning("Took over stale pending order key {Key} for user {Email}", key, email);
+                    return null;
+                }
+                _logger.LogWarning("Duplicate order submission with key {Key} for user {Email}", key, email);
+                return _requestCollection.Find(r => r.Email == email && r.Key == key).FirstOrDefault()
+                    ?? new OrderRequestRecord { Email = email, Key = key, Status = Pending };
+            }
+        }
+
+        /// <summary>
+        /// Stores the outcome of a filled order against its key
+        /// </summary>
+        public void Complete(string email, string key, string holdings, FeeBreakdown fees)
+        {
+            try
+            {
+                var update = Builders<OrderRequestRecord>.Update
+                    .Set(r => r.Status, Filled)
+                    .Set(r => r.Holdings, holdings)
+                    .Set(r => r.Fees, fees)
+                    .Set(r => r.CompletedAt, DateTime.UtcNow);
+                _requestCollection.UpdateOne(r => r.Email == email && r.Key == key, update);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error completing order key {Key} for user {Email}", key, email);
+            }
+        }
+
+        /// <summary>
+        /// Frees the key of an order that did not fill, so it can be retried
+        /// (e.g. a resting limit order whose price has not been reached)
+        /// </summary>
+        public void Release(string email, string key)
+        {
+            try
+            {
+                _requestCollection.DeleteOne(r => r.Email == email && r.Key == key && r.Status == Pending);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error releasing order key {Key} for user {Email}", key, email);
+            }
+        }
+
+        private void EnsureIndexes()
+        {
+            if (_indexesCreated) return;
+
+            try
+            {
+                var keys = Builders<OrderRequestRecord>.IndexKeys;
+                _requestCollection.Indexes.CreateMany(new[]
+                {
+                    new CreateIndexModel<OrderRequestRecord>(
+                        keys.Ascending(r => r.Email).Ascending(r => r.Key),
+                        new CreateIndexOptions { Unique = true }),
+                    new CreateIndexModel<OrderRequestRecord>(
+                        keys.Ascending(r => r.CreatedAt),
+                        new CreateIndexOptions { ExpireAfter = KeyRetention })
+                });
+                _indexesCreated = true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating order request indexes");
+            }
+        }
+    }
+}
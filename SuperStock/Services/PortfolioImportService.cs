@@ -0,0 +1,374 @@
+using Microsoft.Extensions.Logging;
+using SuperStock.Exceptions;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Text;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Seeds the practice portfolio from a broker holdings statement (Zerodha
+    /// Kite or Console, Groww, or any CSV with symbol, quantity and average
+    /// price columns). Each holding is bought at its statement average price
+    /// without charges, since the position is transferred rather than traded,
+    /// through OrderExecutionService like an order placed from the order form.
+    /// </summary>
+    public class PortfolioImportService
+    {
+        public const string OrderType = "IMPORT";
+        public const int MaxRows = 500;
+
+        /// <summary>
+        /// Header lines some brokers put above the table, such as Groww's client details
+        /// </summary>
+        private const int MaxHeaderSearchLines = 30;
+
+        private static readonly string[] SymbolHeaders = { "symbol", "instrument", "tradingsymbol", "stocksymbol", "scripcode" };
+        private static readonly string[] IsinHeaders = { "isin", "isincode" };
+        private static readonly string[] NameHeaders = { "stockname", "companyname", "scripname", "name" };
+        private static readonly string[] QuantityHeaders = { "quantityavailable", "qty", "quantity", "totalquantity", "availableqty" };
+        private static readonly string[] PriceHeaders = { "avgcost", "averageprice", "averagebuyprice", "avgprice", "avgbuyprice", "buyavg" };
+
+        /// <summary>
+        /// Broker formats, recognized by a header only that broker's statement has
+        /// </summary>
+        private static readonly (string Format, string Header)[] Formats =
+        {
+            ("Zerodha Kite", "avgcost"),
+            ("Zerodha Console", "quantityavailable"),
+            ("Groww", "averagebuyprice")
+        };
+
+        private readonly StockService _stockService;
+        private readonly OrderExecutionService _orderExecution;
+        private readonly ILogger<PortfolioImportService> _logger;
+
+        public PortfolioImportService(StockService stockService, OrderExecutionService orderExecution,
+            ILogger<PortfolioImportService> logger)
+        {
+            _stockService = stockService ?? throw new ArgumentNullException(nameof(stockService));
+            _orderExecution = orderExecution ?? throw new ArgumentNullException(nameof(orderExecution));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Validates every row of the statement and, only if all of them pass and
+        /// the practice account can pay for them, buys the holdings. The import
+        /// claims its idempotency key like an order, so a resubmitted statement
+        /// is not bought twice; a row that fails is reported against that row.
+        /// </summary>
+        public PortfolioImportResult Import(string email, string csv, string idempotencyKey = null)
+        {
+            var statement = ParseStatement(csv);
+            var (holdings, errors) = Validate(statement, StockService.LocalEquityList ?? new List<Equities>());
+
+            var result = new PortfolioImportResult
+            {
+                Format = statement.Format,
+                Rows = statement.Rows.Count,
+                Holdings = holdings,
+                Errors = errors,
+                TotalCost = Math.Round(holdings.Sum(h => h.Quantity * h.AveragePrice), 2)
+            };
+
+            if (errors.Count > 0)
+            {
+                return result;
+            }
+
+            var key = idempotencyKey == null ? null : $"{OrderType}-{idempotencyKey}";
+            var original = _orderExecution.Claim(email, key);
+            if (original != null)
+            {
+                throw new DuplicateImportException(original.Status == OrderIdempotencyService.Filled
+                    ? "This statement has already been imported"
+                    : "This statement is already being imported");
+            }
+
+            double cash;
+            try
+            {
+                cash = _stockService.GetPortfolioValuation(email).Cash;
+            }
+            catch (Exception)
+            {
+                // No row has executed yet: free the key so the same statement can be retried
+                _orderExecution.Release(email, key);
+                throw;
+            }
+            if (result.TotalCost > cash)
+            {
+                _orderExecution.Release(email, key);
+                errors.Add(new ImportRowError
+                {
+                    Row = 0,
+                    Message = $"The holdings cost {result.TotalCost:0.00} but only {cash:0.00} is available"
+                });
+                return result;
+            }
+
+            foreach (var holding in holdings)
+            {
+                Execute(email, holding, errors);
+            }
+            _orderExecution.Complete(email, key);
+            result.Imported = true;
+
+            _logger.LogInformation("Imported {Count} holdings ({Format}) for user {Email}", holdings.Count - errors.Count, statement.Format, email);
+            return result;
+        }
+
+        private void Execute(string email, ImportedHolding holding, List<ImportRowError> errors)
+        {
+            try
+            {
+                var result = _orderExecution.Execute(new OrderExecutionRequest
+                {
+                    Email = email,
+                    Symbol = holding.Symbol,
+                    Quantity = holding.Quantity,
+                    Price = holding.AveragePrice,
+                    OrderType = OrderType,
+                    ChargeFees = false
+                });
+
+                if (result.Rejection != null)
+                {
+                    errors.Add(new ImportRowError { Row = holding.Row, Symbol = holding.Symbol, Message = result.Rejection.Message });
+                }
+            }
+            catch (Exception ex)
+            {
+                // Keep going: the rows already bought stay bought, so report this one and move on
+                _logger.LogError(ex, "Error importing row {Row} ({Symbol}) for user {Email}", holding.Row, holding.Symbol, email);
+                errors.Add(new ImportRowError { Row = holding.Row, Symbol = holding.Symbol, Message = "This holding could not be imported. Add it with a buy order" });
+            }
+        }
+
+        /// <summary>
+        /// Finds the header row - the first line with a symbol, ISIN or name
+        /// column, a quantity column and an average price column - and reads
+        /// the non-blank lines below it
+        /// </summary>
+        public static HoldingsStatement ParseStatement(string csv)
+        {
+            if (string.IsNullOrWhiteSpace(csv))
+            {
+                throw new InvalidHoldingsStatementException("The file is empty");
+            }
+
+            var lines = csv.TrimStart('\uFEFF').Split('\n').Select(line => line.TrimEnd('\r')).ToList();
+            for (var i = 0; i < Math.Min(lines.Count, MaxHeaderSearchLines); i++)
+            {
+                var headers = SplitCsvLine(lines[i]).Select(NormalizeHeader).ToList();
+                var symbol = FindColumn(headers, SymbolHeaders);
+                var isin = FindColumn(headers, IsinHeaders);
+                var name = FindColumn(headers, NameHeaders);
+                var quantity = FindColumn(headers, QuantityHeaders);
+                var price = FindColumn(headers, PriceHeaders);
+                if (quantity < 0 || price < 0 || (symbol < 0 && isin < 0 && name < 0))
+                {
+                    continue;
+                }
+
+                var statement = new HoldingsStatement
+                {
+                    Format = Formats.Where(f => headers.Contains(f.Header)).Select(f => f.Format).FirstOrDefault() ?? "Generic"
+                };
+
+                for (var j = i + 1; j < lines.Count; j++)
+                {
+                    var cells = SplitCsvLine(lines[j]);
+                    if (cells.All(string.IsNullOrWhiteSpace))
+                    {
+                        continue;
+                    }
+
+                    string Cell(int column) => column >= 0 && column < cells.Count ? cells[column].Trim() : string.Empty;
+                    statement.Rows.Add(new HoldingsStatementRow
+                    {
+                        Row = j + 1,
+                        Symbol = Cell(symbol),
+                        Isin = Cell(isin),
+                        Name = Cell(name),
+                        Quantity = Cell(quantity),
+                        AveragePrice = Cell(price)
+                    });
+                }
+
+                if (statement.Rows.Count > MaxRows)
+                {
+                    throw new InvalidHoldingsStatementException($"The file has {statement.Rows.Count} rows; at most {MaxRows} can be imported");
+                }
+                return statement;
+            }
+
+            throw new InvalidHoldingsStatementException("No header row with symbol, quantity and average price columns was found");
+        }
+
+        /// <summary>
+        /// Resolves each row to a listed symbol - by symbol, then ISIN, then
+        /// company name - and checks its quantity and price. Every problem is
+        /// reported against its row.
+        /// </summary>
+        public static (List<ImportedHolding> Holdings, List<ImportRowError> Errors) Validate(HoldingsStatement statement, IEnumerable<Equities> equities)
+        {
+            var listed = equities.Where(e => !string.IsNullOrEmpty(e.Symbol)).ToList();
+            var holdings = new List<ImportedHolding>();
+            var errors = new List<ImportRowError>();
+            var seen = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+
+            foreach (var row in statement.Rows)
+            {
+                var label = FirstNonEmpty(row.Symbol, row.Isin, row.Name);
+                void Reject(string message) => errors.Add(new ImportRowError { Row = row.Row, Symbol = label, Message = message });
+
+                var equity = FindBySymbol(listed, row.Symbol)
+                    ?? listed.FirstOrDefault(e => !string.IsNullOrEmpty(row.Isin) && string.Equals(e.IsinNumber, row.Isin, StringComparison.OrdinalIgnoreCase))
+                    ?? listed.FirstOrDefault(e => !string.IsNullOrEmpty(row.Name) && string.Equals(e.Name?.Trim(), row.Name, StringComparison.OrdinalIgnoreCase));
+
+                if (equity == null)
+                {
+                    Reject(string.IsNullOrEmpty(label) ? "Missing symbol" : $"Unknown symbol {label}");
+                    continue;
+                }
+
+                if (!TryParseNumber(row.Quantity, out var quantity) || quantity <= 0 || quantity != Math.Floor(quantity) || quantity > int.MaxValue)
+                {
+                    Reject($"Quantity '{row.Quantity}' must be a positive whole number");
+                    continue;
+                }
+
+                if (!TryParseNumber(row.AveragePrice, out var price) || price <= 0)
+                {
+                    Reject($"Average price '{row.AveragePrice}' must be a positive number");
+                    continue;
+                }
+
+                if (seen.TryGetValue(equity.Symbol, out var firstRow))
+                {
+                    Reject($"{equity.Symbol} is already on row {firstRow}");
+                    continue;
+                }
+                seen[equity.Symbol] = row.Row;
+
+                holdings.Add(new ImportedHolding
+                {
+                    Row = row.Row,
+                    Symbol = equity.Symbol.ToUpperInvariant(),
+                    Quantity = (int)quantity,
+                    AveragePrice = Math.Round(price, 2)
+                });
+            }
+
+            return (holdings, errors);
+        }
+
+        /// <summary>
+        /// Splits one CSV line, honouring quoted cells and doubled quotes inside them
+        /// </summary>
+        public static List<string> SplitCsvLine(string line)
+        {
+            var cells = new List<string>();
+            var cell = new StringBuilder();
+            var quoted = false;
+
+            for (var i = 0; i < line.Length; i++)
+            {
+                var c = line[i];
+                if (quoted)
+                {
+                    if (c == '"' && i + 1 < line.Length && line[i + 1] == '"')
+                    {
+                        cell.Append('"');
+                        i++;
+                    }
+                    else if (c == '"')
+                    {
+                        quoted = false;
+                    }
+                    else
+                    {
+                        cell.Append(c);
+                    }
+                }
+                else if (c == '"')
+                {
+                    quoted = true;
+                }
+                else if (c == ',')
+                {
+                    cells.Add(cell.ToString());
+                    cell.Clear();
+                }
+                else
+                {
+                    cell.Append(c);
+                }
+            }
+
+            cells.Add(cell.ToString());
+            return cells;
+        }
+
+        private static int FindColumn(List<string> headers, string[] aliases)
+        {
+            foreach (var alias in aliases)
+            {
+                var index = headers.IndexOf(alias);
+                if (index >= 0)
+                {
+                    return index;
+                }
+            }
+            return -1;
+        }
+
+        private static string NormalizeHeader(string header)
+        {
+            return new string(header.Where(char.IsLetterOrDigit).ToArray()).ToLowerInvariant();
+        }
+
+        /// <summary>
+        /// Matches a statement symbol without its exchange prefix (NSE:TCS) and,
+        /// failing that, without the series suffix Kite shows for non-EQ series (SBIN-BE)
+        /// </summary>
+        private static Equities FindBySymbol(List<Equities> listed, string symbol)
+        {
+            if (string.IsNullOrWhiteSpace(symbol))
+            {
+                return null;
+            }
+
+            var normalized = symbol.Trim();
+            var colon = normalized.IndexOf(':');
+            if (colon >= 0)
+            {
+                normalized = normalized.Substring(colon + 1);
+            }
+
+            var equity = listed.FirstOrDefault(e => string.Equals(e.Symbol, normalized, StringComparison.OrdinalIgnoreCase));
+            var dash = normalized.LastIndexOf('-');
+            if (equity == null && dash > 0 && normalized.Length - dash == 3)
+            {
+                var withoutSeries = normalized.Substring(0, dash);
+                equity = listed.FirstOrDefault(e => string.Equals(e.Symbol, withoutSeries, StringComparison.OrdinalIgnoreCase));
+            }
+            return equity;
+        }
+
+        private static bool TryParseNumber(string value, out double number)
+        {
+            var cleaned = (value ?? string.Empty).Replace(",", string.Empty).Replace("₹", string.Empty).Trim();
+            return double.TryParse(cleaned, NumberStyles.Float, CultureInfo.InvariantCulture, out number);
+        }
+
+        private static string FirstNonEmpty(params string[] values)
+        {
+            return values.FirstOrDefault(v => !string.IsNullOrWhiteSpace(v)) ?? string.Empty;
+        }
+    }
+}
@@ -0,0 +1,70 @@
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using System;
+using System.Globalization;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Takes the closing portfolio snapshot of every user once per trading day,
+    /// after SnapshotTime on the exchange clock
+    /// </summary>
+    public class PortfolioSnapshotSchedulerService : BackgroundService
+    {
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly PortfolioSnapshotConfiguration _config;
+        private readonly ILogger<PortfolioSnapshotSchedulerService> _logger;
+
+        private DateTime _lastSnapshotDate = DateTime.MinValue;
+
+        public PortfolioSnapshotSchedulerService(IServiceScopeFactory scopeFactory, IOptions<PortfolioSnapshotConfiguration> config,
+            ILogger<PortfolioSnapshotSchedulerService> logger)
+        {
+            _scopeFactory = scopeFactory ?? throw new ArgumentNullException(nameof(scopeFactory));
+            _config = config?.Value ?? throw new ArgumentNullException(nameof(config));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            if (!_config.Enabled)
+            {
+                return;
+            }
+
+            var snapshotTime = TimeSpan.TryParseExact(_config.SnapshotTime, @"hh\:mm", CultureInfo.InvariantCulture, out var time)
+                ? time
+                : new TimeSpan(15, 45, 0);
+            var interval = TimeSpan.FromSeconds(Math.Max(_config.CheckIntervalSeconds, 30));
+
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var marketSession = scope.ServiceProvider.GetRequiredService<MarketSessionService>();
+                    var today = marketSession.GetExchangeDate();
+                    var exchangeTime = marketSession.GetExchangeTime();
+
+                    if (today != _lastSnapshotDate && marketSession.IsTradingDay(today) && exchangeTime >= snapshotTime)
+                    {
+                        var taken = await scope.ServiceProvider.GetRequiredService<PortfolioSnapshotService>().TakeSnapshotsAsync(today);
+                        _lastSnapshotDate = today;
+                        _logger.LogInformation("Took {Count} portfolio snapshots for {Date:yyyy-MM-dd}", taken, today);
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error taking portfolio snapshots");
+                }
+
+                await Task.Delay(interval, stoppingToken);
+            }
+        }
+    }
+}
@@ -0,0 +1,157 @@
+using Microsoft.Extensions.Logging;
+using MongoDB.Driver;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Records each user's cash, invested amount and portfolio value once per
+    /// trading day, per game, for the dashboard's equity curve
+    /// </summary>
+    public class PortfolioSnapshotService
+    {
+        private static readonly string[] GameTypes = { "", "C1" };
+        private static bool _indexesCreated;
+
+        private readonly IMongoCollection<PortfolioSnapshot> _snapshotCollection;
+        private readonly StockService _stockService;
+        private readonly UserService _userService;
+        private readonly ILogger<PortfolioSnapshotService> _logger;
+
+        public PortfolioSnapshotService(IMongoClient mongoClient, StockService stockService, UserService userService,
+            ILogger<PortfolioSnapshotService> logger)
+        {
+            if (mongoClient == null) throw new ArgumentNullException(nameof(mongoClient));
+            _stockService = stockService ?? throw new ArgumentNullException(nameof(stockService));
+            _userService = userService ?? throw new ArgumentNullException(nameof(userService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _snapshotCollection = mongoClient.GetDatabase("HomeStocks").GetCollection<PortfolioSnapshot>("PortfolioSnapshots");
+            EnsureIndexes();
+        }
+
+        /// <summary>
+        /// Snapshots every participant of both games for the given trading day.
+        /// A user already snapshotted that day is valued again and overwritten,
+        /// so re-running the job is harmless.
+        /// </summary>
+        public async Task<int> TakeSnapshotsAsync(DateTime exchangeDate)
+        {
+            var taken = 0;
+            foreach (var gameType in GameTypes)
+            {
+                foreach (var participant in _userService.GetParticipants(gameType))
+                {
+                    try
+                    {
+                        await TakeSnapshotAsync(participant.Email, gameType, exchangeDate);
+                        taken++;
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "Error taking portfolio snapshot of user {Email} in game {GameType}", participant.Email, gameType);
+                    }
+                }
+            }
+            return taken;
+        }
+
+        /// <summary>
+        /// Values one user's portfolio at current prices and stores it as the day's snapshot
+        /// </summary>
+        public async Task<PortfolioSnapshot> TakeSnapshotAsync(string email, string gameType, DateTime exchangeDate)
+        {
+            var valuation = _stockService.GetPortfolioValuation(email, gameType);
+            var snapshot = new PortfolioSnapshot
+            {
+                Email = email,
+                GameType = gameType ?? string.Empty,
+                Date = exchangeDate.Date,
+                Cash = Math.Round(valuation.Cash, 2),
+                Invested = valuation.Invested,
+                HoldingsValue = valuation.HoldingsValue,
+                TotalValue = Math.Round(valuation.Cash + valuation.HoldingsValue, 2)
+            };
+
+            var existing = await _snapshotCollection
+                .Find(s => s.Email == snapshot.Email && s.GameType == snapshot.GameType && s.Date == snapshot.Date)
+                .FirstOrDefaultAsync();
+            if (existing == null)
+            {
+                await _snapshotCollection.InsertOneAsync(snapshot);
+            }
+            else
+            {
+                snapshot.Id = existing.Id;
+                await _snapshotCollection.ReplaceOneAsync(s => s.Id == existing.Id, snapshot);
+            }
+            return snapshot;
+        }
+
+        /// <summary>
+        /// The user's snapshots of one game, oldest first, optionally from a date on
+        /// </summary>
+        public async Task<List<PortfolioSnapshot>> GetSnapshotsAsync(string email, string gameType, DateTime? from = null)
+        {
+            var builder = Builders<PortfolioSnapshot>.Filter;
+            var filter = builder.Eq(s => s.Email, email) & builder.Eq(s => s.GameType, gameType ?? string.Empty);
+            if (from.HasValue)
+            {
+                filter &= builder.Gte(s => s.Date, from.Value.Date);
+            }
+
+            return await _snapshotCollection.Find(filter).SortBy(s => s.Date).ToListAsync();
+        }
+
+        /// <summary>
+        /// Every participant's snapshots of one game, oldest first, for the leaderboard
+        /// </summary>
+        public async Task<List<PortfolioSnapshot>> GetGameSnapshotsAsync(string gameType, DateTime? from = null)
+        {
+            var builder = Builders<PortfolioSnapshot>.Filter;
+            var filter = builder.Eq(s => s.GameType, gameType ?? string.Empty);
+            if (from.HasValue)
+            {
+                filter &= builder.Gte(s => s.Date, from.Value.Date);
+            }
+
+            return await _snapshotCollection.Find(filter).SortBy(s => s.Date).ToListAsync();
+        }
+
+        /// <summary>
+        /// Every participant's snapshot of the latest snapshot date of one game
+        /// </summary>
+        public async Task<List<PortfolioSnapshot>> GetLatestGameSnapshotsAsync(string gameType)
+        {
+            var filter = Builders<PortfolioSnapshot>.Filter.Eq(s => s.GameType, gameType ?? string.Empty);
+            var latest = await _snapshotCollection.Find(filter).SortByDescending(s => s.Date).Limit(1).FirstOrDefaultAsync();
+            if (latest == null)
+            {
+                return new List<PortfolioSnapshot>();
+            }
+
+            filter &= Builders<PortfolioSnapshot>.Filter.Eq(s => s.Date, latest.Date);
+            return await _snapshotCollection.Find(filter).ToListAsync();
+        }
+
+        private void EnsureIndexes()
+        {
+            if (_indexesCreated) return;
+
+            try
+            {
+                var keys = Builders<PortfolioSnapshot>.IndexKeys;
+                _snapshotCollection.Indexes.CreateOne(new CreateIndexModel<PortfolioSnapshot>(
+                    keys.Ascending(s => s.Email).Ascending(s => s.GameType).Ascending(s => s.Date),
+                    new CreateIndexOptions { Unique = true }));
+                _indexesCreated = true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating portfolio snapshot indexes");
+            }
+        }
+    }
+}
@@ -0,0 +1,233 @@
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Time-weighted return (TWR) and money-weighted return (XIRR) of a user's
+    /// investments. Unlike P&amp;L over the amount invested, neither is distorted
+    /// by money moving in and out of holdings as the user trades.
+    /// </summary>
+    public class ReturnsService
+    {
+        private const double DaysPerYear = 365.0;
+        private static readonly TimeSpan LeaderboardCacheDuration = TimeSpan.FromMinutes(15);
+
+        private readonly PortfolioSnapshotService _snapshotService;
+        private readonly TradeHistoryService _tradeHistoryService;
+        private readonly CorporateActionService _corporateActionService;
+        private readonly StockService _stockService;
+        private readonly IMemoryCache _cache;
+        private readonly ILogger<ReturnsService> _logger;
+
+        public ReturnsService(PortfolioSnapshotService snapshotService, TradeHistoryService tradeHistoryService,
+            CorporateActionService corporateActionService, StockService stockService, IMemoryCache cache, ILogger<ReturnsService> logger)
+        {
+            _snapshotService = snapshotService ?? throw new ArgumentNullException(nameof(snapshotService));
+            _tradeHistoryService = tradeHistoryService ?? throw new ArgumentNullException(nameof(tradeHistoryService));
+            _corporateActionService = corporateActionService ?? throw new ArgumentNullException(nameof(corporateActionService));
+            _stockService = stockService ?? throw new ArgumentNullException(nameof(stockService));
+            _cache = cache ?? throw new ArgumentNullException(nameof(cache));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Returns of the user's investments in one game
+        /// </summary>
+        public async Task<ReturnMetrics> GetReturnsAsync(string email, string gameType)
+        {
+            gameType ??= string.Empty;
+            var snapshots = await _snapshotService.GetSnapshotsAsync(email, gameType);
+            return await CalculateAsync(email, gameType, snapshots);
+        }
+
+        /// <summary>
+        /// Returns of every participant with snapshots in one game. Valuing open
+        /// positions needs a quote per participant, so the result is cached.
+        /// </summary>
+        public async Task<List<ReturnMetrics>> GetLeaderboardReturnsAsync(string gameType)
+        {
+            gameType ??= string.Empty;
+            var cacheKey = $"leaderboard-returns-{gameType}";
+            if (_cache.TryGetValue(cacheKey, out List<ReturnMetrics> cached))
+            {
+                return cached;
+            }
+
+            var returns = new List<ReturnMetrics>();
+            var snapshots = await _snapshotService.GetGameSnapshotsAsync(gameType);
+            foreach (var group in snapshots.GroupBy(s => s.Email))
+            {
+                try
+                {
+                    returns.Add(await CalculateAsync(group.Key, gameType, group.OrderBy(s => s.Date).ToList()));
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error calculating returns of user {Email} in game {GameType}", group.Key, gameType);
+                }
+            }
+
+            _cache.Set(cacheKey, returns, LeaderboardCacheDuration);
+            return returns;
+        }
+
+        private async Task<ReturnMetrics> CalculateAsync(string email, string gameType, List<PortfolioSnapshot> snapshots)
+        {
+            var trades = await _tradeHistoryService.GetFilledTradesAsync(email, gameType);
+            var dividends = (await _corporateActionService.GetLedgerAsync(email, gameType))
+                .Where(e => e.Amount != 0)
+                .Select(e => (e.ExDate.Date, e.Amount))
+                .ToList();
+
+            var positions = new List<(int Quantity, double Price)>();
+            if (trades.Count > 0)
+            {
+                var equity = await _stockService.GetUserEquityByEmail(email, gameType);
+                positions = equity.UserStockList.Select(s => (s.Count, s.Price)).ToList();
+            }
+
+            var flows = CashFlows(trades, dividends, positions, DateTime.UtcNow);
+            return new ReturnMetrics
+            {
+                Email = email,
+                GameType = gameType,
+                TimeWeightedReturn = TimeWeightedReturn(snapshots, dividends),
+                Xirr = Xirr(flows),
+                From = new[] { snapshots.FirstOrDefault()?.Date, flows.Count > 0 ? flows[0].Date : (DateTime?)null }
+                    .Where(d => d.HasValue)
+                    .Min(),
+                CashFlows = flows.Count
+            };
+        }
+
+        /// <summary>
+        /// Chain-linked daily return of the holdings, in percent. Each day's trade
+        /// money is the change in cash not explained by dividends, and counts as
+        /// added at the start of the day: r = (holdings + dividends) / (previous holdings + trade money) - 1.
+        /// Days with nothing invested are skipped.
+        /// </summary>
+        public static double? TimeWeightedReturn(IReadOnlyList<PortfolioSnapshot> snapshots, IReadOnlyList<(DateTime Date, double Amount)> dividends)
+        {
+            var growth = 1.0;
+            var periods = 0;
+            for (var i = 1; i < snapshots.Count; i++)
+            {
+                var previous = snapshots[i - 1];
+                var current = snapshots[i];
+                var dividendIncome = dividends
+                    .Where(d => d.Date > previous.Date.Date && d.Date <= current.Date.Date)
+                    .Sum(d => d.Amount);
+                var tradeMoney = -(current.Cash - previous.Cash) + dividendIncome;
+                var start = previous.HoldingsValue + tradeMoney;
+                if (start <= 0)
+                {
+                    continue;
+                }
+
+                growth *= (current.HoldingsValue + dividendIncome) / start;
+                periods++;
+            }
+
+            return periods > 0 ? Math.Round((growth - 1) * 100, 2) : (double?)null;
+        }
+
+        /// <summary>
+        /// Cash flows of the investments, oldest first: buys (cost and charges) out,
+        /// sells (proceeds less charges) and dividends in, and the current value of
+        /// open positions - less what it would cost to cover shorts - as the last.
+        /// </summary>
+        public static List<(DateTime Date, double Amount)> CashFlows(IEnumerable<TradeRecord> trades,
+            IEnumerable<(DateTime Date, double Amount)> dividends, IEnumerable<(int Quantity, double Price)> positions, DateTime asOf)
+        {
+            var flows = trades
+                .Where(t => t.Quantity > 0)
+                .Select(t => string.Equals(t.Side, "BUY", StringComparison.OrdinalIgnoreCase)
+                    ? (t.Timestamp, -(t.Quantity * t.Price + t.Fees))
+                    : (t.Timestamp, t.Quantity * t.Price - t.Fees))
+                .Concat(dividends)
+                .OrderBy(f => f.Item1)
+                .ToList();
+
+            if (flows.Count > 0)
+            {
+                flows.Add((asOf, positions.Sum(p => p.Quantity * p.Price)));
+            }
+            return flows;
+        }
+
+        /// <summary>
+        /// Annualized rate, in percent, at which the cash flows' present value is
+        /// zero. Null without both money out and money in, or over less than a day.
+        /// </summary>
+        public static double? Xirr(IReadOnlyList<(DateTime Date, double Amount)> flows)
+        {
+            if (flows.Count < 2 || !flows.Any(f => f.Amount < 0) || !flows.Any(f => f.Amount > 0))
+            {
+                return null;
+            }
+
+            var start = flows.Min(f => f.Date);
+            if ((flows.Max(f => f.Date) - start).TotalDays < 1)
+            {
+                return null;
+            }
+
+            var years = flows.Select(f => (f.Date - start).TotalDays / DaysPerYear).ToList();
+            double PresentValue(double rate) => flows.Select((f, i) => f.Amount / Math.Pow(1 + rate, years[i])).Sum();
+            double Derivative(double rate) => flows.Select((f, i) => -years[i] * f.Amount / Math.Pow(1 + rate, years[i] + 1)).Sum();
+
+            // Newton's method from 10%, falling back to bisection if it leaves the domain or stalls
+            var guess = 0.1;
+            for (var i = 0; i < 50; i++)
+            {
+                var slope = Derivative(guess);
+                if (Math.Abs(slope) < 1e-12)
+                {
+                    break;
+                }
+
+                var next = guess - PresentValue(guess) / slope;
+                if (double.IsNaN(next) || next <= -1)
+                {
+                    break;
+                }
+                if (Math.Abs(next - guess) < 1e-9)
+                {
+                    return Math.Round(next * 100, 2);
+                }
+                guess = next;
+            }
+
+            var low = -0.9999;
+            var high = 1.0;
+            while (Math.Sign(PresentValue(low)) == Math.Sign(PresentValue(high)) && high < 1e6)
+            {
+                high *= 2;
+            }
+            if (Math.Sign(PresentValue(low)) == Math.Sign(PresentValue(high)))
+            {
+                return null;
+            }
+
+            for (var i = 0; i < 200 && high - low > 1e-9; i++)
+            {
+                var mid = (low + high) / 2;
+                if (Math.Sign(PresentValue(mid)) == Math.Sign(PresentValue(low)))
+                {
+                    low = mid;
+                }
+                else
+                {
+                    high = mid;
+                }
+            }
+            return Math.Round((low + high) / 2 * 100, 2);
+        }
+    }
+}
@@ -0,0 +1,188 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Volatility, max drawdown, Sharpe, Sortino and beta of a portfolio, from
+    /// the daily returns between its closing snapshots and the benchmark
+    /// index's closes on the same days
+    /// </summary>
+    public class RiskAnalyticsService
+    {
+        private readonly PortfolioSnapshotService _snapshotService;
+        private readonly BenchmarkService _benchmarkService;
+        private readonly RiskAnalyticsConfiguration _config;
+        private readonly ILogger<RiskAnalyticsService> _logger;
+
+        public RiskAnalyticsService(PortfolioSnapshotService snapshotService, BenchmarkService benchmarkService,
+            IOptions<RiskAnalyticsConfiguration> config, ILogger<RiskAnalyticsService> logger)
+        {
+            _snapshotService = snapshotService ?? throw new ArgumentNullException(nameof(snapshotService));
+            _benchmarkService = benchmarkService ?? throw new ArgumentNullException(nameof(benchmarkService));
+            _config = config?.Value ?? new RiskAnalyticsConfiguration();
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Risk of the user's portfolio in one game
+        /// </summary>
+        public async Task<RiskMetrics> GetRiskAsync(string email, string gameType)
+        {
+            var snapshots = await _snapshotService.GetSnapshotsAsync(email, gameType);
+            var benchmark = snapshots.Count > 1
+                ? await GetBenchmarkAsync(snapshots[0].Date)
+                : new List<(DateTime Date, double Close)>();
+
+            var metrics = Calculate(snapshots.Select(s => (s.Date, s.TotalValue)).ToList(), benchmark);
+            metrics.Email = email;
+            metrics.GameType = gameType ?? string.Empty;
+            return metrics;
+        }
+
+        /// <summary>
+        /// Risk of every participant's portfolio in one game
+        /// </summary>
+        public async Task<List<RiskMetrics>> GetLeaderboardRiskAsync(string gameType)
+        {
+            var snapshots = await _snapshotService.GetGameSnapshotsAsync(gameType);
+            if (snapshots.Count == 0)
+            {
+                return new List<RiskMetrics>();
+            }
+
+            var benchmark = await GetBenchmarkAsync(snapshots.Min(s => s.Date));
+            return snapshots
+                .GroupBy(s => s.Email)
+                .Select(group =>
+                {
+                    var metrics = Calculate(group.OrderBy(s => s.Date).Select(s => (s.Date, s.TotalValue)).ToList(), benchmark);
+                    metrics.Email = group.Key;
+                    metrics.GameType = gameType ?? string.Empty;
+                    return metrics;
+                })
+                .ToList();
+        }
+
+        /// <summary>
+        /// Metrics of a series of daily portfolio values (oldest first). Beta uses
+        /// the benchmark's return between the same pair of days as each portfolio
+        /// return and is null when the benchmark is unavailable.
+        /// </summary>
+        public RiskMetrics Calculate(IReadOnlyList<(DateTime Date, double Value)> values, IReadOnlyList<(DateTime Date, double Close)> benchmark)
+        {
+            var metrics = new RiskMetrics
+            {
+                Benchmark = _config.BenchmarkName,
+                From = values.Count > 0 ? values[0].Date : (DateTime?)null,
+                To = values.Count > 0 ? values[values.Count - 1].Date : (DateTime?)null
+            };
+
+            var returns = new List<double>();
+            var benchmarkReturns = new List<(double Portfolio, double Benchmark)>();
+            var closes = benchmark.GroupBy(b => b.Date.Date).ToDictionary(g => g.Key, g => g.Last().Close);
+
+            for (var i = 1; i < values.Count; i++)
+            {
+                if (values[i - 1].Value <= 0)
+                {
+                    continue;
+                }
+
+                var portfolioReturn = values[i].Value / values[i - 1].Value - 1;
+                returns.Add(portfolioReturn);
+
+                if (closes.TryGetValue(values[i - 1].Date.Date, out var previousClose)
+                    && closes.TryGetValue(values[i].Date.Date, out var close)
+                    && previousClose > 0)
+                {
+                    benchmarkReturns.Add((portfolioReturn, close / previousClose - 1));
+                }
+            }
+
+            metrics.Observations = returns.Count;
+            if (returns.Count < Math.Max(_config.MinReturns, 2))
+            {
+                return metrics;
+            }
+
+            var periodsPerYear = _config.TradingDaysPerYear;
+            var dailyRiskFree = _config.RiskFreeRate / periodsPerYear;
+            var mean = returns.Average();
+            var deviation = StandardDeviation(returns);
+            var downsideDeviation = Math.Sqrt(returns.Sum(r => Math.Pow(Math.Min(0, r - dailyRiskFree), 2)) / returns.Count);
+
+            metrics.Volatility = Math.Round(deviation * Math.Sqrt(periodsPerYear) * 100, 2);
+            metrics.MaxDrawdown = Math.Round(MaxDrawdown(values.Select(v => v.Value)) * 100, 2);
+            metrics.Sharpe = deviation > 0
+                ? Math.Round((mean - dailyRiskFree) / deviation * Math.Sqrt(periodsPerYear), 2)
+                : (double?)null;
+            metrics.Sortino = downsideDeviation > 0
+                ? Math.Round((mean - dailyRiskFree) / downsideDeviation * Math.Sqrt(periodsPerYear), 2)
+                : (double?)null;
+            metrics.Beta = Beta(benchmarkReturns);
+            return metrics;
+        }
+
+        private double? Beta(List<(double Portfolio, double Benchmark)> pairs)
+        {
+            if (pairs.Count < Math.Max(_config.MinReturns, 2))
+            {
+                return null;
+            }
+
+            var portfolioMean = pairs.Average(p => p.Portfolio);
+            var benchmarkMean = pairs.Average(p => p.Benchmark);
+            var covariance = pairs.Sum(p => (p.Portfolio - portfolioMean) * (p.Benchmark - benchmarkMean)) / (pairs.Count - 1);
+            var variance = pairs.Sum(p => Math.Pow(p.Benchmark - benchmarkMean, 2)) / (pairs.Count - 1);
+            return variance > 0 ? Math.Round(covariance / variance, 2) : (double?)null;
+        }
+
+        private static double StandardDeviation(List<double> values)
+        {
+            var mean = values.Average();
+            return Math.Sqrt(values.Sum(v => Math.Pow(v - mean, 2)) / (values.Count - 1));
+        }
+
+        /// <summary>
+        /// Largest peak-to-trough fall as a fraction of the peak
+        /// </summary>
+        private static double MaxDrawdown(IEnumerable<double> values)
+        {
+            var peak = double.MinValue;
+            var maxDrawdown = 0.0;
+            foreach (var value in values)
+            {
+                peak = Math.Max(peak, value);
+                if (peak > 0)
+                {
+                    maxDrawdown = Math.Max(maxDrawdown, (peak - value) / peak);
+                }
+            }
+            return maxDrawdown;
+        }
+
+        /// <summary>
+        /// Benchmark closes from the given date to today. An unavailable
+        /// benchmark yields an empty series, which leaves beta null.
+        /// </summary>
+        private async Task<List<(DateTime Date, double Close)>> GetBenchmarkAsync(DateTime from)
+        {
+            try
+            {
+                return await _benchmarkService.GetClosesAsync(_config.BenchmarkSymbol, from);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not load {Benchmark} closes; beta will be unavailable", _config.BenchmarkSymbol);
+                return new List<(DateTime Date, double Close)>();
+            }
+        }
+    }
+}
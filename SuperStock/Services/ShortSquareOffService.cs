@@ -0,0 +1,120 @@
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using SuperStock.Models;
+using System;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Buys back intraday shorts. From the configured square-off time every open
+    /// short is due (no new ones can open then); before it, each check still
+    /// squares off shorts opened on an earlier exchange day, e.g. while the app
+    /// was down. Times come from MarketSessionService so both share one clock.
+    /// </summary>
+    public class ShortSquareOffService : BackgroundService
+    {
+        /// <summary>
+        /// Practice and competition holdings collections
+        /// </summary>
+        private static readonly string[] GameTypes = { "", "C1" };
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly ShortSellingConfiguration _config;
+        private readonly ILogger<ShortSquareOffService> _logger;
+
+        public ShortSquareOffService(IServiceScopeFactory scopeFactory, IOptions<ShortSellingConfiguration> config, ILogger<ShortSquareOffService> logger)
+        {
+            _scopeFactory = scopeFactory ?? throw new ArgumentNullException(nameof(scopeFactory));
+            _config = config?.Value ?? throw new ArgumentNullException(nameof(config));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            if (!_config.Enabled)
+            {
+                return;
+            }
+
+            var interval = TimeSpan.FromSeconds(Math.Max(_config.CheckIntervalSeconds, 5));
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    await SquareOffDueAsync();
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error squaring off intraday shorts");
+                }
+
+                await Task.Delay(interval, stoppingToken);
+            }
+        }
+
+        private async Task SquareOffDueAsync()
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var stockService = scope.ServiceProvider.GetRequiredService<StockService>();
+            var orderExecution = scope.ServiceProvider.GetRequiredService<OrderExecutionService>();
+            var marketSession = scope.ServiceProvider.GetRequiredService<MarketSessionService>();
+
+            var pastSquareOff = !marketSession.IsShortSellingAllowed();
+            var today = marketSession.GetExchangeDate();
+
+            foreach (var gameType in GameTypes)
+            {
+                // Shorts without an open time predate tracking, so count as carried
+                var positions = stockService.GetShortPositions(gameType)
+                    .Where(p => pastSquareOff || p.OpenedAt == null || marketSession.GetExchangeDate(p.OpenedAt.Value) < today)
+                    .ToList();
+                if (positions.Count == 0)
+                {
+                    continue;
+                }
+
+                var symbols = positions.Select(p => p.Stock + ".NS").Distinct().ToArray();
+                var prices = (await stockService.GetStockPrice(symbols)).ToDictionary(s => s.Name, s => s.Price);
+
+                foreach (var position in positions)
+                {
+                    if (!prices.TryGetValue(position.Stock, out var price) || price <= 0)
+                    {
+                        _logger.LogWarning("No price for {Symbol}; short of {Email} left open", position.Stock, position.Email);
+                        continue;
+                    }
+
+                    try
+                    {
+                        var result = orderExecution.Submit(new OrderExecutionRequest
+                        {
+                            Email = position.Email,
+                            GameType = gameType,
+                            Symbol = position.Stock,
+                            Quantity = position.Quantity,
+                            Price = price,
+                            OrderType = "SQUARE_OFF",
+                            Intraday = true
+                        });
+                        if (result.Rejection != null)
+                        {
+                            _logger.LogError(result.Rejection, "Square-off of {Quantity} {Symbol} for user {Email} was rejected", position.Quantity, position.Stock, position.Email);
+                        }
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "Error squaring off {Quantity} {Symbol} for user {Email}", position.Quantity, position.Stock, position.Email);
+                    }
+                }
+
+                _logger.LogInformation("Squared off {Count} {Kind} shorts in game '{GameType}'", positions.Count, pastSquareOff ? "intraday" : "carried", gameType);
+            }
+        }
+    }
+}
@@ -0,0 +1,60 @@
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using System;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Executes due SIP instalments while the market is open. Instalments that
+    /// fall due while it is closed run at the next open.
+    /// </summary>
+    public class SipSchedulerService : BackgroundService
+    {
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly SipConfiguration _config;
+        private readonly ILogger<SipSchedulerService> _logger;
+
+        public SipSchedulerService(IServiceScopeFactory scopeFactory, IOptions<SipConfiguration> config, ILogger<SipSchedulerService> logger)
+        {
+            _scopeFactory = scopeFactory ?? throw new ArgumentNullException(nameof(scopeFactory));
+            _config = config?.Value ?? throw new ArgumentNullException(nameof(config));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            if (!_config.Enabled)
+            {
+                return;
+            }
+
+            var interval = TimeSpan.FromSeconds(Math.Max(_config.CheckIntervalSeconds, 5));
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    if (scope.ServiceProvider.GetRequiredService<MarketSessionService>().IsOrderExecutionAllowed())
+                    {
+                        var executed = await scope.ServiceProvider.GetRequiredService<SipService>().ExecuteDuePlansAsync(DateTime.UtcNow);
+                        if (executed > 0)
+                        {
+                            _logger.LogInformation("Executed {Count} SIP instalments", executed);
+                        }
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error executing SIP instalments");
+                }
+
+                await Task.Delay(interval, stoppingToken);
+            }
+        }
+    }
+}
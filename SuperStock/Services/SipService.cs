@@ -0,0 +1,409 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using MongoDB.Driver;
+using SuperStock.Configuration;
+using SuperStock.Exceptions;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Manages systematic investment plans and executes their instalments as
+    /// ordinary market buys through OrderExecutionService: same price source,
+    /// fee schedule, funds checks, tax lots and order history as an order
+    /// placed from the order form
+    /// </summary>
+    public class SipService
+    {
+        public const string Daily = "DAILY";
+        public const string Weekly = "WEEKLY";
+        public const string Monthly = "MONTHLY";
+
+        public const string Active = "ACTIVE";
+        public const string Paused = "PAUSED";
+
+        public const string Skipped = "SKIPPED";
+
+        private const int MaxExecutions = 200;
+
+        private static bool _indexesCreated;
+
+        private readonly IMongoCollection<SipPlan> _planCollection;
+        private readonly IMongoCollection<SipExecution> _executionCollection;
+        private readonly StockService _stockService;
+        private readonly FeeCalculator _feeCalculator;
+        private readonly OrderExecutionService _orderExecution;
+        private readonly MarketSessionService _marketSession;
+        private readonly SipConfiguration _config;
+        private readonly ILogger<SipService> _logger;
+
+        public SipService(IMongoClient mongoClient, StockService stockService, FeeCalculator feeCalculator,
+            OrderExecutionService orderExecution, MarketSessionService marketSession,
+            IOptions<SipConfiguration> config, ILogger<SipService> logger)
+        {
+            if (mongoClient == null) throw new ArgumentNullException(nameof(mongoClient));
+            _stockService = stockService ?? throw new ArgumentNullException(nameof(stockService));
+            _feeCalculator = feeCalculator ?? throw new ArgumentNullException(nameof(feeCalculator));
+            _orderExecution = orderExecution ?? throw new ArgumentNullException(nameof(orderExecution));
+            _marketSession = marketSession ?? throw new ArgumentNullException(nameof(marketSession));
+            _config = config?.Value ?? new SipConfiguration();
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+
+            var database = mongoClient.GetDatabase("HomeStocks");
+            _planCollection = database.GetCollection<SipPlan>("SipPlans");
+            _executionCollection = database.GetCollection<SipExecution>("SipExecutions");
+            EnsureIndexes();
+        }
+
+        /// <summary>
+        /// The user's plans, oldest first. A null game type returns every game's plans.
+        /// </summary>
+        public async Task<List<SipPlan>> GetPlansAsync(string email, string gameType = null)
+        {
+            var builder = Builders<SipPlan>.Filter;
+            var filter = builder.Eq(p => p.Email, email);
+            if (gameType != null)
+            {
+                filter &= builder.Eq(p => p.GameType, gameType);
+            }
+
+            return await _planCollection.Find(filter).SortBy(p => p.CreatedAt).ToListAsync();
+        }
+
+        public async Task<SipPlan> CreatePlanAsync(string email, SipPlanRequest request)
+        {
+            var existing = await _planCollection.CountDocumentsAsync(p => p.Email == email);
+            if (existing >= _config.MaxPlansPerUser)
+            {
+                throw new InvalidSipPlanException($"You can have at most {_config.MaxPlansPerUser} SIP plans");
+            }
+
+            var plan = new SipPlan
+            {
+                Email = email,
+                GameType = request.GameType ?? string.Empty,
+                Status = Active
+            };
+            await ApplyRequestAsync(plan, request);
+            plan.NextRunAt = GetNextRunAt(plan, DateTimeOffset.UtcNow);
+
+            await _planCollection.InsertOneAsync(plan);
+            _logger.LogInformation("Created {Frequency} SIP of {Amount} in {Symbol} for user {Email}", plan.Frequency, plan.Amount, plan.Symbol, email);
+            return plan;
+        }
+
+        /// <summary>
+        /// Changes a plan's stock, amount or schedule. The game stays as created.
+        /// </summary>
+        public async Task<SipPlan> UpdatePlanAsync(string email, string planId, SipPlanRequest request)
+        {
+            var plan = await GetPlanAsync(email, planId);
+            await ApplyRequestAsync(plan, request);
+            if (plan.Status == Active)
+            {
+                plan.NextRunAt = GetNextRunAt(plan, DateTimeOffset.UtcNow);
+            }
+
+            await _planCollection.ReplaceOneAsync(p => p.Id == plan.Id, plan);
+            return plan;
+        }
+
+        /// <summary>
+        /// Pauses a plan, or resumes it from its next scheduled day
+        /// </summary>
+        public async Task<SipPlan> SetPausedAsync(string email, string planId, bool paused)
+        {
+            var plan = await GetPlanAsync(email, planId);
+            plan.Status = paused ? Paused : Active;
+            plan.NextRunAt = paused ? (DateTime?)null : GetNextRunAt(plan, DateTimeOffset.UtcNow);
+
+            await _planCollection.UpdateOneAsync(p => p.Id == plan.Id, Builders<SipPlan>.Update
+                .Set(p => p.Status, plan.Status)
+                .Set(p => p.NextRunAt, plan.NextRunAt));
+            return plan;
+        }
+
+        /// <summary>
+        /// Deletes a plan. Its execution history and the trades it made are kept.
+        /// </summary>
+        public async Task DeletePlanAsync(string email, string planId)
+        {
+            var result = await _planCollection.DeleteOneAsync(p => p.Id == planId && p.Email == email);
+            if (result.DeletedCount == 0)
+            {
+                throw new SipPlanNotFoundException(planId);
+            }
+        }
+
+        /// <summary>
+        /// The user's instalments, newest first, optionally of one plan
+        /// </summary>
+        public async Task<List<SipExecution>> GetExecutionsAsync(string email, string planId = null)
+        {
+            var builder = Builders<SipExecution>.Filter;
+            var filter = builder.Eq(e => e.Email, email);
+            if (!string.IsNullOrWhiteSpace(planId))
+            {
+                filter &= builder.Eq(e => e.PlanId, planId);
+            }
+
+            return await _executionCollection.Find(filter)
+                .SortByDescending(e => e.ExecutedAt)
+                .Limit(MaxExecutions)
+                .ToListAsync();
+        }
+
+        /// <summary>
+        /// Executes every active plan that is due. Each plan is claimed by moving
+        /// its next run forward first, so an instalment never runs twice and plans
+        /// missed while the app was down run once, not once per missed day.
+        /// </summary>
+        public async Task<int> ExecuteDuePlansAsync(DateTime utcNow)
+        {
+            var duePlans = await _planCollection
+                .Find(p => p.Status == Active && p.NextRunAt != null && p.NextRunAt <= utcNow)
+                .ToListAsync();
+
+            var executed = 0;
+            foreach (var plan in duePlans)
+            {
+                var nextRunAt = GetNextRunAt(plan, new DateTimeOffset(utcNow, TimeSpan.Zero));
+                var claimed = await _planCollection.FindOneAndUpdateAsync(
+                    p => p.Id == plan.Id && p.Status == Active && p.NextRunAt == plan.NextRunAt,
+                    Builders<SipPlan>.Update.Set(p => p.NextRunAt, nextRunAt));
+                if (claimed == null)
+                {
+                    continue;
+                }
+
+                await ExecutePlanAsync(plan);
+                executed++;
+            }
+            return executed;
+        }
+
+        /// <summary>
+        /// When the next instalment after the given instant is due (UTC). A scheduled
+        /// day that is a weekend or market holiday runs on the next trading day.
+        /// </summary>
+        public DateTime GetNextRunAt(SipPlan plan, DateTimeOffset after)
+        {
+            var timeZone = TimeZoneInfo.FindSystemTimeZoneById(_marketSession.Schedule.TimeZoneId);
+            var executionTime = ParseTime(_config.ExecutionTime);
+            var day = TimeZoneInfo.ConvertTime(after, timeZone).Date;
+
+            // A monthly plan is scheduled at least once in any 31 days; the rest is holiday slack
+            for (var i = 0; i < 400; i++, day = day.AddDays(1))
+            {
+                if (!IsScheduledDay(plan, day))
+                {
+                    continue;
+                }
+
+                var runDay = day;
+                while (!_marketSession.IsTradingDay(runDay))
+                {
+                    runDay = runDay.AddDays(1);
+                }
+
+                var local = DateTime.SpecifyKind(runDay + executionTime, DateTimeKind.Unspecified);
+                var runAt = new DateTimeOffset(local, timeZone.GetUtcOffset(local));
+                if (runAt > after)
+                {
+                    return runAt.UtcDateTime;
+                }
+            }
+
+            throw new InvalidSipPlanException("The plan has no upcoming instalment");
+        }
+
+        private static bool IsScheduledDay(SipPlan plan, DateTime day)
+        {
+            switch (plan.Frequency)
+            {
+                case Weekly:
+                    return (int)day.DayOfWeek == plan.DayOfWeek;
+                case Monthly:
+                    return day.Day == plan.DayOfMonth;
+                default:
+                    return day.DayOfWeek != DayOfWeek.Saturday && day.DayOfWeek != DayOfWeek.Sunday;
+            }
+        }
+
+        private async Task ExecutePlanAsync(SipPlan plan)
+        {
+            var execution = new SipExecution
+            {
+                PlanId = plan.Id,
+                Email = plan.Email,
+                GameType = plan.GameType,
+                Symbol = plan.Symbol,
+                Amount = plan.Amount,
+                Status = TradeHistoryService.Rejected
+            };
+
+            try
+            {
+                var price = (await _stockService.GetStockPrice(plan.Symbol + ".NS")).FirstOrDefault()?.Price ?? 0;
+                execution.Price = price;
+                var quantity = _feeCalculator.MaxAffordableQuantity(plan.Amount, price);
+
+                if (price <= 0)
+                {
+                    execution.Reason = $"No price available for {plan.Symbol}";
+                }
+                else if (quantity == 0)
+                {
+                    execution.Status = Skipped;
+                    execution.Reason = $"₹{plan.Amount:0.00} does not buy one share at ₹{price:0.00}";
+                }
+                else
+                {
+                    ExecuteBuy(plan, execution, quantity, price);
+                }
+            }
+            catch (Exception ex)
+            {
+                execution.Reason = ex.Message;
+                _logger.LogError(ex, "Error executing SIP {PlanId} of {Symbol} for user {Email}", plan.Id, plan.Symbol, plan.Email);
+            }
+
+            try
+            {
+                await _executionCollection.InsertOneAsync(execution);
+
+                var update = Builders<SipPlan>.Update
+                    .Set(p => p.LastRunAt, execution.ExecutedAt)
+                    .Inc(p => p.ExecutionCount, 1);
+                if (execution.Status == TradeHistoryService.Filled)
+                {
+                    update = update
+                        .Inc(p => p.TotalQuantity, execution.Quantity)
+                        .Inc(p => p.TotalInvested, Math.Round(execution.Quantity * execution.Price + execution.Fees, 2));
+                }
+                await _planCollection.UpdateOneAsync(p => p.Id == plan.Id, update);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error recording SIP {PlanId} instalment for user {Email}", plan.Id, plan.Email);
+            }
+        }
+
+        /// <summary>
+        /// Buys through the order path, keyed by the plan and its scheduled run
+        /// so an instalment fills at most once
+        /// </summary>
+        private void ExecuteBuy(SipPlan plan, SipExecution execution, int quantity, double price)
+        {
+            var result = _orderExecution.Submit(new OrderExecutionRequest
+            {
+                Email = plan.Email,
+                GameType = plan.GameType,
+                Symbol = plan.Symbol,
+                Quantity = quantity,
+                Price = price,
+                OrderType = "SIP",
+                IdempotencyKey = $"SIP-{plan.Id}-{plan.NextRunAt:yyyyMMddHHmm}"
+            });
+
+            if (result.Duplicate != null)
+            {
+                execution.Status = Skipped;
+                execution.Reason = "This instalment has already been executed";
+            }
+            else if (result.Rejection != null)
+            {
+                execution.Reason = result.Rejection.Message;
+            }
+            else
+            {
+                execution.Status = TradeHistoryService.Filled;
+                execution.Quantity = quantity;
+                execution.Fees = result.Fees.Total;
+            }
+        }
+
+        private async Task<SipPlan> GetPlanAsync(string email, string planId)
+        {
+            var plan = await _planCollection.Find(p => p.Id == planId && p.Email == email).FirstOrDefaultAsync();
+            return plan ?? throw new SipPlanNotFoundException(planId);
+        }
+
+        /// <summary>
+        /// Validates a create/edit request and copies it onto the plan
+        /// </summary>
+        private async Task ApplyRequestAsync(SipPlan plan, SipPlanRequest request)
+        {
+            var frequency = (request.Frequency ?? string.Empty).Trim().ToUpperInvariant();
+            if (request.Amount < _config.MinAmount)
+            {
+                throw new InvalidSipPlanException($"The amount per instalment must be at least ₹{_config.MinAmount:0}");
+            }
+            if (frequency == Weekly && (request.DayOfWeek == null || request.DayOfWeek < 1 || request.DayOfWeek > 5))
+            {
+                throw new InvalidSipPlanException("Choose a weekday (Monday to Friday) for a weekly plan");
+            }
+            if (frequency == Monthly && (request.DayOfMonth == null || request.DayOfMonth < 1 || request.DayOfMonth > 28))
+            {
+                throw new InvalidSipPlanException("Choose a day between 1 and 28 for a monthly plan");
+            }
+            if (frequency != Daily && frequency != Weekly && frequency != Monthly)
+            {
+                throw new InvalidSipPlanException("Frequency must be DAILY, WEEKLY or MONTHLY");
+            }
+
+            var symbol = NormalizeSymbol(request.Symbol);
+            if (symbol != plan.Symbol)
+            {
+                var quote = (await _stockService.GetStockPrice(symbol + ".NS")).FirstOrDefault();
+                if (quote == null)
+                {
+                    throw new InvalidSipPlanException($"Invalid stock symbol: '{symbol}'");
+                }
+            }
+
+            plan.Symbol = symbol;
+            plan.Amount = Math.Round(request.Amount, 2);
+            plan.Frequency = frequency;
+            plan.DayOfWeek = frequency == Weekly ? request.DayOfWeek : null;
+            plan.DayOfMonth = frequency == Monthly ? request.DayOfMonth : null;
+        }
+
+        private void EnsureIndexes()
+        {
+            if (_indexesCreated) return;
+
+            try
+            {
+                _planCollection.Indexes.CreateOne(new CreateIndexModel<SipPlan>(
+                    Builders<SipPlan>.IndexKeys.Ascending(p => p.Status).Ascending(p => p.NextRunAt)));
+                _planCollection.Indexes.CreateOne(new CreateIndexModel<SipPlan>(
+                    Builders<SipPlan>.IndexKeys.Ascending(p => p.Email)));
+                _executionCollection.Indexes.CreateOne(new CreateIndexModel<SipExecution>(
+                    Builders<SipExecution>.IndexKeys.Ascending(e => e.Email).Descending(e => e.ExecutedAt)));
+                _indexesCreated = true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating SIP indexes");
+            }
+        }
+
+        private static TimeSpan ParseTime(string value)
+        {
+            return TimeSpan.TryParseExact(value, @"hh\:mm", CultureInfo.InvariantCulture, out var time)
+                ? time
+                : new TimeSpan(9, 30, 0);
+        }
+
+        private static string NormalizeSymbol(string symbol)
+        {
+            return (symbol ?? string.Empty).Replace(".NS", "").Trim().ToUpperInvariant();
+        }
+    }
+}
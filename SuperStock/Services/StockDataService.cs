@@ -169,6 +169,65 @@ namespace SuperStock.Services
             throw new ProviderUnavailableException("All providers", errorMessage, lastException);
         }
 
+        /// <summary>
+        /// Retrieves OHLC candles from the first provider that has them, with the
+        /// same priority order and circuit breakers as prices. Providers without
+        /// the interval are skipped without counting as failures.
+        /// </summary>
+        /// <returns>The candles, oldest first, and the provider they came from; no candles and a null source when no provider has any</returns>
+        public async Task<(List<OhlcCandle> Candles, string Source)> GetCandlesAsync(string symbol, string interval, DateTime from, DateTime to)
+        {
+            Exception lastException = null;
+
+            foreach (var provider in GetOrderedProviders())
+            {
+                if (!IsProviderAvailable(provider.ProviderName))
+                {
+                    _logger.LogDebug("Skipping provider {ProviderName} - circuit breaker is open", provider.ProviderName);
+                    continue;
+                }
+
+                try
+                {
+                    var candles = await provider.GetCandlesAsync(symbol, interval, from, to);
+                    RecordProviderSuccess(provider.ProviderName);
+
+                    if (candles.Count > 0)
+                    {
+                        _logger.LogInformation("Fetched {CandleCount} {Interval} candles for {Symbol} from {ProviderName}",
+                            candles.Count, interval, symbol, provider.ProviderName);
+                        return (candles, provider.ProviderName);
+                    }
+
+                    _logger.LogDebug("Provider {ProviderName} returned no {Interval} candles for {Symbol}", provider.ProviderName, interval, symbol);
+                }
+                catch (NotSupportedException)
+                {
+                    _logger.LogDebug("Provider {ProviderName} has no {Interval} candles", provider.ProviderName, interval);
+                }
+                catch (Exception ex)
+                {
+                    lastException = ex;
+                    _logger.LogWarning(ex, "Provider {ProviderName} failed to fetch candles", provider.ProviderName);
+                    RecordProviderFailure(provider.ProviderName);
+
+                    if (!_config.EnableFallback)
+                    {
+                        break;
+                    }
+                }
+            }
+
+            if (lastException == null)
+            {
+                return (new List<OhlcCandle>(), null);
+            }
+
+            var errorMessage = $"All stock data providers failed to fetch {interval} candles for {symbol}";
+            _logger.LogError(lastException, errorMessage);
+            throw new ProviderUnavailableException("All providers", errorMessage, lastException);
+        }
+
         /// <summary>
         /// Gets providers ordered by priority (healthy providers first)
         /// </summary>
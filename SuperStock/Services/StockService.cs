@@ -1,6 +1,9 @@
 ﻿using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Options;
 using MongoDB.Bson;
 using MongoDB.Driver;
+using SuperStock.Configuration;
+using SuperStock.Exceptions;
 using SuperStock.Models;
 using System;
 using System.Collections.Generic;
@@ -25,10 +28,13 @@ namespace SuperStock.Services
 
         private readonly IMongoDatabase mongoDatabase;
 
+        private readonly ShortSellingConfiguration shortSelling;
+
         internal readonly string key;
-        public StockService(IConfiguration configuration, IMongoClient mongoClient)
+        public StockService(IConfiguration configuration, IMongoClient mongoClient, IOptions<ShortSellingConfiguration> shortSellingOptions)
         {
             mongoDatabase = mongoClient.GetDatabase("HomeStocks");
+            shortSelling = shortSellingOptions?.Value ?? new ShortSellingConfiguration();
             mongoEquityCollection = mongoDatabase.GetCollection<Equities>("Equities");
             
             try
@@ -42,6 +48,19 @@ namespace SuperStock.Services
             }
         }
 
+        /// <summary>
+        /// Daily closes of a Yahoo symbol (e.g. "^NSEI" or "TCS.NS"), oldest first
+        /// </summary>
+        public async Task<List<(DateTime Date, double Close)>> GetDailyCloses(string symbol, DateTime from, DateTime to)
+        {
+            var candles = await Yahoo.GetHistoricalAsync(symbol, from, to, Period.Daily);
+            return candles
+                .Where(c => c != null && c.Close > 0)
+                .Select(c => (c.DateTime.Date, Convert.ToDouble(c.Close)))
+                .OrderBy(c => c.Item1)
+                .ToList();
+        }
+
         public async Task<List<StockPriceModel>> GetStockPrice(params string[] symbols)
         {
             List<StockPriceModel> StockList = new List<StockPriceModel>();
@@ -315,6 +334,21 @@ namespace SuperStock.Services
             return userStockList;
         }
 
+        /// <summary>
+        /// Symbols on the user's watchlist, without the ".NS" suffix
+        /// </summary>
+        public List<string> GetWatchListSymbols(string email, string gameType = "")
+        {
+            mongoUserHoldingCollection = mongoDatabase.GetCollection<UserEquityHolding>("UserStocksData" + gameType);
+            var userStockData = mongoUserHoldingCollection.Find(x => x.Email == email).FirstOrDefault();
+            return (userStockData?.WatchList ?? string.Empty)
+                .Split(',')
+                .Select(s => s.Trim())
+                .Where(s => !string.IsNullOrWhiteSpace(s))
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+        }
+
         public async Task<List<Equities>> GetAllAvailableStocks(string item)
         {
             List<Equities> stocks = new List<Equities>();
@@ -340,17 +374,36 @@ namespace SuperStock.Services
         }
 
         public double GetTotalAssetValue(string email,string gameType)
+        {
+            var valuation = GetPortfolioValuation(email, gameType);
+            return Math.Round(valuation.Cash + valuation.HoldingsValue, 2);
+        }
+
+        /// <summary>
+        /// Cash, cost of open positions and their value at current prices
+        /// </summary>
+        public (double Cash, double Invested, double HoldingsValue) GetPortfolioValuation(string email, string gameType = "")
         {
             var availableFunds = Convert.ToDouble(GetFundsFromEmail(email,gameType));
             var EquityHoldings = GetUserEquityByEmail(email,gameType).GetAwaiter().GetResult();
             double EquityValue = 0;
+            double Invested = 0;
             foreach(var eholdings in EquityHoldings.UserStockList)
             {
-                EquityValue += eholdings.Price * eholdings.Count;
+                if (eholdings.Count < 0)
+                {
+                    // A short is worth its blocked margin plus the mark-to-market gain
+                    EquityValue += eholdings.Margin + (eholdings.AveragePrice - eholdings.Price) * Math.Abs(eholdings.Count);
+                    Invested += eholdings.Margin;
+                }
+                else
+                {
+                    EquityValue += eholdings.Price * eholdings.Count;
+                    Invested += eholdings.AveragePrice * eholdings.Count;
+                }
             }
 
-            var assetValue = availableFunds + EquityValue;
-            return Math.Round(assetValue, 2);
+            return (availableFunds, Math.Round(Invested, 2), Math.Round(EquityValue, 2));
         }
 
         public async Task<UserEquityHolding> GetUserEquityByEmail(string email, string gameType="")
@@ -370,6 +423,10 @@ namespace SuperStock.Services
                     dynamic data = stockDict[stock.Name];
                     stock.Count = data.Quantity;
                     stock.AveragePrice = Math.Round(data.AvgPrice,2);
+                    if (stock.Count < 0)
+                    {
+                        stock.Margin = GetShortMargin(userStockData, stock.Name, stock.Count, stock.AveragePrice);
+                    }
                     userStockData.UserStockList.Add(stock);
                 }
             }
@@ -380,7 +437,7 @@ namespace SuperStock.Services
         {
             var availableFunds = Convert.ToDouble(GetFundsFromEmail(email, gameType));
             mongoUserHoldingCollection = mongoDatabase.GetCollection<UserEquityHolding>("UserStocksData" + gameType);
-            if (Otype == OrderTypeVO.Buy)
+            if (Otype == OrderTypeVO.Buy || Otype == OrderTypeVO.ShortSell)
             {
                 if (cost < availableFunds)
                 {
@@ -390,7 +447,7 @@ namespace SuperStock.Services
                 }
                 else
                 {
-                    throw new Exception("Insufficient Balance in SuperStock Account");
+                    throw new InsufficientFundsException(availableFunds, cost);
                 }
             }
             else
@@ -400,6 +457,12 @@ namespace SuperStock.Services
                     AddSubtractFunds(email, Math.Abs(cost),gameType);
                     return true;
                 }
+                if (Otype == OrderTypeVO.ShortBuy)
+                {
+                    // Covering settles margin and P/L, which can be a net debit
+                    AddSubtractFunds(email, cost, gameType);
+                    return true;
+                }
             }
             return false;
         }
@@ -418,16 +481,16 @@ namespace SuperStock.Services
             return result.IsAcknowledged;
         }
 
-        public string UpdateUserEquityByEmail(string email, string stock, double price, int quantity, string gameType = "")
+        /// <summary>
+        /// Applies a trade to the user's holdings. Fees are debited from funds on
+        /// top of the cost of a buy and deducted from the proceeds of a sell.
+        /// An intraday sell without holdings opens a short, and a buy against a
+        /// short covers it.
+        /// </summary>
+        public string UpdateUserEquityByEmail(string email, string stock, double price, int quantity, string gameType = "", double fees = 0, bool intraday = false)
         {
             bool isBuy = quantity > 0;
-            bool sufficientFunds;
-            if (isBuy)
-            {
-                sufficientFunds = TryAdjustFunds(email, OrderTypeVO.Buy, price * quantity,gameType);
-            }
-            
-            OrderTypeVO orderType;
+
             UserEquityHolding userStockData = new UserEquityHolding();
             mongoUserHoldingCollection = mongoDatabase.GetCollection<UserEquityHolding>("UserStocksData"+gameType);
             userStockData = mongoUserHoldingCollection.Find(x => x.Email == email).FirstOrDefault();
@@ -435,6 +498,34 @@ namespace SuperStock.Services
             var existingStocks = userStockData.SymbolHoldings;
             var stockDict = new Dictionary<string, ExpandoObject>();
             stockDict = SymbolHoldingStringToArray(existingStocks);
+
+            int heldQuantity = 0;
+            if (stockDict.ContainsKey(stock))
+            {
+                dynamic held = stockDict[stock];
+                heldQuantity = held.Quantity;
+            }
+
+            if (heldQuantity < 0)
+            {
+                if (isBuy)
+                {
+                    return CoverShort(email, userStockData, stockDict, stock, price, quantity, gameType, fees);
+                }
+                if (!intraday)
+                {
+                    throw new InsufficientHoldingsException(stock, 0, Math.Abs(quantity));
+                }
+            }
+            if (!isBuy && intraday)
+            {
+                return OpenShort(email, userStockData, stockDict, stock, price, Math.Abs(quantity), gameType, fees);
+            }
+
+            if (isBuy)
+            {
+                TryAdjustFunds(email, OrderTypeVO.Buy, price * quantity + fees,gameType);
+            }
            
             if (stockDict.ContainsKey(stock))
             {
@@ -444,11 +535,11 @@ namespace SuperStock.Services
                 {
                     if (Math.Abs(quantity) <= Math.Abs(temp.Quantity))
                     {
-                        TryAdjustFunds(email, OrderTypeVO.Sell, quantity * price, gameType);
+                        TryAdjustFunds(email, OrderTypeVO.Sell, Math.Abs(quantity * price) - fees, gameType);
                     }
                     else
                     {
-                        throw new Exception($"Not much holding to sell as Delivery. Please buy before selling.{quantity-temp.Quantity}");
+                        throw new InsufficientHoldingsException(stock, Convert.ToInt32(temp.Quantity), Math.Abs(quantity));
                     }
                 }
 
@@ -479,16 +570,232 @@ namespace SuperStock.Services
                 }
                 else
                 {
-                    throw new Exception($"Please buy before selling. {quantity}");
+                    throw new InsufficientHoldingsException(stock, 0, Math.Abs(quantity));
+                }
+            }
+
+            string stockString = ArrayOfSymbolHoldingString(stockDict);
+
+            var filter = Builders<UserEquityHolding>.Filter.Eq("EMAIL", email);
+            var update = Builders<UserEquityHolding>.Update.Set("SYMBOLSHOLDINGS", stockString);
+            mongoUserHoldingCollection.UpdateOne(filter, update);
+            return stockString;
+        }
+
+        /// <summary>
+        /// Sells short: blocks margin plus fees from funds and records a negative quantity
+        /// </summary>
+        private string OpenShort(string email, UserEquityHolding userStockData, Dictionary<string, ExpandoObject> stockDict, string stock, double price, int quantity, string gameType, double fees)
+        {
+            if (!shortSelling.Enabled)
+            {
+                throw new ShortSellingException("Short selling is not enabled", "SHORT_SELLING_DISABLED");
+            }
+
+            dynamic temp;
+            if (stockDict.ContainsKey(stock))
+            {
+                temp = stockDict[stock];
+                if (temp.Quantity > 0)
+                {
+                    throw new ShortSellingException($"You hold {temp.Quantity} shares of {stock}. Sell them as delivery before shorting", "LONG_POSITION_OPEN", Convert.ToInt32(temp.Quantity));
                 }
             }
+            else
+            {
+                temp = new ExpandoObject();
+                temp.AvgPrice = price;
+                temp.Quantity = 0;
+                stockDict.Add(stock, temp);
+            }
+
+            var margin = Math.Round(price * quantity * shortSelling.MarginRate, 2);
+            TryAdjustFunds(email, OrderTypeVO.ShortSell, margin + fees, gameType);
+
+            int shortQuantity = Math.Abs(Convert.ToInt32(temp.Quantity));
+            temp.AvgPrice = (shortQuantity * temp.AvgPrice + quantity * price) / (shortQuantity + quantity);
+            temp.Quantity = -(shortQuantity + quantity);
+
+            var shortMargin = userStockData.ShortMargin ?? new Dictionary<string, double>();
+            shortMargin[stock] = (shortMargin.TryGetValue(stock, out var blocked) ? blocked : 0) + margin;
+
+            var shortOpenedAt = userStockData.ShortOpenedAt ?? new Dictionary<string, DateTime>();
+            if (shortQuantity == 0)
+            {
+                shortOpenedAt[stock] = DateTime.UtcNow;
+            }
+
+            return SaveShortPositions(email, stockDict, shortMargin, shortOpenedAt);
+        }
+
+        /// <summary>
+        /// Buys back a short: releases its share of the blocked margin and settles
+        /// the P/L (entry - cover price) less fees into funds
+        /// </summary>
+        private string CoverShort(string email, UserEquityHolding userStockData, Dictionary<string, ExpandoObject> stockDict, string stock, double price, int quantity, string gameType, double fees)
+        {
+            dynamic temp = stockDict[stock];
+            int shortQuantity = Math.Abs(Convert.ToInt32(temp.Quantity));
+            if (quantity > shortQuantity)
+            {
+                throw new ShortSellingException($"You are short {shortQuantity} shares of {stock}. Buy up to {shortQuantity} to cover", "COVER_EXCEEDS_SHORT", shortQuantity);
+            }
+
+            var shortMargin = userStockData.ShortMargin ?? new Dictionary<string, double>();
+            var shortOpenedAt = userStockData.ShortOpenedAt ?? new Dictionary<string, DateTime>();
+            double avgPrice = temp.AvgPrice;
+            double blocked = GetShortMargin(userStockData, stock, -shortQuantity, avgPrice);
+            double released = Math.Round(blocked * quantity / shortQuantity, 2);
+            double profitLoss = (avgPrice - price) * quantity;
+            TryAdjustFunds(email, OrderTypeVO.ShortBuy, released + profitLoss - fees, gameType);
+
+            if (quantity == shortQuantity)
+            {
+                stockDict.Remove(stock);
+                shortMargin.Remove(stock);
+                shortOpenedAt.Remove(stock);
+            }
+            else
+            {
+                temp.Quantity = -(shortQuantity - quantity);
+                shortMargin[stock] = Math.Round(blocked - released, 2);
+            }
+
+            return SaveShortPositions(email, stockDict, shortMargin, shortOpenedAt);
+        }
 
+        private string SaveShortPositions(string email, Dictionary<string, ExpandoObject> stockDict, Dictionary<string, double> shortMargin, Dictionary<string, DateTime> shortOpenedAt)
+        {
             string stockString = ArrayOfSymbolHoldingString(stockDict);
 
+            var filter = Builders<UserEquityHolding>.Filter.Eq("EMAIL", email);
+            var update = Builders<UserEquityHolding>.Update
+                .Set("SYMBOLSHOLDINGS", stockString)
+                .Set("SHORTMARGIN", shortMargin)
+                .Set("SHORTOPENEDAT", shortOpenedAt);
+            mongoUserHoldingCollection.UpdateOne(filter, update);
+            return stockString;
+        }
+
+        /// <summary>
+        /// Margin blocked for a short; falls back to the configured rate for
+        /// positions recorded without one
+        /// </summary>
+        private double GetShortMargin(UserEquityHolding userStockData, string stock, int quantity, double avgPrice)
+        {
+            if (userStockData.ShortMargin != null && userStockData.ShortMargin.TryGetValue(stock, out var margin))
+            {
+                return margin;
+            }
+            return Math.Round(Math.Abs(quantity) * avgPrice * shortSelling.MarginRate, 2);
+        }
+
+        /// <summary>
+        /// Quantity (negative for a short) and average price of one holding, zero when not held
+        /// </summary>
+        public (int Quantity, double AveragePrice) GetHolding(string email, string stock, string gameType = "")
+        {
+            mongoUserHoldingCollection = mongoDatabase.GetCollection<UserEquityHolding>("UserStocksData" + gameType);
+            var userStockData = mongoUserHoldingCollection.Find(x => x.Email == email).FirstOrDefault();
+            var stockDict = SymbolHoldingStringToArray(userStockData?.SymbolHoldings);
+            if (!stockDict.ContainsKey(stock))
+            {
+                return (0, 0);
+            }
+
+            dynamic held = stockDict[stock];
+            return (Convert.ToInt32(held.Quantity), Convert.ToDouble(held.AvgPrice));
+        }
+
+        /// <summary>
+        /// Open intraday shorts of every user in a game, for the square-off job.
+        /// OpenedAt is null for shorts recorded before open times were kept.
+        /// </summary>
+        public List<(string Email, string Stock, int Quantity, DateTime? OpenedAt)> GetShortPositions(string gameType = "")
+        {
+            var positions = new List<(string Email, string Stock, int Quantity, DateTime? OpenedAt)>();
+            mongoUserHoldingCollection = mongoDatabase.GetCollection<UserEquityHolding>("UserStocksData" + gameType);
+            var users = mongoUserHoldingCollection
+                .Find(Builders<UserEquityHolding>.Filter.Regex("SYMBOLSHOLDINGS", new BsonRegularExpression(":-")))
+                .ToList();
+
+            foreach (var user in users)
+            {
+                foreach (var kvp in SymbolHoldingStringToArray(user.SymbolHoldings))
+                {
+                    dynamic temp = kvp.Value;
+                    if (temp.Quantity < 0)
+                    {
+                        DateTime? openedAt = user.ShortOpenedAt != null && user.ShortOpenedAt.TryGetValue(kvp.Key, out var opened)
+                            ? DateTime.SpecifyKind(opened, DateTimeKind.Utc)
+                            : (DateTime?)null;
+                        positions.Add((user.Email, kvp.Key, Math.Abs(Convert.ToInt32(temp.Quantity)), openedAt));
+                    }
+                }
+            }
+            return positions;
+        }
+
+        /// <summary>
+        /// Every user in a game holding the stock (long or short), for corporate actions
+        /// </summary>
+        public List<(string Email, int Quantity, double AveragePrice)> GetHolders(string stock, string gameType = "")
+        {
+            var holders = new List<(string Email, int Quantity, double AveragePrice)>();
+            mongoUserHoldingCollection = mongoDatabase.GetCollection<UserEquityHolding>("UserStocksData" + gameType);
+            var pattern = "(^|,)\\s*" + System.Text.RegularExpressions.Regex.Escape(stock) + ":";
+            var users = mongoUserHoldingCollection
+                .Find(Builders<UserEquityHolding>.Filter.Regex("SYMBOLSHOLDINGS", new BsonRegularExpression(pattern)))
+                .ToList();
+
+            foreach (var user in users)
+            {
+                var stockDict = SymbolHoldingStringToArray(user.SymbolHoldings);
+                if (stockDict.ContainsKey(stock))
+                {
+                    dynamic held = stockDict[stock];
+                    holders.Add((user.Email, Convert.ToInt32(held.Quantity), Convert.ToDouble(held.AvgPrice)));
+                }
+            }
+            return holders;
+        }
+
+        /// <summary>
+        /// Overwrites the quantity and average price of a holding without touching
+        /// funds or short margin. Used by corporate actions, which change the
+        /// share count but not the money invested.
+        /// </summary>
+        public string SetHolding(string email, string stock, int quantity, double averagePrice, string gameType = "")
+        {
+            mongoUserHoldingCollection = mongoDatabase.GetCollection<UserEquityHolding>("UserStocksData" + gameType);
+            var userStockData = mongoUserHoldingCollection.Find(x => x.Email == email).FirstOrDefault();
+            var stockDict = SymbolHoldingStringToArray(userStockData?.SymbolHoldings);
+
+            if (quantity == 0)
+            {
+                stockDict.Remove(stock);
+            }
+            else
+            {
+                dynamic temp = new ExpandoObject();
+                temp.AvgPrice = averagePrice;
+                temp.Quantity = quantity;
+                stockDict[stock] = temp;
+            }
+
+            string stockString = ArrayOfSymbolHoldingString(stockDict);
             var filter = Builders<UserEquityHolding>.Filter.Eq("EMAIL", email);
             var update = Builders<UserEquityHolding>.Update.Set("SYMBOLSHOLDINGS", stockString);
             mongoUserHoldingCollection.UpdateOne(filter, update);
             return stockString;
         }
+
+        /// <summary>
+        /// Credits (or, when negative, debits) funds outside of a trade, e.g. a dividend
+        /// </summary>
+        public bool CreditFunds(string email, double amount, string gameType = "")
+        {
+            return AddSubtractFunds(email, amount, gameType);
+        }
     }
 }
@@ -0,0 +1,115 @@
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using SuperStock.Configuration;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Sector, industry and market-cap bucket of each symbol, read once from the
+    /// symbol master file. Symbols missing from it are Unclassified.
+    /// </summary>
+    public class SymbolMasterService
+    {
+        public const string Unclassified = "Unclassified";
+        public const string UnclassifiedMarketCap = "UNCLASSIFIED";
+
+        private static readonly string[] MarketCaps = { "LARGE", "MID", "SMALL" };
+
+        private readonly AllocationConfiguration _config;
+        private readonly IHostEnvironment _environment;
+        private readonly ILogger<SymbolMasterService> _logger;
+        private readonly Lazy<Dictionary<string, SymbolInfo>> _symbols;
+
+        public SymbolMasterService(IOptions<AllocationConfiguration> config, IHostEnvironment environment, ILogger<SymbolMasterService> logger)
+        {
+            _config = config?.Value ?? new AllocationConfiguration();
+            _environment = environment ?? throw new ArgumentNullException(nameof(environment));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _symbols = new Lazy<Dictionary<string, SymbolInfo>>(Load);
+        }
+
+        /// <summary>
+        /// Classification of a symbol, with or without its ".NS" suffix
+        /// </summary>
+        public SymbolInfo Get(string symbol)
+        {
+            var key = NormalizeSymbol(symbol);
+            if (_symbols.Value.TryGetValue(key, out var info))
+            {
+                return info;
+            }
+
+            return new SymbolInfo
+            {
+                Symbol = key,
+                Sector = Unclassified,
+                Industry = Unclassified,
+                MarketCap = UnclassifiedMarketCap
+            };
+        }
+
+        /// <summary>
+        /// Fills in the sector, industry and market-cap bucket of a listed equity
+        /// </summary>
+        public Equities Enrich(Equities equity)
+        {
+            var info = Get(equity.Symbol);
+            equity.Sector = info.Sector;
+            equity.Industry = info.Industry;
+            equity.MarketCap = info.MarketCap;
+            return equity;
+        }
+
+        private Dictionary<string, SymbolInfo> Load()
+        {
+            var symbols = new Dictionary<string, SymbolInfo>(StringComparer.OrdinalIgnoreCase);
+            if (string.IsNullOrWhiteSpace(_config.SymbolMasterFile))
+            {
+                return symbols;
+            }
+
+            var path = Path.Combine(_environment.ContentRootPath, _config.SymbolMasterFile);
+            if (!File.Exists(path))
+            {
+                _logger.LogWarning("Symbol master file {Path} not found; all symbols are unclassified", path);
+                return symbols;
+            }
+
+            try
+            {
+                var entries = JsonSerializer.Deserialize<List<SymbolInfo>>(File.ReadAllText(path),
+                    new JsonSerializerOptions { PropertyNameCaseInsensitive = true }) ?? new List<SymbolInfo>();
+                foreach (var entry in entries.Where(e => !string.IsNullOrWhiteSpace(e?.Symbol)))
+                {
+                    var marketCap = (entry.MarketCap ?? string.Empty).Trim().ToUpperInvariant();
+                    symbols[NormalizeSymbol(entry.Symbol)] = new SymbolInfo
+                    {
+                        Symbol = NormalizeSymbol(entry.Symbol),
+                        Sector = string.IsNullOrWhiteSpace(entry.Sector) ? Unclassified : entry.Sector.Trim(),
+                        Industry = string.IsNullOrWhiteSpace(entry.Industry) ? Unclassified : entry.Industry.Trim(),
+                        MarketCap = MarketCaps.Contains(marketCap) ? marketCap : UnclassifiedMarketCap
+                    };
+                }
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogError(ex, "Symbol master file {Path} is not valid JSON", path);
+            }
+
+            return symbols;
+        }
+
+        private static string NormalizeSymbol(string symbol)
+        {
+            var normalized = (symbol ?? string.Empty).Trim().ToUpperInvariant();
+            return normalized.EndsWith(".NS") ? normalized.Substring(0, normalized.Length - 3) : normalized;
+        }
+    }
+}
@@ -0,0 +1,230 @@
+using Microsoft.Extensions.Logging;
+using MongoDB.Driver;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Tracks tax lots per holding and matches each fill against the oldest
+    /// open lots (FIFO) to work out its realized P/L
+    /// </summary>
+    public class TaxLotService
+    {
+        private static bool _indexesCreated;
+
+        private readonly IMongoCollection<TaxLot> _lotCollection;
+        private readonly ILogger<TaxLotService> _logger;
+
+        public TaxLotService(IMongoClient mongoClient, ILogger<TaxLotService> logger)
+        {
+            if (mongoClient == null) throw new ArgumentNullException(nameof(mongoClient));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _lotCollection = mongoClient.GetDatabase("HomeStocks").GetCollection<TaxLot>("TaxLots");
+            EnsureIndexes();
+        }
+
+        /// <summary>
+        /// Applies a filled trade (quantity negative for a sell) to the symbol's
+        /// lots. Returns the realized P/L net of charges, or null when the trade
+        /// closed nothing. heldBefore is the holding as it was before the fill;
+        /// positions that predate lot tracking are carried over at their average price.
+        /// Failures are logged and never break the order itself.
+        /// </summary>
+        public double? ApplyTrade(string email, string gameType, string symbol, int quantity, double price, double fees,
+            (int Quantity, double AveragePrice) heldBefore)
+        {
+            if (quantity == 0)
+            {
+                return null;
+            }
+
+            try
+            {
+                gameType ??= string.Empty;
+                symbol = NormalizeSymbol(symbol);
+                var lots = SyncLots(email, gameType, symbol, heldBefore);
+
+                var feePerShare = fees / Math.Abs(quantity);
+                var remaining = quantity;
+                var realized = 0.0;
+                var closedAny = false;
+
+                foreach (var lot in lots.Where(l => Math.Sign(l.RemainingQuantity) == -Math.Sign(quantity)))
+                {
+                    if (remaining == 0)
+                    {
+                        break;
+                    }
+
+                    var matched = Math.Min(Math.Abs(lot.RemainingQuantity), Math.Abs(remaining));
+                    realized += lot.RemainingQuantity > 0
+                        ? (price - feePerShare - lot.CostPrice) * matched
+                        : (lot.CostPrice - price - feePerShare) * matched;
+                    closedAny = true;
+
+                    lot.RemainingQuantity -= Math.Sign(lot.RemainingQuantity) * matched;
+                    remaining -= Math.Sign(remaining) * matched;
+
+                    var update = Builders<TaxLot>.Update.Set(l => l.RemainingQuantity, lot.RemainingQuantity);
+                    if (lot.RemainingQuantity == 0)
+                    {
+                        update = update.Set(l => l.ClosedAt, DateTime.UtcNow);
+                    }
+                    _lotCollection.UpdateOne(l => l.Id == lot.Id, update);
+                }
+
+                if (remaining != 0)
+                {
+                    _lotCollection.InsertOne(new TaxLot
+                    {
+                        Email = email,
+                        GameType = gameType,
+                        Symbol = symbol,
+                        Quantity = remaining,
+                        RemainingQuantity = remaining,
+                        CostPrice = remaining > 0 ? price + feePerShare : price - feePerShare
+                    });
+                }
+
+                return closedAny ? Math.Round(realized, 2) : (double?)null;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error applying {Quantity} {Symbol} at {Price} to tax lots of user {Email}", quantity, symbol, price, email);
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// Rescales the open lots of a holding after a split or bonus so that they
+        /// add up to quantityAfter with their total cost unchanged. The remainder
+        /// of rounding goes to the newest lot. Lots that already disagree with
+        /// quantityBefore are left for the next trade to carry over.
+        /// </summary>
+        public void ApplyCorporateAction(string email, string gameType, string symbol, int quantityBefore, int quantityAfter)
+        {
+            if (quantityBefore == 0 || quantityBefore == quantityAfter)
+            {
+                return;
+            }
+
+            try
+            {
+                gameType ??= string.Empty;
+                symbol = NormalizeSymbol(symbol);
+                var lots = GetOpenLots(email, gameType, symbol);
+                if (lots.Count == 0 || lots.Sum(l => l.RemainingQuantity) != quantityBefore)
+                {
+                    return;
+                }
+
+                var factor = (double)quantityAfter / quantityBefore;
+                var allocated = 0;
+                for (var i = 0; i < lots.Count; i++)
+                {
+                    var lot = lots[i];
+                    var remaining = i == lots.Count - 1
+                        ? quantityAfter - allocated
+                        : (int)Math.Truncate(lot.RemainingQuantity * factor);
+                    allocated += remaining;
+
+                    _lotCollection.UpdateOne(l => l.Id == lot.Id, Builders<TaxLot>.Update
+                        .Set(l => l.Quantity, (int)Math.Round(lot.Quantity * factor))
+                        .Set(l => l.RemainingQuantity, remaining)
+                        .Set(l => l.CostPrice, remaining == 0 ? lot.CostPrice : lot.CostPrice * lot.RemainingQuantity / remaining));
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error adjusting tax lots of {Symbol} for user {Email} from {Before} to {After} shares", symbol, email, quantityBefore, quantityAfter);
+            }
+        }
+
+        /// <summary>
+        /// Open lots of a game, oldest first, optionally for one symbol
+        /// </summary>
+        public List<TaxLot> GetOpenLots(string email, string gameType, string symbol = null)
+        {
+            var builder = Builders<TaxLot>.Filter;
+            var filter = builder.Eq(l => l.Email, email)
+                & builder.Eq(l => l.GameType, gameType ?? string.Empty)
+                & builder.Ne(l => l.RemainingQuantity, 0);
+            if (!string.IsNullOrWhiteSpace(symbol))
+            {
+                filter &= builder.Eq(l => l.Symbol, NormalizeSymbol(symbol));
+            }
+
+            return _lotCollection.Find(filter)
+                .SortBy(l => l.AcquiredAt)
+                .ThenBy(l => l.Id)
+                .ToList();
+        }
+
+        /// <summary>
+        /// Open lots that agree with the holding. When they don't (the position
+        /// predates lot tracking or changed outside it) they are replaced by a
+        /// single lot at the holding's average price.
+        /// </summary>
+        private List<TaxLot> SyncLots(string email, string gameType, string symbol, (int Quantity, double AveragePrice) heldBefore)
+        {
+            var lots = GetOpenLots(email, gameType, symbol);
+            if (lots.Sum(l => l.RemainingQuantity) == heldBefore.Quantity)
+            {
+                return lots;
+            }
+
+            _logger.LogWarning("Tax lots of {Symbol} for user {Email} do not match the holding of {Quantity}; carrying over at the average price",
+                symbol, email, heldBefore.Quantity);
+
+            foreach (var lot in lots)
+            {
+                _lotCollection.UpdateOne(l => l.Id == lot.Id, Builders<TaxLot>.Update
+                    .Set(l => l.RemainingQuantity, 0)
+                    .Set(l => l.ClosedAt, DateTime.UtcNow));
+            }
+            if (heldBefore.Quantity == 0)
+            {
+                return new List<TaxLot>();
+            }
+
+            var carried = new TaxLot
+            {
+                Email = email,
+                GameType = gameType,
+                Symbol = symbol,
+                Quantity = heldBefore.Quantity,
+                RemainingQuantity = heldBefore.Quantity,
+                CostPrice = heldBefore.AveragePrice,
+                CarriedOver = true,
+                AcquiredAt = lots.Count > 0 ? lots[0].AcquiredAt : DateTime.UtcNow
+            };
+            _lotCollection.InsertOne(carried);
+            return new List<TaxLot> { carried };
+        }
+
+        private void EnsureIndexes()
+        {
+            if (_indexesCreated) return;
+
+            try
+            {
+                var keys = Builders<TaxLot>.IndexKeys;
+                _lotCollection.Indexes.CreateOne(new CreateIndexModel<TaxLot>(
+                    keys.Ascending(l => l.Email).Ascending(l => l.GameType).Ascending(l => l.Symbol).Ascending(l => l.AcquiredAt)));
+                _indexesCreated = true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating tax lot indexes");
+            }
+        }
+
+        private static string NormalizeSymbol(string symbol)
+        {
+            return (symbol ?? string.Empty).Replace(".NS", "").Trim().ToUpperInvariant();
+        }
+    }
+}
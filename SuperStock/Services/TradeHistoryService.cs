@@ -0,0 +1,165 @@
+using Microsoft.Extensions.Logging;
+using MongoDB.Driver;
+using SuperStock.Exceptions;
+using SuperStock.Models;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+
+namespace SuperStock.Services
+{
+    /// <summary>
+    /// Persists executed and rejected orders and serves the order history
+    /// </summary>
+    public class TradeHistoryService
+    {
+        public const string Filled = "FILLED";
+        public const string Rejected = "REJECTED";
+
+        /// <summary>
+        /// Query value for the practice game, which is stored with an empty game type
+        /// </summary>
+        public const string PracticeGameType = "PRACTICE";
+
+        private const int MaxRecords = 1000;
+
+        private readonly IMongoCollection<TradeRecord> _tradeCollection;
+        private readonly ILogger<TradeHistoryService> _logger;
+
+        public TradeHistoryService(IMongoClient mongoClient, ILogger<TradeHistoryService> logger)
+        {
+            if (mongoClient == null) throw new ArgumentNullException(nameof(mongoClient));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _tradeCollection = mongoClient.GetDatabase("HomeStocks").GetCollection<TradeRecord>("TradeHistory");
+        }
+
+        /// <summary>
+        /// Records an order outcome. Failures are logged and never break the order itself.
+        /// </summary>
+        public void RecordTrade(TradeRecord trade)
+        {
+            try
+            {
+                trade.Symbol = NormalizeSymbol(trade.Symbol);
+                trade.GameType ??= string.Empty;
+                trade.Timestamp = DateTime.UtcNow;
+                _tradeCollection.InsertOne(trade);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error recording {Status} {Side} of {Symbol} for user {Email}",
+                    trade.Status, trade.Side, trade.Symbol, trade.Email);
+            }
+        }
+
+        /// <summary>
+        /// Returns the user's trades, newest first, filtered by symbol, date range and game type
+        /// </summary>
+        public async Task<List<TradeRecord>> GetTradesAsync(string email, TradeHistoryQuery query)
+        {
+            if (query.From.HasValue && query.To.HasValue && query.From.Value > query.To.Value)
+            {
+                throw new InvalidDateRangeException(query.From.Value, query.To.Value);
+            }
+
+            var builder = Builders<TradeRecord>.Filter;
+            var filter = builder.Eq(t => t.Email, email);
+
+            if (!string.IsNullOrWhiteSpace(query.Symbol))
+            {
+                filter &= builder.Eq(t => t.Symbol, NormalizeSymbol(query.Symbol));
+            }
+
+            if (string.Equals(query.GameType, PracticeGameType, StringComparison.OrdinalIgnoreCase))
+            {
+                filter &= builder.Eq(t => t.GameType, string.Empty) | builder.Eq(t => t.GameType, null);
+            }
+            else if (!string.IsNullOrWhiteSpace(query.GameType))
+            {
+                filter &= builder.Eq(t => t.GameType, query.GameType);
+            }
+
+            if (query.From.HasValue)
+            {
+                filter &= builder.Gte(t => t.Timestamp, query.From.Value.Date);
+            }
+
+            if (query.To.HasValue)
+            {
+                // The end date is inclusive
+                filter &= builder.Lt(t => t.Timestamp, query.To.Value.Date.AddDays(1));
+            }
+
+            try
+            {
+                var trades = await _tradeCollection.Find(filter)
+                    .SortByDescending(t => t.Timestamp)
+                    .Limit(MaxRecords)
+                    .ToListAsync();
+
+                _logger.LogInformation("Retrieved {Count} trades for user {Email}", trades.Count, email);
+                return trades;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving trades for user {Email}", email);
+                throw new TradeHistoryException("Failed to load order history", ex);
+            }
+        }
+
+        /// <summary>
+        /// Sum of the realized P/L of the user's filled trades in one game
+        /// </summary>
+        public double GetRealizedPnl(string email, string gameType)
+        {
+            var builder = Builders<TradeRecord>.Filter;
+            var filter = builder.Eq(t => t.Email, email)
+                & builder.Eq(t => t.Status, Filled)
+                & builder.Ne(t => t.RealizedPnl, null);
+            filter &= string.IsNullOrEmpty(gameType)
+                ? builder.Eq(t => t.GameType, string.Empty) | builder.Eq(t => t.GameType, null)
+                : builder.Eq(t => t.GameType, gameType);
+
+            try
+            {
+                var realized = _tradeCollection.Find(filter)
+                    .Project(t => t.RealizedPnl)
+                    .ToList();
+                return Math.Round(realized.Sum(pnl => pnl ?? 0), 2);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error summing realized P/L for user {Email}", email);
+                throw new TradeHistoryException("Failed to load realized P/L", ex);
+            }
+        }
+
+        /// <summary>
+        /// Every filled trade of the user in one game, oldest first, for the returns calculation
+        /// </summary>
+        public async Task<List<TradeRecord>> GetFilledTradesAsync(string email, string gameType)
+        {
+            var builder = Builders<TradeRecord>.Filter;
+            var filter = builder.Eq(t => t.Email, email) & builder.Eq(t => t.Status, Filled);
+            filter &= string.IsNullOrEmpty(gameType)
+                ? builder.Eq(t => t.GameType, string.Empty) | builder.Eq(t => t.GameType, null)
+                : builder.Eq(t => t.GameType, gameType);
+
+            try
+            {
+                return await _tradeCollection.Find(filter).SortBy(t => t.Timestamp).ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving filled trades for user {Email}", email);
+                throw new TradeHistoryException("Failed to load trades", ex);
+            }
+        }
+
+        private static string NormalizeSymbol(string symbol)
+        {
+            return (symbol ?? string.Empty).Replace(".NS", "").Trim().ToUpperInvariant();
+        }
+    }
+}
@@ -8,6 +8,7 @@ using SuperStock.Utilities;
 using System;
 using System.Collections.Generic;
 using System.Diagnostics;
+using System.Globalization;
 using System.Linq;
 using System.Net;
 using System.Net.Http;
@@ -112,6 +113,64 @@ namespace SuperStock.Services
             }
         }
 
+        /// <summary>
+        /// Retrieves OHLC candles from the time_series API, oldest first. Times
+        /// are requested in UTC.
+        /// </summary>
+        public async Task<List<OhlcCandle>> GetCandlesAsync(string symbol, string interval, DateTime from, DateTime to)
+        {
+            var apiSymbol = ConvertSymbolFormat(symbol);
+            var stopwatch = _loggingService.LogOperationStart("GetCandles", new[] { apiSymbol }, ProviderName);
+
+            try
+            {
+                await ApplyRateLimitAsync();
+
+                var url = $"/time_series?symbol={Uri.EscapeDataString(apiSymbol)}&interval={interval}" +
+                    $"&start_date={Uri.EscapeDataString(from.ToString("yyyy-MM-dd HH:mm:ss", CultureInfo.InvariantCulture))}" +
+                    $"&end_date={Uri.EscapeDataString(to.ToString("yyyy-MM-dd HH:mm:ss", CultureInfo.InvariantCulture))}" +
+                    $"&timezone=UTC&order=ASC&outputsize=5000&apikey={_config.TwelveDataApiKey}";
+
+                using var response = await _httpClient.GetAsync(url);
+                var content = await response.Content.ReadAsStringAsync();
+
+                if (!response.IsSuccessStatusCode)
+                {
+                    await HandleApiErrorAsync(response, content, apiSymbol);
+                    return new List<OhlcCandle>();
+                }
+
+                var series = JsonSerializer.Deserialize<TwelveDataTimeSeriesResponse>(content);
+                if (series == null || series.Status == "error")
+                {
+                    throw new ProviderUnavailableException(ProviderName,
+                        series?.Message ?? $"Empty time series response for {apiSymbol}", series?.Code.ToString());
+                }
+
+                var candles = series.Values
+                    .Select(value => new OhlcCandle
+                    {
+                        Time = DateTime.SpecifyKind(StockDataConverter.ParseDateTime(value.DateTime), DateTimeKind.Utc),
+                        Open = StockDataConverter.ParseDouble(value.Open),
+                        High = StockDataConverter.ParseDouble(value.High),
+                        Low = StockDataConverter.ParseDouble(value.Low),
+                        Close = StockDataConverter.ParseDouble(value.Close),
+                        Volume = (long)StockDataConverter.ParseDouble(value.Volume)
+                    })
+                    .Where(candle => candle.Close > 0)
+                    .OrderBy(candle => candle.Time)
+                    .ToList();
+
+                _loggingService.LogOperationComplete("GetCandles", stopwatch, candles.Count, 1, ProviderName);
+                return candles;
+            }
+            catch (Exception ex)
+            {
+                _loggingService.LogError(ex, "GetCandles", new[] { apiSymbol }, ProviderName);
+                throw;
+            }
+        }
+
         /// <summary>
         /// Checks if the Twelve Data API is healthy and accessible
         /// </summary>
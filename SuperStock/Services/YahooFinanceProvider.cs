@@ -87,6 +87,52 @@ namespace SuperStock.Services
             }
         }
 
+        /// <summary>
+        /// Retrieves daily or weekly candles using YahooFinanceAPI, which has no
+        /// intraday history
+        /// </summary>
+        public async Task<List<OhlcCandle>> GetCandlesAsync(string symbol, string interval, DateTime from, DateTime to)
+        {
+            Period period;
+            switch (interval)
+            {
+                case ChartIntervals.OneDay:
+                    period = Period.Daily;
+                    break;
+                case ChartIntervals.OneWeek:
+                    period = Period.Weekly;
+                    break;
+                default:
+                    throw new NotSupportedException($"{ProviderName} has no {interval} candles");
+            }
+
+            var yahooSymbol = ConvertToYahooFormat(symbol);
+            _logger.LogInformation("Fetching {Interval} candles from Yahoo Finance for {Symbol}", interval, yahooSymbol);
+
+            try
+            {
+                var candles = await Yahoo.GetHistoricalAsync(yahooSymbol, from, to, period);
+                return candles
+                    .Where(c => c != null && c.Close > 0)
+                    .Select(c => new OhlcCandle
+                    {
+                        Time = DateTime.SpecifyKind(c.DateTime.Date, DateTimeKind.Utc),
+                        Open = Convert.ToDouble(c.Open),
+                        High = Convert.ToDouble(c.High),
+                        Low = Convert.ToDouble(c.Low),
+                        Close = Convert.ToDouble(c.Close),
+                        Volume = c.Volume
+                    })
+                    .OrderBy(c => c.Time)
+                    .ToList();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error fetching {Interval} candles from Yahoo Finance for {Symbol}", interval, yahooSymbol);
+                throw;
+            }
+        }
+
         /// <summary>
         /// Checks if Yahoo Finance API is healthy
         /// </summary>
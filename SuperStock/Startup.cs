@@ -30,6 +30,16 @@ namespace SuperStock
         {
             // Configuration
             services.Configure<StockDataConfiguration>(Configuration.GetSection(StockDataConfiguration.SectionName));
+            services.Configure<FeeScheduleConfiguration>(Configuration.GetSection(FeeScheduleConfiguration.SectionName));
+            services.Configure<ShortSellingConfiguration>(Configuration.GetSection(ShortSellingConfiguration.SectionName));
+            services.Configure<MarketHoursConfiguration>(Configuration.GetSection(MarketHoursConfiguration.SectionName));
+            services.Configure<SipConfiguration>(Configuration.GetSection(SipConfiguration.SectionName));
+            services.Configure<CorporateActionsConfiguration>(Configuration.GetSection(CorporateActionsConfiguration.SectionName));
+            services.Configure<PortfolioSnapshotConfiguration>(Configuration.GetSection(PortfolioSnapshotConfiguration.SectionName));
+            services.Configure<RiskAnalyticsConfiguration>(Configuration.GetSection(RiskAnalyticsConfiguration.SectionName));
+            services.Configure<AllocationConfiguration>(Configuration.GetSection(AllocationConfiguration.SectionName));
+            services.Configure<BenchmarkConfiguration>(Configuration.GetSection(BenchmarkConfiguration.SectionName));
+            services.Configure<ChartConfiguration>(Configuration.GetSection(ChartConfiguration.SectionName));
 
             // MongoDB
             services.AddSingleton<IMongoClient, MongoClient>(x => {
@@ -57,6 +67,25 @@ namespace SuperStock
             services.AddScoped<StockDataInfrastructureTest>();
             services.AddScoped<StockService>();
             services.AddScoped<UserService>();
+            services.AddScoped<TradeHistoryService>();
+            services.AddScoped<FeeCalculator>();
+            services.AddScoped<OrderIdempotencyService>();
+            services.AddScoped<MarketSessionService>();
+            services.AddScoped<TaxLotService>();
+            services.AddScoped<OrderExecutionService>();
+            services.AddScoped<SipService>();
+            services.AddScoped<CorporateActionService>();
+            services.AddScoped<PortfolioSnapshotService>();
+            services.AddScoped<BenchmarkService>();
+            services.AddScoped<RiskAnalyticsService>();
+            services.AddScoped<ReturnsService>();
+            services.AddSingleton<SymbolMasterService>();
+            services.AddScoped<AllocationService>();
+            services.AddScoped<PortfolioImportService>();
+            services.AddHostedService<ShortSquareOffService>();
+            services.AddHostedService<SipSchedulerService>();
+            services.AddHostedService<CorporateActionSchedulerService>();
+            services.AddHostedService<PortfolioSnapshotSchedulerService>();
             
             // Error handling and logging services
             services.AddScoped<ErrorMessageService>();
@@ -71,6 +100,8 @@ namespace SuperStock
             
             // Enhanced stock data service with provider orchestration
             services.AddScoped<StockDataService>();
+            services.AddScoped<ChartDataService>();
+            services.AddScoped<ChartDrawingService>();
             services.AddAuthentication(x =>
             {
                 x.DefaultAuthenticateScheme = JwtBearerDefaults.AuthenticationScheme;
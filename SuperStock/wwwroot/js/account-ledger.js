@@ -0,0 +1,156 @@
+/**
+ * Account Ledger
+ * Corporate actions applied to the user's holdings (api/CorporateActions/ledger):
+ * splits and bonuses with the quantity and average price before and after,
+ * and dividends credited to funds. Shown below the order history and
+ * filtered by the same game selector.
+ */
+
+class AccountLedger {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/CorporateActions/ledger';
+        this.entries = [];
+        this.gameType = null;
+        this.isLoading = false;
+    }
+
+    init() {
+        this.bindEvents();
+        this.load();
+    }
+
+    bindEvents() {
+        document.getElementById('refreshTrades')?.addEventListener('click', () => this.load());
+        document.getElementById('tradeFilters')?.addEventListener('submit', () => {
+            this.setGameType(document.getElementById('tradeGameTypeFilter')?.value || '');
+            this.load();
+        });
+        document.getElementById('resetTradeFilters')?.addEventListener('click', () => {
+            this.setGameType('');
+            this.load();
+        });
+    }
+
+    /**
+     * Maps the blotter's game filter ('' = all, PRACTICE, C1) to the API's
+     * gameType (null = all, '' = practice)
+     */
+    setGameType(filterValue) {
+        this.gameType = filterValue === 'PRACTICE' ? '' : (filterValue || null);
+    }
+
+    load() {
+        if (this.isLoading) return Promise.resolve();
+
+        this.isLoading = true;
+        return new Promise((resolve) => {
+            $.ajax({
+                url: this.endpoint,
+                type: 'GET',
+                data: this.gameType === null ? null : { gameType: this.gameType },
+                dataType: 'json',
+                timeout: 10000,
+                success: (response) => {
+                    this.entries = response?.data || [];
+                    this.render();
+                },
+                error: () => {
+                    this.showNotification('Failed to load the account ledger', 'error');
+                },
+                complete: () => {
+                    this.isLoading = false;
+                    resolve();
+                }
+            });
+        });
+    }
+
+    render() {
+        const tableBody = document.getElementById('ledgerTableBody');
+        const emptyState = document.getElementById('ledgerEmpty');
+        if (!tableBody) return;
+
+        tableBody.innerHTML = this.entries.map(entry => this.getRowHTML(entry)).join('');
+        if (emptyState) emptyState.style.display = this.entries.length === 0 ? 'block' : 'none';
+    }
+
+    getRowHTML(entry) {
+        return `
+            <tr class="ledger-row ${String(entry.type || '').toLowerCase()}">
+                <td class="trade-time">${this.formatDate(entry.exDate)}</td>
+                <td>
+                    <div class="stock-symbol">${this.escapeHtml(entry.symbol)}</div>
+                    <div class="order-type">${entry.gameType === 'C1' ? 'Competition' : 'Practice'}</div>
+                </td>
+                <td>
+                    <span class="ledger-type">${this.formatType(entry.type)}</span>
+                    <div class="order-type">${this.escapeHtml(entry.description)}</div>
+                </td>
+                <td>${this.describeChange(entry)}</td>
+                <td class="price ledger-amount ${entry.amount > 0 ? 'credit' : entry.amount < 0 ? 'debit' : ''}">
+                    ${entry.amount ? this.formatAmount(entry.amount) : '—'}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * What changed, e.g. "10 → 20 shares · avg ₹2,400.00 → ₹1,200.00"
+     */
+    describeChange(entry) {
+        if (entry.type === 'DIVIDEND') {
+            return `${Math.abs(entry.quantityBefore)} shares ${entry.quantityBefore < 0 ? 'short' : 'held'}`;
+        }
+        return `${entry.quantityBefore} → ${entry.quantityAfter} shares · avg ` +
+            `${this.formatCurrency(entry.avgPriceBefore)} → ${this.formatCurrency(entry.avgPriceAfter)}`;
+    }
+
+    formatType(type) {
+        return { SPLIT: 'Split', BONUS: 'Bonus', DIVIDEND: 'Dividend' }[type] || type;
+    }
+
+    formatAmount(amount) {
+        return (amount > 0 ? '+' : '-') + this.formatCurrency(Math.abs(amount));
+    }
+
+    formatCurrency(amount) {
+        return '₹' + (amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+    }
+
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info') {
+        if (window.NotificationManager) {
+            window.NotificationManager.show(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+}
+
+// Initialize the ledger when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('ledgerTableBody')) {
+        window.accountLedger = new AccountLedger();
+        window.accountLedger.init();
+    }
+});
+
+window.AccountLedger = AccountLedger;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccountLedger;
+}
@@ -0,0 +1,595 @@
+/**
+ * Chart Drawings
+ * Trendlines, horizontal support/resistance lines, rectangles, Fibonacci
+ * retracements and text notes on a StockChart's price pane. Drawings are
+ * anchored at times and prices, so they follow zoom and pan. They are kept
+ * per user and symbol in the SuperStockOffline IndexedDB and synced with
+ * api/ChartDrawings; the copy changed last wins.
+ */
+
+// Anchor points of each drawing type
+const CHART_DRAWING_TYPES = { trendline: 2, hline: 1, rectangle: 2, fibonacci: 2, text: 1 };
+
+const CHART_DRAWING_COLORS = {
+    trendline: '#2980b9',
+    hline: '#e67e22',
+    rectangle: '#8e44ad',
+    fibonacci: '#16a085',
+    text: '#2c3e50'
+};
+
+const FIBONACCI_LEVELS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+
+/**
+ * Local (IndexedDB) and server copies of the drawings
+ */
+class ChartDrawingStore {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/ChartDrawings';
+        this.owner = options.owner ?? document.body?.dataset.user ?? '';
+        this.offlineStore = 'drawings';
+    }
+
+    getKey(symbol) {
+        return `${this.owner}|${String(symbol).toUpperCase()}`;
+    }
+
+    async getLocal(symbol) {
+        if (!window.swManager?.getOfflineData) return null;
+
+        try {
+            const records = await window.swManager.getOfflineData(this.offlineStore);
+            return (records || []).find(record => record.id === this.getKey(symbol)) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Stores the drawings of a symbol; pending marks changes not yet on the server
+     */
+    putLocal(symbol, { drawings, updatedAt, pending }) {
+        if (!window.swManager?.putOfflineData) return Promise.resolve();
+
+        return window.swManager.putOfflineData(this.offlineStore, [{
+            id: this.getKey(symbol),
+            owner: this.owner,
+            symbol: String(symbol).toUpperCase(),
+            drawings,
+            updatedAt,
+            pending
+        }]);
+    }
+
+    async fetchRemote(symbol) {
+        const response = await fetch(`${this.endpoint}/${encodeURIComponent(symbol)}`);
+        return ChartDrawingStore.readResponse(response);
+    }
+
+    /**
+     * Saves the drawings on the server and returns what it stored, which is
+     * its own copy if that was changed later
+     */
+    async pushRemote(symbol, drawings, updatedAt) {
+        const response = await fetch(`${this.endpoint}/${encodeURIComponent(symbol)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ drawings, updatedAt })
+        });
+        return ChartDrawingStore.readResponse(response);
+    }
+
+    static async readResponse(response) {
+        const body = await response.json().catch(() => null);
+        if (!response.ok || !body?.success) {
+            throw new Error(body?.message || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        return body.data;
+    }
+}
+
+/**
+ * Drawing tools and the drawings of the symbol on a StockChart
+ */
+class ChartDrawings {
+    constructor(stockChart, options = {}) {
+        this.stockChart = stockChart;
+        this.canvas = stockChart.canvas;
+        this.store = options.store || new ChartDrawingStore();
+        this.toolbar = options.toolbar ? document.getElementById(options.toolbar) : null;
+        this.symbol = null;
+        this.items = [];
+        this.updatedAt = null;
+        this.tool = null; // Drawing type being placed
+        this.selectedId = null;
+        this.gesture = null; // Drawing being drawn, moved or reshaped
+        this.hidden = false; // While the chart shows something other than prices
+        this.textBoxes = new Map();
+        this.loadCount = 0;
+
+        this.bindEvents();
+    }
+
+    get chart() {
+        return this.stockChart.chart;
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('dblclick', (e) => this.editText(this.hitTest(this.getPosition(e))?.drawing));
+        this.canvas.addEventListener('keydown', (e) => {
+            if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedId) {
+                e.preventDefault();
+                this.deleteSelected();
+            } else if (e.key === 'Escape') {
+                this.setTool(null);
+                this.select(null);
+            }
+        });
+
+        this.toolbar?.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.dataset.drawingTool) {
+                this.setTool(this.tool === button.dataset.drawingTool ? null : button.dataset.drawingTool);
+            } else if (button.dataset.drawingAction === 'delete') {
+                this.deleteSelected();
+            } else if (button.dataset.drawingAction === 'clear' && this.items.length
+                && window.confirm(`Remove all drawings on ${this.symbol}?`)) {
+                this.clear();
+            }
+        });
+    }
+
+    /**
+     * Shows the symbol's drawings: the offline copy first, then the server's
+     * if it is newer. Offline changes not yet on the server are sent now.
+     */
+    async load(symbol) {
+        const loadId = ++this.loadCount;
+        this.symbol = symbol;
+        this.apply({ drawings: [], updatedAt: null });
+        this.select(null);
+
+        const local = await this.store.getLocal(symbol);
+        if (loadId !== this.loadCount) return;
+        if (local) {
+            this.apply(local);
+        }
+
+        let remote = null;
+        try {
+            remote = await this.store.fetchRemote(symbol);
+        } catch (error) {
+            console.warn('Chart drawings: using the offline copy', error);
+        }
+        if (loadId !== this.loadCount) return;
+
+        if (remote && (!local || ChartDrawings.toTime(remote.updatedAt) > ChartDrawings.toTime(local.updatedAt))) {
+            this.apply(remote);
+            await this.store.putLocal(symbol, { drawings: this.items, updatedAt: this.updatedAt, pending: false });
+        } else if (local?.pending) {
+            await this.sync();
+        }
+    }
+
+    apply(set) {
+        this.items = (set.drawings || []).map(drawing => ({
+            ...drawing,
+            points: (drawing.points || []).map(point => ({ x: point.x, y: point.y }))
+        }));
+        this.updatedAt = set.updatedAt || null;
+        this.redraw();
+    }
+
+    /**
+     * Stores the drawings offline, then on the server
+     */
+    async save() {
+        if (!this.symbol) return;
+
+        this.updatedAt = new Date().toISOString();
+        await this.store.putLocal(this.symbol, { drawings: this.items, updatedAt: this.updatedAt, pending: true });
+        await this.sync();
+    }
+
+    async sync() {
+        const { symbol, updatedAt } = this;
+        try {
+            const stored = await this.store.pushRemote(symbol, this.items, updatedAt);
+            // Changed again meanwhile: that save syncs itself
+            if (symbol !== this.symbol || updatedAt !== this.updatedAt) return;
+
+            if (stored && ChartDrawings.toTime(stored.updatedAt) > ChartDrawings.toTime(updatedAt)) {
+                this.apply(stored); // The server has a newer copy
+            }
+            await this.store.putLocal(symbol, { drawings: this.items, updatedAt: this.updatedAt, pending: false });
+        } catch (error) {
+            console.warn('Chart drawings: saved offline, will sync when the chart is next opened', error);
+        }
+    }
+
+    static toTime(value) {
+        return value ? Date.parse(value) || 0 : 0;
+    }
+
+    add(drawing) {
+        this.items.push(drawing);
+        this.select(drawing.id);
+        this.save();
+    }
+
+    deleteSelected() {
+        if (!this.selectedId) return;
+
+        this.items = this.items.filter(drawing => drawing.id !== this.selectedId);
+        this.select(null);
+        this.save();
+    }
+
+    clear() {
+        this.items = [];
+        this.select(null);
+        this.save();
+    }
+
+    setTool(tool) {
+        this.tool = tool && CHART_DRAWING_TYPES[tool] ? tool : null;
+        this.canvas.classList.toggle('drawing-mode', Boolean(this.tool));
+        this.toolbar?.querySelectorAll('[data-drawing-tool]').forEach(button => {
+            const active = button.dataset.drawingTool === this.tool;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+    }
+
+    /**
+     * Hides the drawings and their toolbar, e.g. while StockChart compares
+     * symbols on a percent axis
+     */
+    setHidden(hidden) {
+        this.setTool(null);
+        this.select(null);
+        this.hidden = hidden;
+        if (this.toolbar) {
+            this.toolbar.hidden = hidden;
+        }
+        this.redraw();
+    }
+
+    select(id) {
+        this.selectedId = id;
+        const deleteButton = this.toolbar?.querySelector('[data-drawing-action="delete"]');
+        if (deleteButton) {
+            deleteButton.disabled = !id;
+        }
+        this.redraw();
+    }
+
+    /**
+     * Asks for a text note's new text; an empty note is deleted
+     */
+    editText(drawing) {
+        if (this.hidden || drawing?.type !== 'text') return;
+
+        const text = window.prompt('Edit note', drawing.text);
+        if (text === null) return;
+
+        this.select(drawing.id);
+        if (text.trim()) {
+            drawing.text = text.trim().slice(0, 200);
+            this.save();
+        } else {
+            this.deleteSelected();
+        }
+    }
+
+    onPointerDown(e) {
+        if (!this.chart || !this.symbol || this.hidden || e.button !== 0) return;
+
+        const position = this.getPosition(e);
+        if (!this.isInPricePane(position)) return;
+
+        if (this.tool) {
+            this.startDrawing(this.tool, position);
+        } else {
+            const hit = this.hitTest(position);
+            this.select(hit?.drawing.id || null);
+            if (!hit) return; // Leave the drag to panning
+
+            this.gesture = { mode: 'move', drawing: hit.drawing, handle: hit.handle, last: position, moved: false };
+        }
+
+        if (this.gesture) {
+            e.preventDefault();
+            this.setPanEnabled(false);
+            this.canvas.setPointerCapture?.(e.pointerId);
+        }
+    }
+
+    startDrawing(type, position) {
+        const point = this.toValue(position);
+        const drawing = {
+            id: ChartDrawings.createId(),
+            type,
+            points: CHART_DRAWING_TYPES[type] === 1 ? [point] : [point, { ...point }],
+            color: CHART_DRAWING_COLORS[type]
+        };
+
+        if (type === 'text') {
+            const text = window.prompt('Note');
+            this.setTool(null);
+            if (text?.trim()) {
+                this.add({ ...drawing, text: text.trim().slice(0, 200) });
+            }
+        } else if (type === 'hline') {
+            this.setTool(null);
+            this.add(drawing);
+        } else {
+            this.items.push(drawing);
+            this.gesture = { mode: 'draw', drawing, start: position };
+        }
+    }
+
+    onPointerMove(e) {
+        if (!this.chart) return;
+
+        const position = this.getPosition(e);
+        if (!this.gesture) {
+            const hit = !this.tool && !this.hidden && this.isInPricePane(position) ? this.hitTest(position) : null;
+            this.canvas.style.cursor = this.tool ? 'crosshair' : (hit ? (hit.handle !== null ? 'grab' : 'move') : '');
+            return;
+        }
+
+        const { drawing } = this.gesture;
+        if (this.gesture.mode === 'draw') {
+            drawing.points[1] = this.toValue(position);
+        } else if (this.gesture.handle !== null) {
+            drawing.points[this.gesture.handle] = this.toValue(position);
+            this.gesture.moved = true;
+        } else {
+            this.moveBy(drawing, position.x - this.gesture.last.x, position.y - this.gesture.last.y);
+            this.gesture.last = position;
+            this.gesture.moved = true;
+        }
+        this.redraw();
+    }
+
+    onPointerUp(e) {
+        const gesture = this.gesture;
+        if (!gesture) return;
+
+        this.gesture = null;
+        this.setPanEnabled(true);
+        this.canvas.releasePointerCapture?.(e.pointerId);
+
+        if (gesture.mode === 'draw') {
+            this.setTool(null);
+            const end = this.getPosition(e);
+            if (Math.hypot(end.x - gesture.start.x, end.y - gesture.start.y) < 4) {
+                // A click rather than a drag draws nothing
+                this.items = this.items.filter(drawing => drawing !== gesture.drawing);
+                this.redraw();
+            } else {
+                this.select(gesture.drawing.id);
+                this.save();
+            }
+        } else if (gesture.moved) {
+            this.save();
+        }
+    }
+
+    /**
+     * Shifts a drawing by a distance in pixels
+     */
+    moveBy(drawing, dx, dy) {
+        const { x, y } = this.chart.scales;
+        drawing.points = drawing.points.map(point => ({
+            x: Math.round(x.getValueForPixel(x.getPixelForValue(point.x) + dx)),
+            y: y.getValueForPixel(y.getPixelForValue(point.y) + dy)
+        }));
+    }
+
+    setPanEnabled(enabled) {
+        const pan = this.chart?.options.plugins?.zoom?.pan;
+        if (pan) {
+            pan.enabled = enabled && this.stockChart.options.enablePan;
+        }
+    }
+
+    getPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    isInPricePane({ x, y }) {
+        const area = this.chart?.chartArea;
+        const scale = this.chart?.scales.y;
+        return Boolean(area && scale) && x >= area.left && x <= area.right && y >= scale.top && y <= scale.bottom;
+    }
+
+    toValue({ x, y }) {
+        const scales = this.chart.scales;
+        return { x: Math.round(scales.x.getValueForPixel(x)), y: scales.y.getValueForPixel(y) };
+    }
+
+    toPixel(point) {
+        const scales = this.chart.scales;
+        return { x: scales.x.getPixelForValue(point.x), y: scales.y.getPixelForValue(point.y) };
+    }
+
+    /**
+     * Prices of the retracement levels, 0% at the second point and 100% at
+     * the first
+     */
+    static getFibonacciLevels(from, to) {
+        return FIBONACCI_LEVELS.map(level => ({ level, price: to.y - (to.y - from.y) * level }));
+    }
+
+    /**
+     * The drawing under a canvas position, and which of its points when the
+     * selected drawing is grabbed by a handle
+     */
+    hitTest(position, tolerance = 6) {
+        if (!this.chart?.scales.x || !this.chart.scales.y) return null;
+
+        const near = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) <= tolerance;
+        const area = this.chart.chartArea;
+
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            const drawing = this.items[i];
+            const points = drawing.points.map(point => this.toPixel(point));
+
+            if (drawing.id === this.selectedId && points.length === 2) {
+                const handle = points.findIndex(point => near(point, position));
+                if (handle >= 0) return { drawing, handle };
+            }
+
+            let hit = false;
+            switch (drawing.type) {
+                case 'trendline':
+                    hit = ChartDrawings.distanceToSegment(position, points[0], points[1]) <= tolerance;
+                    break;
+                case 'hline':
+                    hit = Math.abs(position.y - points[0].y) <= tolerance;
+                    break;
+                case 'rectangle':
+                    hit = ChartDrawings.isInBox(position, points[0], points[1], tolerance);
+                    break;
+                case 'fibonacci': {
+                    const left = Math.min(points[0].x, points[1].x);
+                    hit = position.x >= left - tolerance && position.x <= area.right
+                        && ChartDrawings.getFibonacciLevels(drawing.points[0], drawing.points[1])
+                            .some(({ price }) => Math.abs(position.y - this.chart.scales.y.getPixelForValue(price)) <= tolerance);
+                    break;
+                }
+                case 'text': {
+                    const box = this.textBoxes.get(drawing.id);
+                    hit = Boolean(box) && ChartDrawings.isInBox(position, box, { x: box.x + box.width, y: box.y + box.height }, tolerance);
+                    break;
+                }
+            }
+
+            if (hit) return { drawing, handle: null };
+        }
+        return null;
+    }
+
+    static distanceToSegment(p, a, b) {
+        const lengthSquared = Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2);
+        const t = lengthSquared === 0 ? 0
+            : Math.max(0, Math.min(1, ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / lengthSquared));
+        return Math.hypot(p.x - (a.x + t * (b.x - a.x)), p.y - (a.y + t * (b.y - a.y)));
+    }
+
+    static isInBox(p, a, b, tolerance = 0) {
+        return p.x >= Math.min(a.x, b.x) - tolerance && p.x <= Math.max(a.x, b.x) + tolerance
+            && p.y >= Math.min(a.y, b.y) - tolerance && p.y <= Math.max(a.y, b.y) + tolerance;
+    }
+
+    static createId() {
+        return window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    redraw() {
+        this.chart?.draw?.();
+    }
+
+    /**
+     * Paints the drawings over the price pane; called by StockChart's plugin
+     */
+    draw(chart) {
+        const { ctx, chartArea: area } = chart;
+        const scale = chart.scales.y;
+        if (this.hidden || !this.items.length || !area || !scale || !chart.scales.x) return;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(area.left, scale.top, area.width, scale.height);
+        ctx.clip();
+        ctx.font = '12px sans-serif';
+
+        this.items.forEach(drawing => {
+            const points = drawing.points.map(point => this.toPixel(point));
+            const selected = drawing.id === this.selectedId;
+
+            ctx.strokeStyle = drawing.color || CHART_DRAWING_COLORS[drawing.type];
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.lineWidth = selected ? 2 : 1;
+            ctx.setLineDash([]);
+
+            switch (drawing.type) {
+                case 'trendline':
+                    this.drawLine(ctx, points[0], points[1]);
+                    break;
+                case 'hline':
+                    this.drawLine(ctx, { x: area.left, y: points[0].y }, { x: area.right, y: points[0].y });
+                    ctx.textAlign = 'right';
+                    ctx.fillText(`₹${drawing.points[0].y.toFixed(2)}`, area.right - 4, points[0].y - 4);
+                    break;
+                case 'rectangle':
+                    ctx.strokeRect(points[0].x, points[0].y, points[1].x - points[0].x, points[1].y - points[0].y);
+                    ctx.globalAlpha = 0.12;
+                    ctx.fillRect(points[0].x, points[0].y, points[1].x - points[0].x, points[1].y - points[0].y);
+                    ctx.globalAlpha = 1;
+                    break;
+                case 'fibonacci':
+                    this.drawFibonacci(ctx, drawing, points, area, scale);
+                    break;
+                case 'text': {
+                    ctx.textAlign = 'left';
+                    ctx.textBaseline = 'bottom';
+                    ctx.fillText(drawing.text, points[0].x, points[0].y);
+                    const width = ctx.measureText(drawing.text).width;
+                    const box = { x: points[0].x, y: points[0].y - 14, width, height: 14 };
+                    this.textBoxes.set(drawing.id, box);
+                    if (selected) {
+                        ctx.strokeRect(box.x - 2, box.y - 2, box.width + 4, box.height + 4);
+                    }
+                    ctx.textBaseline = 'alphabetic';
+                    break;
+                }
+            }
+
+            if (selected && points.length === 2) {
+                points.forEach(point => ctx.fillRect(point.x - 3, point.y - 3, 6, 6));
+            }
+        });
+
+        ctx.restore();
+    }
+
+    drawLine(ctx, from, to) {
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+    }
+
+    drawFibonacci(ctx, drawing, points, area, scale) {
+        const left = Math.min(points[0].x, points[1].x);
+        ctx.textAlign = 'left';
+
+        ChartDrawings.getFibonacciLevels(drawing.points[0], drawing.points[1]).forEach(({ level, price }) => {
+            const y = scale.getPixelForValue(price);
+            this.drawLine(ctx, { x: left, y }, { x: area.right, y });
+            ctx.fillText(`${(level * 100).toFixed(1)}%  ₹${price.toFixed(2)}`, left + 4, y - 3);
+        });
+
+        ctx.setLineDash([4, 4]);
+        this.drawLine(ctx, points[0], points[1]);
+        ctx.setLineDash([]);
+    }
+}
+
+window.ChartDrawingStore = ChartDrawingStore;
+window.ChartDrawings = ChartDrawings;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChartDrawings, ChartDrawingStore };
+}
@@ -0,0 +1,513 @@
+/**
+ * Chart Indicators
+ * Technical indicator maths and the registry StockChart draws indicators
+ * from. Each indicator declares the candle fields it needs, its parameters,
+ * the series it outputs and whether it goes on the price pane or its own.
+ */
+
+/**
+ * Indicator maths on candles ({ x, o, h, l, c, v }). Series are arrays the
+ * length of the candles with null where there is no value yet.
+ */
+class TechnicalIndicators {
+    static field(bars, key) {
+        return bars.map(bar => bar[key] ?? null);
+    }
+
+    static typicalPrice(bar) {
+        return (bar.h + bar.l + bar.c) / 3;
+    }
+
+    /**
+     * Chart points for a series; gaps are dropped unless keepGaps, which
+     * breaks the line there instead
+     */
+    static toPoints(bars, values, { keepGaps = false } = {}) {
+        const points = bars.map((bar, i) => ({ x: bar.x, y: Number.isFinite(values[i]) ? values[i] : null }));
+        return keepGaps ? points : points.filter(point => point.y !== null);
+    }
+
+    static sma(values, period) {
+        return values.map((value, i) => {
+            if (i < period - 1) return null;
+            const window = values.slice(i - period + 1, i + 1);
+            return window.some(v => v === null) ? null : window.reduce((sum, v) => sum + v, 0) / period;
+        });
+    }
+
+    /**
+     * Exponential average seeded with the simple average of the first
+     * `period` values
+     */
+    static ema(values, period) {
+        return TechnicalIndicators.smooth(values, period, 2 / (period + 1));
+    }
+
+    /**
+     * Wilder's smoothing (RSI, ATR, ADX)
+     */
+    static wilder(values, period) {
+        return TechnicalIndicators.smooth(values, period, 1 / period);
+    }
+
+    static smooth(values, period, alpha) {
+        const result = new Array(values.length).fill(null);
+        const start = values.findIndex(v => v !== null);
+        if (start < 0 || values.length - start < period) return result;
+
+        let average = values.slice(start, start + period).reduce((sum, v) => sum + v, 0) / period;
+        result[start + period - 1] = average;
+        for (let i = start + period; i < values.length; i++) {
+            average = values[i] === null ? average : values[i] * alpha + average * (1 - alpha);
+            result[i] = average;
+        }
+        return result;
+    }
+
+    static highest(values, period) {
+        return values.map((_, i) => i < period - 1 ? null : Math.max(...values.slice(i - period + 1, i + 1)));
+    }
+
+    static lowest(values, period) {
+        return values.map((_, i) => i < period - 1 ? null : Math.min(...values.slice(i - period + 1, i + 1)));
+    }
+
+    static bollinger(bars, period, deviations) {
+        const closes = TechnicalIndicators.field(bars, 'c');
+        const middle = TechnicalIndicators.sma(closes, period);
+        const width = middle.map((mean, i) => {
+            if (mean === null) return null;
+            const window = closes.slice(i - period + 1, i + 1);
+            const variance = window.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / period;
+            return deviations * Math.sqrt(variance);
+        });
+
+        return {
+            upper: middle.map((mean, i) => mean === null ? null : mean + width[i]),
+            middle,
+            lower: middle.map((mean, i) => mean === null ? null : mean - width[i])
+        };
+    }
+
+    static rsi(bars, period) {
+        const closes = TechnicalIndicators.field(bars, 'c');
+        const changes = closes.map((close, i) => i === 0 ? null : close - closes[i - 1]);
+        const gains = TechnicalIndicators.wilder(changes.map(c => c === null ? null : Math.max(c, 0)), period);
+        const losses = TechnicalIndicators.wilder(changes.map(c => c === null ? null : Math.max(-c, 0)), period);
+
+        return gains.map((gain, i) => {
+            if (gain === null) return null;
+            return losses[i] === 0 ? 100 : 100 - 100 / (1 + gain / losses[i]);
+        });
+    }
+
+    static macd(bars, fastPeriod, slowPeriod, signalPeriod) {
+        const closes = TechnicalIndicators.field(bars, 'c');
+        const fast = TechnicalIndicators.ema(closes, fastPeriod);
+        const slow = TechnicalIndicators.ema(closes, slowPeriod);
+        const macd = fast.map((value, i) => value === null || slow[i] === null ? null : value - slow[i]);
+        const signal = TechnicalIndicators.ema(macd, signalPeriod);
+
+        return {
+            macd,
+            signal,
+            histogram: macd.map((value, i) => value === null || signal[i] === null ? null : value - signal[i])
+        };
+    }
+
+    /**
+     * Volume-weighted average price, restarting every trading day
+     */
+    static vwap(bars) {
+        let day = null;
+        let priceVolume = 0;
+        let volume = 0;
+
+        return bars.map(bar => {
+            const barDay = new Date(bar.x).toDateString();
+            if (barDay !== day) {
+                day = barDay;
+                priceVolume = 0;
+                volume = 0;
+            }
+            priceVolume += TechnicalIndicators.typicalPrice(bar) * (bar.v || 0);
+            volume += bar.v || 0;
+            return volume > 0 ? priceVolume / volume : null;
+        });
+    }
+
+    static trueRange(bars) {
+        return bars.map((bar, i) => i === 0
+            ? bar.h - bar.l
+            : Math.max(bar.h - bar.l, Math.abs(bar.h - bars[i - 1].c), Math.abs(bar.l - bars[i - 1].c)));
+    }
+
+    static atr(bars, period) {
+        return TechnicalIndicators.wilder(TechnicalIndicators.trueRange(bars), period);
+    }
+
+    /**
+     * Slow stochastic: %K smoothed over `smoothing` candles, %D its average
+     */
+    static stochastic(bars, kPeriod, dPeriod, smoothing) {
+        const high = TechnicalIndicators.highest(TechnicalIndicators.field(bars, 'h'), kPeriod);
+        const low = TechnicalIndicators.lowest(TechnicalIndicators.field(bars, 'l'), kPeriod);
+        const fastK = bars.map((bar, i) => {
+            if (high[i] === null) return null;
+            return high[i] === low[i] ? 50 : 100 * (bar.c - low[i]) / (high[i] - low[i]);
+        });
+        const k = TechnicalIndicators.sma(fastK, smoothing);
+
+        return { k, d: TechnicalIndicators.sma(k, dPeriod) };
+    }
+
+    /**
+     * ATR trailing stop that flips sides when the close crosses it; `up` has
+     * the line while the trend is up, `down` while it is down
+     */
+    static superTrend(bars, period, multiplier) {
+        const atr = TechnicalIndicators.atr(bars, period);
+        const up = new Array(bars.length).fill(null);
+        const down = new Array(bars.length).fill(null);
+        let upperBand = null;
+        let lowerBand = null;
+        let isUp = true;
+
+        bars.forEach((bar, i) => {
+            if (atr[i] === null) return;
+
+            const middle = (bar.h + bar.l) / 2;
+            const previousClose = i > 0 ? bars[i - 1].c : bar.c;
+            const basicUpper = middle + multiplier * atr[i];
+            const basicLower = middle - multiplier * atr[i];
+
+            upperBand = upperBand === null || basicUpper < upperBand || previousClose > upperBand ? basicUpper : upperBand;
+            lowerBand = lowerBand === null || basicLower > lowerBand || previousClose < lowerBand ? basicLower : lowerBand;
+
+            if (isUp && bar.c < lowerBand) {
+                isUp = false;
+            } else if (!isUp && bar.c > upperBand) {
+                isUp = true;
+            }
+
+            if (isUp) {
+                up[i] = lowerBand;
+            } else {
+                down[i] = upperBand;
+            }
+        });
+
+        return { up, down };
+    }
+
+    /**
+     * Average directional index with the +DI and -DI lines
+     */
+    static adx(bars, period) {
+        const plusMove = bars.map((bar, i) => {
+            if (i === 0) return null;
+            const upMove = bar.h - bars[i - 1].h;
+            const downMove = bars[i - 1].l - bar.l;
+            return upMove > downMove && upMove > 0 ? upMove : 0;
+        });
+        const minusMove = bars.map((bar, i) => {
+            if (i === 0) return null;
+            const upMove = bar.h - bars[i - 1].h;
+            const downMove = bars[i - 1].l - bar.l;
+            return downMove > upMove && downMove > 0 ? downMove : 0;
+        });
+        const range = TechnicalIndicators.trueRange(bars).map((tr, i) => i === 0 ? null : tr);
+
+        const smoothedRange = TechnicalIndicators.wilder(range, period);
+        const plusDI = TechnicalIndicators.wilder(plusMove, period)
+            .map((move, i) => move === null || !smoothedRange[i] ? null : 100 * move / smoothedRange[i]);
+        const minusDI = TechnicalIndicators.wilder(minusMove, period)
+            .map((move, i) => move === null || !smoothedRange[i] ? null : 100 * move / smoothedRange[i]);
+        const dx = plusDI.map((plus, i) => {
+            if (plus === null || minusDI[i] === null) return null;
+            const total = plus + minusDI[i];
+            return total === 0 ? 0 : 100 * Math.abs(plus - minusDI[i]) / total;
+        });
+
+        return { adx: TechnicalIndicators.wilder(dx, period), plusDI, minusDI };
+    }
+
+    /**
+     * Ichimoku cloud. The leading spans are plotted `displacement` candles
+     * ahead of the last candle and the lagging span as many behind, so the
+     * series are chart points rather than per-candle values.
+     */
+    static ichimoku(bars, conversionPeriod, basePeriod, spanBPeriod, displacement) {
+        const highs = TechnicalIndicators.field(bars, 'h');
+        const lows = TechnicalIndicators.field(bars, 'l');
+        const midpoint = period => {
+            const high = TechnicalIndicators.highest(highs, period);
+            const low = TechnicalIndicators.lowest(lows, period);
+            return high.map((value, i) => value === null ? null : (value + low[i]) / 2);
+        };
+
+        const conversion = midpoint(conversionPeriod);
+        const base = midpoint(basePeriod);
+        const spanA = conversion.map((value, i) => value === null || base[i] === null ? null : (value + base[i]) / 2);
+        const spanB = midpoint(spanBPeriod);
+
+        // Times of the candles `displacement` ahead, extrapolated past the last one
+        const step = bars.length > 1 ? bars[bars.length - 1].x - bars[bars.length - 2].x : 0;
+        const timeAt = i => i < bars.length ? bars[i].x : bars[bars.length - 1].x + (i - bars.length + 1) * step;
+        const lead = values => values
+            .map((y, i) => ({ x: timeAt(i + displacement), y }))
+            .filter(point => point.y !== null);
+
+        return {
+            conversion: TechnicalIndicators.toPoints(bars, conversion),
+            base: TechnicalIndicators.toPoints(bars, base),
+            spanA: lead(spanA),
+            spanB: lead(spanB),
+            lagging: bars.slice(displacement).map((bar, i) => ({ x: bars[i].x, y: bar.c }))
+        };
+    }
+}
+
+/**
+ * Indicators StockChart can draw, by id. A definition has:
+ * - name: button and pane label
+ * - pane: 'price' to overlay the candles, 'separate' for its own pane
+ * - inputs: candle fields it reads (open, high, low, close, volume)
+ * - params: [{ key, label, default, min, max, step }]
+ * - outputs: [{ key, label, type, color, style }], one dataset each
+ * - scale: y-axis options of its own pane
+ * - calculate(bars, params): chart points per output key
+ */
+class IndicatorRegistry {
+    constructor() {
+        this.indicators = new Map();
+    }
+
+    register(definition) {
+        if (!definition?.id || typeof definition.calculate !== 'function') {
+            throw new Error('An indicator needs an id and a calculate function');
+        }
+
+        this.indicators.set(definition.id, {
+            pane: 'price',
+            inputs: ['close'],
+            params: [],
+            outputs: [],
+            ...definition
+        });
+        return this;
+    }
+
+    get(id) {
+        return this.indicators.get(id) || null;
+    }
+
+    has(id) {
+        return this.indicators.has(id);
+    }
+
+    list() {
+        return Array.from(this.indicators.values());
+    }
+
+    /**
+     * Parameters with defaults filled in and values clamped to each
+     * parameter's range
+     */
+    normalizeParams(id, params = {}) {
+        const definition = this.get(id);
+        if (!definition) return {};
+
+        return definition.params.reduce((result, param) => {
+            let value = parseFloat(params[param.key]);
+            if (!Number.isFinite(value)) {
+                value = param.default;
+            }
+            if (param.min !== undefined) value = Math.max(value, param.min);
+            if (param.max !== undefined) value = Math.min(value, param.max);
+            if ((param.step || 1) >= 1) value = Math.round(value);
+
+            result[param.key] = value;
+            return result;
+        }, {});
+    }
+
+    /**
+     * Chart points per output of an indicator. Empty when the candles lack
+     * one of its inputs (e.g. volume).
+     */
+    calculate(id, bars, params) {
+        const definition = this.get(id);
+        if (!definition || !bars?.length || !IndicatorRegistry.hasInputs(bars, definition.inputs)) {
+            return {};
+        }
+
+        return definition.calculate(bars, this.normalizeParams(id, params));
+    }
+
+    static hasInputs(bars, inputs) {
+        const fields = { open: 'o', high: 'h', low: 'l', close: 'c', volume: 'v' };
+        return inputs.every(input => bars.some(bar => Number.isFinite(bar[fields[input]]) && (input !== 'volume' || bar.v > 0)));
+    }
+
+    /**
+     * A registry with the built-in indicators
+     */
+    static createDefault() {
+        const math = TechnicalIndicators;
+        const points = (bars, values, options) => math.toPoints(bars, values, options);
+        const period = (value, max = 200) => ({ key: 'period', label: 'Period', default: value, min: 2, max, step: 1 });
+        const movingAverage = (id, name, average, length, color) => ({
+            id,
+            name,
+            params: [period(length)],
+            outputs: [{ key: 'value', label: name, color }],
+            calculate: (bars, params) => ({ value: points(bars, average(math.field(bars, 'c'), params.period)) })
+        });
+
+        return new IndicatorRegistry()
+            .register(movingAverage('sma20', 'SMA 20', math.sma, 20, '#f39c12'))
+            .register(movingAverage('sma50', 'SMA 50', math.sma, 50, '#3498db'))
+            .register(movingAverage('ema20', 'EMA 20', math.ema, 20, '#2ecc71'))
+            .register({
+                id: 'bollinger',
+                name: 'Bollinger',
+                params: [period(20), { key: 'deviations', label: 'Std dev', default: 2, min: 0.5, max: 5, step: 0.5 }],
+                outputs: [
+                    { key: 'upper', label: 'Bollinger Upper', color: '#e74c3c' },
+                    { key: 'lower', label: 'Bollinger Lower', color: '#e74c3c', style: { backgroundColor: 'rgba(231, 76, 60, 0.1)', fill: '-1' } },
+                    { key: 'middle', label: 'Bollinger SMA', color: '#95a5a6', style: { borderDash: [5, 5] } }
+                ],
+                calculate: (bars, params) => {
+                    const bands = math.bollinger(bars, params.period, params.deviations);
+                    return { upper: points(bars, bands.upper), lower: points(bars, bands.lower), middle: points(bars, bands.middle) };
+                }
+            })
+            .register({
+                id: 'vwap',
+                name: 'VWAP',
+                inputs: ['high', 'low', 'close', 'volume'],
+                outputs: [{ key: 'vwap', label: 'VWAP', color: '#e67e22', style: { borderWidth: 2 } }],
+                calculate: bars => ({ vwap: points(bars, math.vwap(bars)) })
+            })
+            .register({
+                id: 'supertrend',
+                name: 'SuperTrend',
+                inputs: ['high', 'low', 'close'],
+                params: [period(10, 100), { key: 'multiplier', label: 'Multiplier', default: 3, min: 0.5, max: 10, step: 0.5 }],
+                outputs: [
+                    { key: 'up', label: 'SuperTrend Up', color: '#27ae60', style: { borderWidth: 2 } },
+                    { key: 'down', label: 'SuperTrend Down', color: '#c0392b', style: { borderWidth: 2 } }
+                ],
+                calculate: (bars, params) => {
+                    const trend = math.superTrend(bars, params.period, params.multiplier);
+                    return { up: points(bars, trend.up, { keepGaps: true }), down: points(bars, trend.down, { keepGaps: true }) };
+                }
+            })
+            .register({
+                id: 'ichimoku',
+                name: 'Ichimoku',
+                inputs: ['high', 'low', 'close'],
+                params: [
+                    { key: 'conversion', label: 'Conversion', default: 9, min: 2, max: 100, step: 1 },
+                    { key: 'base', label: 'Base', default: 26, min: 2, max: 100, step: 1 },
+                    { key: 'spanB', label: 'Span B', default: 52, min: 2, max: 200, step: 1 },
+                    { key: 'displacement', label: 'Displacement', default: 26, min: 1, max: 100, step: 1 }
+                ],
+                outputs: [
+                    { key: 'conversion', label: 'Ichimoku Conversion', color: '#2980b9' },
+                    { key: 'base', label: 'Ichimoku Base', color: '#c0392b' },
+                    { key: 'spanA', label: 'Ichimoku Span A', color: '#27ae60' },
+                    { key: 'spanB', label: 'Ichimoku Span B', color: '#e74c3c', style: { fill: { target: '-1', above: 'rgba(231, 76, 60, 0.1)', below: 'rgba(39, 174, 96, 0.1)' } } },
+                    { key: 'lagging', label: 'Ichimoku Lagging', color: '#8e44ad', style: { borderDash: [2, 2] } }
+                ],
+                calculate: (bars, params) => math.ichimoku(bars, params.conversion, params.base, params.spanB, params.displacement)
+            })
+            .register({
+                id: 'rsi',
+                name: 'RSI',
+                pane: 'separate',
+                params: [period(14, 100)],
+                outputs: [{ key: 'rsi', label: 'RSI', color: '#9b59b6', style: { borderWidth: 2 } }],
+                scale: { min: 0, max: 100 },
+                calculate: (bars, params) => ({ rsi: points(bars, math.rsi(bars, params.period)) })
+            })
+            .register({
+                id: 'macd',
+                name: 'MACD',
+                pane: 'separate',
+                params: [
+                    { key: 'fast', label: 'Fast', default: 12, min: 2, max: 100, step: 1 },
+                    { key: 'slow', label: 'Slow', default: 26, min: 2, max: 200, step: 1 },
+                    { key: 'signal', label: 'Signal', default: 9, min: 2, max: 100, step: 1 }
+                ],
+                outputs: [
+                    { key: 'macd', label: 'MACD', color: '#3498db', style: { borderWidth: 2 } },
+                    { key: 'signal', label: 'MACD Signal', color: '#e74c3c' },
+                    { key: 'histogram', label: 'MACD Histogram', type: 'bar', color: '#3498db', style: { backgroundColor: 'rgba(52, 152, 219, 0.3)' } }
+                ],
+                calculate: (bars, params) => {
+                    const macd = math.macd(bars, params.fast, params.slow, params.signal);
+                    return { macd: points(bars, macd.macd), signal: points(bars, macd.signal), histogram: points(bars, macd.histogram) };
+                }
+            })
+            .register({
+                id: 'atr',
+                name: 'ATR',
+                pane: 'separate',
+                inputs: ['high', 'low', 'close'],
+                params: [period(14, 100)],
+                outputs: [{ key: 'atr', label: 'ATR', color: '#16a085', style: { borderWidth: 2 } }],
+                scale: { beginAtZero: true },
+                calculate: (bars, params) => ({ atr: points(bars, math.atr(bars, params.period)) })
+            })
+            .register({
+                id: 'stochastic',
+                name: 'Stochastic',
+                pane: 'separate',
+                inputs: ['high', 'low', 'close'],
+                params: [
+                    { key: 'kPeriod', label: '%K', default: 14, min: 2, max: 100, step: 1 },
+                    { key: 'dPeriod', label: '%D', default: 3, min: 1, max: 50, step: 1 },
+                    { key: 'smoothing', label: 'Smoothing', default: 3, min: 1, max: 50, step: 1 }
+                ],
+                outputs: [
+                    { key: 'k', label: 'Stochastic %K', color: '#2980b9', style: { borderWidth: 2 } },
+                    { key: 'd', label: 'Stochastic %D', color: '#e67e22' }
+                ],
+                scale: { min: 0, max: 100 },
+                calculate: (bars, params) => {
+                    const stochastic = math.stochastic(bars, params.kPeriod, params.dPeriod, params.smoothing);
+                    return { k: points(bars, stochastic.k), d: points(bars, stochastic.d) };
+                }
+            })
+            .register({
+                id: 'adx',
+                name: 'ADX',
+                pane: 'separate',
+                inputs: ['high', 'low', 'close'],
+                params: [period(14, 100)],
+                outputs: [
+                    { key: 'adx', label: 'ADX', color: '#34495e', style: { borderWidth: 2 } },
+                    { key: 'plusDI', label: '+DI', color: '#27ae60' },
+                    { key: 'minusDI', label: '-DI', color: '#c0392b' }
+                ],
+                scale: { min: 0, max: 100 },
+                calculate: (bars, params) => {
+                    const adx = math.adx(bars, params.period);
+                    return { adx: points(bars, adx.adx), plusDI: points(bars, adx.plusDI), minusDI: points(bars, adx.minusDI) };
+                }
+            });
+    }
+}
+
+// Shared registry; StockChart uses it unless given its own
+window.indicatorRegistry = IndicatorRegistry.createDefault();
+
+window.IndicatorRegistry = IndicatorRegistry;
+window.TechnicalIndicators = TechnicalIndicators;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndicatorRegistry, TechnicalIndicators };
+}
@@ -27,7 +27,9 @@ class DashboardDataManager {
             userStocks: '/api/UserStocks',
             funds: '/api/GetFunds',
             rank: '/api/GetRank',
-            watchlist: '/api/UserWatchlist'
+            watchlist: '/api/UserWatchlist',
+            orderHistory: '/api/OrderHistory',
+            taxLots: '/api/TaxLots'
         };
         
         // Loading state tracking
@@ -102,15 +104,19 @@ class DashboardDataManager {
         try {
             this.setLoadingState('portfolio', true);
             
-            const data = await this.makeApiRequest(
-                this.endpoints.userStocks,
-                { GameType: gameType },
-                timeout,
-                requestId
-            );
+            const [data, taxLots] = await Promise.all([
+                this.makeApiRequest(
+                    this.endpoints.userStocks,
+                    { GameType: gameType },
+                    timeout,
+                    requestId
+                ),
+                // Realized P&L is optional; the portfolio still loads without it
+                this.getTaxLotSummary(gameType, timeout).catch(() => null)
+            ]);
             
             // Process and validate portfolio data
-            const portfolioData = this.processPortfolioData(data);
+            const portfolioData = this.processPortfolioData(data, taxLots);
             
             // Cache the processed data with performance optimization
             this.setCacheData(cacheKey, portfolioData, {
@@ -176,6 +182,48 @@ class DashboardDataManager {
         }
     }
 
+    /**
+     * Get the open FIFO tax lots and realized P&L of a game
+     */
+    async getTaxLotSummary(gameType, timeout = this.config.defaultTimeout) {
+        const cacheKey = `tax-lots-${gameType}`;
+        
+        // Check cache first
+        const cachedData = this.getCacheData(cacheKey);
+        if (cachedData) {
+            return cachedData;
+        }
+        
+        const requestId = `tax-lots-${Date.now()}`;
+        
+        try {
+            const response = await this.makeApiRequest(
+                this.endpoints.taxLots,
+                { gameType },
+                timeout,
+                requestId
+            );
+            
+            const summary = typeof response === 'string' ? JSON.parse(response) : response;
+            const taxLotData = {
+                realizedPnl: parseFloat(summary?.realizedPnl) || 0,
+                openLots: summary?.openLots || [],
+                lastUpdated: new Date()
+            };
+            
+            this.setCacheData(cacheKey, taxLotData, {
+                tags: ['tax-lots', 'user-data', gameType],
+                priority: 1
+            });
+            
+            return taxLotData;
+            
+        } catch (error) {
+            this.handleError('getTaxLotSummary', error);
+            throw error;
+        }
+    }
+
     /**
      * Calculate user rank with proper error handling
      * Requirements: 2.3, 2.4, 2.6
@@ -226,6 +274,119 @@ class DashboardDataManager {
         }
     }
 
+    /**
+     * Load the order history (trade blotter) with optional filters
+     * Filters: symbol, from, to (yyyy-mm-dd) and gameType ('' for all games)
+     */
+    async loadOrderHistory(filters = {}, timeout = this.config.defaultTimeout) {
+        const query = {};
+        if (filters.symbol) query.Symbol = filters.symbol.trim().toUpperCase();
+        if (filters.from) query.From = filters.from;
+        if (filters.to) query.To = filters.to;
+        if (filters.gameType) query.GameType = filters.gameType;
+
+        const cacheKey = `orders-${query.Symbol || ''}-${query.From || ''}-${query.To || ''}-${query.GameType || ''}`;
+        
+        // Check cache first
+        const cachedData = this.getCacheData(cacheKey);
+        if (cachedData) {
+            return cachedData;
+        }
+        
+        const requestId = `orders-${Date.now()}`;
+        
+        try {
+            this.setLoadingState('orderHistory', true);
+            
+            const data = await this.makeApiRequest(
+                this.endpoints.orderHistory,
+                query,
+                timeout,
+                requestId
+            );
+            
+            const orderHistory = this.processOrderHistoryData(data);
+            
+            // Cache the processed data; new executions clear the 'orders' keys
+            this.setCacheData(cacheKey, orderHistory, {
+                tags: ['orders', 'user-data'],
+                priority: 1
+            });
+            
+            return orderHistory;
+            
+        } catch (error) {
+            this.handleError('loadOrderHistory', error);
+            throw error;
+        } finally {
+            this.setLoadingState('orderHistory', false);
+        }
+    }
+
+    /**
+     * Process order history response into blotter rows and totals
+     */
+    processOrderHistoryData(data) {
+        try {
+            const response = typeof data === 'string' ? JSON.parse(data) : data;
+            const records = response?.data || [];
+
+            const trades = records.map(trade => {
+                const quantity = parseInt(trade.quantity) || 0;
+                const price = parseFloat(trade.price) || 0;
+                return {
+                    id: trade.id,
+                    timestamp: new Date(trade.timestamp),
+                    symbol: trade.symbol,
+                    side: (trade.side || '').toUpperCase(),
+                    quantity,
+                    price,
+                    value: quantity * price,
+                    fees: parseFloat(trade.fees) || 0,
+                    orderType: trade.orderType || 'MARKET',
+                    productType: trade.productType || 'DELIVERY',
+                    status: trade.status,
+                    rejectionReason: trade.rejectionReason || '',
+                    realizedPnl: trade.realizedPnl ?? null,
+                    gameType: trade.gameType || ''
+                };
+            });
+
+            const filled = trades.filter(trade => trade.status === 'FILLED');
+
+            return {
+                trades,
+                summary: {
+                    totalOrders: trades.length,
+                    filledCount: filled.length,
+                    rejectedCount: trades.length - filled.length,
+                    buyValue: filled.filter(t => t.side === 'BUY').reduce((sum, t) => sum + t.value, 0),
+                    sellValue: filled.filter(t => t.side === 'SELL').reduce((sum, t) => sum + t.value, 0),
+                    totalFees: filled.reduce((sum, t) => sum + t.fees, 0),
+                    realizedPnl: filled.reduce((sum, t) => sum + (t.realizedPnl || 0), 0)
+                },
+                lastUpdated: new Date()
+            };
+
+        } catch (error) {
+            console.error('Error processing order history data:', error);
+            return {
+                trades: [],
+                summary: {
+                    totalOrders: 0,
+                    filledCount: 0,
+                    rejectedCount: 0,
+                    buyValue: 0,
+                    sellValue: 0,
+                    totalFees: 0,
+                    realizedPnl: 0
+                },
+                lastUpdated: new Date(),
+                hasError: true
+            };
+        }
+    }
+
     /**
      * Make API request with timeout and retry logic
      * Implements exponential backoff for failed API calls
@@ -312,44 +473,50 @@ class DashboardDataManager {
     }
 
     /**
-     * Process portfolio data and calculate metrics
+     * Process portfolio data and calculate metrics. With the tax-lot summary,
+     * holdings are valued at their open FIFO lots and realized P&L is added
+     * to the unrealized P&L for the total.
      */
-    processPortfolioData(data) {
+    processPortfolioData(data, taxLots = null) {
         try {
             const listData = typeof data === 'string' ? JSON.parse(data) : data;
             const holdings = listData?.Value?.UserStockList || [];
+            const realizedPnL = taxLots?.realizedPnl || 0;
             
             let totalInvested = 0;
             let currentValue = 0;
-            let totalPnL = 0;
+            let unrealizedPnL = 0;
             
-            // Process each holding
+            // Process each holding, marking shorts to market
             const processedHoldings = holdings.map(stock => {
-                const invested = stock.AveragePrice * stock.Count;
-                const current = stock.Price * stock.Count;
-                const pnl = current - invested;
-                const pnlPercent = invested > 0 ? ((pnl / invested) * 100) : 0;
+                const lots = this.getOpenLotsForHolding(stock, taxLots);
+                const position = DashboardDataManager.calculatePositionMetrics(stock, lots);
                 
-                totalInvested += invested;
-                currentValue += current;
-                totalPnL += pnl;
+                totalInvested += position.investedValue;
+                currentValue += position.currentValue;
+                unrealizedPnL += position.profitLoss;
                 
                 return {
                     ...stock,
-                    investedValue: invested,
-                    currentValue: current,
-                    profitLoss: pnl,
-                    profitLossPercent: pnlPercent
+                    ...position,
+                    lots
                 };
             });
             
+            const totalPnL = realizedPnL + unrealizedPnL;
+            const { dayChange, dayChangePercent } = DashboardDataManager.getDayChange(processedHoldings);
+            
             return {
                 holdings: processedHoldings,
                 summary: {
                     totalInvested,
                     currentValue,
+                    realizedPnL,
+                    unrealizedPnL,
                     totalPnL,
                     totalPnLPercent: totalInvested > 0 ? ((totalPnL / totalInvested) * 100) : 0,
+                    dayChange,
+                    dayChangePercent,
                     holdingsCount: processedHoldings.length
                 },
                 lastUpdated: new Date()
@@ -362,8 +529,12 @@ class DashboardDataManager {
                 summary: {
                     totalInvested: 0,
                     currentValue: 0,
+                    realizedPnL: 0,
+                    unrealizedPnL: 0,
                     totalPnL: 0,
                     totalPnLPercent: 0,
+                    dayChange: 0,
+                    dayChangePercent: 0,
                     holdingsCount: 0
                 },
                 lastUpdated: new Date(),
@@ -372,6 +543,66 @@ class DashboardDataManager {
         }
     }
 
+    /**
+     * Open lots of a holding, or null when there are none or they don't add
+     * up to the holding (the position predates lot tracking)
+     */
+    getOpenLotsForHolding(stock, taxLots) {
+        const symbol = String(stock.Name || '').replace('.NS', '').toUpperCase();
+        const lots = (taxLots?.openLots || []).filter(lot => lot.symbol === symbol);
+        const lotQuantity = lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+        
+        return lots.length > 0 && lotQuantity === stock.Count ? lots : null;
+    }
+
+    /**
+     * Value and P&L of one holding. A short (negative Count) gains as the
+     * price falls, and is worth its entry value plus that gain. When its
+     * open lots are known the cost is taken from them, charges included.
+     * The day's change is the move since the previous close (Close), and is
+     * zero when the quote has none. The dashboard re-runs this as prices
+     * refresh, so it is the only place these figures are worked out.
+     */
+    static calculatePositionMetrics(stock, lots = null) {
+        const quantity = Math.abs(stock.Count);
+        const isShort = stock.Count < 0;
+        const invested = lots
+            ? lots.reduce((sum, lot) => sum + lot.costPrice * Math.abs(lot.remainingQuantity), 0)
+            : stock.AveragePrice * quantity;
+        const marketValue = stock.Price * quantity;
+        const pnl = isShort ? invested - marketValue : marketValue - invested;
+        const previousValue = stock.Close > 0 ? stock.Close * quantity : 0;
+        const dayChange = previousValue > 0 ? (stock.Price - stock.Close) * stock.Count : 0;
+        
+        return {
+            isShort,
+            quantity,
+            investedValue: invested,
+            currentValue: invested + pnl,
+            profitLoss: pnl,
+            profitLossPercent: invested > 0 ? ((pnl / invested) * 100) : 0,
+            previousValue,
+            dayChange,
+            dayChangePercent: previousValue > 0 ? ((dayChange / previousValue) * 100) : 0,
+            marginBlocked: isShort ? (stock.Margin || 0) : 0
+        };
+    }
+
+    /**
+     * Day's change of positions from calculatePositionMetrics, in rupees and
+     * as a percentage of their value at the previous close
+     */
+    static getDayChange(positions) {
+        let dayChange = 0;
+        let previousValue = 0;
+        (positions || []).forEach(position => {
+            dayChange += position.dayChange;
+            previousValue += position.previousValue;
+        });
+        
+        return { dayChange, dayChangePercent: previousValue > 0 ? ((dayChange / previousValue) * 100) : 0 };
+    }
+
     /**
      * Calculate percentile ranking
      */
@@ -562,6 +793,8 @@ class DashboardDataManager {
                     summary: {
                         totalInvested: 0,
                         currentValue: 0,
+                        realizedPnL: 0,
+                        unrealizedPnL: 0,
                         totalPnL: 0,
                         totalPnLPercent: 0,
                         holdingsCount: 0
@@ -5,6 +5,7 @@ class DashboardManager {
             totalHoldings: 0,
             currentValue: 0,
             profitLoss: 0,
+            realizedPnl: 0,
             availableFunds: 0,
             userRank: 1,
             totalParticipants: 1
@@ -18,6 +19,9 @@ class DashboardManager {
         this.errorHandler = window.errorHandler;
         this.dataManager = null;
         this.loadingManager = window.loadingStateManager;
+        this.orderBook = null;
+        this.editingOrderId = null;
+        this.editingBracketSymbol = null;
         
         // Retry tracking
         this.retryAttempts = new Map();
@@ -32,6 +36,7 @@ class DashboardManager {
         this.setupMobileEnhancements();
         this.setupErrorRecovery();
         this.loadInitialData();
+        this.renderOpenOrders();
         this.startPeriodicUpdates();
     }
     
@@ -44,6 +49,12 @@ class DashboardManager {
             this.dataManager = new window.DashboardDataManager();
         }
         
+        // Subscribe to pending limit order changes
+        if (window.orderBook) {
+            this.orderBook = window.orderBook;
+            this.orderBook.subscribe((event, order) => this.handleOrderBookEvent(event, order));
+        }
+        
         // Ensure error handler is available
         if (!this.errorHandler && window.EnhancedErrorHandler) {
             this.errorHandler = new window.EnhancedErrorHandler();
@@ -437,7 +448,10 @@ class DashboardManager {
         setInterval(() => {
             this.updatePortfolioSummary();
             this.loadHoldingsData();
-            this.loadWatchlistData();
+            // Watchlist quotes don't change while the market is closed
+            if (!window.marketSession || window.marketSession.isOpen()) {
+                this.loadWatchlistData();
+            }
         }, this.updateInterval);
         
         // Update rank every 30 seconds
@@ -446,6 +460,22 @@ class DashboardManager {
         }, this.rankUpdateInterval);
     }
     
+    updatePortfolioSummary() {
+        return this.updatePortfolioSummaryWithErrorHandling();
+    }
+    
+    loadHoldingsData() {
+        return this.loadHoldingsDataWithErrorHandling();
+    }
+    
+    loadWatchlistData() {
+        return this.loadWatchlistDataWithErrorHandling();
+    }
+    
+    updateUserRank() {
+        return this.updateUserRankWithErrorHandling();
+    }
+    
     /**
      * Update portfolio summary with enhanced error handling
      */
@@ -505,8 +535,33 @@ class DashboardManager {
                 }
             });
             
-            // Also update available funds
+            // Also update available funds and realized P&L
             this.updateAvailableFundsLegacy().catch(reject);
+            this.updateRealizedPnlLegacy();
+        });
+    }
+    
+    /**
+     * Realized P&L of the FIFO tax lots; the cards keep the last value if it fails
+     */
+    updateRealizedPnlLegacy() {
+        return new Promise((resolve) => {
+            $.ajax({
+                type: "GET",
+                url: "/api/TaxLots",
+                data: { gameType: this.getGameType() },
+                dataType: "json",
+                timeout: 10000,
+                success: (summary) => {
+                    this.portfolioData.realizedPnl = parseFloat(summary?.realizedPnl) || 0;
+                    this.updatePortfolioCards();
+                    resolve(summary);
+                },
+                error: () => {
+                    console.warn('Realized P&L unavailable');
+                    resolve(null);
+                }
+            });
         });
     }
     
@@ -541,6 +596,7 @@ class DashboardManager {
                 totalHoldings: 0,
                 currentValue: 0,
                 profitLoss: 0,
+                realizedPnl: this.portfolioData.realizedPnl,
                 availableFunds: this.portfolioData.availableFunds,
                 userRank: this.portfolioData.userRank,
                 totalParticipants: this.portfolioData.totalParticipants
@@ -552,9 +608,10 @@ class DashboardManager {
         let currentValue = 0;
         
         holdings.forEach(stock => {
-            stock.ProfitLoss = Number((stock.Price - stock.AveragePrice) * stock.Count).toFixed(2);
-            totalHoldings += stock.AveragePrice * stock.Count;
-            currentValue += stock.Price * stock.Count;
+            const position = this.getPositionMetrics(stock);
+            stock.ProfitLoss = position.profitLoss.toFixed(2);
+            totalHoldings += position.investedValue;
+            currentValue += position.currentValue;
         });
         
         this.portfolioData.totalHoldings = totalHoldings;
@@ -562,6 +619,46 @@ class DashboardManager {
         this.portfolioData.profitLoss = currentValue - totalHoldings;
     }
     
+    /**
+     * Value, P&L and day's change of a holding from the data manager, at the
+     * holding's current price and with the open lots it was processed with
+     */
+    getPositionMetrics(stock) {
+        return window.DashboardDataManager.calculatePositionMetrics(stock, stock.lots || null);
+    }
+    
+    /**
+     * Day's change of all holdings, in rupees and as a percentage of their value at the previous close
+     */
+    getDayChange(holdings) {
+        return window.DashboardDataManager.getDayChange((holdings || []).map(stock => this.getPositionMetrics(stock)));
+    }
+    
+    /**
+     * Today's P&L card; follows the holdings as their prices refresh
+     */
+    updateTodayPnlCard(holdings) {
+        const { dayChange, dayChangePercent } = this.getDayChange(holdings);
+        this.updatePnlCard('todayPnl', dayChange);
+        
+        const percentElement = document.getElementById('todayPnlPercent');
+        if (percentElement) {
+            percentElement.textContent = `(${dayChangePercent >= 0 ? '+' : ''}${dayChangePercent.toFixed(2)}%)`;
+        }
+    }
+    
+    getDayChangeHTML(stock) {
+        const position = this.getPositionMetrics(stock);
+        if (position.previousValue <= 0) return '';
+        
+        const sign = position.dayChange >= 0 ? '+' : '-';
+        return `
+            <span class="day-change ${position.dayChange >= 0 ? 'positive' : 'negative'}" title="Change since previous close ₹${parseFloat(stock.Close).toFixed(2)}">
+                ${sign}₹${Math.abs(position.dayChange).toFixed(2)} (${sign}${Math.abs(position.dayChangePercent).toFixed(2)}%)
+            </span>
+        `;
+    }
+    
     updatePortfolioCards() {
         // Animate portfolio value
         this.animateCounter('portfolioValue', this.portfolioData.currentValue, 2);
@@ -572,7 +669,8 @@ class DashboardManager {
         const changePercentElement = document.getElementById('portfolioChangePercent');
         
         if (changeElement && changeValueElement && changePercentElement) {
-            const pnl = this.portfolioData.profitLoss;
+            // Total P&L: realized on closed lots plus unrealized on open holdings
+            const pnl = this.portfolioData.profitLoss + this.portfolioData.realizedPnl;
             const pnlPercent = this.portfolioData.totalHoldings > 0 ? 
                 (pnl / this.portfolioData.totalHoldings) * 100 : 0;
             
@@ -582,6 +680,40 @@ class DashboardManager {
             // Update color class
             changeElement.className = 'change-indicator ' + (pnl >= 0 ? 'positive' : 'negative');
         }
+        
+        this.updatePnlCard('realizedPnl', this.portfolioData.realizedPnl);
+        this.updatePnlCard('unrealizedPnl', this.portfolioData.profitLoss);
+        this.updateBenchmarkComparison();
+    }
+    
+    /**
+     * Portfolio and benchmark returns since the first snapshot, from the equity
+     * curve so both cover the same period; blank until the benchmark has loaded
+     */
+    updateBenchmarkComparison() {
+        const element = document.getElementById('portfolioBenchmark');
+        const comparison = window.equityCurve?.getInceptionComparison?.();
+        if (!element) return;
+
+        if (!comparison || !window.EquityCurve) {
+            element.textContent = '';
+            return;
+        }
+
+        element.textContent = window.EquityCurve.formatComparison(comparison);
+        element.className = 'benchmark-comparison ' + (comparison.alpha >= 0 ? 'positive' : 'negative');
+    }
+    
+    /**
+     * Signed amount and colour of a realized/unrealized P&L card
+     */
+    updatePnlCard(elementId, pnl) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+        
+        element.textContent = `${pnl >= 0 ? '+' : '-'}₹${Math.abs(pnl).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        element.closest('.value-display')?.classList.toggle('negative', pnl < 0);
+        element.closest('.value-display')?.classList.toggle('positive', pnl >= 0);
     }
     
     updateAvailableFunds() {
@@ -747,19 +879,25 @@ class DashboardManager {
             } else {
                 container.innerHTML = this.getEmptyHoldingsHTML();
             }
+            this.updateTodayPnlCard([]);
             return;
         }
         
         // Calculate P&L for each holding
         holdings.forEach(stock => {
-            stock.ProfitLoss = Number((stock.Price - stock.AveragePrice) * stock.Count).toFixed(2);
-            stock.ProfitLossPercent = stock.AveragePrice > 0 ? 
-                (((stock.Price - stock.AveragePrice) / stock.AveragePrice) * 100).toFixed(2) : 0;
+            const position = this.getPositionMetrics(stock);
+            stock.ProfitLoss = position.profitLoss.toFixed(2);
+            stock.ProfitLossPercent = position.profitLossPercent.toFixed(2);
         });
         
         // Store holdings data for sorting/filtering
         this.currentHoldings = holdings;
         
+        // Latest prices may trigger resting limit orders
+        if (this.orderBook) {
+            this.orderBook.processQuotes(holdings);
+        }
+        
         const tableHTML = `
             <div class="holdings-controls">
                 <div class="controls-left">
@@ -775,6 +913,7 @@ class DashboardManager {
                             <option value="quantity">Sort by Quantity</option>
                             <option value="pnl">Sort by P&L</option>
                             <option value="value">Sort by Value</option>
+                            <option value="dayChange">Sort by Day's Change</option>
                         </select>
                     </div>
                 </div>
@@ -808,6 +947,7 @@ class DashboardManager {
         this.addHoldingRowEventListeners();
         this.setupHoldingsControls();
         this.renderHoldingsSummary(holdings);
+        this.updateTodayPnlCard(holdings);
     }
     
     renderHoldingsRows(holdings) {
@@ -872,6 +1012,8 @@ class DashboardManager {
                     return b.AveragePrice - a.AveragePrice;
                 case 'currentPrice':
                     return b.Price - a.Price;
+                case 'dayChange':
+                    return this.getPositionMetrics(b).dayChange - this.getPositionMetrics(a).dayChange;
                 default:
                     return 0;
             }
@@ -913,13 +1055,15 @@ class DashboardManager {
         let totalPnL = 0;
         
         holdings.forEach(stock => {
-            totalInvested += stock.AveragePrice * stock.Count;
-            currentValue += stock.Price * stock.Count;
-            totalPnL += parseFloat(stock.ProfitLoss);
+            const position = this.getPositionMetrics(stock);
+            totalInvested += position.investedValue;
+            currentValue += position.currentValue;
+            totalPnL += position.profitLoss;
         });
         
         const pnlPercent = totalInvested > 0 ? ((totalPnL / totalInvested) * 100) : 0;
         const pnlClass = totalPnL >= 0 ? 'positive' : 'negative';
+        const { dayChange, dayChangePercent } = this.getDayChange(holdings);
         
         const summaryHTML = `
             <div class="summary-grid">
@@ -938,6 +1082,13 @@ class DashboardManager {
                         <small>(${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)</small>
                     </div>
                 </div>
+                <div class="summary-item">
+                    <div class="summary-label">Today's P&L</div>
+                    <div class="summary-value ${dayChange >= 0 ? 'positive' : 'negative'}">
+                        ${dayChange >= 0 ? '+' : ''}₹${dayChange.toFixed(2)}
+                        <small>(${dayChangePercent >= 0 ? '+' : ''}${dayChangePercent.toFixed(2)}%)</small>
+                    </div>
+                </div>
                 <div class="summary-item">
                     <div class="summary-label">Holdings Count</div>
                     <div class="summary-value">${holdings.length} stocks</div>
@@ -1010,13 +1161,17 @@ class DashboardManager {
     getHoldingRowHTML(stock) {
         const pnlClass = parseFloat(stock.ProfitLoss) >= 0 ? 'positive' : 'negative';
         const pnlIcon = parseFloat(stock.ProfitLoss) >= 0 ? 'fa-arrow-up' : 'fa-arrow-down';
+        const isShort = stock.Count < 0;
+        const brackets = this.orderBook && !isShort ? this.orderBook.getActiveBrackets(stock.Name) : [];
         
         return `
-            <div class="table-row" data-stock="${stock.Name}">
+            <div class="table-row ${isShort ? 'short-position' : ''}" data-stock="${stock.Name}">
                 <div class="table-cell stock-col">
                     <div class="stock-info">
                         <div class="stock-symbol">${stock.Name}</div>
                         <div class="stock-name">${stock.Name}</div>
+                        ${isShort ? this.getShortBadgeHTML(stock) : ''}
+                        ${brackets.map(bracket => this.getBracketBadgeHTML(bracket)).join('')}
                     </div>
                 </div>
                 <div class="table-cell qty-col">
@@ -1027,6 +1182,7 @@ class DashboardManager {
                 </div>
                 <div class="table-cell price-col">
                     <span class="price">₹${parseFloat(stock.Price).toFixed(2)}</span>
+                    ${this.getDayChangeHTML(stock)}
                 </div>
                 <div class="table-cell pnl-col ${pnlClass}">
                     <div class="pnl-container">
@@ -1042,11 +1198,160 @@ class DashboardManager {
                         <i class="fas fa-exchange-alt"></i>
                         Trade
                     </button>
+                    ${isShort ? '' : `
+                    <button class="btn btn-sm btn-outline-secondary bracket-btn ${brackets.length ? 'active' : ''}"
+                            data-stock="${stock.Name}" title="Stop-loss / Target">
+                        <i class="fas fa-shield-alt"></i>
+                    </button>`}
+                </div>
+            </div>
+            ${this.editingBracketSymbol === stock.Name ? this.getBracketEditorHTML(stock, brackets) : ''}
+        `;
+    }
+    
+    getShortBadgeHTML(stock) {
+        const margin = parseFloat(stock.Margin) || 0;
+        return `<div class="short-badge" title="Intraday short, squared off at market close">SHORT · Margin ₹${margin.toFixed(2)}</div>`;
+    }
+    
+    getBracketBadgeHTML(bracket) {
+        const parts = [];
+        if (bracket.stopLoss !== null) {
+            parts.push(`SL ₹${bracket.stopLoss.toFixed(2)}${bracket.trailing ? ' <i class="fas fa-level-up-alt" title="Trailing"></i>' : ''}`);
+        }
+        if (bracket.takeProfit !== null) {
+            parts.push(`TGT ₹${bracket.takeProfit.toFixed(2)}`);
+        }
+        
+        return `<div class="bracket-badge" title="${bracket.quantity} shares protected">${parts.join(' · ')}</div>`;
+    }
+    
+    /**
+     * Inline editor for the stop-loss / target brackets of a holding.
+     * Shows one form per active bracket, or an empty form to attach a new one.
+     */
+    getBracketEditorHTML(stock, brackets) {
+        const forms = brackets.length > 0 ? brackets : [{
+            id: '',
+            quantity: stock.Count,
+            stopLoss: null,
+            takeProfit: null,
+            trailing: null
+        }];
+        
+        return `
+            <div class="bracket-editor" data-stock="${stock.Name}">
+                ${forms.map(bracket => `
+                    <div class="bracket-form" data-bracket-id="${bracket.id}">
+                        <div class="bracket-form-field">
+                            <label>Qty</label>
+                            <input type="number" class="form-control form-control-sm bracket-qty" min="1" max="${stock.Count}"
+                                   value="${bracket.quantity}" ${bracket.id ? 'disabled' : ''}>
+                        </div>
+                        <div class="bracket-form-field">
+                            <label>Stop-loss</label>
+                            <input type="number" class="form-control form-control-sm bracket-stop" step="0.01"
+                                   value="${bracket.stopLoss ?? ''}">
+                        </div>
+                        <div class="bracket-form-field">
+                            <label>Trailing</label>
+                            <div class="trailing-inputs">
+                                <select class="form-select form-select-sm bracket-trail-mode">
+                                    <option value="" ${!bracket.trailing ? 'selected' : ''}>Off</option>
+                                    <option value="percent" ${bracket.trailing?.mode === 'percent' ? 'selected' : ''}>%</option>
+                                    <option value="amount" ${bracket.trailing?.mode === 'amount' ? 'selected' : ''}>₹</option>
+                                </select>
+                                <input type="number" class="form-control form-control-sm bracket-trail-value" step="0.01" min="0"
+                                       value="${bracket.trailing?.value ?? ''}">
+                            </div>
+                        </div>
+                        <div class="bracket-form-field">
+                            <label>Target</label>
+                            <input type="number" class="form-control form-control-sm bracket-target" step="0.01"
+                                   value="${bracket.takeProfit ?? ''}">
+                        </div>
+                        <div class="bracket-form-actions">
+                            <button class="btn btn-sm btn-primary bracket-save-btn" title="Save">
+                                <i class="fas fa-check"></i>
+                            </button>
+                            ${bracket.id ? `
+                                <button class="btn btn-sm btn-outline-danger bracket-remove-btn" title="Cancel stop-loss / target">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+                <div class="bracket-editor-footer">
+                    <small class="text-muted">Stop-loss and target are one-cancels-other: when one fires the other is cancelled.</small>
+                    <button class="btn btn-sm btn-link bracket-close-btn">Close</button>
                 </div>
             </div>
         `;
     }
     
+    readBracketForm(form) {
+        const trailingMode = form.querySelector('.bracket-trail-mode')?.value;
+        return {
+            stopLoss: form.querySelector('.bracket-stop')?.value || null,
+            takeProfit: form.querySelector('.bracket-target')?.value || null,
+            trailing: trailingMode
+                ? { mode: trailingMode, value: form.querySelector('.bracket-trail-value')?.value }
+                : null
+        };
+    }
+    
+    saveBracket(stock, form) {
+        const bracketId = form.dataset.bracketId;
+        const levels = this.readBracketForm(form);
+        
+        try {
+            if (bracketId) {
+                this.orderBook.modifyBracket(bracketId, levels);
+            } else {
+                const quantity = parseInt(form.querySelector('.bracket-qty')?.value);
+                if (quantity > stock.Count) {
+                    throw new Error(`You only hold ${stock.Count} shares`);
+                }
+                this.orderBook.attachBracket({
+                    ...levels,
+                    symbol: stock.Name,
+                    quantity,
+                    entryPrice: stock.Price,
+                    gameType: this.getGameType()
+                });
+            }
+            this.editingBracketSymbol = null;
+            this.showNotification(`Stop-loss / target saved for ${stock.Name}`, 'success');
+            this.refreshHoldingsRows();
+        } catch (error) {
+            this.showNotification(`Failed to save stop-loss / target: ${error.message}`, 'error');
+        }
+    }
+    
+    removeBracket(bracketId) {
+        if (!confirm('Cancel this stop-loss / target?')) return;
+        
+        try {
+            this.orderBook.cancelBracket(bracketId);
+            this.editingBracketSymbol = null;
+            this.refreshHoldingsRows();
+        } catch (error) {
+            this.showNotification(`Failed to cancel stop-loss / target: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Re-render holdings rows in place (keeps the table controls)
+     */
+    refreshHoldingsRows() {
+        const tableBody = document.getElementById('holdingsTableBody');
+        if (!tableBody || !this.currentHoldings) return;
+        
+        tableBody.innerHTML = this.renderHoldingsRows(this.currentHoldings);
+        this.addHoldingRowEventListeners();
+    }
+    
     getEmptyHoldingsHTML() {
         return `
             <div class="empty-state">
@@ -1065,14 +1370,234 @@ class DashboardManager {
     
     addHoldingRowEventListeners() {
         // Add click handlers for table rows
-        document.querySelectorAll('.table-row').forEach(row => {
+        document.querySelectorAll('#holdingsTableBody .table-row').forEach(row => {
             row.addEventListener('click', (e) => {
-                if (!e.target.closest('.trade-btn')) {
+                if (!e.target.closest('.trade-btn, .bracket-btn')) {
                     const stockName = row.dataset.stock;
                     this.showStockDetails(stockName);
                 }
             });
         });
+        
+        // Stop-loss / target editor
+        document.querySelectorAll('#holdingsTableBody .bracket-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const stockName = btn.dataset.stock;
+                this.editingBracketSymbol = this.editingBracketSymbol === stockName ? null : stockName;
+                this.refreshHoldingsRows();
+            });
+        });
+        
+        document.querySelectorAll('#holdingsTableBody .bracket-editor').forEach(editor => {
+            const stock = (this.currentHoldings || []).find(h => h.Name === editor.dataset.stock);
+            
+            editor.querySelectorAll('.bracket-form').forEach(form => {
+                form.querySelector('.bracket-save-btn')?.addEventListener('click', () => this.saveBracket(stock, form));
+                form.querySelector('.bracket-remove-btn')?.addEventListener('click', () => this.removeBracket(form.dataset.bracketId));
+            });
+            
+            editor.querySelector('.bracket-close-btn')?.addEventListener('click', () => {
+                this.editingBracketSymbol = null;
+                this.refreshHoldingsRows();
+            });
+        });
+    }
+    
+    /**
+     * React to order book changes (placed, modified, cancelled, filled, rejected)
+     */
+    handleOrderBookEvent(event, order) {
+        switch (event) {
+            case 'filled':
+                this.showNotification(
+                    `${order.side.toUpperCase()} ${order.quantity} ${order.symbol} filled at ₹${order.fillPrice.toFixed(2)}` +
+                        (order.fees !== null && order.fees !== undefined ? ` (charges ₹${order.fees.toFixed(2)})` : ''),
+                    'success'
+                );
+                this.refreshAfterExecution();
+                break;
+            case 'rejected':
+                this.showNotification(`Limit order for ${order.symbol} rejected: ${order.rejectionReason}`, 'error');
+                break;
+            case 'bracket-triggered':
+                this.showNotification(
+                    `${order.triggeredLeg === 'stopLoss' ? 'Stop-loss' : 'Target'} hit: sold ${order.quantity} ${order.symbol} at ₹${order.exitPrice.toFixed(2)}`,
+                    'success'
+                );
+                this.refreshAfterExecution();
+                break;
+            case 'bracket-rejected':
+                this.showNotification(`Stop-loss / target for ${order.symbol} failed: ${order.rejectionReason}`, 'error');
+                break;
+        }
+        
+        if (event.startsWith('bracket-')) {
+            // Don't wipe an editor the user is typing into
+            if (!this.editingBracketSymbol) {
+                this.refreshHoldingsRows();
+            }
+        } else {
+            this.renderOpenOrders();
+        }
+    }
+    
+    /**
+     * Reload holdings and funds after an order executed in the background
+     */
+    refreshAfterExecution() {
+        if (this.dataManager) {
+            this.dataManager.clearCache('portfolio');
+            this.dataManager.clearCache('funds');
+            this.dataManager.clearCache('orders');
+        }
+        this.loadHoldingsData();
+        this.updatePortfolioSummary();
+    }
+    
+    renderOpenOrders() {
+        const container = document.getElementById('openOrdersTable');
+        if (!container) return;
+        
+        const orders = this.orderBook ? this.orderBook.getOpenOrders() : [];
+        const countBadge = document.getElementById('openOrdersCount');
+        if (countBadge) {
+            countBadge.textContent = orders.length;
+        }
+        
+        if (orders.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state compact">
+                    <p class="empty-message">No open orders. Limit orders waiting for their price and orders queued for the next open will appear here.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="modern-table open-orders-table">
+                <div class="table-header">
+                    <div class="header-cell stock-col">Stock</div>
+                    <div class="header-cell side-col">Side</div>
+                    <div class="header-cell qty-col">Qty</div>
+                    <div class="header-cell price-col">Limit Price</div>
+                    <div class="header-cell time-col">Placed</div>
+                    <div class="header-cell actions-col">Actions</div>
+                </div>
+                <div class="table-body">
+                    ${orders.map(order => this.getOpenOrderRowHTML(order)).join('')}
+                </div>
+            </div>
+        `;
+        
+        this.addOpenOrderEventListeners(container);
+    }
+    
+    getOpenOrderRowHTML(order) {
+        const isEditing = this.editingOrderId === order.id;
+        const placedAt = new Date(order.createdAt).toLocaleString('en-IN', {
+            day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+        
+        return `
+            <div class="table-row open-order-row ${isEditing ? 'editing' : ''}" data-order-id="${order.id}">
+                <div class="table-cell stock-col">
+                    <div class="stock-symbol">${order.symbol}</div>
+                    ${order.afterMarket ? '<span class="amo-badge" title="Executes at the next market open">AMO</span>' : ''}
+                </div>
+                <div class="table-cell side-col">
+                    <span class="order-side ${order.side}">${order.side.toUpperCase()}</span>
+                </div>
+                <div class="table-cell qty-col">
+                    ${isEditing
+                        ? `<input type="number" class="form-control form-control-sm order-edit-qty" min="1" value="${order.quantity}">`
+                        : `<span class="quantity">${order.quantity}</span>`}
+                </div>
+                <div class="table-cell price-col">
+                    ${isEditing
+                        ? `<input type="number" class="form-control form-control-sm order-edit-price" step="0.01" min="0.01" value="${order.limitPrice ?? ''}" placeholder="${order.afterMarket ? 'Market' : ''}">`
+                        : `<span class="price">${this.formatOrderPrice(order)}</span>`}
+                </div>
+                <div class="table-cell time-col">
+                    <span class="order-time">${placedAt}</span>
+                </div>
+                <div class="table-cell actions-col">
+                    ${isEditing ? `
+                        <button class="btn btn-sm btn-primary order-save-btn" title="Save changes">
+                            <i class="fas fa-check"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-secondary order-edit-cancel-btn" title="Discard changes">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                    ` : `
+                        <button class="btn btn-sm btn-outline-primary order-modify-btn" title="Modify order">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-danger order-cancel-btn" title="Cancel order">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Limit price, or "Market" for an AMO that executes at the open price
+     */
+    formatOrderPrice(order) {
+        return order.limitPrice === null ? 'Market' : `₹${order.limitPrice.toFixed(2)}`;
+    }
+    
+    addOpenOrderEventListeners(container) {
+        container.querySelectorAll('.open-order-row').forEach(row => {
+            const orderId = row.dataset.orderId;
+            
+            row.querySelector('.order-modify-btn')?.addEventListener('click', () => {
+                this.editingOrderId = orderId;
+                this.renderOpenOrders();
+            });
+            
+            row.querySelector('.order-edit-cancel-btn')?.addEventListener('click', () => {
+                this.editingOrderId = null;
+                this.renderOpenOrders();
+            });
+            
+            row.querySelector('.order-save-btn')?.addEventListener('click', () => {
+                this.modifyOpenOrder(orderId, {
+                    quantity: row.querySelector('.order-edit-qty')?.value,
+                    limitPrice: row.querySelector('.order-edit-price')?.value
+                });
+            });
+            
+            row.querySelector('.order-cancel-btn')?.addEventListener('click', () => {
+                this.cancelOpenOrder(orderId);
+            });
+        });
+    }
+    
+    modifyOpenOrder(orderId, changes) {
+        try {
+            this.orderBook.modifyOrder(orderId, changes);
+            this.editingOrderId = null;
+            this.showNotification('Order updated', 'success');
+        } catch (error) {
+            this.showNotification(`Failed to modify order: ${error.message}`, 'error');
+        }
+        this.renderOpenOrders();
+    }
+    
+    cancelOpenOrder(orderId) {
+        const order = this.orderBook?.getOrder(orderId);
+        if (!order || !confirm(`Cancel ${order.side.toUpperCase()} ${order.quantity} ${order.symbol} @ ${this.formatOrderPrice(order)}?`)) {
+            return;
+        }
+        
+        try {
+            this.orderBook.cancelOrder(orderId);
+            this.showNotification(`Order for ${order.symbol} cancelled`, 'success');
+        } catch (error) {
+            this.showNotification(`Failed to cancel order: ${error.message}`, 'error');
+        }
     }
     
     /**
@@ -1439,7 +1964,8 @@ class DashboardManager {
         if (portfolioData && portfolioData.summary) {
             this.portfolioData.totalHoldings = portfolioData.summary.totalInvested;
             this.portfolioData.currentValue = portfolioData.summary.currentValue;
-            this.portfolioData.profitLoss = portfolioData.summary.totalPnL;
+            this.portfolioData.profitLoss = portfolioData.summary.unrealizedPnL ?? portfolioData.summary.totalPnL;
+            this.portfolioData.realizedPnl = portfolioData.summary.realizedPnL || 0;
             this.updatePortfolioCards();
         }
     }
@@ -1989,6 +2515,7 @@ let dashboard;
 document.addEventListener('DOMContentLoaded', () => {
     addDashboardErrorStyles();
     dashboard = new DashboardManager();
+    window.dashboard = dashboard;
 });
 
 // Legacy function compatibility with error handling
@@ -2026,4 +2553,9 @@ function GetRank() {
             console.error('Legacy GetRank failed:', error);
         });
     }
-}
\ No newline at end of file
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DashboardManager;
+}
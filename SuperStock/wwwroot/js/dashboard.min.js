@@ -1,3180 +1,10416 @@
 /**
- * Enhanced Stock Chart Component
- * Provides candlestick charts, technical indicators, and interactive features
+ * Market Session
+ * NSE equity trading hours (IST), the pre-open session and trading holidays.
+ * Mirrors Services/MarketSessionService.cs and loads the same schedule from
+ * the server. Drives the market-status banner, lets the order book hold
+ * after-market orders (AMO) until the open and lets price polling pause
+ * while the market is closed.
  */
 
-class StockChart {
-    constructor(canvasId, options = {}) {
-        this.canvasId = canvasId;
-        this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas?.getContext('2d');
-        this.chart = null;
-        this.currentSymbol = null;
-        this.currentTimeframe = '1W';
-        this.chartType = 'candlestick'; // candlestick, line, area
-        this.indicators = new Set(); // Technical indicators
-        this.isLoading = false;
-        
-        // Default options
-        this.options = {
-            responsive: true,
-            maintainAspectRatio: false,
-            showVolume: true,
-            showIndicators: true,
-            enableZoom: true,
-            enablePan: true,
-            ...options
-        };
-        
-        this.init();
-    }
+const DEFAULT_MARKET_SCHEDULE = {
+    utcOffsetMinutes: 330,       // IST has no daylight saving
+    preOpenTime: '09:00',
+    openTime: '09:15',
+    closeTime: '15:30',
+    enforceTradingHours: true,
+    holidays: []                 // [{ date: 'yyyy-mm-dd', name }]
+};
 
-    init() {
-        if (!this.canvas || !this.ctx) {
-            console.error('Chart canvas not found:', this.canvasId);
-            return;
-        }
-        
-        this.initChart();
-        this.bindEvents();
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class MarketSession {
+    constructor(schedule = {}) {
+        this.schedule = { ...DEFAULT_MARKET_SCHEDULE, ...schedule };
+        this.endpoint = '/api/Market/schedule';
+        this.checkInterval = 30000;
+        this.listeners = new Set();
+        this.timer = null;
+        this.lastPhase = null;
     }
 
     /**
-     * Initialize the Chart.js instance with candlestick configuration
+     * Fetch session timings and holidays; keeps the defaults if the call fails
      */
-    initChart() {
-        const config = {
-            type: 'candlestick',
-            data: {
-                datasets: [{
-                    label: 'Price',
-                    data: [],
-                    borderColor: {
-                        up: 'var(--color-success)',
-                        down: 'var(--color-error)',
-                        unchanged: 'var(--color-secondary)'
-                    },
-                    backgroundColor: {
-                        up: 'rgba(var(--color-success-rgb), 0.8)',
-                        down: 'rgba(var(--color-error-rgb), 0.8)',
-                        unchanged: 'rgba(var(--color-secondary-rgb), 0.8)'
-                    }
-                }]
-            },
-            options: {
-                responsive: this.options.responsive,
-                maintainAspectRatio: this.options.maintainAspectRatio,
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    tooltip: {
-                        enabled: true,
-                        mode: 'index',
-                        intersect: false,
-                        backgroundColor: 'var(--bg-card)',
-                        titleColor: 'var(--text-primary)',
-                        bodyColor: 'var(--text-primary)',
-                        borderColor: 'var(--border-color)',
-                        borderWidth: 1,
-                        cornerRadius: 8,
-                        displayColors: false,
-                        callbacks: {
-                            title: (context) => {
-                                const date = new Date(context[0].parsed.x);
-                                return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
-                            },
-                            label: (context) => {
-                                const data = context.parsed;
-                                return [
-                                    `Open: ₹${data.o?.toFixed(2) || 'N/A'}`,
-                                    `High: ₹${data.h?.toFixed(2) || 'N/A'}`,
-                                    `Low: ₹${data.l?.toFixed(2) || 'N/A'}`,
-                                    `Close: ₹${data.c?.toFixed(2) || 'N/A'}`
-                                ];
-                            }
-                        }
-                    },
-                    zoom: this.options.enableZoom ? {
-                        zoom: {
-                            wheel: {
-                                enabled: true,
-                            },
-                            pinch: {
-                                enabled: true
-                            },
-                            mode: 'x',
-                        },
-                        pan: {
-                            enabled: this.options.enablePan,
-                            mode: 'x',
-                        }
-                    } : undefined
-                },
-                scales: {
-                    x: {
-                        type: 'time',
-                        time: {
-                            unit: 'day',
-                            displayFormats: {
-                                day: 'MMM dd',
-                                week: 'MMM dd',
-                                month: 'MMM yyyy'
-                            }
-                        },
-                        grid: {
-                            color: 'var(--border-color-light)',
-                            drawOnChartArea: true,
-                            drawTicks: true
-                        },
-                        ticks: {
-                            color: 'var(--text-secondary)',
-                            maxTicksLimit: 8
-                        }
-                    },
-                    y: {
-                        type: 'linear',
-                        position: 'right',
-                        grid: {
-                            color: 'var(--border-color-light)',
-                            drawOnChartArea: true,
-                            drawTicks: true
-                        },
-                        ticks: {
-                            color: 'var(--text-secondary)',
-                            callback: function(value) {
-                                return '₹' + value.toFixed(2);
-                            }
-                        }
-                    }
-                },
-                interaction: {
-                    intersect: false,
-                    mode: 'index'
+    loadSchedule() {
+        return new Promise((resolve) => {
+            $.ajax({
+                url: this.endpoint,
+                type: 'GET',
+                dataType: 'json',
+                success: (schedule) => {
+                    this.setSchedule(schedule);
+                    resolve(this.schedule);
                 },
-                animation: {
-                    duration: 750,
-                    easing: 'easeInOutQuart'
+                error: () => {
+                    console.warn('Market schedule unavailable, using default NSE hours');
+                    resolve(this.schedule);
                 }
-            }
-        };
-
-        // Add volume chart if enabled
-        if (this.options.showVolume) {
-            config.data.datasets.push({
-                label: 'Volume',
-                type: 'bar',
-                data: [],
-                backgroundColor: 'rgba(var(--color-primary-rgb), 0.3)',
-                borderColor: 'var(--color-primary)',
-                borderWidth: 1,
-                yAxisID: 'volume'
             });
+        });
+    }
 
-            config.options.scales.volume = {
-                type: 'linear',
-                position: 'left',
-                max: function(context) {
-                    const volumes = context.chart.data.datasets[1].data;
-                    const maxVolume = Math.max(...volumes.map(d => d.y || 0));
-                    return maxVolume * 4; // Scale volume to 1/4 of chart height
-                },
-                grid: {
-                    display: false
-                },
-                ticks: {
-                    display: false
-                }
-            };
+    setSchedule(schedule) {
+        this.schedule = { ...DEFAULT_MARKET_SCHEDULE, ...(schedule || {}) };
+        if (!Array.isArray(this.schedule.holidays)) {
+            this.schedule.holidays = [];
         }
-
-        this.chart = new Chart(this.ctx, config);
     }
 
     /**
-     * Bind chart events and interactions
+     * Session at the given instant: phase ('pre-open', 'open' or 'closed'),
+     * today's holiday, the next open and, while open, the close
      */
-    bindEvents() {
-        // Handle canvas resize
-        const resizeObserver = new ResizeObserver(() => {
-            if (this.chart) {
-                this.chart.resize();
+    getStatus(now = new Date()) {
+        const { dateKey, minutes } = this.getExchangeClock(now);
+        const preOpen = this.parseTime(this.schedule.preOpenTime);
+        const open = this.parseTime(this.schedule.openTime);
+        const close = this.parseTime(this.schedule.closeTime);
+
+        let phase = 'closed';
+        if (this.isTradingDay(dateKey)) {
+            if (minutes >= open && minutes < close) {
+                phase = 'open';
+            } else if (minutes >= preOpen && minutes < open) {
+                phase = 'pre-open';
             }
-        });
-        resizeObserver.observe(this.canvas);
+        }
 
-        // Handle chart click events
-        this.canvas.addEventListener('click', (event) => {
-            const points = this.chart.getElementsAtEventForMode(event, 'nearest', { intersect: true }, true);
-            if (points.length) {
-                const firstPoint = points[0];
-                const datasetIndex = firstPoint.datasetIndex;
-                const index = firstPoint.index;
-                const data = this.chart.data.datasets[datasetIndex].data[index];
-                this.onDataPointClick(data, index);
-            }
-        });
+        const status = {
+            phase,
+            isOpen: phase === 'open',
+            holiday: this.getHoliday(dateKey)?.name || null,
+            nextOpen: phase === 'open' ? this.toInstant(dateKey, open) : this.getNextOpen(dateKey, minutes),
+            nextClose: phase === 'open' ? this.toInstant(dateKey, close) : null
+        };
+        status.message = this.describe(status);
+        return status;
     }
 
     /**
-     * Load chart data for a specific symbol and timeframe
+     * Whether orders may execute now. Always true when trading hours are not enforced.
      */
-    async loadData(symbol, timeframe = '1W') {
-        if (this.isLoading) return;
-        
-        this.isLoading = true;
-        this.currentSymbol = symbol;
-        this.currentTimeframe = timeframe;
-        
-        this.showLoading();
-        
-        try {
-            this.hideError(); // Hide any previous errors
-            
-            // Try to fetch real data first
-            const response = await fetch(`/api/chart/${symbol}?timeframe=${timeframe}`);
-            
-            let chartData;
-            if (response.ok) {
-                chartData = await response.json();
-            } else if (response.status === 404) {
-                // API endpoint not found, use mock data
-                console.info('Chart API not available, using mock data');
-                chartData = this.generateMockOHLCData(symbol, timeframe);
-            } else {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            this.updateChart(chartData);
-            this.hideLoading();
-            
-        } catch (error) {
-            console.warn('Failed to load chart data:', error);
-            this.hideLoading();
-            
-            // Try to use mock data as fallback
-            try {
-                const mockData = this.generateMockOHLCData(symbol, timeframe);
-                this.updateChart(mockData);
-                console.info('Using mock chart data for demonstration');
-            } catch (mockError) {
-                console.error('Failed to generate mock data:', mockError);
-                this.showError('Unable to load chart data');
-            }
-        } finally {
-            this.isLoading = false;
-        }
+    isOpen(now = new Date()) {
+        return !this.schedule.enforceTradingHours || this.getStatus(now).isOpen;
     }
 
     /**
-     * Generate mock OHLC data for demonstration
+     * Weekdays that are not on the holiday list
      */
-    generateMockOHLCData(symbol, timeframe) {
-        const basePrice = 100 + Math.random() * 400; // Random base price between 100-500
-        const periods = this.getPeriodsForTimeframe(timeframe);
-        const data = [];
-        const volumeData = [];
-        
-        let currentPrice = basePrice;
-        
-        for (let i = 0; i < periods; i++) {
-            const date = this.getDateForPeriod(i, timeframe);
-            
-            // Generate realistic OHLC data
-            const open = currentPrice;
-            const volatility = 0.02 + Math.random() * 0.03; // 2-5% volatility
-            const direction = Math.random() > 0.5 ? 1 : -1;
-            const change = open * volatility * direction;
-            
-            const high = Math.max(open, open + change) + (Math.random() * open * 0.01);
-            const low = Math.min(open, open + change) - (Math.random() * open * 0.01);
-            const close = open + change + (Math.random() - 0.5) * open * 0.005;
-            
-            // Ensure high is highest and low is lowest
-            const finalHigh = Math.max(high, open, close);
-            const finalLow = Math.min(low, open, close);
-            
-            data.push({
-                x: date.getTime(),
-                o: parseFloat(open.toFixed(2)),
-                h: parseFloat(finalHigh.toFixed(2)),
-                l: parseFloat(finalLow.toFixed(2)),
-                c: parseFloat(close.toFixed(2))
-            });
-            
-            // Generate volume data
-            const baseVolume = 100000 + Math.random() * 500000;
-            const volumeMultiplier = Math.abs(change) / open * 10 + 1; // Higher volume on bigger moves
-            volumeData.push({
-                x: date.getTime(),
-                y: Math.floor(baseVolume * volumeMultiplier)
-            });
-            
-            currentPrice = close;
+    isTradingDay(dateKey) {
+        const day = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+        return day !== 0 && day !== 6 && !this.getHoliday(dateKey);
+    }
+
+    getHoliday(dateKey) {
+        return this.schedule.holidays.find(holiday => holiday.date === dateKey) || null;
+    }
+
+    getNextOpen(dateKey, minutes) {
+        const open = this.parseTime(this.schedule.openTime);
+        let day = minutes < open ? dateKey : this.addDays(dateKey, 1);
+
+        // A year of holidays and weekends is far more than can ever be skipped
+        for (let i = 0; i < 366 && !this.isTradingDay(day); i++) {
+            day = this.addDays(day, 1);
+        }
+        return this.toInstant(day, open);
+    }
+
+    describe(status) {
+        switch (status.phase) {
+            case 'open':
+                return `Market is open until ${this.formatTime(status.nextClose)} IST`;
+            case 'pre-open':
+                return `Pre-open session. Normal trading starts at ${this.formatTime(status.nextOpen)} IST`;
+            default:
+                return status.holiday
+                    ? `Market is closed for ${status.holiday}. Opens ${this.formatDateTime(status.nextOpen)} IST`
+                    : `Market is closed. Opens ${this.formatDateTime(status.nextOpen)} IST`;
         }
-        
-        return {
-            symbol,
-            timeframe,
-            ohlc: data,
-            volume: volumeData
-        };
     }
 
     /**
-     * Get number of periods for timeframe
+     * Exchange-local calendar date (yyyy-mm-dd) and minutes since midnight
      */
-    getPeriodsForTimeframe(timeframe) {
-        const periods = {
-            '1D': 24,    // 24 hours
-            '1W': 7,     // 7 days
-            '1M': 30,    // 30 days
-            '3M': 90,    // 90 days
-            '1Y': 252,   // Trading days in a year
-            '5Y': 1260   // 5 years of trading days
+    getExchangeClock(date) {
+        const local = new Date(date.getTime() + this.schedule.utcOffsetMinutes * 60000);
+        return {
+            dateKey: local.toISOString().slice(0, 10),
+            minutes: local.getUTCHours() * 60 + local.getUTCMinutes() + local.getUTCSeconds() / 60
         };
-        return periods[timeframe] || 30;
     }
 
     /**
-     * Get date for specific period based on timeframe
+     * The instant at which the exchange clock shows the given date and time
      */
-    getDateForPeriod(index, timeframe) {
-        const now = new Date();
-        const date = new Date(now);
-        
-        switch (timeframe) {
-            case '1D':
-                date.setHours(date.getHours() - (23 - index));
-                break;
-            case '1W':
-                date.setDate(date.getDate() - (6 - index));
-                break;
-            case '1M':
-                date.setDate(date.getDate() - (29 - index));
-                break;
-            case '3M':
-                date.setDate(date.getDate() - (89 - index));
-                break;
-            case '1Y':
-                date.setDate(date.getDate() - (251 - index));
-                break;
-            case '5Y':
-                date.setDate(date.getDate() - (1259 - index));
-                break;
-            default:
-                date.setDate(date.getDate() - (29 - index));
-        }
-        
-        return date;
+    toInstant(dateKey, minutes) {
+        return new Date(Date.parse(`${dateKey}T00:00:00Z`) + (minutes - this.schedule.utcOffsetMinutes) * 60000);
+    }
+
+    addDays(dateKey, days) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    parseTime(value) {
+        const [hours, minutes] = String(value || '').split(':').map(part => parseInt(part, 10));
+        return (hours || 0) * 60 + (minutes || 0);
+    }
+
+    formatTime(date) {
+        const local = new Date(date.getTime() + this.schedule.utcOffsetMinutes * 60000);
+        return `${String(local.getUTCHours()).padStart(2, '0')}:${String(local.getUTCMinutes()).padStart(2, '0')}`;
+    }
+
+    formatDateTime(date) {
+        const local = new Date(date.getTime() + this.schedule.utcOffsetMinutes * 60000);
+        return `${WEEKDAYS[local.getUTCDay()]} ${local.getUTCDate()} ${MONTHS[local.getUTCMonth()]}, ${this.formatTime(date)}`;
     }
 
     /**
-     * Update chart with new data
+     * Re-check the clock periodically and tell listeners when the phase changes
      */
-    updateChart(chartData) {
-        if (!this.chart || !chartData) return;
-        
-        // Update OHLC data
-        this.chart.data.datasets[0].data = chartData.ohlc || [];
-        
-        // Update volume data if available
-        if (this.options.showVolume && chartData.volume && this.chart.data.datasets[1]) {
-            this.chart.data.datasets[1].data = chartData.volume;
+    start() {
+        if (this.timer) return;
+
+        this.lastPhase = this.getStatus().phase;
+        this.renderBanner();
+        this.timer = setInterval(() => this.checkPhase(), this.checkInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
         }
-        
-        // Update time scale based on timeframe
-        this.updateTimeScale(chartData.timeframe);
-        
-        // Animate chart update
-        this.chart.update('active');
-        
-        // Trigger custom event
-        this.onChartUpdated(chartData);
+    }
+
+    checkPhase(now = new Date()) {
+        const status = this.getStatus(now);
+        if (status.phase !== this.lastPhase) {
+            this.lastPhase = status.phase;
+            this.notify(status);
+        }
+        this.renderBanner(status);
+        return status;
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(status) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(status, this);
+            } catch (error) {
+                console.error('Market session listener failed:', error);
+            }
+        });
     }
 
     /**
-     * Update time scale configuration based on timeframe
+     * Market-status banner below the header
      */
-    updateTimeScale(timeframe) {
-        if (!this.chart) return;
-        
-        const timeConfig = {
-            '1D': { unit: 'hour', displayFormat: 'HH:mm' },
-            '1W': { unit: 'day', displayFormat: 'MMM dd' },
-            '1M': { unit: 'day', displayFormat: 'MMM dd' },
-            '3M': { unit: 'week', displayFormat: 'MMM dd' },
-            '1Y': { unit: 'month', displayFormat: 'MMM yyyy' },
-            '5Y': { unit: 'year', displayFormat: 'yyyy' }
-        };
-        
-        const config = timeConfig[timeframe] || timeConfig['1M'];
-        
-        this.chart.options.scales.x.time.unit = config.unit;
-        this.chart.options.scales.x.time.displayFormats[config.unit] = config.displayFormat;
+    renderBanner(status = this.getStatus()) {
+        const banner = document.getElementById('marketStatusBanner');
+        if (!banner) return;
+
+        banner.className = `market-status-banner ${status.phase}`;
+        banner.innerHTML = `
+            <span class="market-status-dot" aria-hidden="true"></span>
+            <span class="market-status-text">${status.message}</span>
+            ${status.isOpen ? '' : '<span class="market-status-hint">Orders placed now are queued as after-market orders (AMO)</span>'}
+        `;
+        banner.hidden = false;
+    }
+}
+
+// Initialize the shared market session when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.marketSession = new MarketSession();
+    window.marketSession.start();
+    window.marketSession.loadSchedule().then(() => window.marketSession.checkPhase());
+});
+
+window.MarketSession = MarketSession;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarketSession;
+}
+
+/**
+ * SIP Plans
+ * Client for systematic investment plans (api/Sip): a fixed rupee amount of
+ * one stock bought every trading day, week or month. The server executes due
+ * instalments as ordinary market buys; this class creates and manages the
+ * plans and describes their schedules for the stock modal and the SIP page.
+ */
+
+const SIP_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const SIP_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+class SipPlans {
+    constructor(options = {}) {
+        this.endpoint = '/api/Sip';
+        this.minAmount = options.minAmount || 100;
+    }
+
+    getPlans(gameType = null) {
+        return this.request('GET', '', gameType === null ? null : { gameType });
+    }
+
+    createPlan(plan) {
+        return this.request('POST', '', this.toRequest(plan));
+    }
+
+    updatePlan(id, plan) {
+        return this.request('PUT', `/${encodeURIComponent(id)}`, this.toRequest(plan));
+    }
+
+    pausePlan(id) {
+        return this.request('POST', `/${encodeURIComponent(id)}/pause`);
+    }
+
+    resumePlan(id) {
+        return this.request('POST', `/${encodeURIComponent(id)}/resume`);
+    }
+
+    deletePlan(id) {
+        return this.request('DELETE', `/${encodeURIComponent(id)}`);
+    }
+
+    getExecutions(planId = null) {
+        return this.request('GET', '/executions', planId ? { planId } : null);
     }
 
     /**
-     * Change chart type (candlestick, line, area)
+     * Calls the SIP API and resolves with its data; rejects with the server's message
      */
-    setChartType(type) {
-        if (!this.chart) return;
-        
-        this.chartType = type;
-        
-        switch (type) {
-            case 'line':
-                this.chart.config.type = 'line';
-                this.chart.data.datasets[0] = {
-                    ...this.chart.data.datasets[0],
-                    type: 'line',
-                    borderColor: 'var(--color-primary)',
-                    backgroundColor: 'transparent',
-                    borderWidth: 2,
-                    fill: false,
-                    tension: 0.1,
-                    data: this.chart.data.datasets[0].data.map(d => ({
-                        x: d.x,
-                        y: d.c // Use close price for line chart
-                    }))
-                };
-                break;
-                
-            case 'area':
-                this.chart.config.type = 'line';
-                this.chart.data.datasets[0] = {
-                    ...this.chart.data.datasets[0],
-                    type: 'line',
-                    borderColor: 'var(--color-primary)',
-                    backgroundColor: 'rgba(var(--color-primary-rgb), 0.1)',
-                    borderWidth: 2,
-                    fill: true,
-                    tension: 0.1,
-                    data: this.chart.data.datasets[0].data.map(d => ({
-                        x: d.x,
-                        y: d.c // Use close price for area chart
-                    }))
-                };
-                break;
-                
-            case 'candlestick':
-            default:
-                this.chart.config.type = 'candlestick';
-                // Restore original candlestick configuration
-                this.chart.data.datasets[0] = {
-                    label: 'Price',
-                    data: this.chart.data.datasets[0].data,
-                    borderColor: {
-                        up: 'var(--color-success)',
-                        down: 'var(--color-error)',
-                        unchanged: 'var(--color-secondary)'
-                    },
-                    backgroundColor: {
-                        up: 'rgba(var(--color-success-rgb), 0.8)',
-                        down: 'rgba(var(--color-error-rgb), 0.8)',
-                        unchanged: 'rgba(var(--color-secondary-rgb), 0.8)'
-                    }
-                };
-                break;
-        }
-        
-        this.chart.update('none');
+    request(type, path, data = null) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: this.endpoint + path,
+                type,
+                data: type === 'GET' ? data : (data ? JSON.stringify(data) : null),
+                contentType: 'application/json',
+                dataType: 'json',
+                timeout: 10000,
+                success: (response) => resolve(response?.data ?? null),
+                error: (xhr, status, error) => {
+                    const response = xhr.responseJSON || {};
+                    const apiError = new Error(response.message || this.getValidationMessage(response) || error || 'SIP request failed');
+                    apiError.code = response.errorCode || null;
+                    apiError.status = xhr.status;
+                    reject(apiError);
+                }
+            });
+        });
     }
 
     /**
-     * Add technical indicator
+     * First message of an ASP.NET model validation response
      */
-    addIndicator(indicator) {
-        this.indicators.add(indicator);
-        
-        switch (indicator) {
-            case 'sma20':
-                this.addMovingAverage(20, 'SMA 20', '#f39c12');
-                break;
-            case 'sma50':
-                this.addMovingAverage(50, 'SMA 50', '#3498db');
-                break;
-            case 'ema20':
-                this.addExponentialMovingAverage(20, 'EMA 20', '#2ecc71');
-                break;
-            case 'bollinger':
-                this.addBollingerBands(20, 2, 'Bollinger Bands');
-                break;
-            case 'rsi':
-                this.addRSI(14, 'RSI (14)');
-                break;
-            case 'macd':
-                this.addMACD(12, 26, 9, 'MACD');
-                break;
-        }
+    getValidationMessage(response) {
+        const errors = response?.errors ? Object.values(response.errors) : [];
+        return errors.length > 0 ? [].concat(errors[0])[0] : null;
+    }
+
+    toRequest(plan) {
+        const frequency = String(plan.frequency || '').toUpperCase();
+        return {
+            symbol: String(plan.symbol || '').replace('.NS', '').trim().toUpperCase(),
+            amount: parseFloat(plan.amount),
+            frequency,
+            dayOfWeek: frequency === 'WEEKLY' ? parseInt(plan.dayOfWeek) : null,
+            dayOfMonth: frequency === 'MONTHLY' ? parseInt(plan.dayOfMonth) : null,
+            gameType: plan.gameType || ''
+        };
     }
 
     /**
-     * Remove technical indicator
+     * Error message for an invalid plan, or null; mirrors the server's checks
      */
-    removeIndicator(indicator) {
-        this.indicators.delete(indicator);
-        
-        // Remove datasets associated with this indicator
-        const indicatorLabels = this.getIndicatorLabels(indicator);
-        
-        for (let i = this.chart.data.datasets.length - 1; i >= 0; i--) {
-            const dataset = this.chart.data.datasets[i];
-            if (indicatorLabels.includes(dataset.label)) {
-                this.chart.data.datasets.splice(i, 1);
-            }
+    validate(plan) {
+        const amount = parseFloat(plan.amount);
+        const frequency = String(plan.frequency || '').toUpperCase();
+        const dayOfWeek = parseInt(plan.dayOfWeek);
+        const dayOfMonth = parseInt(plan.dayOfMonth);
+
+        if (!plan.symbol) {
+            return 'Choose a stock for the SIP';
         }
-        
-        this.chart.update('none');
+        if (!(amount >= this.minAmount)) {
+            return `The amount per instalment must be at least ₹${this.minAmount}`;
+        }
+        if (!SIP_FREQUENCIES.includes(frequency)) {
+            return 'Choose how often to invest';
+        }
+        if (frequency === 'WEEKLY' && !(dayOfWeek >= 1 && dayOfWeek <= 5)) {
+            return 'Choose a weekday (Monday to Friday) for a weekly plan';
+        }
+        if (frequency === 'MONTHLY' && !(dayOfMonth >= 1 && dayOfMonth <= 28)) {
+            return 'Choose a day between 1 and 28 for a monthly plan';
+        }
+        return null;
     }
 
     /**
-     * Get all dataset labels for an indicator
+     * Schedule in words, e.g. "Every Monday" or "5th of every month"
      */
-    getIndicatorLabels(indicator) {
-        const labelMap = {
-            'sma20': ['SMA 20'],
-            'sma50': ['SMA 50'],
-            'ema20': ['EMA 20'],
-            'bollinger': ['Bollinger Upper', 'Bollinger Lower', 'Bollinger SMA'],
-            'rsi': ['RSI (14)'],
-            'macd': ['MACD', 'MACD Signal', 'MACD Histogram']
-        };
-        
-        return labelMap[indicator] || [indicator];
+    describeSchedule(plan) {
+        switch (String(plan.frequency || '').toUpperCase()) {
+            case 'WEEKLY':
+                return `Every ${SIP_WEEKDAYS[plan.dayOfWeek] || 'week'}`;
+            case 'MONTHLY':
+                return `${this.ordinal(plan.dayOfMonth)} of every month`;
+            default:
+                return 'Every trading day';
+        }
+    }
+
+    ordinal(day) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd', 21: 'st', 22: 'nd', 23: 'rd' };
+        return `${day}${suffixes[day] || 'th'}`;
     }
 
     /**
-     * Add simple moving average
+     * Whole shares one instalment buys at the given price, charges included
      */
-    addMovingAverage(period, label, color) {
-        const ohlcData = this.chart.data.datasets[0].data;
-        const smaData = this.calculateSMA(ohlcData, period);
-        
-        this.chart.data.datasets.push({
-            label: label,
-            type: 'line',
-            data: smaData,
-            borderColor: color,
-            backgroundColor: 'transparent',
-            borderWidth: 1,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1
-        });
-        
-        this.chart.update('none');
+    estimateQuantity(amount, price, feeEngine = window.feeEngine) {
+        if (!(amount > 0) || !(price > 0)) return 0;
+        return feeEngine
+            ? feeEngine.maxAffordableQuantity(amount, price)
+            : Math.floor(amount / price);
+    }
+}
+
+// Shared client for the stock modal and the SIP page
+window.sipPlans = new SipPlans();
+window.SipPlans = SipPlans;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SipPlans;
+}
+
+/**
+ * Chart Indicators
+ * Technical indicator maths and the registry StockChart draws indicators
+ * from. Each indicator declares the candle fields it needs, its parameters,
+ * the series it outputs and whether it goes on the price pane or its own.
+ */
+
+/**
+ * Indicator maths on candles ({ x, o, h, l, c, v }). Series are arrays the
+ * length of the candles with null where there is no value yet.
+ */
+class TechnicalIndicators {
+    static field(bars, key) {
+        return bars.map(bar => bar[key] ?? null);
+    }
+
+    static typicalPrice(bar) {
+        return (bar.h + bar.l + bar.c) / 3;
     }
 
     /**
-     * Add exponential moving average
+     * Chart points for a series; gaps are dropped unless keepGaps, which
+     * breaks the line there instead
      */
-    addExponentialMovingAverage(period, label, color) {
-        const ohlcData = this.chart.data.datasets[0].data;
-        const emaData = this.calculateEMA(ohlcData, period);
-        
-        this.chart.data.datasets.push({
-            label: label,
-            type: 'line',
-            data: emaData,
-            borderColor: color,
-            backgroundColor: 'transparent',
-            borderWidth: 1,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1
+    static toPoints(bars, values, { keepGaps = false } = {}) {
+        const points = bars.map((bar, i) => ({ x: bar.x, y: Number.isFinite(values[i]) ? values[i] : null }));
+        return keepGaps ? points : points.filter(point => point.y !== null);
+    }
+
+    static sma(values, period) {
+        return values.map((value, i) => {
+            if (i < period - 1) return null;
+            const window = values.slice(i - period + 1, i + 1);
+            return window.some(v => v === null) ? null : window.reduce((sum, v) => sum + v, 0) / period;
         });
-        
-        this.chart.update('none');
     }
 
     /**
-     * Calculate Simple Moving Average
+     * Exponential average seeded with the simple average of the first
+     * `period` values
      */
-    calculateSMA(data, period) {
-        const smaData = [];
-        
-        for (let i = period - 1; i < data.length; i++) {
-            let sum = 0;
-            for (let j = 0; j < period; j++) {
-                sum += data[i - j].c; // Use close price
-            }
-            const average = sum / period;
-            
-            smaData.push({
-                x: data[i].x,
-                y: average
-            });
-        }
-        
-        return smaData;
+    static ema(values, period) {
+        return TechnicalIndicators.smooth(values, period, 2 / (period + 1));
     }
 
     /**
-     * Calculate Exponential Moving Average
+     * Wilder's smoothing (RSI, ATR, ADX)
      */
-    calculateEMA(data, period) {
-        const emaData = [];
-        const multiplier = 2 / (period + 1);
-        
-        // Start with SMA for first value
-        let ema = data.slice(0, period).reduce((sum, d) => sum + d.c, 0) / period;
-        emaData.push({
-            x: data[period - 1].x,
-            y: ema
-        });
-        
-        // Calculate EMA for remaining values
-        for (let i = period; i < data.length; i++) {
-            ema = (data[i].c * multiplier) + (ema * (1 - multiplier));
-            emaData.push({
-                x: data[i].x,
-                y: ema
-            });
+    static wilder(values, period) {
+        return TechnicalIndicators.smooth(values, period, 1 / period);
+    }
+
+    static smooth(values, period, alpha) {
+        const result = new Array(values.length).fill(null);
+        const start = values.findIndex(v => v !== null);
+        if (start < 0 || values.length - start < period) return result;
+
+        let average = values.slice(start, start + period).reduce((sum, v) => sum + v, 0) / period;
+        result[start + period - 1] = average;
+        for (let i = start + period; i < values.length; i++) {
+            average = values[i] === null ? average : values[i] * alpha + average * (1 - alpha);
+            result[i] = average;
         }
-        
-        return emaData;
+        return result;
     }
 
-    /**
-     * Add Bollinger Bands
-     */
-    addBollingerBands(period, stdDev, label) {
-        const ohlcData = this.chart.data.datasets[0].data;
-        const bollingerData = this.calculateBollingerBands(ohlcData, period, stdDev);
-        
-        // Add upper band
-        this.chart.data.datasets.push({
-            label: 'Bollinger Upper',
-            type: 'line',
-            data: bollingerData.upper,
-            borderColor: '#e74c3c',
-            backgroundColor: 'transparent',
-            borderWidth: 1,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1
+    static highest(values, period) {
+        return values.map((_, i) => i < period - 1 ? null : Math.max(...values.slice(i - period + 1, i + 1)));
+    }
+
+    static lowest(values, period) {
+        return values.map((_, i) => i < period - 1 ? null : Math.min(...values.slice(i - period + 1, i + 1)));
+    }
+
+    static bollinger(bars, period, deviations) {
+        const closes = TechnicalIndicators.field(bars, 'c');
+        const middle = TechnicalIndicators.sma(closes, period);
+        const width = middle.map((mean, i) => {
+            if (mean === null) return null;
+            const window = closes.slice(i - period + 1, i + 1);
+            const variance = window.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / period;
+            return deviations * Math.sqrt(variance);
         });
-        
-        // Add lower band
-        this.chart.data.datasets.push({
-            label: 'Bollinger Lower',
-            type: 'line',
-            data: bollingerData.lower,
-            borderColor: '#e74c3c',
-            backgroundColor: 'rgba(231, 76, 60, 0.1)',
-            borderWidth: 1,
-            fill: '-1', // Fill between upper and lower
-            pointRadius: 0,
-            tension: 0.1
-        });
-        
-        // Add middle line (SMA)
-        this.chart.data.datasets.push({
-            label: 'Bollinger SMA',
-            type: 'line',
-            data: bollingerData.middle,
-            borderColor: '#95a5a6',
-            backgroundColor: 'transparent',
-            borderWidth: 1,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1,
-            borderDash: [5, 5]
+
+        return {
+            upper: middle.map((mean, i) => mean === null ? null : mean + width[i]),
+            middle,
+            lower: middle.map((mean, i) => mean === null ? null : mean - width[i])
+        };
+    }
+
+    static rsi(bars, period) {
+        const closes = TechnicalIndicators.field(bars, 'c');
+        const changes = closes.map((close, i) => i === 0 ? null : close - closes[i - 1]);
+        const gains = TechnicalIndicators.wilder(changes.map(c => c === null ? null : Math.max(c, 0)), period);
+        const losses = TechnicalIndicators.wilder(changes.map(c => c === null ? null : Math.max(-c, 0)), period);
+
+        return gains.map((gain, i) => {
+            if (gain === null) return null;
+            return losses[i] === 0 ? 100 : 100 - 100 / (1 + gain / losses[i]);
         });
-        
-        this.chart.update('none');
+    }
+
+    static macd(bars, fastPeriod, slowPeriod, signalPeriod) {
+        const closes = TechnicalIndicators.field(bars, 'c');
+        const fast = TechnicalIndicators.ema(closes, fastPeriod);
+        const slow = TechnicalIndicators.ema(closes, slowPeriod);
+        const macd = fast.map((value, i) => value === null || slow[i] === null ? null : value - slow[i]);
+        const signal = TechnicalIndicators.ema(macd, signalPeriod);
+
+        return {
+            macd,
+            signal,
+            histogram: macd.map((value, i) => value === null || signal[i] === null ? null : value - signal[i])
+        };
     }
 
     /**
-     * Calculate Bollinger Bands
+     * Volume-weighted average price, restarting every trading day
      */
-    calculateBollingerBands(data, period, stdDev) {
-        const upperBand = [];
-        const lowerBand = [];
-        const middleBand = [];
-        
-        for (let i = period - 1; i < data.length; i++) {
-            // Calculate SMA
-            let sum = 0;
-            for (let j = 0; j < period; j++) {
-                sum += data[i - j].c;
-            }
-            const sma = sum / period;
-            
-            // Calculate standard deviation
-            let variance = 0;
-            for (let j = 0; j < period; j++) {
-                variance += Math.pow(data[i - j].c - sma, 2);
+    static vwap(bars) {
+        let day = null;
+        let priceVolume = 0;
+        let volume = 0;
+
+        return bars.map(bar => {
+            const barDay = new Date(bar.x).toDateString();
+            if (barDay !== day) {
+                day = barDay;
+                priceVolume = 0;
+                volume = 0;
             }
-            const standardDeviation = Math.sqrt(variance / period);
-            
-            const upper = sma + (stdDev * standardDeviation);
-            const lower = sma - (stdDev * standardDeviation);
-            
-            upperBand.push({ x: data[i].x, y: upper });
-            lowerBand.push({ x: data[i].x, y: lower });
-            middleBand.push({ x: data[i].x, y: sma });
-        }
-        
-        return { upper: upperBand, lower: lowerBand, middle: middleBand };
+            priceVolume += TechnicalIndicators.typicalPrice(bar) * (bar.v || 0);
+            volume += bar.v || 0;
+            return volume > 0 ? priceVolume / volume : null;
+        });
+    }
+
+    static trueRange(bars) {
+        return bars.map((bar, i) => i === 0
+            ? bar.h - bar.l
+            : Math.max(bar.h - bar.l, Math.abs(bar.h - bars[i - 1].c), Math.abs(bar.l - bars[i - 1].c)));
+    }
+
+    static atr(bars, period) {
+        return TechnicalIndicators.wilder(TechnicalIndicators.trueRange(bars), period);
     }
 
     /**
-     * Add RSI indicator
+     * Slow stochastic: %K smoothed over `smoothing` candles, %D its average
      */
-    addRSI(period, label) {
-        const ohlcData = this.chart.data.datasets[0].data;
-        const rsiData = this.calculateRSI(ohlcData, period);
-        
-        // Create a separate chart or overlay for RSI
-        // For now, we'll normalize RSI to fit on the price chart
-        const normalizedRSI = rsiData.map(point => ({
-            x: point.x,
-            y: point.y // RSI is already 0-100, we might want to scale it
-        }));
-        
-        this.chart.data.datasets.push({
-            label: label,
-            type: 'line',
-            data: normalizedRSI,
-            borderColor: '#9b59b6',
-            backgroundColor: 'transparent',
-            borderWidth: 2,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1,
-            yAxisID: 'rsi'
-        });
-        
-        // Add RSI scale if it doesn't exist
-        if (!this.chart.options.scales.rsi) {
-            this.chart.options.scales.rsi = {
-                type: 'linear',
-                position: 'left',
-                min: 0,
-                max: 100,
-                grid: {
-                    display: false
-                },
-                ticks: {
-                    color: 'var(--text-secondary)',
-                    callback: function(value) {
-                        return value;
-                    }
-                }
-            };
-        }
-        
-        this.chart.update('none');
+    static stochastic(bars, kPeriod, dPeriod, smoothing) {
+        const high = TechnicalIndicators.highest(TechnicalIndicators.field(bars, 'h'), kPeriod);
+        const low = TechnicalIndicators.lowest(TechnicalIndicators.field(bars, 'l'), kPeriod);
+        const fastK = bars.map((bar, i) => {
+            if (high[i] === null) return null;
+            return high[i] === low[i] ? 50 : 100 * (bar.c - low[i]) / (high[i] - low[i]);
+        });
+        const k = TechnicalIndicators.sma(fastK, smoothing);
+
+        return { k, d: TechnicalIndicators.sma(k, dPeriod) };
     }
 
     /**
-     * Calculate RSI
+     * ATR trailing stop that flips sides when the close crosses it; `up` has
+     * the line while the trend is up, `down` while it is down
      */
-    calculateRSI(data, period) {
-        const rsiData = [];
-        const gains = [];
-        const losses = [];
-        
-        // Calculate initial gains and losses
-        for (let i = 1; i < data.length; i++) {
-            const change = data[i].c - data[i - 1].c;
-            gains.push(change > 0 ? change : 0);
-            losses.push(change < 0 ? Math.abs(change) : 0);
-        }
-        
-        // Calculate RSI
-        for (let i = period - 1; i < gains.length; i++) {
-            let avgGain, avgLoss;
-            
-            if (i === period - 1) {
-                // First RSI calculation
-                avgGain = gains.slice(0, period).reduce((sum, gain) => sum + gain, 0) / period;
-                avgLoss = losses.slice(0, period).reduce((sum, loss) => sum + loss, 0) / period;
+    static superTrend(bars, period, multiplier) {
+        const atr = TechnicalIndicators.atr(bars, period);
+        const up = new Array(bars.length).fill(null);
+        const down = new Array(bars.length).fill(null);
+        let upperBand = null;
+        let lowerBand = null;
+        let isUp = true;
+
+        bars.forEach((bar, i) => {
+            if (atr[i] === null) return;
+
+            const middle = (bar.h + bar.l) / 2;
+            const previousClose = i > 0 ? bars[i - 1].c : bar.c;
+            const basicUpper = middle + multiplier * atr[i];
+            const basicLower = middle - multiplier * atr[i];
+
+            upperBand = upperBand === null || basicUpper < upperBand || previousClose > upperBand ? basicUpper : upperBand;
+            lowerBand = lowerBand === null || basicLower > lowerBand || previousClose < lowerBand ? basicLower : lowerBand;
+
+            if (isUp && bar.c < lowerBand) {
+                isUp = false;
+            } else if (!isUp && bar.c > upperBand) {
+                isUp = true;
+            }
+
+            if (isUp) {
+                up[i] = lowerBand;
             } else {
-                // Smoothed averages
-                const prevAvgGain = rsiData[i - period].avgGain;
-                const prevAvgLoss = rsiData[i - period].avgLoss;
-                avgGain = (prevAvgGain * (period - 1) + gains[i]) / period;
-                avgLoss = (prevAvgLoss * (period - 1) + losses[i]) / period;
+                down[i] = upperBand;
             }
-            
-            const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-            const rsi = 100 - (100 / (1 + rs));
-            
-            rsiData.push({
-                x: data[i + 1].x,
-                y: rsi,
-                avgGain: avgGain,
-                avgLoss: avgLoss
-            });
-        }
-        
-        return rsiData;
+        });
+
+        return { up, down };
     }
 
     /**
-     * Add MACD indicator
+     * Average directional index with the +DI and -DI lines
      */
-    addMACD(fastPeriod, slowPeriod, signalPeriod, label) {
-        const ohlcData = this.chart.data.datasets[0].data;
-        const macdData = this.calculateMACD(ohlcData, fastPeriod, slowPeriod, signalPeriod);
-        
-        // Add MACD line
-        this.chart.data.datasets.push({
-            label: 'MACD',
-            type: 'line',
-            data: macdData.macd,
-            borderColor: '#3498db',
-            backgroundColor: 'transparent',
-            borderWidth: 2,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1,
-            yAxisID: 'macd'
+    static adx(bars, period) {
+        const plusMove = bars.map((bar, i) => {
+            if (i === 0) return null;
+            const upMove = bar.h - bars[i - 1].h;
+            const downMove = bars[i - 1].l - bar.l;
+            return upMove > downMove && upMove > 0 ? upMove : 0;
         });
-        
-        // Add Signal line
-        this.chart.data.datasets.push({
-            label: 'MACD Signal',
-            type: 'line',
-            data: macdData.signal,
-            borderColor: '#e74c3c',
-            backgroundColor: 'transparent',
-            borderWidth: 1,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1,
-            yAxisID: 'macd'
+        const minusMove = bars.map((bar, i) => {
+            if (i === 0) return null;
+            const upMove = bar.h - bars[i - 1].h;
+            const downMove = bars[i - 1].l - bar.l;
+            return downMove > upMove && downMove > 0 ? downMove : 0;
         });
-        
-        // Add Histogram
-        this.chart.data.datasets.push({
-            label: 'MACD Histogram',
-            type: 'bar',
-            data: macdData.histogram,
-            backgroundColor: 'rgba(52, 152, 219, 0.3)',
-            borderColor: '#3498db',
-            borderWidth: 1,
-            yAxisID: 'macd'
+        const range = TechnicalIndicators.trueRange(bars).map((tr, i) => i === 0 ? null : tr);
+
+        const smoothedRange = TechnicalIndicators.wilder(range, period);
+        const plusDI = TechnicalIndicators.wilder(plusMove, period)
+            .map((move, i) => move === null || !smoothedRange[i] ? null : 100 * move / smoothedRange[i]);
+        const minusDI = TechnicalIndicators.wilder(minusMove, period)
+            .map((move, i) => move === null || !smoothedRange[i] ? null : 100 * move / smoothedRange[i]);
+        const dx = plusDI.map((plus, i) => {
+            if (plus === null || minusDI[i] === null) return null;
+            const total = plus + minusDI[i];
+            return total === 0 ? 0 : 100 * Math.abs(plus - minusDI[i]) / total;
         });
-        
-        // Add MACD scale if it doesn't exist
-        if (!this.chart.options.scales.macd) {
-            this.chart.options.scales.macd = {
-                type: 'linear',
-                position: 'left',
-                grid: {
-                    display: false
-                },
-                ticks: {
-                    color: 'var(--text-secondary)'
-                }
-            };
-        }
-        
-        this.chart.update('none');
+
+        return { adx: TechnicalIndicators.wilder(dx, period), plusDI, minusDI };
     }
 
     /**
-     * Calculate MACD
+     * Ichimoku cloud. The leading spans are plotted `displacement` candles
+     * ahead of the last candle and the lagging span as many behind, so the
+     * series are chart points rather than per-candle values.
      */
-    calculateMACD(data, fastPeriod, slowPeriod, signalPeriod) {
-        const fastEMA = this.calculateEMA(data, fastPeriod);
-        const slowEMA = this.calculateEMA(data, slowPeriod);
-        
-        const macdLine = [];
-        const startIndex = Math.max(fastPeriod, slowPeriod) - 1;
-        
-        // Calculate MACD line
-        for (let i = 0; i < Math.min(fastEMA.length, slowEMA.length); i++) {
-            const macdValue = fastEMA[i].y - slowEMA[i].y;
-            macdLine.push({
-                x: fastEMA[i].x,
-                y: macdValue
-            });
-        }
-        
-        // Calculate Signal line (EMA of MACD)
-        const signalLine = this.calculateEMA(macdLine, signalPeriod);
-        
-        // Calculate Histogram
-        const histogram = [];
-        for (let i = 0; i < signalLine.length; i++) {
-            const macdIndex = macdLine.findIndex(m => m.x === signalLine[i].x);
-            if (macdIndex !== -1) {
-                histogram.push({
-                    x: signalLine[i].x,
-                    y: macdLine[macdIndex].y - signalLine[i].y
-                });
-            }
-        }
-        
+    static ichimoku(bars, conversionPeriod, basePeriod, spanBPeriod, displacement) {
+        const highs = TechnicalIndicators.field(bars, 'h');
+        const lows = TechnicalIndicators.field(bars, 'l');
+        const midpoint = period => {
+            const high = TechnicalIndicators.highest(highs, period);
+            const low = TechnicalIndicators.lowest(lows, period);
+            return high.map((value, i) => value === null ? null : (value + low[i]) / 2);
+        };
+
+        const conversion = midpoint(conversionPeriod);
+        const base = midpoint(basePeriod);
+        const spanA = conversion.map((value, i) => value === null || base[i] === null ? null : (value + base[i]) / 2);
+        const spanB = midpoint(spanBPeriod);
+
+        // Times of the candles `displacement` ahead, extrapolated past the last one
+        const step = bars.length > 1 ? bars[bars.length - 1].x - bars[bars.length - 2].x : 0;
+        const timeAt = i => i < bars.length ? bars[i].x : bars[bars.length - 1].x + (i - bars.length + 1) * step;
+        const lead = values => values
+            .map((y, i) => ({ x: timeAt(i + displacement), y }))
+            .filter(point => point.y !== null);
+
         return {
-            macd: macdLine,
-            signal: signalLine,
-            histogram: histogram
+            conversion: TechnicalIndicators.toPoints(bars, conversion),
+            base: TechnicalIndicators.toPoints(bars, base),
+            spanA: lead(spanA),
+            spanB: lead(spanB),
+            lagging: bars.slice(displacement).map((bar, i) => ({ x: bars[i].x, y: bar.c }))
         };
     }
+}
+
+/**
+ * Indicators StockChart can draw, by id. A definition has:
+ * - name: button and pane label
+ * - pane: 'price' to overlay the candles, 'separate' for its own pane
+ * - inputs: candle fields it reads (open, high, low, close, volume)
+ * - params: [{ key, label, default, min, max, step }]
+ * - outputs: [{ key, label, type, color, style }], one dataset each
+ * - scale: y-axis options of its own pane
+ * - calculate(bars, params): chart points per output key
+ */
+class IndicatorRegistry {
+    constructor() {
+        this.indicators = new Map();
+    }
+
+    register(definition) {
+        if (!definition?.id || typeof definition.calculate !== 'function') {
+            throw new Error('An indicator needs an id and a calculate function');
+        }
+
+        this.indicators.set(definition.id, {
+            pane: 'price',
+            inputs: ['close'],
+            params: [],
+            outputs: [],
+            ...definition
+        });
+        return this;
+    }
+
+    get(id) {
+        return this.indicators.get(id) || null;
+    }
+
+    has(id) {
+        return this.indicators.has(id);
+    }
+
+    list() {
+        return Array.from(this.indicators.values());
+    }
 
     /**
-     * Show loading state
+     * Parameters with defaults filled in and values clamped to each
+     * parameter's range
      */
-    showLoading() {
-        const container = this.canvas.parentElement;
-        const loadingEl = container.querySelector('.chart-loading');
-        if (loadingEl) {
-            loadingEl.style.display = 'flex';
-        }
+    normalizeParams(id, params = {}) {
+        const definition = this.get(id);
+        if (!definition) return {};
+
+        return definition.params.reduce((result, param) => {
+            let value = parseFloat(params[param.key]);
+            if (!Number.isFinite(value)) {
+                value = param.default;
+            }
+            if (param.min !== undefined) value = Math.max(value, param.min);
+            if (param.max !== undefined) value = Math.min(value, param.max);
+            if ((param.step || 1) >= 1) value = Math.round(value);
+
+            result[param.key] = value;
+            return result;
+        }, {});
     }
 
     /**
-     * Hide loading state
+     * Chart points per output of an indicator. Empty when the candles lack
+     * one of its inputs (e.g. volume).
      */
-    hideLoading() {
-        const container = this.canvas.parentElement;
-        const loadingEl = container.querySelector('.chart-loading');
-        if (loadingEl) {
-            loadingEl.style.display = 'none';
+    calculate(id, bars, params) {
+        const definition = this.get(id);
+        if (!definition || !bars?.length || !IndicatorRegistry.hasInputs(bars, definition.inputs)) {
+            return {};
         }
+
+        return definition.calculate(bars, this.normalizeParams(id, params));
+    }
+
+    static hasInputs(bars, inputs) {
+        const fields = { open: 'o', high: 'h', low: 'l', close: 'c', volume: 'v' };
+        return inputs.every(input => bars.some(bar => Number.isFinite(bar[fields[input]]) && (input !== 'volume' || bar.v > 0)));
     }
 
     /**
-     * Show error state
+     * A registry with the built-in indicators
      */
-    showError(message = 'Failed to load chart data') {
-        const container = this.canvas.parentElement;
-        let errorEl = container.querySelector('.chart-error');
-        
-        if (!errorEl) {
-            errorEl = document.createElement('div');
-            errorEl.className = 'chart-error';
-            errorEl.innerHTML = `
-                <div class="error-content">
-                    <i class="fas fa-exclamation-triangle error-icon"></i>
-                    <div class="error-message">${message}</div>
-                    <button class="btn btn-sm btn-outline-primary retry-btn">
-                        <i class="fas fa-redo"></i> Retry
-                    </button>
-                </div>
-            `;
-            container.appendChild(errorEl);
-            
-            // Bind retry button
-            const retryBtn = errorEl.querySelector('.retry-btn');
-            retryBtn.addEventListener('click', () => {
-                this.hideError();
-                if (this.currentSymbol) {
-                    this.loadData(this.currentSymbol, this.currentTimeframe);
+    static createDefault() {
+        const math = TechnicalIndicators;
+        const points = (bars, values, options) => math.toPoints(bars, values, options);
+        const period = (value, max = 200) => ({ key: 'period', label: 'Period', default: value, min: 2, max, step: 1 });
+        const movingAverage = (id, name, average, length, color) => ({
+            id,
+            name,
+            params: [period(length)],
+            outputs: [{ key: 'value', label: name, color }],
+            calculate: (bars, params) => ({ value: points(bars, average(math.field(bars, 'c'), params.period)) })
+        });
+
+        return new IndicatorRegistry()
+            .register(movingAverage('sma20', 'SMA 20', math.sma, 20, '#f39c12'))
+            .register(movingAverage('sma50', 'SMA 50', math.sma, 50, '#3498db'))
+            .register(movingAverage('ema20', 'EMA 20', math.ema, 20, '#2ecc71'))
+            .register({
+                id: 'bollinger',
+                name: 'Bollinger',
+                params: [period(20), { key: 'deviations', label: 'Std dev', default: 2, min: 0.5, max: 5, step: 0.5 }],
+                outputs: [
+                    { key: 'upper', label: 'Bollinger Upper', color: '#e74c3c' },
+                    { key: 'lower', label: 'Bollinger Lower', color: '#e74c3c', style: { backgroundColor: 'rgba(231, 76, 60, 0.1)', fill: '-1' } },
+                    { key: 'middle', label: 'Bollinger SMA', color: '#95a5a6', style: { borderDash: [5, 5] } }
+                ],
+                calculate: (bars, params) => {
+                    const bands = math.bollinger(bars, params.period, params.deviations);
+                    return { upper: points(bars, bands.upper), lower: points(bars, bands.lower), middle: points(bars, bands.middle) };
+                }
+            })
+            .register({
+                id: 'vwap',
+                name: 'VWAP',
+                inputs: ['high', 'low', 'close', 'volume'],
+                outputs: [{ key: 'vwap', label: 'VWAP', color: '#e67e22', style: { borderWidth: 2 } }],
+                calculate: bars => ({ vwap: points(bars, math.vwap(bars)) })
+            })
+            .register({
+                id: 'supertrend',
+                name: 'SuperTrend',
+                inputs: ['high', 'low', 'close'],
+                params: [period(10, 100), { key: 'multiplier', label: 'Multiplier', default: 3, min: 0.5, max: 10, step: 0.5 }],
+                outputs: [
+                    { key: 'up', label: 'SuperTrend Up', color: '#27ae60', style: { borderWidth: 2 } },
+                    { key: 'down', label: 'SuperTrend Down', color: '#c0392b', style: { borderWidth: 2 } }
+                ],
+                calculate: (bars, params) => {
+                    const trend = math.superTrend(bars, params.period, params.multiplier);
+                    return { up: points(bars, trend.up, { keepGaps: true }), down: points(bars, trend.down, { keepGaps: true }) };
+                }
+            })
+            .register({
+                id: 'ichimoku',
+                name: 'Ichimoku',
+                inputs: ['high', 'low', 'close'],
+                params: [
+                    { key: 'conversion', label: 'Conversion', default: 9, min: 2, max: 100, step: 1 },
+                    { key: 'base', label: 'Base', default: 26, min: 2, max: 100, step: 1 },
+                    { key: 'spanB', label: 'Span B', default: 52, min: 2, max: 200, step: 1 },
+                    { key: 'displacement', label: 'Displacement', default: 26, min: 1, max: 100, step: 1 }
+                ],
+                outputs: [
+                    { key: 'conversion', label: 'Ichimoku Conversion', color: '#2980b9' },
+                    { key: 'base', label: 'Ichimoku Base', color: '#c0392b' },
+                    { key: 'spanA', label: 'Ichimoku Span A', color: '#27ae60' },
+                    { key: 'spanB', label: 'Ichimoku Span B', color: '#e74c3c', style: { fill: { target: '-1', above: 'rgba(231, 76, 60, 0.1)', below: 'rgba(39, 174, 96, 0.1)' } } },
+                    { key: 'lagging', label: 'Ichimoku Lagging', color: '#8e44ad', style: { borderDash: [2, 2] } }
+                ],
+                calculate: (bars, params) => math.ichimoku(bars, params.conversion, params.base, params.spanB, params.displacement)
+            })
+            .register({
+                id: 'rsi',
+                name: 'RSI',
+                pane: 'separate',
+                params: [period(14, 100)],
+                outputs: [{ key: 'rsi', label: 'RSI', color: '#9b59b6', style: { borderWidth: 2 } }],
+                scale: { min: 0, max: 100 },
+                calculate: (bars, params) => ({ rsi: points(bars, math.rsi(bars, params.period)) })
+            })
+            .register({
+                id: 'macd',
+                name: 'MACD',
+                pane: 'separate',
+                params: [
+                    { key: 'fast', label: 'Fast', default: 12, min: 2, max: 100, step: 1 },
+                    { key: 'slow', label: 'Slow', default: 26, min: 2, max: 200, step: 1 },
+                    { key: 'signal', label: 'Signal', default: 9, min: 2, max: 100, step: 1 }
+                ],
+                outputs: [
+                    { key: 'macd', label: 'MACD', color: '#3498db', style: { borderWidth: 2 } },
+                    { key: 'signal', label: 'MACD Signal', color: '#e74c3c' },
+                    { key: 'histogram', label: 'MACD Histogram', type: 'bar', color: '#3498db', style: { backgroundColor: 'rgba(52, 152, 219, 0.3)' } }
+                ],
+                calculate: (bars, params) => {
+                    const macd = math.macd(bars, params.fast, params.slow, params.signal);
+                    return { macd: points(bars, macd.macd), signal: points(bars, macd.signal), histogram: points(bars, macd.histogram) };
+                }
+            })
+            .register({
+                id: 'atr',
+                name: 'ATR',
+                pane: 'separate',
+                inputs: ['high', 'low', 'close'],
+                params: [period(14, 100)],
+                outputs: [{ key: 'atr', label: 'ATR', color: '#16a085', style: { borderWidth: 2 } }],
+                scale: { beginAtZero: true },
+                calculate: (bars, params) => ({ atr: points(bars, math.atr(bars, params.period)) })
+            })
+            .register({
+                id: 'stochastic',
+                name: 'Stochastic',
+                pane: 'separate',
+                inputs: ['high', 'low', 'close'],
+                params: [
+                    { key: 'kPeriod', label: '%K', default: 14, min: 2, max: 100, step: 1 },
+                    { key: 'dPeriod', label: '%D', default: 3, min: 1, max: 50, step: 1 },
+                    { key: 'smoothing', label: 'Smoothing', default: 3, min: 1, max: 50, step: 1 }
+                ],
+                outputs: [
+                    { key: 'k', label: 'Stochastic %K', color: '#2980b9', style: { borderWidth: 2 } },
+                    { key: 'd', label: 'Stochastic %D', color: '#e67e22' }
+                ],
+                scale: { min: 0, max: 100 },
+                calculate: (bars, params) => {
+                    const stochastic = math.stochastic(bars, params.kPeriod, params.dPeriod, params.smoothing);
+                    return { k: points(bars, stochastic.k), d: points(bars, stochastic.d) };
+                }
+            })
+            .register({
+                id: 'adx',
+                name: 'ADX',
+                pane: 'separate',
+                inputs: ['high', 'low', 'close'],
+                params: [period(14, 100)],
+                outputs: [
+                    { key: 'adx', label: 'ADX', color: '#34495e', style: { borderWidth: 2 } },
+                    { key: 'plusDI', label: '+DI', color: '#27ae60' },
+                    { key: 'minusDI', label: '-DI', color: '#c0392b' }
+                ],
+                scale: { min: 0, max: 100 },
+                calculate: (bars, params) => {
+                    const adx = math.adx(bars, params.period);
+                    return { adx: points(bars, adx.adx), plusDI: points(bars, adx.plusDI), minusDI: points(bars, adx.minusDI) };
                 }
             });
-        }
-        
-        errorEl.style.display = 'flex';
     }
+}
 
-    /**
-     * Hide error state
-     */
-    hideError() {
-        const container = this.canvas.parentElement;
-        const errorEl = container.querySelector('.chart-error');
-        if (errorEl) {
-            errorEl.style.display = 'none';
-        }
+// Shared registry; StockChart uses it unless given its own
+window.indicatorRegistry = IndicatorRegistry.createDefault();
+
+window.IndicatorRegistry = IndicatorRegistry;
+window.TechnicalIndicators = TechnicalIndicators;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndicatorRegistry, TechnicalIndicators };
+}
+
+/**
+ * Chart Drawings
+ * Trendlines, horizontal support/resistance lines, rectangles, Fibonacci
+ * retracements and text notes on a StockChart's price pane. Drawings are
+ * anchored at times and prices, so they follow zoom and pan. They are kept
+ * per user and symbol in the SuperStockOffline IndexedDB and synced with
+ * api/ChartDrawings; the copy changed last wins.
+ */
+
+// Anchor points of each drawing type
+const CHART_DRAWING_TYPES = { trendline: 2, hline: 1, rectangle: 2, fibonacci: 2, text: 1 };
+
+const CHART_DRAWING_COLORS = {
+    trendline: '#2980b9',
+    hline: '#e67e22',
+    rectangle: '#8e44ad',
+    fibonacci: '#16a085',
+    text: '#2c3e50'
+};
+
+const FIBONACCI_LEVELS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+
+/**
+ * Local (IndexedDB) and server copies of the drawings
+ */
+class ChartDrawingStore {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/ChartDrawings';
+        this.owner = options.owner ?? document.body?.dataset.user ?? '';
+        this.offlineStore = 'drawings';
     }
 
-    /**
-     * Reset zoom to fit all data
-     */
-    resetZoom() {
-        if (this.chart && this.chart.resetZoom) {
-            this.chart.resetZoom();
+    getKey(symbol) {
+        return `${this.owner}|${String(symbol).toUpperCase()}`;
+    }
+
+    async getLocal(symbol) {
+        if (!window.swManager?.getOfflineData) return null;
+
+        try {
+            const records = await window.swManager.getOfflineData(this.offlineStore);
+            return (records || []).find(record => record.id === this.getKey(symbol)) || null;
+        } catch (error) {
+            return null;
         }
     }
 
     /**
-     * Destroy chart instance
+     * Stores the drawings of a symbol; pending marks changes not yet on the server
      */
-    destroy() {
-        if (this.chart) {
-            this.chart.destroy();
-            this.chart = null;
-        }
+    putLocal(symbol, { drawings, updatedAt, pending }) {
+        if (!window.swManager?.putOfflineData) return Promise.resolve();
+
+        return window.swManager.putOfflineData(this.offlineStore, [{
+            id: this.getKey(symbol),
+            owner: this.owner,
+            symbol: String(symbol).toUpperCase(),
+            drawings,
+            updatedAt,
+            pending
+        }]);
+    }
+
+    async fetchRemote(symbol) {
+        const response = await fetch(`${this.endpoint}/${encodeURIComponent(symbol)}`);
+        return ChartDrawingStore.readResponse(response);
     }
 
     /**
-     * Enable real-time updates
+     * Saves the drawings on the server and returns what it stored, which is
+     * its own copy if that was changed later
      */
-    enableRealTimeUpdates(interval = 30000) { // 30 seconds default
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
+    async pushRemote(symbol, drawings, updatedAt) {
+        const response = await fetch(`${this.endpoint}/${encodeURIComponent(symbol)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ drawings, updatedAt })
+        });
+        return ChartDrawingStore.readResponse(response);
+    }
+
+    static async readResponse(response) {
+        const body = await response.json().catch(() => null);
+        if (!response.ok || !body?.success) {
+            throw new Error(body?.message || `HTTP ${response.status}: ${response.statusText}`);
         }
-        
-        this.updateInterval = setInterval(() => {
-            if (this.currentSymbol && !this.isLoading) {
-                this.updateRealTimeData();
+        return body.data;
+    }
+}
+
+/**
+ * Drawing tools and the drawings of the symbol on a StockChart
+ */
+class ChartDrawings {
+    constructor(stockChart, options = {}) {
+        this.stockChart = stockChart;
+        this.canvas = stockChart.canvas;
+        this.store = options.store || new ChartDrawingStore();
+        this.toolbar = options.toolbar ? document.getElementById(options.toolbar) : null;
+        this.symbol = null;
+        this.items = [];
+        this.updatedAt = null;
+        this.tool = null; // Drawing type being placed
+        this.selectedId = null;
+        this.gesture = null; // Drawing being drawn, moved or reshaped
+        this.hidden = false; // While the chart shows something other than prices
+        this.textBoxes = new Map();
+        this.loadCount = 0;
+
+        this.bindEvents();
+    }
+
+    get chart() {
+        return this.stockChart.chart;
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('dblclick', (e) => this.editText(this.hitTest(this.getPosition(e))?.drawing));
+        this.canvas.addEventListener('keydown', (e) => {
+            if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedId) {
+                e.preventDefault();
+                this.deleteSelected();
+            } else if (e.key === 'Escape') {
+                this.setTool(null);
+                this.select(null);
             }
-        }, interval);
+        });
+
+        this.toolbar?.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.dataset.drawingTool) {
+                this.setTool(this.tool === button.dataset.drawingTool ? null : button.dataset.drawingTool);
+            } else if (button.dataset.drawingAction === 'delete') {
+                this.deleteSelected();
+            } else if (button.dataset.drawingAction === 'clear' && this.items.length
+                && window.confirm(`Remove all drawings on ${this.symbol}?`)) {
+                this.clear();
+            }
+        });
     }
 
     /**
-     * Disable real-time updates
+     * Shows the symbol's drawings: the offline copy first, then the server's
+     * if it is newer. Offline changes not yet on the server are sent now.
      */
-    disableRealTimeUpdates() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+    async load(symbol) {
+        const loadId = ++this.loadCount;
+        this.symbol = symbol;
+        this.apply({ drawings: [], updatedAt: null });
+        this.select(null);
+
+        const local = await this.store.getLocal(symbol);
+        if (loadId !== this.loadCount) return;
+        if (local) {
+            this.apply(local);
+        }
+
+        let remote = null;
+        try {
+            remote = await this.store.fetchRemote(symbol);
+        } catch (error) {
+            console.warn('Chart drawings: using the offline copy', error);
+        }
+        if (loadId !== this.loadCount) return;
+
+        if (remote && (!local || ChartDrawings.toTime(remote.updatedAt) > ChartDrawings.toTime(local.updatedAt))) {
+            this.apply(remote);
+            await this.store.putLocal(symbol, { drawings: this.items, updatedAt: this.updatedAt, pending: false });
+        } else if (local?.pending) {
+            await this.sync();
         }
     }
 
+    apply(set) {
+        this.items = (set.drawings || []).map(drawing => ({
+            ...drawing,
+            points: (drawing.points || []).map(point => ({ x: point.x, y: point.y }))
+        }));
+        this.updatedAt = set.updatedAt || null;
+        this.redraw();
+    }
+
     /**
-     * Update chart with real-time data
+     * Stores the drawings offline, then on the server
      */
-    async updateRealTimeData() {
+    async save() {
+        if (!this.symbol) return;
+
+        this.updatedAt = new Date().toISOString();
+        await this.store.putLocal(this.symbol, { drawings: this.items, updatedAt: this.updatedAt, pending: true });
+        await this.sync();
+    }
+
+    async sync() {
+        const { symbol, updatedAt } = this;
         try {
-            const response = await fetch(`/api/realtime/${this.currentSymbol}`);
-            
-            if (response.ok) {
-                const realtimeData = await response.json();
-                this.updateLatestDataPoint(realtimeData);
-            } else {
-                // Simulate real-time update with mock data
-                this.simulateRealTimeUpdate();
+            const stored = await this.store.pushRemote(symbol, this.items, updatedAt);
+            // Changed again meanwhile: that save syncs itself
+            if (symbol !== this.symbol || updatedAt !== this.updatedAt) return;
+
+            if (stored && ChartDrawings.toTime(stored.updatedAt) > ChartDrawings.toTime(updatedAt)) {
+                this.apply(stored); // The server has a newer copy
             }
+            await this.store.putLocal(symbol, { drawings: this.items, updatedAt: this.updatedAt, pending: false });
         } catch (error) {
-            console.warn('Real-time update failed:', error);
-            // Fallback to simulated update
-            this.simulateRealTimeUpdate();
+            console.warn('Chart drawings: saved offline, will sync when the chart is next opened', error);
         }
     }
 
-    /**
-     * Update the latest data point with new real-time data
-     */
-    updateLatestDataPoint(realtimeData) {
-        if (!this.chart || !this.chart.data.datasets[0].data.length) return;
-        
-        const dataset = this.chart.data.datasets[0];
-        const lastIndex = dataset.data.length - 1;
-        const lastDataPoint = dataset.data[lastIndex];
-        
-        // Update the last data point with new real-time data
-        if (realtimeData.timestamp > lastDataPoint.x) {
-            // Add new data point
-            dataset.data.push({
-                x: realtimeData.timestamp,
-                o: realtimeData.open,
-                h: realtimeData.high,
-                l: realtimeData.low,
-                c: realtimeData.close
-            });
-        } else {
-            // Update existing data point
-            lastDataPoint.h = Math.max(lastDataPoint.h, realtimeData.high);
-            lastDataPoint.l = Math.min(lastDataPoint.l, realtimeData.low);
-            lastDataPoint.c = realtimeData.close;
-        }
-        
-        // Update volume if available
-        if (this.options.showVolume && this.chart.data.datasets[1] && realtimeData.volume) {
-            const volumeDataset = this.chart.data.datasets[1];
-            if (volumeDataset.data.length > lastIndex) {
-                volumeDataset.data[lastIndex].y = realtimeData.volume;
-            }
-        }
-        
-        // Animate the update
-        this.chart.update('active');
-        
-        // Trigger update event
-        this.onRealTimeUpdate(realtimeData);
+    static toTime(value) {
+        return value ? Date.parse(value) || 0 : 0;
     }
 
-    /**
-     * Simulate real-time updates for demonstration
-     */
-    simulateRealTimeUpdate() {
-        if (!this.chart || !this.chart.data.datasets[0].data.length) return;
-        
-        const dataset = this.chart.data.datasets[0];
-        const lastDataPoint = dataset.data[dataset.data.length - 1];
-        
-        // Simulate price movement
-        const volatility = 0.005; // 0.5% volatility
-        const direction = Math.random() > 0.5 ? 1 : -1;
-        const change = lastDataPoint.c * volatility * direction * Math.random();
-        
-        const newPrice = lastDataPoint.c + change;
-        
-        // Update the last data point
-        lastDataPoint.h = Math.max(lastDataPoint.h, newPrice);
-        lastDataPoint.l = Math.min(lastDataPoint.l, newPrice);
-        lastDataPoint.c = newPrice;
-        
-        // Add subtle animation
-        this.chart.update('none');
-        
-        // Trigger update event
-        this.onRealTimeUpdate({
-            symbol: this.currentSymbol,
-            price: newPrice,
-            change: change,
-            timestamp: Date.now()
-        });
+    add(drawing) {
+        this.items.push(drawing);
+        this.select(drawing.id);
+        this.save();
     }
 
-    /**
-     * Event handlers (can be overridden)
-     */
-    onDataPointClick(data, index) {
-        // Override this method to handle data point clicks
-        console.log('Data point clicked:', data, index);
-    }
+    deleteSelected() {
+        if (!this.selectedId) return;
 
-    onChartUpdated(chartData) {
-        // Override this method to handle chart updates
-        console.log('Chart updated:', chartData);
+        this.items = this.items.filter(drawing => drawing.id !== this.selectedId);
+        this.select(null);
+        this.save();
     }
 
-    onRealTimeUpdate(realtimeData) {
-        // Override this method to handle real-time updates
-        console.log('Real-time update:', realtimeData);
+    clear() {
+        this.items = [];
+        this.select(null);
+        this.save();
     }
-}
 
-// Export for use in other modules
-window.StockChart = StockChart;
-// Dashboard functionality for portfolio summary cards and holdings
-class DashboardManager {
-    constructor() {
-        this.portfolioData = {
-            totalHoldings: 0,
-            currentValue: 0,
-            profitLoss: 0,
-            availableFunds: 0,
-            userRank: 1,
-            totalParticipants: 1
-        };
-        
-        this.animationDuration = 1000; // 1 second
-        this.updateInterval = 5000; // 5 seconds
-        this.rankUpdateInterval = 30000; // 30 seconds
-        
-        // Initialize error handler and data manager integration
-        this.errorHandler = window.errorHandler;
-        this.dataManager = null;
-        this.loadingManager = window.loadingStateManager;
-        
-        // Retry tracking
-        this.retryAttempts = new Map();
-        this.maxRetries = 3;
-        
-        this.init();
-    }
-    
-    init() {
-        this.initializeManagers();
-        this.setupEventListeners();
-        this.setupMobileEnhancements();
-        this.setupErrorRecovery();
-        this.loadInitialData();
-        this.startPeriodicUpdates();
+    setTool(tool) {
+        this.tool = tool && CHART_DRAWING_TYPES[tool] ? tool : null;
+        this.canvas.classList.toggle('drawing-mode', Boolean(this.tool));
+        this.toolbar?.querySelectorAll('[data-drawing-tool]').forEach(button => {
+            const active = button.dataset.drawingTool === this.tool;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
     }
-    
+
     /**
-     * Initialize error handler and data manager
+     * Hides the drawings and their toolbar, e.g. while StockChart compares
+     * symbols on a percent axis
      */
-    initializeManagers() {
-        // Initialize data manager
-        if (window.DashboardDataManager) {
-            this.dataManager = new window.DashboardDataManager();
-        }
-        
-        // Ensure error handler is available
-        if (!this.errorHandler && window.EnhancedErrorHandler) {
-            this.errorHandler = new window.EnhancedErrorHandler();
-            this.errorHandler.initialize();
+    setHidden(hidden) {
+        this.setTool(null);
+        this.select(null);
+        this.hidden = hidden;
+        if (this.toolbar) {
+            this.toolbar.hidden = hidden;
         }
-        
-        // Setup retry callbacks
-        if (this.errorHandler) {
-            this.errorHandler.addRetryCallback('dashboard-portfolio', () => this.retryPortfolioLoad());
-            this.errorHandler.addRetryCallback('dashboard-funds', () => this.retryFundsLoad());
-            this.errorHandler.addRetryCallback('dashboard-rank', () => this.retryRankLoad());
-            this.errorHandler.addRetryCallback('dashboard-holdings', () => this.retryHoldingsLoad());
-            this.errorHandler.addRetryCallback('dashboard-watchlist', () => this.retryWatchlistLoad());
+        this.redraw();
+    }
+
+    select(id) {
+        this.selectedId = id;
+        const deleteButton = this.toolbar?.querySelector('[data-drawing-action="delete"]');
+        if (deleteButton) {
+            deleteButton.disabled = !id;
         }
+        this.redraw();
     }
-    
+
     /**
-     * Setup error recovery mechanisms
+     * Asks for a text note's new text; an empty note is deleted
      */
-    setupErrorRecovery() {
-        // Listen for loading retry events
-        document.addEventListener('loadingRetry', (event) => {
-            const { component } = event.detail;
-            this.handleRetryRequest(component);
-        });
-        
-        // Listen for data manager loading state changes
-        window.addEventListener('dashboardLoadingStateChange', (event) => {
-            const { component, isLoading } = event.detail;
-            this.handleLoadingStateChange(component, isLoading);
-        });
+    editText(drawing) {
+        if (this.hidden || drawing?.type !== 'text') return;
+
+        const text = window.prompt('Edit note', drawing.text);
+        if (text === null) return;
+
+        this.select(drawing.id);
+        if (text.trim()) {
+            drawing.text = text.trim().slice(0, 200);
+            this.save();
+        } else {
+            this.deleteSelected();
+        }
     }
-    
-    setupEventListeners() {
-        // Add any event listeners for dashboard interactions
-        document.addEventListener('DOMContentLoaded', () => {
-            this.animateWelcomeMessage();
-        });
 
-        // Handle swipe events on watchlist items
-        document.addEventListener('removestock', (e) => {
-            this.handleRemoveStock(e.detail.symbol);
-        });
+    onPointerDown(e) {
+        if (!this.chart || !this.symbol || this.hidden || e.button !== 0) return;
 
-        document.addEventListener('tradestock', (e) => {
-            this.handleTradeStock(e.detail.symbol);
-        });
+        const position = this.getPosition(e);
+        if (!this.isInPricePane(position)) return;
 
-        // Handle pull-to-refresh
-        document.addEventListener('pullrefresh', (e) => {
-            this.handlePullToRefresh();
-        });
+        if (this.tool) {
+            this.startDrawing(this.tool, position);
+        } else {
+            const hit = this.hitTest(position);
+            this.select(hit?.drawing.id || null);
+            if (!hit) return; // Leave the drag to panning
 
-        // Handle orientation change
-        window.addEventListener('orientationchange', () => {
-            setTimeout(() => {
-                this.handleOrientationChange();
-            }, 100);
-        });
+            this.gesture = { mode: 'move', drawing: hit.drawing, handle: hit.handle, last: position, moved: false };
+        }
+
+        if (this.gesture) {
+            e.preventDefault();
+            this.setPanEnabled(false);
+            this.canvas.setPointerCapture?.(e.pointerId);
+        }
     }
 
-    setupMobileEnhancements() {
-        // Add pull-to-refresh to main content
-        const mainContent = document.querySelector('.dashboard-content');
-        if (mainContent && this.isMobile()) {
-            mainContent.classList.add('pull-to-refresh');
+    startDrawing(type, position) {
+        const point = this.toValue(position);
+        const drawing = {
+            id: ChartDrawings.createId(),
+            type,
+            points: CHART_DRAWING_TYPES[type] === 1 ? [point] : [point, { ...point }],
+            color: CHART_DRAWING_COLORS[type]
+        };
+
+        if (type === 'text') {
+            const text = window.prompt('Note');
+            this.setTool(null);
+            if (text?.trim()) {
+                this.add({ ...drawing, text: text.trim().slice(0, 200) });
+            }
+        } else if (type === 'hline') {
+            this.setTool(null);
+            this.add(drawing);
+        } else {
+            this.items.push(drawing);
+            this.gesture = { mode: 'draw', drawing, start: position };
         }
+    }
 
-        // Add swipeable class to watchlist items
-        this.setupWatchlistSwipes();
+    onPointerMove(e) {
+        if (!this.chart) return;
 
-        // Add touch feedback to summary cards
-        this.setupCardTouchFeedback();
+        const position = this.getPosition(e);
+        if (!this.gesture) {
+            const hit = !this.tool && !this.hidden && this.isInPricePane(position) ? this.hitTest(position) : null;
+            this.canvas.style.cursor = this.tool ? 'crosshair' : (hit ? (hit.handle !== null ? 'grab' : 'move') : '');
+            return;
+        }
 
-        // Setup mobile-specific table handling
-        this.setupMobileTableHandling();
+        const { drawing } = this.gesture;
+        if (this.gesture.mode === 'draw') {
+            drawing.points[1] = this.toValue(position);
+        } else if (this.gesture.handle !== null) {
+            drawing.points[this.gesture.handle] = this.toValue(position);
+            this.gesture.moved = true;
+        } else {
+            this.moveBy(drawing, position.x - this.gesture.last.x, position.y - this.gesture.last.y);
+            this.gesture.last = position;
+            this.gesture.moved = true;
+        }
+        this.redraw();
     }
 
-    isMobile() {
-        return window.innerWidth <= 768 || /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    }
+    onPointerUp(e) {
+        const gesture = this.gesture;
+        if (!gesture) return;
 
-    setupWatchlistSwipes() {
-        // This will be called when watchlist items are created
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                mutation.addedNodes.forEach((node) => {
-                    if (node.nodeType === 1 && node.classList.contains('watchlist-item')) {
-                        this.addSwipeSupport(node);
-                    }
-                });
-            });
-        });
+        this.gesture = null;
+        this.setPanEnabled(true);
+        this.canvas.releasePointerCapture?.(e.pointerId);
 
-        const watchlistContainer = document.querySelector('#watchlistTable');
-        if (watchlistContainer) {
-            observer.observe(watchlistContainer, { childList: true, subtree: true });
+        if (gesture.mode === 'draw') {
+            this.setTool(null);
+            const end = this.getPosition(e);
+            if (Math.hypot(end.x - gesture.start.x, end.y - gesture.start.y) < 4) {
+                // A click rather than a drag draws nothing
+                this.items = this.items.filter(drawing => drawing !== gesture.drawing);
+                this.redraw();
+            } else {
+                this.select(gesture.drawing.id);
+                this.save();
+            }
+        } else if (gesture.moved) {
+            this.save();
         }
     }
 
-    addSwipeSupport(item) {
-        if (!this.isMobile()) return;
+    /**
+     * Shifts a drawing by a distance in pixels
+     */
+    moveBy(drawing, dx, dy) {
+        const { x, y } = this.chart.scales;
+        drawing.points = drawing.points.map(point => ({
+            x: Math.round(x.getValueForPixel(x.getPixelForValue(point.x) + dx)),
+            y: y.getValueForPixel(y.getPixelForValue(point.y) + dy)
+        }));
+    }
 
-        item.classList.add('swipeable');
-        
-        // Add data attribute for symbol
-        const symbolElement = item.querySelector('.stock-symbol');
-        if (symbolElement) {
-            item.dataset.symbol = symbolElement.textContent.trim();
+    setPanEnabled(enabled) {
+        const pan = this.chart?.options.plugins?.zoom?.pan;
+        if (pan) {
+            pan.enabled = enabled && this.stockChart.options.enablePan;
         }
     }
 
-    setupCardTouchFeedback() {
-        const summaryCards = document.querySelectorAll('.summary-card');
-        summaryCards.forEach(card => {
-            if (this.isMobile()) {
-                card.addEventListener('touchstart', () => {
-                    card.classList.add('touch-active');
-                });
+    getPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
 
-                card.addEventListener('touchend', () => {
-                    setTimeout(() => {
-                        card.classList.remove('touch-active');
-                    }, 150);
-                });
-            }
-        });
+    isInPricePane({ x, y }) {
+        const area = this.chart?.chartArea;
+        const scale = this.chart?.scales.y;
+        return Boolean(area && scale) && x >= area.left && x <= area.right && y >= scale.top && y <= scale.bottom;
     }
 
-    setupMobileTableHandling() {
-        if (!this.isMobile()) return;
+    toValue({ x, y }) {
+        const scales = this.chart.scales;
+        return { x: Math.round(scales.x.getValueForPixel(x)), y: scales.y.getValueForPixel(y) };
+    }
 
-        const tables = document.querySelectorAll('.modern-table-container table');
-        tables.forEach(table => {
-            // Add mobile-specific attributes to table cells
-            const rows = table.querySelectorAll('tbody tr');
-            rows.forEach(row => {
-                const cells = row.querySelectorAll('td');
-                const headers = table.querySelectorAll('thead th');
-                
-                cells.forEach((cell, index) => {
-                    if (headers[index]) {
-                        cell.setAttribute('data-label', headers[index].textContent.trim());
-                    }
-                });
-            });
-        });
+    toPixel(point) {
+        const scales = this.chart.scales;
+        return { x: scales.x.getPixelForValue(point.x), y: scales.y.getPixelForValue(point.y) };
     }
 
-    handleRemoveStock(symbol) {
-        if (!symbol) return;
+    /**
+     * Prices of the retracement levels, 0% at the second point and 100% at
+     * the first
+     */
+    static getFibonacciLevels(from, to) {
+        return FIBONACCI_LEVELS.map(level => ({ level, price: to.y - (to.y - from.y) * level }));
+    }
 
-        // Show confirmation with haptic feedback
-        if (this.isMobile() && navigator.vibrate) {
-            navigator.vibrate(50); // Light haptic feedback
-        }
+    /**
+     * The drawing under a canvas position, and which of its points when the
+     * selected drawing is grabbed by a handle
+     */
+    hitTest(position, tolerance = 6) {
+        if (!this.chart?.scales.x || !this.chart.scales.y) return null;
 
-        // Call existing remove stock functionality
-        if (typeof AddStock === 'function') {
-            const actionData = {
-                Stock: symbol,
-                AddDel: 0, // 0 for delete
-                GameType: this.getGameType()
-            };
+        const near = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) <= tolerance;
+        const area = this.chart.chartArea;
 
-            $.ajax({
-                url: "/api/AddDelete",
-                type: "GET",
-                data: actionData,
-                success: (data) => {
-                    this.loadWatchlistData();
-                    this.showNotification(`${symbol} removed from watchlist`, 'success');
-                    
-                    // Haptic feedback for success
-                    if (this.isMobile() && navigator.vibrate) {
-                        navigator.vibrate([50, 50, 50]);
-                    }
-                },
-                error: () => {
-                    this.showNotification('Failed to remove stock from watchlist', 'error');
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            const drawing = this.items[i];
+            const points = drawing.points.map(point => this.toPixel(point));
+
+            if (drawing.id === this.selectedId && points.length === 2) {
+                const handle = points.findIndex(point => near(point, position));
+                if (handle >= 0) return { drawing, handle };
+            }
+
+            let hit = false;
+            switch (drawing.type) {
+                case 'trendline':
+                    hit = ChartDrawings.distanceToSegment(position, points[0], points[1]) <= tolerance;
+                    break;
+                case 'hline':
+                    hit = Math.abs(position.y - points[0].y) <= tolerance;
+                    break;
+                case 'rectangle':
+                    hit = ChartDrawings.isInBox(position, points[0], points[1], tolerance);
+                    break;
+                case 'fibonacci': {
+                    const left = Math.min(points[0].x, points[1].x);
+                    hit = position.x >= left - tolerance && position.x <= area.right
+                        && ChartDrawings.getFibonacciLevels(drawing.points[0], drawing.points[1])
+                            .some(({ price }) => Math.abs(position.y - this.chart.scales.y.getPixelForValue(price)) <= tolerance);
+                    break;
                 }
-            });
+                case 'text': {
+                    const box = this.textBoxes.get(drawing.id);
+                    hit = Boolean(box) && ChartDrawings.isInBox(position, box, { x: box.x + box.width, y: box.y + box.height }, tolerance);
+                    break;
+                }
+            }
+
+            if (hit) return { drawing, handle: null };
         }
+        return null;
     }
 
-    handleTradeStock(symbol) {
-        if (!symbol) return;
+    static distanceToSegment(p, a, b) {
+        const lengthSquared = Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2);
+        const t = lengthSquared === 0 ? 0
+            : Math.max(0, Math.min(1, ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / lengthSquared));
+        return Math.hypot(p.x - (a.x + t * (b.x - a.x)), p.y - (a.y + t * (b.y - a.y)));
+    }
 
-        // Light haptic feedback
-        if (this.isMobile() && navigator.vibrate) {
-            navigator.vibrate(30);
-        }
+    static isInBox(p, a, b, tolerance = 0) {
+        return p.x >= Math.min(a.x, b.x) - tolerance && p.x <= Math.max(a.x, b.x) + tolerance
+            && p.y >= Math.min(a.y, b.y) - tolerance && p.y <= Math.max(a.y, b.y) + tolerance;
+    }
 
-        // Open stock modal (assuming this function exists)
-        if (typeof openStockModal === 'function') {
-            openStockModal(symbol);
-        } else {
-            // Fallback: trigger click on existing trade button
-            const tradeBtn = document.querySelector(`[data-symbol="${symbol}"] .trade-btn`);
-            if (tradeBtn) {
-                tradeBtn.click();
-            }
-        }
+    static createId() {
+        return window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
     }
 
-    handlePullToRefresh() {
-        // Refresh all dashboard data
-        this.loadInitialData();
-        
-        // Hide refresh indicator after data loads
-        setTimeout(() => {
-            const refreshElement = document.querySelector('.pull-to-refresh');
-            if (refreshElement) {
-                refreshElement.classList.remove('refreshing');
-            }
-        }, 1500);
+    redraw() {
+        this.chart?.draw?.();
     }
 
-    handleOrientationChange() {
-        // Recalculate layouts and refresh charts
-        if (typeof window.stockChart !== 'undefined' && window.stockChart.resize) {
-            window.stockChart.resize();
-        }
+    /**
+     * Paints the drawings over the price pane; called by StockChart's plugin
+     */
+    draw(chart) {
+        const { ctx, chartArea: area } = chart;
+        const scale = chart.scales.y;
+        if (this.hidden || !this.items.length || !area || !scale || !chart.scales.x) return;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(area.left, scale.top, area.width, scale.height);
+        ctx.clip();
+        ctx.font = '12px sans-serif';
+
+        this.items.forEach(drawing => {
+            const points = drawing.points.map(point => this.toPixel(point));
+            const selected = drawing.id === this.selectedId;
+
+            ctx.strokeStyle = drawing.color || CHART_DRAWING_COLORS[drawing.type];
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.lineWidth = selected ? 2 : 1;
+            ctx.setLineDash([]);
+
+            switch (drawing.type) {
+                case 'trendline':
+                    this.drawLine(ctx, points[0], points[1]);
+                    break;
+                case 'hline':
+                    this.drawLine(ctx, { x: area.left, y: points[0].y }, { x: area.right, y: points[0].y });
+                    ctx.textAlign = 'right';
+                    ctx.fillText(`₹${drawing.points[0].y.toFixed(2)}`, area.right - 4, points[0].y - 4);
+                    break;
+                case 'rectangle':
+                    ctx.strokeRect(points[0].x, points[0].y, points[1].x - points[0].x, points[1].y - points[0].y);
+                    ctx.globalAlpha = 0.12;
+                    ctx.fillRect(points[0].x, points[0].y, points[1].x - points[0].x, points[1].y - points[0].y);
+                    ctx.globalAlpha = 1;
+                    break;
+                case 'fibonacci':
+                    this.drawFibonacci(ctx, drawing, points, area, scale);
+                    break;
+                case 'text': {
+                    ctx.textAlign = 'left';
+                    ctx.textBaseline = 'bottom';
+                    ctx.fillText(drawing.text, points[0].x, points[0].y);
+                    const width = ctx.measureText(drawing.text).width;
+                    const box = { x: points[0].x, y: points[0].y - 14, width, height: 14 };
+                    this.textBoxes.set(drawing.id, box);
+                    if (selected) {
+                        ctx.strokeRect(box.x - 2, box.y - 2, box.width + 4, box.height + 4);
+                    }
+                    ctx.textBaseline = 'alphabetic';
+                    break;
+                }
+            }
 
-        // Refresh table layouts
-        this.setupMobileTableHandling();
+            if (selected && points.length === 2) {
+                points.forEach(point => ctx.fillRect(point.x - 3, point.y - 3, 6, 6));
+            }
+        });
 
-        // Trigger window resize for other components
-        window.dispatchEvent(new Event('resize'));
+        ctx.restore();
     }
-    
-    animateWelcomeMessage() {
-        const welcomeTitle = document.getElementById('user');
-        if (welcomeTitle) {
-            setTimeout(() => {
-                welcomeTitle.style.opacity = '0';
-                welcomeTitle.style.transform = 'translateY(-20px)';
-                welcomeTitle.style.transition = 'all 0.5s ease-out';
-            }, 2000);
-        }
+
+    drawLine(ctx, from, to) {
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
     }
-    
-    async loadInitialData() {
-        try {
-            // Use data manager if available for coordinated loading
-            if (this.dataManager) {
-                await this.loadDataWithManager();
-            } else {
-                // Fallback to individual loading with enhanced error handling
-                await this.loadDataIndividually();
-            }
-        } catch (error) {
-            this.handleCriticalError('loadInitialData', error);
-        }
+
+    drawFibonacci(ctx, drawing, points, area, scale) {
+        const left = Math.min(points[0].x, points[1].x);
+        ctx.textAlign = 'left';
+
+        ChartDrawings.getFibonacciLevels(drawing.points[0], drawing.points[1]).forEach(({ level, price }) => {
+            const y = scale.getPixelForValue(price);
+            this.drawLine(ctx, { x: left, y }, { x: area.right, y });
+            ctx.fillText(`${(level * 100).toFixed(1)}%  ₹${price.toFixed(2)}`, left + 4, y - 3);
+        });
+
+        ctx.setLineDash([4, 4]);
+        this.drawLine(ctx, points[0], points[1]);
+        ctx.setLineDash([]);
     }
-    
-    /**
-     * Load data using the dashboard data manager
-     */
-    async loadDataWithManager() {
-        const gameType = this.getGameType();
-        const userId = this.getCurrentUserId();
+}
+
+window.ChartDrawingStore = ChartDrawingStore;
+window.ChartDrawings = ChartDrawings;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChartDrawings, ChartDrawingStore };
+}
+
+/**
+ * Enhanced Stock Chart Component
+ * Provides candlestick charts, technical indicators, and interactive features
+ */
+
+// Line colours of the symbols in compare mode; the chart's own symbol is first
+const COMPARE_COLORS = ['#2563eb', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6'];
+
+class StockChart {
+    constructor(canvasId, options = {}) {
+        this.canvasId = canvasId;
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas?.getContext('2d');
+        this.chart = null;
+        this.currentSymbol = null;
+        this.currentTimeframe = '1W';
+        this.chartType = 'candlestick'; // candlestick, line, area
+        this.indicators = new Set(); // Technical indicators
+        this.indicatorParams = new Map(); // Indicator id -> parameters
+        this.panes = []; // Stacked y-axes top to bottom: { id, label, indicator, weight }
+        this.ohlcData = [];
+        this.volumeData = [];
+        this.crosshair = null;
+        this.comparison = null; // Compare mode: { symbols, series, failed, hidden }
+        this.isLoading = false;
         
-        try {
-            // Start loading states
-            this.startLoadingStates();
-            
-            // Load all dashboard data simultaneously
-            const dashboardData = await this.dataManager.loadDashboardData(userId, gameType);
-            
-            // Process successful data
-            this.processDashboardData(dashboardData);
-            
-            // Load additional data that's not part of core dashboard
-            await Promise.allSettled([
-                this.loadHoldingsDataWithErrorHandling(),
-                this.loadWatchlistDataWithErrorHandling()
-            ]);
-            
-        } catch (error) {
-            this.handleDashboardLoadError(error);
-        } finally {
-            this.completeLoadingStates();
-        }
-    }
-    
-    /**
-     * Load data individually with enhanced error handling
-     */
-    async loadDataIndividually() {
-        // Start loading states
-        this.startLoadingStates();
+        // Default options
+        this.options = {
+            responsive: true,
+            maintainAspectRatio: false,
+            showVolume: true,
+            showIndicators: true,
+            enableZoom: true,
+            enablePan: true,
+            // Smallest height (px) a pane can be dragged to
+            minPaneHeight: 40,
+            // Drawing tools, saved per symbol; drawingToolbar is the id of their buttons
+            drawings: true,
+            drawingToolbar: null,
+            // Random candles when real history is unavailable; for demos only
+            demoData: false,
+            ...options
+        };
         
-        // Load data with individual error handling
-        const dataPromises = [
-            this.updatePortfolioSummaryWithErrorHandling(),
-            this.updateUserRankWithErrorHandling(),
-            this.loadHoldingsDataWithErrorHandling(),
-            this.loadWatchlistDataWithErrorHandling()
-        ];
+        // Technical indicators available to addIndicator
+        this.registry = this.options.registry || window.indicatorRegistry || null;
         
-        // Wait for all operations to complete
-        const results = await Promise.allSettled(dataPromises);
+        this.init();
+    }
+
+    init() {
+        if (!this.canvas || !this.ctx) {
+            console.error('Chart canvas not found:', this.canvasId);
+            return;
+        }
         
-        // Process results and show specific errors
-        this.processLoadResults(results);
+        this.initChart();
+        this.bindEvents();
         
-        this.completeLoadingStates();
+        if (this.options.drawings && window.ChartDrawings) {
+            this.drawings = new window.ChartDrawings(this, { toolbar: this.options.drawingToolbar });
+        }
     }
-    
+
     /**
-     * Start loading states for all components
+     * Initialize the Chart.js instance with candlestick configuration
      */
-    startLoadingStates() {
-        if (this.loadingManager) {
-            this.loadingManager.startLoading('portfolio-summary', {
-                message: 'Loading portfolio data...',
-                timeout: 10000,
-                onTimeout: () => this.handleTimeout('portfolio')
-            });
-            
-            this.loadingManager.startLoading('holdings-table', {
-                message: 'Loading holdings...',
-                timeout: 10000,
-                onTimeout: () => this.handleTimeout('holdings')
-            });
-            
-            this.loadingManager.startLoading('watchlist-table', {
-                message: 'Loading watchlist...',
-                timeout: 10000,
-                onTimeout: () => this.handleTimeout('watchlist')
-            });
-        } else {
-            // Fallback loading indicators
-            this.showPortfolioLoading();
-            this.showHoldingsLoading();
-            this.showWatchlistLoading();
+    initChart() {
+        const config = {
+            type: 'candlestick',
+            data: {
+                datasets: [{
+                    label: 'Price',
+                    data: [],
+                    borderColor: {
+                        up: 'var(--color-success)',
+                        down: 'var(--color-error)',
+                        unchanged: 'var(--color-secondary)'
+                    },
+                    backgroundColor: {
+                        up: 'rgba(var(--color-success-rgb), 0.8)',
+                        down: 'rgba(var(--color-error-rgb), 0.8)',
+                        unchanged: 'rgba(var(--color-secondary-rgb), 0.8)'
+                    }
+                }]
+            },
+            options: {
+                responsive: this.options.responsive,
+                maintainAspectRatio: this.options.maintainAspectRatio,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        ...StockChart.getTooltipTheme(),
+                        callbacks: {
+                            title: (context) => {
+                                const date = new Date(context[0].parsed.x);
+                                return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+                            },
+                            label: (context) => {
+                                if (context.dataset.compare) {
+                                    return `${context.dataset.compare}: ${StockChart.formatPercent(context.parsed.y)}`;
+                                }
+                                const data = context.parsed;
+                                return [
+                                    `Open: ₹${data.o?.toFixed(2) || 'N/A'}`,
+                                    `High: ₹${data.h?.toFixed(2) || 'N/A'}`,
+                                    `Low: ₹${data.l?.toFixed(2) || 'N/A'}`,
+                                    `Close: ₹${data.c?.toFixed(2) || 'N/A'}`
+                                ];
+                            }
+                        }
+                    },
+                    zoom: this.options.enableZoom ? {
+                        zoom: {
+                            wheel: {
+                                enabled: true,
+                            },
+                            pinch: {
+                                enabled: true
+                            },
+                            mode: 'x',
+                            onZoomComplete: () => this.onVisibleRangeChange()
+                        },
+                        pan: {
+                            enabled: this.options.enablePan,
+                            mode: 'x',
+                            onPanComplete: () => this.onVisibleRangeChange()
+                        }
+                    } : undefined
+                },
+                scales: {
+                    x: StockChart.getTimeScale(),
+                    y: StockChart.getPriceScale()
+                },
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                animation: {
+                    duration: 750,
+                    easing: 'easeInOutQuart'
+                }
+            },
+            plugins: [this.createPanePlugin()]
+        };
+
+        this.panes = [{ id: 'y', label: 'Price', indicator: null, weight: 3 }];
+        this.chart = new Chart(this.ctx, config);
+        this.applyPaneLayout();
+
+        if (this.options.showVolume) {
+            this.addIndicator('volume');
         }
     }
-    
+
     /**
-     * Complete loading states for all components
+     * Panes are y-axes stacked on the right of one canvas, so they share the
+     * time axis and zoom, pan and hover together
      */
-    completeLoadingStates() {
-        if (this.loadingManager) {
-            this.loadingManager.completeLoading('portfolio-summary', true);
-            this.loadingManager.completeLoading('holdings-table', true);
-            this.loadingManager.completeLoading('watchlist-table', true);
-        }
-    }
-    
-    showPortfolioLoading() {
-        const portfolioCards = document.querySelectorAll('.summary-card .card-body');
-        portfolioCards.forEach(card => {
-            if (window.lottieManager) {
-                window.lottieManager.showLoading(card, {
-                    width: '40px',
-                    height: '40px',
-                    minHeight: '60px'
-                });
-            }
+    applyPaneLayout() {
+        this.panes.forEach((pane, index) => {
+            Object.assign(this.chart.options.scales[pane.id], {
+                position: 'right',
+                stack: 'panes',
+                stackWeight: pane.weight,
+                weight: index // Boxes on one side are laid out in weight order
+            });
         });
     }
-    
-    showHoldingsLoading() {
-        const holdingsContainer = document.getElementById('holdingsTable');
-        if (holdingsContainer && window.lottieManager) {
-            window.lottieManager.showLoading(holdingsContainer, {
-                width: '60px',
-                height: '60px',
-                text: 'Loading holdings...',
-                minHeight: '200px'
-            });
-        }
+
+    /**
+     * Add a pane below the others with its own y-axis
+     */
+    addPane(id, { label, indicator, weight = 1, scale = {} }) {
+        if (!this.chart || this.panes.some(pane => pane.id === id)) return;
+
+        this.panes.push({ id, label, indicator, weight });
+        this.chart.options.scales[id] = {
+            type: 'linear',
+            grid: {
+                color: 'var(--border-color-light)',
+                drawOnChartArea: true
+            },
+            ticks: {
+                color: 'var(--text-secondary)',
+                maxTicksLimit: 4
+            },
+            ...scale
+        };
+        this.applyPaneLayout();
     }
-    
-    showWatchlistLoading() {
-        const watchlistContainer = document.getElementById('watchlistTable');
-        if (watchlistContainer && window.lottieManager) {
-            window.lottieManager.showLoading(watchlistContainer, {
-                width: '60px',
-                height: '60px',
-                text: 'Loading watchlist...',
-                minHeight: '200px'
-            });
-        }
+
+    /**
+     * Remove a pane with its datasets. The price pane stays.
+     */
+    removePane(id) {
+        const index = this.panes.findIndex(pane => pane.id === id);
+        if (!this.chart || index < 1) return;
+
+        this.panes.splice(index, 1);
+        this.chart.data.datasets = this.chart.data.datasets.filter(dataset => dataset.yAxisID !== id);
+        delete this.chart.options.scales[id];
+        this.applyPaneLayout();
+        this.chart.update('none');
     }
-    
-    startPeriodicUpdates() {
-        // Update holdings and watchlist every 5 seconds
-        setInterval(() => {
-            this.updatePortfolioSummary();
-            this.loadHoldingsData();
-            this.loadWatchlistData();
-        }, this.updateInterval);
-        
-        // Update rank every 30 seconds
-        setInterval(() => {
-            this.updateUserRank();
-        }, this.rankUpdateInterval);
+
+    /**
+     * Move the boundary above pane `index` by dy pixels, trading height with
+     * the pane above; neither gets smaller than minPaneHeight
+     */
+    resizePanes(index, dy) {
+        const above = this.panes[index - 1];
+        const below = this.panes[index];
+        const aboveScale = above && this.chart?.scales[above.id];
+        const belowScale = below && this.chart?.scales[below.id];
+        if (!aboveScale || !belowScale) return;
+
+        const height = aboveScale.height + belowScale.height;
+        const minHeight = Math.min(this.options.minPaneHeight, height / 2);
+        const aboveHeight = Math.min(Math.max(aboveScale.height + dy, minHeight), height - minHeight);
+        const weight = above.weight + below.weight;
+
+        above.weight = weight * aboveHeight / height;
+        below.weight = weight - above.weight;
+        this.applyPaneLayout();
+        this.chart.update('none');
     }
-    
+
     /**
-     * Update portfolio summary with enhanced error handling
+     * The pane under a canvas y position
      */
-    async updatePortfolioSummaryWithErrorHandling() {
-        const operation = 'portfolio-summary';
-        
-        try {
-            if (this.dataManager) {
-                // Use data manager for portfolio data
-                const gameType = this.getGameType();
-                const userId = this.getCurrentUserId();
-                
-                const [portfolioData, fundsData] = await Promise.all([
-                    this.dataManager.loadPortfolioData(userId, gameType),
-                    this.dataManager.getAvailableFunds(gameType)
-                ]);
-                
-                this.processPortfolioData(portfolioData);
-                this.processFundsData(fundsData);
-                
-            } else {
-                // Fallback to legacy method with error handling
-                await this.updatePortfolioSummaryLegacy();
+    getPaneAt(y) {
+        return this.panes.find(pane => {
+            const scale = this.chart?.scales[pane.id];
+            return scale && y >= scale.top && y <= scale.bottom;
+        }) || null;
+    }
+
+    /**
+     * Places the pane controls once Chart.js has laid the panes out, and
+     * draws the drawings and the crosshair across all panes
+     */
+    createPanePlugin() {
+        return {
+            id: 'stockChartPanes',
+            afterLayout: () => this.renderPaneControls(),
+            afterEvent: (chart, args) => {
+                const { event, inChartArea } = args;
+                const crosshair = event.type === 'mouseout' || !inChartArea ? null : { x: event.x, y: event.y };
+                if (crosshair?.x !== this.crosshair?.x || crosshair?.y !== this.crosshair?.y) {
+                    this.crosshair = crosshair;
+                    args.changed = true;
+                }
+            },
+            afterDatasetsDraw: (chart) => {
+                this.drawings?.draw(chart);
+                this.drawCrosshair(chart);
             }
-            
-        } catch (error) {
-            this.handleOperationError(operation, error, () => this.retryPortfolioLoad());
+        };
+    }
+
+    /**
+     * Vertical line through every pane at the hovered time, and a horizontal
+     * line in the pane under the pointer
+     */
+    drawCrosshair(chart) {
+        if (!this.crosshair) return;
+
+        const { ctx, chartArea } = chart;
+        const { x, y } = this.crosshair;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(128, 128, 128, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, chartArea.top);
+        ctx.lineTo(x, chartArea.bottom);
+        if (this.getPaneAt(y)) {
+            ctx.moveTo(chartArea.left, y);
+            ctx.lineTo(chartArea.right, y);
         }
+        ctx.stroke();
+        ctx.restore();
     }
-    
+
     /**
-     * Legacy portfolio summary update with error handling
+     * Label, remove button and resize handle on top of each lower pane,
+     * positioned over the canvas
      */
-    updatePortfolioSummaryLegacy() {
-        return new Promise((resolve, reject) => {
-            $.ajax({
-                url: "/api/UserStocks",
-                dataType: "json",
-                data: { "GameType": this.getGameType() },
-                contentType: "application/json",
-                timeout: 10000,
-                success: (data) => {
-                    try {
-                        const listData = JSON.parse(data).Value.UserStockList;
-                        this.calculatePortfolioMetrics(listData);
-                        this.updatePortfolioCards();
-                        resolve(data);
-                    } catch (parseError) {
-                        reject(new Error('Failed to parse portfolio data'));
-                    }
-                },
-                error: (xhr, status, error) => {
-                    const apiError = new Error(error || 'Failed to load portfolio data');
-                    apiError.status = xhr.status;
-                    apiError.statusText = xhr.statusText;
-                    reject(apiError);
-                }
-            });
-            
-            // Also update available funds
-            this.updateAvailableFundsLegacy().catch(reject);
-        });
+    renderPaneControls() {
+        const container = this.canvas.parentElement;
+        if (!container || !this.chart?.chartArea) return;
+
+        let overlay = container.querySelector('.chart-pane-controls');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'chart-pane-controls';
+            container.appendChild(overlay);
+            this.bindPaneControls(overlay);
+        }
+
+        const area = this.chart.chartArea;
+        const left = this.canvas.offsetLeft + area.left;
+        overlay.innerHTML = this.panes.slice(1).map((pane, i) => {
+            const scale = this.chart.scales[pane.id];
+            if (!scale) return '';
+
+            const top = this.canvas.offsetTop + scale.top;
+            return `
+                <div class="chart-pane-divider" data-pane-index="${i + 1}" role="separator"
+                     aria-orientation="horizontal" aria-label="Resize ${pane.label} pane"
+                     style="top: ${top}px; left: ${left}px; width: ${area.width}px;"></div>
+                <div class="chart-pane-label" style="top: ${top}px; left: ${left}px;">
+                    <span>${pane.label}</span>
+                    <button type="button" class="chart-pane-remove" data-pane-id="${pane.id}"
+                            title="Remove ${pane.label}" aria-label="Remove ${pane.label} pane">&times;</button>
+                </div>
+            `;
+        }).join('');
     }
-    
+
     /**
-     * Update available funds with error handling
+     * Remove buttons turn their indicator off; dragging a divider resizes the
+     * panes on either side of it
      */
-    updateAvailableFundsLegacy() {
-        return new Promise((resolve, reject) => {
-            $.ajax({
-                type: "GET",
-                url: "/api/GetFunds",
-                data: { "GameType": this.getGameType() },
-                contentType: "application/json",
-                timeout: 10000,
-                success: (funds) => {
-                    this.portfolioData.availableFunds = parseFloat(funds) || 0;
-                    this.animateCounter('availableFunds', this.portfolioData.availableFunds, 2);
-                    resolve(funds);
-                },
-                error: (xhr, status, error) => {
-                    const apiError = new Error(error || 'Failed to load available funds');
-                    apiError.status = xhr.status;
-                    reject(apiError);
-                }
-            });
+    bindPaneControls(overlay) {
+        overlay.addEventListener('click', (event) => {
+            const button = event.target.closest('.chart-pane-remove');
+            const pane = button && this.panes.find(p => p.id === button.dataset.paneId);
+            if (!pane) return;
+
+            this.removeIndicator(pane.indicator);
+            this.onIndicatorRemoved(pane.indicator);
         });
-    }
-    
-    calculatePortfolioMetrics(holdings) {
-        if (!holdings || holdings.length === 0) {
-            this.portfolioData = {
-                totalHoldings: 0,
-                currentValue: 0,
-                profitLoss: 0,
-                availableFunds: this.portfolioData.availableFunds,
-                userRank: this.portfolioData.userRank,
-                totalParticipants: this.portfolioData.totalParticipants
+
+        overlay.addEventListener('pointerdown', (event) => {
+            const divider = event.target.closest('.chart-pane-divider');
+            if (!divider) return;
+
+            event.preventDefault();
+            const index = Number(divider.dataset.paneIndex);
+            let lastY = event.clientY;
+
+            const onMove = (moveEvent) => {
+                this.resizePanes(index, moveEvent.clientY - lastY);
+                lastY = moveEvent.clientY;
             };
-            return;
-        }
-        
-        let totalHoldings = 0;
-        let currentValue = 0;
-        
-        holdings.forEach(stock => {
-            stock.ProfitLoss = Number((stock.Price - stock.AveragePrice) * stock.Count).toFixed(2);
-            totalHoldings += stock.AveragePrice * stock.Count;
-            currentValue += stock.Price * stock.Count;
+            const onUp = () => {
+                overlay.classList.remove('resizing');
+                window.removeEventListener('pointermove', onMove);
+                window.removeEventListener('pointerup', onUp);
+            };
+
+            overlay.classList.add('resizing');
+            window.addEventListener('pointermove', onMove);
+            window.addEventListener('pointerup', onUp);
         });
-        
-        this.portfolioData.totalHoldings = totalHoldings;
-        this.portfolioData.currentValue = currentValue;
-        this.portfolioData.profitLoss = currentValue - totalHoldings;
     }
-    
-    updatePortfolioCards() {
-        // Animate portfolio value
-        this.animateCounter('portfolioValue', this.portfolioData.currentValue, 2);
-        
-        // Update P&L with color coding
-        const changeElement = document.getElementById('portfolioChange');
-        const changeValueElement = document.getElementById('portfolioChangeValue');
-        const changePercentElement = document.getElementById('portfolioChangePercent');
-        
-        if (changeElement && changeValueElement && changePercentElement) {
-            const pnl = this.portfolioData.profitLoss;
-            const pnlPercent = this.portfolioData.totalHoldings > 0 ? 
-                (pnl / this.portfolioData.totalHoldings) * 100 : 0;
-            
-            changeValueElement.textContent = `${pnl >= 0 ? '+' : ''}₹${Math.abs(pnl).toFixed(2)}`;
-            changePercentElement.textContent = `(${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)`;
-            
-            // Update color class
-            changeElement.className = 'change-indicator ' + (pnl >= 0 ? 'positive' : 'negative');
-        }
+
+    /**
+     * The volume bars, if the volume pane is shown
+     */
+    getVolumeDataset() {
+        return this.chart?.data.datasets.find(dataset => dataset.yAxisID === 'volume') || null;
     }
-    
-    updateAvailableFunds() {
-        $.ajax({
-            type: "GET",
-            url: "/api/GetFunds",
-            data: { "GameType": this.getGameType() },
-            contentType: "application/json",
-            success: (funds) => {
-                this.portfolioData.availableFunds = parseFloat(funds) || 0;
-                this.animateCounter('availableFunds', this.portfolioData.availableFunds, 2);
+
+    /**
+     * Tooltip styling shared by the app's charts
+     */
+    static getTooltipTheme() {
+        return {
+            enabled: true,
+            mode: 'index',
+            intersect: false,
+            backgroundColor: 'var(--bg-card)',
+            titleColor: 'var(--text-primary)',
+            bodyColor: 'var(--text-primary)',
+            borderColor: 'var(--border-color)',
+            borderWidth: 1,
+            cornerRadius: 8,
+            displayColors: false
+        };
+    }
+
+    /**
+     * Date axis shared by the app's charts
+     */
+    static getTimeScale() {
+        return {
+            type: 'time',
+            time: {
+                unit: 'day',
+                displayFormats: {
+                    day: 'MMM dd',
+                    week: 'MMM dd',
+                    month: 'MMM yyyy'
+                }
             },
-            error: (error) => {
-                console.error("Failed to load funds:", error);
+            grid: {
+                color: 'var(--border-color-light)',
+                drawOnChartArea: true,
+                drawTicks: true
+            },
+            ticks: {
+                color: 'var(--text-secondary)',
+                maxTicksLimit: 8
             }
-        });
+        };
     }
-    
+
     /**
-     * Update user rank with enhanced error handling
+     * Rupee axis shared by the app's charts
      */
-    async updateUserRankWithErrorHandling() {
-        const operation = 'user-rank';
-        
-        try {
-            if (this.dataManager) {
-                const gameType = this.getGameType();
-                const rankData = await this.dataManager.calculateUserRank(gameType);
-                this.processRankData(rankData);
-            } else {
-                await this.updateUserRankLegacy();
+    static getPriceScale() {
+        return {
+            type: 'linear',
+            position: 'right',
+            grid: {
+                color: 'var(--border-color-light)',
+                drawOnChartArea: true,
+                drawTicks: true
+            },
+            ticks: {
+                color: 'var(--text-secondary)',
+                callback: function(value) {
+                    return '₹' + value.toFixed(2);
+                }
             }
-        } catch (error) {
-            this.handleOperationError(operation, error, () => this.retryRankLoad());
-        }
+        };
     }
-    
+
     /**
-     * Legacy user rank update with error handling
+     * Bind chart events and interactions
      */
-    updateUserRankLegacy() {
-        return new Promise((resolve, reject) => {
-            $.ajax({
-                type: "GET",
-                url: "/api/GetRank",
-                data: { "GameType": this.getGameType() },
-                contentType: "application/json",
-                timeout: 10000,
-                success: (rankData) => {
-                    try {
-                        const rankParts = rankData.split(" / ");
-                        this.portfolioData.userRank = parseInt(rankParts[0]) || 1;
-                        this.portfolioData.totalParticipants = parseInt(rankParts[1]) || 1;
-                        
-                        this.animateCounter('userRank', this.portfolioData.userRank, 0);
-                        this.animateCounter('totalParticipants', this.portfolioData.totalParticipants, 0);
-                        resolve(rankData);
-                    } catch (parseError) {
-                        reject(new Error('Failed to parse rank data'));
-                    }
-                },
-                error: (xhr, status, error) => {
-                    const apiError = new Error(error || 'Failed to load user rank');
-                    apiError.status = xhr.status;
-                    reject(apiError);
-                }
-            });
+    bindEvents() {
+        // Handle canvas resize
+        const resizeObserver = new ResizeObserver(() => {
+            if (this.chart) {
+                this.chart.resize();
+            }
+        });
+        resizeObserver.observe(this.canvas);
+
+        // Handle chart click events
+        this.canvas.addEventListener('click', (event) => {
+            const points = this.chart.getElementsAtEventForMode(event, 'nearest', { intersect: true }, true);
+            if (points.length) {
+                const firstPoint = points[0];
+                const datasetIndex = firstPoint.datasetIndex;
+                const index = firstPoint.index;
+                const data = this.chart.data.datasets[datasetIndex].data[index];
+                this.onDataPointClick(data, index);
+            }
         });
     }
-    
-    animateCounter(elementId, targetValue, decimals = 0) {
-        const element = document.getElementById(elementId);
-        if (!element) return;
+
+    /**
+     * Load chart data for a specific symbol and timeframe from api/chart.
+     * Without real history the chart shows an error, unless the demoData
+     * option is on, in which case it shows random candles marked as demo data.
+     */
+    async loadData(symbol, timeframe = '1W') {
+        if (this.isLoading) return;
         
-        const startValue = parseFloat(element.textContent.replace(/[₹,]/g, '')) || 0;
-        const difference = targetValue - startValue;
-        const startTime = performance.now();
+        // Another symbol ends compare mode; a new timeframe reloads its symbols
+        if (this.comparison && symbol !== this.currentSymbol) {
+            this.exitCompare();
+        }
         
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / this.animationDuration, 1);
+        this.isLoading = true;
+        this.currentSymbol = symbol;
+        this.currentTimeframe = timeframe;
+        
+        this.showLoading();
+        
+        // Restore the symbol's drawings; a new timeframe keeps them
+        if (this.drawings && this.drawings.symbol !== symbol) {
+            this.drawings.load(symbol);
+        }
+        
+        try {
+            this.hideError(); // Hide any previous errors
             
-            // Easing function for smooth animation
-            const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-            const currentValue = startValue + (difference * easeOutQuart);
+            this.updateChart(await StockChart.fetchChartData(symbol, timeframe));
+            this.hideLoading();
             
-            element.textContent = currentValue.toFixed(decimals);
+            if (this.comparison) {
+                await this.loadComparison();
+            }
             
-            if (progress < 1) {
-                requestAnimationFrame(animate);
+        } catch (error) {
+            console.warn('Failed to load chart data:', error);
+            this.hideLoading();
+            
+            if (this.options.demoData) {
+                this.updateChart(this.generateMockOHLCData(symbol, timeframe));
             } else {
-                element.textContent = targetValue.toFixed(decimals);
+                this.updateDataNotice(null);
+                this.showError(error.message || 'Unable to load chart data');
             }
-        };
-        
-        requestAnimationFrame(animate);
+        } finally {
+            this.isLoading = false;
+        }
     }
-    
+
     /**
-     * Load holdings data with enhanced error handling
+     * A symbol's chart data for a timeframe from api/chart
      */
-    async loadHoldingsDataWithErrorHandling() {
-        const operation = 'holdings-data';
-        
-        try {
-            if (this.dataManager) {
-                const gameType = this.getGameType();
-                const userId = this.getCurrentUserId();
-                const portfolioData = await this.dataManager.loadPortfolioData(userId, gameType);
-                this.renderModernHoldingsTable(portfolioData.holdings);
-            } else {
-                await this.loadHoldingsDataLegacy();
-            }
-        } catch (error) {
-            this.handleOperationError(operation, error, () => this.retryHoldingsLoad());
+    static async fetchChartData(symbol, timeframe) {
+        const response = await fetch(`/api/chart/${encodeURIComponent(symbol)}?timeframe=${encodeURIComponent(timeframe)}`);
+        const body = await response.json().catch(() => null);
+        if (!response.ok || !body?.success) {
+            throw new Error(body?.message || `HTTP ${response.status}: ${response.statusText}`);
         }
+        return StockChart.toChartData(body.data);
     }
-    
+
     /**
-     * Legacy holdings data loading with error handling
+     * Chart data from an api/chart series: candles and volume as chart points,
+     * with where the data came from and whether it is delayed
      */
-    loadHoldingsDataLegacy() {
-        return new Promise((resolve, reject) => {
-            $.ajax({
-                url: "/api/UserStocks",
-                dataType: "json",
-                data: { "GameType": this.getGameType() },
-                contentType: "application/json",
-                timeout: 10000,
-                success: (data) => {
-                    try {
-                        const listData = JSON.parse(data).Value.UserStockList;
-                        this.renderModernHoldingsTable(listData);
-                        resolve(data);
-                    } catch (parseError) {
-                        reject(new Error('Failed to parse holdings data'));
-                    }
-                },
-                error: (xhr, status, error) => {
-                    const apiError = new Error(error || 'Failed to load holdings data');
-                    apiError.status = xhr.status;
-                    reject(apiError);
-                }
-            });
-        });
+    static toChartData(series) {
+        const candles = series?.candles || [];
+        return {
+            symbol: series?.symbol,
+            timeframe: series?.timeframe,
+            interval: series?.interval,
+            source: series?.source || null,
+            fetchedAt: series?.fetchedAt ? new Date(series.fetchedAt) : null,
+            isDelayed: Boolean(series?.isDelayed),
+            delayMinutes: series?.delayMinutes || 0,
+            isSynthetic: false,
+            ohlc: candles.map(candle => ({
+                x: Date.parse(candle.time),
+                o: candle.open,
+                h: candle.high,
+                l: candle.low,
+                c: candle.close
+            })),
+            volume: candles.map(candle => ({ x: Date.parse(candle.time), y: candle.volume }))
+        };
     }
-    
-    renderModernHoldingsTable(holdings) {
-        const container = document.getElementById('holdingsTable');
-        if (!container) return;
+
+    /**
+     * Generate mock OHLC data for demonstration (demoData option only)
+     */
+    generateMockOHLCData(symbol, timeframe) {
+        const basePrice = 100 + Math.random() * 400; // Random base price between 100-500
+        const periods = this.getPeriodsForTimeframe(timeframe);
+        const data = [];
+        const volumeData = [];
         
-        if (!holdings || holdings.length === 0) {
-            // Show empty state with Lottie animation
-            if (window.lottieManager) {
-                window.lottieManager.showEmptyState(container, {
-                    title: 'No Holdings Yet',
-                    message: 'Start trading to see your portfolio here',
-                    actionText: 'Add Stocks to Watchlist',
-                    actionCallback: () => this.focusStockSearch(),
-                    width: '120px',
-                    height: '120px'
+        let currentPrice = basePrice;
+        
+        for (let i = 0; i < periods; i++) {
+            const date = this.getDateForPeriod(i, timeframe);
+            
+            // Generate realistic OHLC data
+            const open = currentPrice;
+            const volatility = 0.02 + Math.random() * 0.03; // 2-5% volatility
+            const direction = Math.random() > 0.5 ? 1 : -1;
+            const change = open * volatility * direction;
+            
+            const high = Math.max(open, open + change) + (Math.random() * open * 0.01);
+            const low = Math.min(open, open + change) - (Math.random() * open * 0.01);
+            const close = open + change + (Math.random() - 0.5) * open * 0.005;
+            
+            // Ensure high is highest and low is lowest
+            const finalHigh = Math.max(high, open, close);
+            const finalLow = Math.min(low, open, close);
+            
+            data.push({
+                x: date.getTime(),
+                o: parseFloat(open.toFixed(2)),
+                h: parseFloat(finalHigh.toFixed(2)),
+                l: parseFloat(finalLow.toFixed(2)),
+                c: parseFloat(close.toFixed(2))
+            });
+            
+            // Generate volume data
+            const baseVolume = 100000 + Math.random() * 500000;
+            const volumeMultiplier = Math.abs(change) / open * 10 + 1; // Higher volume on bigger moves
+            volumeData.push({
+                x: date.getTime(),
+                y: Math.floor(baseVolume * volumeMultiplier)
+            });
+            
+            currentPrice = close;
+        }
+        
+        return {
+            symbol,
+            timeframe,
+            source: 'Demo',
+            isSynthetic: true,
+            isDelayed: false,
+            ohlc: data,
+            volume: volumeData
+        };
+    }
+
+    /**
+     * Get number of periods for timeframe
+     */
+    getPeriodsForTimeframe(timeframe) {
+        const periods = {
+            '1D': 24,    // 24 hours
+            '1W': 7,     // 7 days
+            '1M': 30,    // 30 days
+            '3M': 90,    // 90 days
+            '1Y': 252,   // Trading days in a year
+            '5Y': 1260   // 5 years of trading days
+        };
+        return periods[timeframe] || 30;
+    }
+
+    /**
+     * Get date for specific period based on timeframe
+     */
+    getDateForPeriod(index, timeframe) {
+        const now = new Date();
+        const date = new Date(now);
+        
+        switch (timeframe) {
+            case '1D':
+                date.setHours(date.getHours() - (23 - index));
+                break;
+            case '1W':
+                date.setDate(date.getDate() - (6 - index));
+                break;
+            case '1M':
+                date.setDate(date.getDate() - (29 - index));
+                break;
+            case '3M':
+                date.setDate(date.getDate() - (89 - index));
+                break;
+            case '1Y':
+                date.setDate(date.getDate() - (251 - index));
+                break;
+            case '5Y':
+                date.setDate(date.getDate() - (1259 - index));
+                break;
+            default:
+                date.setDate(date.getDate() - (29 - index));
+        }
+        
+        return date;
+    }
+
+    /**
+     * Update chart with new data
+     */
+    updateChart(chartData) {
+        if (!this.chart || !chartData) return;
+        
+        // Update OHLC data
+        this.ohlcData = chartData.ohlc || [];
+        this.chart.data.datasets[0].data = this.ohlcData;
+        
+        // Kept while the volume pane is hidden so it can be shown again
+        this.volumeData = chartData.volume || [];
+        const volumeDataset = this.getVolumeDataset();
+        if (volumeDataset) {
+            volumeDataset.data = this.volumeData;
+        }
+        
+        this.refreshIndicators();
+        this.refreshComparison();
+        
+        // Update time scale based on timeframe
+        this.updateTimeScale(chartData.timeframe);
+        this.updateDataNotice(chartData);
+        
+        // Animate chart update
+        this.chart.update('active');
+        
+        // Trigger custom event
+        this.onChartUpdated(chartData);
+    }
+
+    /**
+     * Shows where the candles came from under the chart, flagging demo
+     * (synthetic) and delayed data. Hidden when there is no data.
+     */
+    updateDataNotice(chartData) {
+        const container = this.canvas.parentElement;
+        let notice = container.querySelector('.chart-data-notice');
+        if (!chartData) {
+            if (notice) notice.style.display = 'none';
+            return;
+        }
+
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.className = 'chart-data-notice';
+            notice.setAttribute('role', 'status');
+            container.appendChild(notice);
+        }
+
+        let text;
+        let state = '';
+        if (chartData.isSynthetic) {
+            text = 'Demo data: these candles are randomly generated, not real prices';
+            state = 'synthetic';
+        } else if (chartData.isDelayed) {
+            text = `Delayed by about ${chartData.delayMinutes} min`;
+            state = 'delayed';
+        } else {
+            text = 'Historical prices';
+        }
+        if (!chartData.isSynthetic && chartData.source) {
+            text += ` · ${chartData.source}`;
+        }
+
+        notice.className = `chart-data-notice ${state}`.trim();
+        notice.textContent = text;
+        notice.style.display = '';
+    }
+
+    /**
+     * Update time scale configuration based on timeframe
+     */
+    updateTimeScale(timeframe) {
+        if (!this.chart) return;
+        
+        const timeConfig = {
+            '1D': { unit: 'hour', displayFormat: 'HH:mm' },
+            '1W': { unit: 'day', displayFormat: 'MMM dd' },
+            '1M': { unit: 'day', displayFormat: 'MMM dd' },
+            '3M': { unit: 'week', displayFormat: 'MMM dd' },
+            '1Y': { unit: 'month', displayFormat: 'MMM yyyy' },
+            '5Y': { unit: 'year', displayFormat: 'yyyy' }
+        };
+        
+        const config = timeConfig[timeframe] || timeConfig['1M'];
+        
+        this.chart.options.scales.x.time.unit = config.unit;
+        this.chart.options.scales.x.time.displayFormats[config.unit] = config.displayFormat;
+    }
+
+    /**
+     * Change chart type (candlestick, line, area)
+     */
+    setChartType(type) {
+        if (!this.chart) return;
+        
+        this.chartType = type;
+        
+        switch (type) {
+            case 'line':
+                this.chart.config.type = 'line';
+                this.chart.data.datasets[0] = {
+                    ...this.chart.data.datasets[0],
+                    type: 'line',
+                    borderColor: 'var(--color-primary)',
+                    backgroundColor: 'transparent',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.1,
+                    data: this.ohlcData.map(d => ({
+                        x: d.x,
+                        y: d.c // Use close price for line chart
+                    }))
+                };
+                break;
+                
+            case 'area':
+                this.chart.config.type = 'line';
+                this.chart.data.datasets[0] = {
+                    ...this.chart.data.datasets[0],
+                    type: 'line',
+                    borderColor: 'var(--color-primary)',
+                    backgroundColor: 'rgba(var(--color-primary-rgb), 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.1,
+                    data: this.ohlcData.map(d => ({
+                        x: d.x,
+                        y: d.c // Use close price for area chart
+                    }))
+                };
+                break;
+                
+            case 'candlestick':
+            default:
+                this.chart.config.type = 'candlestick';
+                // Restore original candlestick configuration
+                this.chart.data.datasets[0] = {
+                    label: 'Price',
+                    data: this.ohlcData,
+                    hidden: Boolean(this.comparison),
+                    borderColor: {
+                        up: 'var(--color-success)',
+                        down: 'var(--color-error)',
+                        unchanged: 'var(--color-secondary)'
+                    },
+                    backgroundColor: {
+                        up: 'rgba(var(--color-success-rgb), 0.8)',
+                        down: 'rgba(var(--color-error-rgb), 0.8)',
+                        unchanged: 'rgba(var(--color-secondary-rgb), 0.8)'
+                    }
+                };
+                break;
+        }
+        
+        this.chart.update('none');
+    }
+
+    /**
+     * Add a technical indicator from the registry, with its default
+     * parameters unless given others. 'volume' is the volume pane.
+     */
+    addIndicator(indicator, params) {
+        if (!this.chart || this.indicators.has(indicator)) return;
+
+        if (indicator === 'volume') {
+            this.indicators.add(indicator);
+            this.addVolume();
+            return;
+        }
+
+        const definition = this.registry?.get(indicator);
+        if (!definition) {
+            console.warn('Unknown indicator:', indicator);
+            return;
+        }
+
+        this.indicators.add(indicator);
+        this.indicatorParams.set(indicator, this.registry.normalizeParams(indicator, params ?? this.indicatorParams.get(indicator)));
+
+        const ownPane = definition.pane === 'separate';
+        if (ownPane) {
+            this.addPane(indicator, {
+                label: this.getIndicatorLabel(indicator),
+                indicator,
+                scale: definition.scale
+            });
+        }
+
+        definition.outputs.forEach(output => {
+            this.chart.data.datasets.push({
+                label: output.label,
+                type: output.type || 'line',
+                data: [],
+                borderColor: output.color,
+                backgroundColor: output.type === 'bar' ? output.color : 'transparent',
+                borderWidth: 1,
+                fill: false,
+                pointRadius: 0,
+                tension: 0.1,
+                ...output.style,
+                yAxisID: ownPane ? indicator : 'y',
+                hidden: !ownPane && Boolean(this.comparison), // Rupees don't fit the percent axis
+                indicator,
+                output: output.key
+            });
+        });
+
+        this.refreshIndicator(indicator);
+        this.chart.update('none');
+    }
+
+    /**
+     * Remove technical indicator
+     */
+    removeIndicator(indicator) {
+        this.indicators.delete(indicator);
+        if (!this.chart) return;
+
+        const pane = this.panes.find(p => p.indicator === indicator);
+        if (pane) {
+            this.removePane(pane.id);
+            return;
+        }
+
+        this.chart.data.datasets = this.chart.data.datasets.filter(dataset => dataset.indicator !== indicator);
+        this.chart.update('none');
+    }
+
+    /**
+     * Recalculate an indicator with new parameters
+     */
+    setIndicatorParams(indicator, params) {
+        if (!this.registry?.has(indicator)) return;
+
+        this.indicatorParams.set(indicator, this.registry.normalizeParams(indicator, params));
+        const pane = this.panes.find(p => p.indicator === indicator);
+        if (pane) {
+            pane.label = this.getIndicatorLabel(indicator);
+        }
+
+        if (this.indicators.has(indicator) && this.chart) {
+            this.refreshIndicator(indicator);
+            this.chart.update('none');
+        }
+    }
+
+    getIndicatorParams(indicator) {
+        return this.indicatorParams.get(indicator) || this.registry?.normalizeParams(indicator) || {};
+    }
+
+    /**
+     * Indicator name with its parameters, e.g. "MACD (12, 26, 9)"
+     */
+    getIndicatorLabel(indicator) {
+        const definition = this.registry?.get(indicator);
+        if (!definition) return indicator;
+
+        const values = Object.values(this.getIndicatorParams(indicator));
+        return values.length ? `${definition.name} (${values.join(', ')})` : definition.name;
+    }
+
+    /**
+     * Candles with their volume, as indicators read them
+     */
+    getBars() {
+        const volumes = new Map(this.volumeData.map(point => [point.x, point.y]));
+        return this.ohlcData.map(candle => ({ ...candle, v: volumes.get(candle.x) ?? null }));
+    }
+
+    /**
+     * Recalculate an indicator's datasets from the current candles
+     */
+    refreshIndicator(indicator, bars = this.getBars()) {
+        const series = this.registry.calculate(indicator, bars, this.getIndicatorParams(indicator));
+        this.chart.data.datasets
+            .filter(dataset => dataset.indicator === indicator)
+            .forEach(dataset => {
+                dataset.data = series[dataset.output] || [];
+            });
+    }
+
+    refreshIndicators() {
+        if (!this.registry) return;
+
+        const bars = this.getBars();
+        this.indicators.forEach(indicator => {
+            if (this.registry.has(indicator)) {
+                this.refreshIndicator(indicator, bars);
+            }
+        });
+    }
+
+    /**
+     * Add the volume pane
+     */
+    addVolume() {
+        this.addPane('volume', {
+            label: 'Volume',
+            indicator: 'volume',
+            scale: {
+                beginAtZero: true,
+                ticks: {
+                    color: 'var(--text-secondary)',
+                    maxTicksLimit: 3,
+                    callback: value => StockChart.formatVolume(value)
+                }
+            }
+        });
+
+        this.chart.data.datasets.push({
+            label: 'Volume',
+            type: 'bar',
+            data: this.volumeData,
+            backgroundColor: 'rgba(var(--color-primary-rgb), 0.3)',
+            borderColor: 'var(--color-primary)',
+            borderWidth: 1,
+            yAxisID: 'volume'
+        });
+
+        this.chart.update('none');
+    }
+
+    /**
+     * Volume axis ticks: 1.2K, 3.4M, 1.1B
+     */
+    static formatVolume(value) {
+        const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+        const [size, suffix] = units.find(([limit]) => Math.abs(value) >= limit) || [1, ''];
+        return `${parseFloat((value / size).toFixed(1))}${suffix}`;
+    }
+
+    /**
+     * Compare mode: overlays the chart's symbol and up to four others as the
+     * percent change from the first visible bar. The price pane's candles,
+     * indicators and drawings are in rupees, so they are hidden until
+     * exitCompare.
+     */
+    async compare(symbols) {
+        if (!this.chart || !this.currentSymbol) return;
+
+        this.exitCompare();
+        const others = [...new Set(symbols)]
+            .filter(symbol => symbol && symbol !== this.currentSymbol)
+            .slice(0, StockChart.MAX_COMPARE_SYMBOLS - 1);
+        if (!others.length) return;
+
+        this.comparison = {
+            symbols: [this.currentSymbol, ...others],
+            series: new Map(), // Symbol -> candles; the chart's own are ohlcData
+            failed: new Set(),
+            hidden: new Set()
+        };
+
+        this.chart.data.datasets.forEach(dataset => {
+            if ((dataset.yAxisID || 'y') === 'y') {
+                dataset.hidden = true;
+            }
+        });
+        this.comparison.symbols.forEach((symbol, index) => {
+            this.chart.data.datasets.push({
+                label: symbol,
+                type: 'line',
+                data: [],
+                borderColor: COMPARE_COLORS[index],
+                backgroundColor: 'transparent',
+                borderWidth: index === 0 ? 2 : 1.5,
+                fill: false,
+                pointRadius: 0,
+                tension: 0.1,
+                yAxisID: 'y',
+                compare: symbol
+            });
+        });
+        this.chart.options.scales.y.ticks.callback = value => StockChart.formatPercent(value, 1);
+        this.drawings?.setHidden(true);
+
+        this.refreshComparison();
+        this.chart.update('none');
+        await this.loadComparison();
+    }
+
+    /**
+     * Fetches the compared symbols' candles for the current timeframe
+     */
+    async loadComparison() {
+        const comparison = this.comparison;
+        const timeframe = this.currentTimeframe;
+        const results = await Promise.all(comparison.symbols.slice(1).map(symbol =>
+            StockChart.fetchChartData(symbol, timeframe)
+                .then(chartData => ({ symbol, candles: chartData.ohlc }))
+                .catch(error => ({ symbol, error }))));
+
+        // Compare mode ended or the timeframe changed while loading
+        if (this.comparison !== comparison || this.currentTimeframe !== timeframe) return;
+
+        results.forEach(({ symbol, candles, error }) => {
+            if (error || !candles.length) {
+                console.warn(`Failed to load ${symbol} to compare:`, error || 'no candles');
+                comparison.series.delete(symbol);
+                comparison.failed.add(symbol);
+            } else {
+                comparison.series.set(symbol, candles);
+                comparison.failed.delete(symbol);
+            }
+        });
+
+        this.refreshComparison();
+        this.chart.update('none');
+    }
+
+    /**
+     * Leaves compare mode, showing the candles, indicators and drawings again
+     */
+    exitCompare() {
+        if (!this.comparison || !this.chart) return;
+
+        this.comparison = null;
+        this.chart.data.datasets = this.chart.data.datasets.filter(dataset => !dataset.compare);
+        this.chart.data.datasets.forEach(dataset => {
+            if ((dataset.yAxisID || 'y') === 'y') {
+                dataset.hidden = false;
+            }
+        });
+        this.chart.options.scales.y.ticks.callback = StockChart.getPriceScale().ticks.callback;
+        this.drawings?.setHidden(false);
+        this.canvas.parentElement.querySelector('.chart-compare-legend')?.remove();
+        this.chart.update('none');
+    }
+
+    /**
+     * Shows or hides one compared symbol's line
+     */
+    toggleCompareSeries(symbol) {
+        if (!this.comparison?.symbols.includes(symbol)) return;
+
+        const hidden = this.comparison.hidden;
+        if (hidden.has(symbol)) {
+            hidden.delete(symbol);
+        } else {
+            hidden.add(symbol);
+        }
+        this.refreshComparison();
+        this.chart.update('none');
+    }
+
+    /**
+     * Renormalizes the compared lines to the first visible bar
+     */
+    refreshComparison() {
+        if (!this.comparison || !this.chart) return;
+
+        // Zooming or panning moves the first visible bar
+        const from = this.chart.isZoomedOrPanned?.() ? this.chart.scales.x?.min : null;
+        this.chart.data.datasets.filter(dataset => dataset.compare).forEach(dataset => {
+            const candles = dataset.compare === this.currentSymbol
+                ? this.ohlcData
+                : this.comparison.series.get(dataset.compare);
+            dataset.data = StockChart.toPercentChange(candles || [], from);
+            dataset.hidden = this.comparison.hidden.has(dataset.compare);
+        });
+
+        this.renderCompareLegend();
+    }
+
+    onVisibleRangeChange() {
+        if (!this.comparison) return;
+
+        this.refreshComparison();
+        this.chart.update('none');
+    }
+
+    /**
+     * Percent change of each close from the first close at or after `from`
+     * (the first bar when null)
+     */
+    static toPercentChange(candles, from = null) {
+        const close = candle => candle.c ?? candle.y;
+        const first = candles.find(candle => (from == null || candle.x >= from) && close(candle));
+        if (!first) return [];
+
+        const base = close(first);
+        return candles.map(candle => ({ x: candle.x, y: (close(candle) / base - 1) * 100 }));
+    }
+
+    static formatPercent(value, digits = 2) {
+        return `${value > 0 ? '+' : ''}${value.toFixed(digits)}%`;
+    }
+
+    /**
+     * Legend above the chart: one toggle per compared symbol with its change
+     * at the last bar, and a button to leave compare mode
+     */
+    renderCompareLegend() {
+        const container = this.canvas.parentElement;
+        let legend = container.querySelector('.chart-compare-legend');
+        if (!legend) {
+            legend = document.createElement('div');
+            legend.className = 'chart-compare-legend';
+            legend.setAttribute('role', 'group');
+            legend.setAttribute('aria-label', 'Compared symbols');
+            legend.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-compare-symbol]');
+                if (item) {
+                    this.toggleCompareSeries(item.dataset.compareSymbol);
+                } else if (e.target.closest('.compare-legend-exit')) {
+                    this.exitCompare();
+                }
+            });
+            container.appendChild(legend);
+        }
+
+        const datasets = this.chart.data.datasets.filter(dataset => dataset.compare);
+        legend.innerHTML = datasets.map(dataset => {
+            const symbol = dataset.compare;
+            const last = dataset.data[dataset.data.length - 1];
+            const failed = this.comparison.failed.has(symbol);
+            const visible = !this.comparison.hidden.has(symbol);
+            let change = '…';
+            if (failed) {
+                change = 'No data';
+            } else if (last) {
+                change = StockChart.formatPercent(last.y);
+            }
+
+            return `
+                <button type="button" class="compare-legend-item${visible ? '' : ' muted'}"
+                        data-compare-symbol="${symbol}" aria-pressed="${visible}"
+                        ${failed ? 'disabled' : ''} title="${visible ? 'Hide' : 'Show'} ${symbol}">
+                    <span class="compare-swatch" style="background-color: ${dataset.borderColor}"></span>
+                    <span class="compare-symbol">${symbol}</span>
+                    <span class="compare-change ${last && last.y < 0 ? 'negative' : 'positive'}">${change}</span>
+                </button>
+            `;
+        }).join('') + `
+            <button type="button" class="compare-legend-exit" title="Exit compare" aria-label="Exit compare">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading() {
+        const container = this.canvas.parentElement;
+        const loadingEl = container.querySelector('.chart-loading');
+        if (loadingEl) {
+            loadingEl.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Hide loading state
+     */
+    hideLoading() {
+        const container = this.canvas.parentElement;
+        const loadingEl = container.querySelector('.chart-loading');
+        if (loadingEl) {
+            loadingEl.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show error state
+     */
+    showError(message = 'Failed to load chart data') {
+        const container = this.canvas.parentElement;
+        let errorEl = container.querySelector('.chart-error');
+        
+        if (!errorEl) {
+            errorEl = document.createElement('div');
+            errorEl.className = 'chart-error';
+            errorEl.innerHTML = `
+                <div class="error-content">
+                    <i class="fas fa-exclamation-triangle error-icon"></i>
+                    <div class="error-message"></div>
+                    <button class="btn btn-sm btn-outline-primary retry-btn">
+                        <i class="fas fa-redo"></i> Retry
+                    </button>
+                </div>
+            `;
+            container.appendChild(errorEl);
+            
+            // Bind retry button
+            const retryBtn = errorEl.querySelector('.retry-btn');
+            retryBtn.addEventListener('click', () => {
+                this.hideError();
+                if (this.currentSymbol) {
+                    this.loadData(this.currentSymbol, this.currentTimeframe);
+                }
+            });
+        }
+        
+        errorEl.querySelector('.error-message').textContent = message;
+        errorEl.style.display = 'flex';
+    }
+
+    /**
+     * Hide error state
+     */
+    hideError() {
+        const container = this.canvas.parentElement;
+        const errorEl = container.querySelector('.chart-error');
+        if (errorEl) {
+            errorEl.style.display = 'none';
+        }
+    }
+
+    /**
+     * Reset zoom to fit all data
+     */
+    resetZoom() {
+        if (this.chart && this.chart.resetZoom) {
+            this.chart.resetZoom();
+            this.onVisibleRangeChange();
+        }
+    }
+
+    /**
+     * Destroy chart instance
+     */
+    destroy() {
+        this.canvas?.parentElement?.querySelector('.chart-pane-controls')?.remove();
+        this.canvas?.parentElement?.querySelector('.chart-compare-legend')?.remove();
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+
+    /**
+     * Enable real-time updates. Ticks are skipped while the market is closed
+     * and resume on their own at the open.
+     */
+    enableRealTimeUpdates(interval = 30000) { // 30 seconds default
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+        }
+        
+        this.updateInterval = setInterval(() => {
+            if (this.currentSymbol && !this.isLoading && this.isMarketOpen()) {
+                this.updateRealTimeData();
+            }
+        }, interval);
+    }
+
+    isMarketOpen() {
+        return !window.marketSession || window.marketSession.isOpen();
+    }
+
+    /**
+     * Disable real-time updates
+     */
+    disableRealTimeUpdates() {
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+            this.updateInterval = null;
+        }
+    }
+
+    /**
+     * Update chart with real-time data
+     */
+    async updateRealTimeData() {
+        try {
+            const response = await fetch(`/api/realtime/${this.currentSymbol}`);
+            
+            if (response.ok) {
+                const realtimeData = await response.json();
+                this.updateLatestDataPoint(realtimeData);
+            } else if (this.options.demoData) {
+                // Simulate real-time update with mock data
+                this.simulateRealTimeUpdate();
+            }
+        } catch (error) {
+            console.warn('Real-time update failed:', error);
+            if (this.options.demoData) {
+                this.simulateRealTimeUpdate();
+            }
+        }
+    }
+
+    /**
+     * Update the latest data point with new real-time data
+     */
+    updateLatestDataPoint(realtimeData) {
+        if (!this.chart || !this.chart.data.datasets[0].data.length) return;
+        
+        const dataset = this.chart.data.datasets[0];
+        const lastIndex = dataset.data.length - 1;
+        const lastDataPoint = dataset.data[lastIndex];
+        
+        // Update the last data point with new real-time data
+        if (realtimeData.timestamp > lastDataPoint.x) {
+            // Add new data point
+            dataset.data.push({
+                x: realtimeData.timestamp,
+                o: realtimeData.open,
+                h: realtimeData.high,
+                l: realtimeData.low,
+                c: realtimeData.close
+            });
+        } else {
+            // Update existing data point
+            lastDataPoint.h = Math.max(lastDataPoint.h, realtimeData.high);
+            lastDataPoint.l = Math.min(lastDataPoint.l, realtimeData.low);
+            lastDataPoint.c = realtimeData.close;
+        }
+        
+        // Update volume if available
+        if (realtimeData.volume) {
+            const volume = this.volumeData;
+            if (realtimeData.timestamp > lastDataPoint.x) {
+                volume.push({ x: realtimeData.timestamp, y: realtimeData.volume });
+            } else if (volume.length > lastIndex) {
+                volume[lastIndex].y = realtimeData.volume;
+            }
+        }
+        
+        this.refreshIndicators();
+        this.refreshComparison();
+        
+        // Animate the update
+        this.chart.update('active');
+        
+        // Trigger update event
+        this.onRealTimeUpdate(realtimeData);
+    }
+
+    /**
+     * Simulate real-time updates for demonstration (demoData option only)
+     */
+    simulateRealTimeUpdate() {
+        if (!this.chart || !this.chart.data.datasets[0].data.length) return;
+        
+        const dataset = this.chart.data.datasets[0];
+        const lastDataPoint = dataset.data[dataset.data.length - 1];
+        
+        // Simulate price movement
+        const volatility = 0.005; // 0.5% volatility
+        const direction = Math.random() > 0.5 ? 1 : -1;
+        const change = lastDataPoint.c * volatility * direction * Math.random();
+        
+        const newPrice = lastDataPoint.c + change;
+        
+        // Update the last data point
+        lastDataPoint.h = Math.max(lastDataPoint.h, newPrice);
+        lastDataPoint.l = Math.min(lastDataPoint.l, newPrice);
+        lastDataPoint.c = newPrice;
+        
+        // Add subtle animation
+        this.chart.update('none');
+        
+        // Trigger update event
+        this.onRealTimeUpdate({
+            symbol: this.currentSymbol,
+            price: newPrice,
+            change: change,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Event handlers (can be overridden)
+     */
+    onDataPointClick(data, index) {
+        // Override this method to handle data point clicks
+        console.log('Data point clicked:', data, index);
+    }
+
+    onChartUpdated(chartData) {
+        // Override this method to handle chart updates
+        console.log('Chart updated:', chartData);
+    }
+
+    onRealTimeUpdate(realtimeData) {
+        // Override this method to handle real-time updates
+        console.log('Real-time update:', realtimeData);
+    }
+
+    onIndicatorRemoved(indicator) {
+        // Override this method to handle indicators removed from their pane
+        console.log('Indicator removed:', indicator);
+    }
+}
+
+// Export for use in other modules
+// Symbols compare mode overlays, including the chart's own
+StockChart.MAX_COMPARE_SYMBOLS = COMPARE_COLORS.length;
+
+window.StockChart = StockChart;
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StockChart;
+}
+
+/**
+ * Fee Engine
+ * Brokerage and statutory charges (STT, exchange charges, SEBI fee, stamp
+ * duty, GST) for NSE equity delivery trades. Mirrors Services/FeeCalculator.cs
+ * and loads the same schedule from the server, so the order preview matches
+ * what execution debits.
+ */
+
+const DEFAULT_FEE_SCHEDULE = {
+    brokerageMode: 'Percent',    // 'Percent' (capped) or 'Flat' per order
+    brokerageRate: 0.0003,
+    brokerageFlat: 20,
+    brokerageCap: 20,            // 0 = no cap
+    sttBuyRate: 0.001,
+    sttSellRate: 0.001,
+    exchangeChargeRate: 0.0000297,
+    sebiFeeRate: 0.000001,
+    stampDutyRate: 0.00015,      // buy side only
+    gstRate: 0.18                // on brokerage + exchange charges + SEBI fee
+};
+
+class FeeEngine {
+    constructor(schedule = {}) {
+        this.schedule = { ...DEFAULT_FEE_SCHEDULE, ...schedule };
+        this.endpoint = '/api/Fees/schedule';
+    }
+
+    /**
+     * Fetch the configured schedule; keeps the defaults if the call fails
+     */
+    loadSchedule() {
+        return new Promise((resolve) => {
+            $.ajax({
+                url: this.endpoint,
+                type: 'GET',
+                dataType: 'json',
+                success: (schedule) => {
+                    this.setSchedule(schedule);
+                    resolve(this.schedule);
+                },
+                error: () => {
+                    console.warn('Fee schedule unavailable, using default charges');
+                    resolve(this.schedule);
+                }
+            });
+        });
+    }
+
+    setSchedule(schedule) {
+        this.schedule = { ...DEFAULT_FEE_SCHEDULE, ...(schedule || {}) };
+    }
+
+    /**
+     * Charges for one trade, each rounded to the paisa like the server
+     */
+    calculate({ side, quantity, price }) {
+        const isBuy = side !== 'sell';
+        const turnover = Math.abs(parseInt(quantity) || 0) * (parseFloat(price) || 0);
+
+        if (turnover <= 0) {
+            return this.emptyBreakdown();
+        }
+
+        const s = this.schedule;
+        const brokerage = this.round(this.calculateBrokerage(turnover));
+        const stt = this.round(turnover * (isBuy ? s.sttBuyRate : s.sttSellRate));
+        const exchangeCharges = this.round(turnover * s.exchangeChargeRate);
+        const sebiFee = this.round(turnover * s.sebiFeeRate);
+        const stampDuty = isBuy ? this.round(turnover * s.stampDutyRate) : 0;
+        const gst = this.round((brokerage + exchangeCharges + sebiFee) * s.gstRate);
+        const total = this.round(brokerage + stt + exchangeCharges + sebiFee + stampDuty + gst);
+
+        return {
+            turnover: this.round(turnover),
+            brokerage,
+            stt,
+            exchangeCharges,
+            sebiFee,
+            stampDuty,
+            gst,
+            total,
+            // Buys debit value + charges, sells credit value - charges
+            netAmount: this.round(isBuy ? turnover + total : turnover - total)
+        };
+    }
+
+    /**
+     * Largest quantity whose cost plus charges fits within the available funds.
+     * For an intraday short pass the margin rate and side 'sell': only the
+     * margin is blocked, plus sell-side charges.
+     */
+    maxAffordableQuantity(availableFunds, price, { marginRate = 1, side = 'buy' } = {}) {
+        if (!(availableFunds > 0) || !(price > 0)) return 0;
+
+        const perShare = price * marginRate;
+        // Short margin is blocked rounded to the paisa, a buy debits the exact cost
+        const required = (quantity) =>
+            (marginRate < 1 ? this.round(quantity * perShare) : quantity * perShare) +
+            this.calculate({ side, quantity, price }).total;
+
+        // Start from an estimate that already allows for charges, then step down
+        let quantity = Math.floor(availableFunds / perShare);
+        if (quantity > 0) {
+            const feePerShare = this.calculate({ side, quantity, price }).total / quantity;
+            quantity = Math.floor(availableFunds / (perShare + feePerShare));
+        }
+        while (quantity > 0 && required(quantity) >= availableFunds) {
+            quantity--;
+        }
+        return quantity;
+    }
+
+    calculateBrokerage(turnover) {
+        const s = this.schedule;
+        if (String(s.brokerageMode).toLowerCase() === 'flat') {
+            return s.brokerageFlat;
+        }
+
+        const brokerage = turnover * s.brokerageRate;
+        return s.brokerageCap > 0 ? Math.min(brokerage, s.brokerageCap) : brokerage;
+    }
+
+    /**
+     * Label/amount pairs for the order summary and confirmation
+     */
+    getLineItems(breakdown) {
+        const items = [
+            { label: 'Brokerage', amount: breakdown.brokerage },
+            { label: 'STT', amount: breakdown.stt },
+            { label: 'Exchange Txn Charges', amount: breakdown.exchangeCharges },
+            { label: 'SEBI Fee', amount: breakdown.sebiFee }
+        ];
+        if (breakdown.stampDuty > 0) {
+            items.push({ label: 'Stamp Duty', amount: breakdown.stampDuty });
+        }
+        items.push({ label: 'GST', amount: breakdown.gst });
+        return items;
+    }
+
+    emptyBreakdown() {
+        return {
+            turnover: 0,
+            brokerage: 0,
+            stt: 0,
+            exchangeCharges: 0,
+            sebiFee: 0,
+            stampDuty: 0,
+            gst: 0,
+            total: 0,
+            netAmount: 0
+        };
+    }
+
+    round(amount) {
+        return Math.round((amount + Number.EPSILON) * 100) / 100;
+    }
+}
+
+// Initialize the shared fee engine when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.feeEngine = new FeeEngine();
+    window.feeEngine.loadSchedule();
+});
+
+window.FeeEngine = FeeEngine;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeeEngine;
+}
+
+/**
+ * Client-side Order Book
+ * Keeps pending limit orders, watches incoming prices and fills an order
+ * through /api/ExecuteOrder only once the market price crosses its limit.
+ * Also holds stop-loss / take-profit brackets attached to bought positions,
+ * and after-market orders (AMO) placed while NSE is closed, which execute
+ * at the next open. Nothing fills outside market hours.
+ */
+
+class OrderBook {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'superstock-open-orders';
+        this.bracketStorageKey = options.bracketStorageKey || 'superstock-bracket-orders';
+        this.pollInterval = options.pollInterval || 15000; // 15 seconds
+        this.maxClosedOrders = options.maxClosedOrders || 50;
+        this.maxExecutionRetries = options.maxExecutionRetries ?? 2;
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.marketSession = options.marketSession || null;
+
+        this.endpoints = {
+            executeOrder: '/api/ExecuteOrder',
+            prices: '/api/StockData/prices'
+        };
+
+        this.orders = [];
+        this.brackets = [];
+        this.listeners = new Set();
+        this.executing = new Set();
+        this.pollTimer = null;
+
+        this.loadOrders();
+        this.loadBrackets();
+        if (this.hasPendingWork()) {
+            this.startPolling();
+        }
+    }
+
+    /**
+     * Normalise a symbol so that "TCS" and "TCS.NS" refer to the same book
+     */
+    normalizeSymbol(symbol) {
+        return String(symbol || '').trim().toUpperCase().replace(/\.NS$/, '');
+    }
+
+    /**
+     * Orders only execute during market hours (see market-session.js);
+     * without a market session nothing is held back
+     */
+    isMarketOpen() {
+        const session = this.marketSession || (typeof window !== 'undefined' ? window.marketSession : null);
+        return session ? session.isOpen() : true;
+    }
+
+    /**
+     * Check whether a limit order can fill at the given market price.
+     * A market AMO (no limit) fills at any price.
+     */
+    isMarketable(order, price) {
+        const marketPrice = parseFloat(price);
+        if (!marketPrice || marketPrice <= 0) return false;
+        if (order.limitPrice === null) return true;
+
+        return order.side === 'buy'
+            ? marketPrice <= order.limitPrice
+            : marketPrice >= order.limitPrice;
+    }
+
+    /**
+     * Empty limit price means "at market", which only an AMO may use
+     */
+    parseLimitPrice(value) {
+        return value === null || value === undefined || value === '' ? null : parseFloat(value);
+    }
+
+    /**
+     * Validate and build a new limit order, or an AMO when afterMarket is set
+     */
+    createOrder({ symbol, side, quantity, limitPrice, gameType = '', productType = 'DELIVERY', bracket = null, afterMarket = false }) {
+        const qty = parseInt(quantity);
+        const limit = this.parseLimitPrice(limitPrice);
+
+        if (!symbol) throw new Error('Symbol is required');
+        if (side !== 'buy' && side !== 'sell') throw new Error('Side must be buy or sell');
+        if (!qty || qty < 1) throw new Error('Quantity must be at least 1');
+        if (limit === null ? !afterMarket : !(limit > 0)) throw new Error('Limit price must be greater than zero');
+        if (bracket && side !== 'buy') throw new Error('Stop-loss and target can only be attached to a buy');
+        if (productType === 'INTRADAY' && side !== 'sell') throw new Error('Only sells can be placed as intraday shorts');
+
+        return {
+            id: `ord-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            symbol: this.normalizeSymbol(symbol),
+            side,
+            quantity: qty,
+            limitPrice: limit === null ? null : Math.round(limit * 100) / 100,
+            gameType,
+            productType,
+            afterMarket,
+            status: 'open',
+            createdAt: new Date().toISOString(),
+            updatedAt: null,
+            filledAt: null,
+            fillPrice: null,
+            fees: null,
+            rejectionReason: null,
+            // Reused on every fill attempt so the order can only fill once
+            idempotencyKey: this.createIdempotencyKey(),
+            bracket
+        };
+    }
+
+    /**
+     * Place a limit order. A marketable order is filled straight away,
+     * anything else rests in the book until the price crosses.
+     */
+    async placeLimitOrder(orderData, marketPrice = null) {
+        const order = this.createOrder(orderData);
+
+        this.orders.push(order);
+
+        if (marketPrice !== null && this.isMarketOpen() && this.isMarketable(order, marketPrice)) {
+            await this.fillOrder(order, parseFloat(marketPrice));
+            if (order.status !== 'open') {
+                return order;
+            }
+        }
+
+        this.saveOrders();
+        this.notify('placed', order);
+        this.startPolling();
+        return order;
+    }
+
+    /**
+     * Queue an order placed while the market is closed. It executes at the
+     * first price seen after the open: at market, or as a limit order when
+     * a limit price is given.
+     */
+    placeAfterMarketOrder(orderData) {
+        const order = this.createOrder({ ...orderData, afterMarket: true });
+
+        this.orders.push(order);
+        this.saveOrders();
+        this.notify('placed', order);
+        this.startPolling();
+        return order;
+    }
+
+    /**
+     * Cancel an open order
+     */
+    cancelOrder(orderId) {
+        const order = this.getOrder(orderId);
+        if (!order || order.status !== 'open') {
+            throw new Error('Only open orders can be cancelled');
+        }
+        if (this.executing.has(orderId)) {
+            throw new Error('Order is already being executed');
+        }
+
+        order.status = 'cancelled';
+        order.updatedAt = new Date().toISOString();
+        this.saveOrders();
+        this.notify('cancelled', order);
+        return order;
+    }
+
+    /**
+     * Modify quantity and/or limit price of an open order
+     */
+    modifyOrder(orderId, changes = {}) {
+        const order = this.getOrder(orderId);
+        if (!order || order.status !== 'open') {
+            throw new Error('Only open orders can be modified');
+        }
+        if (this.executing.has(orderId)) {
+            throw new Error('Order is already being executed');
+        }
+
+        const quantity = changes.quantity !== undefined ? parseInt(changes.quantity) : order.quantity;
+        const limitPrice = changes.limitPrice !== undefined ? this.parseLimitPrice(changes.limitPrice) : order.limitPrice;
+
+        if (!quantity || quantity < 1) throw new Error('Quantity must be at least 1');
+        if (limitPrice === null ? !order.afterMarket : !(limitPrice > 0)) throw new Error('Limit price must be greater than zero');
+
+        order.quantity = quantity;
+        order.limitPrice = limitPrice === null ? null : Math.round(limitPrice * 100) / 100;
+        order.updatedAt = new Date().toISOString();
+        this.saveOrders();
+        this.notify('modified', order);
+        return order;
+    }
+
+    getOrder(orderId) {
+        return this.orders.find(order => order.id === orderId) || null;
+    }
+
+    /**
+     * Get open orders, optionally for a single symbol
+     */
+    getOpenOrders(symbol = null) {
+        const normalized = symbol ? this.normalizeSymbol(symbol) : null;
+        return this.orders.filter(order =>
+            order.status === 'open' && (!normalized || order.symbol === normalized)
+        );
+    }
+
+    /**
+     * Feed a market price into the book and fill every order it crosses
+     */
+    async processPriceUpdate(symbol, price) {
+        const marketPrice = parseFloat(price);
+        if (!marketPrice || marketPrice <= 0 || !this.isMarketOpen()) return [];
+
+        const triggered = this.getOpenOrders(symbol).filter(order =>
+            !this.executing.has(order.id) && this.isMarketable(order, marketPrice)
+        );
+
+        const results = [];
+        for (const order of triggered) {
+            results.push(await this.fillOrder(order, marketPrice));
+        }
+
+        for (const bracket of this.getActiveBrackets(symbol)) {
+            if (this.executing.has(bracket.id)) continue;
+
+            const leg = this.evaluateBracket(bracket, marketPrice);
+            if (leg) {
+                results.push(await this.triggerBracket(bracket, leg, marketPrice));
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Feed a list of quotes ({ Name, Price } as returned by the APIs)
+     */
+    processQuotes(quotes) {
+        if (!Array.isArray(quotes)) return Promise.resolve([]);
+
+        return Promise.all(quotes
+            .filter(quote => quote && (quote.Name || quote.name || quote.symbol))
+            .map(quote => this.processPriceUpdate(quote.Name || quote.name || quote.symbol, quote.Price ?? quote.price)));
+    }
+
+    /**
+     * Send a triggered order to the server and record the outcome
+     */
+    async fillOrder(order, marketPrice) {
+        this.executing.add(order.id);
+
+        try {
+            const execution = await this.executeOrder({
+                symbol: order.symbol,
+                side: order.side,
+                quantity: order.quantity,
+                price: marketPrice,
+                limitPrice: order.limitPrice,
+                orderType: order.afterMarket ? 'AMO' : 'LIMIT',
+                gameType: order.gameType,
+                productType: order.productType,
+                idempotencyKey: order.idempotencyKey || (order.idempotencyKey = this.createIdempotencyKey())
+            });
+
+            order.status = 'filled';
+            order.fillPrice = marketPrice;
+            order.fees = execution?.fees?.total ?? null;
+            order.filledAt = new Date().toISOString();
+            this.notify('filled', order);
+
+            if (order.bracket) {
+                try {
+                    this.attachBracket({
+                        ...order.bracket,
+                        symbol: order.symbol,
+                        quantity: order.quantity,
+                        entryPrice: marketPrice,
+                        gameType: order.gameType
+                    });
+                } catch (bracketError) {
+                    this.notify('bracket-rejected', {
+                        ...order.bracket,
+                        symbol: order.symbol,
+                        rejectionReason: bracketError.message
+                    });
+                }
+            }
+        } catch (error) {
+            // 409: the server's live price has not reached the limit yet, it has no
+            // live price, the market is closed on the server's clock, or an earlier
+            // attempt with this order's key is still executing; keep waiting
+            if (error.status !== 409) {
+                order.status = 'rejected';
+                order.rejectionReason = error.message;
+                order.updatedAt = new Date().toISOString();
+                this.notify('rejected', order);
+            }
+        } finally {
+            this.executing.delete(order.id);
+            this.saveOrders();
+            if (!this.hasPendingWork()) {
+                this.stopPolling();
+            }
+        }
+
+        return order;
+    }
+
+    /**
+     * Stop level for a trailing stop given the highest price seen so far
+     */
+    getTrailingStop(trailing, highestPrice) {
+        const stop = trailing.mode === 'percent'
+            ? highestPrice * (1 - trailing.value / 100)
+            : highestPrice - trailing.value;
+        return Math.round(stop * 100) / 100;
+    }
+
+    /**
+     * Validate stop-loss / take-profit levels. Trailing may be null or
+     * { mode: 'percent' | 'amount', value }.
+     */
+    validateBracketLevels({ stopLoss, takeProfit, trailing }) {
+        if (stopLoss === null && takeProfit === null && !trailing) {
+            throw new Error('Set a stop-loss, a target or a trailing stop');
+        }
+        if (stopLoss !== null && (!stopLoss || stopLoss <= 0)) {
+            throw new Error('Stop-loss must be greater than zero');
+        }
+        if (takeProfit !== null && (!takeProfit || takeProfit <= 0)) {
+            throw new Error('Target must be greater than zero');
+        }
+        if (stopLoss !== null && takeProfit !== null && stopLoss >= takeProfit) {
+            throw new Error('Stop-loss must be below the target');
+        }
+        if (trailing) {
+            if (trailing.mode !== 'percent' && trailing.mode !== 'amount') {
+                throw new Error('Trailing stop must be a percentage or an amount');
+            }
+            if (!trailing.value || trailing.value <= 0 || (trailing.mode === 'percent' && trailing.value >= 100)) {
+                throw new Error('Trailing value is out of range');
+            }
+        }
+    }
+
+    parseBracketLevels({ stopLoss = null, takeProfit = null, trailing = null }) {
+        const toPrice = (value) => {
+            if (value === null || value === undefined || value === '') return null;
+            return Math.round(parseFloat(value) * 100) / 100;
+        };
+        const levels = {
+            stopLoss: toPrice(stopLoss),
+            takeProfit: toPrice(takeProfit),
+            trailing: trailing && trailing.mode
+                ? { mode: trailing.mode, value: parseFloat(trailing.value) }
+                : null
+        };
+
+        this.validateBracketLevels(levels);
+        return levels;
+    }
+
+    /**
+     * Attach a stop-loss / take-profit bracket to a bought position.
+     * Both legs sell the same quantity; whichever fires first cancels the other.
+     */
+    attachBracket({ symbol, quantity, entryPrice, stopLoss, takeProfit, trailing, gameType = '' }) {
+        const qty = parseInt(quantity);
+        const entry = parseFloat(entryPrice);
+
+        if (!symbol) throw new Error('Symbol is required');
+        if (!qty || qty < 1) throw new Error('Quantity must be at least 1');
+        if (!entry || entry <= 0) throw new Error('Entry price must be greater than zero');
+
+        const levels = this.parseBracketLevels({ stopLoss, takeProfit, trailing });
+        if (levels.trailing) {
+            const trailingStop = this.getTrailingStop(levels.trailing, entry);
+            levels.stopLoss = Math.max(levels.stopLoss || 0, trailingStop);
+        }
+
+        const bracket = {
+            id: `brk-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            symbol: this.normalizeSymbol(symbol),
+            quantity: qty,
+            entryPrice: entry,
+            stopLoss: levels.stopLoss,
+            takeProfit: levels.takeProfit,
+            trailing: levels.trailing,
+            highestPrice: entry,
+            gameType,
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            updatedAt: null,
+            closedAt: null,
+            triggeredLeg: null,
+            exitPrice: null,
+            rejectionReason: null,
+            idempotencyKey: this.createIdempotencyKey()
+        };
+
+        this.brackets.push(bracket);
+        this.saveBrackets();
+        this.notify('bracket-attached', bracket);
+        this.startPolling();
+        return bracket;
+    }
+
+    /**
+     * Edit the legs of an active bracket. Passing null removes a leg.
+     */
+    modifyBracket(bracketId, changes = {}) {
+        const bracket = this.getBracket(bracketId);
+        if (!bracket || bracket.status !== 'active') {
+            throw new Error('Only active brackets can be modified');
+        }
+        if (this.executing.has(bracketId)) {
+            throw new Error('Bracket is already being executed');
+        }
+
+        const levels = this.parseBracketLevels({
+            stopLoss: 'stopLoss' in changes ? changes.stopLoss : bracket.stopLoss,
+            takeProfit: 'takeProfit' in changes ? changes.takeProfit : bracket.takeProfit,
+            trailing: 'trailing' in changes ? changes.trailing : bracket.trailing
+        });
+
+        if (levels.trailing) {
+            const trailingStop = this.getTrailingStop(levels.trailing, bracket.highestPrice);
+            levels.stopLoss = Math.max(levels.stopLoss || 0, trailingStop);
+        }
+
+        Object.assign(bracket, levels, { updatedAt: new Date().toISOString() });
+        this.saveBrackets();
+        this.notify('bracket-modified', bracket);
+        return bracket;
+    }
+
+    cancelBracket(bracketId) {
+        const bracket = this.getBracket(bracketId);
+        if (!bracket || bracket.status !== 'active') {
+            throw new Error('Only active brackets can be cancelled');
+        }
+        if (this.executing.has(bracketId)) {
+            throw new Error('Bracket is already being executed');
+        }
+
+        bracket.status = 'cancelled';
+        bracket.closedAt = new Date().toISOString();
+        this.saveBrackets();
+        this.notify('bracket-cancelled', bracket);
+        return bracket;
+    }
+
+    getBracket(bracketId) {
+        return this.brackets.find(bracket => bracket.id === bracketId) || null;
+    }
+
+    getActiveBrackets(symbol = null) {
+        const normalized = symbol ? this.normalizeSymbol(symbol) : null;
+        return this.brackets.filter(bracket =>
+            bracket.status === 'active' && (!normalized || bracket.symbol === normalized)
+        );
+    }
+
+    /**
+     * Ratchet a trailing stop and return the leg the price has hit, if any
+     */
+    evaluateBracket(bracket, price) {
+        if (bracket.trailing && price > bracket.highestPrice) {
+            bracket.highestPrice = price;
+            const trailingStop = this.getTrailingStop(bracket.trailing, price);
+            if (trailingStop > (bracket.stopLoss || 0)) {
+                bracket.stopLoss = trailingStop;
+                this.saveBrackets();
+                this.notify('bracket-modified', bracket);
+            }
+        }
+
+        if (bracket.stopLoss !== null && price <= bracket.stopLoss) return 'stopLoss';
+        if (bracket.takeProfit !== null && price >= bracket.takeProfit) return 'takeProfit';
+        return null;
+    }
+
+    /**
+     * Sell the bracketed quantity. The bracket closes as a whole, which
+     * cancels the leg that did not fire (one-cancels-other).
+     */
+    async triggerBracket(bracket, leg, marketPrice) {
+        this.executing.add(bracket.id);
+
+        try {
+            const execution = await this.executeOrder({
+                symbol: bracket.symbol,
+                side: 'sell',
+                quantity: bracket.quantity,
+                price: marketPrice,
+                orderType: leg === 'stopLoss' ? 'STOP_LOSS' : 'TARGET',
+                gameType: bracket.gameType,
+                idempotencyKey: bracket.idempotencyKey || (bracket.idempotencyKey = this.createIdempotencyKey())
+            });
+
+            bracket.status = 'triggered';
+            bracket.triggeredLeg = leg;
+            bracket.exitPrice = marketPrice;
+            bracket.fees = execution?.fees?.total ?? null;
+            this.notify('bracket-triggered', bracket);
+        } catch (error) {
+            // 409: the market is closed on the server's clock, it has no live
+            // price, or an earlier attempt with the same key is still executing.
+            // The bracket stays active and fires again on the next price that
+            // hits a leg, which also reconciles with an earlier attempt's outcome
+            if (error.status !== 409) {
+                bracket.status = 'rejected';
+                bracket.rejectionReason = error.message;
+                this.notify('bracket-rejected', bracket);
+            }
+        } finally {
+            if (bracket.status !== 'active') {
+                bracket.closedAt = new Date().toISOString();
+            }
+            this.executing.delete(bracket.id);
+            this.saveBrackets();
+            if (!this.hasPendingWork()) {
+                this.stopPolling();
+            }
+        }
+
+        return bracket;
+    }
+
+    hasPendingWork() {
+        return this.getOpenOrders().length > 0 || this.getActiveBrackets().length > 0;
+    }
+
+    /**
+     * Key identifying one order intent; the server fills each key at most once
+     */
+    createIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `key-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Execute an order on the server (the same call the legacy ExecuteOrder makes).
+     * Requests that get no response are retried with the same idempotency key,
+     * and a duplicate of an order that already filled resolves with the
+     * original execution instead of failing.
+     */
+    async executeOrder({ symbol, side, quantity, price, limitPrice = null, orderType = 'MARKET', gameType = '', productType = 'DELIVERY', idempotencyKey = null }) {
+        const orderData = {
+            Stock: this.normalizeSymbol(symbol),
+            Price: String(price ?? ''),
+            Quantity: side === 'sell' ? -Math.abs(quantity) : Math.abs(quantity),
+            OrderType: orderType,
+            GameType: gameType,
+            ProductType: productType || 'DELIVERY',
+            IdempotencyKey: idempotencyKey || this.createIdempotencyKey()
+        };
+        if (limitPrice !== null) {
+            orderData.LimitPrice = limitPrice;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendOrder(orderData);
+            } catch (error) {
+                if (error.code === 'DUPLICATE_ORDER' && error.details?.orderStatus === 'FILLED') {
+                    return this.reconcileDuplicate(error.details);
+                }
+                // Status 0: no response, so the server may or may not have the order
+                if (error.status !== 0 || attempt >= this.maxExecutionRetries) {
+                    throw error;
+                }
+                console.warn(`Order ${orderData.IdempotencyKey} got no response, retrying (attempt ${attempt + 1}/${this.maxExecutionRetries})`);
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * (attempt + 1)));
+            }
+        }
+    }
+
+    sendOrder(orderData) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: this.endpoints.executeOrder,
+                type: 'POST',
+                data: JSON.stringify(orderData),
+                contentType: 'application/json',
+                headers: { 'Idempotency-Key': orderData.IdempotencyKey },
+                success: (data) => resolve(this.parseExecution(data)),
+                error: (xhr, status, error) => {
+                    const rejection = this.parseRejection(xhr.responseText);
+                    const apiError = new Error(rejection?.message || xhr.responseText || error || 'Order execution failed');
+                    apiError.status = xhr.status;
+                    apiError.code = rejection?.errorCode || null;
+                    apiError.details = rejection;
+                    reject(apiError);
+                }
+            });
+        });
+    }
+
+    /**
+     * Execution result of the original order from a DUPLICATE_ORDER response
+     */
+    reconcileDuplicate(details) {
+        const fees = details.fees;
+        return {
+            holdings: details.holdings || '',
+            fees: fees ? {
+                brokerage: fees.brokerage,
+                stt: fees.stt,
+                exchangeCharges: fees.exchangeCharges,
+                sebiFee: fees.sebiFee,
+                stampDuty: fees.stampDuty,
+                gst: fees.gst,
+                total: fees.total
+            } : null,
+            duplicate: true
+        };
+    }
+
+    /**
+     * Read holdings and the charges debited from an ExecuteOrder response
+     */
+    parseExecution(data) {
+        try {
+            const result = typeof data === 'string' ? JSON.parse(data) : data;
+            const value = result?.Value || {};
+            const fees = value.Fees;
+            return {
+                holdings: value.Holdings || '',
+                fees: fees ? {
+                    brokerage: fees.Brokerage,
+                    stt: fees.Stt,
+                    exchangeCharges: fees.ExchangeCharges,
+                    sebiFee: fees.SebiFee,
+                    stampDuty: fees.StampDuty,
+                    gst: fees.Gst,
+                    total: fees.Total
+                } : null,
+                duplicate: false
+            };
+        } catch (error) {
+            return { holdings: '', fees: null, duplicate: false };
+        }
+    }
+
+    /**
+     * Read the structured rejection (message, errorCode, maxQuantity, ...)
+     * from a failed ExecuteOrder response; null for plain-text errors
+     */
+    parseRejection(responseText) {
+        try {
+            const rejection = JSON.parse(responseText);
+            return rejection && typeof rejection === 'object' && rejection.message ? rejection : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Poll prices for symbols with resting orders
+     */
+    startPolling() {
+        if (this.pollTimer) return;
+
+        this.pollTimer = setInterval(() => {
+            this.pollPrices().catch(error => {
+                console.warn('Order book price poll failed:', error);
+            });
+        }, this.pollInterval);
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    async pollPrices() {
+        // Keep the timer running so queued orders fire at the open, but skip stale quotes
+        if (!this.isMarketOpen()) return [];
+
+        const symbols = [...new Set([
+            ...this.getOpenOrders().map(order => order.symbol),
+            ...this.getActiveBrackets().map(bracket => bracket.symbol)
+        ])];
+        if (symbols.length === 0) {
+            this.stopPolling();
+            return [];
+        }
+
+        const quotes = await this.fetchPrices(symbols);
+        return this.processQuotes(quotes);
+    }
+
+    fetchPrices(symbols) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: this.endpoints.prices,
+                type: 'GET',
+                data: { symbols: symbols.join(',') },
+                dataType: 'json',
+                success: (response) => resolve(response?.data || response?.Data || []),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load prices'))
+            });
+        });
+    }
+
+    /**
+     * Subscribe to order book changes. Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(event, order) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event, order, this);
+            } catch (error) {
+                console.error('Order book listener failed:', error);
+            }
+        });
+    }
+
+    loadOrders() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.orders = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn('Failed to load open orders:', error);
+            this.orders = [];
+        }
+    }
+
+    loadBrackets() {
+        try {
+            const stored = localStorage.getItem(this.bracketStorageKey);
+            this.brackets = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn('Failed to load bracket orders:', error);
+            this.brackets = [];
+        }
+    }
+
+    saveBrackets() {
+        const active = this.brackets.filter(bracket => bracket.status === 'active');
+        const closed = this.brackets
+            .filter(bracket => bracket.status !== 'active')
+            .slice(-this.maxClosedOrders);
+        this.brackets = [...active, ...closed].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        try {
+            localStorage.setItem(this.bracketStorageKey, JSON.stringify(this.brackets));
+        } catch (error) {
+            console.warn('Failed to save bracket orders:', error);
+        }
+    }
+
+    /**
+     * Persist the book, keeping only the most recent closed orders
+     */
+    saveOrders() {
+        const open = this.orders.filter(order => order.status === 'open');
+        const closed = this.orders
+            .filter(order => order.status !== 'open')
+            .slice(-this.maxClosedOrders);
+        this.orders = [...open, ...closed].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.orders));
+        } catch (error) {
+            console.warn('Failed to save open orders:', error);
+        }
+    }
+}
+
+// Initialize order book when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.orderBook = new OrderBook();
+
+    // Execute queued AMOs as soon as the market opens rather than on the next poll
+    window.marketSession?.subscribe(status => {
+        if (status.isOpen && window.orderBook.hasPendingWork()) {
+            window.orderBook.pollPrices().catch(error => {
+                console.warn('Order book price poll failed:', error);
+            });
+        }
+    });
+});
+
+window.OrderBook = OrderBook;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderBook;
+}
+
+/**
+ * Cache and Performance Manager
+ * Implements intelligent caching, cache invalidation, performance monitoring,
+ * and memory leak prevention for the SuperStock application
+ * Requirements: 5.1, 5.4, 5.5
+ */
+
+class CachePerformanceManager {
+    constructor() {
+        this.caches = new Map(); // Multiple cache stores
+        this.performanceMetrics = new Map();
+        this.memoryMonitor = new Map();
+        this.cacheStats = new Map();
+        this.cleanupIntervals = new Map();
+        
+        // Configuration
+        this.config = {
+            // Cache settings
+            defaultCacheExpiry: 300000, // 5 minutes
+            maxCacheSize: 100, // Maximum entries per cache
+            maxMemoryUsage: 50 * 1024 * 1024, // 50MB max memory usage
+            
+            // Performance monitoring
+            performanceBufferSize: 1000,
+            metricsRetentionTime: 3600000, // 1 hour
+            
+            // Cleanup intervals
+            cacheCleanupInterval: 60000, // 1 minute
+            memoryCheckInterval: 30000, // 30 seconds
+            performanceCleanupInterval: 300000, // 5 minutes
+            
+            // Cache strategies
+            strategies: {
+                LRU: 'least-recently-used',
+                LFU: 'least-frequently-used',
+                TTL: 'time-to-live',
+                ADAPTIVE: 'adaptive'
+            }
+        };
+        
+        // Initialize cache stores
+        this.initializeCacheStores();
+        
+        // Start monitoring and cleanup processes
+        this.startMonitoring();
+        
+        console.log('Cache Performance Manager initialized');
+    }
+
+    /**
+     * Initialize different cache stores for different data types
+     * Requirement 5.1: Intelligent caching for dashboard and leaderboard data
+     */
+    initializeCacheStores() {
+        // Dashboard data cache - short TTL, high frequency access
+        this.createCacheStore('dashboard', {
+            maxSize: 50,
+            ttl: 60000, // 1 minute
+            strategy: this.config.strategies.LRU
+        });
+        
+        // Leaderboard data cache - medium TTL, medium frequency
+        this.createCacheStore('leaderboard', {
+            maxSize: 20,
+            ttl: 300000, // 5 minutes
+            strategy: this.config.strategies.TTL
+        });
+        
+        // User data cache - long TTL, low frequency changes
+        this.createCacheStore('users', {
+            maxSize: 200,
+            ttl: 900000, // 15 minutes
+            strategy: this.config.strategies.LFU
+        });
+        
+        // API response cache - adaptive TTL based on endpoint
+        this.createCacheStore('api', {
+            maxSize: 100,
+            ttl: 180000, // 3 minutes
+            strategy: this.config.strategies.ADAPTIVE
+        });
+        
+        // Static data cache - very long TTL
+        this.createCacheStore('static', {
+            maxSize: 30,
+            ttl: 3600000, // 1 hour
+            strategy: this.config.strategies.TTL
+        });
+    }
+
+    /**
+     * Create a cache store with specific configuration
+     */
+    createCacheStore(name, config) {
+        const store = {
+            data: new Map(),
+            config: { ...this.config, ...config },
+            accessCount: new Map(),
+            accessTime: new Map(),
+            createdAt: Date.now(),
+            lastCleanup: Date.now()
+        };
+        
+        this.caches.set(name, store);
+        this.cacheStats.set(name, {
+            hits: 0,
+            misses: 0,
+            evictions: 0,
+            size: 0,
+            memoryUsage: 0
+        });
+        
+        console.log(`Cache store '${name}' created with config:`, config);
+    }
+
+    /**
+     * Set data in cache with intelligent caching strategy
+     * Requirement 5.1: Add intelligent caching
+     */
+    set(storeName, key, data, options = {}) {
+        const startTime = performance.now();
+        
+        try {
+            const store = this.caches.get(storeName);
+            if (!store) {
+                throw new Error(`Cache store '${storeName}' not found`);
+            }
+            
+            // Calculate data size for memory monitoring
+            const dataSize = this.calculateDataSize(data);
+            
+            // Check memory limits
+            if (this.getTotalMemoryUsage() + dataSize > this.config.maxMemoryUsage) {
+                this.performMemoryCleanup();
+            }
+            
+            // Apply cache eviction if needed
+            this.evictIfNeeded(store, dataSize);
+            
+            // Create cache entry
+            const entry = {
+                data,
+                size: dataSize,
+                createdAt: Date.now(),
+                lastAccessed: Date.now(),
+                accessCount: 1,
+                ttl: options.ttl || store.config.ttl,
+                expiresAt: Date.now() + (options.ttl || store.config.ttl),
+                tags: options.tags || [],
+                priority: options.priority || 1
+            };
+            
+            // Store the entry
+            store.data.set(key, entry);
+            store.accessCount.set(key, 1);
+            store.accessTime.set(key, Date.now());
+            
+            // Update statistics
+            const stats = this.cacheStats.get(storeName);
+            stats.size = store.data.size;
+            stats.memoryUsage += dataSize;
+            
+            // Record performance metric
+            this.recordPerformanceMetric('cache_set', {
+                store: storeName,
+                key,
+                size: dataSize,
+                duration: performance.now() - startTime
+            });
+            
+            return true;
+            
+        } catch (error) {
+            console.error(`Cache set error for ${storeName}:${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Get data from cache with performance tracking
+     * Requirement 5.1: Intelligent caching retrieval
+     */
+    get(storeName, key) {
+        const startTime = performance.now();
+        
+        try {
+            const store = this.caches.get(storeName);
+            if (!store) {
+                this.recordCacheMiss(storeName, 'store_not_found');
+                return null;
+            }
+            
+            const entry = store.data.get(key);
+            if (!entry) {
+                this.recordCacheMiss(storeName, 'key_not_found');
+                return null;
+            }
+            
+            // Check expiration
+            if (Date.now() > entry.expiresAt) {
+                store.data.delete(key);
+                store.accessCount.delete(key);
+                store.accessTime.delete(key);
+                this.recordCacheMiss(storeName, 'expired');
+                return null;
+            }
+            
+            // Update access statistics
+            entry.lastAccessed = Date.now();
+            entry.accessCount++;
+            store.accessCount.set(key, (store.accessCount.get(key) || 0) + 1);
+            store.accessTime.set(key, Date.now());
+            
+            // Record cache hit
+            this.recordCacheHit(storeName);
+            
+            // Record performance metric
+            this.recordPerformanceMetric('cache_get', {
+                store: storeName,
+                key,
+                hit: true,
+                duration: performance.now() - startTime
+            });
+            
+            return entry.data;
+            
+        } catch (error) {
+            console.error(`Cache get error for ${storeName}:${key}:`, error);
+            this.recordCacheMiss(storeName, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Invalidate cache entries based on tags or patterns
+     * Requirement 5.4: Cache invalidation and refresh mechanisms
+     */
+    invalidate(storeName, criteria = {}) {
+        const startTime = performance.now();
+        let invalidatedCount = 0;
+        
+        try {
+            const store = this.caches.get(storeName);
+            if (!store) {
+                return 0;
+            }
+            
+            const keysToDelete = [];
+            
+            for (const [key, entry] of store.data.entries()) {
+                let shouldInvalidate = false;
+                
+                // Invalidate by key pattern
+                if (criteria.keyPattern && key.match(criteria.keyPattern)) {
+                    shouldInvalidate = true;
+                }
+                
+                // Invalidate by tags
+                if (criteria.tags && criteria.tags.some(tag => entry.tags.includes(tag))) {
+                    shouldInvalidate = true;
+                }
+                
+                // Invalidate by age
+                if (criteria.maxAge && (Date.now() - entry.createdAt) > criteria.maxAge) {
+                    shouldInvalidate = true;
+                }
+                
+                // Invalidate specific keys
+                if (criteria.keys && criteria.keys.includes(key)) {
+                    shouldInvalidate = true;
+                }
+                
+                // Invalidate all if no criteria specified
+                if (Object.keys(criteria).length === 0) {
+                    shouldInvalidate = true;
+                }
+                
+                if (shouldInvalidate) {
+                    keysToDelete.push(key);
+                }
+            }
+            
+            // Delete identified entries
+            keysToDelete.forEach(key => {
+                const entry = store.data.get(key);
+                if (entry) {
+                    const stats = this.cacheStats.get(storeName);
+                    stats.memoryUsage -= entry.size;
+                    stats.evictions++;
+                }
+                
+                store.data.delete(key);
+                store.accessCount.delete(key);
+                store.accessTime.delete(key);
+                invalidatedCount++;
+            });
+            
+            // Update size statistics
+            const stats = this.cacheStats.get(storeName);
+            stats.size = store.data.size;
+            
+            // Record performance metric
+            this.recordPerformanceMetric('cache_invalidate', {
+                store: storeName,
+                criteria,
+                invalidatedCount,
+                duration: performance.now() - startTime
+            });
+            
+            console.log(`Invalidated ${invalidatedCount} entries from ${storeName} cache`);
+            return invalidatedCount;
+            
+        } catch (error) {
+            console.error(`Cache invalidation error for ${storeName}:`, error);
+            return 0;
+        }
+    }
+
+    /**
+     * Refresh cache entries by re-fetching data
+     * Requirement 5.4: Cache refresh mechanisms
+     */
+    async refresh(storeName, key, fetchFunction, options = {}) {
+        const startTime = performance.now();
+        
+        try {
+            // Remove existing entry
+            this.invalidate(storeName, { keys: [key] });
+            
+            // Fetch fresh data
+            const freshData = await fetchFunction();
+            
+            // Store fresh data
+            const success = this.set(storeName, key, freshData, options);
+            
+            // Record performance metric
+            this.recordPerformanceMetric('cache_refresh', {
+                store: storeName,
+                key,
+                success,
+                duration: performance.now() - startTime
+            });
+            
+            return success ? freshData : null;
+            
+        } catch (error) {
+            console.error(`Cache refresh error for ${storeName}:${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Perform cache eviction based on strategy
+     */
+    evictIfNeeded(store, newDataSize) {
+        const stats = this.cacheStats.get(store);
+        
+        // Check size limits
+        if (store.data.size >= store.config.maxSize) {
+            this.performEviction(store, 1);
+        }
+        
+        // Check memory limits
+        if (stats && (stats.memoryUsage + newDataSize) > (this.config.maxMemoryUsage / this.caches.size)) {
+            this.performEviction(store, Math.ceil(store.data.size * 0.1)); // Evict 10%
+        }
+    }
+
+    /**
+     * Perform cache eviction using configured strategy
+     */
+    performEviction(store, count) {
+        const entries = Array.from(store.data.entries());
+        let toEvict = [];
+        
+        switch (store.config.strategy) {
+            case this.config.strategies.LRU:
+                // Least Recently Used
+                toEvict = entries
+                    .sort((a, b) => a[1].lastAccessed - b[1].lastAccessed)
+                    .slice(0, count);
+                break;
+                
+            case this.config.strategies.LFU:
+                // Least Frequently Used
+                toEvict = entries
+                    .sort((a, b) => a[1].accessCount - b[1].accessCount)
+                    .slice(0, count);
+                break;
+                
+            case this.config.strategies.TTL:
+                // Shortest Time To Live remaining
+                toEvict = entries
+                    .sort((a, b) => a[1].expiresAt - b[1].expiresAt)
+                    .slice(0, count);
+                break;
+                
+            case this.config.strategies.ADAPTIVE:
+                // Adaptive strategy based on access patterns
+                toEvict = entries
+                    .map(([key, entry]) => {
+                        const age = Date.now() - entry.createdAt;
+                        const accessRate = entry.accessCount / (age / 1000); // accesses per second
+                        const score = accessRate * entry.priority / entry.size;
+                        return { key, entry, score };
+                    })
+                    .sort((a, b) => a.score - b.score)
+                    .slice(0, count)
+                    .map(item => [item.key, item.entry]);
+                break;
+        }
+        
+        // Remove selected entries
+        toEvict.forEach(([key, entry]) => {
+            store.data.delete(key);
+            store.accessCount.delete(key);
+            store.accessTime.delete(key);
+            
+            // Update statistics
+            const storeName = this.getStoreNameByReference(store);
+            if (storeName) {
+                const stats = this.cacheStats.get(storeName);
+                stats.memoryUsage -= entry.size;
+                stats.evictions++;
+                stats.size = store.data.size;
+            }
+        });
+    }
+
+    /**
+     * Start monitoring and cleanup processes
+     * Requirement 5.5: Memory leak prevention and cleanup procedures
+     */
+    startMonitoring() {
+        // Cache cleanup interval
+        this.cleanupIntervals.set('cache', setInterval(() => {
+            this.performCacheCleanup();
+        }, this.config.cacheCleanupInterval));
+        
+        // Memory monitoring interval
+        this.cleanupIntervals.set('memory', setInterval(() => {
+            this.performMemoryCheck();
+        }, this.config.memoryCheckInterval));
+        
+        // Performance metrics cleanup
+        this.cleanupIntervals.set('performance', setInterval(() => {
+            this.performPerformanceCleanup();
+        }, this.config.performanceCleanupInterval));
+        
+        // Browser visibility change handler for cleanup
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) {
+                    this.performAggressiveCleanup();
+                }
+            });
+        }
+        
+        // Window beforeunload handler for cleanup
+        if (typeof window !== 'undefined') {
+            window.addEventListener('beforeunload', () => {
+                this.destroy();
+            });
+        }
+    }
+
+    /**
+     * Perform regular cache cleanup
+     * Requirement 5.5: Cleanup procedures
+     */
+    performCacheCleanup() {
+        const startTime = performance.now();
+        let totalCleaned = 0;
+        
+        for (const [storeName, store] of this.caches.entries()) {
+            const cleaned = this.cleanExpiredEntries(store);
+            totalCleaned += cleaned;
+            
+            // Update last cleanup time
+            store.lastCleanup = Date.now();
+        }
+        
+        // Record performance metric
+        this.recordPerformanceMetric('cache_cleanup', {
+            totalCleaned,
+            duration: performance.now() - startTime
+        });
+        
+        if (totalCleaned > 0) {
+            console.log(`Cache cleanup completed: ${totalCleaned} entries removed`);
+        }
+    }
+
+    /**
+     * Clean expired entries from a store
+     */
+    cleanExpiredEntries(store) {
+        const now = Date.now();
+        let cleanedCount = 0;
+        
+        for (const [key, entry] of store.data.entries()) {
+            if (now > entry.expiresAt) {
+                store.data.delete(key);
+                store.accessCount.delete(key);
+                store.accessTime.delete(key);
+                cleanedCount++;
+            }
+        }
+        
+        return cleanedCount;
+    }
+
+    /**
+     * Perform memory usage check and cleanup if needed
+     * Requirement 5.5: Memory leak prevention
+     */
+    performMemoryCheck() {
+        const totalMemory = this.getTotalMemoryUsage();
+        
+        if (totalMemory > this.config.maxMemoryUsage) {
+            console.warn(`Memory usage (${totalMemory} bytes) exceeds limit, performing cleanup`);
+            this.performMemoryCleanup();
+        }
+        
+        // Check for memory leaks in performance metrics
+        if (this.performanceMetrics.size > this.config.performanceBufferSize * 2) {
+            console.warn('Performance metrics buffer growing too large, cleaning up');
+            this.performPerformanceCleanup();
+        }
+    }
+
+    /**
+     * Perform memory cleanup by evicting entries
+     */
+    performMemoryCleanup() {
+        const targetReduction = this.config.maxMemoryUsage * 0.2; // Reduce by 20%
+        let totalReduced = 0;
+        
+        // Sort stores by memory usage (largest first)
+        const storesByMemory = Array.from(this.caches.entries())
+            .map(([name, store]) => ({
+                name,
+                store,
+                memoryUsage: this.cacheStats.get(name).memoryUsage
+            }))
+            .sort((a, b) => b.memoryUsage - a.memoryUsage);
+        
+        // Evict from largest stores first
+        for (const { name, store } of storesByMemory) {
+            if (totalReduced >= targetReduction) break;
+            
+            const evictCount = Math.ceil(store.data.size * 0.25); // Evict 25%
+            const beforeSize = this.cacheStats.get(name).memoryUsage;
+            
+            this.performEviction(store, evictCount);
+            
+            const afterSize = this.cacheStats.get(name).memoryUsage;
+            totalReduced += (beforeSize - afterSize);
+        }
+        
+        console.log(`Memory cleanup completed: ${totalReduced} bytes freed`);
+    }
+
+    /**
+     * Perform aggressive cleanup when page becomes hidden
+     */
+    performAggressiveCleanup() {
+        // Clear all non-essential caches
+        this.invalidate('api');
+        this.invalidate('dashboard', { maxAge: 30000 }); // Keep only recent dashboard data
+        
+        // Clean performance metrics
+        this.performPerformanceCleanup();
+        
+        console.log('Aggressive cleanup performed due to page visibility change');
+    }
+
+    /**
+     * Clean old performance metrics
+     */
+    performPerformanceCleanup() {
+        const cutoffTime = Date.now() - this.config.metricsRetentionTime;
+        let cleanedCount = 0;
+        
+        for (const [key, metrics] of this.performanceMetrics.entries()) {
+            const filteredMetrics = metrics.filter(metric => metric.timestamp > cutoffTime);
+            
+            if (filteredMetrics.length !== metrics.length) {
+                cleanedCount += (metrics.length - filteredMetrics.length);
+                
+                if (filteredMetrics.length > 0) {
+                    this.performanceMetrics.set(key, filteredMetrics);
+                } else {
+                    this.performanceMetrics.delete(key);
+                }
+            }
+        }
+        
+        if (cleanedCount > 0) {
+            console.log(`Performance metrics cleanup: ${cleanedCount} old metrics removed`);
+        }
+    }
+
+    /**
+     * Record performance metric
+     * Requirement 5.4: Performance monitoring and metrics collection
+     */
+    recordPerformanceMetric(operation, data) {
+        const metric = {
+            timestamp: Date.now(),
+            operation,
+            ...data
+        };
+        
+        if (!this.performanceMetrics.has(operation)) {
+            this.performanceMetrics.set(operation, []);
+        }
+        
+        const metrics = this.performanceMetrics.get(operation);
+        metrics.push(metric);
+        
+        // Keep only recent metrics to prevent memory leaks
+        if (metrics.length > this.config.performanceBufferSize) {
+            metrics.splice(0, metrics.length - this.config.performanceBufferSize);
+        }
+    }
+
+    /**
+     * Get performance statistics
+     * Requirement 5.4: Performance monitoring
+     */
+    getPerformanceStats(operation = null, timeRange = 3600000) {
+        const cutoffTime = Date.now() - timeRange;
+        const stats = {};
+        
+        const operations = operation ? [operation] : Array.from(this.performanceMetrics.keys());
+        
+        operations.forEach(op => {
+            const metrics = this.performanceMetrics.get(op) || [];
+            const recentMetrics = metrics.filter(m => m.timestamp > cutoffTime);
+            
+            if (recentMetrics.length > 0) {
+                const durations = recentMetrics.map(m => m.duration).filter(d => d !== undefined);
+                
+                stats[op] = {
+                    count: recentMetrics.length,
+                    avgDuration: durations.length > 0 ? durations.reduce((a, b) => a + b, 0) / durations.length : 0,
+                    minDuration: durations.length > 0 ? Math.min(...durations) : 0,
+                    maxDuration: durations.length > 0 ? Math.max(...durations) : 0,
+                    recentMetrics: recentMetrics.slice(-10) // Last 10 metrics
+                };
+            }
+        });
+        
+        return stats;
+    }
+
+    /**
+     * Get cache statistics
+     */
+    getCacheStats(storeName = null) {
+        if (storeName) {
+            const stats = this.cacheStats.get(storeName);
+            const store = this.caches.get(storeName);
+            
+            if (stats && store) {
+                return {
+                    ...stats,
+                    hitRate: stats.hits / (stats.hits + stats.misses) || 0,
+                    config: store.config,
+                    lastCleanup: store.lastCleanup
+                };
+            }
+            return null;
+        }
+        
+        const allStats = {};
+        for (const [name, stats] of this.cacheStats.entries()) {
+            allStats[name] = {
+                ...stats,
+                hitRate: stats.hits / (stats.hits + stats.misses) || 0
+            };
+        }
+        
+        return {
+            stores: allStats,
+            totalMemoryUsage: this.getTotalMemoryUsage(),
+            totalEntries: Array.from(this.caches.values()).reduce((sum, store) => sum + store.data.size, 0)
+        };
+    }
+
+    /**
+     * Calculate approximate data size in bytes
+     */
+    calculateDataSize(data) {
+        try {
+            const jsonString = JSON.stringify(data);
+            return new Blob([jsonString]).size;
+        } catch (error) {
+            // Fallback estimation
+            return JSON.stringify(data || {}).length * 2; // Rough estimate
+        }
+    }
+
+    /**
+     * Get total memory usage across all caches
+     */
+    getTotalMemoryUsage() {
+        return Array.from(this.cacheStats.values())
+            .reduce((total, stats) => total + stats.memoryUsage, 0);
+    }
+
+    /**
+     * Record cache hit
+     */
+    recordCacheHit(storeName) {
+        const stats = this.cacheStats.get(storeName);
+        if (stats) {
+            stats.hits++;
+        }
+    }
+
+    /**
+     * Record cache miss
+     */
+    recordCacheMiss(storeName, reason) {
+        const stats = this.cacheStats.get(storeName);
+        if (stats) {
+            stats.misses++;
+        }
+        
+        this.recordPerformanceMetric('cache_miss', {
+            store: storeName,
+            reason,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Get store name by reference (helper method)
+     */
+    getStoreNameByReference(targetStore) {
+        for (const [name, store] of this.caches.entries()) {
+            if (store === targetStore) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Destroy the cache manager and cleanup all resources
+     * Requirement 5.5: Cleanup procedures
+     */
+    destroy() {
+        // Clear all cleanup intervals
+        for (const [name, intervalId] of this.cleanupIntervals.entries()) {
+            clearInterval(intervalId);
+        }
+        this.cleanupIntervals.clear();
+        
+        // Clear all caches
+        for (const store of this.caches.values()) {
+            store.data.clear();
+            store.accessCount.clear();
+            store.accessTime.clear();
+        }
+        this.caches.clear();
+        
+        // Clear statistics and metrics
+        this.cacheStats.clear();
+        this.performanceMetrics.clear();
+        this.memoryMonitor.clear();
+        
+        console.log('Cache Performance Manager destroyed and all resources cleaned up');
+    }
+}
+
+// Create global instance
+window.CachePerformanceManager = CachePerformanceManager;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CachePerformanceManager;
+}
+/**
+ * Dashboard Data Manager
+ * Handles portfolio, funds, and rank data loading with robust error handling,
+ * timeout management, and retry logic with exponential backoff
+ */
+class DashboardDataManager {
+    constructor() {
+        this.cache = new Map();
+        this.loadingStates = new Map();
+        this.retryAttempts = new Map();
+        this.abortControllers = new Map();
+        
+        // Initialize enhanced caching and performance manager
+        this.cacheManager = window.cachePerformanceManager || new CachePerformanceManager();
+        
+        // Configuration
+        this.config = {
+            defaultTimeout: 10000, // 10 seconds as per requirements
+            maxRetries: 3,
+            baseRetryDelay: 1000, // 1 second base delay for exponential backoff
+            cacheExpiry: 60000, // 1 minute cache expiry
+            concurrentRequestLimit: 5
+        };
+        
+        // Data endpoints
+        this.endpoints = {
+            userStocks: '/api/UserStocks',
+            funds: '/api/GetFunds',
+            rank: '/api/GetRank',
+            watchlist: '/api/UserWatchlist',
+            orderHistory: '/api/OrderHistory',
+            taxLots: '/api/TaxLots'
+        };
+        
+        // Loading state tracking
+        this.activeRequests = new Set();
+        
+        // Initialize error handler integration
+        this.errorHandler = window.errorHandler;
+        
+        console.log('Dashboard Data Manager initialized');
+    }
+
+    /**
+     * Load all dashboard data simultaneously with coordinated loading
+     * Requirements: 2.1, 2.2, 2.3, 2.4, 2.5, 2.6
+     */
+    async loadDashboardData(userId, gameType) {
+        const loadingId = 'dashboard-full-load';
+        
+        try {
+            this.setLoadingState(loadingId, true);
+            
+            // Start all data loading operations simultaneously
+            const dataPromises = [
+                this.loadPortfolioData(userId, gameType),
+                this.getAvailableFunds(gameType),
+                this.calculateUserRank(gameType)
+            ];
+            
+            // Wait for all data to load with timeout
+            const results = await Promise.allSettled(dataPromises);
+            
+            // Process results and handle any failures
+            const dashboardData = {
+                portfolio: this.processResult(results[0], 'portfolio'),
+                funds: this.processResult(results[1], 'funds'),
+                rank: this.processResult(results[2], 'rank'),
+                loadedAt: new Date(),
+                hasErrors: results.some(result => result.status === 'rejected')
+            };
+            
+            // Cache the combined data with high priority
+            this.setCacheData('dashboard-data', dashboardData, {
+                tags: ['dashboard', 'combined-data', gameType],
+                priority: 3 // Highest priority for combined dashboard data
+            });
+            
+            return dashboardData;
+            
+        } catch (error) {
+            this.handleError('loadDashboardData', error);
+            throw error;
+        } finally {
+            this.setLoadingState(loadingId, false);
+        }
+    }
+
+    /**
+     * Load portfolio data with timeout handling
+     * Requirements: 2.1, 2.2, 2.6
+     */
+    async loadPortfolioData(userId, gameType, timeout = this.config.defaultTimeout) {
+        const cacheKey = `portfolio-${userId}-${gameType}`;
+        
+        // Check cache first
+        const cachedData = this.getCacheData(cacheKey);
+        if (cachedData) {
+            return cachedData;
+        }
+        
+        const requestId = `portfolio-${Date.now()}`;
+        
+        try {
+            this.setLoadingState('portfolio', true);
+            
+            const [data, taxLots] = await Promise.all([
+                this.makeApiRequest(
+                    this.endpoints.userStocks,
+                    { GameType: gameType },
+                    timeout,
+                    requestId
+                ),
+                // Realized P&L is optional; the portfolio still loads without it
+                this.getTaxLotSummary(gameType, timeout).catch(() => null)
+            ]);
+            
+            // Process and validate portfolio data
+            const portfolioData = this.processPortfolioData(data, taxLots);
+            
+            // Cache the processed data with performance optimization
+            this.setCacheData(cacheKey, portfolioData, {
+                tags: ['portfolio', 'user-data', gameType],
+                priority: 2 // High priority for portfolio data
+            });
+            
+            return portfolioData;
+            
+        } catch (error) {
+            this.handleError('loadPortfolioData', error);
+            throw error;
+        } finally {
+            this.setLoadingState('portfolio', false);
+        }
+    }
+
+    /**
+     * Get available funds with retry logic
+     * Requirements: 2.2, 2.4, 2.6
+     */
+    async getAvailableFunds(gameType, timeout = this.config.defaultTimeout) {
+        const cacheKey = `funds-${gameType}`;
+        
+        // Check cache first
+        const cachedData = this.getCacheData(cacheKey);
+        if (cachedData) {
+            return cachedData;
+        }
+        
+        const requestId = `funds-${Date.now()}`;
+        
+        try {
+            this.setLoadingState('funds', true);
+            
+            const funds = await this.makeApiRequest(
+                this.endpoints.funds,
+                { GameType: gameType },
+                timeout,
+                requestId
+            );
+            
+            // Validate and process funds data
+            const fundsData = {
+                amount: parseFloat(funds) || 0,
+                currency: '₹',
+                lastUpdated: new Date()
+            };
+            
+            // Cache the processed data with performance optimization
+            this.setCacheData(cacheKey, fundsData, {
+                tags: ['funds', 'user-data', gameType],
+                priority: 2 // High priority for funds data
+            });
+            
+            return fundsData;
+            
+        } catch (error) {
+            this.handleError('getAvailableFunds', error);
+            throw error;
+        } finally {
+            this.setLoadingState('funds', false);
+        }
+    }
+
+    /**
+     * Get the open FIFO tax lots and realized P&L of a game
+     */
+    async getTaxLotSummary(gameType, timeout = this.config.defaultTimeout) {
+        const cacheKey = `tax-lots-${gameType}`;
+        
+        // Check cache first
+        const cachedData = this.getCacheData(cacheKey);
+        if (cachedData) {
+            return cachedData;
+        }
+        
+        const requestId = `tax-lots-${Date.now()}`;
+        
+        try {
+            const response = await this.makeApiRequest(
+                this.endpoints.taxLots,
+                { gameType },
+                timeout,
+                requestId
+            );
+            
+            const summary = typeof response === 'string' ? JSON.parse(response) : response;
+            const taxLotData = {
+                realizedPnl: parseFloat(summary?.realizedPnl) || 0,
+                openLots: summary?.openLots || [],
+                lastUpdated: new Date()
+            };
+            
+            this.setCacheData(cacheKey, taxLotData, {
+                tags: ['tax-lots', 'user-data', gameType],
+                priority: 1
+            });
+            
+            return taxLotData;
+            
+        } catch (error) {
+            this.handleError('getTaxLotSummary', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate user rank with proper error handling
+     * Requirements: 2.3, 2.4, 2.6
+     */
+    async calculateUserRank(gameType, timeout = this.config.defaultTimeout) {
+        const cacheKey = `rank-${gameType}`;
+        
+        // Check cache first
+        const cachedData = this.getCacheData(cacheKey);
+        if (cachedData) {
+            return cachedData;
+        }
+        
+        const requestId = `rank-${Date.now()}`;
+        
+        try {
+            this.setLoadingState('rank', true);
+            
+            const rankData = await this.makeApiRequest(
+                this.endpoints.rank,
+                { GameType: gameType },
+                timeout,
+                requestId
+            );
+            
+            // Process rank data (format: "1 / 100")
+            const rankParts = rankData.split(' / ');
+            const processedRank = {
+                userRank: parseInt(rankParts[0]) || 1,
+                totalParticipants: parseInt(rankParts[1]) || 1,
+                percentile: this.calculatePercentile(parseInt(rankParts[0]), parseInt(rankParts[1])),
+                lastUpdated: new Date()
+            };
+            
+            // Cache the processed data with performance optimization
+            this.setCacheData(cacheKey, processedRank, {
+                tags: ['rank', 'user-data', gameType],
+                priority: 1 // Medium priority for rank data
+            });
+            
+            return processedRank;
+            
+        } catch (error) {
+            this.handleError('calculateUserRank', error);
+            throw error;
+        } finally {
+            this.setLoadingState('rank', false);
+        }
+    }
+
+    /**
+     * Load the order history (trade blotter) with optional filters
+     * Filters: symbol, from, to (yyyy-mm-dd) and gameType ('' for all games)
+     */
+    async loadOrderHistory(filters = {}, timeout = this.config.defaultTimeout) {
+        const query = {};
+        if (filters.symbol) query.Symbol = filters.symbol.trim().toUpperCase();
+        if (filters.from) query.From = filters.from;
+        if (filters.to) query.To = filters.to;
+        if (filters.gameType) query.GameType = filters.gameType;
+
+        const cacheKey = `orders-${query.Symbol || ''}-${query.From || ''}-${query.To || ''}-${query.GameType || ''}`;
+        
+        // Check cache first
+        const cachedData = this.getCacheData(cacheKey);
+        if (cachedData) {
+            return cachedData;
+        }
+        
+        const requestId = `orders-${Date.now()}`;
+        
+        try {
+            this.setLoadingState('orderHistory', true);
+            
+            const data = await this.makeApiRequest(
+                this.endpoints.orderHistory,
+                query,
+                timeout,
+                requestId
+            );
+            
+            const orderHistory = this.processOrderHistoryData(data);
+            
+            // Cache the processed data; new executions clear the 'orders' keys
+            this.setCacheData(cacheKey, orderHistory, {
+                tags: ['orders', 'user-data'],
+                priority: 1
+            });
+            
+            return orderHistory;
+            
+        } catch (error) {
+            this.handleError('loadOrderHistory', error);
+            throw error;
+        } finally {
+            this.setLoadingState('orderHistory', false);
+        }
+    }
+
+    /**
+     * Process order history response into blotter rows and totals
+     */
+    processOrderHistoryData(data) {
+        try {
+            const response = typeof data === 'string' ? JSON.parse(data) : data;
+            const records = response?.data || [];
+
+            const trades = records.map(trade => {
+                const quantity = parseInt(trade.quantity) || 0;
+                const price = parseFloat(trade.price) || 0;
+                return {
+                    id: trade.id,
+                    timestamp: new Date(trade.timestamp),
+                    symbol: trade.symbol,
+                    side: (trade.side || '').toUpperCase(),
+                    quantity,
+                    price,
+                    value: quantity * price,
+                    fees: parseFloat(trade.fees) || 0,
+                    orderType: trade.orderType || 'MARKET',
+                    productType: trade.productType || 'DELIVERY',
+                    status: trade.status,
+                    rejectionReason: trade.rejectionReason || '',
+                    realizedPnl: trade.realizedPnl ?? null,
+                    gameType: trade.gameType || ''
+                };
+            });
+
+            const filled = trades.filter(trade => trade.status === 'FILLED');
+
+            return {
+                trades,
+                summary: {
+                    totalOrders: trades.length,
+                    filledCount: filled.length,
+                    rejectedCount: trades.length - filled.length,
+                    buyValue: filled.filter(t => t.side === 'BUY').reduce((sum, t) => sum + t.value, 0),
+                    sellValue: filled.filter(t => t.side === 'SELL').reduce((sum, t) => sum + t.value, 0),
+                    totalFees: filled.reduce((sum, t) => sum + t.fees, 0),
+                    realizedPnl: filled.reduce((sum, t) => sum + (t.realizedPnl || 0), 0)
+                },
+                lastUpdated: new Date()
+            };
+
+        } catch (error) {
+            console.error('Error processing order history data:', error);
+            return {
+                trades: [],
+                summary: {
+                    totalOrders: 0,
+                    filledCount: 0,
+                    rejectedCount: 0,
+                    buyValue: 0,
+                    sellValue: 0,
+                    totalFees: 0,
+                    realizedPnl: 0
+                },
+                lastUpdated: new Date(),
+                hasError: true
+            };
+        }
+    }
+
+    /**
+     * Make API request with timeout and retry logic
+     * Implements exponential backoff for failed API calls
+     * Requirements: 2.4, 2.5, 2.6
+     */
+    async makeApiRequest(url, data, timeout, requestId, retryCount = 0) {
+        // Check concurrent request limit
+        if (this.activeRequests.size >= this.config.concurrentRequestLimit) {
+            throw new Error('Too many concurrent requests');
+        }
+        
+        const abortController = new AbortController();
+        this.abortControllers.set(requestId, abortController);
+        this.activeRequests.add(requestId);
+        
+        try {
+            // Create timeout promise
+            const timeoutPromise = new Promise((_, reject) => {
+                setTimeout(() => {
+                    abortController.abort();
+                    reject(new Error(`Request timeout after ${timeout}ms`));
+                }, timeout);
+            });
+            
+            // Create request promise
+            const requestPromise = new Promise((resolve, reject) => {
+                $.ajax({
+                    url: url,
+                    type: 'GET',
+                    data: data,
+                    dataType: url.includes('UserStocks') ? 'json' : 'text',
+                    contentType: 'application/json',
+                    signal: abortController.signal,
+                    success: (response) => {
+                        resolve(response);
+                    },
+                    error: (xhr, status, error) => {
+                        const apiError = new Error(error || 'API request failed');
+                        apiError.status = xhr.status;
+                        apiError.statusText = xhr.statusText;
+                        apiError.responseText = xhr.responseText;
+                        reject(apiError);
+                    }
+                });
+            });
+            
+            // Race between request and timeout
+            const result = await Promise.race([requestPromise, timeoutPromise]);
+            
+            // Reset retry count on success
+            this.retryAttempts.delete(requestId);
+            
+            return result;
+            
+        } catch (error) {
+            // Handle retry logic with exponential backoff
+            if (retryCount < this.config.maxRetries && this.shouldRetry(error)) {
+                const retryDelay = this.calculateRetryDelay(retryCount);
+                
+                console.warn(`API request failed, retrying in ${retryDelay}ms (attempt ${retryCount + 1}/${this.config.maxRetries})`);
+                
+                // Track retry attempts
+                this.retryAttempts.set(requestId, retryCount + 1);
+                
+                // Wait for retry delay
+                await this.delay(retryDelay);
+                
+                // Retry the request
+                return this.makeApiRequest(url, data, timeout, requestId, retryCount + 1);
+            }
+            
+            // Log error through error handler
+            if (this.errorHandler) {
+                this.errorHandler.handleApiError(url, error, retryCount);
+            }
+            
+            throw error;
+            
+        } finally {
+            // Cleanup
+            this.abortControllers.delete(requestId);
+            this.activeRequests.delete(requestId);
+        }
+    }
+
+    /**
+     * Process portfolio data and calculate metrics. With the tax-lot summary,
+     * holdings are valued at their open FIFO lots and realized P&L is added
+     * to the unrealized P&L for the total.
+     */
+    processPortfolioData(data, taxLots = null) {
+        try {
+            const listData = typeof data === 'string' ? JSON.parse(data) : data;
+            const holdings = listData?.Value?.UserStockList || [];
+            const realizedPnL = taxLots?.realizedPnl || 0;
+            
+            let totalInvested = 0;
+            let currentValue = 0;
+            let unrealizedPnL = 0;
+            
+            // Process each holding, marking shorts to market
+            const processedHoldings = holdings.map(stock => {
+                const lots = this.getOpenLotsForHolding(stock, taxLots);
+                const position = DashboardDataManager.calculatePositionMetrics(stock, lots);
+                
+                totalInvested += position.investedValue;
+                currentValue += position.currentValue;
+                unrealizedPnL += position.profitLoss;
+                
+                return {
+                    ...stock,
+                    ...position,
+                    lots
+                };
+            });
+            
+            const totalPnL = realizedPnL + unrealizedPnL;
+            const { dayChange, dayChangePercent } = DashboardDataManager.getDayChange(processedHoldings);
+            
+            return {
+                holdings: processedHoldings,
+                summary: {
+                    totalInvested,
+                    currentValue,
+                    realizedPnL,
+                    unrealizedPnL,
+                    totalPnL,
+                    totalPnLPercent: totalInvested > 0 ? ((totalPnL / totalInvested) * 100) : 0,
+                    dayChange,
+                    dayChangePercent,
+                    holdingsCount: processedHoldings.length
+                },
+                lastUpdated: new Date()
+            };
+            
+        } catch (error) {
+            console.error('Error processing portfolio data:', error);
+            return {
+                holdings: [],
+                summary: {
+                    totalInvested: 0,
+                    currentValue: 0,
+                    realizedPnL: 0,
+                    unrealizedPnL: 0,
+                    totalPnL: 0,
+                    totalPnLPercent: 0,
+                    dayChange: 0,
+                    dayChangePercent: 0,
+                    holdingsCount: 0
+                },
+                lastUpdated: new Date(),
+                hasError: true
+            };
+        }
+    }
+
+    /**
+     * Open lots of a holding, or null when there are none or they don't add
+     * up to the holding (the position predates lot tracking)
+     */
+    getOpenLotsForHolding(stock, taxLots) {
+        const symbol = String(stock.Name || '').replace('.NS', '').toUpperCase();
+        const lots = (taxLots?.openLots || []).filter(lot => lot.symbol === symbol);
+        const lotQuantity = lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+        
+        return lots.length > 0 && lotQuantity === stock.Count ? lots : null;
+    }
+
+    /**
+     * Value and P&L of one holding. A short (negative Count) gains as the
+     * price falls, and is worth its entry value plus that gain. When its
+     * open lots are known the cost is taken from them, charges included.
+     * The day's change is the move since the previous close (Close), and is
+     * zero when the quote has none. The dashboard re-runs this as prices
+     * refresh, so it is the only place these figures are worked out.
+     */
+    static calculatePositionMetrics(stock, lots = null) {
+        const quantity = Math.abs(stock.Count);
+        const isShort = stock.Count < 0;
+        const invested = lots
+            ? lots.reduce((sum, lot) => sum + lot.costPrice * Math.abs(lot.remainingQuantity), 0)
+            : stock.AveragePrice * quantity;
+        const marketValue = stock.Price * quantity;
+        const pnl = isShort ? invested - marketValue : marketValue - invested;
+        const previousValue = stock.Close > 0 ? stock.Close * quantity : 0;
+        const dayChange = previousValue > 0 ? (stock.Price - stock.Close) * stock.Count : 0;
+        
+        return {
+            isShort,
+            quantity,
+            investedValue: invested,
+            currentValue: invested + pnl,
+            profitLoss: pnl,
+            profitLossPercent: invested > 0 ? ((pnl / invested) * 100) : 0,
+            previousValue,
+            dayChange,
+            dayChangePercent: previousValue > 0 ? ((dayChange / previousValue) * 100) : 0,
+            marginBlocked: isShort ? (stock.Margin || 0) : 0
+        };
+    }
+
+    /**
+     * Day's change of positions from calculatePositionMetrics, in rupees and
+     * as a percentage of their value at the previous close
+     */
+    static getDayChange(positions) {
+        let dayChange = 0;
+        let previousValue = 0;
+        (positions || []).forEach(position => {
+            dayChange += position.dayChange;
+            previousValue += position.previousValue;
+        });
+        
+        return { dayChange, dayChangePercent: previousValue > 0 ? ((dayChange / previousValue) * 100) : 0 };
+    }
+
+    /**
+     * Calculate percentile ranking
+     */
+    calculatePercentile(rank, total) {
+        if (total <= 1) return 100;
+        return Math.round(((total - rank) / (total - 1)) * 100);
+    }
+
+    /**
+     * Determine if request should be retried
+     */
+    shouldRetry(error) {
+        // Don't retry on client errors (4xx) except timeout
+        if (error.status >= 400 && error.status < 500 && error.status !== 408) {
+            return false;
+        }
+        
+        // Retry on network errors, timeouts, and server errors
+        return !error.status || 
+               error.status >= 500 || 
+               error.status === 408 || 
+               error.message.includes('timeout') ||
+               error.message.includes('network') ||
+               error.message.includes('abort');
+    }
+
+    /**
+     * Calculate retry delay with exponential backoff
+     */
+    calculateRetryDelay(retryCount) {
+        const baseDelay = this.config.baseRetryDelay;
+        const exponentialDelay = baseDelay * Math.pow(2, retryCount);
+        const jitter = Math.random() * 1000; // Add jitter to prevent thundering herd
+        
+        return Math.min(exponentialDelay + jitter, 10000); // Cap at 10 seconds
+    }
+
+    /**
+     * Utility function for delays
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Enhanced cache management with performance optimization
+     * Requirements: 5.1, 5.4, 5.5
+     */
+    setCacheData(key, data, options = {}) {
+        // Use enhanced cache manager for intelligent caching
+        const success = this.cacheManager.set('dashboard', key, data, {
+            ttl: options.ttl || this.config.cacheExpiry,
+            tags: options.tags || ['dashboard'],
+            priority: options.priority || 1
+        });
+        
+        // Fallback to local cache if enhanced manager fails
+        if (!success) {
+            this.cache.set(key, {
+                data,
+                timestamp: Date.now(),
+                expiry: Date.now() + this.config.cacheExpiry
+            });
+        }
+        
+        return success;
+    }
+
+    getCacheData(key) {
+        // Try enhanced cache manager first
+        let cached = this.cacheManager.get('dashboard', key);
+        if (cached) {
+            return cached;
+        }
+        
+        // Fallback to local cache
+        cached = this.cache.get(key);
+        if (!cached) return null;
+        
+        if (Date.now() > cached.expiry) {
+            this.cache.delete(key);
+            return null;
+        }
+        
+        return cached.data;
+    }
+
+    clearCache(pattern = null) {
+        // Clear from enhanced cache manager
+        if (pattern) {
+            this.cacheManager.invalidate('dashboard', {
+                keyPattern: new RegExp(pattern)
+            });
+        } else {
+            this.cacheManager.invalidate('dashboard');
+        }
+        
+        // Clear local cache
+        if (pattern) {
+            for (const key of this.cache.keys()) {
+                if (key.includes(pattern)) {
+                    this.cache.delete(key);
+                }
+            }
+        } else {
+            this.cache.clear();
+        }
+    }
+
+    /**
+     * Refresh cache data with new fetch
+     * Requirements: 5.4
+     */
+    async refreshCacheData(key, fetchFunction, options = {}) {
+        return await this.cacheManager.refresh('dashboard', key, fetchFunction, {
+            ttl: options.ttl || this.config.cacheExpiry,
+            tags: options.tags || ['dashboard'],
+            priority: options.priority || 1
+        });
+    }
+
+    /**
+     * Loading state management
+     */
+    setLoadingState(component, isLoading) {
+        this.loadingStates.set(component, isLoading);
+        
+        // Emit loading state change event
+        window.dispatchEvent(new CustomEvent('dashboardLoadingStateChange', {
+            detail: {
+                component,
+                isLoading,
+                allStates: Object.fromEntries(this.loadingStates)
+            }
+        }));
+    }
+
+    getLoadingState(component) {
+        return this.loadingStates.get(component) || false;
+    }
+
+    isAnyLoading() {
+        return Array.from(this.loadingStates.values()).some(state => state);
+    }
+
+    /**
+     * Error handling
+     */
+    handleError(operation, error) {
+        console.error(`Dashboard Data Manager - ${operation}:`, error);
+        
+        if (this.errorHandler) {
+            this.errorHandler.handleComponentError('DashboardDataManager', error, {
+                operation,
+                timestamp: new Date()
+            });
+        }
+    }
+
+    /**
+     * Process Promise.allSettled results
+     */
+    processResult(result, type) {
+        if (result.status === 'fulfilled') {
+            return {
+                success: true,
+                data: result.value,
+                type
+            };
+        } else {
+            return {
+                success: false,
+                error: result.reason,
+                type,
+                fallbackData: this.getFallbackData(type)
+            };
+        }
+    }
+
+    /**
+     * Get fallback data for failed requests
+     */
+    getFallbackData(type) {
+        switch (type) {
+            case 'portfolio':
+                return {
+                    holdings: [],
+                    summary: {
+                        totalInvested: 0,
+                        currentValue: 0,
+                        realizedPnL: 0,
+                        unrealizedPnL: 0,
+                        totalPnL: 0,
+                        totalPnLPercent: 0,
+                        holdingsCount: 0
+                    }
+                };
+            case 'funds':
+                return { amount: 0, currency: '₹' };
+            case 'rank':
+                return { userRank: 1, totalParticipants: 1, percentile: 100 };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Abort all active requests
+     */
+    abortAllRequests() {
+        for (const controller of this.abortControllers.values()) {
+            controller.abort();
+        }
+        this.abortControllers.clear();
+        this.activeRequests.clear();
+    }
+
+    /**
+     * Get manager statistics
+     */
+    getStats() {
+        return {
+            cacheSize: this.cache.size,
+            activeRequests: this.activeRequests.size,
+            loadingStates: Object.fromEntries(this.loadingStates),
+            retryAttempts: Object.fromEntries(this.retryAttempts),
+            config: this.config
+        };
+    }
+
+    /**
+     * Cleanup and destroy
+     */
+    destroy() {
+        this.abortAllRequests();
+        this.cache.clear();
+        this.loadingStates.clear();
+        this.retryAttempts.clear();
+        
+        console.log('Dashboard Data Manager destroyed');
+    }
+}
+
+// Create global instance
+window.DashboardDataManager = DashboardDataManager;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DashboardDataManager;
+}
+// Dashboard functionality for portfolio summary cards and holdings
+class DashboardManager {
+    constructor() {
+        this.portfolioData = {
+            totalHoldings: 0,
+            currentValue: 0,
+            profitLoss: 0,
+            realizedPnl: 0,
+            availableFunds: 0,
+            userRank: 1,
+            totalParticipants: 1
+        };
+        
+        this.animationDuration = 1000; // 1 second
+        this.updateInterval = 5000; // 5 seconds
+        this.rankUpdateInterval = 30000; // 30 seconds
+        
+        // Initialize error handler and data manager integration
+        this.errorHandler = window.errorHandler;
+        this.dataManager = null;
+        this.loadingManager = window.loadingStateManager;
+        this.orderBook = null;
+        this.editingOrderId = null;
+        this.editingBracketSymbol = null;
+        
+        // Retry tracking
+        this.retryAttempts = new Map();
+        this.maxRetries = 3;
+        
+        this.init();
+    }
+    
+    init() {
+        this.initializeManagers();
+        this.setupEventListeners();
+        this.setupMobileEnhancements();
+        this.setupErrorRecovery();
+        this.loadInitialData();
+        this.renderOpenOrders();
+        this.startPeriodicUpdates();
+    }
+    
+    /**
+     * Initialize error handler and data manager
+     */
+    initializeManagers() {
+        // Initialize data manager
+        if (window.DashboardDataManager) {
+            this.dataManager = new window.DashboardDataManager();
+        }
+        
+        // Subscribe to pending limit order changes
+        if (window.orderBook) {
+            this.orderBook = window.orderBook;
+            this.orderBook.subscribe((event, order) => this.handleOrderBookEvent(event, order));
+        }
+        
+        // Ensure error handler is available
+        if (!this.errorHandler && window.EnhancedErrorHandler) {
+            this.errorHandler = new window.EnhancedErrorHandler();
+            this.errorHandler.initialize();
+        }
+        
+        // Setup retry callbacks
+        if (this.errorHandler) {
+            this.errorHandler.addRetryCallback('dashboard-portfolio', () => this.retryPortfolioLoad());
+            this.errorHandler.addRetryCallback('dashboard-funds', () => this.retryFundsLoad());
+            this.errorHandler.addRetryCallback('dashboard-rank', () => this.retryRankLoad());
+            this.errorHandler.addRetryCallback('dashboard-holdings', () => this.retryHoldingsLoad());
+            this.errorHandler.addRetryCallback('dashboard-watchlist', () => this.retryWatchlistLoad());
+        }
+    }
+    
+    /**
+     * Setup error recovery mechanisms
+     */
+    setupErrorRecovery() {
+        // Listen for loading retry events
+        document.addEventListener('loadingRetry', (event) => {
+            const { component } = event.detail;
+            this.handleRetryRequest(component);
+        });
+        
+        // Listen for data manager loading state changes
+        window.addEventListener('dashboardLoadingStateChange', (event) => {
+            const { component, isLoading } = event.detail;
+            this.handleLoadingStateChange(component, isLoading);
+        });
+    }
+    
+    setupEventListeners() {
+        // Add any event listeners for dashboard interactions
+        document.addEventListener('DOMContentLoaded', () => {
+            this.animateWelcomeMessage();
+        });
+
+        // Handle swipe events on watchlist items
+        document.addEventListener('removestock', (e) => {
+            this.handleRemoveStock(e.detail.symbol);
+        });
+
+        document.addEventListener('tradestock', (e) => {
+            this.handleTradeStock(e.detail.symbol);
+        });
+
+        // Handle pull-to-refresh
+        document.addEventListener('pullrefresh', (e) => {
+            this.handlePullToRefresh();
+        });
+
+        // Handle orientation change
+        window.addEventListener('orientationchange', () => {
+            setTimeout(() => {
+                this.handleOrientationChange();
+            }, 100);
+        });
+    }
+
+    setupMobileEnhancements() {
+        // Add pull-to-refresh to main content
+        const mainContent = document.querySelector('.dashboard-content');
+        if (mainContent && this.isMobile()) {
+            mainContent.classList.add('pull-to-refresh');
+        }
+
+        // Add swipeable class to watchlist items
+        this.setupWatchlistSwipes();
+
+        // Add touch feedback to summary cards
+        this.setupCardTouchFeedback();
+
+        // Setup mobile-specific table handling
+        this.setupMobileTableHandling();
+    }
+
+    isMobile() {
+        return window.innerWidth <= 768 || /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    }
+
+    setupWatchlistSwipes() {
+        // This will be called when watchlist items are created
+        const observer = new MutationObserver((mutations) => {
+            mutations.forEach((mutation) => {
+                mutation.addedNodes.forEach((node) => {
+                    if (node.nodeType === 1 && node.classList.contains('watchlist-item')) {
+                        this.addSwipeSupport(node);
+                    }
+                });
+            });
+        });
+
+        const watchlistContainer = document.querySelector('#watchlistTable');
+        if (watchlistContainer) {
+            observer.observe(watchlistContainer, { childList: true, subtree: true });
+        }
+    }
+
+    addSwipeSupport(item) {
+        if (!this.isMobile()) return;
+
+        item.classList.add('swipeable');
+        
+        // Add data attribute for symbol
+        const symbolElement = item.querySelector('.stock-symbol');
+        if (symbolElement) {
+            item.dataset.symbol = symbolElement.textContent.trim();
+        }
+    }
+
+    setupCardTouchFeedback() {
+        const summaryCards = document.querySelectorAll('.summary-card');
+        summaryCards.forEach(card => {
+            if (this.isMobile()) {
+                card.addEventListener('touchstart', () => {
+                    card.classList.add('touch-active');
+                });
+
+                card.addEventListener('touchend', () => {
+                    setTimeout(() => {
+                        card.classList.remove('touch-active');
+                    }, 150);
+                });
+            }
+        });
+    }
+
+    setupMobileTableHandling() {
+        if (!this.isMobile()) return;
+
+        const tables = document.querySelectorAll('.modern-table-container table');
+        tables.forEach(table => {
+            // Add mobile-specific attributes to table cells
+            const rows = table.querySelectorAll('tbody tr');
+            rows.forEach(row => {
+                const cells = row.querySelectorAll('td');
+                const headers = table.querySelectorAll('thead th');
+                
+                cells.forEach((cell, index) => {
+                    if (headers[index]) {
+                        cell.setAttribute('data-label', headers[index].textContent.trim());
+                    }
+                });
+            });
+        });
+    }
+
+    handleRemoveStock(symbol) {
+        if (!symbol) return;
+
+        // Show confirmation with haptic feedback
+        if (this.isMobile() && navigator.vibrate) {
+            navigator.vibrate(50); // Light haptic feedback
+        }
+
+        // Call existing remove stock functionality
+        if (typeof AddStock === 'function') {
+            const actionData = {
+                Stock: symbol,
+                AddDel: 0, // 0 for delete
+                GameType: this.getGameType()
+            };
+
+            $.ajax({
+                url: "/api/AddDelete",
+                type: "GET",
+                data: actionData,
+                success: (data) => {
+                    this.loadWatchlistData();
+                    this.showNotification(`${symbol} removed from watchlist`, 'success');
+                    
+                    // Haptic feedback for success
+                    if (this.isMobile() && navigator.vibrate) {
+                        navigator.vibrate([50, 50, 50]);
+                    }
+                },
+                error: () => {
+                    this.showNotification('Failed to remove stock from watchlist', 'error');
+                }
+            });
+        }
+    }
+
+    handleTradeStock(symbol) {
+        if (!symbol) return;
+
+        // Light haptic feedback
+        if (this.isMobile() && navigator.vibrate) {
+            navigator.vibrate(30);
+        }
+
+        // Open stock modal (assuming this function exists)
+        if (typeof openStockModal === 'function') {
+            openStockModal(symbol);
+        } else {
+            // Fallback: trigger click on existing trade button
+            const tradeBtn = document.querySelector(`[data-symbol="${symbol}"] .trade-btn`);
+            if (tradeBtn) {
+                tradeBtn.click();
+            }
+        }
+    }
+
+    handlePullToRefresh() {
+        // Refresh all dashboard data
+        this.loadInitialData();
+        
+        // Hide refresh indicator after data loads
+        setTimeout(() => {
+            const refreshElement = document.querySelector('.pull-to-refresh');
+            if (refreshElement) {
+                refreshElement.classList.remove('refreshing');
+            }
+        }, 1500);
+    }
+
+    handleOrientationChange() {
+        // Recalculate layouts and refresh charts
+        if (typeof window.stockChart !== 'undefined' && window.stockChart.resize) {
+            window.stockChart.resize();
+        }
+
+        // Refresh table layouts
+        this.setupMobileTableHandling();
+
+        // Trigger window resize for other components
+        window.dispatchEvent(new Event('resize'));
+    }
+    
+    animateWelcomeMessage() {
+        const welcomeTitle = document.getElementById('user');
+        if (welcomeTitle) {
+            setTimeout(() => {
+                welcomeTitle.style.opacity = '0';
+                welcomeTitle.style.transform = 'translateY(-20px)';
+                welcomeTitle.style.transition = 'all 0.5s ease-out';
+            }, 2000);
+        }
+    }
+    
+    async loadInitialData() {
+        try {
+            // Use data manager if available for coordinated loading
+            if (this.dataManager) {
+                await this.loadDataWithManager();
+            } else {
+                // Fallback to individual loading with enhanced error handling
+                await this.loadDataIndividually();
+            }
+        } catch (error) {
+            this.handleCriticalError('loadInitialData', error);
+        }
+    }
+    
+    /**
+     * Load data using the dashboard data manager
+     */
+    async loadDataWithManager() {
+        const gameType = this.getGameType();
+        const userId = this.getCurrentUserId();
+        
+        try {
+            // Start loading states
+            this.startLoadingStates();
+            
+            // Load all dashboard data simultaneously
+            const dashboardData = await this.dataManager.loadDashboardData(userId, gameType);
+            
+            // Process successful data
+            this.processDashboardData(dashboardData);
+            
+            // Load additional data that's not part of core dashboard
+            await Promise.allSettled([
+                this.loadHoldingsDataWithErrorHandling(),
+                this.loadWatchlistDataWithErrorHandling()
+            ]);
+            
+        } catch (error) {
+            this.handleDashboardLoadError(error);
+        } finally {
+            this.completeLoadingStates();
+        }
+    }
+    
+    /**
+     * Load data individually with enhanced error handling
+     */
+    async loadDataIndividually() {
+        // Start loading states
+        this.startLoadingStates();
+        
+        // Load data with individual error handling
+        const dataPromises = [
+            this.updatePortfolioSummaryWithErrorHandling(),
+            this.updateUserRankWithErrorHandling(),
+            this.loadHoldingsDataWithErrorHandling(),
+            this.loadWatchlistDataWithErrorHandling()
+        ];
+        
+        // Wait for all operations to complete
+        const results = await Promise.allSettled(dataPromises);
+        
+        // Process results and show specific errors
+        this.processLoadResults(results);
+        
+        this.completeLoadingStates();
+    }
+    
+    /**
+     * Start loading states for all components
+     */
+    startLoadingStates() {
+        if (this.loadingManager) {
+            this.loadingManager.startLoading('portfolio-summary', {
+                message: 'Loading portfolio data...',
+                timeout: 10000,
+                onTimeout: () => this.handleTimeout('portfolio')
+            });
+            
+            this.loadingManager.startLoading('holdings-table', {
+                message: 'Loading holdings...',
+                timeout: 10000,
+                onTimeout: () => this.handleTimeout('holdings')
+            });
+            
+            this.loadingManager.startLoading('watchlist-table', {
+                message: 'Loading watchlist...',
+                timeout: 10000,
+                onTimeout: () => this.handleTimeout('watchlist')
+            });
+        } else {
+            // Fallback loading indicators
+            this.showPortfolioLoading();
+            this.showHoldingsLoading();
+            this.showWatchlistLoading();
+        }
+    }
+    
+    /**
+     * Complete loading states for all components
+     */
+    completeLoadingStates() {
+        if (this.loadingManager) {
+            this.loadingManager.completeLoading('portfolio-summary', true);
+            this.loadingManager.completeLoading('holdings-table', true);
+            this.loadingManager.completeLoading('watchlist-table', true);
+        }
+    }
+    
+    showPortfolioLoading() {
+        const portfolioCards = document.querySelectorAll('.summary-card .card-body');
+        portfolioCards.forEach(card => {
+            if (window.lottieManager) {
+                window.lottieManager.showLoading(card, {
+                    width: '40px',
+                    height: '40px',
+                    minHeight: '60px'
+                });
+            }
+        });
+    }
+    
+    showHoldingsLoading() {
+        const holdingsContainer = document.getElementById('holdingsTable');
+        if (holdingsContainer && window.lottieManager) {
+            window.lottieManager.showLoading(holdingsContainer, {
+                width: '60px',
+                height: '60px',
+                text: 'Loading holdings...',
+                minHeight: '200px'
+            });
+        }
+    }
+    
+    showWatchlistLoading() {
+        const watchlistContainer = document.getElementById('watchlistTable');
+        if (watchlistContainer && window.lottieManager) {
+            window.lottieManager.showLoading(watchlistContainer, {
+                width: '60px',
+                height: '60px',
+                text: 'Loading watchlist...',
+                minHeight: '200px'
+            });
+        }
+    }
+    
+    startPeriodicUpdates() {
+        // Update holdings and watchlist every 5 seconds
+        setInterval(() => {
+            this.updatePortfolioSummary();
+            this.loadHoldingsData();
+            // Watchlist quotes don't change while the market is closed
+            if (!window.marketSession || window.marketSession.isOpen()) {
+                this.loadWatchlistData();
+            }
+        }, this.updateInterval);
+        
+        // Update rank every 30 seconds
+        setInterval(() => {
+            this.updateUserRank();
+        }, this.rankUpdateInterval);
+    }
+    
+    updatePortfolioSummary() {
+        return this.updatePortfolioSummaryWithErrorHandling();
+    }
+    
+    loadHoldingsData() {
+        return this.loadHoldingsDataWithErrorHandling();
+    }
+    
+    loadWatchlistData() {
+        return this.loadWatchlistDataWithErrorHandling();
+    }
+    
+    updateUserRank() {
+        return this.updateUserRankWithErrorHandling();
+    }
+    
+    /**
+     * Update portfolio summary with enhanced error handling
+     */
+    async updatePortfolioSummaryWithErrorHandling() {
+        const operation = 'portfolio-summary';
+        
+        try {
+            if (this.dataManager) {
+                // Use data manager for portfolio data
+                const gameType = this.getGameType();
+                const userId = this.getCurrentUserId();
+                
+                const [portfolioData, fundsData] = await Promise.all([
+                    this.dataManager.loadPortfolioData(userId, gameType),
+                    this.dataManager.getAvailableFunds(gameType)
+                ]);
+                
+                this.processPortfolioData(portfolioData);
+                this.processFundsData(fundsData);
+                
+            } else {
+                // Fallback to legacy method with error handling
+                await this.updatePortfolioSummaryLegacy();
+            }
+            
+        } catch (error) {
+            this.handleOperationError(operation, error, () => this.retryPortfolioLoad());
+        }
+    }
+    
+    /**
+     * Legacy portfolio summary update with error handling
+     */
+    updatePortfolioSummaryLegacy() {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: "/api/UserStocks",
+                dataType: "json",
+                data: { "GameType": this.getGameType() },
+                contentType: "application/json",
+                timeout: 10000,
+                success: (data) => {
+                    try {
+                        const listData = JSON.parse(data).Value.UserStockList;
+                        this.calculatePortfolioMetrics(listData);
+                        this.updatePortfolioCards();
+                        resolve(data);
+                    } catch (parseError) {
+                        reject(new Error('Failed to parse portfolio data'));
+                    }
+                },
+                error: (xhr, status, error) => {
+                    const apiError = new Error(error || 'Failed to load portfolio data');
+                    apiError.status = xhr.status;
+                    apiError.statusText = xhr.statusText;
+                    reject(apiError);
+                }
+            });
+            
+            // Also update available funds and realized P&L
+            this.updateAvailableFundsLegacy().catch(reject);
+            this.updateRealizedPnlLegacy();
+        });
+    }
+    
+    /**
+     * Realized P&L of the FIFO tax lots; the cards keep the last value if it fails
+     */
+    updateRealizedPnlLegacy() {
+        return new Promise((resolve) => {
+            $.ajax({
+                type: "GET",
+                url: "/api/TaxLots",
+                data: { gameType: this.getGameType() },
+                dataType: "json",
+                timeout: 10000,
+                success: (summary) => {
+                    this.portfolioData.realizedPnl = parseFloat(summary?.realizedPnl) || 0;
+                    this.updatePortfolioCards();
+                    resolve(summary);
+                },
+                error: () => {
+                    console.warn('Realized P&L unavailable');
+                    resolve(null);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Update available funds with error handling
+     */
+    updateAvailableFundsLegacy() {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                type: "GET",
+                url: "/api/GetFunds",
+                data: { "GameType": this.getGameType() },
+                contentType: "application/json",
+                timeout: 10000,
+                success: (funds) => {
+                    this.portfolioData.availableFunds = parseFloat(funds) || 0;
+                    this.animateCounter('availableFunds', this.portfolioData.availableFunds, 2);
+                    resolve(funds);
+                },
+                error: (xhr, status, error) => {
+                    const apiError = new Error(error || 'Failed to load available funds');
+                    apiError.status = xhr.status;
+                    reject(apiError);
+                }
+            });
+        });
+    }
+    
+    calculatePortfolioMetrics(holdings) {
+        if (!holdings || holdings.length === 0) {
+            this.portfolioData = {
+                totalHoldings: 0,
+                currentValue: 0,
+                profitLoss: 0,
+                realizedPnl: this.portfolioData.realizedPnl,
+                availableFunds: this.portfolioData.availableFunds,
+                userRank: this.portfolioData.userRank,
+                totalParticipants: this.portfolioData.totalParticipants
+            };
+            return;
+        }
+        
+        let totalHoldings = 0;
+        let currentValue = 0;
+        
+        holdings.forEach(stock => {
+            const position = this.getPositionMetrics(stock);
+            stock.ProfitLoss = position.profitLoss.toFixed(2);
+            totalHoldings += position.investedValue;
+            currentValue += position.currentValue;
+        });
+        
+        this.portfolioData.totalHoldings = totalHoldings;
+        this.portfolioData.currentValue = currentValue;
+        this.portfolioData.profitLoss = currentValue - totalHoldings;
+    }
+    
+    /**
+     * Value, P&L and day's change of a holding from the data manager, at the
+     * holding's current price and with the open lots it was processed with
+     */
+    getPositionMetrics(stock) {
+        return window.DashboardDataManager.calculatePositionMetrics(stock, stock.lots || null);
+    }
+    
+    /**
+     * Day's change of all holdings, in rupees and as a percentage of their value at the previous close
+     */
+    getDayChange(holdings) {
+        return window.DashboardDataManager.getDayChange((holdings || []).map(stock => this.getPositionMetrics(stock)));
+    }
+    
+    /**
+     * Today's P&L card; follows the holdings as their prices refresh
+     */
+    updateTodayPnlCard(holdings) {
+        const { dayChange, dayChangePercent } = this.getDayChange(holdings);
+        this.updatePnlCard('todayPnl', dayChange);
+        
+        const percentElement = document.getElementById('todayPnlPercent');
+        if (percentElement) {
+            percentElement.textContent = `(${dayChangePercent >= 0 ? '+' : ''}${dayChangePercent.toFixed(2)}%)`;
+        }
+    }
+    
+    getDayChangeHTML(stock) {
+        const position = this.getPositionMetrics(stock);
+        if (position.previousValue <= 0) return '';
+        
+        const sign = position.dayChange >= 0 ? '+' : '-';
+        return `
+            <span class="day-change ${position.dayChange >= 0 ? 'positive' : 'negative'}" title="Change since previous close ₹${parseFloat(stock.Close).toFixed(2)}">
+                ${sign}₹${Math.abs(position.dayChange).toFixed(2)} (${sign}${Math.abs(position.dayChangePercent).toFixed(2)}%)
+            </span>
+        `;
+    }
+    
+    updatePortfolioCards() {
+        // Animate portfolio value
+        this.animateCounter('portfolioValue', this.portfolioData.currentValue, 2);
+        
+        // Update P&L with color coding
+        const changeElement = document.getElementById('portfolioChange');
+        const changeValueElement = document.getElementById('portfolioChangeValue');
+        const changePercentElement = document.getElementById('portfolioChangePercent');
+        
+        if (changeElement && changeValueElement && changePercentElement) {
+            // Total P&L: realized on closed lots plus unrealized on open holdings
+            const pnl = this.portfolioData.profitLoss + this.portfolioData.realizedPnl;
+            const pnlPercent = this.portfolioData.totalHoldings > 0 ? 
+                (pnl / this.portfolioData.totalHoldings) * 100 : 0;
+            
+            changeValueElement.textContent = `${pnl >= 0 ? '+' : ''}₹${Math.abs(pnl).toFixed(2)}`;
+            changePercentElement.textContent = `(${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)`;
+            
+            // Update color class
+            changeElement.className = 'change-indicator ' + (pnl >= 0 ? 'positive' : 'negative');
+        }
+        
+        this.updatePnlCard('realizedPnl', this.portfolioData.realizedPnl);
+        this.updatePnlCard('unrealizedPnl', this.portfolioData.profitLoss);
+        this.updateBenchmarkComparison();
+    }
+    
+    /**
+     * Portfolio and benchmark returns since the first snapshot, from the equity
+     * curve so both cover the same period; blank until the benchmark has loaded
+     */
+    updateBenchmarkComparison() {
+        const element = document.getElementById('portfolioBenchmark');
+        const comparison = window.equityCurve?.getInceptionComparison?.();
+        if (!element) return;
+
+        if (!comparison || !window.EquityCurve) {
+            element.textContent = '';
+            return;
+        }
+
+        element.textContent = window.EquityCurve.formatComparison(comparison);
+        element.className = 'benchmark-comparison ' + (comparison.alpha >= 0 ? 'positive' : 'negative');
+    }
+    
+    /**
+     * Signed amount and colour of a realized/unrealized P&L card
+     */
+    updatePnlCard(elementId, pnl) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+        
+        element.textContent = `${pnl >= 0 ? '+' : '-'}₹${Math.abs(pnl).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        element.closest('.value-display')?.classList.toggle('negative', pnl < 0);
+        element.closest('.value-display')?.classList.toggle('positive', pnl >= 0);
+    }
+    
+    updateAvailableFunds() {
+        $.ajax({
+            type: "GET",
+            url: "/api/GetFunds",
+            data: { "GameType": this.getGameType() },
+            contentType: "application/json",
+            success: (funds) => {
+                this.portfolioData.availableFunds = parseFloat(funds) || 0;
+                this.animateCounter('availableFunds', this.portfolioData.availableFunds, 2);
+            },
+            error: (error) => {
+                console.error("Failed to load funds:", error);
+            }
+        });
+    }
+    
+    /**
+     * Update user rank with enhanced error handling
+     */
+    async updateUserRankWithErrorHandling() {
+        const operation = 'user-rank';
+        
+        try {
+            if (this.dataManager) {
+                const gameType = this.getGameType();
+                const rankData = await this.dataManager.calculateUserRank(gameType);
+                this.processRankData(rankData);
+            } else {
+                await this.updateUserRankLegacy();
+            }
+        } catch (error) {
+            this.handleOperationError(operation, error, () => this.retryRankLoad());
+        }
+    }
+    
+    /**
+     * Legacy user rank update with error handling
+     */
+    updateUserRankLegacy() {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                type: "GET",
+                url: "/api/GetRank",
+                data: { "GameType": this.getGameType() },
+                contentType: "application/json",
+                timeout: 10000,
+                success: (rankData) => {
+                    try {
+                        const rankParts = rankData.split(" / ");
+                        this.portfolioData.userRank = parseInt(rankParts[0]) || 1;
+                        this.portfolioData.totalParticipants = parseInt(rankParts[1]) || 1;
+                        
+                        this.animateCounter('userRank', this.portfolioData.userRank, 0);
+                        this.animateCounter('totalParticipants', this.portfolioData.totalParticipants, 0);
+                        resolve(rankData);
+                    } catch (parseError) {
+                        reject(new Error('Failed to parse rank data'));
+                    }
+                },
+                error: (xhr, status, error) => {
+                    const apiError = new Error(error || 'Failed to load user rank');
+                    apiError.status = xhr.status;
+                    reject(apiError);
+                }
+            });
+        });
+    }
+    
+    animateCounter(elementId, targetValue, decimals = 0) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+        
+        const startValue = parseFloat(element.textContent.replace(/[₹,]/g, '')) || 0;
+        const difference = targetValue - startValue;
+        const startTime = performance.now();
+        
+        const animate = (currentTime) => {
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(elapsed / this.animationDuration, 1);
+            
+            // Easing function for smooth animation
+            const easeOutQuart = 1 - Math.pow(1 - progress, 4);
+            const currentValue = startValue + (difference * easeOutQuart);
+            
+            element.textContent = currentValue.toFixed(decimals);
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                element.textContent = targetValue.toFixed(decimals);
+            }
+        };
+        
+        requestAnimationFrame(animate);
+    }
+    
+    /**
+     * Load holdings data with enhanced error handling
+     */
+    async loadHoldingsDataWithErrorHandling() {
+        const operation = 'holdings-data';
+        
+        try {
+            if (this.dataManager) {
+                const gameType = this.getGameType();
+                const userId = this.getCurrentUserId();
+                const portfolioData = await this.dataManager.loadPortfolioData(userId, gameType);
+                this.renderModernHoldingsTable(portfolioData.holdings);
+            } else {
+                await this.loadHoldingsDataLegacy();
+            }
+        } catch (error) {
+            this.handleOperationError(operation, error, () => this.retryHoldingsLoad());
+        }
+    }
+    
+    /**
+     * Legacy holdings data loading with error handling
+     */
+    loadHoldingsDataLegacy() {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: "/api/UserStocks",
+                dataType: "json",
+                data: { "GameType": this.getGameType() },
+                contentType: "application/json",
+                timeout: 10000,
+                success: (data) => {
+                    try {
+                        const listData = JSON.parse(data).Value.UserStockList;
+                        this.renderModernHoldingsTable(listData);
+                        resolve(data);
+                    } catch (parseError) {
+                        reject(new Error('Failed to parse holdings data'));
+                    }
+                },
+                error: (xhr, status, error) => {
+                    const apiError = new Error(error || 'Failed to load holdings data');
+                    apiError.status = xhr.status;
+                    reject(apiError);
+                }
+            });
+        });
+    }
+    
+    renderModernHoldingsTable(holdings) {
+        const container = document.getElementById('holdingsTable');
+        if (!container) return;
+        
+        if (!holdings || holdings.length === 0) {
+            // Show empty state with Lottie animation
+            if (window.lottieManager) {
+                window.lottieManager.showEmptyState(container, {
+                    title: 'No Holdings Yet',
+                    message: 'Start trading to see your portfolio here',
+                    actionText: 'Add Stocks to Watchlist',
+                    actionCallback: () => this.focusStockSearch(),
+                    width: '120px',
+                    height: '120px'
+                });
+            } else {
+                container.innerHTML = this.getEmptyHoldingsHTML();
+            }
+            this.updateTodayPnlCard([]);
+            return;
+        }
+        
+        // Calculate P&L for each holding
+        holdings.forEach(stock => {
+            const position = this.getPositionMetrics(stock);
+            stock.ProfitLoss = position.profitLoss.toFixed(2);
+            stock.ProfitLossPercent = position.profitLossPercent.toFixed(2);
+        });
+        
+        // Store holdings data for sorting/filtering
+        this.currentHoldings = holdings;
+        
+        // Latest prices may trigger resting limit orders
+        if (this.orderBook) {
+            this.orderBook.processQuotes(holdings);
+        }
+        
+        const tableHTML = `
+            <div class="holdings-controls">
+                <div class="controls-left">
+                    <div class="search-box">
+                        <i class="fas fa-search"></i>
+                        <input type="text" id="holdingsSearch" placeholder="Search holdings..." class="form-control">
+                    </div>
+                </div>
+                <div class="controls-right">
+                    <div class="sort-dropdown">
+                        <select id="holdingsSort" class="form-select">
+                            <option value="name">Sort by Name</option>
+                            <option value="quantity">Sort by Quantity</option>
+                            <option value="pnl">Sort by P&L</option>
+                            <option value="value">Sort by Value</option>
+                            <option value="dayChange">Sort by Day's Change</option>
+                        </select>
+                    </div>
+                </div>
+            </div>
+            <div class="modern-table">
+                <div class="table-header">
+                    <div class="header-cell stock-col sortable" data-sort="name">
+                        Stock <i class="fas fa-sort"></i>
+                    </div>
+                    <div class="header-cell qty-col sortable" data-sort="quantity">
+                        Qty <i class="fas fa-sort"></i>
+                    </div>
+                    <div class="header-cell price-col sortable" data-sort="avgPrice">
+                        Avg Price <i class="fas fa-sort"></i>
+                    </div>
+                    <div class="header-cell price-col sortable" data-sort="currentPrice">
+                        LTP <i class="fas fa-sort"></i>
+                    </div>
+                    <div class="header-cell pnl-col sortable" data-sort="pnl">
+                        P&L <i class="fas fa-sort"></i>
+                    </div>
+                    <div class="header-cell actions-col">Actions</div>
+                </div>
+                <div class="table-body" id="holdingsTableBody">
+                    ${this.renderHoldingsRows(holdings)}
+                </div>
+            </div>
+        `;
+        
+        container.innerHTML = tableHTML;
+        this.addHoldingRowEventListeners();
+        this.setupHoldingsControls();
+        this.renderHoldingsSummary(holdings);
+        this.updateTodayPnlCard(holdings);
+    }
+    
+    renderHoldingsRows(holdings) {
+        return holdings.map(stock => this.getHoldingRowHTML(stock)).join('');
+    }
+    
+    setupHoldingsControls() {
+        // Search functionality
+        const searchInput = document.getElementById('holdingsSearch');
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => {
+                this.filterHoldings(e.target.value);
+            });
+        }
+        
+        // Sort functionality
+        const sortSelect = document.getElementById('holdingsSort');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => {
+                this.sortHoldings(e.target.value);
+            });
+        }
+        
+        // Header click sorting
+        document.querySelectorAll('.header-cell.sortable').forEach(header => {
+            header.addEventListener('click', () => {
+                const sortBy = header.dataset.sort;
+                this.sortHoldings(sortBy);
+                this.updateSortIndicators(header);
+            });
+        });
+    }
+    
+    filterHoldings(searchTerm) {
+        if (!this.currentHoldings) return;
+        
+        const filtered = this.currentHoldings.filter(stock => 
+            stock.Name.toLowerCase().includes(searchTerm.toLowerCase())
+        );
+        
+        const tableBody = document.getElementById('holdingsTableBody');
+        if (tableBody) {
+            tableBody.innerHTML = this.renderHoldingsRows(filtered);
+            this.addHoldingRowEventListeners();
+        }
+    }
+    
+    sortHoldings(sortBy) {
+        if (!this.currentHoldings) return;
+        
+        const sorted = [...this.currentHoldings].sort((a, b) => {
+            switch (sortBy) {
+                case 'name':
+                    return a.Name.localeCompare(b.Name);
+                case 'quantity':
+                    return b.Count - a.Count;
+                case 'pnl':
+                    return parseFloat(b.ProfitLoss) - parseFloat(a.ProfitLoss);
+                case 'value':
+                    return (b.Price * b.Count) - (a.Price * a.Count);
+                case 'avgPrice':
+                    return b.AveragePrice - a.AveragePrice;
+                case 'currentPrice':
+                    return b.Price - a.Price;
+                case 'dayChange':
+                    return this.getPositionMetrics(b).dayChange - this.getPositionMetrics(a).dayChange;
+                default:
+                    return 0;
+            }
+        });
+        
+        const tableBody = document.getElementById('holdingsTableBody');
+        if (tableBody) {
+            // Add fade out animation
+            tableBody.style.opacity = '0.5';
+            
+            setTimeout(() => {
+                tableBody.innerHTML = this.renderHoldingsRows(sorted);
+                this.addHoldingRowEventListeners();
+                
+                // Fade back in
+                tableBody.style.opacity = '1';
+            }, 150);
+        }
+    }
+    
+    updateSortIndicators(activeHeader) {
+        // Remove active class from all headers
+        document.querySelectorAll('.header-cell.sortable').forEach(header => {
+            header.classList.remove('sort-asc', 'sort-desc');
+        });
+        
+        // Add active class to clicked header
+        const currentSort = activeHeader.classList.contains('sort-asc') ? 'desc' : 'asc';
+        activeHeader.classList.remove('sort-asc', 'sort-desc');
+        activeHeader.classList.add(`sort-${currentSort}`);
+    }
+    
+    renderHoldingsSummary(holdings) {
+        const summaryContainer = document.getElementById('holdingsSummary');
+        if (!summaryContainer || !holdings || holdings.length === 0) return;
+        
+        let totalInvested = 0;
+        let currentValue = 0;
+        let totalPnL = 0;
+        
+        holdings.forEach(stock => {
+            const position = this.getPositionMetrics(stock);
+            totalInvested += position.investedValue;
+            currentValue += position.currentValue;
+            totalPnL += position.profitLoss;
+        });
+        
+        const pnlPercent = totalInvested > 0 ? ((totalPnL / totalInvested) * 100) : 0;
+        const pnlClass = totalPnL >= 0 ? 'positive' : 'negative';
+        const { dayChange, dayChangePercent } = this.getDayChange(holdings);
+        
+        const summaryHTML = `
+            <div class="summary-grid">
+                <div class="summary-item">
+                    <div class="summary-label">Total Invested</div>
+                    <div class="summary-value">₹${totalInvested.toFixed(2)}</div>
+                </div>
+                <div class="summary-item">
+                    <div class="summary-label">Current Value</div>
+                    <div class="summary-value">₹${currentValue.toFixed(2)}</div>
+                </div>
+                <div class="summary-item">
+                    <div class="summary-label">Total P&L</div>
+                    <div class="summary-value ${pnlClass}">
+                        ${totalPnL >= 0 ? '+' : ''}₹${totalPnL.toFixed(2)}
+                        <small>(${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)</small>
+                    </div>
+                </div>
+                <div class="summary-item">
+                    <div class="summary-label">Today's P&L</div>
+                    <div class="summary-value ${dayChange >= 0 ? 'positive' : 'negative'}">
+                        ${dayChange >= 0 ? '+' : ''}₹${dayChange.toFixed(2)}
+                        <small>(${dayChangePercent >= 0 ? '+' : ''}${dayChangePercent.toFixed(2)}%)</small>
+                    </div>
+                </div>
+                <div class="summary-item">
+                    <div class="summary-label">Holdings Count</div>
+                    <div class="summary-value">${holdings.length} stocks</div>
+                </div>
+            </div>
+        `;
+        
+        summaryContainer.innerHTML = summaryHTML;
+    }
+    
+    addRealTimeUpdateAnimation(element, type = 'neutral') {
+        if (!element) return;
+        
+        element.classList.add('price-update', type);
+        
+        setTimeout(() => {
+            element.classList.remove('price-update', type);
+        }, 800);
+    }
+    
+    updateHoldingRow(stockName, newData) {
+        const row = document.querySelector(`[data-stock="${stockName}"]`);
+        if (!row) return;
+        
+        // Add updating animation
+        row.classList.add('updating');
+        
+        // Update price cells with animation
+        const priceCell = row.querySelector('.price-col:last-of-type .price');
+        const pnlCell = row.querySelector('.pnl-col');
+        
+        if (priceCell && newData.Price) {
+            const oldPrice = parseFloat(priceCell.textContent.replace('₹', ''));
+            const newPrice = parseFloat(newData.Price);
+            
+            priceCell.textContent = `₹${newPrice.toFixed(2)}`;
+            
+            // Add price change animation
+            const changeType = newPrice > oldPrice ? 'positive' : newPrice < oldPrice ? 'negative' : 'neutral';
+            this.addRealTimeUpdateAnimation(priceCell, changeType);
+        }
+        
+        if (pnlCell && newData.ProfitLoss) {
+            const pnlAmount = pnlCell.querySelector('.pnl-amount');
+            const pnlPercent = pnlCell.querySelector('.pnl-percent');
+            
+            if (pnlAmount) {
+                const pnl = parseFloat(newData.ProfitLoss);
+                const icon = pnl >= 0 ? 'fa-arrow-up' : 'fa-arrow-down';
+                pnlAmount.innerHTML = `<i class="fas ${icon}"></i> ₹${Math.abs(pnl).toFixed(2)}`;
+            }
+            
+            if (pnlPercent && newData.ProfitLossPercent) {
+                pnlPercent.textContent = `(${newData.ProfitLossPercent}%)`;
+            }
+            
+            // Update P&L color class
+            pnlCell.classList.remove('positive', 'negative');
+            pnlCell.classList.add(parseFloat(newData.ProfitLoss) >= 0 ? 'positive' : 'negative');
+            
+            this.addRealTimeUpdateAnimation(pnlCell, parseFloat(newData.ProfitLoss) >= 0 ? 'positive' : 'negative');
+        }
+        
+        // Remove updating animation
+        setTimeout(() => {
+            row.classList.remove('updating');
+        }, 500);
+    }
+    
+    getHoldingRowHTML(stock) {
+        const pnlClass = parseFloat(stock.ProfitLoss) >= 0 ? 'positive' : 'negative';
+        const pnlIcon = parseFloat(stock.ProfitLoss) >= 0 ? 'fa-arrow-up' : 'fa-arrow-down';
+        const isShort = stock.Count < 0;
+        const brackets = this.orderBook && !isShort ? this.orderBook.getActiveBrackets(stock.Name) : [];
+        
+        return `
+            <div class="table-row ${isShort ? 'short-position' : ''}" data-stock="${stock.Name}">
+                <div class="table-cell stock-col">
+                    <div class="stock-info">
+                        <div class="stock-symbol">${stock.Name}</div>
+                        <div class="stock-name">${stock.Name}</div>
+                        ${isShort ? this.getShortBadgeHTML(stock) : ''}
+                        ${brackets.map(bracket => this.getBracketBadgeHTML(bracket)).join('')}
+                    </div>
+                </div>
+                <div class="table-cell qty-col">
+                    <span class="quantity">${stock.Count}</span>
+                </div>
+                <div class="table-cell price-col">
+                    <span class="price">₹${parseFloat(stock.AveragePrice).toFixed(2)}</span>
+                </div>
+                <div class="table-cell price-col">
+                    <span class="price">₹${parseFloat(stock.Price).toFixed(2)}</span>
+                    ${this.getDayChangeHTML(stock)}
+                </div>
+                <div class="table-cell pnl-col ${pnlClass}">
+                    <div class="pnl-container">
+                        <span class="pnl-amount">
+                            <i class="fas ${pnlIcon}"></i>
+                            ₹${Math.abs(parseFloat(stock.ProfitLoss)).toFixed(2)}
+                        </span>
+                        <span class="pnl-percent">(${stock.ProfitLossPercent}%)</span>
+                    </div>
+                </div>
+                <div class="table-cell actions-col">
+                    <button class="btn btn-sm btn-primary trade-btn" onclick="dashboard.openTradeModal('${stock.Name}', ${stock.Price})">
+                        <i class="fas fa-exchange-alt"></i>
+                        Trade
+                    </button>
+                    ${isShort ? '' : `
+                    <button class="btn btn-sm btn-outline-secondary bracket-btn ${brackets.length ? 'active' : ''}"
+                            data-stock="${stock.Name}" title="Stop-loss / Target">
+                        <i class="fas fa-shield-alt"></i>
+                    </button>`}
+                </div>
+            </div>
+            ${this.editingBracketSymbol === stock.Name ? this.getBracketEditorHTML(stock, brackets) : ''}
+        `;
+    }
+    
+    getShortBadgeHTML(stock) {
+        const margin = parseFloat(stock.Margin) || 0;
+        return `<div class="short-badge" title="Intraday short, squared off at market close">SHORT · Margin ₹${margin.toFixed(2)}</div>`;
+    }
+    
+    getBracketBadgeHTML(bracket) {
+        const parts = [];
+        if (bracket.stopLoss !== null) {
+            parts.push(`SL ₹${bracket.stopLoss.toFixed(2)}${bracket.trailing ? ' <i class="fas fa-level-up-alt" title="Trailing"></i>' : ''}`);
+        }
+        if (bracket.takeProfit !== null) {
+            parts.push(`TGT ₹${bracket.takeProfit.toFixed(2)}`);
+        }
+        
+        return `<div class="bracket-badge" title="${bracket.quantity} shares protected">${parts.join(' · ')}</div>`;
+    }
+    
+    /**
+     * Inline editor for the stop-loss / target brackets of a holding.
+     * Shows one form per active bracket, or an empty form to attach a new one.
+     */
+    getBracketEditorHTML(stock, brackets) {
+        const forms = brackets.length > 0 ? brackets : [{
+            id: '',
+            quantity: stock.Count,
+            stopLoss: null,
+            takeProfit: null,
+            trailing: null
+        }];
+        
+        return `
+            <div class="bracket-editor" data-stock="${stock.Name}">
+                ${forms.map(bracket => `
+                    <div class="bracket-form" data-bracket-id="${bracket.id}">
+                        <div class="bracket-form-field">
+                            <label>Qty</label>
+                            <input type="number" class="form-control form-control-sm bracket-qty" min="1" max="${stock.Count}"
+                                   value="${bracket.quantity}" ${bracket.id ? 'disabled' : ''}>
+                        </div>
+                        <div class="bracket-form-field">
+                            <label>Stop-loss</label>
+                            <input type="number" class="form-control form-control-sm bracket-stop" step="0.01"
+                                   value="${bracket.stopLoss ?? ''}">
+                        </div>
+                        <div class="bracket-form-field">
+                            <label>Trailing</label>
+                            <div class="trailing-inputs">
+                                <select class="form-select form-select-sm bracket-trail-mode">
+                                    <option value="" ${!bracket.trailing ? 'selected' : ''}>Off</option>
+                                    <option value="percent" ${bracket.trailing?.mode === 'percent' ? 'selected' : ''}>%</option>
+                                    <option value="amount" ${bracket.trailing?.mode === 'amount' ? 'selected' : ''}>₹</option>
+                                </select>
+                                <input type="number" class="form-control form-control-sm bracket-trail-value" step="0.01" min="0"
+                                       value="${bracket.trailing?.value ?? ''}">
+                            </div>
+                        </div>
+                        <div class="bracket-form-field">
+                            <label>Target</label>
+                            <input type="number" class="form-control form-control-sm bracket-target" step="0.01"
+                                   value="${bracket.takeProfit ?? ''}">
+                        </div>
+                        <div class="bracket-form-actions">
+                            <button class="btn btn-sm btn-primary bracket-save-btn" title="Save">
+                                <i class="fas fa-check"></i>
+                            </button>
+                            ${bracket.id ? `
+                                <button class="btn btn-sm btn-outline-danger bracket-remove-btn" title="Cancel stop-loss / target">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+                <div class="bracket-editor-footer">
+                    <small class="text-muted">Stop-loss and target are one-cancels-other: when one fires the other is cancelled.</small>
+                    <button class="btn btn-sm btn-link bracket-close-btn">Close</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    readBracketForm(form) {
+        const trailingMode = form.querySelector('.bracket-trail-mode')?.value;
+        return {
+            stopLoss: form.querySelector('.bracket-stop')?.value || null,
+            takeProfit: form.querySelector('.bracket-target')?.value || null,
+            trailing: trailingMode
+                ? { mode: trailingMode, value: form.querySelector('.bracket-trail-value')?.value }
+                : null
+        };
+    }
+    
+    saveBracket(stock, form) {
+        const bracketId = form.dataset.bracketId;
+        const levels = this.readBracketForm(form);
+        
+        try {
+            if (bracketId) {
+                this.orderBook.modifyBracket(bracketId, levels);
+            } else {
+                const quantity = parseInt(form.querySelector('.bracket-qty')?.value);
+                if (quantity > stock.Count) {
+                    throw new Error(`You only hold ${stock.Count} shares`);
+                }
+                this.orderBook.attachBracket({
+                    ...levels,
+                    symbol: stock.Name,
+                    quantity,
+                    entryPrice: stock.Price,
+                    gameType: this.getGameType()
+                });
+            }
+            this.editingBracketSymbol = null;
+            this.showNotification(`Stop-loss / target saved for ${stock.Name}`, 'success');
+            this.refreshHoldingsRows();
+        } catch (error) {
+            this.showNotification(`Failed to save stop-loss / target: ${error.message}`, 'error');
+        }
+    }
+    
+    removeBracket(bracketId) {
+        if (!confirm('Cancel this stop-loss / target?')) return;
+        
+        try {
+            this.orderBook.cancelBracket(bracketId);
+            this.editingBracketSymbol = null;
+            this.refreshHoldingsRows();
+        } catch (error) {
+            this.showNotification(`Failed to cancel stop-loss / target: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Re-render holdings rows in place (keeps the table controls)
+     */
+    refreshHoldingsRows() {
+        const tableBody = document.getElementById('holdingsTableBody');
+        if (!tableBody || !this.currentHoldings) return;
+        
+        tableBody.innerHTML = this.renderHoldingsRows(this.currentHoldings);
+        this.addHoldingRowEventListeners();
+    }
+    
+    getEmptyHoldingsHTML() {
+        return `
+            <div class="empty-state">
+                <div class="empty-icon">
+                    <i class="fas fa-chart-line"></i>
+                </div>
+                <h3 class="empty-title">No Holdings Yet</h3>
+                <p class="empty-message">Start trading to see your portfolio here</p>
+                <button class="btn btn-primary" onclick="dashboard.focusStockSearch()">
+                    <i class="fas fa-plus"></i>
+                    Add Stocks to Watchlist
+                </button>
+            </div>
+        `;
+    }
+    
+    addHoldingRowEventListeners() {
+        // Add click handlers for table rows
+        document.querySelectorAll('#holdingsTableBody .table-row').forEach(row => {
+            row.addEventListener('click', (e) => {
+                if (!e.target.closest('.trade-btn, .bracket-btn')) {
+                    const stockName = row.dataset.stock;
+                    this.showStockDetails(stockName);
+                }
+            });
+        });
+        
+        // Stop-loss / target editor
+        document.querySelectorAll('#holdingsTableBody .bracket-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const stockName = btn.dataset.stock;
+                this.editingBracketSymbol = this.editingBracketSymbol === stockName ? null : stockName;
+                this.refreshHoldingsRows();
+            });
+        });
+        
+        document.querySelectorAll('#holdingsTableBody .bracket-editor').forEach(editor => {
+            const stock = (this.currentHoldings || []).find(h => h.Name === editor.dataset.stock);
+            
+            editor.querySelectorAll('.bracket-form').forEach(form => {
+                form.querySelector('.bracket-save-btn')?.addEventListener('click', () => this.saveBracket(stock, form));
+                form.querySelector('.bracket-remove-btn')?.addEventListener('click', () => this.removeBracket(form.dataset.bracketId));
+            });
+            
+            editor.querySelector('.bracket-close-btn')?.addEventListener('click', () => {
+                this.editingBracketSymbol = null;
+                this.refreshHoldingsRows();
+            });
+        });
+    }
+    
+    /**
+     * React to order book changes (placed, modified, cancelled, filled, rejected)
+     */
+    handleOrderBookEvent(event, order) {
+        switch (event) {
+            case 'filled':
+                this.showNotification(
+                    `${order.side.toUpperCase()} ${order.quantity} ${order.symbol} filled at ₹${order.fillPrice.toFixed(2)}` +
+                        (order.fees !== null && order.fees !== undefined ? ` (charges ₹${order.fees.toFixed(2)})` : ''),
+                    'success'
+                );
+                this.refreshAfterExecution();
+                break;
+            case 'rejected':
+                this.showNotification(`Limit order for ${order.symbol} rejected: ${order.rejectionReason}`, 'error');
+                break;
+            case 'bracket-triggered':
+                this.showNotification(
+                    `${order.triggeredLeg === 'stopLoss' ? 'Stop-loss' : 'Target'} hit: sold ${order.quantity} ${order.symbol} at ₹${order.exitPrice.toFixed(2)}`,
+                    'success'
+                );
+                this.refreshAfterExecution();
+                break;
+            case 'bracket-rejected':
+                this.showNotification(`Stop-loss / target for ${order.symbol} failed: ${order.rejectionReason}`, 'error');
+                break;
+        }
+        
+        if (event.startsWith('bracket-')) {
+            // Don't wipe an editor the user is typing into
+            if (!this.editingBracketSymbol) {
+                this.refreshHoldingsRows();
+            }
+        } else {
+            this.renderOpenOrders();
+        }
+    }
+    
+    /**
+     * Reload holdings and funds after an order executed in the background
+     */
+    refreshAfterExecution() {
+        if (this.dataManager) {
+            this.dataManager.clearCache('portfolio');
+            this.dataManager.clearCache('funds');
+            this.dataManager.clearCache('orders');
+        }
+        this.loadHoldingsData();
+        this.updatePortfolioSummary();
+    }
+    
+    renderOpenOrders() {
+        const container = document.getElementById('openOrdersTable');
+        if (!container) return;
+        
+        const orders = this.orderBook ? this.orderBook.getOpenOrders() : [];
+        const countBadge = document.getElementById('openOrdersCount');
+        if (countBadge) {
+            countBadge.textContent = orders.length;
+        }
+        
+        if (orders.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state compact">
+                    <p class="empty-message">No open orders. Limit orders waiting for their price and orders queued for the next open will appear here.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="modern-table open-orders-table">
+                <div class="table-header">
+                    <div class="header-cell stock-col">Stock</div>
+                    <div class="header-cell side-col">Side</div>
+                    <div class="header-cell qty-col">Qty</div>
+                    <div class="header-cell price-col">Limit Price</div>
+                    <div class="header-cell time-col">Placed</div>
+                    <div class="header-cell actions-col">Actions</div>
+                </div>
+                <div class="table-body">
+                    ${orders.map(order => this.getOpenOrderRowHTML(order)).join('')}
+                </div>
+            </div>
+        `;
+        
+        this.addOpenOrderEventListeners(container);
+    }
+    
+    getOpenOrderRowHTML(order) {
+        const isEditing = this.editingOrderId === order.id;
+        const placedAt = new Date(order.createdAt).toLocaleString('en-IN', {
+            day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+        
+        return `
+            <div class="table-row open-order-row ${isEditing ? 'editing' : ''}" data-order-id="${order.id}">
+                <div class="table-cell stock-col">
+                    <div class="stock-symbol">${order.symbol}</div>
+                    ${order.afterMarket ? '<span class="amo-badge" title="Executes at the next market open">AMO</span>' : ''}
+                </div>
+                <div class="table-cell side-col">
+                    <span class="order-side ${order.side}">${order.side.toUpperCase()}</span>
+                </div>
+                <div class="table-cell qty-col">
+                    ${isEditing
+                        ? `<input type="number" class="form-control form-control-sm order-edit-qty" min="1" value="${order.quantity}">`
+                        : `<span class="quantity">${order.quantity}</span>`}
+                </div>
+                <div class="table-cell price-col">
+                    ${isEditing
+                        ? `<input type="number" class="form-control form-control-sm order-edit-price" step="0.01" min="0.01" value="${order.limitPrice ?? ''}" placeholder="${order.afterMarket ? 'Market' : ''}">`
+                        : `<span class="price">${this.formatOrderPrice(order)}</span>`}
+                </div>
+                <div class="table-cell time-col">
+                    <span class="order-time">${placedAt}</span>
+                </div>
+                <div class="table-cell actions-col">
+                    ${isEditing ? `
+                        <button class="btn btn-sm btn-primary order-save-btn" title="Save changes">
+                            <i class="fas fa-check"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-secondary order-edit-cancel-btn" title="Discard changes">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                    ` : `
+                        <button class="btn btn-sm btn-outline-primary order-modify-btn" title="Modify order">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-danger order-cancel-btn" title="Cancel order">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Limit price, or "Market" for an AMO that executes at the open price
+     */
+    formatOrderPrice(order) {
+        return order.limitPrice === null ? 'Market' : `₹${order.limitPrice.toFixed(2)}`;
+    }
+    
+    addOpenOrderEventListeners(container) {
+        container.querySelectorAll('.open-order-row').forEach(row => {
+            const orderId = row.dataset.orderId;
+            
+            row.querySelector('.order-modify-btn')?.addEventListener('click', () => {
+                this.editingOrderId = orderId;
+                this.renderOpenOrders();
+            });
+            
+            row.querySelector('.order-edit-cancel-btn')?.addEventListener('click', () => {
+                this.editingOrderId = null;
+                this.renderOpenOrders();
+            });
+            
+            row.querySelector('.order-save-btn')?.addEventListener('click', () => {
+                this.modifyOpenOrder(orderId, {
+                    quantity: row.querySelector('.order-edit-qty')?.value,
+                    limitPrice: row.querySelector('.order-edit-price')?.value
+                });
+            });
+            
+            row.querySelector('.order-cancel-btn')?.addEventListener('click', () => {
+                this.cancelOpenOrder(orderId);
+            });
+        });
+    }
+    
+    modifyOpenOrder(orderId, changes) {
+        try {
+            this.orderBook.modifyOrder(orderId, changes);
+            this.editingOrderId = null;
+            this.showNotification('Order updated', 'success');
+        } catch (error) {
+            this.showNotification(`Failed to modify order: ${error.message}`, 'error');
+        }
+        this.renderOpenOrders();
+    }
+    
+    cancelOpenOrder(orderId) {
+        const order = this.orderBook?.getOrder(orderId);
+        if (!order || !confirm(`Cancel ${order.side.toUpperCase()} ${order.quantity} ${order.symbol} @ ${this.formatOrderPrice(order)}?`)) {
+            return;
+        }
+        
+        try {
+            this.orderBook.cancelOrder(orderId);
+            this.showNotification(`Order for ${order.symbol} cancelled`, 'success');
+        } catch (error) {
+            this.showNotification(`Failed to cancel order: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Load watchlist data with enhanced error handling
+     */
+    async loadWatchlistDataWithErrorHandling() {
+        const operation = 'watchlist-data';
+        
+        try {
+            // Use modern watchlist if available
+            if (window.modernWatchlist && modernWatchlist.loadWatchlistData) {
+                await new Promise((resolve, reject) => {
+                    try {
+                        modernWatchlist.loadWatchlistData();
+                        resolve();
+                    } catch (error) {
+                        reject(error);
+                    }
+                });
+            } else {
+                await this.loadWatchlistDataLegacy();
+            }
+        } catch (error) {
+            this.handleOperationError(operation, error, () => this.retryWatchlistLoad());
+        }
+    }
+    
+    /**
+     * Legacy watchlist data loading with error handling
+     */
+    loadWatchlistDataLegacy() {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: "/api/UserWatchlist",
+                dataType: "json",
+                data: { "GameType": this.getGameType() },
+                contentType: "application/json",
+                timeout: 10000,
+                success: (data) => {
+                    try {
+                        const listData = JSON.parse(data).Value;
+                        this.renderModernWatchlist(listData);
+                        resolve(data);
+                    } catch (parseError) {
+                        reject(new Error('Failed to parse watchlist data'));
+                    }
+                },
+                error: (xhr, status, error) => {
+                    const apiError = new Error(error || 'Failed to load watchlist data');
+                    apiError.status = xhr.status;
+                    reject(apiError);
+                }
+            });
+        });
+    }
+    
+    renderModernWatchlist(watchlist) {
+        const container = document.getElementById('watchlistTable');
+        if (!container) return;
+        
+        if (!watchlist || watchlist.length === 0) {
+            // Show empty state with Lottie animation
+            if (window.lottieManager) {
+                window.lottieManager.showEmptyState(container, {
+                    title: 'No Stocks in Watchlist',
+                    message: 'Add stocks to track their performance',
+                    width: '100px',
+                    height: '100px'
                 });
             } else {
-                container.innerHTML = this.getEmptyHoldingsHTML();
+                container.innerHTML = this.getEmptyWatchlistHTML();
+            }
+            return;
+        }
+        
+        const watchlistHTML = `
+            <div class="watchlist-items">
+                ${watchlist.map(stock => this.getWatchlistItemHTML(stock)).join('')}
+            </div>
+        `;
+        
+        container.innerHTML = watchlistHTML;
+        this.addWatchlistEventListeners();
+    }
+    
+    getWatchlistItemHTML(stock) {
+        // Calculate change (assuming we have previous price data)
+        const change = 0; // This would come from API
+        const changePercent = 0; // This would come from API
+        const changeClass = change >= 0 ? 'positive' : 'negative';
+        
+        return `
+            <div class="watchlist-item" data-stock="${stock.Name}">
+                <div class="stock-info">
+                    <div class="symbol">${stock.Name}</div>
+                    <div class="name">${stock.Name}</div>
+                </div>
+                <div class="price-info">
+                    <div class="current-price">₹${parseFloat(stock.Price).toFixed(2)}</div>
+                    <div class="change ${changeClass}">
+                        ${change >= 0 ? '+' : ''}${change.toFixed(2)} (${changePercent.toFixed(2)}%)
+                    </div>
+                </div>
+                <div class="actions">
+                    <button class="btn btn-sm btn-primary" onclick="dashboard.openTradeModal('${stock.Name}', ${stock.Price})">
+                        Trade
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" onclick="dashboard.removeFromWatchlist('${stock.Name}')">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+    
+    getEmptyWatchlistHTML() {
+        return `
+            <div class="empty-state">
+                <div class="empty-icon">
+                    <i class="fas fa-eye"></i>
+                </div>
+                <h3 class="empty-title">No Stocks in Watchlist</h3>
+                <p class="empty-message">Add stocks to track their performance</p>
+            </div>
+        `;
+    }
+    
+    addWatchlistEventListeners() {
+        document.querySelectorAll('.watchlist-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                if (!e.target.closest('button')) {
+                    const stockName = item.dataset.stock;
+                    this.showStockDetails(stockName);
+                }
+            });
+        });
+    }
+    
+    openTradeModal(stockName, price) {
+        // Use new modern stock modal if available
+        if (window.stockModal) {
+            const stockData = {
+                symbol: stockName,
+                name: stockName,
+                currentPrice: price,
+                price: price,
+                change: 0, // Would be calculated from real data
+                changePercent: 0,
+                open: price,
+                high: price,
+                low: price,
+                prevClose: price,
+                volume: 0
+            };
+            window.stockModal.show(stockData);
+        } else {
+            // Fallback to existing modal functionality
+            $("#mStock").html(stockName);
+            $("#mPrice").html(price);
+            $("#buyButton").prop("disabled", false);
+            $("#sellButton").prop("disabled", false);
+            $('#myModal').modal('show');
+        }
+    }
+    
+    removeFromWatchlist(stockName) {
+        if (confirm(`Remove ${stockName} from watchlist?`)) {
+            const actionData = {
+                Stock: stockName,
+                AddDel: 0,
+                GameType: this.getGameType()
+            };
+            
+            $.ajax({
+                url: "/api/AddDelete",
+                type: "GET",
+                data: actionData,
+                contentType: "application/json",
+                success: () => {
+                    this.loadWatchlistData();
+                    this.showNotification(`${stockName} removed from watchlist`, 'success');
+                },
+                error: () => {
+                    this.showNotification('Failed to remove stock from watchlist', 'error');
+                }
+            });
+        }
+    }
+    
+    focusStockSearch() {
+        const searchElement = document.getElementById('SearchStocks');
+        if (searchElement) {
+            searchElement.focus();
+        }
+    }
+    
+    showStockDetails(stockName) {
+        // Find stock data from current holdings or watchlist
+        let stockData = null;
+        
+        // Try to find in holdings first
+        if (this.currentHoldings) {
+            const holding = this.currentHoldings.find(h => h.Name === stockName);
+            if (holding) {
+                stockData = {
+                    symbol: holding.Name,
+                    name: holding.Name,
+                    currentPrice: holding.Price,
+                    price: holding.Price,
+                    change: holding.ProfitLoss / holding.Count, // Per share P&L
+                    changePercent: holding.ProfitLossPercent,
+                    open: holding.Price,
+                    high: holding.Price,
+                    low: holding.Price,
+                    prevClose: holding.AveragePrice,
+                    volume: 0
+                };
+            }
+        }
+        
+        // If not found in holdings, create basic stock data
+        if (!stockData) {
+            stockData = {
+                symbol: stockName,
+                name: stockName,
+                currentPrice: 0,
+                price: 0,
+                change: 0,
+                changePercent: 0,
+                open: 0,
+                high: 0,
+                low: 0,
+                prevClose: 0,
+                volume: 0
+            };
+        }
+        
+        // Open stock modal
+        if (window.stockModal) {
+            window.stockModal.show(stockData);
+        } else {
+            console.log(`Show details for ${stockName}`);
+        }
+    }
+    
+    showNotification(message, type = 'info') {
+        // Use Lottie animations for notifications if available
+        if (window.lottieManager && type === 'success') {
+            this.showSuccessNotification(message);
+        } else if (window.lottieManager && type === 'error') {
+            this.showErrorNotification(message);
+        } else {
+            // Fallback to simple notification system
+            const notification = document.createElement('div');
+            notification.className = `notification notification-${type}`;
+            notification.textContent = message;
+            
+            document.body.appendChild(notification);
+            
+            setTimeout(() => {
+                notification.classList.add('show');
+            }, 100);
+            
+            setTimeout(() => {
+                notification.classList.remove('show');
+                setTimeout(() => notification.remove(), 300);
+            }, 3000);
+        }
+    }
+    
+    showSuccessNotification(message) {
+        if (window.lottieManager) {
+            // Create a temporary container for the notification
+            const notificationContainer = document.createElement('div');
+            notificationContainer.className = 'toast-notification success';
+            notificationContainer.style.cssText = `
+                position: fixed;
+                top: 20px;
+                right: 20px;
+                z-index: 10000;
+                background: white;
+                border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+                padding: 16px;
+                min-width: 300px;
+                animation: slideInRight 0.3s ease-out;
+            `;
+            
+            document.body.appendChild(notificationContainer);
+            
+            window.lottieManager.showSuccess(notificationContainer, {
+                message: message,
+                duration: 3000,
+                width: '30px',
+                height: '30px',
+                replace: false,
+                onComplete: () => {
+                    notificationContainer.remove();
+                }
+            });
+        }
+    }
+    
+    showErrorNotification(message) {
+        if (window.lottieManager) {
+            // Create a temporary container for the notification
+            const notificationContainer = document.createElement('div');
+            notificationContainer.className = 'toast-notification error';
+            notificationContainer.style.cssText = `
+                position: fixed;
+                top: 20px;
+                right: 20px;
+                z-index: 10000;
+                background: white;
+                border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+                padding: 16px;
+                min-width: 300px;
+                animation: slideInRight 0.3s ease-out;
+            `;
+            
+            document.body.appendChild(notificationContainer);
+            
+            window.lottieManager.showError(notificationContainer, {
+                message: message,
+                duration: 4000,
+                width: '30px',
+                height: '30px',
+                replace: false,
+                onComplete: () => {
+                    notificationContainer.remove();
+                }
+            });
+        }
+    }
+    
+    /**
+     * Process dashboard data from data manager
+     */
+    processDashboardData(dashboardData) {
+        if (dashboardData.portfolio.success) {
+            this.processPortfolioData(dashboardData.portfolio.data);
+        } else {
+            this.showPortfolioError(dashboardData.portfolio.error);
+        }
+        
+        if (dashboardData.funds.success) {
+            this.processFundsData(dashboardData.funds.data);
+        } else {
+            this.showFundsError(dashboardData.funds.error);
+        }
+        
+        if (dashboardData.rank.success) {
+            this.processRankData(dashboardData.rank.data);
+        } else {
+            this.showRankError(dashboardData.rank.error);
+        }
+    }
+    
+    /**
+     * Process portfolio data from data manager
+     */
+    processPortfolioData(portfolioData) {
+        if (portfolioData && portfolioData.summary) {
+            this.portfolioData.totalHoldings = portfolioData.summary.totalInvested;
+            this.portfolioData.currentValue = portfolioData.summary.currentValue;
+            this.portfolioData.profitLoss = portfolioData.summary.unrealizedPnL ?? portfolioData.summary.totalPnL;
+            this.portfolioData.realizedPnl = portfolioData.summary.realizedPnL || 0;
+            this.updatePortfolioCards();
+        }
+    }
+    
+    /**
+     * Process funds data from data manager
+     */
+    processFundsData(fundsData) {
+        if (fundsData && typeof fundsData.amount === 'number') {
+            this.portfolioData.availableFunds = fundsData.amount;
+            this.animateCounter('availableFunds', this.portfolioData.availableFunds, 2);
+        }
+    }
+    
+    /**
+     * Process rank data from data manager
+     */
+    processRankData(rankData) {
+        if (rankData) {
+            this.portfolioData.userRank = rankData.userRank;
+            this.portfolioData.totalParticipants = rankData.totalParticipants;
+            
+            this.animateCounter('userRank', this.portfolioData.userRank, 0);
+            this.animateCounter('totalParticipants', this.portfolioData.totalParticipants, 0);
+        }
+    }
+    
+    /**
+     * Process load results from Promise.allSettled
+     */
+    processLoadResults(results) {
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                const operations = ['portfolio', 'rank', 'holdings', 'watchlist'];
+                const operation = operations[index];
+                console.error(`Failed to load ${operation}:`, result.reason);
+                
+                // Show specific error for each operation
+                switch (operation) {
+                    case 'portfolio':
+                        this.showPortfolioError(result.reason);
+                        break;
+                    case 'rank':
+                        this.showRankError(result.reason);
+                        break;
+                    case 'holdings':
+                        this.showHoldingsError(result.reason);
+                        break;
+                    case 'watchlist':
+                        this.showWatchlistError(result.reason);
+                        break;
+                }
+            }
+        });
+    }
+    
+    /**
+     * Handle operation errors with specific messaging and retry options
+     */
+    handleOperationError(operation, error, retryCallback) {
+        console.error(`Dashboard operation failed: ${operation}`, error);
+        
+        // Track retry attempts
+        const retryCount = this.retryAttempts.get(operation) || 0;
+        
+        // Use error handler if available
+        if (this.errorHandler) {
+            const shouldRetry = this.errorHandler.handleApiError(`/api/${operation}`, error, retryCount);
+            
+            if (shouldRetry && retryCount < this.maxRetries) {
+                // Show retry option
+                this.showRetryOption(operation, error, retryCallback);
+            } else {
+                // Show final error state
+                this.showFinalErrorState(operation, error);
+            }
+        } else {
+            // Fallback error handling
+            this.showRetryOption(operation, error, retryCallback);
+        }
+    }
+    
+    /**
+     * Handle critical errors that affect the entire dashboard
+     */
+    handleCriticalError(operation, error) {
+        console.error(`Critical dashboard error in ${operation}:`, error);
+        
+        if (this.errorHandler) {
+            this.errorHandler.handleComponentError('Dashboard', error, { operation });
+        }
+        
+        // Show critical error message
+        this.showCriticalErrorMessage(error);
+    }
+    
+    /**
+     * Handle dashboard load error
+     */
+    handleDashboardLoadError(error) {
+        console.error('Dashboard load error:', error);
+        
+        if (this.errorHandler) {
+            this.errorHandler.handleComponentError('Dashboard', error, { 
+                operation: 'loadDashboardData',
+                timestamp: new Date()
+            });
+        }
+        
+        // Show user-friendly error with retry option
+        this.showDashboardLoadError(error);
+    }
+    
+    /**
+     * Handle timeout events
+     */
+    handleTimeout(component) {
+        console.warn(`Timeout occurred for component: ${component}`);
+        
+        const timeoutError = new Error(`Loading timeout for ${component}`);
+        timeoutError.type = 'timeout';
+        
+        if (this.errorHandler) {
+            this.errorHandler.handleComponentError('Dashboard', timeoutError, { 
+                component,
+                operation: 'timeout'
+            });
+        }
+        
+        this.showTimeoutError(component);
+    }
+    
+    /**
+     * Handle loading state changes
+     */
+    handleLoadingStateChange(component, isLoading) {
+        // Update UI based on loading state changes
+        if (isLoading) {
+            this.showComponentLoading(component);
+        } else {
+            this.hideComponentLoading(component);
+        }
+    }
+    
+    /**
+     * Handle retry requests
+     */
+    handleRetryRequest(component) {
+        console.log(`Retry requested for component: ${component}`);
+        
+        switch (component) {
+            case 'portfolio-summary':
+                this.retryPortfolioLoad();
+                break;
+            case 'holdings-table':
+                this.retryHoldingsLoad();
+                break;
+            case 'watchlist-table':
+                this.retryWatchlistLoad();
+                break;
+            default:
+                console.warn(`Unknown component for retry: ${component}`);
+        }
+    }
+    
+    /**
+     * Show retry option for failed operations
+     */
+    showRetryOption(operation, error, retryCallback) {
+        const message = this.getErrorMessage(operation, error);
+        const actions = [{
+            text: 'Retry',
+            callback: () => {
+                const retryCount = this.retryAttempts.get(operation) || 0;
+                this.retryAttempts.set(operation, retryCount + 1);
+                retryCallback();
             }
-            return;
+        }];
+        
+        if (this.errorHandler) {
+            this.errorHandler.showUserError(
+                { type: this.errorHandler.errorTypes.API },
+                message,
+                actions
+            );
+        } else {
+            // Fallback notification
+            this.showNotification(message + ' Click to retry.', 'error');
         }
+    }
+    
+    /**
+     * Get user-friendly error message for operations
+     */
+    getErrorMessage(operation, error) {
+        const baseMessages = {
+            'portfolio-summary': 'Unable to load portfolio data',
+            'user-rank': 'Unable to load your ranking',
+            'holdings-data': 'Unable to load your holdings',
+            'watchlist-data': 'Unable to load your watchlist'
+        };
         
-        // Calculate P&L for each holding
-        holdings.forEach(stock => {
-            stock.ProfitLoss = Number((stock.Price - stock.AveragePrice) * stock.Count).toFixed(2);
-            stock.ProfitLossPercent = stock.AveragePrice > 0 ? 
-                (((stock.Price - stock.AveragePrice) / stock.AveragePrice) * 100).toFixed(2) : 0;
-        });
+        let message = baseMessages[operation] || 'An error occurred';
         
-        // Store holdings data for sorting/filtering
-        this.currentHoldings = holdings;
+        // Add specific error details
+        if (error.status === 408 || error.message?.includes('timeout')) {
+            message += '. The request timed out.';
+        } else if (error.status >= 500) {
+            message += '. Server error occurred.';
+        } else if (!navigator.onLine) {
+            message += '. Please check your internet connection.';
+        } else {
+            message += '. Please try again.';
+        }
         
-        const tableHTML = `
-            <div class="holdings-controls">
-                <div class="controls-left">
-                    <div class="search-box">
-                        <i class="fas fa-search"></i>
-                        <input type="text" id="holdingsSearch" placeholder="Search holdings..." class="form-control">
+        return message;
+    }
+    
+    /**
+     * Show specific error states for different components
+     */
+    showPortfolioError(error) {
+        const portfolioValue = document.getElementById('portfolioValue');
+        const availableFunds = document.getElementById('availableFunds');
+        
+        if (portfolioValue) {
+            portfolioValue.innerHTML = `
+                <span class="error-text">Unable to load</span>
+                <button class="btn btn-sm btn-link retry-btn" onclick="dashboard.retryPortfolioLoad()">
+                    <i class="fas fa-redo"></i> Retry
+                </button>
+            `;
+        }
+        
+        if (availableFunds) {
+            availableFunds.innerHTML = `
+                <span class="error-text">Unable to load</span>
+                <button class="btn btn-sm btn-link retry-btn" onclick="dashboard.retryPortfolioLoad()">
+                    <i class="fas fa-redo"></i> Retry
+                </button>
+            `;
+        }
+    }
+    
+    showFundsError(error) {
+        const availableFunds = document.getElementById('availableFunds');
+        if (availableFunds) {
+            availableFunds.innerHTML = `
+                <span class="error-text">Unable to load funds</span>
+                <button class="btn btn-sm btn-link retry-btn" onclick="dashboard.retryFundsLoad()">
+                    <i class="fas fa-redo"></i> Retry
+                </button>
+            `;
+        }
+    }
+    
+    showRankError(error) {
+        const userRank = document.getElementById('userRank');
+        const totalParticipants = document.getElementById('totalParticipants');
+        
+        if (userRank) {
+            userRank.innerHTML = `
+                <span class="error-text">--</span>
+                <button class="btn btn-sm btn-link retry-btn" onclick="dashboard.retryRankLoad()">
+                    <i class="fas fa-redo"></i> Retry
+                </button>
+            `;
+        }
+        
+        if (totalParticipants) {
+            totalParticipants.textContent = "Unable to load";
+        }
+    }
+    
+    showHoldingsError(error) {
+        const container = document.getElementById('holdingsTable');
+        if (container) {
+            const errorMessage = this.getErrorMessage('holdings-data', error);
+            container.innerHTML = `
+                <div class="error-state">
+                    <div class="error-icon">
+                        <i class="fas fa-exclamation-triangle"></i>
                     </div>
-                </div>
-                <div class="controls-right">
-                    <div class="sort-dropdown">
-                        <select id="holdingsSort" class="form-select">
-                            <option value="name">Sort by Name</option>
-                            <option value="quantity">Sort by Quantity</option>
-                            <option value="pnl">Sort by P&L</option>
-                            <option value="value">Sort by Value</option>
-                        </select>
+                    <div class="error-content">
+                        <h4>Unable to Load Holdings</h4>
+                        <p>${errorMessage}</p>
+                        <div class="error-actions">
+                            <button class="btn btn-primary" onclick="dashboard.retryHoldingsLoad()">
+                                <i class="fas fa-redo"></i> Retry
+                            </button>
+                            <button class="btn btn-outline-secondary" onclick="dashboard.loadInitialData()">
+                                <i class="fas fa-refresh"></i> Refresh All
+                            </button>
+                        </div>
                     </div>
                 </div>
-            </div>
-            <div class="modern-table">
-                <div class="table-header">
-                    <div class="header-cell stock-col sortable" data-sort="name">
-                        Stock <i class="fas fa-sort"></i>
-                    </div>
-                    <div class="header-cell qty-col sortable" data-sort="quantity">
-                        Qty <i class="fas fa-sort"></i>
-                    </div>
-                    <div class="header-cell price-col sortable" data-sort="avgPrice">
-                        Avg Price <i class="fas fa-sort"></i>
-                    </div>
-                    <div class="header-cell price-col sortable" data-sort="currentPrice">
-                        LTP <i class="fas fa-sort"></i>
+            `;
+        }
+    }
+    
+    showWatchlistError(error) {
+        const container = document.getElementById('watchlistTable');
+        if (container) {
+            const errorMessage = this.getErrorMessage('watchlist-data', error);
+            container.innerHTML = `
+                <div class="error-state">
+                    <div class="error-icon">
+                        <i class="fas fa-exclamation-triangle"></i>
                     </div>
-                    <div class="header-cell pnl-col sortable" data-sort="pnl">
-                        P&L <i class="fas fa-sort"></i>
+                    <div class="error-content">
+                        <h4>Unable to Load Watchlist</h4>
+                        <p>${errorMessage}</p>
+                        <div class="error-actions">
+                            <button class="btn btn-primary" onclick="dashboard.retryWatchlistLoad()">
+                                <i class="fas fa-redo"></i> Retry
+                            </button>
+                            <button class="btn btn-outline-secondary" onclick="dashboard.loadInitialData()">
+                                <i class="fas fa-refresh"></i> Refresh All
+                            </button>
+                        </div>
                     </div>
-                    <div class="header-cell actions-col">Actions</div>
-                </div>
-                <div class="table-body" id="holdingsTableBody">
-                    ${this.renderHoldingsRows(holdings)}
                 </div>
-            </div>
-        `;
+            `;
+        }
+    }
+    
+    showFinalErrorState(operation, error) {
+        // Show final error state when max retries exceeded
+        const message = `${this.getErrorMessage(operation, error)} Maximum retry attempts exceeded.`;
         
-        container.innerHTML = tableHTML;
-        this.addHoldingRowEventListeners();
-        this.setupHoldingsControls();
-        this.renderHoldingsSummary(holdings);
+        if (this.errorHandler) {
+            this.errorHandler.showUserError(
+                { type: this.errorHandler.errorTypes.CRITICAL },
+                message,
+                [{
+                    text: 'Refresh Page',
+                    callback: () => window.location.reload()
+                }]
+            );
+        }
     }
     
-    renderHoldingsRows(holdings) {
-        return holdings.map(stock => this.getHoldingRowHTML(stock)).join('');
+    showCriticalErrorMessage(error) {
+        if (this.errorHandler) {
+            this.errorHandler.showUserError(
+                { type: this.errorHandler.errorTypes.CRITICAL },
+                'A critical error occurred while loading the dashboard. Please refresh the page.',
+                [{
+                    text: 'Refresh Page',
+                    callback: () => window.location.reload()
+                }]
+            );
+        }
     }
     
-    setupHoldingsControls() {
-        // Search functionality
-        const searchInput = document.getElementById('holdingsSearch');
-        if (searchInput) {
-            searchInput.addEventListener('input', (e) => {
-                this.filterHoldings(e.target.value);
-            });
-        }
+    showDashboardLoadError(error) {
+        const message = 'Unable to load dashboard data. Please check your connection and try again.';
         
-        // Sort functionality
-        const sortSelect = document.getElementById('holdingsSort');
-        if (sortSelect) {
-            sortSelect.addEventListener('change', (e) => {
-                this.sortHoldings(e.target.value);
-            });
+        if (this.errorHandler) {
+            this.errorHandler.showUserError(
+                { type: this.errorHandler.errorTypes.API },
+                message,
+                [{
+                    text: 'Retry',
+                    callback: () => this.loadInitialData()
+                }, {
+                    text: 'Refresh Page',
+                    callback: () => window.location.reload()
+                }]
+            );
         }
-        
-        // Header click sorting
-        document.querySelectorAll('.header-cell.sortable').forEach(header => {
-            header.addEventListener('click', () => {
-                const sortBy = header.dataset.sort;
-                this.sortHoldings(sortBy);
-                this.updateSortIndicators(header);
-            });
-        });
     }
     
-    filterHoldings(searchTerm) {
-        if (!this.currentHoldings) return;
-        
-        const filtered = this.currentHoldings.filter(stock => 
-            stock.Name.toLowerCase().includes(searchTerm.toLowerCase())
-        );
+    showTimeoutError(component) {
+        const message = `Loading ${component} is taking longer than expected. Please try again.`;
         
-        const tableBody = document.getElementById('holdingsTableBody');
-        if (tableBody) {
-            tableBody.innerHTML = this.renderHoldingsRows(filtered);
-            this.addHoldingRowEventListeners();
+        if (this.errorHandler) {
+            this.errorHandler.showUserError(
+                { type: this.errorHandler.errorTypes.TIMEOUT },
+                message,
+                [{
+                    text: 'Retry',
+                    callback: () => this.handleRetryRequest(component)
+                }]
+            );
         }
     }
     
-    sortHoldings(sortBy) {
-        if (!this.currentHoldings) return;
-        
-        const sorted = [...this.currentHoldings].sort((a, b) => {
-            switch (sortBy) {
-                case 'name':
-                    return a.Name.localeCompare(b.Name);
-                case 'quantity':
-                    return b.Count - a.Count;
-                case 'pnl':
-                    return parseFloat(b.ProfitLoss) - parseFloat(a.ProfitLoss);
-                case 'value':
-                    return (b.Price * b.Count) - (a.Price * a.Count);
-                case 'avgPrice':
-                    return b.AveragePrice - a.AveragePrice;
-                case 'currentPrice':
-                    return b.Price - a.Price;
-                default:
-                    return 0;
-            }
-        });
-        
-        const tableBody = document.getElementById('holdingsTableBody');
-        if (tableBody) {
-            // Add fade out animation
-            tableBody.style.opacity = '0.5';
-            
-            setTimeout(() => {
-                tableBody.innerHTML = this.renderHoldingsRows(sorted);
-                this.addHoldingRowEventListeners();
-                
-                // Fade back in
-                tableBody.style.opacity = '1';
-            }, 150);
-        }
+    /**
+     * Show/hide component loading states
+     */
+    showComponentLoading(component) {
+        // Implementation depends on specific component
+        console.log(`Showing loading for ${component}`);
     }
     
-    updateSortIndicators(activeHeader) {
-        // Remove active class from all headers
-        document.querySelectorAll('.header-cell.sortable').forEach(header => {
-            header.classList.remove('sort-asc', 'sort-desc');
-        });
-        
-        // Add active class to clicked header
-        const currentSort = activeHeader.classList.contains('sort-asc') ? 'desc' : 'asc';
-        activeHeader.classList.remove('sort-asc', 'sort-desc');
-        activeHeader.classList.add(`sort-${currentSort}`);
+    hideComponentLoading(component) {
+        // Implementation depends on specific component
+        console.log(`Hiding loading for ${component}`);
     }
     
-    renderHoldingsSummary(holdings) {
-        const summaryContainer = document.getElementById('holdingsSummary');
-        if (!summaryContainer || !holdings || holdings.length === 0) return;
-        
-        let totalInvested = 0;
-        let currentValue = 0;
-        let totalPnL = 0;
-        
-        holdings.forEach(stock => {
-            totalInvested += stock.AveragePrice * stock.Count;
-            currentValue += stock.Price * stock.Count;
-            totalPnL += parseFloat(stock.ProfitLoss);
+    /**
+     * Retry methods for different operations
+     */
+    retryPortfolioLoad() {
+        console.log('Retrying portfolio load...');
+        this.updatePortfolioSummaryWithErrorHandling();
+    }
+    
+    retryFundsLoad() {
+        console.log('Retrying funds load...');
+        this.updateAvailableFundsLegacy().catch(error => {
+            this.handleOperationError('funds', error, () => this.retryFundsLoad());
         });
+    }
+    
+    retryRankLoad() {
+        console.log('Retrying rank load...');
+        this.updateUserRankWithErrorHandling();
+    }
+    
+    retryHoldingsLoad() {
+        console.log('Retrying holdings load...');
+        this.loadHoldingsDataWithErrorHandling();
+    }
+    
+    retryWatchlistLoad() {
+        console.log('Retrying watchlist load...');
+        this.loadWatchlistDataWithErrorHandling();
+    }
+    
+    /**
+     * Get current user ID (implement based on your authentication system)
+     */
+    getCurrentUserId() {
+        // This should be implemented based on your authentication system
+        // For now, return a default or extract from DOM/session
+        return 'current-user';
+    }
+    
+    getGameType() {
+        const type = $("#mainGrid").attr("data-value");
+        switch (type) {
+            case "Competition":
+                return "C1";
+            default:
+                return "";
+        }
+    }
+}
+
+// Add CSS styles for error states
+function addDashboardErrorStyles() {
+    if (document.getElementById('dashboard-error-styles')) {
+        return;
+    }
+    
+    const style = document.createElement('style');
+    style.id = 'dashboard-error-styles';
+    style.textContent = `
+        .error-state {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            padding: 40px 20px;
+            text-align: center;
+            min-height: 200px;
+            background: #f8f9fa;
+            border-radius: 8px;
+            border: 1px solid #dee2e6;
+        }
         
-        const pnlPercent = totalInvested > 0 ? ((totalPnL / totalInvested) * 100) : 0;
-        const pnlClass = totalPnL >= 0 ? 'positive' : 'negative';
+        .error-icon {
+            font-size: 48px;
+            color: #dc3545;
+            margin-bottom: 16px;
+        }
         
-        const summaryHTML = `
-            <div class="summary-grid">
-                <div class="summary-item">
-                    <div class="summary-label">Total Invested</div>
-                    <div class="summary-value">₹${totalInvested.toFixed(2)}</div>
-                </div>
-                <div class="summary-item">
-                    <div class="summary-label">Current Value</div>
-                    <div class="summary-value">₹${currentValue.toFixed(2)}</div>
-                </div>
-                <div class="summary-item">
-                    <div class="summary-label">Total P&L</div>
-                    <div class="summary-value ${pnlClass}">
-                        ${totalPnL >= 0 ? '+' : ''}₹${totalPnL.toFixed(2)}
-                        <small>(${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)</small>
-                    </div>
-                </div>
-                <div class="summary-item">
-                    <div class="summary-label">Holdings Count</div>
-                    <div class="summary-value">${holdings.length} stocks</div>
-                </div>
-            </div>
-        `;
+        .error-content h4 {
+            color: #495057;
+            margin-bottom: 8px;
+            font-weight: 600;
+        }
         
-        summaryContainer.innerHTML = summaryHTML;
-    }
-    
-    addRealTimeUpdateAnimation(element, type = 'neutral') {
-        if (!element) return;
+        .error-content p {
+            color: #6c757d;
+            margin-bottom: 20px;
+            max-width: 400px;
+        }
         
-        element.classList.add('price-update', type);
+        .error-actions {
+            display: flex;
+            gap: 12px;
+            justify-content: center;
+            flex-wrap: wrap;
+        }
         
-        setTimeout(() => {
-            element.classList.remove('price-update', type);
-        }, 800);
-    }
-    
-    updateHoldingRow(stockName, newData) {
-        const row = document.querySelector(`[data-stock="${stockName}"]`);
-        if (!row) return;
+        .error-text {
+            color: #dc3545;
+            font-size: 14px;
+            font-weight: 500;
+        }
         
-        // Add updating animation
-        row.classList.add('updating');
+        .retry-btn {
+            color: #007bff !important;
+            font-size: 12px;
+            padding: 2px 6px !important;
+            text-decoration: none !important;
+        }
         
-        // Update price cells with animation
-        const priceCell = row.querySelector('.price-col:last-of-type .price');
-        const pnlCell = row.querySelector('.pnl-col');
+        .retry-btn:hover {
+            color: #0056b3 !important;
+            text-decoration: underline !important;
+        }
         
-        if (priceCell && newData.Price) {
-            const oldPrice = parseFloat(priceCell.textContent.replace('₹', ''));
-            const newPrice = parseFloat(newData.Price);
-            
-            priceCell.textContent = `₹${newPrice.toFixed(2)}`;
-            
-            // Add price change animation
-            const changeType = newPrice > oldPrice ? 'positive' : newPrice < oldPrice ? 'negative' : 'neutral';
-            this.addRealTimeUpdateAnimation(priceCell, changeType);
+        .retry-btn i {
+            margin-right: 4px;
         }
         
-        if (pnlCell && newData.ProfitLoss) {
-            const pnlAmount = pnlCell.querySelector('.pnl-amount');
-            const pnlPercent = pnlCell.querySelector('.pnl-percent');
-            
-            if (pnlAmount) {
-                const pnl = parseFloat(newData.ProfitLoss);
-                const icon = pnl >= 0 ? 'fa-arrow-up' : 'fa-arrow-down';
-                pnlAmount.innerHTML = `<i class="fas ${icon}"></i> ₹${Math.abs(pnl).toFixed(2)}`;
+        @media (max-width: 768px) {
+            .error-state {
+                padding: 30px 15px;
+                min-height: 150px;
             }
             
-            if (pnlPercent && newData.ProfitLossPercent) {
-                pnlPercent.textContent = `(${newData.ProfitLossPercent}%)`;
+            .error-icon {
+                font-size: 36px;
             }
             
-            // Update P&L color class
-            pnlCell.classList.remove('positive', 'negative');
-            pnlCell.classList.add(parseFloat(newData.ProfitLoss) >= 0 ? 'positive' : 'negative');
+            .error-actions {
+                flex-direction: column;
+                align-items: center;
+            }
             
-            this.addRealTimeUpdateAnimation(pnlCell, parseFloat(newData.ProfitLoss) >= 0 ? 'positive' : 'negative');
+            .error-actions .btn {
+                width: 100%;
+                max-width: 200px;
+            }
         }
-        
-        // Remove updating animation
-        setTimeout(() => {
-            row.classList.remove('updating');
-        }, 500);
+    `;
+    document.head.appendChild(style);
+}
+
+// Initialize dashboard when DOM is loaded
+let dashboard;
+document.addEventListener('DOMContentLoaded', () => {
+    addDashboardErrorStyles();
+    dashboard = new DashboardManager();
+    window.dashboard = dashboard;
+});
+
+// Legacy function compatibility with error handling
+function GetGameType() {
+    return dashboard ? dashboard.getGameType() : "";
+}
+
+function GetHoldingsGrid() {
+    if (dashboard) {
+        dashboard.loadHoldingsDataWithErrorHandling().catch(error => {
+            console.error('Legacy GetHoldingsGrid failed:', error);
+        });
     }
-    
-    getHoldingRowHTML(stock) {
-        const pnlClass = parseFloat(stock.ProfitLoss) >= 0 ? 'positive' : 'negative';
-        const pnlIcon = parseFloat(stock.ProfitLoss) >= 0 ? 'fa-arrow-up' : 'fa-arrow-down';
-        
-        return `
-            <div class="table-row" data-stock="${stock.Name}">
-                <div class="table-cell stock-col">
-                    <div class="stock-info">
-                        <div class="stock-symbol">${stock.Name}</div>
-                        <div class="stock-name">${stock.Name}</div>
-                    </div>
-                </div>
-                <div class="table-cell qty-col">
-                    <span class="quantity">${stock.Count}</span>
-                </div>
-                <div class="table-cell price-col">
-                    <span class="price">₹${parseFloat(stock.AveragePrice).toFixed(2)}</span>
-                </div>
-                <div class="table-cell price-col">
-                    <span class="price">₹${parseFloat(stock.Price).toFixed(2)}</span>
-                </div>
-                <div class="table-cell pnl-col ${pnlClass}">
-                    <div class="pnl-container">
-                        <span class="pnl-amount">
-                            <i class="fas ${pnlIcon}"></i>
-                            ₹${Math.abs(parseFloat(stock.ProfitLoss)).toFixed(2)}
-                        </span>
-                        <span class="pnl-percent">(${stock.ProfitLossPercent}%)</span>
-                    </div>
-                </div>
-                <div class="table-cell actions-col">
-                    <button class="btn btn-sm btn-primary trade-btn" onclick="dashboard.openTradeModal('${stock.Name}', ${stock.Price})">
-                        <i class="fas fa-exchange-alt"></i>
-                        Trade
-                    </button>
-                </div>
-            </div>
-        `;
+}
+
+function GetWatchListGrid() {
+    if (dashboard) {
+        dashboard.loadWatchlistDataWithErrorHandling().catch(error => {
+            console.error('Legacy GetWatchListGrid failed:', error);
+        });
     }
-    
-    getEmptyHoldingsHTML() {
-        return `
-            <div class="empty-state">
-                <div class="empty-icon">
-                    <i class="fas fa-chart-line"></i>
-                </div>
-                <h3 class="empty-title">No Holdings Yet</h3>
-                <p class="empty-message">Start trading to see your portfolio here</p>
-                <button class="btn btn-primary" onclick="dashboard.focusStockSearch()">
-                    <i class="fas fa-plus"></i>
-                    Add Stocks to Watchlist
-                </button>
-            </div>
-        `;
+}
+
+function GetUserData() {
+    if (dashboard) {
+        dashboard.updatePortfolioSummaryWithErrorHandling().catch(error => {
+            console.error('Legacy GetUserData failed:', error);
+        });
     }
-    
-    addHoldingRowEventListeners() {
-        // Add click handlers for table rows
-        document.querySelectorAll('.table-row').forEach(row => {
-            row.addEventListener('click', (e) => {
-                if (!e.target.closest('.trade-btn')) {
-                    const stockName = row.dataset.stock;
-                    this.showStockDetails(stockName);
-                }
-            });
+}
+
+function GetRank() {
+    if (dashboard) {
+        dashboard.updateUserRankWithErrorHandling().catch(error => {
+            console.error('Legacy GetRank failed:', error);
         });
     }
-    
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DashboardManager;
+}
+
+/**
+ * Equity Curve
+ * Dashboard chart of the daily portfolio snapshots (api/PortfolioSnapshots):
+ * total value, invested amount and cash at each trading day's close. Snapshots
+ * are mirrored into the SuperStockOffline IndexedDB so the curve renders
+ * straight away and while offline. Styling comes from StockChart.
+ *
+ * The selected benchmark (api/Benchmark: NIFTY 50, NIFTY Bank or a watchlist
+ * basket) is overlaid rebased to the portfolio's starting value, and its
+ * return over the same range is shown with the portfolio's alpha.
+ */
+
+const EQUITY_CURVE_RANGES = { '1W': 7, '1M': 30, '3M': 91, ALL: null };
+
+class EquityCurve {
+    constructor(canvasId, options = {}) {
+        this.canvasId = canvasId;
+        this.endpoint = options.endpoint || '/api/PortfolioSnapshots';
+        this.gameType = options.gameType || '';
+        this.range = options.range || '1M';
+        this.benchmarkEndpoint = options.benchmarkEndpoint || '/api/Benchmark';
+        this.benchmark = options.benchmark || this.getSavedBenchmark();
+        this.benchmarkSeries = null;
+        this.offlineStore = 'snapshots';
+        this.snapshots = [];
+        this.chart = null;
+    }
+
+    init() {
+        this.bindEvents();
+        this.load();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('[data-equity-range]').forEach(button => {
+            button.addEventListener('click', () => this.setRange(button.dataset.equityRange));
+        });
+        document.getElementById('equityBenchmark')?.addEventListener('change', (e) => this.setBenchmark(e.target.value));
+    }
+
     /**
-     * Load watchlist data with enhanced error handling
+     * Renders the offline copy first, then refreshes it from the server
      */
-    async loadWatchlistDataWithErrorHandling() {
-        const operation = 'watchlist-data';
-        
+    async load() {
+        const cached = await this.loadOffline();
+        if (cached.length > 0) {
+            this.snapshots = cached;
+            this.render();
+        }
+
         try {
-            // Use modern watchlist if available
-            if (window.modernWatchlist && modernWatchlist.loadWatchlistData) {
-                await new Promise((resolve, reject) => {
-                    try {
-                        modernWatchlist.loadWatchlistData();
-                        resolve();
-                    } catch (error) {
-                        reject(error);
-                    }
-                });
-            } else {
-                await this.loadWatchlistDataLegacy();
+            this.snapshots = await this.fetchSnapshots();
+            await this.saveOffline(this.snapshots);
+        } catch (error) {
+            console.warn('Equity curve: using offline snapshots', error);
+        }
+        this.render();
+
+        await this.loadBenchmarkOptions();
+        await this.loadBenchmark();
+    }
+
+    /**
+     * Fills the benchmark picker, keeping the saved choice if it is still offered
+     */
+    async loadBenchmarkOptions() {
+        const select = document.getElementById('equityBenchmark');
+        if (!select) return;
+
+        try {
+            const data = await this.request(this.benchmarkEndpoint, {});
+            const options = data?.options || [];
+            if (!options.some(option => option.id === this.benchmark)) {
+                this.benchmark = data?.default || options[0]?.id || this.benchmark;
             }
+            select.innerHTML = options.map(option =>
+                `<option value="${option.id}"${option.id === this.benchmark ? ' selected' : ''}>${option.name}</option>`
+            ).join('');
         } catch (error) {
-            this.handleOperationError(operation, error, () => this.retryWatchlistLoad());
+            console.warn('Equity curve: benchmarks unavailable', error);
+        }
+    }
+
+    /**
+     * Benchmark closes from the first snapshot on, so every range can be compared
+     */
+    async loadBenchmark() {
+        if (this.snapshots.length === 0) return;
+
+        try {
+            this.benchmarkSeries = await this.request(`${this.benchmarkEndpoint}/series`, {
+                benchmark: this.benchmark,
+                gameType: this.gameType,
+                from: String(this.snapshots[0].date).slice(0, 10)
+            });
+        } catch (error) {
+            console.warn('Equity curve: benchmark unavailable', error);
+            this.benchmarkSeries = null;
+        }
+        this.render();
+        window.dashboard?.updateBenchmarkComparison?.();
+    }
+
+    setBenchmark(benchmark) {
+        if (!benchmark || benchmark === this.benchmark) return;
+
+        this.benchmark = benchmark;
+        try {
+            localStorage.setItem('equityBenchmark', benchmark);
+        } catch (error) {
+            // Private browsing: the choice lasts for this page only
         }
+        this.loadBenchmark();
+    }
+
+    getSavedBenchmark() {
+        try {
+            return localStorage.getItem('equityBenchmark') || 'NIFTY50';
+        } catch (error) {
+            return 'NIFTY50';
+        }
+    }
+
+    request(url, data) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url,
+                type: 'GET',
+                data,
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => resolve(response?.data || null),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load benchmark'))
+            });
+        });
     }
-    
-    /**
-     * Legacy watchlist data loading with error handling
-     */
-    loadWatchlistDataLegacy() {
+
+    fetchSnapshots() {
         return new Promise((resolve, reject) => {
             $.ajax({
-                url: "/api/UserWatchlist",
-                dataType: "json",
-                data: { "GameType": this.getGameType() },
-                contentType: "application/json",
+                url: this.endpoint,
+                type: 'GET',
+                data: { gameType: this.gameType },
+                dataType: 'json',
                 timeout: 10000,
-                success: (data) => {
-                    try {
-                        const listData = JSON.parse(data).Value;
-                        this.renderModernWatchlist(listData);
-                        resolve(data);
-                    } catch (parseError) {
-                        reject(new Error('Failed to parse watchlist data'));
-                    }
-                },
-                error: (xhr, status, error) => {
-                    const apiError = new Error(error || 'Failed to load watchlist data');
-                    apiError.status = xhr.status;
-                    reject(apiError);
-                }
+                success: (response) => resolve(response?.data || []),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load portfolio snapshots'))
             });
         });
     }
-    
-    renderModernWatchlist(watchlist) {
-        const container = document.getElementById('watchlistTable');
-        if (!container) return;
-        
-        if (!watchlist || watchlist.length === 0) {
-            // Show empty state with Lottie animation
-            if (window.lottieManager) {
-                window.lottieManager.showEmptyState(container, {
-                    title: 'No Stocks in Watchlist',
-                    message: 'Add stocks to track their performance',
-                    width: '100px',
-                    height: '100px'
-                });
-            } else {
-                container.innerHTML = this.getEmptyWatchlistHTML();
-            }
-            return;
+
+    async loadOffline() {
+        if (!window.swManager?.getOfflineData) return [];
+
+        try {
+            const records = await window.swManager.getOfflineData(this.offlineStore);
+            return (records || [])
+                .filter(record => record.gameType === this.gameType)
+                .sort((a, b) => a.date.localeCompare(b.date));
+        } catch (error) {
+            return [];
         }
-        
-        const watchlistHTML = `
-            <div class="watchlist-items">
-                ${watchlist.map(stock => this.getWatchlistItemHTML(stock)).join('')}
-            </div>
-        `;
-        
-        container.innerHTML = watchlistHTML;
-        this.addWatchlistEventListeners();
     }
-    
-    getWatchlistItemHTML(stock) {
-        // Calculate change (assuming we have previous price data)
-        const change = 0; // This would come from API
-        const changePercent = 0; // This would come from API
-        const changeClass = change >= 0 ? 'positive' : 'negative';
-        
-        return `
-            <div class="watchlist-item" data-stock="${stock.Name}">
-                <div class="stock-info">
-                    <div class="symbol">${stock.Name}</div>
-                    <div class="name">${stock.Name}</div>
-                </div>
-                <div class="price-info">
-                    <div class="current-price">₹${parseFloat(stock.Price).toFixed(2)}</div>
-                    <div class="change ${changeClass}">
-                        ${change >= 0 ? '+' : ''}${change.toFixed(2)} (${changePercent.toFixed(2)}%)
-                    </div>
-                </div>
-                <div class="actions">
-                    <button class="btn btn-sm btn-primary" onclick="dashboard.openTradeModal('${stock.Name}', ${stock.Price})">
-                        Trade
-                    </button>
-                    <button class="btn btn-sm btn-outline-danger" onclick="dashboard.removeFromWatchlist('${stock.Name}')">
-                        <i class="fas fa-times"></i>
-                    </button>
-                </div>
-            </div>
-        `;
+
+    saveOffline(snapshots) {
+        if (!window.swManager?.putOfflineData) return Promise.resolve();
+        return window.swManager.putOfflineData(this.offlineStore, this.toOfflineRecords(snapshots));
     }
-    
-    getEmptyWatchlistHTML() {
-        return `
-            <div class="empty-state">
-                <div class="empty-icon">
-                    <i class="fas fa-eye"></i>
-                </div>
-                <h3 class="empty-title">No Stocks in Watchlist</h3>
-                <p class="empty-message">Add stocks to track their performance</p>
-            </div>
-        `;
+
+    /**
+     * One record per game and trading day, so a day's snapshot replaces its older copy
+     */
+    toOfflineRecords(snapshots) {
+        return snapshots.map(snapshot => {
+            const date = String(snapshot.date).slice(0, 10);
+            return {
+                id: `${snapshot.gameType || ''}|${date}`,
+                gameType: snapshot.gameType || '',
+                date,
+                cash: snapshot.cash,
+                invested: snapshot.invested,
+                holdingsValue: snapshot.holdingsValue,
+                totalValue: snapshot.totalValue
+            };
+        });
     }
-    
-    addWatchlistEventListeners() {
-        document.querySelectorAll('.watchlist-item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                if (!e.target.closest('button')) {
-                    const stockName = item.dataset.stock;
-                    this.showStockDetails(stockName);
-                }
-            });
+
+    setRange(range) {
+        if (!(range in EQUITY_CURVE_RANGES)) return;
+
+        this.range = range;
+        document.querySelectorAll('[data-equity-range]').forEach(button => {
+            const active = button.dataset.equityRange === range;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
         });
+        this.render();
     }
-    
-    openTradeModal(stockName, price) {
-        // Use new modern stock modal if available
-        if (window.stockModal) {
-            const stockData = {
-                symbol: stockName,
-                name: stockName,
-                currentPrice: price,
-                price: price,
-                change: 0, // Would be calculated from real data
-                changePercent: 0,
-                open: price,
-                high: price,
-                low: price,
-                prevClose: price,
-                volume: 0
-            };
-            window.stockModal.show(stockData);
-        } else {
-            // Fallback to existing modal functionality
-            $("#mStock").html(stockName);
-            $("#mPrice").html(price);
-            $("#buyButton").prop("disabled", false);
-            $("#sellButton").prop("disabled", false);
-            $('#myModal').modal('show');
-        }
+
+    /**
+     * Snapshots within the range, counted back in calendar days from now
+     */
+    filterByRange(snapshots, range, now = new Date()) {
+        const days = EQUITY_CURVE_RANGES[range];
+        if (!days) return snapshots;
+
+        const cutoff = new Date(now);
+        cutoff.setHours(0, 0, 0, 0);
+        cutoff.setDate(cutoff.getDate() - days);
+        return snapshots.filter(snapshot => new Date(snapshot.date) >= cutoff);
     }
-    
-    removeFromWatchlist(stockName) {
-        if (confirm(`Remove ${stockName} from watchlist?`)) {
-            const actionData = {
-                Stock: stockName,
-                AddDel: 0,
-                GameType: this.getGameType()
-            };
-            
-            $.ajax({
-                url: "/api/AddDelete",
-                type: "GET",
-                data: actionData,
-                contentType: "application/json",
-                success: () => {
-                    this.loadWatchlistData();
-                    this.showNotification(`${stockName} removed from watchlist`, 'success');
-                },
-                error: () => {
-                    this.showNotification('Failed to remove stock from watchlist', 'error');
-                }
-            });
+
+    /**
+     * Change in total value from the first to the last snapshot of the range
+     */
+    getSummary(snapshots) {
+        if (snapshots.length === 0) {
+            return { start: 0, end: 0, change: 0, changePercent: 0 };
         }
+
+        const start = snapshots[0].totalValue;
+        const end = snapshots[snapshots.length - 1].totalValue;
+        const change = end - start;
+        return { start, end, change, changePercent: start > 0 ? (change / start) * 100 : 0 };
     }
-    
-    focusStockSearch() {
-        const searchElement = document.getElementById('SearchStocks');
-        if (searchElement) {
-            searchElement.focus();
+
+    /**
+     * Close of the series on the given day, or on the last trading day before it
+     */
+    getCloseOn(points, date) {
+        const day = String(date).slice(0, 10);
+        let close = null;
+        for (const point of points) {
+            if (String(point.date).slice(0, 10) > day) break;
+            close = point.close;
         }
+        return close;
     }
-    
-    showStockDetails(stockName) {
-        // Find stock data from current holdings or watchlist
-        let stockData = null;
-        
-        // Try to find in holdings first
-        if (this.currentHoldings) {
-            const holding = this.currentHoldings.find(h => h.Name === stockName);
-            if (holding) {
-                stockData = {
-                    symbol: holding.Name,
-                    name: holding.Name,
-                    currentPrice: holding.Price,
-                    price: holding.Price,
-                    change: holding.ProfitLoss / holding.Count, // Per share P&L
-                    changePercent: holding.ProfitLossPercent,
-                    open: holding.Price,
-                    high: holding.Price,
-                    low: holding.Price,
-                    prevClose: holding.AveragePrice,
-                    volume: 0
-                };
-            }
-        }
-        
-        // If not found in holdings, create basic stock data
-        if (!stockData) {
-            stockData = {
-                symbol: stockName,
-                name: stockName,
-                currentPrice: 0,
-                price: 0,
-                change: 0,
-                changePercent: 0,
-                open: 0,
-                high: 0,
-                low: 0,
-                prevClose: 0,
-                volume: 0
-            };
-        }
-        
-        // Open stock modal
-        if (window.stockModal) {
-            window.stockModal.show(stockData);
-        } else {
-            console.log(`Show details for ${stockName}`);
-        }
+
+    /**
+     * Benchmark return between two days, in percent; null without closes for both
+     */
+    getBenchmarkReturn(series, from, to) {
+        const points = series?.points || [];
+        const start = this.getCloseOn(points, from) ?? points[0]?.close;
+        const end = this.getCloseOn(points, to);
+        if (!start || !end) return null;
+        return (end / start - 1) * 100;
     }
-    
-    showNotification(message, type = 'info') {
-        // Use Lottie animations for notifications if available
-        if (window.lottieManager && type === 'success') {
-            this.showSuccessNotification(message);
-        } else if (window.lottieManager && type === 'error') {
-            this.showErrorNotification(message);
-        } else {
-            // Fallback to simple notification system
-            const notification = document.createElement('div');
-            notification.className = `notification notification-${type}`;
-            notification.textContent = message;
-            
-            document.body.appendChild(notification);
-            
-            setTimeout(() => {
-                notification.classList.add('show');
-            }, 100);
-            
-            setTimeout(() => {
-                notification.classList.remove('show');
-                setTimeout(() => notification.remove(), 300);
-            }, 3000);
-        }
+
+    /**
+     * Portfolio and benchmark return over the snapshots, and the portfolio's
+     * alpha (its return in excess of the benchmark's)
+     */
+    getBenchmarkComparison(snapshots, series) {
+        if (!series || snapshots.length < 2) return null;
+
+        const benchmarkReturn = this.getBenchmarkReturn(series, snapshots[0].date, snapshots[snapshots.length - 1].date);
+        if (benchmarkReturn === null) return null;
+
+        const portfolioReturn = this.getSummary(snapshots).changePercent;
+        return { name: series.name, portfolioReturn, benchmarkReturn, alpha: portfolioReturn - benchmarkReturn };
     }
-    
-    showSuccessNotification(message) {
-        if (window.lottieManager) {
-            // Create a temporary container for the notification
-            const notificationContainer = document.createElement('div');
-            notificationContainer.className = 'toast-notification success';
-            notificationContainer.style.cssText = `
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                z-index: 10000;
-                background: white;
-                border-radius: 8px;
-                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-                padding: 16px;
-                min-width: 300px;
-                animation: slideInRight 0.3s ease-out;
-            `;
-            
-            document.body.appendChild(notificationContainer);
-            
-            window.lottieManager.showSuccess(notificationContainer, {
-                message: message,
-                duration: 3000,
-                width: '30px',
-                height: '30px',
-                replace: false,
-                onComplete: () => {
-                    notificationContainer.remove();
-                }
-            });
+
+    /**
+     * Benchmark over the snapshots' days, rebased to the first snapshot's value
+     */
+    getBenchmarkOverlay(snapshots, series) {
+        if (!series || snapshots.length === 0) return [];
+
+        const points = series.points || [];
+        const first = String(snapshots[0].date).slice(0, 10);
+        const last = String(snapshots[snapshots.length - 1].date).slice(0, 10);
+        const base = this.getCloseOn(points, first) ?? points[0]?.close;
+        if (!base) return [];
+
+        return points
+            .filter(point => {
+                const day = String(point.date).slice(0, 10);
+                return day >= first && day <= last;
+            })
+            .map(point => ({ x: new Date(point.date), y: (point.close / base) * snapshots[0].totalValue }));
+    }
+
+    /**
+     * Comparison since the first snapshot, for the portfolio value card
+     */
+    getInceptionComparison() {
+        return this.getBenchmarkComparison(this.snapshots, this.benchmarkSeries);
+    }
+
+    render() {
+        const points = this.filterByRange(this.snapshots, this.range);
+        const emptyState = document.getElementById('equityCurveEmpty');
+        if (emptyState) emptyState.style.display = points.length === 0 ? '' : 'none';
+
+        this.renderSummary(this.getSummary(points));
+        this.renderComparison(this.getBenchmarkComparison(points, this.benchmarkSeries));
+        if (points.length === 0 || !window.Chart || !window.StockChart) return;
+
+        const toSeries = (field) => points.map(snapshot => ({ x: new Date(snapshot.date), y: snapshot[field] }));
+        if (!this.chart) {
+            this.chart = this.createChart();
         }
+        if (!this.chart) return;
+
+        this.chart.data.datasets[0].data = toSeries('totalValue');
+        this.chart.data.datasets[1].data = toSeries('invested');
+        this.chart.data.datasets[2].data = toSeries('cash');
+        this.chart.data.datasets[3].data = this.getBenchmarkOverlay(points, this.benchmarkSeries);
+        this.chart.data.datasets[3].label = this.benchmarkSeries?.name || 'Benchmark';
+        this.chart.update();
     }
-    
-    showErrorNotification(message) {
-        if (window.lottieManager) {
-            // Create a temporary container for the notification
-            const notificationContainer = document.createElement('div');
-            notificationContainer.className = 'toast-notification error';
-            notificationContainer.style.cssText = `
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                z-index: 10000;
-                background: white;
-                border-radius: 8px;
-                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-                padding: 16px;
-                min-width: 300px;
-                animation: slideInRight 0.3s ease-out;
-            `;
-            
-            document.body.appendChild(notificationContainer);
-            
-            window.lottieManager.showError(notificationContainer, {
-                message: message,
-                duration: 4000,
-                width: '30px',
-                height: '30px',
-                replace: false,
-                onComplete: () => {
-                    notificationContainer.remove();
+
+    createChart() {
+        const canvas = document.getElementById(this.canvasId);
+        const ctx = canvas?.getContext('2d');
+        if (!ctx) return null;
+
+        return new window.Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [
+                    {
+                        label: 'Portfolio value',
+                        data: [],
+                        borderColor: 'var(--color-primary)',
+                        backgroundColor: 'rgba(var(--color-primary-rgb), 0.1)',
+                        fill: true,
+                        tension: 0.2,
+                        pointRadius: 0
+                    },
+                    {
+                        label: 'Invested',
+                        data: [],
+                        borderColor: 'var(--color-secondary)',
+                        borderDash: [6, 4],
+                        fill: false,
+                        pointRadius: 0
+                    },
+                    {
+                        label: 'Cash',
+                        data: [],
+                        borderColor: 'var(--color-success)',
+                        fill: false,
+                        pointRadius: 0,
+                        hidden: true
+                    },
+                    {
+                        label: 'Benchmark',
+                        data: [],
+                        borderColor: 'var(--color-warning)',
+                        borderDash: [2, 3],
+                        fill: false,
+                        pointRadius: 0
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        labels: { color: 'var(--text-secondary)', boxWidth: 12 }
+                    },
+                    tooltip: {
+                        ...window.StockChart.getTooltipTheme(),
+                        displayColors: true,
+                        callbacks: {
+                            title: (context) => new Date(context[0].parsed.x).toLocaleDateString('en-IN'),
+                            label: (context) => `${context.dataset.label}: ${this.formatCurrency(context.parsed.y)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: window.StockChart.getTimeScale(),
+                    y: window.StockChart.getPriceScale()
+                },
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
                 }
-            });
+            }
+        });
+    }
+
+    renderSummary(summary) {
+        const element = document.getElementById('equityCurveChange');
+        if (!element) return;
+
+        const sign = summary.change >= 0 ? '+' : '-';
+        element.textContent = `${sign}${this.formatCurrency(Math.abs(summary.change))} (${sign}${Math.abs(summary.changePercent).toFixed(2)}%)`;
+        element.className = 'equity-curve-change ' + (summary.change >= 0 ? 'positive' : 'negative');
+    }
+
+    renderComparison(comparison) {
+        const element = document.getElementById('equityCurveBenchmark');
+        if (!element) return;
+
+        if (!comparison) {
+            element.textContent = '';
+            return;
         }
+
+        element.textContent = EquityCurve.formatComparison(comparison);
+        element.className = 'equity-curve-benchmark ' + (comparison.alpha >= 0 ? 'positive' : 'negative');
     }
-    
+
     /**
-     * Process dashboard data from data manager
+     * "NIFTY 50 +4.20% · Alpha +1.10%", shared with the portfolio value card
      */
-    processDashboardData(dashboardData) {
-        if (dashboardData.portfolio.success) {
-            this.processPortfolioData(dashboardData.portfolio.data);
-        } else {
-            this.showPortfolioError(dashboardData.portfolio.error);
-        }
-        
-        if (dashboardData.funds.success) {
-            this.processFundsData(dashboardData.funds.data);
-        } else {
-            this.showFundsError(dashboardData.funds.error);
+    static formatComparison(comparison) {
+        const format = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+        return `${comparison.name} ${format(comparison.benchmarkReturn)} · Alpha ${format(comparison.alpha)}`;
+    }
+
+    formatCurrency(amount) {
+        return '₹' + (amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    destroy() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
         }
-        
-        if (dashboardData.rank.success) {
-            this.processRankData(dashboardData.rank.data);
-        } else {
-            this.showRankError(dashboardData.rank.error);
+    }
+}
+
+// Initialize the equity curve when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('equityCurveChart')) {
+        window.equityCurve = new EquityCurve('equityCurveChart', {
+            gameType: window.dashboard ? window.dashboard.getGameType() : ''
+        });
+        window.equityCurve.init();
+    }
+});
+
+window.EquityCurve = EquityCurve;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EquityCurve;
+}
+
+/**
+ * Portfolio Risk
+ * Risk metrics of the daily portfolio snapshots (api/Risk): annualized
+ * volatility, max drawdown, Sharpe and Sortino ratios and beta against
+ * NIFTY 50. Renders the dashboard risk card and supplies the leaderboard's
+ * risk column; the metrics themselves are calculated on the server.
+ */
+
+const RISK_METRICS = [
+    {
+        key: 'volatility',
+        label: 'Volatility',
+        suffix: '%',
+        description: 'Annualized standard deviation of daily returns. Higher means the portfolio value swings more from day to day.'
+    },
+    {
+        key: 'maxDrawdown',
+        label: 'Max Drawdown',
+        suffix: '%',
+        description: 'Largest fall from a peak portfolio value to a later low. Shows the worst loss you would have sat through.'
+    },
+    {
+        key: 'sharpe',
+        label: 'Sharpe',
+        suffix: '',
+        description: 'Annualized return above the risk-free rate per unit of volatility. Above 1 is good; below 0 means cash did better.'
+    },
+    {
+        key: 'sortino',
+        label: 'Sortino',
+        suffix: '',
+        description: 'Like Sharpe, but only counts downside volatility, so large gains are not penalized.'
+    },
+    {
+        key: 'beta',
+        label: 'Beta',
+        suffix: '',
+        description: 'Sensitivity to the benchmark. 1 moves with the index, above 1 amplifies its moves, below 1 dampens them.'
+    }
+];
+
+class PortfolioRisk {
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.endpoint = options.endpoint || '/api/Risk';
+        this.gameType = options.gameType || '';
+        this.metrics = null;
+    }
+
+    init() {
+        return this.load();
+    }
+
+    async load() {
+        try {
+            this.metrics = await this.fetchRisk();
+        } catch (error) {
+            console.warn('Portfolio risk unavailable', error);
+            this.metrics = null;
         }
+        this.render();
     }
-    
+
+    fetchRisk() {
+        return this.request(this.endpoint);
+    }
+
     /**
-     * Process portfolio data from data manager
+     * Every participant's metrics, for the leaderboard
      */
-    processPortfolioData(portfolioData) {
-        if (portfolioData && portfolioData.summary) {
-            this.portfolioData.totalHoldings = portfolioData.summary.totalInvested;
-            this.portfolioData.currentValue = portfolioData.summary.currentValue;
-            this.portfolioData.profitLoss = portfolioData.summary.totalPnL;
-            this.updatePortfolioCards();
-        }
+    fetchLeaderboardRisk() {
+        return this.request(`${this.endpoint}/leaderboard`);
     }
-    
+
+    request(url) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url,
+                type: 'GET',
+                data: { gameType: this.gameType },
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => resolve(response?.data || null),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load risk metrics'))
+            });
+        });
+    }
+
     /**
-     * Process funds data from data manager
+     * Attaches each participant's metrics to their leaderboard entry as entry.risk
      */
-    processFundsData(fundsData) {
-        if (fundsData && typeof fundsData.amount === 'number') {
-            this.portfolioData.availableFunds = fundsData.amount;
-            this.animateCounter('availableFunds', this.portfolioData.availableFunds, 2);
-        }
+    static mergeLeaderboardRisk(entries, risk) {
+        const byEmail = new Map((risk || []).map(metrics => [String(metrics.email).toLowerCase(), metrics]));
+        return entries.map(entry => ({
+            ...entry,
+            risk: byEmail.get(String(entry.email).toLowerCase()) || null
+        }));
     }
-    
+
+    static formatMetric(metric, value) {
+        if (value === null || value === undefined) return '—';
+        return `${Number(value).toFixed(2)}${metric.suffix}`;
+    }
+
+    static getMetric(key) {
+        return RISK_METRICS.find(metric => metric.key === key);
+    }
+
     /**
-     * Process rank data from data manager
+     * Compact Sharpe / drawdown / beta summary for a leaderboard row
      */
-    processRankData(rankData) {
-        if (rankData) {
-            this.portfolioData.userRank = rankData.userRank;
-            this.portfolioData.totalParticipants = rankData.totalParticipants;
-            
-            this.animateCounter('userRank', this.portfolioData.userRank, 0);
-            this.animateCounter('totalParticipants', this.portfolioData.totalParticipants, 0);
+    static getLeaderboardCellHTML(risk) {
+        if (!risk || risk.sharpe === null || risk.sharpe === undefined) {
+            return '<span class="risk-unavailable" title="Needs more daily snapshots">—</span>';
+        }
+
+        return ['sharpe', 'maxDrawdown', 'beta'].map(key => {
+            const metric = PortfolioRisk.getMetric(key);
+            return `
+                <span class="risk-chip" data-bs-toggle="tooltip" title="${metric.description}">
+                    <span class="risk-chip-label">${metric.label}</span>
+                    ${PortfolioRisk.formatMetric(metric, risk[key])}
+                </span>
+            `;
+        }).join('');
+    }
+
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        const emptyState = document.getElementById('riskEmpty');
+        const hasMetrics = this.metrics && this.metrics.volatility !== null && this.metrics.volatility !== undefined;
+        if (emptyState) emptyState.style.display = hasMetrics ? 'none' : '';
+
+        container.innerHTML = hasMetrics ? RISK_METRICS.map(metric => this.getTileHTML(metric)).join('') : '';
+
+        const period = document.getElementById('riskPeriod');
+        if (period) {
+            period.textContent = hasMetrics
+                ? `${this.metrics.observations} daily returns · beta vs ${this.metrics.benchmark}`
+                : '';
         }
+
+        this.initTooltips(container);
+    }
+
+    getTileHTML(metric) {
+        return `
+            <div class="risk-metric" data-metric="${metric.key}" tabindex="0" data-bs-toggle="tooltip" title="${metric.description}">
+                <div class="risk-metric-label">
+                    ${metric.label}
+                    <i class="fas fa-info-circle" aria-hidden="true"></i>
+                </div>
+                <div class="risk-metric-value">${PortfolioRisk.formatMetric(metric, this.metrics[metric.key])}</div>
+            </div>
+        `;
+    }
+
+    initTooltips(container) {
+        if (!window.bootstrap?.Tooltip) return;
+        container.querySelectorAll('[data-bs-toggle="tooltip"]').forEach(element => {
+            window.bootstrap.Tooltip.getOrCreateInstance(element);
+        });
+    }
+}
+
+// Initialize the risk card when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('riskMetrics')) {
+        window.portfolioRisk = new PortfolioRisk('riskMetrics', {
+            gameType: window.dashboard ? window.dashboard.getGameType() : ''
+        });
+        window.portfolioRisk.init();
+    }
+});
+
+window.PortfolioRisk = PortfolioRisk;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioRisk;
+}
+
+/**
+ * Portfolio Allocation
+ * Sector and market-cap breakdown of the user's holdings (api/Allocation),
+ * classified by the server's symbol master. Renders a donut of the selected
+ * breakdown, a treemap of holdings coloured by sector and a warning for each
+ * sector above the concentration threshold.
+ */
+
+const ALLOCATION_COLORS = [
+    '#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6',
+    '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#6366f1'
+];
+
+const MARKET_CAP_LABELS = {
+    LARGE: 'Large cap',
+    MID: 'Mid cap',
+    SMALL: 'Small cap',
+    UNCLASSIFIED: 'Unclassified'
+};
+
+class PortfolioAllocation {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/Allocation';
+        this.gameType = options.gameType || '';
+        this.view = options.view || 'sector';
+        this.allocation = null;
+        this.chart = null;
+    }
+
+    init() {
+        this.bindEvents();
+        return this.load();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('[data-allocation-view]').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.allocationView));
+        });
+    }
+
+    load() {
+        return new Promise((resolve) => {
+            $.ajax({
+                url: this.endpoint,
+                type: 'GET',
+                data: { gameType: this.gameType },
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => {
+                    this.allocation = response?.data || null;
+                    this.render();
+                },
+                error: () => {
+                    this.showNotification('Failed to load portfolio allocation', 'error');
+                },
+                complete: () => resolve()
+            });
+        });
+    }
+
+    setView(view) {
+        if (view !== 'sector' && view !== 'marketCap') return;
+
+        this.view = view;
+        document.querySelectorAll('[data-allocation-view]').forEach(button => {
+            const active = button.dataset.allocationView === view;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+        this.renderDonut();
+    }
+
+    /**
+     * Slices of the selected breakdown, with display labels and colours
+     */
+    getSlices() {
+        if (!this.allocation) return [];
+
+        const slices = this.view === 'marketCap' ? this.allocation.marketCaps : this.allocation.sectors;
+        return (slices || []).map((slice, index) => ({
+            ...slice,
+            label: this.view === 'marketCap' ? (MARKET_CAP_LABELS[slice.name] || slice.name) : slice.name,
+            color: ALLOCATION_COLORS[index % ALLOCATION_COLORS.length]
+        }));
     }
-    
+
     /**
-     * Process load results from Promise.allSettled
+     * Colour of each sector, matching its slice in the sector donut
      */
-    processLoadResults(results) {
-        results.forEach((result, index) => {
-            if (result.status === 'rejected') {
-                const operations = ['portfolio', 'rank', 'holdings', 'watchlist'];
-                const operation = operations[index];
-                console.error(`Failed to load ${operation}:`, result.reason);
-                
-                // Show specific error for each operation
-                switch (operation) {
-                    case 'portfolio':
-                        this.showPortfolioError(result.reason);
-                        break;
-                    case 'rank':
-                        this.showRankError(result.reason);
-                        break;
-                    case 'holdings':
-                        this.showHoldingsError(result.reason);
-                        break;
-                    case 'watchlist':
-                        this.showWatchlistError(result.reason);
-                        break;
+    getSectorColors() {
+        const colors = {};
+        (this.allocation?.sectors || []).forEach((sector, index) => {
+            colors[sector.name] = ALLOCATION_COLORS[index % ALLOCATION_COLORS.length];
+        });
+        return colors;
+    }
+
+    render() {
+        const holdings = this.allocation?.holdings || [];
+        const emptyState = document.getElementById('allocationEmpty');
+        const content = document.getElementById('allocationContent');
+        if (emptyState) emptyState.style.display = holdings.length === 0 ? '' : 'none';
+        if (content) content.style.display = holdings.length === 0 ? 'none' : '';
+
+        this.renderWarnings(this.allocation?.warnings || []);
+        if (holdings.length === 0) return;
+
+        this.renderDonut();
+        this.renderTreemap(holdings);
+    }
+
+    renderDonut() {
+        const slices = this.getSlices();
+        if (slices.length === 0 || !window.Chart) return;
+
+        if (!this.chart) {
+            this.chart = this.createChart();
+        }
+        if (!this.chart) return;
+
+        this.chart.data.labels = slices.map(slice => slice.label);
+        this.chart.data.datasets[0].data = slices.map(slice => slice.value);
+        this.chart.data.datasets[0].backgroundColor = slices.map(slice => slice.color);
+        this.chart.update();
+    }
+
+    createChart() {
+        const canvas = document.getElementById('allocationChart');
+        const ctx = canvas?.getContext('2d');
+        if (!ctx) return null;
+
+        return new window.Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: [],
+                datasets: [{ data: [], backgroundColor: [], borderWidth: 2, borderColor: 'var(--bg-card)' }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                cutout: '60%',
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: { color: 'var(--text-secondary)', boxWidth: 12, usePointStyle: true }
+                    },
+                    tooltip: {
+                        ...(window.StockChart ? window.StockChart.getTooltipTheme() : {}),
+                        callbacks: {
+                            label: (context) => {
+                                const slice = this.getSlices()[context.dataIndex];
+                                return `${context.label}: ${this.formatCurrency(context.parsed)} (${slice ? slice.weight.toFixed(1) : 0}%)`;
+                            }
+                        }
+                    }
                 }
             }
         });
     }
-    
+
+    renderTreemap(holdings) {
+        const container = document.getElementById('allocationTreemap');
+        if (!container) return;
+
+        const colors = this.getSectorColors();
+        const tiles = PortfolioAllocation.layoutTreemap(holdings);
+        container.innerHTML = tiles.map(tile => `
+            <div class="treemap-tile${tile.item.isShort ? ' short' : ''}"
+                 style="left: ${tile.x}%; top: ${tile.y}%; width: ${tile.width}%; height: ${tile.height}%; background: ${colors[tile.item.sector] || ALLOCATION_COLORS[0]};"
+                 title="${this.escapeHtml(tile.item.symbol)} · ${this.escapeHtml(tile.item.industry)} · ${this.formatCurrency(tile.item.value)} (${tile.item.weight.toFixed(1)}%)">
+                <span class="treemap-symbol">${this.escapeHtml(tile.item.symbol)}</span>
+                <span class="treemap-weight">${tile.item.weight.toFixed(1)}%</span>
+            </div>
+        `).join('');
+    }
+
+    renderWarnings(warnings) {
+        const container = document.getElementById('allocationWarnings');
+        if (!container) return;
+
+        container.innerHTML = warnings.map(warning => `
+            <div class="allocation-warning" role="alert">
+                <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+                ${this.escapeHtml(warning.message)}
+            </div>
+        `).join('');
+    }
+
     /**
-     * Handle operation errors with specific messaging and retry options
+     * Squarified treemap of items with a positive value, in percentages of a
+     * 100 × 100 box. Each row is filled while it keeps its tiles closest to square.
      */
-    handleOperationError(operation, error, retryCallback) {
-        console.error(`Dashboard operation failed: ${operation}`, error);
-        
-        // Track retry attempts
-        const retryCount = this.retryAttempts.get(operation) || 0;
-        
-        // Use error handler if available
-        if (this.errorHandler) {
-            const shouldRetry = this.errorHandler.handleApiError(`/api/${operation}`, error, retryCount);
-            
-            if (shouldRetry && retryCount < this.maxRetries) {
-                // Show retry option
-                this.showRetryOption(operation, error, retryCallback);
+    static layoutTreemap(items, rect = { x: 0, y: 0, width: 100, height: 100 }) {
+        const total = items.reduce((sum, item) => sum + Math.max(item.value, 0), 0);
+        if (total <= 0) return [];
+
+        const scale = (rect.width * rect.height) / total;
+        const nodes = items
+            .filter(item => item.value > 0)
+            .sort((a, b) => b.value - a.value)
+            .map(item => ({ item, area: item.value * scale }));
+
+        const tiles = [];
+        let remaining = { ...rect };
+        let row = [];
+
+        const worstRatio = (candidate, side) => {
+            const sum = candidate.reduce((acc, node) => acc + node.area, 0);
+            const largest = Math.max(...candidate.map(node => node.area));
+            const smallest = Math.min(...candidate.map(node => node.area));
+            return Math.max((side * side * largest) / (sum * sum), (sum * sum) / (side * side * smallest));
+        };
+
+        const placeRow = (rowNodes, space) => {
+            const sum = rowNodes.reduce((acc, node) => acc + node.area, 0);
+            if (space.width >= space.height) {
+                // Column down the left edge
+                const width = sum / space.height;
+                let y = space.y;
+                rowNodes.forEach(node => {
+                    const height = node.area / width;
+                    tiles.push({ item: node.item, x: space.x, y, width, height });
+                    y += height;
+                });
+                return { x: space.x + width, y: space.y, width: space.width - width, height: space.height };
+            }
+
+            // Row along the top edge
+            const height = sum / space.width;
+            let x = space.x;
+            rowNodes.forEach(node => {
+                const width = node.area / height;
+                tiles.push({ item: node.item, x, y: space.y, width, height });
+                x += width;
+            });
+            return { x: space.x, y: space.y + height, width: space.width, height: space.height - height };
+        };
+
+        nodes.forEach(node => {
+            const side = Math.min(remaining.width, remaining.height);
+            if (row.length === 0 || worstRatio([...row, node], side) <= worstRatio(row, side)) {
+                row.push(node);
             } else {
-                // Show final error state
-                this.showFinalErrorState(operation, error);
+                remaining = placeRow(row, remaining);
+                row = [node];
             }
+        });
+        if (row.length > 0) placeRow(row, remaining);
+
+        return tiles;
+    }
+
+    formatCurrency(amount) {
+        return '₹' + (amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info') {
+        if (window.NotificationManager) {
+            window.NotificationManager.show(message, type);
         } else {
-            // Fallback error handling
-            this.showRetryOption(operation, error, retryCallback);
+            console.log(`${type.toUpperCase()}: ${message}`);
         }
     }
-    
-    /**
-     * Handle critical errors that affect the entire dashboard
-     */
-    handleCriticalError(operation, error) {
-        console.error(`Critical dashboard error in ${operation}:`, error);
-        
-        if (this.errorHandler) {
-            this.errorHandler.handleComponentError('Dashboard', error, { operation });
+
+    destroy() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
         }
-        
-        // Show critical error message
-        this.showCriticalErrorMessage(error);
     }
-    
+}
+
+// Initialize the allocation card when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('allocationTreemap')) {
+        window.portfolioAllocation = new PortfolioAllocation({
+            gameType: window.dashboard ? window.dashboard.getGameType() : ''
+        });
+        window.portfolioAllocation.init();
+    }
+});
+
+window.PortfolioAllocation = PortfolioAllocation;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioAllocation;
+}
+
+/**
+ * Portfolio Returns
+ * Time-weighted return and XIRR of the user's investments (api/Returns),
+ * shown on the dashboard's returns card. The leaderboard merges every
+ * participant's figures so it can be sorted and ranked by them.
+ */
+
+class PortfolioReturns {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/Returns';
+        this.gameType = options.gameType || '';
+        this.returns = null;
+    }
+
+    init() {
+        return this.load();
+    }
+
+    async load() {
+        try {
+            this.returns = await this.request(this.endpoint);
+        } catch (error) {
+            console.warn('Portfolio returns unavailable', error);
+            this.returns = null;
+        }
+        this.render();
+    }
+
     /**
-     * Handle dashboard load error
+     * Every participant's returns, for the leaderboard
      */
-    handleDashboardLoadError(error) {
-        console.error('Dashboard load error:', error);
-        
-        if (this.errorHandler) {
-            this.errorHandler.handleComponentError('Dashboard', error, { 
-                operation: 'loadDashboardData',
-                timestamp: new Date()
+    fetchLeaderboardReturns() {
+        return this.request(`${this.endpoint}/leaderboard`);
+    }
+
+    request(url) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url,
+                type: 'GET',
+                data: { gameType: this.gameType },
+                dataType: 'json',
+                timeout: 20000,
+                success: (response) => resolve(response?.data || null),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load returns'))
             });
-        }
-        
-        // Show user-friendly error with retry option
-        this.showDashboardLoadError(error);
+        });
     }
-    
+
+    render() {
+        this.renderFigure('twrReturn', this.returns?.timeWeightedReturn);
+        this.renderFigure('xirrReturn', this.returns?.xirr);
+    }
+
+    renderFigure(elementId, value) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+
+        element.textContent = PortfolioReturns.formatPercent(value);
+        element.classList.toggle('positive', value > 0);
+        element.classList.toggle('negative', value < 0);
+    }
+
+    static formatPercent(value) {
+        if (value === null || value === undefined) return '—';
+        return `${value >= 0 ? '+' : ''}${Number(value).toFixed(2)}%`;
+    }
+
     /**
-     * Handle timeout events
+     * Adds twr and xirr to each leaderboard entry, with twrRank and xirrRank:
+     * the entry's place when ranked by that figure (entries without it last)
      */
-    handleTimeout(component) {
-        console.warn(`Timeout occurred for component: ${component}`);
-        
-        const timeoutError = new Error(`Loading timeout for ${component}`);
-        timeoutError.type = 'timeout';
-        
-        if (this.errorHandler) {
-            this.errorHandler.handleComponentError('Dashboard', timeoutError, { 
-                component,
-                operation: 'timeout'
+    static mergeLeaderboardReturns(entries, returns) {
+        const byEmail = new Map((returns || []).map(metrics => [String(metrics.email).toLowerCase(), metrics]));
+        const merged = entries.map(entry => {
+            const metrics = byEmail.get(String(entry.email).toLowerCase());
+            return {
+                ...entry,
+                twr: metrics?.timeWeightedReturn ?? null,
+                xirr: metrics?.xirr ?? null
+            };
+        });
+
+        ['twr', 'xirr'].forEach(field => {
+            PortfolioReturns.rankBy(merged, field).forEach((entry, index) => {
+                entry[`${field}Rank`] = entry[field] === null ? null : index + 1;
             });
-        }
-        
-        this.showTimeoutError(component);
+        });
+        return merged;
     }
-    
+
     /**
-     * Handle loading state changes
+     * Entries ordered best first by a returns field, entries without it last
      */
-    handleLoadingStateChange(component, isLoading) {
-        // Update UI based on loading state changes
-        if (isLoading) {
-            this.showComponentLoading(component);
-        } else {
-            this.hideComponentLoading(component);
+    static rankBy(entries, field) {
+        return [...entries].sort((a, b) => {
+            if (a[field] === null) return b[field] === null ? 0 : 1;
+            if (b[field] === null) return -1;
+            return b[field] - a[field];
+        });
+    }
+}
+
+// Initialize the returns card when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('twrReturn')) {
+        window.portfolioReturns = new PortfolioReturns({
+            gameType: window.dashboard ? window.dashboard.getGameType() : ''
+        });
+        window.portfolioReturns.init();
+    }
+});
+
+window.PortfolioReturns = PortfolioReturns;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioReturns;
+}
+
+/**
+ * Portfolio Transfer
+ * Exports the holdings shown in the holdings table, the order history
+ * (api/OrderHistory) and the watchlist (api/Watchlist) as CSV or JSON, and
+ * imports a broker holdings statement into the practice portfolio
+ * (api/PortfolioImport). The server validates every row of the statement and
+ * imports nothing unless all of them pass; this class shows its error report.
+ */
+
+const EXPORT_COLUMNS = {
+    holdings: [
+        { key: 'symbol', header: 'Symbol', value: holding => holding.Name },
+        { key: 'quantity', header: 'Quantity', value: holding => holding.Count },
+        { key: 'averagePrice', header: 'Average Price', value: holding => holding.AveragePrice },
+        { key: 'ltp', header: 'LTP', value: holding => holding.Price },
+        { key: 'currentValue', header: 'Current Value', value: holding => holding.Price * holding.Count },
+        { key: 'profitLoss', header: 'P&L', value: holding => holding.ProfitLoss },
+        { key: 'profitLossPercent', header: 'P&L %', value: holding => holding.ProfitLossPercent }
+    ],
+    trades: [
+        { key: 'timestamp', header: 'Date', value: trade => trade.timestamp },
+        { key: 'symbol', header: 'Symbol', value: trade => trade.symbol },
+        { key: 'side', header: 'Side', value: trade => trade.side },
+        { key: 'quantity', header: 'Quantity', value: trade => trade.quantity },
+        { key: 'price', header: 'Price', value: trade => trade.price },
+        { key: 'orderType', header: 'Order Type', value: trade => trade.orderType },
+        { key: 'productType', header: 'Product', value: trade => trade.productType },
+        { key: 'status', header: 'Status', value: trade => trade.status },
+        { key: 'fees', header: 'Charges', value: trade => trade.fees },
+        { key: 'realizedPnl', header: 'Realized P&L', value: trade => trade.realizedPnl },
+        { key: 'rejectionReason', header: 'Rejection Reason', value: trade => trade.rejectionReason }
+    ],
+    watchlist: [
+        { key: 'symbol', header: 'Symbol', value: stock => stock.name },
+        { key: 'ltp', header: 'LTP', value: stock => stock.price },
+        { key: 'open', header: 'Open', value: stock => stock.open },
+        { key: 'high', header: 'High', value: stock => stock.high },
+        { key: 'low', header: 'Low', value: stock => stock.low },
+        { key: 'previousClose', header: 'Previous Close', value: stock => stock.close }
+    ]
+};
+
+class PortfolioTransfer {
+    constructor(options = {}) {
+        this.gameType = options.gameType || '';
+        this.endpoints = {
+            trades: '/api/OrderHistory',
+            watchlist: '/api/Watchlist',
+            import: '/api/PortfolioImport'
+        };
+        // Idempotency key of the chosen file, kept until the server has answered
+        this.pendingImport = null;
+    }
+
+    init() {
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('[data-export]').forEach(item => {
+            item.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.export(item.dataset.export, item.dataset.format);
+            });
+        });
+
+        const form = document.getElementById('portfolioImportForm');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                const file = document.getElementById('portfolioImportFile')?.files?.[0];
+                this.importFile(file);
+            });
         }
     }
-    
+
     /**
-     * Handle retry requests
+     * Downloads one dataset (holdings, trades or watchlist) as csv or json
      */
-    handleRetryRequest(component) {
-        console.log(`Retry requested for component: ${component}`);
-        
-        switch (component) {
-            case 'portfolio-summary':
-                this.retryPortfolioLoad();
-                break;
-            case 'holdings-table':
-                this.retryHoldingsLoad();
-                break;
-            case 'watchlist-table':
-                this.retryWatchlistLoad();
-                break;
-            default:
-                console.warn(`Unknown component for retry: ${component}`);
+    async export(dataset, format = 'csv') {
+        const columns = EXPORT_COLUMNS[dataset];
+        if (!columns) return;
+
+        let rows;
+        try {
+            rows = await this.getRows(dataset);
+        } catch (error) {
+            this.showNotification(`Failed to export ${dataset}: ${error.message}`, 'error');
+            return;
+        }
+
+        if (rows.length === 0) {
+            this.showNotification(`There are no ${dataset} to export`, 'info');
+            return;
+        }
+
+        const content = format === 'json'
+            ? JSON.stringify(PortfolioTransfer.toRecords(columns, rows), null, 2)
+            : PortfolioTransfer.toCsv(columns, rows);
+        const type = format === 'json' ? 'application/json' : 'text/csv';
+        this.download(`superstock-${dataset}-${new Date().toISOString().slice(0, 10)}.${format === 'json' ? 'json' : 'csv'}`, content, type);
+    }
+
+    getRows(dataset) {
+        if (dataset === 'holdings') {
+            return Promise.resolve(window.dashboard?.currentHoldings || []);
         }
+        if (dataset === 'trades') {
+            // The practice game is stored with an empty game type
+            return this.request(this.endpoints.trades, { GameType: this.gameType || 'PRACTICE' });
+        }
+        return this.request(this.endpoints.watchlist);
     }
-    
+
+    request(url, data = null) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url,
+                type: 'GET',
+                data,
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => resolve(response?.data || []),
+                error: (xhr, status, error) => reject(new Error(xhr.responseJSON?.message || error || 'Request failed'))
+            });
+        });
+    }
+
     /**
-     * Show retry option for failed operations
+     * Rows as plain objects keyed by column, for JSON export
      */
-    showRetryOption(operation, error, retryCallback) {
-        const message = this.getErrorMessage(operation, error);
-        const actions = [{
-            text: 'Retry',
-            callback: () => {
-                const retryCount = this.retryAttempts.get(operation) || 0;
-                this.retryAttempts.set(operation, retryCount + 1);
-                retryCallback();
-            }
-        }];
-        
-        if (this.errorHandler) {
-            this.errorHandler.showUserError(
-                { type: this.errorHandler.errorTypes.API },
-                message,
-                actions
-            );
-        } else {
-            // Fallback notification
-            this.showNotification(message + ' Click to retry.', 'error');
+    static toRecords(columns, rows) {
+        return rows.map(row => {
+            const record = {};
+            columns.forEach(column => {
+                const value = column.value(row);
+                record[column.key] = value === undefined ? null : value;
+            });
+            return record;
+        });
+    }
+
+    static toCsv(columns, rows) {
+        const lines = [columns.map(column => PortfolioTransfer.escapeCsvCell(column.header)).join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(column => PortfolioTransfer.escapeCsvCell(column.value(row))).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quotes cells with separators or quotes, and neutralizes text a
+     * spreadsheet would otherwise run as a formula
+     */
+    static escapeCsvCell(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+
+        let text = String(value);
+        if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) {
+            text = `'${text}`;
         }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
     }
-    
+
+    download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
     /**
-     * Get user-friendly error message for operations
+     * Uploads a holdings statement and renders the outcome. A retry of the same
+     * file after a timeout or server error reuses its idempotency key, so the
+     * server imports it at most once.
      */
-    getErrorMessage(operation, error) {
-        const baseMessages = {
-            'portfolio-summary': 'Unable to load portfolio data',
-            'user-rank': 'Unable to load your ranking',
-            'holdings-data': 'Unable to load your holdings',
-            'watchlist-data': 'Unable to load your watchlist'
-        };
-        
-        let message = baseMessages[operation] || 'An error occurred';
-        
-        // Add specific error details
-        if (error.status === 408 || error.message?.includes('timeout')) {
-            message += '. The request timed out.';
-        } else if (error.status >= 500) {
-            message += '. Server error occurred.';
-        } else if (!navigator.onLine) {
-            message += '. Please check your internet connection.';
-        } else {
-            message += '. Please try again.';
+    importFile(file) {
+        if (!file) {
+            this.renderImportResult({ success: false, message: 'Choose a holdings CSV to import' });
+            return Promise.resolve();
         }
-        
-        return message;
+
+        if (this.pendingImport?.file !== file) {
+            this.pendingImport = { file, key: this.createIdempotencyKey() };
+        }
+
+        const formData = new FormData();
+        formData.append('file', file);
+        this.setImporting(true);
+
+        return new Promise((resolve) => {
+            $.ajax({
+                url: this.endpoints.import,
+                type: 'POST',
+                data: formData,
+                headers: { 'Idempotency-Key': this.pendingImport.key },
+                processData: false,
+                contentType: false,
+                dataType: 'json',
+                timeout: 30000,
+                success: (response) => {
+                    this.pendingImport = null;
+                    this.renderImportResult(response);
+                    if (response?.success && window.dashboard) {
+                        window.dashboard.refreshAfterExecution();
+                    }
+                },
+                error: (xhr) => {
+                    // Only an unanswered or failed request may have to be sent again
+                    if (xhr.status > 0 && xhr.status < 500) {
+                        this.pendingImport = null;
+                    }
+                    this.renderImportResult(xhr.responseJSON || { success: false, message: 'Import failed. Please try again.' });
+                },
+                complete: () => {
+                    this.setImporting(false);
+                    resolve();
+                }
+            });
+        });
     }
-    
+
     /**
-     * Show specific error states for different components
+     * Key identifying one import; the server imports each key at most once
      */
-    showPortfolioError(error) {
-        const portfolioValue = document.getElementById('portfolioValue');
-        const availableFunds = document.getElementById('availableFunds');
-        
-        if (portfolioValue) {
-            portfolioValue.innerHTML = `
-                <span class="error-text">Unable to load</span>
-                <button class="btn btn-sm btn-link retry-btn" onclick="dashboard.retryPortfolioLoad()">
-                    <i class="fas fa-redo"></i> Retry
-                </button>
-            `;
+    createIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
         }
-        
-        if (availableFunds) {
-            availableFunds.innerHTML = `
-                <span class="error-text">Unable to load</span>
-                <button class="btn btn-sm btn-link retry-btn" onclick="dashboard.retryPortfolioLoad()">
-                    <i class="fas fa-redo"></i> Retry
-                </button>
-            `;
+        return `import-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    setImporting(importing) {
+        const button = document.getElementById('portfolioImportSubmit');
+        if (button) button.disabled = importing;
+    }
+
+    renderImportResult(response) {
+        const container = document.getElementById('portfolioImportResult');
+        if (!container) return;
+
+        const result = response?.data || null;
+        const errors = result?.errors || [];
+        const details = result ? `${result.rows} row(s) read as a ${this.escapeHtml(result.format)} statement. ` : '';
+
+        container.innerHTML = `
+            <div class="alert ${response?.success ? 'alert-success' : 'alert-danger'}" role="status">
+                ${details}${this.escapeHtml(response?.message || '')}
+            </div>
+            ${errors.length > 0 ? `
+                <table class="table table-sm import-errors">
+                    <thead>
+                        <tr><th scope="col">Row</th><th scope="col">Symbol</th><th scope="col">Problem</th></tr>
+                    </thead>
+                    <tbody>
+                        ${errors.map(error => `
+                            <tr>
+                                <td>${error.row > 0 ? error.row : 'File'}</td>
+                                <td>${this.escapeHtml(error.symbol || '—')}</td>
+                                <td>${this.escapeHtml(error.message)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+        `;
+    }
+
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
         }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
-    
-    showFundsError(error) {
-        const availableFunds = document.getElementById('availableFunds');
-        if (availableFunds) {
-            availableFunds.innerHTML = `
-                <span class="error-text">Unable to load funds</span>
-                <button class="btn btn-sm btn-link retry-btn" onclick="dashboard.retryFundsLoad()">
-                    <i class="fas fa-redo"></i> Retry
-                </button>
-            `;
+
+    showNotification(message, type = 'info') {
+        if (window.NotificationManager) {
+            window.NotificationManager.show(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
         }
     }
-    
-    showRankError(error) {
-        const userRank = document.getElementById('userRank');
-        const totalParticipants = document.getElementById('totalParticipants');
-        
-        if (userRank) {
-            userRank.innerHTML = `
-                <span class="error-text">--</span>
-                <button class="btn btn-sm btn-link retry-btn" onclick="dashboard.retryRankLoad()">
-                    <i class="fas fa-redo"></i> Retry
-                </button>
-            `;
+}
+
+// Initialize export and import when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('[data-export]') || document.getElementById('portfolioImportForm')) {
+        window.portfolioTransfer = new PortfolioTransfer({
+            gameType: window.dashboard ? window.dashboard.getGameType() : ''
+        });
+        window.portfolioTransfer.init();
+    }
+});
+
+window.PortfolioTransfer = PortfolioTransfer;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioTransfer;
+}
+
+/**
+ * Trade Simulator
+ * What-if sandbox for the dashboard. Clones the holdings and funds loaded by
+ * DashboardDataManager, applies hypothetical orders to the copy with the same
+ * charges and funds/holdings checks as a real order, and shows how funds,
+ * average prices, allocation and projected rank would change. Nothing is
+ * sent to the server; rank is projected against the other participants'
+ * totals on the latest snapshot (api/PortfolioSnapshots/leaderboard).
+ */
+
+class TradeSimulator {
+    constructor(options = {}) {
+        this.dataManager = options.dataManager || null;
+        this.feeEngine = options.feeEngine || window.feeEngine || null;
+        this.gameType = options.gameType || '';
+        this.userId = options.userId || 'current-user';
+        this.endpoint = options.endpoint || '/api/PortfolioSnapshots/leaderboard';
+        this.baseline = null;
+        this.state = null;
+        this.orders = [];
+        this.leaderboard = [];
+    }
+
+    init() {
+        this.bindEvents();
+        return this.load();
+    }
+
+    bindEvents() {
+        const form = document.getElementById('simulatorForm');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.addOrder(this.readForm());
+            });
         }
-        
-        if (totalParticipants) {
-            totalParticipants.textContent = "Unable to load";
+
+        document.getElementById('simulatorReset')?.addEventListener('click', () => this.load());
+
+        // Held stocks default to their last traded price
+        document.getElementById('simulatorSymbol')?.addEventListener('change', (event) => {
+            const holding = this.baseline?.holdings.find(h => h.symbol === event.target.value.trim().toUpperCase());
+            const price = document.getElementById('simulatorPrice');
+            if (holding && price) price.value = holding.price.toFixed(2);
+        });
+    }
+
+    /**
+     * Takes a fresh copy of the portfolio and drops any simulated orders
+     */
+    async load() {
+        try {
+            const [portfolio, funds, leaderboard] = await Promise.all([
+                this.dataManager.loadPortfolioData(this.userId, this.gameType),
+                this.dataManager.getAvailableFunds(this.gameType),
+                this.fetchLeaderboard().catch(() => null)
+            ]);
+            this.baseline = TradeSimulator.createState(portfolio, funds?.amount);
+            this.leaderboard = leaderboard?.totalValues || [];
+        } catch (error) {
+            console.warn('Trade simulator unavailable', error);
+            this.baseline = null;
         }
+
+        this.state = this.baseline ? TradeSimulator.cloneState(this.baseline) : null;
+        this.orders = [];
+        this.render();
     }
-    
-    showHoldingsError(error) {
-        const container = document.getElementById('holdingsTable');
-        if (container) {
-            const errorMessage = this.getErrorMessage('holdings-data', error);
-            container.innerHTML = `
-                <div class="error-state">
-                    <div class="error-icon">
-                        <i class="fas fa-exclamation-triangle"></i>
-                    </div>
-                    <div class="error-content">
-                        <h4>Unable to Load Holdings</h4>
-                        <p>${errorMessage}</p>
-                        <div class="error-actions">
-                            <button class="btn btn-primary" onclick="dashboard.retryHoldingsLoad()">
-                                <i class="fas fa-redo"></i> Retry
-                            </button>
-                            <button class="btn btn-outline-secondary" onclick="dashboard.loadInitialData()">
-                                <i class="fas fa-refresh"></i> Refresh All
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            `;
+
+    fetchLeaderboard() {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: this.endpoint,
+                type: 'GET',
+                data: { gameType: this.gameType },
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => resolve(response?.data || null),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load leaderboard snapshot'))
+            });
+        });
+    }
+
+    readForm() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        return {
+            symbol: value('simulatorSymbol'),
+            side: value('simulatorSide') || 'BUY',
+            quantity: value('simulatorQuantity'),
+            price: value('simulatorPrice')
+        };
+    }
+
+    addOrder(order) {
+        if (!this.state) return;
+
+        try {
+            const result = TradeSimulator.applyOrder(this.state, order, this.feeEngine);
+            this.state = result.state;
+            this.orders.push(result.order);
+            this.showError('');
+        } catch (error) {
+            this.showError(error.message);
         }
+        this.render();
     }
-    
-    showWatchlistError(error) {
-        const container = document.getElementById('watchlistTable');
-        if (container) {
-            const errorMessage = this.getErrorMessage('watchlist-data', error);
-            container.innerHTML = `
-                <div class="error-state">
-                    <div class="error-icon">
-                        <i class="fas fa-exclamation-triangle"></i>
-                    </div>
-                    <div class="error-content">
-                        <h4>Unable to Load Watchlist</h4>
-                        <p>${errorMessage}</p>
-                        <div class="error-actions">
-                            <button class="btn btn-primary" onclick="dashboard.retryWatchlistLoad()">
-                                <i class="fas fa-redo"></i> Retry
-                            </button>
-                            <button class="btn btn-outline-secondary" onclick="dashboard.loadInitialData()">
-                                <i class="fas fa-refresh"></i> Refresh All
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            `;
+
+    /**
+     * Sandbox copy of the data manager's portfolio: cash and each holding's
+     * quantity, average price, last traded price and current value
+     */
+    static createState(portfolio, cash) {
+        return {
+            cash: parseFloat(cash) || 0,
+            holdings: (portfolio?.holdings || []).map(holding => ({
+                symbol: String(holding.Name || '').replace('.NS', '').toUpperCase(),
+                quantity: holding.Count,
+                averagePrice: holding.AveragePrice,
+                price: holding.Price,
+                value: holding.currentValue ?? holding.Price * holding.Count
+            }))
+        };
+    }
+
+    static cloneState(state) {
+        return { cash: state.cash, holdings: state.holdings.map(holding => ({ ...holding })) };
+    }
+
+    /**
+     * Applies one order to a copy of the state. Buys need their cost plus
+     * charges in cash and sells need the shares, as on the server; intraday
+     * shorts are out of scope. Throws with the reason when the order would be rejected.
+     */
+    static applyOrder(state, order, feeEngine = null) {
+        const symbol = String(order.symbol || '').trim().toUpperCase();
+        const isBuy = String(order.side).toUpperCase() !== 'SELL';
+        const quantity = Number(order.quantity);
+        const price = Number(order.price);
+
+        if (!symbol) throw new Error('Enter a symbol');
+        if (!Number.isInteger(quantity) || quantity <= 0) throw new Error('Quantity must be a positive whole number');
+        if (!(price > 0)) throw new Error('Price must be greater than zero');
+
+        const next = TradeSimulator.cloneState(state);
+        let holding = next.holdings.find(h => h.symbol === symbol);
+        if (holding && holding.quantity < 0) {
+            throw new Error(`${symbol} is an intraday short, which the simulator does not model`);
+        }
+
+        const fees = feeEngine ? feeEngine.calculate({ side: isBuy ? 'buy' : 'sell', quantity, price }).total : 0;
+        const turnover = quantity * price;
+
+        if (isBuy) {
+            if (turnover + fees >= next.cash) {
+                throw new Error(`Needs ₹${(turnover + fees).toFixed(2)} including charges, but only ₹${next.cash.toFixed(2)} is available`);
+            }
+            if (!holding) {
+                holding = { symbol, quantity: 0, averagePrice: 0, price, value: 0 };
+                next.holdings.push(holding);
+            }
+            holding.averagePrice = (holding.quantity * holding.averagePrice + turnover) / (holding.quantity + quantity);
+            holding.quantity += quantity;
+            next.cash -= turnover + fees;
+        } else {
+            const held = holding ? holding.quantity : 0;
+            if (quantity > held) {
+                throw new Error(held > 0 ? `You hold only ${held} shares of ${symbol}` : `You do not hold any shares of ${symbol}`);
+            }
+            holding.quantity -= quantity;
+            next.cash += turnover - fees;
         }
+
+        // Positions stay valued at their last traded price
+        holding.value = holding.quantity * holding.price;
+        next.holdings = next.holdings.filter(h => h.quantity !== 0);
+
+        return { state: next, order: { symbol, side: isBuy ? 'BUY' : 'SELL', quantity, price, fees } };
     }
-    
-    showFinalErrorState(operation, error) {
-        // Show final error state when max retries exceeded
-        const message = `${this.getErrorMessage(operation, error)} Maximum retry attempts exceeded.`;
-        
-        if (this.errorHandler) {
-            this.errorHandler.showUserError(
-                { type: this.errorHandler.errorTypes.CRITICAL },
-                message,
-                [{
-                    text: 'Refresh Page',
-                    callback: () => window.location.reload()
-                }]
-            );
-        }
+
+    /**
+     * Total value, cash and holding weights (percent of total value) and the
+     * rank the total would take among the other participants' totals
+     */
+    static summarize(state, leaderboard = []) {
+        const holdingsValue = state.holdings.reduce((sum, holding) => sum + holding.value, 0);
+        const totalValue = state.cash + holdingsValue;
+        const weight = (value) => totalValue > 0 ? (value / totalValue) * 100 : 0;
+
+        return {
+            cash: state.cash,
+            totalValue,
+            cashWeight: weight(state.cash),
+            holdings: Object.fromEntries(state.holdings.map(holding => [holding.symbol, {
+                quantity: holding.quantity,
+                averagePrice: holding.averagePrice,
+                weight: weight(holding.value)
+            }])),
+            rank: 1 + leaderboard.filter(value => value > totalValue).length,
+            participants: leaderboard.length + 1
+        };
     }
-    
-    showCriticalErrorMessage(error) {
-        if (this.errorHandler) {
-            this.errorHandler.showUserError(
-                { type: this.errorHandler.errorTypes.CRITICAL },
-                'A critical error occurred while loading the dashboard. Please refresh the page.',
-                [{
-                    text: 'Refresh Page',
-                    callback: () => window.location.reload()
-                }]
+
+    /**
+     * Before/after rows for the comparison table: funds, total value, cash
+     * weight, each traded stock's quantity, average price and weight, and rank
+     */
+    getComparison() {
+        if (!this.baseline || !this.state) return [];
+
+        const before = TradeSimulator.summarize(this.baseline, this.leaderboard);
+        const after = TradeSimulator.summarize(this.state, this.leaderboard);
+        const currency = (value) => `₹${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        const percent = (value) => `${value.toFixed(2)}%`;
+
+        const rows = [
+            { label: 'Available funds', before: before.cash, after: after.cash, format: currency },
+            { label: 'Total value', before: before.totalValue, after: after.totalValue, format: currency },
+            { label: 'Cash allocation', before: before.cashWeight, after: after.cashWeight, format: percent }
+        ];
+
+        [...new Set(this.orders.map(order => order.symbol))].forEach(symbol => {
+            const was = before.holdings[symbol];
+            const now = after.holdings[symbol];
+            rows.push(
+                { label: `${symbol} quantity`, before: was?.quantity ?? 0, after: now?.quantity ?? 0, format: (value) => String(value) },
+                { label: `${symbol} average price`, before: was?.averagePrice ?? null, after: now?.averagePrice ?? null, format: currency },
+                { label: `${symbol} allocation`, before: was?.weight ?? 0, after: now?.weight ?? 0, format: percent }
             );
+        });
+
+        if (this.leaderboard.length > 0) {
+            rows.push({
+                label: `Projected rank (of ${after.participants})`,
+                before: before.rank,
+                after: after.rank,
+                format: (value) => `#${value}`,
+                lowerIsBetter: true
+            });
         }
+        return rows;
     }
-    
-    showDashboardLoadError(error) {
-        const message = 'Unable to load dashboard data. Please check your connection and try again.';
-        
-        if (this.errorHandler) {
-            this.errorHandler.showUserError(
-                { type: this.errorHandler.errorTypes.API },
-                message,
-                [{
-                    text: 'Retry',
-                    callback: () => this.loadInitialData()
-                }, {
-                    text: 'Refresh Page',
-                    callback: () => window.location.reload()
-                }]
-            );
+
+    render() {
+        const container = document.getElementById('simulatorResults');
+        if (!container) return;
+
+        const emptyState = document.getElementById('simulatorEmpty');
+        if (emptyState) emptyState.style.display = this.baseline ? 'none' : '';
+
+        const options = document.getElementById('simulatorHoldings');
+        if (options) {
+            options.innerHTML = (this.baseline?.holdings || [])
+                .map(holding => `<option value="${this.escapeHtml(holding.symbol)}"></option>`)
+                .join('');
+        }
+
+        this.renderOrders();
+
+        if (this.orders.length === 0) {
+            container.innerHTML = '';
+            return;
         }
+
+        container.innerHTML = `
+            <table class="table table-sm simulator-table">
+                <thead>
+                    <tr><th scope="col"></th><th scope="col">Before</th><th scope="col">After</th><th scope="col">Change</th></tr>
+                </thead>
+                <tbody>
+                    ${this.getComparison().map(row => this.getRowHTML(row)).join('')}
+                </tbody>
+            </table>
+        `;
     }
-    
-    showTimeoutError(component) {
-        const message = `Loading ${component} is taking longer than expected. Please try again.`;
-        
-        if (this.errorHandler) {
-            this.errorHandler.showUserError(
-                { type: this.errorHandler.errorTypes.TIMEOUT },
-                message,
-                [{
-                    text: 'Retry',
-                    callback: () => this.handleRetryRequest(component)
-                }]
-            );
+
+    getRowHTML(row) {
+        const format = (value) => value === null ? '—' : row.format(value);
+        let change = '—';
+        let changeClass = '';
+        if (row.before !== null && row.after !== null) {
+            const delta = row.after - row.before;
+            if (Math.abs(delta) >= 0.005) {
+                const improved = row.lowerIsBetter ? delta < 0 : delta > 0;
+                changeClass = improved ? 'positive' : 'negative';
+                change = `${delta > 0 ? '+' : '-'}${row.format(Math.abs(delta)).replace('#', '')}`;
+            } else {
+                change = 'No change';
+            }
         }
+
+        return `
+            <tr>
+                <th scope="row">${this.escapeHtml(row.label)}</th>
+                <td>${format(row.before)}</td>
+                <td>${format(row.after)}</td>
+                <td class="simulator-change ${changeClass}">${change}</td>
+            </tr>
+        `;
     }
-    
-    /**
-     * Show/hide component loading states
-     */
-    showComponentLoading(component) {
-        // Implementation depends on specific component
-        console.log(`Showing loading for ${component}`);
+
+    renderOrders() {
+        const list = document.getElementById('simulatorOrders');
+        if (!list) return;
+
+        list.innerHTML = this.orders.map(order => `
+            <li class="simulator-order ${order.side === 'BUY' ? 'buy' : 'sell'}">
+                ${order.side} ${order.quantity} ${this.escapeHtml(order.symbol)} @ ₹${order.price.toFixed(2)}
+                <span class="simulator-fees">charges ₹${order.fees.toFixed(2)}</span>
+            </li>
+        `).join('');
     }
-    
-    hideComponentLoading(component) {
-        // Implementation depends on specific component
-        console.log(`Hiding loading for ${component}`);
+
+    showError(message) {
+        const element = document.getElementById('simulatorError');
+        if (!element) return;
+
+        element.textContent = message;
+        element.style.display = message ? '' : 'none';
     }
-    
-    /**
-     * Retry methods for different operations
-     */
-    retryPortfolioLoad() {
-        console.log('Retrying portfolio load...');
-        this.updatePortfolioSummaryWithErrorHandling();
+
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
-    
-    retryFundsLoad() {
-        console.log('Retrying funds load...');
-        this.updateAvailableFundsLegacy().catch(error => {
-            this.handleOperationError('funds', error, () => this.retryFundsLoad());
+}
+
+// Initialize the simulator when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('simulatorForm')) {
+        const dataManager = window.dashboard?.dataManager
+            || (window.DashboardDataManager ? new window.DashboardDataManager() : null);
+        if (!dataManager) return;
+
+        window.tradeSimulator = new TradeSimulator({
+            dataManager,
+            gameType: window.dashboard ? window.dashboard.getGameType() : '',
+            userId: window.dashboard ? window.dashboard.getCurrentUserId() : undefined
         });
+        window.tradeSimulator.init();
     }
-    
-    retryRankLoad() {
-        console.log('Retrying rank load...');
-        this.updateUserRankWithErrorHandling();
+});
+
+window.TradeSimulator = TradeSimulator;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TradeSimulator;
+}
+
+/**
+ * Rebalancer
+ * Target-weight rebalancing for the dashboard. Targets are percentages of
+ * total value per symbol (the rest is cash) and are kept per game in
+ * localStorage. From the holdings and funds loaded by DashboardDataManager,
+ * current prices, market lots (api/AllStocks) and the fee engine it proposes
+ * the sells and buys that bring the portfolio closest to the targets, which
+ * can be reviewed and placed as a batch through OrderBook.executeOrder.
+ */
+
+class Rebalancer {
+    constructor(options = {}) {
+        this.dataManager = options.dataManager || null;
+        this.orderBook = options.orderBook || window.orderBook || null;
+        this.feeEngine = options.feeEngine || window.feeEngine || null;
+        this.gameType = options.gameType || '';
+        this.userId = options.userId || 'current-user';
+        this.storage = options.storage || window.localStorage;
+        this.endpoints = {
+            prices: '/api/StockData/prices',
+            stocks: '/api/AllStocks'
+        };
+        this.holdings = [];
+        this.cash = 0;
+        this.targets = {};
+        this.lotSizes = {};
+        this.proposal = null;
+        this.submitting = false;
     }
-    
-    retryHoldingsLoad() {
-        console.log('Retrying holdings load...');
-        this.loadHoldingsDataWithErrorHandling();
+
+    get storageKey() {
+        return `rebalanceTargets-${this.gameType || 'PRACTICE'}`;
     }
-    
-    retryWatchlistLoad() {
-        console.log('Retrying watchlist load...');
-        this.loadWatchlistDataWithErrorHandling();
+
+    init() {
+        this.bindEvents();
+        return this.load();
     }
-    
+
+    bindEvents() {
+        document.getElementById('rebalanceAddTarget')?.addEventListener('click', () => {
+            this.targets = { ...this.readTargets(), '': '' };
+            this.renderTargets();
+        });
+
+        document.getElementById('rebalanceTargets')?.addEventListener('click', (event) => {
+            const remove = event.target.closest('[data-remove-target]');
+            if (!remove) return;
+            remove.closest('.rebalance-target')?.remove();
+            this.updateCashWeight();
+        });
+
+        document.getElementById('rebalanceTargets')?.addEventListener('input', () => this.updateCashWeight());
+
+        const form = document.getElementById('rebalanceForm');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.calculate();
+            });
+        }
+
+        document.getElementById('rebalanceSubmit')?.addEventListener('click', () => this.submit());
+    }
+
     /**
-     * Get current user ID (implement based on your authentication system)
+     * Loads the portfolio and funds. Without saved targets the current
+     * weights are offered as a starting point.
      */
-    getCurrentUserId() {
-        // This should be implemented based on your authentication system
-        // For now, return a default or extract from DOM/session
-        return 'current-user';
-    }
-    
-    getGameType() {
-        const type = $("#mainGrid").attr("data-value");
-        switch (type) {
-            case "Competition":
-                return "C1";
-            default:
-                return "";
+    async load() {
+        try {
+            const [portfolio, funds] = await Promise.all([
+                this.dataManager.loadPortfolioData(this.userId, this.gameType),
+                this.dataManager.getAvailableFunds(this.gameType)
+            ]);
+            this.cash = parseFloat(funds?.amount) || 0;
+            this.holdings = (portfolio?.holdings || []).map(holding => ({
+                symbol: String(holding.Name || '').replace('.NS', '').toUpperCase(),
+                quantity: holding.Count,
+                price: holding.Price,
+                value: holding.currentValue ?? holding.Price * holding.Count
+            }));
+        } catch (error) {
+            console.warn('Rebalancer unavailable', error);
+            this.holdings = [];
+            this.cash = 0;
         }
+
+        this.targets = this.loadTargets() || this.getCurrentWeights();
+        this.proposal = null;
+        this.renderTargets();
+        this.renderProposal();
     }
-}
 
-// Add CSS styles for error states
-function addDashboardErrorStyles() {
-    if (document.getElementById('dashboard-error-styles')) {
-        return;
+    loadTargets() {
+        try {
+            const saved = JSON.parse(this.storage?.getItem(this.storageKey) || 'null');
+            return saved && typeof saved === 'object' ? saved : null;
+        } catch (error) {
+            return null;
+        }
     }
-    
-    const style = document.createElement('style');
-    style.id = 'dashboard-error-styles';
-    style.textContent = `
-        .error-state {
-            display: flex;
-            flex-direction: column;
-            align-items: center;
-            justify-content: center;
-            padding: 40px 20px;
-            text-align: center;
-            min-height: 200px;
-            background: #f8f9fa;
-            border-radius: 8px;
-            border: 1px solid #dee2e6;
+
+    saveTargets(targets) {
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(targets));
+        } catch (error) {
+            console.warn('Could not save rebalance targets', error);
         }
-        
-        .error-icon {
-            font-size: 48px;
-            color: #dc3545;
-            margin-bottom: 16px;
+    }
+
+    /**
+     * Current weight of each long holding, rounded to whole percents
+     */
+    getCurrentWeights() {
+        const total = this.cash + this.holdings.reduce((sum, holding) => sum + holding.value, 0);
+        if (!(total > 0)) return {};
+
+        return Object.fromEntries(this.holdings
+            .filter(holding => holding.quantity > 0)
+            .map(holding => [holding.symbol, Math.round((holding.value / total) * 100)]));
+    }
+
+    readTargets() {
+        const targets = {};
+        document.querySelectorAll('#rebalanceTargets .rebalance-target').forEach(row => {
+            const symbol = row.querySelector('[data-target-symbol]')?.value.trim().toUpperCase() || '';
+            const weight = row.querySelector('[data-target-weight]')?.value ?? '';
+            if (symbol || weight !== '') targets[symbol] = weight;
+        });
+        return targets;
+    }
+
+    /**
+     * Target weights as numbers keyed by upper-case symbol. Throws when a
+     * symbol is missing or repeated, a weight is outside 0-100, or the
+     * weights add up to more than 100%.
+     */
+    static parseTargets(targets) {
+        const parsed = {};
+        Object.entries(targets || {}).forEach(([key, value]) => {
+            const symbol = String(key).trim().toUpperCase();
+            const weight = Number(value);
+            if (!symbol) throw new Error('Enter a symbol for every target');
+            if (value === '' || !Number.isFinite(weight) || weight < 0 || weight > 100) {
+                throw new Error(`Target for ${symbol} must be between 0 and 100%`);
+            }
+            if (symbol in parsed) throw new Error(`${symbol} has more than one target`);
+            parsed[symbol] = weight;
+        });
+
+        const total = Object.values(parsed).reduce((sum, weight) => sum + weight, 0);
+        if (total > 100 + 1e-9) {
+            throw new Error(`Targets add up to ${total.toFixed(2)}%, which is more than 100%`);
         }
-        
-        .error-content h4 {
-            color: #495057;
-            margin-bottom: 8px;
-            font-weight: 600;
+        return parsed;
+    }
+
+    /**
+     * Orders that move the portfolio towards the target weights. Quantities
+     * are whole market lots, except that a target of 0 sells the whole
+     * holding. Sells come first and their proceeds, net of charges, fund the
+     * buys; a buy that does not fit the cash is cut down a lot at a time.
+     * Holdings without a target are sold; intraday shorts are left alone.
+     */
+    static computeOrders({ holdings = [], cash = 0, targets = {}, prices = {}, lotSizes = {}, feeEngine = null }) {
+        const fees = (side, quantity, price) => feeEngine ? feeEngine.calculate({ side, quantity, price }).total : 0;
+        const totalValue = cash + holdings.reduce((sum, holding) => sum + holding.value, 0);
+        const warnings = [];
+
+        holdings.filter(holding => holding.quantity < 0 && holding.symbol in targets).forEach(holding => {
+            warnings.push(`${holding.symbol} is an intraday short and is left as it is`);
+        });
+
+        const longs = holdings.filter(holding => holding.quantity > 0);
+        const symbols = [...new Set([...longs.map(holding => holding.symbol), ...Object.keys(targets)])]
+            .filter(symbol => !holdings.some(holding => holding.symbol === symbol && holding.quantity < 0));
+
+        const positions = [];
+        symbols.forEach(symbol => {
+            const holding = longs.find(h => h.symbol === symbol);
+            const price = holding ? holding.price : prices[symbol];
+            if (!(price > 0)) {
+                warnings.push(`No price is available for ${symbol}`);
+                return;
+            }
+            const targetWeight = targets[symbol] || 0;
+            positions.push({
+                symbol,
+                price,
+                held: holding ? holding.quantity : 0,
+                lot: Math.max(1, parseInt(lotSizes[symbol], 10) || 1),
+                currentValue: holding ? holding.value : 0,
+                targetWeight,
+                targetValue: (totalValue * targetWeight) / 100
+            });
+        });
+
+        const orders = [];
+        let cashAfter = cash;
+
+        positions.filter(p => p.currentValue > p.targetValue).forEach(p => {
+            const lots = Math.floor((p.currentValue - p.targetValue) / p.price / p.lot);
+            const quantity = p.targetWeight === 0 ? p.held : Math.min(p.held, lots * p.lot);
+            if (quantity <= 0) return;
+
+            const charges = fees('sell', quantity, p.price);
+            cashAfter += quantity * p.price - charges;
+            orders.push({ ...p, side: 'SELL', quantity, fees: charges });
+        });
+
+        // Largest shortfall first, so the cash goes where the gap is biggest
+        positions
+            .filter(p => p.targetValue > p.currentValue)
+            .sort((a, b) => (b.targetValue - b.currentValue) - (a.targetValue - a.currentValue))
+            .forEach(p => {
+                const wanted = Math.floor((p.targetValue - p.currentValue) / p.price / p.lot) * p.lot;
+                let quantity = wanted;
+                // Same check as the server: cost plus charges below the available funds
+                while (quantity > 0 && quantity * p.price + fees('buy', quantity, p.price) >= cashAfter) {
+                    quantity -= p.lot;
+                }
+                if (quantity < wanted) {
+                    warnings.push(quantity > 0
+                        ? `${p.symbol} is cut to ${quantity} shares to fit the available funds`
+                        : `Not enough funds to buy ${p.symbol}`);
+                }
+                if (quantity <= 0) return;
+
+                const charges = fees('buy', quantity, p.price);
+                cashAfter -= quantity * p.price + charges;
+                orders.push({ ...p, side: 'BUY', quantity, fees: charges });
+            });
+
+        const totalFees = orders.reduce((sum, order) => sum + order.fees, 0);
+        const projectedTotal = totalValue - totalFees;
+        const weight = (value, total) => total > 0 ? (value / total) * 100 : 0;
+
+        return {
+            totalValue,
+            cashAfter,
+            totalFees,
+            warnings,
+            orders: orders.map(order => ({
+                symbol: order.symbol,
+                side: order.side,
+                quantity: order.quantity,
+                price: order.price,
+                lot: order.lot,
+                value: order.quantity * order.price,
+                fees: order.fees,
+                currentWeight: weight(order.currentValue, totalValue),
+                targetWeight: order.targetWeight,
+                projectedWeight: weight((order.held + (order.side === 'BUY' ? order.quantity : -order.quantity)) * order.price, projectedTotal)
+            }))
+        };
+    }
+
+    /**
+     * Validates and saves the targets, fetches prices and lots, and renders
+     * the proposed orders
+     */
+    async calculate() {
+        let targets;
+        try {
+            targets = Rebalancer.parseTargets(this.readTargets());
+        } catch (error) {
+            this.showError(error.message);
+            return null;
         }
-        
-        .error-content p {
-            color: #6c757d;
-            margin-bottom: 20px;
-            max-width: 400px;
+
+        this.showError('');
+        this.targets = targets;
+        this.saveTargets(targets);
+
+        const symbols = [...new Set([...this.holdings.map(h => h.symbol), ...Object.keys(targets)])];
+        const unpriced = symbols.filter(symbol => !this.holdings.some(h => h.symbol === symbol));
+
+        try {
+            const [prices] = await Promise.all([
+                this.fetchPrices(unpriced),
+                ...symbols.filter(symbol => !(symbol in this.lotSizes)).map(symbol => this.fetchLotSize(symbol))
+            ]);
+
+            this.proposal = Rebalancer.computeOrders({
+                holdings: this.holdings,
+                cash: this.cash,
+                targets,
+                prices,
+                lotSizes: this.lotSizes,
+                feeEngine: this.feeEngine
+            });
+            this.proposal.orders.forEach(order => { order.selected = true; });
+        } catch (error) {
+            this.showError(`Could not calculate the orders: ${error.message}`);
+            this.proposal = null;
         }
-        
-        .error-actions {
-            display: flex;
-            gap: 12px;
-            justify-content: center;
-            flex-wrap: wrap;
+
+        this.renderProposal();
+        return this.proposal;
+    }
+
+    fetchPrices(symbols) {
+        if (symbols.length === 0) return Promise.resolve({});
+
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: this.endpoints.prices,
+                type: 'GET',
+                data: { symbols: symbols.join(',') },
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => {
+                    const prices = {};
+                    (response?.data || []).forEach(quote => {
+                        prices[String(quote.name || '').replace('.NS', '').toUpperCase()] = quote.price;
+                    });
+                    resolve(prices);
+                },
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load prices'))
+            });
+        });
+    }
+
+    /**
+     * Market lot from the stock list; 1 when the symbol is not listed
+     */
+    fetchLotSize(symbol) {
+        return new Promise((resolve) => {
+            $.ajax({
+                url: this.endpoints.stocks,
+                type: 'GET',
+                data: { item: symbol },
+                timeout: 15000,
+                success: (data) => {
+                    let stocks = [];
+                    try {
+                        stocks = JSON.parse(data).Value || [];
+                    } catch (error) {
+                        stocks = [];
+                    }
+                    const stock = stocks.find(s => String(s.Symbol).toUpperCase() === symbol);
+                    this.lotSizes[symbol] = Math.max(1, parseInt(stock?.MarketLot, 10) || 1);
+                    resolve(this.lotSizes[symbol]);
+                },
+                error: () => {
+                    this.lotSizes[symbol] = 1;
+                    resolve(1);
+                }
+            });
+        });
+    }
+
+    /**
+     * Places the selected orders one at a time, sells first so their proceeds
+     * are in the account before the buys. A rejected order does not stop the
+     * rest; each row shows its own outcome.
+     */
+    async submit() {
+        const orderBook = this.orderBook || window.orderBook;
+        if (!this.proposal || this.submitting || !orderBook) return;
+
+        this.readSelection();
+        const orders = this.proposal.orders.filter(order => order.selected);
+        if (orders.length === 0) {
+            this.showNotification('Select at least one order to place', 'info');
+            return;
         }
-        
-        .error-text {
-            color: #dc3545;
-            font-size: 14px;
-            font-weight: 500;
+
+        this.submitting = true;
+        this.renderProposal();
+
+        let placed = 0;
+        for (const order of [...orders].sort((a, b) => (a.side === 'SELL' ? 0 : 1) - (b.side === 'SELL' ? 0 : 1))) {
+            order.status = 'pending';
+            this.renderProposal();
+            try {
+                await orderBook.executeOrder({
+                    symbol: order.symbol,
+                    side: order.side === 'SELL' ? 'sell' : 'buy',
+                    quantity: order.quantity,
+                    price: order.price,
+                    orderType: 'REBALANCE',
+                    gameType: this.gameType
+                });
+                order.status = 'filled';
+                placed++;
+            } catch (error) {
+                order.status = 'rejected';
+                order.error = error.message;
+            }
         }
-        
-        .retry-btn {
-            color: #007bff !important;
-            font-size: 12px;
-            padding: 2px 6px !important;
-            text-decoration: none !important;
+
+        this.submitting = false;
+        this.renderProposal();
+
+        const failed = orders.length - placed;
+        this.showNotification(
+            failed === 0 ? `Placed ${placed} rebalancing order(s)` : `Placed ${placed} of ${orders.length} rebalancing orders; ${failed} rejected`,
+            failed === 0 ? 'success' : 'warning'
+        );
+        if (placed > 0 && window.dashboard) {
+            window.dashboard.refreshAfterExecution();
         }
-        
-        .retry-btn:hover {
-            color: #0056b3 !important;
-            text-decoration: underline !important;
+    }
+
+    readSelection() {
+        document.querySelectorAll('#rebalanceOrders [data-order-index]').forEach(checkbox => {
+            const order = this.proposal?.orders[Number(checkbox.dataset.orderIndex)];
+            if (order) order.selected = checkbox.checked;
+        });
+    }
+
+    renderTargets() {
+        const container = document.getElementById('rebalanceTargets');
+        if (!container) return;
+
+        const entries = Object.entries(this.targets);
+        container.innerHTML = entries.map(([symbol, weight]) => `
+            <div class="rebalance-target">
+                <input type="text" class="form-control form-control-sm" data-target-symbol value="${this.escapeHtml(symbol)}"
+                       placeholder="Symbol" aria-label="Symbol" autocomplete="off" />
+                <input type="number" class="form-control form-control-sm" data-target-weight value="${this.escapeHtml(String(weight))}"
+                       min="0" max="100" step="0.5" placeholder="%" aria-label="Target weight (%)" />
+                <button type="button" class="btn btn-link btn-sm" data-remove-target aria-label="Remove target">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+        `).join('');
+        this.updateCashWeight();
+    }
+
+    updateCashWeight() {
+        const element = document.getElementById('rebalanceCashWeight');
+        if (!element) return;
+
+        const total = Object.values(this.readTargets()).reduce((sum, weight) => sum + (Number(weight) || 0), 0);
+        element.textContent = `${(100 - total).toFixed(2)}%`;
+        element.classList.toggle('negative', total > 100);
+    }
+
+    renderProposal() {
+        const container = document.getElementById('rebalanceOrders');
+        const submit = document.getElementById('rebalanceSubmit');
+        if (!container) return;
+
+        const proposal = this.proposal;
+        if (submit) {
+            submit.style.display = proposal?.orders.length ? '' : 'none';
+            submit.disabled = this.submitting;
         }
-        
-        .retry-btn i {
-            margin-right: 4px;
+        if (!proposal) {
+            container.innerHTML = '';
+            return;
         }
-        
-        @media (max-width: 768px) {
-            .error-state {
-                padding: 30px 15px;
-                min-height: 150px;
-            }
-            
-            .error-icon {
-                font-size: 36px;
-            }
-            
-            .error-actions {
-                flex-direction: column;
-                align-items: center;
-            }
-            
-            .error-actions .btn {
-                width: 100%;
-                max-width: 200px;
-            }
+
+        const currency = (value) => `₹${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        const percent = (value) => `${value.toFixed(2)}%`;
+        const warnings = proposal.warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('');
+
+        if (proposal.orders.length === 0) {
+            container.innerHTML = `
+                <p class="rebalance-summary">The portfolio is already within one lot of every target.</p>
+                ${warnings ? `<ul class="rebalance-warnings">${warnings}</ul>` : ''}
+            `;
+            return;
         }
-    `;
-    document.head.appendChild(style);
-}
 
-// Initialize dashboard when DOM is loaded
-let dashboard;
-document.addEventListener('DOMContentLoaded', () => {
-    addDashboardErrorStyles();
-    dashboard = new DashboardManager();
-});
+        container.innerHTML = `
+            <table class="table table-sm rebalance-table">
+                <thead>
+                    <tr>
+                        <th scope="col"><span class="visually-hidden">Include</span></th>
+                        <th scope="col">Order</th>
+                        <th scope="col">Value</th>
+                        <th scope="col">Charges</th>
+                        <th scope="col">Weight now</th>
+                        <th scope="col">Target</th>
+                        <th scope="col">After</th>
+                        <th scope="col">Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${proposal.orders.map((order, index) => `
+                        <tr class="rebalance-order ${order.side === 'BUY' ? 'buy' : 'sell'}">
+                            <td><input type="checkbox" class="form-check-input" data-order-index="${index}"
+                                       ${order.selected ? 'checked' : ''} ${this.submitting || order.status ? 'disabled' : ''}
+                                       aria-label="Include ${order.side} ${this.escapeHtml(order.symbol)}" /></td>
+                            <td>${order.side} ${order.quantity} ${this.escapeHtml(order.symbol)} @ ${currency(order.price)}${order.lot > 1 ? ` <span class="rebalance-lot">lot ${order.lot}</span>` : ''}</td>
+                            <td>${currency(order.value)}</td>
+                            <td>${currency(order.fees)}</td>
+                            <td>${percent(order.currentWeight)}</td>
+                            <td>${percent(order.targetWeight)}</td>
+                            <td>${percent(order.projectedWeight)}</td>
+                            <td class="rebalance-status ${order.status || ''}"${order.error ? ` title="${this.escapeHtml(order.error)}"` : ''}>${this.getStatusLabel(order.status)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="rebalance-summary">
+                Estimated charges ${currency(proposal.totalFees)} · Cash after ${currency(proposal.cashAfter)}
+            </p>
+            ${warnings ? `<ul class="rebalance-warnings">${warnings}</ul>` : ''}
+        `;
+    }
 
-// Legacy function compatibility with error handling
-function GetGameType() {
-    return dashboard ? dashboard.getGameType() : "";
-}
+    getStatusLabel(status) {
+        switch (status) {
+            case 'pending':
+                return 'Placing…';
+            case 'filled':
+                return 'Filled';
+            case 'rejected':
+                return 'Rejected';
+            default:
+                return '—';
+        }
+    }
 
-function GetHoldingsGrid() {
-    if (dashboard) {
-        dashboard.loadHoldingsDataWithErrorHandling().catch(error => {
-            console.error('Legacy GetHoldingsGrid failed:', error);
-        });
+    showError(message) {
+        const element = document.getElementById('rebalanceError');
+        if (!element) return;
+
+        element.textContent = message;
+        element.style.display = message ? '' : 'none';
     }
-}
 
-function GetWatchListGrid() {
-    if (dashboard) {
-        dashboard.loadWatchlistDataWithErrorHandling().catch(error => {
-            console.error('Legacy GetWatchListGrid failed:', error);
-        });
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
-}
 
-function GetUserData() {
-    if (dashboard) {
-        dashboard.updatePortfolioSummaryWithErrorHandling().catch(error => {
-            console.error('Legacy GetUserData failed:', error);
-        });
+    showNotification(message, type = 'info') {
+        if (window.NotificationManager) {
+            window.NotificationManager.show(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
     }
 }
 
-function GetRank() {
-    if (dashboard) {
-        dashboard.updateUserRankWithErrorHandling().catch(error => {
-            console.error('Legacy GetRank failed:', error);
+// Initialize the rebalancer when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('rebalanceForm')) {
+        const dataManager = window.dashboard?.dataManager
+            || (window.DashboardDataManager ? new window.DashboardDataManager() : null);
+        if (!dataManager) return;
+
+        window.rebalancer = new Rebalancer({
+            dataManager,
+            gameType: window.dashboard ? window.dashboard.getGameType() : '',
+            userId: window.dashboard ? window.dashboard.getCurrentUserId() : undefined
         });
+        window.rebalancer.init();
     }
+});
+
+window.Rebalancer = Rebalancer;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Rebalancer;
 }
+
 // Advanced Stock Search with Autocomplete
 class WatchlistSearchManager {
     constructor() {
@@ -3685,6 +10921,9 @@ class ModernWatchlistManager {
         this.priceUpdateTimeout = null;
         this.sortOrder = 'name'; // name, price, change
         this.sortDirection = 'asc'; // asc, desc
+        // Symbols picked for the compare chart, in the order picked
+        this.compareSelection = new Set();
+        this.compareLimit = window.StockChart?.MAX_COMPARE_SYMBOLS || 0;
         
         this.init();
     }
@@ -3713,6 +10952,17 @@ class ModernWatchlistManager {
             if (e.target.closest('.watchlist-refresh-btn')) {
                 this.refreshWatchlist();
             }
+            
+            if (e.target.closest('.watchlist-compare-btn')) {
+                this.compareSelected();
+            }
+        });
+        
+        // Compare checkboxes
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('.watchlist-compare-check')) {
+                this.toggleCompare(e.target.dataset.symbol, e.target.checked);
+            }
         });
     }
     
@@ -3724,6 +10974,11 @@ class ModernWatchlistManager {
             this.watchlistData = data || [];
             this.renderWatchlist();
             
+            // Latest prices may trigger resting limit orders
+            if (window.orderBook) {
+                window.orderBook.processQuotes(this.watchlistData);
+            }
+            
         } catch (error) {
             console.error('Failed to load watchlist:', error);
             this.showErrorState();
@@ -3764,6 +11019,9 @@ class ModernWatchlistManager {
         // Sort data before rendering
         const sortedData = this.sortWatchlistData(this.watchlistData);
         
+        // Stocks no longer on the watchlist can't be compared
+        this.compareSelection = new Set([...this.compareSelection].filter(symbol => sortedData.some(stock => stock.Name === symbol)));
+        
         const watchlistHTML = `
             <div class="modern-watchlist-container">
                 <div class="watchlist-header">
@@ -3789,6 +11047,12 @@ class ModernWatchlistManager {
                                     <i class="fas fa-sort-amount-${this.sortDirection}"></i>
                                 </button>
                             </div>
+                            ${this.compareLimit ? `
+                            <button class="watchlist-compare-btn" title="Compare up to ${this.compareLimit} selected stocks"
+                                    ${this.compareSelection.size < 2 ? 'disabled' : ''}>
+                                <i class="fas fa-chart-line"></i>
+                                <span class="compare-count">Compare (${this.compareSelection.size})</span>
+                            </button>` : ''}
                             <button class="watchlist-refresh-btn" title="Refresh Watchlist">
                                 <i class="fas fa-sync-alt"></i>
                             </button>
@@ -3830,6 +11094,13 @@ class ModernWatchlistManager {
                  data-index="${index}"
                  style="animation-delay: ${index * 50}ms">
                 <div class="item-header">
+                    ${this.compareLimit ? `
+                    <label class="compare-select" title="Select to compare">
+                        <input type="checkbox" class="watchlist-compare-check" data-symbol="${stock.Name}"
+                               ${this.compareSelection.has(stock.Name) ? 'checked' : ''}
+                               ${this.isCompareFull() && !this.compareSelection.has(stock.Name) ? 'disabled' : ''}>
+                        <span class="visually-hidden">Compare ${stock.Name}</span>
+                    </label>` : ''}
                     <div class="stock-info">
                         <div class="symbol">${stock.Name}</div>
                         <div class="company-name">${stock.CompanyName || stock.Name}</div>
@@ -3961,8 +11232,9 @@ class ModernWatchlistManager {
     }
     
     startRealTimeUpdates() {
-        // Simulate real-time price updates
+        // Simulate real-time price updates; prices don't move while the market is closed
         setInterval(() => {
+            if (window.marketSession && !window.marketSession.isOpen()) return;
             this.updatePrices();
         }, this.updateInterval);
     }
@@ -4107,20 +11379,7 @@ class ModernWatchlistManager {
         if (window.stockModal) {
             const stock = this.watchlistData.find(s => s.Name === symbol);
             if (stock) {
-                const stockData = {
-                    symbol: symbol,
-                    name: stock.CompanyName || symbol,
-                    currentPrice: stock.Price,
-                    price: stock.Price,
-                    change: 0, // Would be calculated from real data
-                    changePercent: 0,
-                    open: stock.Price,
-                    high: stock.Price,
-                    low: stock.Price,
-                    prevClose: stock.Price,
-                    volume: 0
-                };
-                window.stockModal.show(stockData);
+                window.stockModal.show(this.toStockData(stock));
             }
         } else {
             // Fallback - just open trade modal
@@ -4131,6 +11390,69 @@ class ModernWatchlistManager {
         }
     }
     
+    /**
+     * Stock modal data for a watchlist stock
+     */
+    toStockData(stock) {
+        return {
+            symbol: stock.Name,
+            name: stock.CompanyName || stock.Name,
+            currentPrice: stock.Price,
+            price: stock.Price,
+            change: 0, // Would be calculated from real data
+            changePercent: 0,
+            open: stock.Price,
+            high: stock.Price,
+            low: stock.Price,
+            prevClose: stock.Price,
+            volume: 0
+        };
+    }
+    
+    isCompareFull() {
+        return this.compareSelection.size >= this.compareLimit;
+    }
+    
+    /**
+     * Adds or removes a stock from the compare selection
+     */
+    toggleCompare(symbol, selected) {
+        if (selected && this.isCompareFull()) {
+            this.showNotification(`You can compare up to ${this.compareLimit} stocks`, 'warning');
+        } else if (selected) {
+            this.compareSelection.add(symbol);
+        } else {
+            this.compareSelection.delete(symbol);
+        }
+        
+        this.updateCompareControls();
+    }
+    
+    updateCompareControls() {
+        document.querySelectorAll('.watchlist-compare-check').forEach(checkbox => {
+            const selected = this.compareSelection.has(checkbox.dataset.symbol);
+            checkbox.checked = selected;
+            checkbox.disabled = !selected && this.isCompareFull();
+        });
+        
+        const compareBtn = document.querySelector('.watchlist-compare-btn');
+        if (compareBtn) {
+            compareBtn.disabled = this.compareSelection.size < 2;
+            compareBtn.querySelector('.compare-count').textContent = `Compare (${this.compareSelection.size})`;
+        }
+    }
+    
+    /**
+     * Opens the first selected stock with the others overlaid on its chart
+     */
+    compareSelected() {
+        const symbols = [...this.compareSelection];
+        const stock = this.watchlistData.find(s => s.Name === symbols[0]);
+        if (symbols.length < 2 || !stock || !window.stockModal) return;
+        
+        window.stockModal.showComparison(this.toStockData(stock), symbols);
+    }
+    
     toggleViewMode() {
         const grid = document.getElementById('watchlistGrid');
         if (grid) {
@@ -4243,6 +11565,14 @@ class StockModal {
         this.currentTimeframe = '1W';
         this.orderType = 'buy';
         this.isMarketOrder = true;
+        // Funds and holding for the open symbol; null until loaded
+        this.tradingLimits = null;
+        // Idempotency key of the order being confirmed; reused when Confirm is retried
+        this.orderKey = null;
+        // Intraday short-selling margin rules from the server
+        this.shortSelling = null;
+        // Symbols to compare once the chart has loaded, from the watchlist
+        this.pendingComparison = null;
         
         this.init();
     }
@@ -4276,6 +11606,7 @@ class StockModal {
         // Quantity input
         const quantityInput = document.getElementById('modalQuantity');
         quantityInput?.addEventListener('input', () => {
+            this.hideOrderRejection();
             this.validateQuantity();
             this.updateOrderSummary();
         });
@@ -4287,6 +11618,51 @@ class StockModal {
             this.updateOrderSummary();
         });
 
+        // Stop-loss / target bracket
+        const bracketToggle = document.getElementById('bracketToggle');
+        bracketToggle?.addEventListener('change', () => {
+            this.toggleBracketFields();
+            this.updateOrderSummary();
+        });
+
+        const trailingMode = document.getElementById('trailingMode');
+        trailingMode?.addEventListener('change', (e) => {
+            const trailingValue = document.getElementById('trailingValue');
+            if (trailingValue) {
+                trailingValue.disabled = !e.target.value;
+                if (!e.target.value) trailingValue.value = '';
+            }
+            this.updateOrderSummary();
+        });
+
+        ['stopLossPrice', 'takeProfitPrice', 'trailingValue'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.updateOrderSummary());
+        });
+
+        // Intraday short sell
+        const intradayToggle = document.getElementById('intradayToggle');
+        intradayToggle?.addEventListener('change', () => {
+            this.hideOrderRejection();
+            this.renderQuantityLimits();
+            this.validateQuantity();
+            this.updateOrderSummary();
+        });
+
+        // Recurring investment (SIP)
+        document.getElementById('sipToggle')?.addEventListener('click', () => {
+            this.toggleSipForm(document.getElementById('sipForm')?.style.display === 'none');
+        });
+        ['sipAmount', 'sipFrequency', 'sipDayOfWeek', 'sipDayOfMonth'].forEach(id => {
+            const field = document.getElementById(id);
+            field?.addEventListener(field.tagName === 'SELECT' ? 'change' : 'input', () => this.updateSipPreview());
+        });
+        document.getElementById('createSipBtn')?.addEventListener('click', () => this.createSip());
+
+        // Max buy / max sell shortcuts
+        document.querySelectorAll('.max-qty-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setMaxQuantity(btn.dataset.side));
+        });
+
         // Place order button
         const placeOrderBtn = document.getElementById('placeOrderBtn');
         placeOrderBtn?.addEventListener('click', () => this.showOrderConfirmation());
@@ -4313,13 +11689,22 @@ class StockModal {
             });
         });
 
-        // Technical indicator buttons
-        const indicatorButtons = document.querySelectorAll('.indicator-btn');
-        indicatorButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const indicator = e.target.dataset.indicator;
-                this.toggleIndicator(indicator);
-            });
+        // Technical indicator buttons (rendered from the indicator registry)
+        const indicatorButtons = document.getElementById('indicatorButtons');
+        indicatorButtons?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.indicator-btn');
+            if (btn) {
+                this.toggleIndicator(btn.dataset.indicator);
+            }
+        });
+
+        // Indicator parameter editors
+        const indicatorSettings = document.getElementById('indicatorSettings');
+        indicatorSettings?.addEventListener('change', (e) => {
+            const group = e.target.closest('[data-indicator]');
+            if (group) {
+                this.updateIndicatorParams(group);
+            }
         });
 
         // Reset zoom button
@@ -4367,6 +11752,12 @@ class StockModal {
         this.modal.addEventListener('hidden.bs.modal', () => {
             this.onModalHidden();
         });
+
+        // Switch between live orders and AMO when the market opens or closes
+        window.marketSession?.subscribe(() => {
+            this.renderMarketSession();
+            this.updateOrderSummary();
+        });
     }
 
     /**
@@ -4378,12 +11769,22 @@ class StockModal {
         this.currentStock = stockData;
         this.populateStockData(stockData);
         this.resetForm();
+        this.renderMarketSession();
+        this.loadTradingLimits();
         
         // Show modal using Bootstrap 5
         const bsModal = new bootstrap.Modal(this.modal);
         bsModal.show();
     }
 
+    /**
+     * Show the first stock's modal with its chart comparing all the symbols
+     */
+    showComparison(stockData, symbols) {
+        this.pendingComparison = symbols;
+        this.show(stockData);
+    }
+
     /**
      * Populate modal with stock data
      */
@@ -4444,7 +11845,8 @@ class StockModal {
             showVolume: true,
             showIndicators: true,
             enableZoom: true,
-            enablePan: true
+            enablePan: true,
+            drawingToolbar: 'chartDrawingTools'
         });
         
         // Override chart event handlers
@@ -4455,6 +11857,77 @@ class StockModal {
         this.chart.onChartUpdated = (chartData) => {
             this.onChartUpdated(chartData);
         };
+        
+        // Panes closed on the chart turn their indicator button off
+        this.chart.onIndicatorRemoved = (indicator) => {
+            this.updateIndicatorButton(indicator);
+            this.renderIndicatorSettings();
+        };
+        
+        this.renderIndicatorButtons();
+    }
+
+    /**
+     * One toggle button per indicator in the chart's registry, after the
+     * built-in Volume button
+     */
+    renderIndicatorButtons() {
+        const container = document.getElementById('indicatorButtons');
+        if (!container || !this.chart?.registry) return;
+
+        container.querySelectorAll('.indicator-btn:not([data-indicator="volume"])').forEach(btn => btn.remove());
+        container.insertAdjacentHTML('beforeend', this.chart.registry.list().map(definition => `
+            <button type="button" class="btn btn-sm indicator-btn${this.chart.indicators.has(definition.id) ? ' active' : ''}"
+                    data-indicator="${definition.id}">${definition.name}</button>
+        `).join(''));
+    }
+
+    /**
+     * Parameter inputs for each indicator on the chart that has parameters
+     */
+    renderIndicatorSettings() {
+        const container = document.getElementById('indicatorSettings');
+        const registry = this.chart?.registry;
+        if (!container || !registry) return;
+
+        const active = registry.list().filter(definition => this.chart.indicators.has(definition.id) && definition.params.length);
+        container.innerHTML = active.map(definition => {
+            const params = this.chart.getIndicatorParams(definition.id);
+            return `
+                <fieldset class="indicator-settings-group" data-indicator="${definition.id}">
+                    <legend>${definition.name}</legend>
+                    ${definition.params.map(param => `
+                        <label class="indicator-param">
+                            <span>${param.label}</span>
+                            <input type="number" class="form-control form-control-sm" data-param="${param.key}"
+                                   value="${params[param.key]}" min="${param.min ?? ''}" max="${param.max ?? ''}" step="${param.step ?? 1}">
+                        </label>
+                    `).join('')}
+                </fieldset>
+            `;
+        }).join('');
+        container.hidden = active.length === 0;
+    }
+
+    /**
+     * Apply the values of an indicator's parameter editor to the chart
+     */
+    updateIndicatorParams(group) {
+        const indicator = group.dataset.indicator;
+        const params = {};
+        group.querySelectorAll('[data-param]').forEach(input => {
+            params[input.dataset.param] = input.value;
+        });
+
+        this.chart?.setIndicatorParams(indicator, params);
+
+        // Show the values as clamped to each parameter's range
+        const applied = this.chart?.getIndicatorParams(indicator) || {};
+        group.querySelectorAll('[data-param]').forEach(input => {
+            if (applied[input.dataset.param] !== undefined) {
+                input.value = applied[input.dataset.param];
+            }
+        });
     }
 
     /**
@@ -4465,6 +11938,13 @@ class StockModal {
 
         // Use the enhanced chart's loadData method
         await this.chart.loadData(this.currentStock.symbol, this.currentTimeframe);
+        
+        // The chart keeps comparing across timeframes until it is closed
+        if (this.pendingComparison) {
+            const symbols = this.pendingComparison;
+            this.pendingComparison = null;
+            await this.chart.compare(symbols);
+        }
     }
 
     /**
@@ -4553,6 +12033,11 @@ class StockModal {
             }
         }
         
+        // Let the order book check resting limit orders against the new price
+        if (realtimeData.price && this.currentStock && window.orderBook) {
+            window.orderBook.processPriceUpdate(this.currentStock.symbol, realtimeData.price);
+        }
+        
         // Update order price placeholder if in market order mode
         if (this.isMarketOrder) {
             const priceInput = document.getElementById('modalOrderPrice');
@@ -4615,10 +12100,17 @@ class StockModal {
             this.chart.addIndicator(indicator);
         }
         
-        // Update indicator button state
-        const btn = document.querySelector(`[data-indicator="${indicator}"]`);
+        this.updateIndicatorButton(indicator);
+        this.renderIndicatorSettings();
+    }
+
+    /**
+     * Show an indicator button as active while its indicator is on the chart
+     */
+    updateIndicatorButton(indicator) {
+        const btn = document.querySelector(`.indicator-btn[data-indicator="${indicator}"]`);
         if (btn) {
-            btn.classList.toggle('active');
+            btn.classList.toggle('active', Boolean(this.chart?.indicators.has(indicator)));
         }
     }
 
@@ -4652,9 +12144,107 @@ class StockModal {
             }
         }
         
+        // Brackets protect bought positions only
+        const bracketGroup = document.getElementById('bracketGroup');
+        if (bracketGroup) {
+            bracketGroup.style.display = type === 'buy' ? 'block' : 'none';
+        }
+        if (type !== 'buy') {
+            const bracketToggle = document.getElementById('bracketToggle');
+            if (bracketToggle) bracketToggle.checked = false;
+            this.toggleBracketFields();
+        }
+        
+        // Only sells can open an intraday short
+        this.toggleIntradayGroup();
+        
         this.updateOrderSummary();
     }
 
+    /**
+     * Show/hide the stop-loss and target inputs
+     */
+    toggleBracketFields() {
+        const bracketToggle = document.getElementById('bracketToggle');
+        const bracketFields = document.getElementById('bracketFields');
+        if (bracketFields) {
+            bracketFields.style.display = bracketToggle?.checked ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Read the stop-loss / target bracket from the form, null when not requested
+     */
+    getBracketSpec() {
+        const bracketToggle = document.getElementById('bracketToggle');
+        if (this.orderType !== 'buy' || !bracketToggle?.checked) return null;
+
+        const trailingMode = document.getElementById('trailingMode')?.value || '';
+        return {
+            stopLoss: document.getElementById('stopLossPrice')?.value || null,
+            takeProfit: document.getElementById('takeProfitPrice')?.value || null,
+            trailing: trailingMode
+                ? { mode: trailingMode, value: document.getElementById('trailingValue')?.value }
+                : null
+        };
+    }
+
+    /**
+     * Validate bracket levels against the price the buy is expected to fill at
+     */
+    validateBracket() {
+        const feedback = document.getElementById('bracketFeedback');
+        const spec = this.getBracketSpec();
+        
+        const setFeedback = (message) => {
+            if (!feedback) return;
+            feedback.textContent = message;
+            feedback.className = message ? 'input-feedback invalid' : 'input-feedback';
+        };
+        
+        if (!spec) {
+            setFeedback('');
+            return true;
+        }
+
+        try {
+            const levels = window.orderBook
+                ? window.orderBook.parseBracketLevels(spec)
+                : { stopLoss: parseFloat(spec.stopLoss) || null, takeProfit: parseFloat(spec.takeProfit) || null };
+            const referencePrice = this.isMarketOrder
+                ? parseFloat(this.currentStock?.currentPrice || this.currentStock?.price || 0)
+                : parseFloat(document.getElementById('modalOrderPrice')?.value || 0);
+
+            if (referencePrice > 0 && levels.stopLoss !== null && levels.stopLoss >= referencePrice) {
+                throw new Error(`Stop-loss must be below ₹${referencePrice.toFixed(2)}`);
+            }
+            if (referencePrice > 0 && levels.takeProfit !== null && levels.takeProfit <= referencePrice) {
+                throw new Error(`Target must be above ₹${referencePrice.toFixed(2)}`);
+            }
+        } catch (error) {
+            setFeedback(error.message);
+            return false;
+        }
+
+        setFeedback('');
+        return true;
+    }
+
+    /**
+     * Describe a bracket for summaries, e.g. "SL ₹95.00 (trail 2%) / TGT ₹120.00"
+     */
+    describeBracket(spec) {
+        const parts = [];
+        if (spec.stopLoss) parts.push(`SL ₹${parseFloat(spec.stopLoss).toFixed(2)}`);
+        if (spec.trailing) {
+            parts.push(spec.trailing.mode === 'percent'
+                ? `Trail ${spec.trailing.value}%`
+                : `Trail ₹${parseFloat(spec.trailing.value).toFixed(2)}`);
+        }
+        if (spec.takeProfit) parts.push(`TGT ₹${parseFloat(spec.takeProfit).toFixed(2)}`);
+        return parts.join(' / ');
+    }
+
     /**
      * Toggle price input visibility based on order type
      */
@@ -4691,6 +12281,15 @@ class StockModal {
             feedback.className = 'input-feedback invalid';
             return false;
         }
+
+        const maxQuantity = this.getMaxQuantity(this.orderType);
+        if (maxQuantity !== null && quantity > maxQuantity) {
+            quantityInput.classList.add('is-invalid');
+            quantityInput.classList.remove('is-valid');
+            feedback.textContent = this.describeQuantityLimit(this.orderType, maxQuantity);
+            feedback.className = 'input-feedback invalid';
+            return false;
+        }
         
         quantityInput.classList.remove('is-invalid');
         quantityInput.classList.add('is-valid');
@@ -4699,6 +12298,274 @@ class StockModal {
         return true;
     }
 
+    /**
+     * Fetch available funds and the current holding for the open symbol so
+     * the form can reject orders the server would refuse
+     */
+    async loadTradingLimits() {
+        const symbol = this.currentStock?.symbol;
+        if (!symbol) return;
+
+        this.tradingLimits = null;
+        this.renderQuantityLimits();
+
+        try {
+            const [availableFunds, holdingQuantity] = await Promise.all([
+                this.fetchAvailableFunds(),
+                this.fetchHoldingQuantity(symbol),
+                this.loadShortSellingRules()
+            ]);
+
+            // Ignore the response if another stock was opened meanwhile
+            if (this.currentStock?.symbol !== symbol) return;
+            this.tradingLimits = { availableFunds, holdingQuantity };
+        } catch (error) {
+            console.warn('Trading limits unavailable, order checks left to the server:', error);
+        }
+
+        this.renderQuantityLimits();
+        this.toggleIntradayGroup();
+        if (document.getElementById('modalQuantity')?.value) {
+            this.updateOrderSummary();
+        }
+    }
+
+    /**
+     * Margin rate and square-off time for intraday shorts; loaded once
+     */
+    loadShortSellingRules() {
+        if (this.shortSelling) return Promise.resolve(this.shortSelling);
+
+        return new Promise((resolve) => {
+            $.ajax({
+                url: '/api/Fees/margin',
+                type: 'GET',
+                dataType: 'json',
+                success: (rules) => {
+                    this.shortSelling = rules;
+                    resolve(rules);
+                },
+                error: () => {
+                    console.warn('Short selling rules unavailable, intraday shorts disabled');
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Show the intraday option on the sell tab when short selling is enabled
+     */
+    toggleIntradayGroup() {
+        const intradayGroup = document.getElementById('intradayGroup');
+        const intradayToggle = document.getElementById('intradayToggle');
+        const available = this.orderType === 'sell' && Boolean(this.shortSelling?.enabled);
+
+        if (intradayGroup) {
+            intradayGroup.style.display = available ? 'block' : 'none';
+        }
+        if (intradayToggle && !available) {
+            intradayToggle.checked = false;
+        }
+
+        const note = document.getElementById('intradayNote');
+        if (note && this.shortSelling) {
+            note.textContent = `${(this.shortSelling.marginRate * 100).toFixed(0)}% margin is blocked from funds. ` +
+                `Open shorts are squared off at ${this.shortSelling.squareOffTime} IST.`;
+        }
+    }
+
+    /**
+     * Orders placed while the market is closed are queued as AMO
+     */
+    isMarketOpen() {
+        return !window.marketSession || window.marketSession.isOpen();
+    }
+
+    renderMarketSession() {
+        const notice = document.getElementById('amoNotice');
+        if (!notice) return;
+
+        if (this.isMarketOpen()) {
+            notice.style.display = 'none';
+            return;
+        }
+
+        const status = window.marketSession.getStatus();
+        notice.textContent = `${status.message}. Orders are queued as after-market orders (AMO) and execute at the open.`;
+        notice.style.display = 'block';
+    }
+
+    isIntradayShort() {
+        return this.orderType === 'sell' && Boolean(document.getElementById('intradayToggle')?.checked);
+    }
+
+    /**
+     * Margin an intraday short blocks from funds
+     */
+    calculateMargin(quantity, price) {
+        if (!this.isIntradayShort() || !this.shortSelling) return 0;
+        return Math.round(quantity * price * this.shortSelling.marginRate * 100) / 100;
+    }
+
+    fetchAvailableFunds() {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                type: 'GET',
+                url: '/api/GetFunds',
+                data: { GameType: this.getGameType() },
+                contentType: 'application/json',
+                timeout: 10000,
+                // Funds come back formatted with thousands separators
+                success: (funds) => resolve(parseFloat(String(funds).replace(/,/g, '')) || 0),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load available funds'))
+            });
+        });
+    }
+
+    fetchHoldingQuantity(symbol) {
+        const name = String(symbol).replace('.NS', '').toUpperCase();
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: '/api/UserStocks',
+                dataType: 'json',
+                data: { GameType: this.getGameType() },
+                contentType: 'application/json',
+                timeout: 10000,
+                success: (data) => {
+                    try {
+                        const holdings = JSON.parse(data).Value.UserStockList || [];
+                        const holding = holdings.find(stock => String(stock.Name).toUpperCase() === name);
+                        resolve(holding ? parseInt(holding.Count) || 0 : 0);
+                    } catch (parseError) {
+                        reject(new Error('Failed to parse holdings'));
+                    }
+                },
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load holdings'))
+            });
+        });
+    }
+
+    /**
+     * Price the order will be checked against: the limit price, else the market
+     */
+    getReferencePrice() {
+        if (!this.isMarketOrder) {
+            const limitPrice = parseFloat(document.getElementById('modalOrderPrice')?.value);
+            if (limitPrice > 0) return limitPrice;
+        }
+        return parseFloat(this.currentStock?.currentPrice || this.currentStock?.price || 0);
+    }
+
+    /**
+     * Largest quantity the server would accept for a side, or null if unknown
+     */
+    getMaxQuantity(side) {
+        if (!this.tradingLimits) return null;
+
+        const { availableFunds, holdingQuantity } = this.tradingLimits;
+        const shorting = side === 'sell' && this.isIntradayShort();
+
+        if (side === 'sell' && !shorting) {
+            return Math.max(holdingQuantity, 0);
+        }
+        // A buy against a short covers it, and a long must be sold before shorting
+        if (side === 'buy' && holdingQuantity < 0) {
+            return Math.abs(holdingQuantity);
+        }
+        if (shorting && holdingQuantity > 0) {
+            return 0;
+        }
+
+        const price = this.getReferencePrice();
+        if (!(price > 0)) return null;
+        return shorting
+            ? this.getFeeEngine().maxAffordableQuantity(availableFunds, price, { marginRate: this.shortSelling.marginRate, side: 'sell' })
+            : this.getFeeEngine().maxAffordableQuantity(availableFunds, price);
+    }
+
+    describeQuantityLimit(side, maxQuantity) {
+        const name = String(this.currentStock?.symbol || '').replace('.NS', '');
+        const { availableFunds, holdingQuantity } = this.tradingLimits;
+
+        if (side === 'buy' && holdingQuantity < 0) {
+            return `You are short ${maxQuantity} ${name} shares; buy up to ${maxQuantity} to cover`;
+        }
+        if (side === 'sell' && this.isIntradayShort()) {
+            if (holdingQuantity > 0) {
+                return `Sell your ${holdingQuantity} ${name} shares as delivery before shorting`;
+            }
+            return maxQuantity > 0
+                ? `Insufficient margin: you can short up to ${maxQuantity} shares with ₹${availableFunds.toFixed(2)}`
+                : `Insufficient margin: ₹${availableFunds.toFixed(2)} available`;
+        }
+
+        if (side === 'sell') {
+            return maxQuantity > 0
+                ? `You hold only ${maxQuantity} shares of ${name}`
+                : `You don't hold any ${name} shares`;
+        }
+
+        const funds = `₹${availableFunds.toFixed(2)}`;
+        return maxQuantity > 0
+            ? `Insufficient funds: you can buy up to ${maxQuantity} shares with ${funds} including charges`
+            : `Insufficient funds: ${funds} available`;
+    }
+
+    /**
+     * Show max buy / max sell next to the quantity input
+     */
+    renderQuantityLimits() {
+        ['buy', 'sell'].forEach(side => {
+            const maxQuantity = this.getMaxQuantity(side);
+            const label = document.getElementById(side === 'buy' ? 'maxBuyQuantity' : 'maxSellQuantity');
+            const button = document.querySelector(`.max-qty-btn[data-side="${side}"]`);
+
+            if (label) label.textContent = maxQuantity === null ? '--' : maxQuantity;
+            if (button) button.disabled = !maxQuantity;
+        });
+    }
+
+    /**
+     * Fill the quantity with the largest amount the side allows
+     */
+    setMaxQuantity(side) {
+        const maxQuantity = this.getMaxQuantity(side);
+        const quantityInput = document.getElementById('modalQuantity');
+        if (!maxQuantity || !quantityInput) return;
+
+        if (side !== this.orderType) {
+            this.setOrderType(side);
+        }
+        quantityInput.value = maxQuantity;
+        this.hideOrderRejection();
+        this.validateQuantity();
+        this.updateOrderSummary();
+    }
+
+    /**
+     * Explain a server rejection inside the order form, so the user can
+     * correct the quantity without starting over
+     */
+    showOrderRejection(message, details) {
+        const rejection = document.getElementById('orderRejection');
+        if (!rejection) return;
+
+        const maxQuantity = details?.maxQuantity;
+        rejection.textContent = maxQuantity > 0
+            ? `${message}. You can ${this.orderType} up to ${maxQuantity} shares.`
+            : message;
+        rejection.style.display = 'block';
+    }
+
+    hideOrderRejection() {
+        const rejection = document.getElementById('orderRejection');
+        if (rejection) {
+            rejection.textContent = '';
+            rejection.style.display = 'none';
+        }
+    }
+
     /**
      * Validate price input for limit orders
      */
@@ -4749,6 +12616,9 @@ class StockModal {
         
         const totalValue = quantity * price;
         
+        // Max buy moves with the price
+        this.renderQuantityLimits();
+        
         // Update estimated value with animation
         this.animateValueChange(estimatedValue, totalValue);
         
@@ -4756,7 +12626,7 @@ class StockModal {
         this.updateOrderSummaryDetails(quantity, price, totalValue);
         
         // Enable/disable place order button with visual feedback
-        const isValid = this.validateQuantity() && this.validatePrice() && quantity > 0 && price > 0;
+        const isValid = this.validateQuantity() && this.validatePrice() && this.validateBracket() && quantity > 0 && price > 0;
         this.updateOrderButton(isValid, quantity, price);
     }
 
@@ -4785,10 +12655,10 @@ class StockModal {
         const orderSummary = document.getElementById('orderSummary');
         if (!orderSummary) return;
 
-        // Calculate additional fees (mock calculation)
-        const brokerage = totalValue * 0.0005; // 0.05% brokerage
-        const taxes = totalValue * 0.001; // 0.1% taxes
-        const totalCost = totalValue + brokerage + taxes;
+        const fees = this.calculateFees(quantity, price);
+        const feeEngine = this.getFeeEngine();
+        const margin = this.calculateMargin(quantity, price);
+        const shorting = this.isIntradayShort();
 
         const summaryHTML = `
             <div class="summary-row">
@@ -4801,25 +12671,52 @@ class StockModal {
             </div>
             <div class="summary-row">
                 <span class="label">Order Value:</span>
-                <span class="value">₹${totalValue.toFixed(2)}</span>
+                <span class="value" id="estimatedValue">₹${totalValue.toFixed(2)}</span>
             </div>
+            ${feeEngine.getLineItems(fees).map(item => `
             <div class="summary-row fees">
-                <span class="label">Est. Brokerage:</span>
-                <span class="value">₹${brokerage.toFixed(2)}</span>
+                <span class="label">Est. ${item.label}:</span>
+                <span class="value">₹${item.amount.toFixed(2)}</span>
+            </div>`).join('')}
+            <div class="summary-row fees total-charges">
+                <span class="label">Total Charges:</span>
+                <span class="value">₹${fees.total.toFixed(2)}</span>
             </div>
-            <div class="summary-row fees">
-                <span class="label">Est. Taxes:</span>
-                <span class="value">₹${taxes.toFixed(2)}</span>
+            ${shorting ? `
+            <div class="summary-row margin">
+                <span class="label">Margin Blocked:</span>
+                <span class="value">₹${margin.toFixed(2)}</span>
             </div>
             <div class="summary-row total">
-                <span class="label">Total ${this.orderType === 'buy' ? 'Cost' : 'Credit'}:</span>
-                <span class="value">₹${totalCost.toFixed(2)}</span>
-            </div>
+                <span class="label">Funds Required:</span>
+                <span class="value">₹${(margin + fees.total).toFixed(2)}</span>
+            </div>` : `
+            <div class="summary-row total">
+                <span class="label">${this.orderType === 'buy' ? 'Total Cost' : 'Net Credit'}:</span>
+                <span class="value">₹${fees.netAmount.toFixed(2)}</span>
+            </div>`}
         `;
 
         orderSummary.innerHTML = summaryHTML;
     }
 
+    /**
+     * Shared fee engine, or a default-schedule one if it hasn't loaded
+     */
+    getFeeEngine() {
+        if (!window.feeEngine) {
+            window.feeEngine = new window.FeeEngine();
+        }
+        return window.feeEngine;
+    }
+
+    /**
+     * Brokerage and statutory charges for the order being entered
+     */
+    calculateFees(quantity, price) {
+        return this.getFeeEngine().calculate({ side: this.orderType, quantity, price });
+    }
+
     /**
      * Update order button state with visual feedback
      */
@@ -4834,7 +12731,7 @@ class StockModal {
         if (isValid && quantity > 0 && price > 0) {
             const actionText = this.orderType === 'buy' ? 'Buy' : 'Sell';
             const orderTypeText = this.isMarketOrder ? 'Market' : 'Limit';
-            btnText.textContent = `Place ${actionText} Order (${orderTypeText})`;
+            btnText.textContent = `Place ${actionText} ${this.isMarketOpen() ? 'Order' : 'AMO'} (${orderTypeText})`;
             placeOrderBtn.classList.remove('btn-disabled');
             placeOrderBtn.classList.add('btn-ready');
         } else {
@@ -4848,7 +12745,10 @@ class StockModal {
      * Show order confirmation modal with detailed breakdown
      */
     showOrderConfirmation() {
-        if (!this.validateQuantity() || !this.validatePrice()) return;
+        if (!this.validateQuantity() || !this.validatePrice() || !this.validateBracket()) return;
+        
+        this.orderKey = window.orderBook?.createIdempotencyKey() || null;
+        const bracketSpec = this.getBracketSpec();
 
         const quantity = parseInt(document.getElementById('modalQuantity').value);
         const price = this.isMarketOrder 
@@ -4857,10 +12757,11 @@ class StockModal {
         
         const totalValue = quantity * price;
         
-        // Calculate fees and total cost
-        const brokerage = totalValue * 0.0005;
-        const taxes = totalValue * 0.001;
-        const totalCost = totalValue + brokerage + taxes;
+        // Same charges the server debits on execution
+        const fees = this.calculateFees(quantity, price);
+        const feeEngine = this.getFeeEngine();
+        const shorting = this.isIntradayShort();
+        const margin = this.calculateMargin(quantity, price);
         
         // Update confirmation modal title and icon based on order type
         const confirmationIcon = document.querySelector('.confirmation-modal .confirmation-icon');
@@ -4874,7 +12775,7 @@ class StockModal {
             } else {
                 confirmationIcon.className = 'confirmation-icon warning';
                 confirmationIcon.innerHTML = '<i class="fas fa-arrow-down"></i>';
-                confirmationTitle.textContent = 'Confirm Sell Order';
+                confirmationTitle.textContent = shorting ? 'Confirm Intraday Short' : 'Confirm Sell Order';
             }
         }
         
@@ -4890,7 +12791,7 @@ class StockModal {
                 <div class="order-details-grid">
                     <div class="detail-row">
                         <span class="label">Action:</span>
-                        <span class="value ${this.orderType}">${this.orderType.toUpperCase()}</span>
+                        <span class="value ${this.orderType}">${shorting ? 'SELL SHORT (Intraday)' : this.orderType.toUpperCase()}</span>
                     </div>
                     <div class="detail-row">
                         <span class="label">Quantity:</span>
@@ -4904,30 +12805,47 @@ class StockModal {
                         <span class="label">Price:</span>
                         <span class="value">${this.isMarketOrder ? 'Market Price' : `₹${price.toFixed(2)}`}</span>
                     </div>
+                    ${bracketSpec ? `
+                    <div class="detail-row">
+                        <span class="label">Stop-loss / Target:</span>
+                        <span class="value">${this.describeBracket(bracketSpec)}</span>
+                    </div>` : ''}
                     <div class="detail-row subtotal">
                         <span class="label">Order Value:</span>
                         <span class="value">₹${totalValue.toFixed(2)}</span>
                     </div>
+                    ${feeEngine.getLineItems(fees).map(item => `
                     <div class="detail-row fees">
-                        <span class="label">Brokerage:</span>
-                        <span class="value">₹${brokerage.toFixed(2)}</span>
+                        <span class="label">${item.label}:</span>
+                        <span class="value">₹${item.amount.toFixed(2)}</span>
+                    </div>`).join('')}
+                    <div class="detail-row fees total-charges">
+                        <span class="label">Total Charges:</span>
+                        <span class="value">₹${fees.total.toFixed(2)}</span>
                     </div>
+                    ${shorting ? `
                     <div class="detail-row fees">
-                        <span class="label">Taxes & Charges:</span>
-                        <span class="value">₹${taxes.toFixed(2)}</span>
+                        <span class="label">Margin Blocked:</span>
+                        <span class="value">₹${margin.toFixed(2)}</span>
                     </div>
+                    <div class="detail-row total">
+                        <span class="label">Total Debit:</span>
+                        <span class="value">₹${(margin + fees.total).toFixed(2)}</span>
+                    </div>` : `
                     <div class="detail-row total">
                         <span class="label">Total ${this.orderType === 'buy' ? 'Debit' : 'Credit'}:</span>
-                        <span class="value">₹${totalCost.toFixed(2)}</span>
-                    </div>
+                        <span class="value">₹${fees.netAmount.toFixed(2)}</span>
+                    </div>`}
                 </div>
                 
                 <div class="order-warning">
                     <i class="fas fa-info-circle"></i>
-                    <span>${this.isMarketOrder ? 
+                    <span>${!this.isMarketOpen() ?
+                        `The market is closed. This order is queued and executes ${this.isMarketOrder ? 'at the opening price' : 'once the price is reached'} after the open (${window.marketSession.formatDateTime(window.marketSession.getStatus().nextOpen)} IST).` :
+                        this.isMarketOrder ? 
                         'Market orders execute immediately at the best available price.' : 
                         'Limit orders execute only when the stock reaches your specified price.'
-                    }</span>
+                    }${shorting ? ` The short is squared off automatically at ${this.shortSelling.squareOffTime} IST.` : ''}</span>
                 </div>
             `;
         }
@@ -4964,29 +12882,50 @@ class StockModal {
                 orderType: this.orderType,
                 quantity: parseInt(document.getElementById('modalQuantity').value),
                 isMarketOrder: this.isMarketOrder,
-                price: this.isMarketOrder ? null : parseFloat(document.getElementById('modalOrderPrice').value)
+                price: this.isMarketOrder ? null : parseFloat(document.getElementById('modalOrderPrice').value),
+                bracket: this.getBracketSpec(),
+                productType: this.isIntradayShort() ? 'INTRADAY' : 'DELIVERY',
+                idempotencyKey: this.orderKey
             };
 
-            // Call the existing OnBuySell function or make API call
+            // Market orders execute now, limit orders go to the order book
             const response = await this.submitOrder(orderData);
             
             if (response.success) {
+                const message = response.afterMarket
+                    ? `${this.orderType.toUpperCase()} AMO for ${orderData.symbol} queued ${orderData.isMarketOrder ? 'at market' : `at ₹${orderData.price.toFixed(2)}`}; it executes at the next open`
+                    : response.pending
+                    ? `${this.orderType.toUpperCase()} limit order for ${orderData.symbol} queued at ₹${orderData.price.toFixed(2)}`
+                    : `${this.orderType.toUpperCase()} order placed successfully for ${orderData.symbol}` +
+                        (response.fees ? ` (charges ₹${response.fees.total.toFixed(2)})` : '') +
+                        (response.reconciled ? ' - confirmed from an earlier attempt' : '');
+                this.orderKey = null;
+
                 // Close modals
                 bootstrap.Modal.getInstance(this.confirmationModal)?.hide();
                 bootstrap.Modal.getInstance(this.modal)?.hide();
                 
                 // Show success notification
                 if (window.dashboard) {
-                    window.dashboard.showNotification(
-                        `${this.orderType.toUpperCase()} order placed successfully for ${this.currentStock.symbol}`,
-                        'success'
-                    );
+                    window.dashboard.showNotification(message, 'success');
+                    if (response.bracketError) {
+                        window.dashboard.showNotification(`Stop-loss / target not attached: ${response.bracketError}`, 'warning');
+                    }
                     // Refresh data
                     window.dashboard.loadHoldingsData();
                     window.dashboard.loadWatchlistData();
                 } else {
-                    alert('Order placed successfully!');
+                    alert(message);
+                }
+            } else if (response.rejection) {
+                // Keep the order form open with the reason from the server
+                bootstrap.Modal.getInstance(this.confirmationModal)?.hide();
+                // A duplicate still in flight keeps its key so a retry can reconcile
+                if (response.errorCode !== 'DUPLICATE_ORDER') {
+                    this.orderKey = null;
                 }
+                this.showOrderRejection(response.message, response.rejection);
+                this.loadTradingLimits();
             } else {
                 throw new Error(response.message || 'Order placement failed');
             }
@@ -5007,32 +12946,196 @@ class StockModal {
     }
 
     /**
-     * Submit order to server
+     * Submit order to server. Market orders execute immediately, limit orders
+     * go through the order book and rest there until the price crosses.
+     * While the market is closed both are queued as AMO for the next open.
      */
     async submitOrder(orderData) {
-        // Use existing OnBuySell functionality
-        return new Promise((resolve) => {
-            // Simulate the existing order placement
-            const button = document.createElement('button');
-            button.id = orderData.orderType === 'buy' ? 'buyButton' : 'sellButton';
-            
-            // Set up the modal data as expected by OnBuySell
-            document.getElementById('mStock').textContent = orderData.symbol;
-            document.getElementById('mQuantity').value = orderData.quantity;
-            document.getElementById('mOrderPrice').value = orderData.price || '';
-            
-            // Call existing function
-            if (typeof OnBuySell === 'function') {
-                try {
-                    OnBuySell(button);
-                    resolve({ success: true });
-                } catch (error) {
-                    resolve({ success: false, message: error.message });
+        const orderBook = window.orderBook;
+        if (!orderBook) {
+            return { success: false, message: 'Order service not available' };
+        }
+
+        try {
+            if (!this.isMarketOpen()) {
+                const order = orderBook.placeAfterMarketOrder({
+                    symbol: orderData.symbol,
+                    side: orderData.orderType,
+                    quantity: orderData.quantity,
+                    limitPrice: orderData.isMarketOrder ? null : orderData.price,
+                    gameType: this.getGameType(),
+                    productType: orderData.productType,
+                    bracket: orderData.bracket
+                });
+                return { success: true, pending: true, afterMarket: true, order };
+            }
+
+            if (orderData.isMarketOrder) {
+                const marketPrice = parseFloat(this.currentStock?.currentPrice || this.currentStock?.price || 0);
+                const execution = await orderBook.executeOrder({
+                    symbol: orderData.symbol,
+                    side: orderData.orderType,
+                    quantity: orderData.quantity,
+                    price: marketPrice,
+                    gameType: this.getGameType(),
+                    productType: orderData.productType,
+                    idempotencyKey: orderData.idempotencyKey
+                });
+                
+                // The buy has gone through, so a bad bracket is only a warning
+                let bracketError = null;
+                if (orderData.bracket) {
+                    try {
+                        orderBook.attachBracket({
+                            ...orderData.bracket,
+                            symbol: orderData.symbol,
+                            quantity: orderData.quantity,
+                            entryPrice: marketPrice,
+                            gameType: this.getGameType()
+                        });
+                    } catch (error) {
+                        bracketError = error.message;
+                    }
                 }
+                return {
+                    success: true,
+                    pending: false,
+                    bracketError,
+                    fees: execution?.fees || null,
+                    reconciled: Boolean(execution?.duplicate)
+                };
+            }
+
+            const order = await orderBook.placeLimitOrder({
+                symbol: orderData.symbol,
+                side: orderData.orderType,
+                quantity: orderData.quantity,
+                limitPrice: orderData.price,
+                gameType: this.getGameType(),
+                productType: orderData.productType,
+                bracket: orderData.bracket
+            }, parseFloat(this.currentStock?.currentPrice || this.currentStock?.price || 0) || null);
+
+            if (order.status === 'rejected') {
+                return { success: false, message: order.rejectionReason, order };
+            }
+            return { success: true, pending: order.status === 'open', order };
+        } catch (error) {
+            return { success: false, message: error.message, errorCode: error.code, rejection: error.details || null };
+        }
+    }
+
+    /**
+     * Show or hide the SIP form below the order form
+     */
+    toggleSipForm(show) {
+        const form = document.getElementById('sipForm');
+        if (!form) return;
+
+        form.style.display = show ? 'block' : 'none';
+        document.getElementById('sipToggle')?.setAttribute('aria-expanded', String(show));
+        if (show) {
+            this.updateSipPreview();
+            document.getElementById('sipAmount')?.focus();
+        }
+    }
+
+    readSipPlan() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        return {
+            symbol: this.currentStock?.symbol || '',
+            amount: value('sipAmount'),
+            frequency: value('sipFrequency'),
+            dayOfWeek: value('sipDayOfWeek'),
+            dayOfMonth: value('sipDayOfMonth'),
+            gameType: this.getGameType()
+        };
+    }
+
+    /**
+     * Schedule and the shares one instalment buys at today's price
+     */
+    updateSipPreview() {
+        const sipPlans = window.sipPlans;
+        const plan = this.readSipPlan();
+        const frequency = plan.frequency;
+
+        const dayOfWeekField = document.getElementById('sipDayOfWeekField');
+        const dayOfMonthField = document.getElementById('sipDayOfMonthField');
+        if (dayOfWeekField) dayOfWeekField.style.display = frequency === 'WEEKLY' ? '' : 'none';
+        if (dayOfMonthField) dayOfMonthField.style.display = frequency === 'MONTHLY' ? '' : 'none';
+
+        const preview = document.getElementById('sipPreview');
+        const feedback = document.getElementById('sipFeedback');
+        if (!sipPlans || !preview) return;
+
+        const amount = parseFloat(plan.amount);
+        // Instalments are market buys, whatever the order form is set to
+        const price = parseFloat(this.currentStock?.currentPrice || this.currentStock?.price || 0);
+        const quantity = sipPlans.estimateQuantity(amount, price, this.getFeeEngine());
+        preview.textContent = amount > 0
+            ? `${sipPlans.describeSchedule({ ...plan, dayOfWeek: parseInt(plan.dayOfWeek), dayOfMonth: parseInt(plan.dayOfMonth) })}: ` +
+              `₹${amount.toFixed(2)} buys about ${quantity} share${quantity === 1 ? '' : 's'} at today's price`
+            : '';
+        if (feedback) {
+            feedback.textContent = amount > 0 && price > 0 && quantity === 0 ? 'The amount is less than the price of one share' : '';
+            feedback.className = feedback.textContent ? 'input-feedback invalid' : 'input-feedback';
+        }
+    }
+
+    /**
+     * Create a SIP for the open stock; the server buys it on schedule
+     */
+    async createSip() {
+        const sipPlans = window.sipPlans;
+        const feedback = document.getElementById('sipFeedback');
+        const button = document.getElementById('createSipBtn');
+        if (!sipPlans || !button) return;
+
+        const plan = this.readSipPlan();
+        const error = sipPlans.validate(plan);
+        if (error) {
+            if (feedback) {
+                feedback.textContent = error;
+                feedback.className = 'input-feedback invalid';
+            }
+            return;
+        }
+
+        button.disabled = true;
+        button.querySelector('.btn-text').style.display = 'none';
+        button.querySelector('.btn-loading').style.display = 'block';
+
+        try {
+            const created = await sipPlans.createPlan(plan);
+            const message = `SIP started: ₹${parseFloat(plan.amount).toFixed(2)} of ${created?.symbol || plan.symbol}, ` +
+                sipPlans.describeSchedule(created || plan).toLowerCase();
+            this.toggleSipForm(false);
+            if (window.dashboard) {
+                window.dashboard.showNotification(message, 'success');
             } else {
-                resolve({ success: false, message: 'Order function not available' });
+                alert(message);
             }
-        });
+        } catch (requestError) {
+            if (feedback) {
+                feedback.textContent = requestError.message;
+                feedback.className = 'input-feedback invalid';
+            }
+        } finally {
+            button.disabled = false;
+            button.querySelector('.btn-text').style.display = 'inline';
+            button.querySelector('.btn-loading').style.display = 'none';
+        }
+    }
+
+    /**
+     * Get game type from the dashboard (Competition -> C1)
+     */
+    getGameType() {
+        if (window.dashboard && window.dashboard.getGameType) {
+            return window.dashboard.getGameType();
+        }
+        return typeof GetGameType === 'function' ? GetGameType() : '';
     }
 
     /**
@@ -5064,6 +13167,29 @@ class StockModal {
             priceInput.classList.remove('is-valid', 'is-invalid');
         }
         
+        // Clear stop-loss / target
+        const bracketToggle = document.getElementById('bracketToggle');
+        if (bracketToggle) {
+            bracketToggle.checked = false;
+            this.toggleBracketFields();
+        }
+        ['stopLossPrice', 'takeProfitPrice', 'trailingValue'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        const trailingMode = document.getElementById('trailingMode');
+        if (trailingMode) {
+            trailingMode.value = '';
+            document.getElementById('trailingValue').disabled = true;
+        }
+        
+        this.hideOrderRejection();
+        
+        // Close the SIP form
+        const sipAmount = document.getElementById('sipAmount');
+        if (sipAmount) sipAmount.value = '';
+        this.toggleSipForm(false);
+        
         // Clear feedback
         const feedbacks = document.querySelectorAll('.input-feedback');
         feedbacks.forEach(feedback => {
@@ -5101,11 +13227,18 @@ class StockModal {
         
         // Clear current stock
         this.currentStock = null;
+        this.pendingComparison = null;
         
         // Reset chart if it exists
         if (this.chart && this.chart.chart) {
-            // Clear all indicators
-            this.chart.indicators.clear();
+            this.chart.exitCompare();
+            
+            // Clear all indicators, with their datasets and panes; volume stays
+            [...this.chart.indicators].filter(indicator => indicator !== 'volume').forEach(indicator => {
+                this.chart.removeIndicator(indicator);
+                this.updateIndicatorButton(indicator);
+            });
+            this.renderIndicatorSettings();
             
             // Reset chart type to candlestick
             this.chart.setChartType('candlestick');
@@ -0,0 +1,445 @@
+/**
+ * Equity Curve
+ * Dashboard chart of the daily portfolio snapshots (api/PortfolioSnapshots):
+ * total value, invested amount and cash at each trading day's close. Snapshots
+ * are mirrored into the SuperStockOffline IndexedDB so the curve renders
+ * straight away and while offline. Styling comes from StockChart.
+ *
+ * The selected benchmark (api/Benchmark: NIFTY 50, NIFTY Bank or a watchlist
+ * basket) is overlaid rebased to the portfolio's starting value, and its
+ * return over the same range is shown with the portfolio's alpha.
+ */
+
+const EQUITY_CURVE_RANGES = { '1W': 7, '1M': 30, '3M': 91, ALL: null };
+
+class EquityCurve {
+    constructor(canvasId, options = {}) {
+        this.canvasId = canvasId;
+        this.endpoint = options.endpoint || '/api/PortfolioSnapshots';
+        this.gameType = options.gameType || '';
+        this.range = options.range || '1M';
+        this.benchmarkEndpoint = options.benchmarkEndpoint || '/api/Benchmark';
+        this.benchmark = options.benchmark || this.getSavedBenchmark();
+        this.benchmarkSeries = null;
+        this.offlineStore = 'snapshots';
+        this.snapshots = [];
+        this.chart = null;
+    }
+
+    init() {
+        this.bindEvents();
+        this.load();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('[data-equity-range]').forEach(button => {
+            button.addEventListener('click', () => this.setRange(button.dataset.equityRange));
+        });
+        document.getElementById('equityBenchmark')?.addEventListener('change', (e) => this.setBenchmark(e.target.value));
+    }
+
+    /**
+     * Renders the offline copy first, then refreshes it from the server
+     */
+    async load() {
+        const cached = await this.loadOffline();
+        if (cached.length > 0) {
+            this.snapshots = cached;
+            this.render();
+        }
+
+        try {
+            this.snapshots = await this.fetchSnapshots();
+            await this.saveOffline(this.snapshots);
+        } catch (error) {
+            console.warn('Equity curve: using offline snapshots', error);
+        }
+        this.render();
+
+        await this.loadBenchmarkOptions();
+        await this.loadBenchmark();
+    }
+
+    /**
+     * Fills the benchmark picker, keeping the saved choice if it is still offered
+     */
+    async loadBenchmarkOptions() {
+        const select = document.getElementById('equityBenchmark');
+        if (!select) return;
+
+        try {
+            const data = await this.request(this.benchmarkEndpoint, {});
+            const options = data?.options || [];
+            if (!options.some(option => option.id === this.benchmark)) {
+                this.benchmark = data?.default || options[0]?.id || this.benchmark;
+            }
+            select.innerHTML = options.map(option =>
+                `<option value="${option.id}"${option.id === this.benchmark ? ' selected' : ''}>${option.name}</option>`
+            ).join('');
+        } catch (error) {
+            console.warn('Equity curve: benchmarks unavailable', error);
+        }
+    }
+
+    /**
+     * Benchmark closes from the first snapshot on, so every range can be compared
+     */
+    async loadBenchmark() {
+        if (this.snapshots.length === 0) return;
+
+        try {
+            this.benchmarkSeries = await this.request(`${this.benchmarkEndpoint}/series`, {
+                benchmark: this.benchmark,
+                gameType: this.gameType,
+                from: String(this.snapshots[0].date).slice(0, 10)
+            });
+        } catch (error) {
+            console.warn('Equity curve: benchmark unavailable', error);
+            this.benchmarkSeries = null;
+        }
+        this.render();
+        window.dashboard?.updateBenchmarkComparison?.();
+    }
+
+    setBenchmark(benchmark) {
+        if (!benchmark || benchmark === this.benchmark) return;
+
+        this.benchmark = benchmark;
+        try {
+            localStorage.setItem('equityBenchmark', benchmark);
+        } catch (error) {
+            // Private browsing: the choice lasts for this page only
+        }
+        this.loadBenchmark();
+    }
+
+    getSavedBenchmark() {
+        try {
+            return localStorage.getItem('equityBenchmark') || 'NIFTY50';
+        } catch (error) {
+            return 'NIFTY50';
+        }
+    }
+
+    request(url, data) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url,
+                type: 'GET',
+                data,
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => resolve(response?.data || null),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load benchmark'))
+            });
+        });
+    }
+
+    fetchSnapshots() {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: this.endpoint,
+                type: 'GET',
+                data: { gameType: this.gameType },
+                dataType: 'json',
+                timeout: 10000,
+                success: (response) => resolve(response?.data || []),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load portfolio snapshots'))
+            });
+        });
+    }
+
+    async loadOffline() {
+        if (!window.swManager?.getOfflineData) return [];
+
+        try {
+            const records = await window.swManager.getOfflineData(this.offlineStore);
+            return (records || [])
+                .filter(record => record.gameType === this.gameType)
+                .sort((a, b) => a.date.localeCompare(b.date));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveOffline(snapshots) {
+        if (!window.swManager?.putOfflineData) return Promise.resolve();
+        return window.swManager.putOfflineData(this.offlineStore, this.toOfflineRecords(snapshots));
+    }
+
+    /**
+     * One record per game and trading day, so a day's snapshot replaces its older copy
+     */
+    toOfflineRecords(snapshots) {
+        return snapshots.map(snapshot => {
+            const date = String(snapshot.date).slice(0, 10);
+            return {
+                id: `${snapshot.gameType || ''}|${date}`,
+                gameType: snapshot.gameType || '',
+                date,
+                cash: snapshot.cash,
+                invested: snapshot.invested,
+                holdingsValue: snapshot.holdingsValue,
+                totalValue: snapshot.totalValue
+            };
+        });
+    }
+
+    setRange(range) {
+        if (!(range in EQUITY_CURVE_RANGES)) return;
+
+        this.range = range;
+        document.querySelectorAll('[data-equity-range]').forEach(button => {
+            const active = button.dataset.equityRange === range;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+        this.render();
+    }
+
+    /**
+     * Snapshots within the range, counted back in calendar days from now
+     */
+    filterByRange(snapshots, range, now = new Date()) {
+        const days = EQUITY_CURVE_RANGES[range];
+        if (!days) return snapshots;
+
+        const cutoff = new Date(now);
+        cutoff.setHours(0, 0, 0, 0);
+        cutoff.setDate(cutoff.getDate() - days);
+        return snapshots.filter(snapshot => new Date(snapshot.date) >= cutoff);
+    }
+
+    /**
+     * Change in total value from the first to the last snapshot of the range
+     */
+    getSummary(snapshots) {
+        if (snapshots.length === 0) {
+            return { start: 0, end: 0, change: 0, changePercent: 0 };
+        }
+
+        const start = snapshots[0].totalValue;
+        const end = snapshots[snapshots.length - 1].totalValue;
+        const change = end - start;
+        return { start, end, change, changePercent: start > 0 ? (change / start) * 100 : 0 };
+    }
+
+    /**
+     * Close of the series on the given day, or on the last trading day before it
+     */
+    getCloseOn(points, date) {
+        const day = String(date).slice(0, 10);
+        let close = null;
+        for (const point of points) {
+            if (String(point.date).slice(0, 10) > day) break;
+            close = point.close;
+        }
+        return close;
+    }
+
+    /**
+     * Benchmark return between two days, in percent; null without closes for both
+     */
+    getBenchmarkReturn(series, from, to) {
+        const points = series?.points || [];
+        const start = this.getCloseOn(points, from) ?? points[0]?.close;
+        const end = this.getCloseOn(points, to);
+        if (!start || !end) return null;
+        return (end / start - 1) * 100;
+    }
+
+    /**
+     * Portfolio and benchmark return over the snapshots, and the portfolio's
+     * alpha (its return in excess of the benchmark's)
+     */
+    getBenchmarkComparison(snapshots, series) {
+        if (!series || snapshots.length < 2) return null;
+
+        const benchmarkReturn = this.getBenchmarkReturn(series, snapshots[0].date, snapshots[snapshots.length - 1].date);
+        if (benchmarkReturn === null) return null;
+
+        const portfolioReturn = this.getSummary(snapshots).changePercent;
+        return { name: series.name, portfolioReturn, benchmarkReturn, alpha: portfolioReturn - benchmarkReturn };
+    }
+
+    /**
+     * Benchmark over the snapshots' days, rebased to the first snapshot's value
+     */
+    getBenchmarkOverlay(snapshots, series) {
+        if (!series || snapshots.length === 0) return [];
+
+        const points = series.points || [];
+        const first = String(snapshots[0].date).slice(0, 10);
+        const last = String(snapshots[snapshots.length - 1].date).slice(0, 10);
+        const base = this.getCloseOn(points, first) ?? points[0]?.close;
+        if (!base) return [];
+
+        return points
+            .filter(point => {
+                const day = String(point.date).slice(0, 10);
+                return day >= first && day <= last;
+            })
+            .map(point => ({ x: new Date(point.date), y: (point.close / base) * snapshots[0].totalValue }));
+    }
+
+    /**
+     * Comparison since the first snapshot, for the portfolio value card
+     */
+    getInceptionComparison() {
+        return this.getBenchmarkComparison(this.snapshots, this.benchmarkSeries);
+    }
+
+    render() {
+        const points = this.filterByRange(this.snapshots, this.range);
+        const emptyState = document.getElementById('equityCurveEmpty');
+        if (emptyState) emptyState.style.display = points.length === 0 ? '' : 'none';
+
+        this.renderSummary(this.getSummary(points));
+        this.renderComparison(this.getBenchmarkComparison(points, this.benchmarkSeries));
+        if (points.length === 0 || !window.Chart || !window.StockChart) return;
+
+        const toSeries = (field) => points.map(snapshot => ({ x: new Date(snapshot.date), y: snapshot[field] }));
+        if (!this.chart) {
+            this.chart = this.createChart();
+        }
+        if (!this.chart) return;
+
+        this.chart.data.datasets[0].data = toSeries('totalValue');
+        this.chart.data.datasets[1].data = toSeries('invested');
+        this.chart.data.datasets[2].data = toSeries('cash');
+        this.chart.data.datasets[3].data = this.getBenchmarkOverlay(points, this.benchmarkSeries);
+        this.chart.data.datasets[3].label = this.benchmarkSeries?.name || 'Benchmark';
+        this.chart.update();
+    }
+
+    createChart() {
+        const canvas = document.getElementById(this.canvasId);
+        const ctx = canvas?.getContext('2d');
+        if (!ctx) return null;
+
+        return new window.Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [
+                    {
+                        label: 'Portfolio value',
+                        data: [],
+                        borderColor: 'var(--color-primary)',
+                        backgroundColor: 'rgba(var(--color-primary-rgb), 0.1)',
+                        fill: true,
+                        tension: 0.2,
+                        pointRadius: 0
+                    },
+                    {
+                        label: 'Invested',
+                        data: [],
+                        borderColor: 'var(--color-secondary)',
+                        borderDash: [6, 4],
+                        fill: false,
+                        pointRadius: 0
+                    },
+                    {
+                        label: 'Cash',
+                        data: [],
+                        borderColor: 'var(--color-success)',
+                        fill: false,
+                        pointRadius: 0,
+                        hidden: true
+                    },
+                    {
+                        label: 'Benchmark',
+                        data: [],
+                        borderColor: 'var(--color-warning)',
+                        borderDash: [2, 3],
+                        fill: false,
+                        pointRadius: 0
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        labels: { color: 'var(--text-secondary)', boxWidth: 12 }
+                    },
+                    tooltip: {
+                        ...window.StockChart.getTooltipTheme(),
+                        displayColors: true,
+                        callbacks: {
+                            title: (context) => new Date(context[0].parsed.x).toLocaleDateString('en-IN'),
+                            label: (context) => `${context.dataset.label}: ${this.formatCurrency(context.parsed.y)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: window.StockChart.getTimeScale(),
+                    y: window.StockChart.getPriceScale()
+                },
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                }
+            }
+        });
+    }
+
+    renderSummary(summary) {
+        const element = document.getElementById('equityCurveChange');
+        if (!element) return;
+
+        const sign = summary.change >= 0 ? '+' : '-';
+        element.textContent = `${sign}${this.formatCurrency(Math.abs(summary.change))} (${sign}${Math.abs(summary.changePercent).toFixed(2)}%)`;
+        element.className = 'equity-curve-change ' + (summary.change >= 0 ? 'positive' : 'negative');
+    }
+
+    renderComparison(comparison) {
+        const element = document.getElementById('equityCurveBenchmark');
+        if (!element) return;
+
+        if (!comparison) {
+            element.textContent = '';
+            return;
+        }
+
+        element.textContent = EquityCurve.formatComparison(comparison);
+        element.className = 'equity-curve-benchmark ' + (comparison.alpha >= 0 ? 'positive' : 'negative');
+    }
+
+    /**
+     * "NIFTY 50 +4.20% · Alpha +1.10%", shared with the portfolio value card
+     */
+    static formatComparison(comparison) {
+        const format = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+        return `${comparison.name} ${format(comparison.benchmarkReturn)} · Alpha ${format(comparison.alpha)}`;
+    }
+
+    formatCurrency(amount) {
+        return '₹' + (amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    destroy() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+}
+
+// Initialize the equity curve when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('equityCurveChart')) {
+        window.equityCurve = new EquityCurve('equityCurveChart', {
+            gameType: window.dashboard ? window.dashboard.getGameType() : ''
+        });
+        window.equityCurve.init();
+    }
+});
+
+window.EquityCurve = EquityCurve;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EquityCurve;
+}
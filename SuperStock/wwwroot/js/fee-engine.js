@@ -0,0 +1,170 @@
+/**
+ * Fee Engine
+ * Brokerage and statutory charges (STT, exchange charges, SEBI fee, stamp
+ * duty, GST) for NSE equity delivery trades. Mirrors Services/FeeCalculator.cs
+ * and loads the same schedule from the server, so the order preview matches
+ * what execution debits.
+ */
+
+const DEFAULT_FEE_SCHEDULE = {
+    brokerageMode: 'Percent',    // 'Percent' (capped) or 'Flat' per order
+    brokerageRate: 0.0003,
+    brokerageFlat: 20,
+    brokerageCap: 20,            // 0 = no cap
+    sttBuyRate: 0.001,
+    sttSellRate: 0.001,
+    exchangeChargeRate: 0.0000297,
+    sebiFeeRate: 0.000001,
+    stampDutyRate: 0.00015,      // buy side only
+    gstRate: 0.18                // on brokerage + exchange charges + SEBI fee
+};
+
+class FeeEngine {
+    constructor(schedule = {}) {
+        this.schedule = { ...DEFAULT_FEE_SCHEDULE, ...schedule };
+        this.endpoint = '/api/Fees/schedule';
+    }
+
+    /**
+     * Fetch the configured schedule; keeps the defaults if the call fails
+     */
+    loadSchedule() {
+        return new Promise((resolve) => {
+            $.ajax({
+                url: this.endpoint,
+                type: 'GET',
+                dataType: 'json',
+                success: (schedule) => {
+                    this.setSchedule(schedule);
+                    resolve(this.schedule);
+                },
+                error: () => {
+                    console.warn('Fee schedule unavailable, using default charges');
+                    resolve(this.schedule);
+                }
+            });
+        });
+    }
+
+    setSchedule(schedule) {
+        this.schedule = { ...DEFAULT_FEE_SCHEDULE, ...(schedule || {}) };
+    }
+
+    /**
+     * Charges for one trade, each rounded to the paisa like the server
+     */
+    calculate({ side, quantity, price }) {
+        const isBuy = side !== 'sell';
+        const turnover = Math.abs(parseInt(quantity) || 0) * (parseFloat(price) || 0);
+
+        if (turnover <= 0) {
+            return this.emptyBreakdown();
+        }
+
+        const s = this.schedule;
+        const brokerage = this.round(this.calculateBrokerage(turnover));
+        const stt = this.round(turnover * (isBuy ? s.sttBuyRate : s.sttSellRate));
+        const exchangeCharges = this.round(turnover * s.exchangeChargeRate);
+        const sebiFee = this.round(turnover * s.sebiFeeRate);
+        const stampDuty = isBuy ? this.round(turnover * s.stampDutyRate) : 0;
+        const gst = this.round((brokerage + exchangeCharges + sebiFee) * s.gstRate);
+        const total = this.round(brokerage + stt + exchangeCharges + sebiFee + stampDuty + gst);
+
+        return {
+            turnover: this.round(turnover),
+            brokerage,
+            stt,
+            exchangeCharges,
+            sebiFee,
+            stampDuty,
+            gst,
+            total,
+            // Buys debit value + charges, sells credit value - charges
+            netAmount: this.round(isBuy ? turnover + total : turnover - total)
+        };
+    }
+
+    /**
+     * Largest quantity whose cost plus charges fits within the available funds.
+     * For an intraday short pass the margin rate and side 'sell': only the
+     * margin is blocked, plus sell-side charges.
+     */
+    maxAffordableQuantity(availableFunds, price, { marginRate = 1, side = 'buy' } = {}) {
+        if (!(availableFunds > 0) || !(price > 0)) return 0;
+
+        const perShare = price * marginRate;
+        // Short margin is blocked rounded to the paisa, a buy debits the exact cost
+        const required = (quantity) =>
+            (marginRate < 1 ? this.round(quantity * perShare) : quantity * perShare) +
+            this.calculate({ side, quantity, price }).total;
+
+        // Start from an estimate that already allows for charges, then step down
+        let quantity = Math.floor(availableFunds / perShare);
+        if (quantity > 0) {
+            const feePerShare = this.calculate({ side, quantity, price }).total / quantity;
+            quantity = Math.floor(availableFunds / (perShare + feePerShare));
+        }
+        while (quantity > 0 && required(quantity) >= availableFunds) {
+            quantity--;
+        }
+        return quantity;
+    }
+
+    calculateBrokerage(turnover) {
+        const s = this.schedule;
+        if (String(s.brokerageMode).toLowerCase() === 'flat') {
+            return s.brokerageFlat;
+        }
+
+        const brokerage = turnover * s.brokerageRate;
+        return s.brokerageCap > 0 ? Math.min(brokerage, s.brokerageCap) : brokerage;
+    }
+
+    /**
+     * Label/amount pairs for the order summary and confirmation
+     */
+    getLineItems(breakdown) {
+        const items = [
+            { label: 'Brokerage', amount: breakdown.brokerage },
+            { label: 'STT', amount: breakdown.stt },
+            { label: 'Exchange Txn Charges', amount: breakdown.exchangeCharges },
+            { label: 'SEBI Fee', amount: breakdown.sebiFee }
+        ];
+        if (breakdown.stampDuty > 0) {
+            items.push({ label: 'Stamp Duty', amount: breakdown.stampDuty });
+        }
+        items.push({ label: 'GST', amount: breakdown.gst });
+        return items;
+    }
+
+    emptyBreakdown() {
+        return {
+            turnover: 0,
+            brokerage: 0,
+            stt: 0,
+            exchangeCharges: 0,
+            sebiFee: 0,
+            stampDuty: 0,
+            gst: 0,
+            total: 0,
+            netAmount: 0
+        };
+    }
+
+    round(amount) {
+        return Math.round((amount + Number.EPSILON) * 100) / 100;
+    }
+}
+
+// Initialize the shared fee engine when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.feeEngine = new FeeEngine();
+    window.feeEngine.loadSchedule();
+});
+
+window.FeeEngine = FeeEngine;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeeEngine;
+}
@@ -3,6 +3,9 @@
  * Handles leaderboard display, search, sorting, and real-time updates
  */
 
+// Columns the table can be ranked by instead of portfolio value
+const RETURN_RANK_FIELDS = ['twr', 'xirr'];
+
 class LeaderboardManager {
     constructor() {
         this.leaderboardData = [];
@@ -99,7 +102,7 @@ class LeaderboardManager {
                 throw new Error('No leaderboard data available');
             }
             
-            this.leaderboardData = processedData;
+            this.leaderboardData = await this.attachReturns(await this.attachRiskMetrics(processedData));
             this.filteredData = [...this.leaderboardData];
             this.retryCount = 0; // Reset retry count on success
             
@@ -134,6 +137,38 @@ class LeaderboardManager {
         }
     }
 
+    /**
+     * Adds each participant's risk metrics (entry.risk). The leaderboard
+     * still renders, without them, when they cannot be loaded.
+     */
+    async attachRiskMetrics(entries) {
+        if (!window.PortfolioRisk) return entries;
+
+        try {
+            const risk = await new window.PortfolioRisk(null).fetchLeaderboardRisk();
+            return window.PortfolioRisk.mergeLeaderboardRisk(entries, risk);
+        } catch (error) {
+            console.warn('Leaderboard risk metrics unavailable', error);
+            return entries;
+        }
+    }
+
+    /**
+     * Adds each participant's TWR and XIRR and their rank by each, so the
+     * table can be ranked by returns instead of portfolio value
+     */
+    async attachReturns(entries) {
+        if (!window.PortfolioReturns) return entries;
+
+        try {
+            const returns = await new window.PortfolioReturns().fetchLeaderboardReturns();
+            return window.PortfolioReturns.mergeLeaderboardReturns(entries, returns);
+        } catch (error) {
+            console.warn('Leaderboard returns unavailable', error);
+            return entries;
+        }
+    }
+
     /**
      * Render all components with individual error handling
      */
@@ -142,7 +177,8 @@ class LeaderboardManager {
             { name: 'Top Performers', fn: () => this.renderTopPerformers() },
             { name: 'Leaderboard Table', fn: () => this.filterAndDisplayData() },
             { name: 'Top Movers', fn: () => this.renderTopMovers() },
-            { name: 'Competition Stats', fn: () => this.updateCompetitionStats() }
+            { name: 'Competition Stats', fn: () => this.updateCompetitionStats() },
+            { name: 'Portfolio Distribution', fn: () => this.updatePortfolioDistributionChart() }
         ];
 
         for (const component of components) {
@@ -327,6 +363,13 @@ class LeaderboardManager {
             let aValue = a[this.currentSort.field];
             let bValue = b[this.currentSort.field];
 
+            // Participants without a figure (e.g. no returns yet) go last either way
+            const aMissing = aValue === null || aValue === undefined;
+            const bMissing = bValue === null || bValue === undefined;
+            if (aMissing || bMissing) {
+                return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+            }
+
             // Handle different data types
             if (typeof aValue === 'string') {
                 aValue = aValue.toLowerCase();
@@ -378,6 +421,7 @@ class LeaderboardManager {
             }).join('');
 
             tableBody.innerHTML = tableHTML;
+            this.initRiskTooltips(tableBody);
             
             // Render components with error handling
             this.safeRenderPerformanceCharts();
@@ -399,7 +443,7 @@ class LeaderboardManager {
      * Render individual participant row with error handling
      */
     renderParticipantRow(participant, index) {
-        const displayRank = this.currentFilter === 'all' ? (participant.rank || index + 1) : index + 1;
+        const displayRank = this.getDisplayRank(participant, index);
         const isCurrentUser = participant.isCurrentUser || false;
         
         // Use data manager for safe display name resolution
@@ -447,6 +491,15 @@ class LeaderboardManager {
                     </div>
                 </td>
                 <td class="trades-cell">${totalTrades}</td>
+                <td class="performance-cell mobile-hidden">
+                    ${this.renderReturn(participant.twr)}
+                </td>
+                <td class="performance-cell mobile-hidden">
+                    ${this.renderReturn(participant.xirr)}
+                </td>
+                <td class="risk-cell mobile-hidden">
+                    ${window.PortfolioRisk ? window.PortfolioRisk.getLeaderboardCellHTML(participant.risk) : '—'}
+                </td>
                 <td class="performance-cell">
                     ${this.renderPerformanceChart(participant.performanceHistory, index)}
                 </td>
@@ -454,6 +507,25 @@ class LeaderboardManager {
         `;
     }
 
+    /**
+     * Rank shown in the first column: by returns when sorted by TWR or XIRR,
+     * otherwise the portfolio-value rank (or the position within a filter)
+     */
+    getDisplayRank(participant, index) {
+        if (this.currentFilter !== 'all') return index + 1;
+        if (RETURN_RANK_FIELDS.includes(this.currentSort.field)) {
+            return participant[`${this.currentSort.field}Rank`] || '—';
+        }
+        return participant.rank || index + 1;
+    }
+
+    renderReturn(value) {
+        if (value === null || value === undefined) {
+            return '<span class="text-muted">—</span>';
+        }
+        return `<div class="performance-value ${value >= 0 ? 'positive' : 'negative'}">${value >= 0 ? '+' : ''}${value.toFixed(2)}%</div>`;
+    }
+
     /**
      * Render fallback row for corrupted data
      */
@@ -479,6 +551,9 @@ class LeaderboardManager {
                 <td class="performance-cell text-muted">--</td>
                 <td class="performance-cell text-muted">--</td>
                 <td class="trades-cell text-muted">--</td>
+                <td class="performance-cell mobile-hidden text-muted">--</td>
+                <td class="performance-cell mobile-hidden text-muted">--</td>
+                <td class="risk-cell mobile-hidden text-muted">--</td>
                 <td class="performance-cell text-muted">--</td>
             </tr>
         `;
@@ -502,7 +577,7 @@ class LeaderboardManager {
             // Create inline empty state if element doesn't exist
             tableBody.innerHTML = `
                 <tr>
-                    <td colspan="7" class="text-center py-4">
+                    <td colspan="10" class="text-center py-4">
                         <div class="empty-state">
                             <i class="fas fa-users fa-2x text-muted mb-3"></i>
                             <p class="text-muted">${customMessage || 'No participants found'}</p>
@@ -522,7 +597,7 @@ class LeaderboardManager {
     showTableErrorState(tableBody) {
         tableBody.innerHTML = `
             <tr>
-                <td colspan="7" class="text-center py-4">
+                <td colspan="10" class="text-center py-4">
                     <div class="error-state">
                         <i class="fas fa-exclamation-triangle fa-2x text-warning mb-3"></i>
                         <p class="text-muted">Unable to display leaderboard data</p>
@@ -616,7 +691,8 @@ class LeaderboardManager {
             this.currentSort.direction = this.currentSort.direction === 'asc' ? 'desc' : 'asc';
         } else {
             this.currentSort.field = field;
-            this.currentSort.direction = 'asc';
+            // Returns are ranked best first
+            this.currentSort.direction = RETURN_RANK_FIELDS.includes(field) ? 'desc' : 'asc';
         }
 
         // Update sort icons
@@ -809,6 +885,16 @@ class LeaderboardManager {
         }
     }
 
+    /**
+     * Tooltips explaining the risk column's metrics
+     */
+    initRiskTooltips(tableBody) {
+        if (!window.bootstrap?.Tooltip) return;
+        tableBody.querySelectorAll('.risk-cell [data-bs-toggle="tooltip"]').forEach(element => {
+            window.bootstrap.Tooltip.getOrCreateInstance(element);
+        });
+    }
+
     /**
      * Safe table row animation
      */
@@ -1123,11 +1209,35 @@ class LeaderboardManager {
         return { labels, first, second, third, average };
     }
 
-    generatePortfolioDistributionData() {
-        // Mock distribution data
+    updatePortfolioDistributionChart() {
+        if (!this.portfolioDistributionChart) return;
+
+        this.portfolioDistributionChart.data.datasets[0].data = this.generatePortfolioDistributionData().values;
+        this.portfolioDistributionChart.update();
+    }
+
+    /**
+     * Participants counted by return: profitable, loss-making, break-even,
+     * and new (no trades yet)
+     */
+    generatePortfolioDistributionData(entries = this.leaderboardData) {
+        const values = [0, 0, 0, 0];
+        (entries || []).forEach(entry => {
+            const pnlPercent = entry.pnlPercent || 0;
+            if (!entry.totalTrades) {
+                values[3]++;
+            } else if (pnlPercent > 5) {
+                values[0]++;
+            } else if (pnlPercent < -5) {
+                values[1]++;
+            } else {
+                values[2]++;
+            }
+        });
+
         return {
             labels: ['Profitable (>5%)', 'Loss (<-5%)', 'Break-even (-5% to 5%)', 'New Participants'],
-            values: [35, 20, 30, 15]
+            values
         };
     }
 
@@ -0,0 +1,244 @@
+/**
+ * Market Session
+ * NSE equity trading hours (IST), the pre-open session and trading holidays.
+ * Mirrors Services/MarketSessionService.cs and loads the same schedule from
+ * the server. Drives the market-status banner, lets the order book hold
+ * after-market orders (AMO) until the open and lets price polling pause
+ * while the market is closed.
+ */
+
+const DEFAULT_MARKET_SCHEDULE = {
+    utcOffsetMinutes: 330,       // IST has no daylight saving
+    preOpenTime: '09:00',
+    openTime: '09:15',
+    closeTime: '15:30',
+    enforceTradingHours: true,
+    holidays: []                 // [{ date: 'yyyy-mm-dd', name }]
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class MarketSession {
+    constructor(schedule = {}) {
+        this.schedule = { ...DEFAULT_MARKET_SCHEDULE, ...schedule };
+        this.endpoint = '/api/Market/schedule';
+        this.checkInterval = 30000;
+        this.listeners = new Set();
+        this.timer = null;
+        this.lastPhase = null;
+    }
+
+    /**
+     * Fetch session timings and holidays; keeps the defaults if the call fails
+     */
+    loadSchedule() {
+        return new Promise((resolve) => {
+            $.ajax({
+                url: this.endpoint,
+                type: 'GET',
+                dataType: 'json',
+                success: (schedule) => {
+                    this.setSchedule(schedule);
+                    resolve(this.schedule);
+                },
+                error: () => {
+                    console.warn('Market schedule unavailable, using default NSE hours');
+                    resolve(this.schedule);
+                }
+            });
+        });
+    }
+
+    setSchedule(schedule) {
+        this.schedule = { ...DEFAULT_MARKET_SCHEDULE, ...(schedule || {}) };
+        if (!Array.isArray(this.schedule.holidays)) {
+            this.schedule.holidays = [];
+        }
+    }
+
+    /**
+     * Session at the given instant: phase ('pre-open', 'open' or 'closed'),
+     * today's holiday, the next open and, while open, the close
+     */
+    getStatus(now = new Date()) {
+        const { dateKey, minutes } = this.getExchangeClock(now);
+        const preOpen = this.parseTime(this.schedule.preOpenTime);
+        const open = this.parseTime(this.schedule.openTime);
+        const close = this.parseTime(this.schedule.closeTime);
+
+        let phase = 'closed';
+        if (this.isTradingDay(dateKey)) {
+            if (minutes >= open && minutes < close) {
+                phase = 'open';
+            } else if (minutes >= preOpen && minutes < open) {
+                phase = 'pre-open';
+            }
+        }
+
+        const status = {
+            phase,
+            isOpen: phase === 'open',
+            holiday: this.getHoliday(dateKey)?.name || null,
+            nextOpen: phase === 'open' ? this.toInstant(dateKey, open) : this.getNextOpen(dateKey, minutes),
+            nextClose: phase === 'open' ? this.toInstant(dateKey, close) : null
+        };
+        status.message = this.describe(status);
+        return status;
+    }
+
+    /**
+     * Whether orders may execute now. Always true when trading hours are not enforced.
+     */
+    isOpen(now = new Date()) {
+        return !this.schedule.enforceTradingHours || this.getStatus(now).isOpen;
+    }
+
+    /**
+     * Weekdays that are not on the holiday list
+     */
+    isTradingDay(dateKey) {
+        const day = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+        return day !== 0 && day !== 6 && !this.getHoliday(dateKey);
+    }
+
+    getHoliday(dateKey) {
+        return this.schedule.holidays.find(holiday => holiday.date === dateKey) || null;
+    }
+
+    getNextOpen(dateKey, minutes) {
+        const open = this.parseTime(this.schedule.openTime);
+        let day = minutes < open ? dateKey : this.addDays(dateKey, 1);
+
+        // A year of holidays and weekends is far more than can ever be skipped
+        for (let i = 0; i < 366 && !this.isTradingDay(day); i++) {
+            day = this.addDays(day, 1);
+        }
+        return this.toInstant(day, open);
+    }
+
+    describe(status) {
+        switch (status.phase) {
+            case 'open':
+                return `Market is open until ${this.formatTime(status.nextClose)} IST`;
+            case 'pre-open':
+                return `Pre-open session. Normal trading starts at ${this.formatTime(status.nextOpen)} IST`;
+            default:
+                return status.holiday
+                    ? `Market is closed for ${status.holiday}. Opens ${this.formatDateTime(status.nextOpen)} IST`
+                    : `Market is closed. Opens ${this.formatDateTime(status.nextOpen)} IST`;
+        }
+    }
+
+    /**
+     * Exchange-local calendar date (yyyy-mm-dd) and minutes since midnight
+     */
+    getExchangeClock(date) {
+        const local = new Date(date.getTime() + this.schedule.utcOffsetMinutes * 60000);
+        return {
+            dateKey: local.toISOString().slice(0, 10),
+            minutes: local.getUTCHours() * 60 + local.getUTCMinutes() + local.getUTCSeconds() / 60
+        };
+    }
+
+    /**
+     * The instant at which the exchange clock shows the given date and time
+     */
+    toInstant(dateKey, minutes) {
+        return new Date(Date.parse(`${dateKey}T00:00:00Z`) + (minutes - this.schedule.utcOffsetMinutes) * 60000);
+    }
+
+    addDays(dateKey, days) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    parseTime(value) {
+        const [hours, minutes] = String(value || '').split(':').map(part => parseInt(part, 10));
+        return (hours || 0) * 60 + (minutes || 0);
+    }
+
+    formatTime(date) {
+        const local = new Date(date.getTime() + this.schedule.utcOffsetMinutes * 60000);
+        return `${String(local.getUTCHours()).padStart(2, '0')}:${String(local.getUTCMinutes()).padStart(2, '0')}`;
+    }
+
+    formatDateTime(date) {
+        const local = new Date(date.getTime() + this.schedule.utcOffsetMinutes * 60000);
+        return `${WEEKDAYS[local.getUTCDay()]} ${local.getUTCDate()} ${MONTHS[local.getUTCMonth()]}, ${this.formatTime(date)}`;
+    }
+
+    /**
+     * Re-check the clock periodically and tell listeners when the phase changes
+     */
+    start() {
+        if (this.timer) return;
+
+        this.lastPhase = this.getStatus().phase;
+        this.renderBanner();
+        this.timer = setInterval(() => this.checkPhase(), this.checkInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    checkPhase(now = new Date()) {
+        const status = this.getStatus(now);
+        if (status.phase !== this.lastPhase) {
+            this.lastPhase = status.phase;
+            this.notify(status);
+        }
+        this.renderBanner(status);
+        return status;
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(status) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(status, this);
+            } catch (error) {
+                console.error('Market session listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Market-status banner below the header
+     */
+    renderBanner(status = this.getStatus()) {
+        const banner = document.getElementById('marketStatusBanner');
+        if (!banner) return;
+
+        banner.className = `market-status-banner ${status.phase}`;
+        banner.innerHTML = `
+            <span class="market-status-dot" aria-hidden="true"></span>
+            <span class="market-status-text">${status.message}</span>
+            ${status.isOpen ? '' : '<span class="market-status-hint">Orders placed now are queued as after-market orders (AMO)</span>'}
+        `;
+        banner.hidden = false;
+    }
+}
+
+// Initialize the shared market session when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.marketSession = new MarketSession();
+    window.marketSession.start();
+    window.marketSession.loadSchedule().then(() => window.marketSession.checkPhase());
+});
+
+window.MarketSession = MarketSession;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarketSession;
+}
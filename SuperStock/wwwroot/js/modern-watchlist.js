@@ -7,6 +7,9 @@ class ModernWatchlistManager {
         this.priceUpdateTimeout = null;
         this.sortOrder = 'name'; // name, price, change
         this.sortDirection = 'asc'; // asc, desc
+        // Symbols picked for the compare chart, in the order picked
+        this.compareSelection = new Set();
+        this.compareLimit = window.StockChart?.MAX_COMPARE_SYMBOLS || 0;
         
         this.init();
     }
@@ -35,6 +38,17 @@ class ModernWatchlistManager {
             if (e.target.closest('.watchlist-refresh-btn')) {
                 this.refreshWatchlist();
             }
+            
+            if (e.target.closest('.watchlist-compare-btn')) {
+                this.compareSelected();
+            }
+        });
+        
+        // Compare checkboxes
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('.watchlist-compare-check')) {
+                this.toggleCompare(e.target.dataset.symbol, e.target.checked);
+            }
         });
     }
     
@@ -46,6 +60,11 @@ class ModernWatchlistManager {
             this.watchlistData = data || [];
             this.renderWatchlist();
             
+            // Latest prices may trigger resting limit orders
+            if (window.orderBook) {
+                window.orderBook.processQuotes(this.watchlistData);
+            }
+            
         } catch (error) {
             console.error('Failed to load watchlist:', error);
             this.showErrorState();
@@ -86,6 +105,9 @@ class ModernWatchlistManager {
         // Sort data before rendering
         const sortedData = this.sortWatchlistData(this.watchlistData);
         
+        // Stocks no longer on the watchlist can't be compared
+        this.compareSelection = new Set([...this.compareSelection].filter(symbol => sortedData.some(stock => stock.Name === symbol)));
+        
         const watchlistHTML = `
             <div class="modern-watchlist-container">
                 <div class="watchlist-header">
@@ -111,6 +133,12 @@ class ModernWatchlistManager {
                                     <i class="fas fa-sort-amount-${this.sortDirection}"></i>
                                 </button>
                             </div>
+                            ${this.compareLimit ? `
+                            <button class="watchlist-compare-btn" title="Compare up to ${this.compareLimit} selected stocks"
+                                    ${this.compareSelection.size < 2 ? 'disabled' : ''}>
+                                <i class="fas fa-chart-line"></i>
+                                <span class="compare-count">Compare (${this.compareSelection.size})</span>
+                            </button>` : ''}
                             <button class="watchlist-refresh-btn" title="Refresh Watchlist">
                                 <i class="fas fa-sync-alt"></i>
                             </button>
@@ -152,6 +180,13 @@ class ModernWatchlistManager {
                  data-index="${index}"
                  style="animation-delay: ${index * 50}ms">
                 <div class="item-header">
+                    ${this.compareLimit ? `
+                    <label class="compare-select" title="Select to compare">
+                        <input type="checkbox" class="watchlist-compare-check" data-symbol="${stock.Name}"
+                               ${this.compareSelection.has(stock.Name) ? 'checked' : ''}
+                               ${this.isCompareFull() && !this.compareSelection.has(stock.Name) ? 'disabled' : ''}>
+                        <span class="visually-hidden">Compare ${stock.Name}</span>
+                    </label>` : ''}
                     <div class="stock-info">
                         <div class="symbol">${stock.Name}</div>
                         <div class="company-name">${stock.CompanyName || stock.Name}</div>
@@ -283,8 +318,9 @@ class ModernWatchlistManager {
     }
     
     startRealTimeUpdates() {
-        // Simulate real-time price updates
+        // Simulate real-time price updates; prices don't move while the market is closed
         setInterval(() => {
+            if (window.marketSession && !window.marketSession.isOpen()) return;
             this.updatePrices();
         }, this.updateInterval);
     }
@@ -429,20 +465,7 @@ class ModernWatchlistManager {
         if (window.stockModal) {
             const stock = this.watchlistData.find(s => s.Name === symbol);
             if (stock) {
-                const stockData = {
-                    symbol: symbol,
-                    name: stock.CompanyName || symbol,
-                    currentPrice: stock.Price,
-                    price: stock.Price,
-                    change: 0, // Would be calculated from real data
-                    changePercent: 0,
-                    open: stock.Price,
-                    high: stock.Price,
-                    low: stock.Price,
-                    prevClose: stock.Price,
-                    volume: 0
-                };
-                window.stockModal.show(stockData);
+                window.stockModal.show(this.toStockData(stock));
             }
         } else {
             // Fallback - just open trade modal
@@ -453,6 +476,69 @@ class ModernWatchlistManager {
         }
     }
     
+    /**
+     * Stock modal data for a watchlist stock
+     */
+    toStockData(stock) {
+        return {
+            symbol: stock.Name,
+            name: stock.CompanyName || stock.Name,
+            currentPrice: stock.Price,
+            price: stock.Price,
+            change: 0, // Would be calculated from real data
+            changePercent: 0,
+            open: stock.Price,
+            high: stock.Price,
+            low: stock.Price,
+            prevClose: stock.Price,
+            volume: 0
+        };
+    }
+    
+    isCompareFull() {
+        return this.compareSelection.size >= this.compareLimit;
+    }
+    
+    /**
+     * Adds or removes a stock from the compare selection
+     */
+    toggleCompare(symbol, selected) {
+        if (selected && this.isCompareFull()) {
+            this.showNotification(`You can compare up to ${this.compareLimit} stocks`, 'warning');
+        } else if (selected) {
+            this.compareSelection.add(symbol);
+        } else {
+            this.compareSelection.delete(symbol);
+        }
+        
+        this.updateCompareControls();
+    }
+    
+    updateCompareControls() {
+        document.querySelectorAll('.watchlist-compare-check').forEach(checkbox => {
+            const selected = this.compareSelection.has(checkbox.dataset.symbol);
+            checkbox.checked = selected;
+            checkbox.disabled = !selected && this.isCompareFull();
+        });
+        
+        const compareBtn = document.querySelector('.watchlist-compare-btn');
+        if (compareBtn) {
+            compareBtn.disabled = this.compareSelection.size < 2;
+            compareBtn.querySelector('.compare-count').textContent = `Compare (${this.compareSelection.size})`;
+        }
+    }
+    
+    /**
+     * Opens the first selected stock with the others overlaid on its chart
+     */
+    compareSelected() {
+        const symbols = [...this.compareSelection];
+        const stock = this.watchlistData.find(s => s.Name === symbols[0]);
+        if (symbols.length < 2 || !stock || !window.stockModal) return;
+        
+        window.stockModal.showComparison(this.toStockData(stock), symbols);
+    }
+    
     toggleViewMode() {
         const grid = document.getElementById('watchlistGrid');
         if (grid) {
@@ -0,0 +1,57 @@
+/**
+ * Offline Database
+ * Schema of the SuperStockOffline IndexedDB. The page (sw-registration.js)
+ * and the service worker (sw.js, through importScripts) both open it here,
+ * so whichever opens it first creates every store.
+ */
+class OfflineDb {
+    /**
+     * Opens the database, creating or upgrading its stores when needed
+     */
+    static open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(OfflineDb.NAME, OfflineDb.VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+            request.onupgradeneeded = () => OfflineDb.upgrade(request.result);
+        });
+    }
+
+    /**
+     * Creates the stores the database doesn't have yet
+     */
+    static upgrade(db) {
+        Object.entries(OfflineDb.STORES).forEach(([name, options]) => {
+            if (!db.objectStoreNames.contains(name)) {
+                db.createObjectStore(name, options);
+            }
+        });
+    }
+}
+
+OfflineDb.NAME = 'SuperStockOffline';
+OfflineDb.VERSION = 3;
+
+/**
+ * Bump VERSION when adding a store, or browsers that already have the
+ * database never run the upgrade
+ */
+OfflineDb.STORES = {
+    // Queued trades and watchlist changes, replayed by background sync
+    trades: { keyPath: 'id', autoIncrement: true },
+    watchlist: { keyPath: 'id', autoIncrement: true },
+    portfolio: { keyPath: 'symbol' },
+    // Daily portfolio snapshots for the equity curve, keyed by game and date
+    snapshots: { keyPath: 'id' },
+    // Chart drawings, keyed by user and symbol
+    drawings: { keyPath: 'id' }
+};
+
+// self is the window on pages and the worker scope in sw.js
+self.OfflineDb = OfflineDb;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineDb;
+}
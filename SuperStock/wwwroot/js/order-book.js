@@ -0,0 +1,798 @@
+/**
+ * Client-side Order Book
+ * Keeps pending limit orders, watches incoming prices and fills an order
+ * through /api/ExecuteOrder only once the market price crosses its limit.
+ * Also holds stop-loss / take-profit brackets attached to bought positions,
+ * and after-market orders (AMO) placed while NSE is closed, which execute
+ * at the next open. Nothing fills outside market hours.
+ */
+
+class OrderBook {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'superstock-open-orders';
+        this.bracketStorageKey = options.bracketStorageKey || 'superstock-bracket-orders';
+        this.pollInterval = options.pollInterval || 15000; // 15 seconds
+        this.maxClosedOrders = options.maxClosedOrders || 50;
+        this.maxExecutionRetries = options.maxExecutionRetries ?? 2;
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.marketSession = options.marketSession || null;
+
+        this.endpoints = {
+            executeOrder: '/api/ExecuteOrder',
+            prices: '/api/StockData/prices'
+        };
+
+        this.orders = [];
+        this.brackets = [];
+        this.listeners = new Set();
+        this.executing = new Set();
+        this.pollTimer = null;
+
+        this.loadOrders();
+        this.loadBrackets();
+        if (this.hasPendingWork()) {
+            this.startPolling();
+        }
+    }
+
+    /**
+     * Normalise a symbol so that "TCS" and "TCS.NS" refer to the same book
+     */
+    normalizeSymbol(symbol) {
+        return String(symbol || '').trim().toUpperCase().replace(/\.NS$/, '');
+    }
+
+    /**
+     * Orders only execute during market hours (see market-session.js);
+     * without a market session nothing is held back
+     */
+    isMarketOpen() {
+        const session = this.marketSession || (typeof window !== 'undefined' ? window.marketSession : null);
+        return session ? session.isOpen() : true;
+    }
+
+    /**
+     * Check whether a limit order can fill at the given market price.
+     * A market AMO (no limit) fills at any price.
+     */
+    isMarketable(order, price) {
+        const marketPrice = parseFloat(price);
+        if (!marketPrice || marketPrice <= 0) return false;
+        if (order.limitPrice === null) return true;
+
+        return order.side === 'buy'
+            ? marketPrice <= order.limitPrice
+            : marketPrice >= order.limitPrice;
+    }
+
+    /**
+     * Empty limit price means "at market", which only an AMO may use
+     */
+    parseLimitPrice(value) {
+        return value === null || value === undefined || value === '' ? null : parseFloat(value);
+    }
+
+    /**
+     * Validate and build a new limit order, or an AMO when afterMarket is set
+     */
+    createOrder({ symbol, side, quantity, limitPrice, gameType = '', productType = 'DELIVERY', bracket = null, afterMarket = false }) {
+        const qty = parseInt(quantity);
+        const limit = this.parseLimitPrice(limitPrice);
+
+        if (!symbol) throw new Error('Symbol is required');
+        if (side !== 'buy' && side !== 'sell') throw new Error('Side must be buy or sell');
+        if (!qty || qty < 1) throw new Error('Quantity must be at least 1');
+        if (limit === null ? !afterMarket : !(limit > 0)) throw new Error('Limit price must be greater than zero');
+        if (bracket && side !== 'buy') throw new Error('Stop-loss and target can only be attached to a buy');
+        if (productType === 'INTRADAY' && side !== 'sell') throw new Error('Only sells can be placed as intraday shorts');
+
+        return {
+            id: `ord-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            symbol: this.normalizeSymbol(symbol),
+            side,
+            quantity: qty,
+            limitPrice: limit === null ? null : Math.round(limit * 100) / 100,
+            gameType,
+            productType,
+            afterMarket,
+            status: 'open',
+            createdAt: new Date().toISOString(),
+            updatedAt: null,
+            filledAt: null,
+            fillPrice: null,
+            fees: null,
+            rejectionReason: null,
+            // Reused on every fill attempt so the order can only fill once
+            idempotencyKey: this.createIdempotencyKey(),
+            bracket
+        };
+    }
+
+    /**
+     * Place a limit order. A marketable order is filled straight away,
+     * anything else rests in the book until the price crosses.
+     */
+    async placeLimitOrder(orderData, marketPrice = null) {
+        const order = this.createOrder(orderData);
+
+        this.orders.push(order);
+
+        if (marketPrice !== null && this.isMarketOpen() && this.isMarketable(order, marketPrice)) {
+            await this.fillOrder(order, parseFloat(marketPrice));
+            if (order.status !== 'open') {
+                return order;
+            }
+        }
+
+        this.saveOrders();
+        this.notify('placed', order);
+        this.startPolling();
+        return order;
+    }
+
+    /**
+     * Queue an order placed while the market is closed. It executes at the
+     * first price seen after the open: at market, or as a limit order when
+     * a limit price is given.
+     */
+    placeAfterMarketOrder(orderData) {
+        const order = this.createOrder({ ...orderData, afterMarket: true });
+
+        this.orders.push(order);
+        this.saveOrders();
+        this.notify('placed', order);
+        this.startPolling();
+        return order;
+    }
+
+    /**
+     * Cancel an open order
+     */
+    cancelOrder(orderId) {
+        const order = this.getOrder(orderId);
+        if (!order || order.status !== 'open') {
+            throw new Error('Only open orders can be cancelled');
+        }
+        if (this.executing.has(orderId)) {
+            throw new Error('Order is already being executed');
+        }
+
+        order.status = 'cancelled';
+        order.updatedAt = new Date().toISOString();
+        this.saveOrders();
+        this.notify('cancelled', order);
+        return order;
+    }
+
+    /**
+     * Modify quantity and/or limit price of an open order
+     */
+    modifyOrder(orderId, changes = {}) {
+        const order = this.getOrder(orderId);
+        if (!order || order.status !== 'open') {
+            throw new Error('Only open orders can be modified');
+        }
+        if (this.executing.has(orderId)) {
+            throw new Error('Order is already being executed');
+        }
+
+        const quantity = changes.quantity !== undefined ? parseInt(changes.quantity) : order.quantity;
+        const limitPrice = changes.limitPrice !== undefined ? this.parseLimitPrice(changes.limitPrice) : order.limitPrice;
+
+        if (!quantity || quantity < 1) throw new Error('Quantity must be at least 1');
+        if (limitPrice === null ? !order.afterMarket : !(limitPrice > 0)) throw new Error('Limit price must be greater than zero');
+
+        order.quantity = quantity;
+        order.limitPrice = limitPrice === null ? null : Math.round(limitPrice * 100) / 100;
+        order.updatedAt = new Date().toISOString();
+        this.saveOrders();
+        this.notify('modified', order);
+        return order;
+    }
+
+    getOrder(orderId) {
+        return this.orders.find(order => order.id === orderId) || null;
+    }
+
+    /**
+     * Get open orders, optionally for a single symbol
+     */
+    getOpenOrders(symbol = null) {
+        const normalized = symbol ? this.normalizeSymbol(symbol) : null;
+        return this.orders.filter(order =>
+            order.status === 'open' && (!normalized || order.symbol === normalized)
+        );
+    }
+
+    /**
+     * Feed a market price into the book and fill every order it crosses
+     */
+    async processPriceUpdate(symbol, price) {
+        const marketPrice = parseFloat(price);
+        if (!marketPrice || marketPrice <= 0 || !this.isMarketOpen()) return [];
+
+        const triggered = this.getOpenOrders(symbol).filter(order =>
+            !this.executing.has(order.id) && this.isMarketable(order, marketPrice)
+        );
+
+        const results = [];
+        for (const order of triggered) {
+            results.push(await this.fillOrder(order, marketPrice));
+        }
+
+        for (const bracket of this.getActiveBrackets(symbol)) {
+            if (this.executing.has(bracket.id)) continue;
+
+            const leg = this.evaluateBracket(bracket, marketPrice);
+            if (leg) {
+                results.push(await this.triggerBracket(bracket, leg, marketPrice));
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Feed a list of quotes ({ Name, Price } as returned by the APIs)
+     */
+    processQuotes(quotes) {
+        if (!Array.isArray(quotes)) return Promise.resolve([]);
+
+        return Promise.all(quotes
+            .filter(quote => quote && (quote.Name || quote.name || quote.symbol))
+            .map(quote => this.processPriceUpdate(quote.Name || quote.name || quote.symbol, quote.Price ?? quote.price)));
+    }
+
+    /**
+     * Send a triggered order to the server and record the outcome
+     */
+    async fillOrder(order, marketPrice) {
+        this.executing.add(order.id);
+
+        try {
+            const execution = await this.executeOrder({
+                symbol: order.symbol,
+                side: order.side,
+                quantity: order.quantity,
+                price: marketPrice,
+                limitPrice: order.limitPrice,
+                orderType: order.afterMarket ? 'AMO' : 'LIMIT',
+                gameType: order.gameType,
+                productType: order.productType,
+                idempotencyKey: order.idempotencyKey || (order.idempotencyKey = this.createIdempotencyKey())
+            });
+
+            order.status = 'filled';
+            order.fillPrice = marketPrice;
+            order.fees = execution?.fees?.total ?? null;
+            order.filledAt = new Date().toISOString();
+            this.notify('filled', order);
+
+            if (order.bracket) {
+                try {
+                    this.attachBracket({
+                        ...order.bracket,
+                        symbol: order.symbol,
+                        quantity: order.quantity,
+                        entryPrice: marketPrice,
+                        gameType: order.gameType
+                    });
+                } catch (bracketError) {
+                    this.notify('bracket-rejected', {
+                        ...order.bracket,
+                        symbol: order.symbol,
+                        rejectionReason: bracketError.message
+                    });
+                }
+            }
+        } catch (error) {
+            // 409: the server's live price has not reached the limit yet, it has no
+            // live price, the market is closed on the server's clock, or an earlier
+            // attempt with this order's key is still executing; keep waiting
+            if (error.status !== 409) {
+                order.status = 'rejected';
+                order.rejectionReason = error.message;
+                order.updatedAt = new Date().toISOString();
+                this.notify('rejected', order);
+            }
+        } finally {
+            this.executing.delete(order.id);
+            this.saveOrders();
+            if (!this.hasPendingWork()) {
+                this.stopPolling();
+            }
+        }
+
+        return order;
+    }
+
+    /**
+     * Stop level for a trailing stop given the highest price seen so far
+     */
+    getTrailingStop(trailing, highestPrice) {
+        const stop = trailing.mode === 'percent'
+            ? highestPrice * (1 - trailing.value / 100)
+            : highestPrice - trailing.value;
+        return Math.round(stop * 100) / 100;
+    }
+
+    /**
+     * Validate stop-loss / take-profit levels. Trailing may be null or
+     * { mode: 'percent' | 'amount', value }.
+     */
+    validateBracketLevels({ stopLoss, takeProfit, trailing }) {
+        if (stopLoss === null && takeProfit === null && !trailing) {
+            throw new Error('Set a stop-loss, a target or a trailing stop');
+        }
+        if (stopLoss !== null && (!stopLoss || stopLoss <= 0)) {
+            throw new Error('Stop-loss must be greater than zero');
+        }
+        if (takeProfit !== null && (!takeProfit || takeProfit <= 0)) {
+            throw new Error('Target must be greater than zero');
+        }
+        if (stopLoss !== null && takeProfit !== null && stopLoss >= takeProfit) {
+            throw new Error('Stop-loss must be below the target');
+        }
+        if (trailing) {
+            if (trailing.mode !== 'percent' && trailing.mode !== 'amount') {
+                throw new Error('Trailing stop must be a percentage or an amount');
+            }
+            if (!trailing.value || trailing.value <= 0 || (trailing.mode === 'percent' && trailing.value >= 100)) {
+                throw new Error('Trailing value is out of range');
+            }
+        }
+    }
+
+    parseBracketLevels({ stopLoss = null, takeProfit = null, trailing = null }) {
+        const toPrice = (value) => {
+            if (value === null || value === undefined || value === '') return null;
+            return Math.round(parseFloat(value) * 100) / 100;
+        };
+        const levels = {
+            stopLoss: toPrice(stopLoss),
+            takeProfit: toPrice(takeProfit),
+            trailing: trailing && trailing.mode
+                ? { mode: trailing.mode, value: parseFloat(trailing.value) }
+                : null
+        };
+
+        this.validateBracketLevels(levels);
+        return levels;
+    }
+
+    /**
+     * Attach a stop-loss / take-profit bracket to a bought position.
+     * Both legs sell the same quantity; whichever fires first cancels the other.
+     */
+    attachBracket({ symbol, quantity, entryPrice, stopLoss, takeProfit, trailing, gameType = '' }) {
+        const qty = parseInt(quantity);
+        const entry = parseFloat(entryPrice);
+
+        if (!symbol) throw new Error('Symbol is required');
+        if (!qty || qty < 1) throw new Error('Quantity must be at least 1');
+        if (!entry || entry <= 0) throw new Error('Entry price must be greater than zero');
+
+        const levels = this.parseBracketLevels({ stopLoss, takeProfit, trailing });
+        if (levels.trailing) {
+            const trailingStop = this.getTrailingStop(levels.trailing, entry);
+            levels.stopLoss = Math.max(levels.stopLoss || 0, trailingStop);
+        }
+
+        const bracket = {
+            id: `brk-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            symbol: this.normalizeSymbol(symbol),
+            quantity: qty,
+            entryPrice: entry,
+            stopLoss: levels.stopLoss,
+            takeProfit: levels.takeProfit,
+            trailing: levels.trailing,
+            highestPrice: entry,
+            gameType,
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            updatedAt: null,
+            closedAt: null,
+            triggeredLeg: null,
+            exitPrice: null,
+            rejectionReason: null,
+            idempotencyKey: this.createIdempotencyKey()
+        };
+
+        this.brackets.push(bracket);
+        this.saveBrackets();
+        this.notify('bracket-attached', bracket);
+        this.startPolling();
+        return bracket;
+    }
+
+    /**
+     * Edit the legs of an active bracket. Passing null removes a leg.
+     */
+    modifyBracket(bracketId, changes = {}) {
+        const bracket = this.getBracket(bracketId);
+        if (!bracket || bracket.status !== 'active') {
+            throw new Error('Only active brackets can be modified');
+        }
+        if (this.executing.has(bracketId)) {
+            throw new Error('Bracket is already being executed');
+        }
+
+        const levels = this.parseBracketLevels({
+            stopLoss: 'stopLoss' in changes ? changes.stopLoss : bracket.stopLoss,
+            takeProfit: 'takeProfit' in changes ? changes.takeProfit : bracket.takeProfit,
+            trailing: 'trailing' in changes ? changes.trailing : bracket.trailing
+        });
+
+        if (levels.trailing) {
+            const trailingStop = this.getTrailingStop(levels.trailing, bracket.highestPrice);
+            levels.stopLoss = Math.max(levels.stopLoss || 0, trailingStop);
+        }
+
+        Object.assign(bracket, levels, { updatedAt: new Date().toISOString() });
+        this.saveBrackets();
+        this.notify('bracket-modified', bracket);
+        return bracket;
+    }
+
+    cancelBracket(bracketId) {
+        const bracket = this.getBracket(bracketId);
+        if (!bracket || bracket.status !== 'active') {
+            throw new Error('Only active brackets can be cancelled');
+        }
+        if (this.executing.has(bracketId)) {
+            throw new Error('Bracket is already being executed');
+        }
+
+        bracket.status = 'cancelled';
+        bracket.closedAt = new Date().toISOString();
+        this.saveBrackets();
+        this.notify('bracket-cancelled', bracket);
+        return bracket;
+    }
+
+    getBracket(bracketId) {
+        return this.brackets.find(bracket => bracket.id === bracketId) || null;
+    }
+
+    getActiveBrackets(symbol = null) {
+        const normalized = symbol ? this.normalizeSymbol(symbol) : null;
+        return this.brackets.filter(bracket =>
+            bracket.status === 'active' && (!normalized || bracket.symbol === normalized)
+        );
+    }
+
+    /**
+     * Ratchet a trailing stop and return the leg the price has hit, if any
+     */
+    evaluateBracket(bracket, price) {
+        if (bracket.trailing && price > bracket.highestPrice) {
+            bracket.highestPrice = price;
+            const trailingStop = this.getTrailingStop(bracket.trailing, price);
+            if (trailingStop > (bracket.stopLoss || 0)) {
+                bracket.stopLoss = trailingStop;
+                this.saveBrackets();
+                this.notify('bracket-modified', bracket);
+            }
+        }
+
+        if (bracket.stopLoss !== null && price <= bracket.stopLoss) return 'stopLoss';
+        if (bracket.takeProfit !== null && price >= bracket.takeProfit) return 'takeProfit';
+        return null;
+    }
+
+    /**
+     * Sell the bracketed quantity. The bracket closes as a whole, which
+     * cancels the leg that did not fire (one-cancels-other).
+     */
+    async triggerBracket(bracket, leg, marketPrice) {
+        this.executing.add(bracket.id);
+
+        try {
+            const execution = await this.executeOrder({
+                symbol: bracket.symbol,
+                side: 'sell',
+                quantity: bracket.quantity,
+                price: marketPrice,
+                orderType: leg === 'stopLoss' ? 'STOP_LOSS' : 'TARGET',
+                gameType: bracket.gameType,
+                idempotencyKey: bracket.idempotencyKey || (bracket.idempotencyKey = this.createIdempotencyKey())
+            });
+
+            bracket.status = 'triggered';
+            bracket.triggeredLeg = leg;
+            bracket.exitPrice = marketPrice;
+            bracket.fees = execution?.fees?.total ?? null;
+            this.notify('bracket-triggered', bracket);
+        } catch (error) {
+            // 409: the market is closed on the server's clock, it has no live
+            // price, or an earlier attempt with the same key is still executing.
+            // The bracket stays active and fires again on the next price that
+            // hits a leg, which also reconciles with an earlier attempt's outcome
+            if (error.status !== 409) {
+                bracket.status = 'rejected';
+                bracket.rejectionReason = error.message;
+                this.notify('bracket-rejected', bracket);
+            }
+        } finally {
+            if (bracket.status !== 'active') {
+                bracket.closedAt = new Date().toISOString();
+            }
+            this.executing.delete(bracket.id);
+            this.saveBrackets();
+            if (!this.hasPendingWork()) {
+                this.stopPolling();
+            }
+        }
+
+        return bracket;
+    }
+
+    hasPendingWork() {
+        return this.getOpenOrders().length > 0 || this.getActiveBrackets().length > 0;
+    }
+
+    /**
+     * Key identifying one order intent; the server fills each key at most once
+     */
+    createIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `key-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Execute an order on the server (the same call the legacy ExecuteOrder makes).
+     * Requests that get no response are retried with the same idempotency key,
+     * and a duplicate of an order that already filled resolves with the
+     * original execution instead of failing.
+     */
+    async executeOrder({ symbol, side, quantity, price, limitPrice = null, orderType = 'MARKET', gameType = '', productType = 'DELIVERY', idempotencyKey = null }) {
+        const orderData = {
+            Stock: this.normalizeSymbol(symbol),
+            Price: String(price ?? ''),
+            Quantity: side === 'sell' ? -Math.abs(quantity) : Math.abs(quantity),
+            OrderType: orderType,
+            GameType: gameType,
+            ProductType: productType || 'DELIVERY',
+            IdempotencyKey: idempotencyKey || this.createIdempotencyKey()
+        };
+        if (limitPrice !== null) {
+            orderData.LimitPrice = limitPrice;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendOrder(orderData);
+            } catch (error) {
+                if (error.code === 'DUPLICATE_ORDER' && error.details?.orderStatus === 'FILLED') {
+                    return this.reconcileDuplicate(error.details);
+                }
+                // Status 0: no response, so the server may or may not have the order
+                if (error.status !== 0 || attempt >= this.maxExecutionRetries) {
+                    throw error;
+                }
+                console.warn(`Order ${orderData.IdempotencyKey} got no response, retrying (attempt ${attempt + 1}/${this.maxExecutionRetries})`);
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * (attempt + 1)));
+            }
+        }
+    }
+
+    sendOrder(orderData) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: this.endpoints.executeOrder,
+                type: 'POST',
+                data: JSON.stringify(orderData),
+                contentType: 'application/json',
+                headers: { 'Idempotency-Key': orderData.IdempotencyKey },
+                success: (data) => resolve(this.parseExecution(data)),
+                error: (xhr, status, error) => {
+                    const rejection = this.parseRejection(xhr.responseText);
+                    const apiError = new Error(rejection?.message || xhr.responseText || error || 'Order execution failed');
+                    apiError.status = xhr.status;
+                    apiError.code = rejection?.errorCode || null;
+                    apiError.details = rejection;
+                    reject(apiError);
+                }
+            });
+        });
+    }
+
+    /**
+     * Execution result of the original order from a DUPLICATE_ORDER response
+     */
+    reconcileDuplicate(details) {
+        const fees = details.fees;
+        return {
+            holdings: details.holdings || '',
+            fees: fees ? {
+                brokerage: fees.brokerage,
+                stt: fees.stt,
+                exchangeCharges: fees.exchangeCharges,
+                sebiFee: fees.sebiFee,
+                stampDuty: fees.stampDuty,
+                gst: fees.gst,
+                total: fees.total
+            } : null,
+            duplicate: true
+        };
+    }
+
+    /**
+     * Read holdings and the charges debited from an ExecuteOrder response
+     */
+    parseExecution(data) {
+        try {
+            const result = typeof data === 'string' ? JSON.parse(data) : data;
+            const value = result?.Value || {};
+            const fees = value.Fees;
+            return {
+                holdings: value.Holdings || '',
+                fees: fees ? {
+                    brokerage: fees.Brokerage,
+                    stt: fees.Stt,
+                    exchangeCharges: fees.ExchangeCharges,
+                    sebiFee: fees.SebiFee,
+                    stampDuty: fees.StampDuty,
+                    gst: fees.Gst,
+                    total: fees.Total
+                } : null,
+                duplicate: false
+            };
+        } catch (error) {
+            return { holdings: '', fees: null, duplicate: false };
+        }
+    }
+
+    /**
+     * Read the structured rejection (message, errorCode, maxQuantity, ...)
+     * from a failed ExecuteOrder response; null for plain-text errors
+     */
+    parseRejection(responseText) {
+        try {
+            const rejection = JSON.parse(responseText);
+            return rejection && typeof rejection === 'object' && rejection.message ? rejection : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Poll prices for symbols with resting orders
+     */
+    startPolling() {
+        if (this.pollTimer) return;
+
+        this.pollTimer = setInterval(() => {
+            this.pollPrices().catch(error => {
+                console.warn('Order book price poll failed:', error);
+            });
+        }, this.pollInterval);
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    async pollPrices() {
+        // Keep the timer running so queued orders fire at the open, but skip stale quotes
+        if (!this.isMarketOpen()) return [];
+
+        const symbols = [...new Set([
+            ...this.getOpenOrders().map(order => order.symbol),
+            ...this.getActiveBrackets().map(bracket => bracket.symbol)
+        ])];
+        if (symbols.length === 0) {
+            this.stopPolling();
+            return [];
+        }
+
+        const quotes = await this.fetchPrices(symbols);
+        return this.processQuotes(quotes);
+    }
+
+    fetchPrices(symbols) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: this.endpoints.prices,
+                type: 'GET',
+                data: { symbols: symbols.join(',') },
+                dataType: 'json',
+                success: (response) => resolve(response?.data || response?.Data || []),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load prices'))
+            });
+        });
+    }
+
+    /**
+     * Subscribe to order book changes. Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(event, order) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event, order, this);
+            } catch (error) {
+                console.error('Order book listener failed:', error);
+            }
+        });
+    }
+
+    loadOrders() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.orders = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn('Failed to load open orders:', error);
+            this.orders = [];
+        }
+    }
+
+    loadBrackets() {
+        try {
+            const stored = localStorage.getItem(this.bracketStorageKey);
+            this.brackets = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn('Failed to load bracket orders:', error);
+            this.brackets = [];
+        }
+    }
+
+    saveBrackets() {
+        const active = this.brackets.filter(bracket => bracket.status === 'active');
+        const closed = this.brackets
+            .filter(bracket => bracket.status !== 'active')
+            .slice(-this.maxClosedOrders);
+        this.brackets = [...active, ...closed].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        try {
+            localStorage.setItem(this.bracketStorageKey, JSON.stringify(this.brackets));
+        } catch (error) {
+            console.warn('Failed to save bracket orders:', error);
+        }
+    }
+
+    /**
+     * Persist the book, keeping only the most recent closed orders
+     */
+    saveOrders() {
+        const open = this.orders.filter(order => order.status === 'open');
+        const closed = this.orders
+            .filter(order => order.status !== 'open')
+            .slice(-this.maxClosedOrders);
+        this.orders = [...open, ...closed].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.orders));
+        } catch (error) {
+            console.warn('Failed to save open orders:', error);
+        }
+    }
+}
+
+// Initialize order book when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    window.orderBook = new OrderBook();
+
+    // Execute queued AMOs as soon as the market opens rather than on the next poll
+    window.marketSession?.subscribe(status => {
+        if (status.isOpen && window.orderBook.hasPendingWork()) {
+            window.orderBook.pollPrices().catch(error => {
+                console.warn('Order book price poll failed:', error);
+            });
+        }
+    });
+});
+
+window.OrderBook = OrderBook;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderBook;
+}
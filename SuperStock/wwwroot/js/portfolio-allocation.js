@@ -0,0 +1,298 @@
+/**
+ * Portfolio Allocation
+ * Sector and market-cap breakdown of the user's holdings (api/Allocation),
+ * classified by the server's symbol master. Renders a donut of the selected
+ * breakdown, a treemap of holdings coloured by sector and a warning for each
+ * sector above the concentration threshold.
+ */
+
+const ALLOCATION_COLORS = [
+    '#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6',
+    '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#6366f1'
+];
+
+const MARKET_CAP_LABELS = {
+    LARGE: 'Large cap',
+    MID: 'Mid cap',
+    SMALL: 'Small cap',
+    UNCLASSIFIED: 'Unclassified'
+};
+
+class PortfolioAllocation {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/Allocation';
+        this.gameType = options.gameType || '';
+        this.view = options.view || 'sector';
+        this.allocation = null;
+        this.chart = null;
+    }
+
+    init() {
+        this.bindEvents();
+        return this.load();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('[data-allocation-view]').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.allocationView));
+        });
+    }
+
+    load() {
+        return new Promise((resolve) => {
+            $.ajax({
+                url: this.endpoint,
+                type: 'GET',
+                data: { gameType: this.gameType },
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => {
+                    this.allocation = response?.data || null;
+                    this.render();
+                },
+                error: () => {
+                    this.showNotification('Failed to load portfolio allocation', 'error');
+                },
+                complete: () => resolve()
+            });
+        });
+    }
+
+    setView(view) {
+        if (view !== 'sector' && view !== 'marketCap') return;
+
+        this.view = view;
+        document.querySelectorAll('[data-allocation-view]').forEach(button => {
+            const active = button.dataset.allocationView === view;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+        this.renderDonut();
+    }
+
+    /**
+     * Slices of the selected breakdown, with display labels and colours
+     */
+    getSlices() {
+        if (!this.allocation) return [];
+
+        const slices = this.view === 'marketCap' ? this.allocation.marketCaps : this.allocation.sectors;
+        return (slices || []).map((slice, index) => ({
+            ...slice,
+            label: this.view === 'marketCap' ? (MARKET_CAP_LABELS[slice.name] || slice.name) : slice.name,
+            color: ALLOCATION_COLORS[index % ALLOCATION_COLORS.length]
+        }));
+    }
+
+    /**
+     * Colour of each sector, matching its slice in the sector donut
+     */
+    getSectorColors() {
+        const colors = {};
+        (this.allocation?.sectors || []).forEach((sector, index) => {
+            colors[sector.name] = ALLOCATION_COLORS[index % ALLOCATION_COLORS.length];
+        });
+        return colors;
+    }
+
+    render() {
+        const holdings = this.allocation?.holdings || [];
+        const emptyState = document.getElementById('allocationEmpty');
+        const content = document.getElementById('allocationContent');
+        if (emptyState) emptyState.style.display = holdings.length === 0 ? '' : 'none';
+        if (content) content.style.display = holdings.length === 0 ? 'none' : '';
+
+        this.renderWarnings(this.allocation?.warnings || []);
+        if (holdings.length === 0) return;
+
+        this.renderDonut();
+        this.renderTreemap(holdings);
+    }
+
+    renderDonut() {
+        const slices = this.getSlices();
+        if (slices.length === 0 || !window.Chart) return;
+
+        if (!this.chart) {
+            this.chart = this.createChart();
+        }
+        if (!this.chart) return;
+
+        this.chart.data.labels = slices.map(slice => slice.label);
+        this.chart.data.datasets[0].data = slices.map(slice => slice.value);
+        this.chart.data.datasets[0].backgroundColor = slices.map(slice => slice.color);
+        this.chart.update();
+    }
+
+    createChart() {
+        const canvas = document.getElementById('allocationChart');
+        const ctx = canvas?.getContext('2d');
+        if (!ctx) return null;
+
+        return new window.Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: [],
+                datasets: [{ data: [], backgroundColor: [], borderWidth: 2, borderColor: 'var(--bg-card)' }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                cutout: '60%',
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: { color: 'var(--text-secondary)', boxWidth: 12, usePointStyle: true }
+                    },
+                    tooltip: {
+                        ...(window.StockChart ? window.StockChart.getTooltipTheme() : {}),
+                        callbacks: {
+                            label: (context) => {
+                                const slice = this.getSlices()[context.dataIndex];
+                                return `${context.label}: ${this.formatCurrency(context.parsed)} (${slice ? slice.weight.toFixed(1) : 0}%)`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    renderTreemap(holdings) {
+        const container = document.getElementById('allocationTreemap');
+        if (!container) return;
+
+        const colors = this.getSectorColors();
+        const tiles = PortfolioAllocation.layoutTreemap(holdings);
+        container.innerHTML = tiles.map(tile => `
+            <div class="treemap-tile${tile.item.isShort ? ' short' : ''}"
+                 style="left: ${tile.x}%; top: ${tile.y}%; width: ${tile.width}%; height: ${tile.height}%; background: ${colors[tile.item.sector] || ALLOCATION_COLORS[0]};"
+                 title="${this.escapeHtml(tile.item.symbol)} · ${this.escapeHtml(tile.item.industry)} · ${this.formatCurrency(tile.item.value)} (${tile.item.weight.toFixed(1)}%)">
+                <span class="treemap-symbol">${this.escapeHtml(tile.item.symbol)}</span>
+                <span class="treemap-weight">${tile.item.weight.toFixed(1)}%</span>
+            </div>
+        `).join('');
+    }
+
+    renderWarnings(warnings) {
+        const container = document.getElementById('allocationWarnings');
+        if (!container) return;
+
+        container.innerHTML = warnings.map(warning => `
+            <div class="allocation-warning" role="alert">
+                <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+                ${this.escapeHtml(warning.message)}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Squarified treemap of items with a positive value, in percentages of a
+     * 100 × 100 box. Each row is filled while it keeps its tiles closest to square.
+     */
+    static layoutTreemap(items, rect = { x: 0, y: 0, width: 100, height: 100 }) {
+        const total = items.reduce((sum, item) => sum + Math.max(item.value, 0), 0);
+        if (total <= 0) return [];
+
+        const scale = (rect.width * rect.height) / total;
+        const nodes = items
+            .filter(item => item.value > 0)
+            .sort((a, b) => b.value - a.value)
+            .map(item => ({ item, area: item.value * scale }));
+
+        const tiles = [];
+        let remaining = { ...rect };
+        let row = [];
+
+        const worstRatio = (candidate, side) => {
+            const sum = candidate.reduce((acc, node) => acc + node.area, 0);
+            const largest = Math.max(...candidate.map(node => node.area));
+            const smallest = Math.min(...candidate.map(node => node.area));
+            return Math.max((side * side * largest) / (sum * sum), (sum * sum) / (side * side * smallest));
+        };
+
+        const placeRow = (rowNodes, space) => {
+            const sum = rowNodes.reduce((acc, node) => acc + node.area, 0);
+            if (space.width >= space.height) {
+                // Column down the left edge
+                const width = sum / space.height;
+                let y = space.y;
+                rowNodes.forEach(node => {
+                    const height = node.area / width;
+                    tiles.push({ item: node.item, x: space.x, y, width, height });
+                    y += height;
+                });
+                return { x: space.x + width, y: space.y, width: space.width - width, height: space.height };
+            }
+
+            // Row along the top edge
+            const height = sum / space.width;
+            let x = space.x;
+            rowNodes.forEach(node => {
+                const width = node.area / height;
+                tiles.push({ item: node.item, x, y: space.y, width, height });
+                x += width;
+            });
+            return { x: space.x, y: space.y + height, width: space.width, height: space.height - height };
+        };
+
+        nodes.forEach(node => {
+            const side = Math.min(remaining.width, remaining.height);
+            if (row.length === 0 || worstRatio([...row, node], side) <= worstRatio(row, side)) {
+                row.push(node);
+            } else {
+                remaining = placeRow(row, remaining);
+                row = [node];
+            }
+        });
+        if (row.length > 0) placeRow(row, remaining);
+
+        return tiles;
+    }
+
+    formatCurrency(amount) {
+        return '₹' + (amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info') {
+        if (window.NotificationManager) {
+            window.NotificationManager.show(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+
+    destroy() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+}
+
+// Initialize the allocation card when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('allocationTreemap')) {
+        window.portfolioAllocation = new PortfolioAllocation({
+            gameType: window.dashboard ? window.dashboard.getGameType() : ''
+        });
+        window.portfolioAllocation.init();
+    }
+});
+
+window.PortfolioAllocation = PortfolioAllocation;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioAllocation;
+}
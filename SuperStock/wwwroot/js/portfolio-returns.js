@@ -0,0 +1,119 @@
+/**
+ * Portfolio Returns
+ * Time-weighted return and XIRR of the user's investments (api/Returns),
+ * shown on the dashboard's returns card. The leaderboard merges every
+ * participant's figures so it can be sorted and ranked by them.
+ */
+
+class PortfolioReturns {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/Returns';
+        this.gameType = options.gameType || '';
+        this.returns = null;
+    }
+
+    init() {
+        return this.load();
+    }
+
+    async load() {
+        try {
+            this.returns = await this.request(this.endpoint);
+        } catch (error) {
+            console.warn('Portfolio returns unavailable', error);
+            this.returns = null;
+        }
+        this.render();
+    }
+
+    /**
+     * Every participant's returns, for the leaderboard
+     */
+    fetchLeaderboardReturns() {
+        return this.request(`${this.endpoint}/leaderboard`);
+    }
+
+    request(url) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url,
+                type: 'GET',
+                data: { gameType: this.gameType },
+                dataType: 'json',
+                timeout: 20000,
+                success: (response) => resolve(response?.data || null),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load returns'))
+            });
+        });
+    }
+
+    render() {
+        this.renderFigure('twrReturn', this.returns?.timeWeightedReturn);
+        this.renderFigure('xirrReturn', this.returns?.xirr);
+    }
+
+    renderFigure(elementId, value) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+
+        element.textContent = PortfolioReturns.formatPercent(value);
+        element.classList.toggle('positive', value > 0);
+        element.classList.toggle('negative', value < 0);
+    }
+
+    static formatPercent(value) {
+        if (value === null || value === undefined) return '—';
+        return `${value >= 0 ? '+' : ''}${Number(value).toFixed(2)}%`;
+    }
+
+    /**
+     * Adds twr and xirr to each leaderboard entry, with twrRank and xirrRank:
+     * the entry's place when ranked by that figure (entries without it last)
+     */
+    static mergeLeaderboardReturns(entries, returns) {
+        const byEmail = new Map((returns || []).map(metrics => [String(metrics.email).toLowerCase(), metrics]));
+        const merged = entries.map(entry => {
+            const metrics = byEmail.get(String(entry.email).toLowerCase());
+            return {
+                ...entry,
+                twr: metrics?.timeWeightedReturn ?? null,
+                xirr: metrics?.xirr ?? null
+            };
+        });
+
+        ['twr', 'xirr'].forEach(field => {
+            PortfolioReturns.rankBy(merged, field).forEach((entry, index) => {
+                entry[`${field}Rank`] = entry[field] === null ? null : index + 1;
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * Entries ordered best first by a returns field, entries without it last
+     */
+    static rankBy(entries, field) {
+        return [...entries].sort((a, b) => {
+            if (a[field] === null) return b[field] === null ? 0 : 1;
+            if (b[field] === null) return -1;
+            return b[field] - a[field];
+        });
+    }
+}
+
+// Initialize the returns card when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('twrReturn')) {
+        window.portfolioReturns = new PortfolioReturns({
+            gameType: window.dashboard ? window.dashboard.getGameType() : ''
+        });
+        window.portfolioReturns.init();
+    }
+});
+
+window.PortfolioReturns = PortfolioReturns;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioReturns;
+}
@@ -0,0 +1,183 @@
+/**
+ * Portfolio Risk
+ * Risk metrics of the daily portfolio snapshots (api/Risk): annualized
+ * volatility, max drawdown, Sharpe and Sortino ratios and beta against
+ * NIFTY 50. Renders the dashboard risk card and supplies the leaderboard's
+ * risk column; the metrics themselves are calculated on the server.
+ */
+
+const RISK_METRICS = [
+    {
+        key: 'volatility',
+        label: 'Volatility',
+        suffix: '%',
+        description: 'Annualized standard deviation of daily returns. Higher means the portfolio value swings more from day to day.'
+    },
+    {
+        key: 'maxDrawdown',
+        label: 'Max Drawdown',
+        suffix: '%',
+        description: 'Largest fall from a peak portfolio value to a later low. Shows the worst loss you would have sat through.'
+    },
+    {
+        key: 'sharpe',
+        label: 'Sharpe',
+        suffix: '',
+        description: 'Annualized return above the risk-free rate per unit of volatility. Above 1 is good; below 0 means cash did better.'
+    },
+    {
+        key: 'sortino',
+        label: 'Sortino',
+        suffix: '',
+        description: 'Like Sharpe, but only counts downside volatility, so large gains are not penalized.'
+    },
+    {
+        key: 'beta',
+        label: 'Beta',
+        suffix: '',
+        description: 'Sensitivity to the benchmark. 1 moves with the index, above 1 amplifies its moves, below 1 dampens them.'
+    }
+];
+
+class PortfolioRisk {
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.endpoint = options.endpoint || '/api/Risk';
+        this.gameType = options.gameType || '';
+        this.metrics = null;
+    }
+
+    init() {
+        return this.load();
+    }
+
+    async load() {
+        try {
+            this.metrics = await this.fetchRisk();
+        } catch (error) {
+            console.warn('Portfolio risk unavailable', error);
+            this.metrics = null;
+        }
+        this.render();
+    }
+
+    fetchRisk() {
+        return this.request(this.endpoint);
+    }
+
+    /**
+     * Every participant's metrics, for the leaderboard
+     */
+    fetchLeaderboardRisk() {
+        return this.request(`${this.endpoint}/leaderboard`);
+    }
+
+    request(url) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url,
+                type: 'GET',
+                data: { gameType: this.gameType },
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => resolve(response?.data || null),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load risk metrics'))
+            });
+        });
+    }
+
+    /**
+     * Attaches each participant's metrics to their leaderboard entry as entry.risk
+     */
+    static mergeLeaderboardRisk(entries, risk) {
+        const byEmail = new Map((risk || []).map(metrics => [String(metrics.email).toLowerCase(), metrics]));
+        return entries.map(entry => ({
+            ...entry,
+            risk: byEmail.get(String(entry.email).toLowerCase()) || null
+        }));
+    }
+
+    static formatMetric(metric, value) {
+        if (value === null || value === undefined) return '—';
+        return `${Number(value).toFixed(2)}${metric.suffix}`;
+    }
+
+    static getMetric(key) {
+        return RISK_METRICS.find(metric => metric.key === key);
+    }
+
+    /**
+     * Compact Sharpe / drawdown / beta summary for a leaderboard row
+     */
+    static getLeaderboardCellHTML(risk) {
+        if (!risk || risk.sharpe === null || risk.sharpe === undefined) {
+            return '<span class="risk-unavailable" title="Needs more daily snapshots">—</span>';
+        }
+
+        return ['sharpe', 'maxDrawdown', 'beta'].map(key => {
+            const metric = PortfolioRisk.getMetric(key);
+            return `
+                <span class="risk-chip" data-bs-toggle="tooltip" title="${metric.description}">
+                    <span class="risk-chip-label">${metric.label}</span>
+                    ${PortfolioRisk.formatMetric(metric, risk[key])}
+                </span>
+            `;
+        }).join('');
+    }
+
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        const emptyState = document.getElementById('riskEmpty');
+        const hasMetrics = this.metrics && this.metrics.volatility !== null && this.metrics.volatility !== undefined;
+        if (emptyState) emptyState.style.display = hasMetrics ? 'none' : '';
+
+        container.innerHTML = hasMetrics ? RISK_METRICS.map(metric => this.getTileHTML(metric)).join('') : '';
+
+        const period = document.getElementById('riskPeriod');
+        if (period) {
+            period.textContent = hasMetrics
+                ? `${this.metrics.observations} daily returns · beta vs ${this.metrics.benchmark}`
+                : '';
+        }
+
+        this.initTooltips(container);
+    }
+
+    getTileHTML(metric) {
+        return `
+            <div class="risk-metric" data-metric="${metric.key}" tabindex="0" data-bs-toggle="tooltip" title="${metric.description}">
+                <div class="risk-metric-label">
+                    ${metric.label}
+                    <i class="fas fa-info-circle" aria-hidden="true"></i>
+                </div>
+                <div class="risk-metric-value">${PortfolioRisk.formatMetric(metric, this.metrics[metric.key])}</div>
+            </div>
+        `;
+    }
+
+    initTooltips(container) {
+        if (!window.bootstrap?.Tooltip) return;
+        container.querySelectorAll('[data-bs-toggle="tooltip"]').forEach(element => {
+            window.bootstrap.Tooltip.getOrCreateInstance(element);
+        });
+    }
+}
+
+// Initialize the risk card when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('riskMetrics')) {
+        window.portfolioRisk = new PortfolioRisk('riskMetrics', {
+            gameType: window.dashboard ? window.dashboard.getGameType() : ''
+        });
+        window.portfolioRisk.init();
+    }
+});
+
+window.PortfolioRisk = PortfolioRisk;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioRisk;
+}
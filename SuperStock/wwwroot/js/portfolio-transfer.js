@@ -0,0 +1,308 @@
+/**
+ * Portfolio Transfer
+ * Exports the holdings shown in the holdings table, the order history
+ * (api/OrderHistory) and the watchlist (api/Watchlist) as CSV or JSON, and
+ * imports a broker holdings statement into the practice portfolio
+ * (api/PortfolioImport). The server validates every row of the statement and
+ * imports nothing unless all of them pass; this class shows its error report.
+ */
+
+const EXPORT_COLUMNS = {
+    holdings: [
+        { key: 'symbol', header: 'Symbol', value: holding => holding.Name },
+        { key: 'quantity', header: 'Quantity', value: holding => holding.Count },
+        { key: 'averagePrice', header: 'Average Price', value: holding => holding.AveragePrice },
+        { key: 'ltp', header: 'LTP', value: holding => holding.Price },
+        { key: 'currentValue', header: 'Current Value', value: holding => holding.Price * holding.Count },
+        { key: 'profitLoss', header: 'P&L', value: holding => holding.ProfitLoss },
+        { key: 'profitLossPercent', header: 'P&L %', value: holding => holding.ProfitLossPercent }
+    ],
+    trades: [
+        { key: 'timestamp', header: 'Date', value: trade => trade.timestamp },
+        { key: 'symbol', header: 'Symbol', value: trade => trade.symbol },
+        { key: 'side', header: 'Side', value: trade => trade.side },
+        { key: 'quantity', header: 'Quantity', value: trade => trade.quantity },
+        { key: 'price', header: 'Price', value: trade => trade.price },
+        { key: 'orderType', header: 'Order Type', value: trade => trade.orderType },
+        { key: 'productType', header: 'Product', value: trade => trade.productType },
+        { key: 'status', header: 'Status', value: trade => trade.status },
+        { key: 'fees', header: 'Charges', value: trade => trade.fees },
+        { key: 'realizedPnl', header: 'Realized P&L', value: trade => trade.realizedPnl },
+        { key: 'rejectionReason', header: 'Rejection Reason', value: trade => trade.rejectionReason }
+    ],
+    watchlist: [
+        { key: 'symbol', header: 'Symbol', value: stock => stock.name },
+        { key: 'ltp', header: 'LTP', value: stock => stock.price },
+        { key: 'open', header: 'Open', value: stock => stock.open },
+        { key: 'high', header: 'High', value: stock => stock.high },
+        { key: 'low', header: 'Low', value: stock => stock.low },
+        { key: 'previousClose', header: 'Previous Close', value: stock => stock.close }
+    ]
+};
+
+class PortfolioTransfer {
+    constructor(options = {}) {
+        this.gameType = options.gameType || '';
+        this.endpoints = {
+            trades: '/api/OrderHistory',
+            watchlist: '/api/Watchlist',
+            import: '/api/PortfolioImport'
+        };
+        // Idempotency key of the chosen file, kept until the server has answered
+        this.pendingImport = null;
+    }
+
+    init() {
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('[data-export]').forEach(item => {
+            item.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.export(item.dataset.export, item.dataset.format);
+            });
+        });
+
+        const form = document.getElementById('portfolioImportForm');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                const file = document.getElementById('portfolioImportFile')?.files?.[0];
+                this.importFile(file);
+            });
+        }
+    }
+
+    /**
+     * Downloads one dataset (holdings, trades or watchlist) as csv or json
+     */
+    async export(dataset, format = 'csv') {
+        const columns = EXPORT_COLUMNS[dataset];
+        if (!columns) return;
+
+        let rows;
+        try {
+            rows = await this.getRows(dataset);
+        } catch (error) {
+            this.showNotification(`Failed to export ${dataset}: ${error.message}`, 'error');
+            return;
+        }
+
+        if (rows.length === 0) {
+            this.showNotification(`There are no ${dataset} to export`, 'info');
+            return;
+        }
+
+        const content = format === 'json'
+            ? JSON.stringify(PortfolioTransfer.toRecords(columns, rows), null, 2)
+            : PortfolioTransfer.toCsv(columns, rows);
+        const type = format === 'json' ? 'application/json' : 'text/csv';
+        this.download(`superstock-${dataset}-${new Date().toISOString().slice(0, 10)}.${format === 'json' ? 'json' : 'csv'}`, content, type);
+    }
+
+    getRows(dataset) {
+        if (dataset === 'holdings') {
+            return Promise.resolve(window.dashboard?.currentHoldings || []);
+        }
+        if (dataset === 'trades') {
+            // The practice game is stored with an empty game type
+            return this.request(this.endpoints.trades, { GameType: this.gameType || 'PRACTICE' });
+        }
+        return this.request(this.endpoints.watchlist);
+    }
+
+    request(url, data = null) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url,
+                type: 'GET',
+                data,
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => resolve(response?.data || []),
+                error: (xhr, status, error) => reject(new Error(xhr.responseJSON?.message || error || 'Request failed'))
+            });
+        });
+    }
+
+    /**
+     * Rows as plain objects keyed by column, for JSON export
+     */
+    static toRecords(columns, rows) {
+        return rows.map(row => {
+            const record = {};
+            columns.forEach(column => {
+                const value = column.value(row);
+                record[column.key] = value === undefined ? null : value;
+            });
+            return record;
+        });
+    }
+
+    static toCsv(columns, rows) {
+        const lines = [columns.map(column => PortfolioTransfer.escapeCsvCell(column.header)).join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(column => PortfolioTransfer.escapeCsvCell(column.value(row))).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quotes cells with separators or quotes, and neutralizes text a
+     * spreadsheet would otherwise run as a formula
+     */
+    static escapeCsvCell(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+
+        let text = String(value);
+        if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Uploads a holdings statement and renders the outcome. A retry of the same
+     * file after a timeout or server error reuses its idempotency key, so the
+     * server imports it at most once.
+     */
+    importFile(file) {
+        if (!file) {
+            this.renderImportResult({ success: false, message: 'Choose a holdings CSV to import' });
+            return Promise.resolve();
+        }
+
+        if (this.pendingImport?.file !== file) {
+            this.pendingImport = { file, key: this.createIdempotencyKey() };
+        }
+
+        const formData = new FormData();
+        formData.append('file', file);
+        this.setImporting(true);
+
+        return new Promise((resolve) => {
+            $.ajax({
+                url: this.endpoints.import,
+                type: 'POST',
+                data: formData,
+                headers: { 'Idempotency-Key': this.pendingImport.key },
+                processData: false,
+                contentType: false,
+                dataType: 'json',
+                timeout: 30000,
+                success: (response) => {
+                    this.pendingImport = null;
+                    this.renderImportResult(response);
+                    if (response?.success && window.dashboard) {
+                        window.dashboard.refreshAfterExecution();
+                    }
+                },
+                error: (xhr) => {
+                    // Only an unanswered or failed request may have to be sent again
+                    if (xhr.status > 0 && xhr.status < 500) {
+                        this.pendingImport = null;
+                    }
+                    this.renderImportResult(xhr.responseJSON || { success: false, message: 'Import failed. Please try again.' });
+                },
+                complete: () => {
+                    this.setImporting(false);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Key identifying one import; the server imports each key at most once
+     */
+    createIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `import-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    setImporting(importing) {
+        const button = document.getElementById('portfolioImportSubmit');
+        if (button) button.disabled = importing;
+    }
+
+    renderImportResult(response) {
+        const container = document.getElementById('portfolioImportResult');
+        if (!container) return;
+
+        const result = response?.data || null;
+        const errors = result?.errors || [];
+        const details = result ? `${result.rows} row(s) read as a ${this.escapeHtml(result.format)} statement. ` : '';
+
+        container.innerHTML = `
+            <div class="alert ${response?.success ? 'alert-success' : 'alert-danger'}" role="status">
+                ${details}${this.escapeHtml(response?.message || '')}
+            </div>
+            ${errors.length > 0 ? `
+                <table class="table table-sm import-errors">
+                    <thead>
+                        <tr><th scope="col">Row</th><th scope="col">Symbol</th><th scope="col">Problem</th></tr>
+                    </thead>
+                    <tbody>
+                        ${errors.map(error => `
+                            <tr>
+                                <td>${error.row > 0 ? error.row : 'File'}</td>
+                                <td>${this.escapeHtml(error.symbol || '—')}</td>
+                                <td>${this.escapeHtml(error.message)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+        `;
+    }
+
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info') {
+        if (window.NotificationManager) {
+            window.NotificationManager.show(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+}
+
+// Initialize export and import when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('[data-export]') || document.getElementById('portfolioImportForm')) {
+        window.portfolioTransfer = new PortfolioTransfer({
+            gameType: window.dashboard ? window.dashboard.getGameType() : ''
+        });
+        window.portfolioTransfer.init();
+    }
+});
+
+window.PortfolioTransfer = PortfolioTransfer;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioTransfer;
+}
@@ -0,0 +1,568 @@
+/**
+ * Rebalancer
+ * Target-weight rebalancing for the dashboard. Targets are percentages of
+ * total value per symbol (the rest is cash) and are kept per game in
+ * localStorage. From the holdings and funds loaded by DashboardDataManager,
+ * current prices, market lots (api/AllStocks) and the fee engine it proposes
+ * the sells and buys that bring the portfolio closest to the targets, which
+ * can be reviewed and placed as a batch through OrderBook.executeOrder.
+ */
+
+class Rebalancer {
+    constructor(options = {}) {
+        this.dataManager = options.dataManager || null;
+        this.orderBook = options.orderBook || window.orderBook || null;
+        this.feeEngine = options.feeEngine || window.feeEngine || null;
+        this.gameType = options.gameType || '';
+        this.userId = options.userId || 'current-user';
+        this.storage = options.storage || window.localStorage;
+        this.endpoints = {
+            prices: '/api/StockData/prices',
+            stocks: '/api/AllStocks'
+        };
+        this.holdings = [];
+        this.cash = 0;
+        this.targets = {};
+        this.lotSizes = {};
+        this.proposal = null;
+        this.submitting = false;
+    }
+
+    get storageKey() {
+        return `rebalanceTargets-${this.gameType || 'PRACTICE'}`;
+    }
+
+    init() {
+        this.bindEvents();
+        return this.load();
+    }
+
+    bindEvents() {
+        document.getElementById('rebalanceAddTarget')?.addEventListener('click', () => {
+            this.targets = { ...this.readTargets(), '': '' };
+            this.renderTargets();
+        });
+
+        document.getElementById('rebalanceTargets')?.addEventListener('click', (event) => {
+            const remove = event.target.closest('[data-remove-target]');
+            if (!remove) return;
+            remove.closest('.rebalance-target')?.remove();
+            this.updateCashWeight();
+        });
+
+        document.getElementById('rebalanceTargets')?.addEventListener('input', () => this.updateCashWeight());
+
+        const form = document.getElementById('rebalanceForm');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.calculate();
+            });
+        }
+
+        document.getElementById('rebalanceSubmit')?.addEventListener('click', () => this.submit());
+    }
+
+    /**
+     * Loads the portfolio and funds. Without saved targets the current
+     * weights are offered as a starting point.
+     */
+    async load() {
+        try {
+            const [portfolio, funds] = await Promise.all([
+                this.dataManager.loadPortfolioData(this.userId, this.gameType),
+                this.dataManager.getAvailableFunds(this.gameType)
+            ]);
+            this.cash = parseFloat(funds?.amount) || 0;
+            this.holdings = (portfolio?.holdings || []).map(holding => ({
+                symbol: String(holding.Name || '').replace('.NS', '').toUpperCase(),
+                quantity: holding.Count,
+                price: holding.Price,
+                value: holding.currentValue ?? holding.Price * holding.Count
+            }));
+        } catch (error) {
+            console.warn('Rebalancer unavailable', error);
+            this.holdings = [];
+            this.cash = 0;
+        }
+
+        this.targets = this.loadTargets() || this.getCurrentWeights();
+        this.proposal = null;
+        this.renderTargets();
+        this.renderProposal();
+    }
+
+    loadTargets() {
+        try {
+            const saved = JSON.parse(this.storage?.getItem(this.storageKey) || 'null');
+            return saved && typeof saved === 'object' ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveTargets(targets) {
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(targets));
+        } catch (error) {
+            console.warn('Could not save rebalance targets', error);
+        }
+    }
+
+    /**
+     * Current weight of each long holding, rounded to whole percents
+     */
+    getCurrentWeights() {
+        const total = this.cash + this.holdings.reduce((sum, holding) => sum + holding.value, 0);
+        if (!(total > 0)) return {};
+
+        return Object.fromEntries(this.holdings
+            .filter(holding => holding.quantity > 0)
+            .map(holding => [holding.symbol, Math.round((holding.value / total) * 100)]));
+    }
+
+    readTargets() {
+        const targets = {};
+        document.querySelectorAll('#rebalanceTargets .rebalance-target').forEach(row => {
+            const symbol = row.querySelector('[data-target-symbol]')?.value.trim().toUpperCase() || '';
+            const weight = row.querySelector('[data-target-weight]')?.value ?? '';
+            if (symbol || weight !== '') targets[symbol] = weight;
+        });
+        return targets;
+    }
+
+    /**
+     * Target weights as numbers keyed by upper-case symbol. Throws when a
+     * symbol is missing or repeated, a weight is outside 0-100, or the
+     * weights add up to more than 100%.
+     */
+    static parseTargets(targets) {
+        const parsed = {};
+        Object.entries(targets || {}).forEach(([key, value]) => {
+            const symbol = String(key).trim().toUpperCase();
+            const weight = Number(value);
+            if (!symbol) throw new Error('Enter a symbol for every target');
+            if (value === '' || !Number.isFinite(weight) || weight < 0 || weight > 100) {
+                throw new Error(`Target for ${symbol} must be between 0 and 100%`);
+            }
+            if (symbol in parsed) throw new Error(`${symbol} has more than one target`);
+            parsed[symbol] = weight;
+        });
+
+        const total = Object.values(parsed).reduce((sum, weight) => sum + weight, 0);
+        if (total > 100 + 1e-9) {
+            throw new Error(`Targets add up to ${total.toFixed(2)}%, which is more than 100%`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Orders that move the portfolio towards the target weights. Quantities
+     * are whole market lots, except that a target of 0 sells the whole
+     * holding. Sells come first and their proceeds, net of charges, fund the
+     * buys; a buy that does not fit the cash is cut down a lot at a time.
+     * Holdings without a target are sold; intraday shorts are left alone.
+     */
+    static computeOrders({ holdings = [], cash = 0, targets = {}, prices = {}, lotSizes = {}, feeEngine = null }) {
+        const fees = (side, quantity, price) => feeEngine ? feeEngine.calculate({ side, quantity, price }).total : 0;
+        const totalValue = cash + holdings.reduce((sum, holding) => sum + holding.value, 0);
+        const warnings = [];
+
+        holdings.filter(holding => holding.quantity < 0 && holding.symbol in targets).forEach(holding => {
+            warnings.push(`${holding.symbol} is an intraday short and is left as it is`);
+        });
+
+        const longs = holdings.filter(holding => holding.quantity > 0);
+        const symbols = [...new Set([...longs.map(holding => holding.symbol), ...Object.keys(targets)])]
+            .filter(symbol => !holdings.some(holding => holding.symbol === symbol && holding.quantity < 0));
+
+        const positions = [];
+        symbols.forEach(symbol => {
+            const holding = longs.find(h => h.symbol === symbol);
+            const price = holding ? holding.price : prices[symbol];
+            if (!(price > 0)) {
+                warnings.push(`No price is available for ${symbol}`);
+                return;
+            }
+            const targetWeight = targets[symbol] || 0;
+            positions.push({
+                symbol,
+                price,
+                held: holding ? holding.quantity : 0,
+                lot: Math.max(1, parseInt(lotSizes[symbol], 10) || 1),
+                currentValue: holding ? holding.value : 0,
+                targetWeight,
+                targetValue: (totalValue * targetWeight) / 100
+            });
+        });
+
+        const orders = [];
+        let cashAfter = cash;
+
+        positions.filter(p => p.currentValue > p.targetValue).forEach(p => {
+            const lots = Math.floor((p.currentValue - p.targetValue) / p.price / p.lot);
+            const quantity = p.targetWeight === 0 ? p.held : Math.min(p.held, lots * p.lot);
+            if (quantity <= 0) return;
+
+            const charges = fees('sell', quantity, p.price);
+            cashAfter += quantity * p.price - charges;
+            orders.push({ ...p, side: 'SELL', quantity, fees: charges });
+        });
+
+        // Largest shortfall first, so the cash goes where the gap is biggest
+        positions
+            .filter(p => p.targetValue > p.currentValue)
+            .sort((a, b) => (b.targetValue - b.currentValue) - (a.targetValue - a.currentValue))
+            .forEach(p => {
+                const wanted = Math.floor((p.targetValue - p.currentValue) / p.price / p.lot) * p.lot;
+                let quantity = wanted;
+                // Same check as the server: cost plus charges below the available funds
+                while (quantity > 0 && quantity * p.price + fees('buy', quantity, p.price) >= cashAfter) {
+                    quantity -= p.lot;
+                }
+                if (quantity < wanted) {
+                    warnings.push(quantity > 0
+                        ? `${p.symbol} is cut to ${quantity} shares to fit the available funds`
+                        : `Not enough funds to buy ${p.symbol}`);
+                }
+                if (quantity <= 0) return;
+
+                const charges = fees('buy', quantity, p.price);
+                cashAfter -= quantity * p.price + charges;
+                orders.push({ ...p, side: 'BUY', quantity, fees: charges });
+            });
+
+        const totalFees = orders.reduce((sum, order) => sum + order.fees, 0);
+        const projectedTotal = totalValue - totalFees;
+        const weight = (value, total) => total > 0 ? (value / total) * 100 : 0;
+
+        return {
+            totalValue,
+            cashAfter,
+            totalFees,
+            warnings,
+            orders: orders.map(order => ({
+                symbol: order.symbol,
+                side: order.side,
+                quantity: order.quantity,
+                price: order.price,
+                lot: order.lot,
+                value: order.quantity * order.price,
+                fees: order.fees,
+                currentWeight: weight(order.currentValue, totalValue),
+                targetWeight: order.targetWeight,
+                projectedWeight: weight((order.held + (order.side === 'BUY' ? order.quantity : -order.quantity)) * order.price, projectedTotal)
+            }))
+        };
+    }
+
+    /**
+     * Validates and saves the targets, fetches prices and lots, and renders
+     * the proposed orders
+     */
+    async calculate() {
+        let targets;
+        try {
+            targets = Rebalancer.parseTargets(this.readTargets());
+        } catch (error) {
+            this.showError(error.message);
+            return null;
+        }
+
+        this.showError('');
+        this.targets = targets;
+        this.saveTargets(targets);
+
+        const symbols = [...new Set([...this.holdings.map(h => h.symbol), ...Object.keys(targets)])];
+        const unpriced = symbols.filter(symbol => !this.holdings.some(h => h.symbol === symbol));
+
+        try {
+            const [prices] = await Promise.all([
+                this.fetchPrices(unpriced),
+                ...symbols.filter(symbol => !(symbol in this.lotSizes)).map(symbol => this.fetchLotSize(symbol))
+            ]);
+
+            this.proposal = Rebalancer.computeOrders({
+                holdings: this.holdings,
+                cash: this.cash,
+                targets,
+                prices,
+                lotSizes: this.lotSizes,
+                feeEngine: this.feeEngine
+            });
+            this.proposal.orders.forEach(order => { order.selected = true; });
+        } catch (error) {
+            this.showError(`Could not calculate the orders: ${error.message}`);
+            this.proposal = null;
+        }
+
+        this.renderProposal();
+        return this.proposal;
+    }
+
+    fetchPrices(symbols) {
+        if (symbols.length === 0) return Promise.resolve({});
+
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: this.endpoints.prices,
+                type: 'GET',
+                data: { symbols: symbols.join(',') },
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => {
+                    const prices = {};
+                    (response?.data || []).forEach(quote => {
+                        prices[String(quote.name || '').replace('.NS', '').toUpperCase()] = quote.price;
+                    });
+                    resolve(prices);
+                },
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load prices'))
+            });
+        });
+    }
+
+    /**
+     * Market lot from the stock list; 1 when the symbol is not listed
+     */
+    fetchLotSize(symbol) {
+        return new Promise((resolve) => {
+            $.ajax({
+                url: this.endpoints.stocks,
+                type: 'GET',
+                data: { item: symbol },
+                timeout: 15000,
+                success: (data) => {
+                    let stocks = [];
+                    try {
+                        stocks = JSON.parse(data).Value || [];
+                    } catch (error) {
+                        stocks = [];
+                    }
+                    const stock = stocks.find(s => String(s.Symbol).toUpperCase() === symbol);
+                    this.lotSizes[symbol] = Math.max(1, parseInt(stock?.MarketLot, 10) || 1);
+                    resolve(this.lotSizes[symbol]);
+                },
+                error: () => {
+                    this.lotSizes[symbol] = 1;
+                    resolve(1);
+                }
+            });
+        });
+    }
+
+    /**
+     * Places the selected orders one at a time, sells first so their proceeds
+     * are in the account before the buys. A rejected order does not stop the
+     * rest; each row shows its own outcome.
+     */
+    async submit() {
+        const orderBook = this.orderBook || window.orderBook;
+        if (!this.proposal || this.submitting || !orderBook) return;
+
+        this.readSelection();
+        const orders = this.proposal.orders.filter(order => order.selected);
+        if (orders.length === 0) {
+            this.showNotification('Select at least one order to place', 'info');
+            return;
+        }
+
+        this.submitting = true;
+        this.renderProposal();
+
+        let placed = 0;
+        for (const order of [...orders].sort((a, b) => (a.side === 'SELL' ? 0 : 1) - (b.side === 'SELL' ? 0 : 1))) {
+            order.status = 'pending';
+            this.renderProposal();
+            try {
+                await orderBook.executeOrder({
+                    symbol: order.symbol,
+                    side: order.side === 'SELL' ? 'sell' : 'buy',
+                    quantity: order.quantity,
+                    price: order.price,
+                    orderType: 'REBALANCE',
+                    gameType: this.gameType
+                });
+                order.status = 'filled';
+                placed++;
+            } catch (error) {
+                order.status = 'rejected';
+                order.error = error.message;
+            }
+        }
+
+        this.submitting = false;
+        this.renderProposal();
+
+        const failed = orders.length - placed;
+        this.showNotification(
+            failed === 0 ? `Placed ${placed} rebalancing order(s)` : `Placed ${placed} of ${orders.length} rebalancing orders; ${failed} rejected`,
+            failed === 0 ? 'success' : 'warning'
+        );
+        if (placed > 0 && window.dashboard) {
+            window.dashboard.refreshAfterExecution();
+        }
+    }
+
+    readSelection() {
+        document.querySelectorAll('#rebalanceOrders [data-order-index]').forEach(checkbox => {
+            const order = this.proposal?.orders[Number(checkbox.dataset.orderIndex)];
+            if (order) order.selected = checkbox.checked;
+        });
+    }
+
+    renderTargets() {
+        const container = document.getElementById('rebalanceTargets');
+        if (!container) return;
+
+        const entries = Object.entries(this.targets);
+        container.innerHTML = entries.map(([symbol, weight]) => `
+            <div class="rebalance-target">
+                <input type="text" class="form-control form-control-sm" data-target-symbol value="${this.escapeHtml(symbol)}"
+                       placeholder="Symbol" aria-label="Symbol" autocomplete="off" />
+                <input type="number" class="form-control form-control-sm" data-target-weight value="${this.escapeHtml(String(weight))}"
+                       min="0" max="100" step="0.5" placeholder="%" aria-label="Target weight (%)" />
+                <button type="button" class="btn btn-link btn-sm" data-remove-target aria-label="Remove target">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+        `).join('');
+        this.updateCashWeight();
+    }
+
+    updateCashWeight() {
+        const element = document.getElementById('rebalanceCashWeight');
+        if (!element) return;
+
+        const total = Object.values(this.readTargets()).reduce((sum, weight) => sum + (Number(weight) || 0), 0);
+        element.textContent = `${(100 - total).toFixed(2)}%`;
+        element.classList.toggle('negative', total > 100);
+    }
+
+    renderProposal() {
+        const container = document.getElementById('rebalanceOrders');
+        const submit = document.getElementById('rebalanceSubmit');
+        if (!container) return;
+
+        const proposal = this.proposal;
+        if (submit) {
+            submit.style.display = proposal?.orders.length ? '' : 'none';
+            submit.disabled = this.submitting;
+        }
+        if (!proposal) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const currency = (value) => `₹${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        const percent = (value) => `${value.toFixed(2)}%`;
+        const warnings = proposal.warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('');
+
+        if (proposal.orders.length === 0) {
+            container.innerHTML = `
+                <p class="rebalance-summary">The portfolio is already within one lot of every target.</p>
+                ${warnings ? `<ul class="rebalance-warnings">${warnings}</ul>` : ''}
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="table table-sm rebalance-table">
+                <thead>
+                    <tr>
+                        <th scope="col"><span class="visually-hidden">Include</span></th>
+                        <th scope="col">Order</th>
+                        <th scope="col">Value</th>
+                        <th scope="col">Charges</th>
+                        <th scope="col">Weight now</th>
+                        <th scope="col">Target</th>
+                        <th scope="col">After</th>
+                        <th scope="col">Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${proposal.orders.map((order, index) => `
+                        <tr class="rebalance-order ${order.side === 'BUY' ? 'buy' : 'sell'}">
+                            <td><input type="checkbox" class="form-check-input" data-order-index="${index}"
+                                       ${order.selected ? 'checked' : ''} ${this.submitting || order.status ? 'disabled' : ''}
+                                       aria-label="Include ${order.side} ${this.escapeHtml(order.symbol)}" /></td>
+                            <td>${order.side} ${order.quantity} ${this.escapeHtml(order.symbol)} @ ${currency(order.price)}${order.lot > 1 ? ` <span class="rebalance-lot">lot ${order.lot}</span>` : ''}</td>
+                            <td>${currency(order.value)}</td>
+                            <td>${currency(order.fees)}</td>
+                            <td>${percent(order.currentWeight)}</td>
+                            <td>${percent(order.targetWeight)}</td>
+                            <td>${percent(order.projectedWeight)}</td>
+                            <td class="rebalance-status ${order.status || ''}"${order.error ? ` title="${this.escapeHtml(order.error)}"` : ''}>${this.getStatusLabel(order.status)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="rebalance-summary">
+                Estimated charges ${currency(proposal.totalFees)} · Cash after ${currency(proposal.cashAfter)}
+            </p>
+            ${warnings ? `<ul class="rebalance-warnings">${warnings}</ul>` : ''}
+        `;
+    }
+
+    getStatusLabel(status) {
+        switch (status) {
+            case 'pending':
+                return 'Placing…';
+            case 'filled':
+                return 'Filled';
+            case 'rejected':
+                return 'Rejected';
+            default:
+                return '—';
+        }
+    }
+
+    showError(message) {
+        const element = document.getElementById('rebalanceError');
+        if (!element) return;
+
+        element.textContent = message;
+        element.style.display = message ? '' : 'none';
+    }
+
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info') {
+        if (window.NotificationManager) {
+            window.NotificationManager.show(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+}
+
+// Initialize the rebalancer when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('rebalanceForm')) {
+        const dataManager = window.dashboard?.dataManager
+            || (window.DashboardDataManager ? new window.DashboardDataManager() : null);
+        if (!dataManager) return;
+
+        window.rebalancer = new Rebalancer({
+            dataManager,
+            gameType: window.dashboard ? window.dashboard.getGameType() : '',
+            userId: window.dashboard ? window.dashboard.getCurrentUserId() : undefined
+        });
+        window.rebalancer.init();
+    }
+});
+
+window.Rebalancer = Rebalancer;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Rebalancer;
+}
@@ -0,0 +1,301 @@
+/**
+ * SIP Manager
+ * SIP plans page: every plan with its schedule, next instalment and totals,
+ * with edit, pause/resume and delete, plus the instalment history.
+ * Plans are created from the stock modal; data comes from SipPlans.
+ */
+
+class SipManager {
+    constructor(options = {}) {
+        this.sipPlans = options.sipPlans || window.sipPlans;
+        this.plans = [];
+        this.executions = [];
+        this.historyPlanId = null;
+        this.editingPlanId = null;
+        this.isLoading = false;
+    }
+
+    init() {
+        this.bindEvents();
+        this.load();
+    }
+
+    bindEvents() {
+        document.getElementById('refreshSip')?.addEventListener('click', () => this.load());
+
+        document.getElementById('sipPlansBody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleAction(button.dataset.action, button.dataset.planId);
+            }
+        });
+
+        document.getElementById('sipEditForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEdit();
+        });
+        document.getElementById('sipEditCancel')?.addEventListener('click', () => this.closeEdit());
+        document.getElementById('sipEditFrequency')?.addEventListener('change', () => this.toggleEditDayFields());
+
+        document.getElementById('sipHistoryShowAll')?.addEventListener('click', () => this.showHistory(null));
+    }
+
+    async load() {
+        if (this.isLoading) return;
+
+        this.isLoading = true;
+        try {
+            const [plans, executions] = await Promise.all([
+                this.sipPlans.getPlans(),
+                this.sipPlans.getExecutions(this.historyPlanId)
+            ]);
+            this.plans = plans || [];
+            this.executions = executions || [];
+            this.renderPlans();
+            this.renderExecutions();
+        } catch (error) {
+            console.error('Error loading SIP plans:', error);
+            this.showNotification('Failed to load SIP plans', 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async handleAction(action, planId) {
+        const plan = this.plans.find(p => p.id === planId);
+        if (!plan) return;
+
+        try {
+            switch (action) {
+                case 'edit':
+                    this.openEdit(plan);
+                    return;
+                case 'history':
+                    this.showHistory(planId);
+                    return;
+                case 'pause':
+                    await this.sipPlans.pausePlan(planId);
+                    this.showNotification(`SIP in ${plan.symbol} paused`, 'success');
+                    break;
+                case 'resume':
+                    await this.sipPlans.resumePlan(planId);
+                    this.showNotification(`SIP in ${plan.symbol} resumed`, 'success');
+                    break;
+                case 'delete':
+                    if (!window.confirm(`Delete the SIP in ${plan.symbol}? Shares already bought are kept.`)) return;
+                    await this.sipPlans.deletePlan(planId);
+                    if (this.editingPlanId === planId) this.closeEdit();
+                    this.showNotification(`SIP in ${plan.symbol} deleted`, 'success');
+                    break;
+                default:
+                    return;
+            }
+            await this.load();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Instalments of one plan, or of every plan when planId is null
+     */
+    async showHistory(planId) {
+        this.historyPlanId = planId;
+        const showAll = document.getElementById('sipHistoryShowAll');
+        if (showAll) showAll.style.display = planId ? 'inline-block' : 'none';
+
+        try {
+            this.executions = (await this.sipPlans.getExecutions(planId)) || [];
+            this.renderExecutions();
+        } catch (error) {
+            this.showNotification('Failed to load instalment history', 'error');
+        }
+    }
+
+    openEdit(plan) {
+        const form = document.getElementById('sipEditForm');
+        if (!form) return;
+
+        this.editingPlanId = plan.id;
+        document.getElementById('sipEditTitle').textContent = `Edit SIP in ${plan.symbol}`;
+        document.getElementById('sipEditAmount').value = plan.amount;
+        document.getElementById('sipEditFrequency').value = plan.frequency;
+        document.getElementById('sipEditDayOfWeek').value = plan.dayOfWeek || 1;
+        document.getElementById('sipEditDayOfMonth').value = plan.dayOfMonth || 1;
+        this.setEditFeedback('');
+        this.toggleEditDayFields();
+        form.style.display = 'block';
+        document.getElementById('sipEditAmount').focus();
+    }
+
+    closeEdit() {
+        this.editingPlanId = null;
+        const form = document.getElementById('sipEditForm');
+        if (form) form.style.display = 'none';
+    }
+
+    toggleEditDayFields() {
+        const frequency = document.getElementById('sipEditFrequency')?.value;
+        const dayOfWeekField = document.getElementById('sipEditDayOfWeekField');
+        const dayOfMonthField = document.getElementById('sipEditDayOfMonthField');
+        if (dayOfWeekField) dayOfWeekField.style.display = frequency === 'WEEKLY' ? '' : 'none';
+        if (dayOfMonthField) dayOfMonthField.style.display = frequency === 'MONTHLY' ? '' : 'none';
+    }
+
+    async saveEdit() {
+        const plan = this.plans.find(p => p.id === this.editingPlanId);
+        if (!plan) return;
+
+        const value = (id) => document.getElementById(id)?.value || '';
+        const changes = {
+            symbol: plan.symbol,
+            gameType: plan.gameType,
+            amount: value('sipEditAmount'),
+            frequency: value('sipEditFrequency'),
+            dayOfWeek: value('sipEditDayOfWeek'),
+            dayOfMonth: value('sipEditDayOfMonth')
+        };
+
+        const error = this.sipPlans.validate(changes);
+        if (error) {
+            this.setEditFeedback(error);
+            return;
+        }
+
+        try {
+            await this.sipPlans.updatePlan(plan.id, changes);
+            this.closeEdit();
+            this.showNotification(`SIP in ${plan.symbol} updated`, 'success');
+            await this.load();
+        } catch (requestError) {
+            this.setEditFeedback(requestError.message);
+        }
+    }
+
+    setEditFeedback(message) {
+        const feedback = document.getElementById('sipEditFeedback');
+        if (feedback) {
+            feedback.textContent = message;
+            feedback.className = message ? 'input-feedback invalid' : 'input-feedback';
+        }
+    }
+
+    renderPlans() {
+        const tableBody = document.getElementById('sipPlansBody');
+        const emptyState = document.getElementById('sipPlansEmpty');
+        if (!tableBody) return;
+
+        tableBody.innerHTML = this.plans.map(plan => this.getPlanRowHTML(plan)).join('');
+        if (emptyState) emptyState.style.display = this.plans.length === 0 ? 'block' : 'none';
+    }
+
+    getPlanRowHTML(plan) {
+        const active = plan.status === 'ACTIVE';
+        const id = this.escapeHtml(plan.id);
+
+        return `
+            <tr class="sip-row ${active ? '' : 'paused'}">
+                <td>
+                    <div class="stock-symbol">${this.escapeHtml(plan.symbol)}</div>
+                    <div class="order-type">${plan.gameType === 'C1' ? 'Competition' : 'Practice'}</div>
+                </td>
+                <td class="price">${this.formatCurrency(plan.amount)}</td>
+                <td>${this.sipPlans.describeSchedule(plan)}</td>
+                <td class="trade-time">${active && plan.nextRunAt ? this.formatTimestamp(plan.nextRunAt) : '—'}</td>
+                <td class="price">
+                    ${this.formatCurrency(plan.totalInvested)}
+                    <div class="order-type">${plan.totalQuantity || 0} shares · ${plan.executionCount || 0} instalments</div>
+                </td>
+                <td><span class="sip-status ${active ? 'active' : 'paused'}">${active ? 'Active' : 'Paused'}</span></td>
+                <td class="sip-actions">
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-action="edit" data-plan-id="${id}" title="Edit">
+                        <i class="fas fa-pen" aria-hidden="true"></i><span class="visually-hidden">Edit</span>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-action="${active ? 'pause' : 'resume'}" data-plan-id="${id}" title="${active ? 'Pause' : 'Resume'}">
+                        <i class="fas ${active ? 'fa-pause' : 'fa-play'}" aria-hidden="true"></i><span class="visually-hidden">${active ? 'Pause' : 'Resume'}</span>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-action="history" data-plan-id="${id}" title="Instalment history">
+                        <i class="fas fa-history" aria-hidden="true"></i><span class="visually-hidden">History</span>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete" data-plan-id="${id}" title="Delete">
+                        <i class="fas fa-trash" aria-hidden="true"></i><span class="visually-hidden">Delete</span>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    renderExecutions() {
+        const tableBody = document.getElementById('sipExecutionsBody');
+        const emptyState = document.getElementById('sipExecutionsEmpty');
+        if (!tableBody) return;
+
+        tableBody.innerHTML = this.executions.map(execution => this.getExecutionRowHTML(execution)).join('');
+        if (emptyState) emptyState.style.display = this.executions.length === 0 ? 'block' : 'none';
+    }
+
+    getExecutionRowHTML(execution) {
+        const filled = execution.status === 'FILLED';
+        const label = { FILLED: 'Filled', SKIPPED: 'Skipped' }[execution.status] || 'Rejected';
+
+        return `
+            <tr class="trade-row ${filled ? '' : 'rejected'}">
+                <td class="trade-time">${this.formatTimestamp(execution.executedAt)}</td>
+                <td><div class="stock-symbol">${this.escapeHtml(execution.symbol)}</div></td>
+                <td class="price">${this.formatCurrency(execution.amount)}</td>
+                <td class="quantity">${filled ? execution.quantity : '—'}</td>
+                <td class="price">${execution.price > 0 ? this.formatCurrency(execution.price) : '—'}</td>
+                <td class="price">${filled ? this.formatCurrency(execution.fees) : '—'}</td>
+                <td>
+                    <span class="trade-status ${filled ? 'filled' : 'rejected'}"
+                          ${filled ? '' : `title="${this.escapeHtml(execution.reason)}"`}>
+                        ${label}
+                    </span>
+                </td>
+            </tr>
+        `;
+    }
+
+    formatTimestamp(timestamp) {
+        return new Date(timestamp).toLocaleString('en-IN', {
+            day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    formatCurrency(amount) {
+        return '₹' + (amount || 0).toFixed(2);
+    }
+
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    showNotification(message, type = 'info') {
+        if (window.NotificationManager) {
+            window.NotificationManager.show(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+}
+
+// Initialize the SIP page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('sipPlansBody')) {
+        window.sipManager = new SipManager();
+        window.sipManager.init();
+    }
+});
+
+window.SipManager = SipManager;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SipManager;
+}
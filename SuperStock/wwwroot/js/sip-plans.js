@@ -0,0 +1,154 @@
+/**
+ * SIP Plans
+ * Client for systematic investment plans (api/Sip): a fixed rupee amount of
+ * one stock bought every trading day, week or month. The server executes due
+ * instalments as ordinary market buys; this class creates and manages the
+ * plans and describes their schedules for the stock modal and the SIP page.
+ */
+
+const SIP_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const SIP_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+class SipPlans {
+    constructor(options = {}) {
+        this.endpoint = '/api/Sip';
+        this.minAmount = options.minAmount || 100;
+    }
+
+    getPlans(gameType = null) {
+        return this.request('GET', '', gameType === null ? null : { gameType });
+    }
+
+    createPlan(plan) {
+        return this.request('POST', '', this.toRequest(plan));
+    }
+
+    updatePlan(id, plan) {
+        return this.request('PUT', `/${encodeURIComponent(id)}`, this.toRequest(plan));
+    }
+
+    pausePlan(id) {
+        return this.request('POST', `/${encodeURIComponent(id)}/pause`);
+    }
+
+    resumePlan(id) {
+        return this.request('POST', `/${encodeURIComponent(id)}/resume`);
+    }
+
+    deletePlan(id) {
+        return this.request('DELETE', `/${encodeURIComponent(id)}`);
+    }
+
+    getExecutions(planId = null) {
+        return this.request('GET', '/executions', planId ? { planId } : null);
+    }
+
+    /**
+     * Calls the SIP API and resolves with its data; rejects with the server's message
+     */
+    request(type, path, data = null) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: this.endpoint + path,
+                type,
+                data: type === 'GET' ? data : (data ? JSON.stringify(data) : null),
+                contentType: 'application/json',
+                dataType: 'json',
+                timeout: 10000,
+                success: (response) => resolve(response?.data ?? null),
+                error: (xhr, status, error) => {
+                    const response = xhr.responseJSON || {};
+                    const apiError = new Error(response.message || this.getValidationMessage(response) || error || 'SIP request failed');
+                    apiError.code = response.errorCode || null;
+                    apiError.status = xhr.status;
+                    reject(apiError);
+                }
+            });
+        });
+    }
+
+    /**
+     * First message of an ASP.NET model validation response
+     */
+    getValidationMessage(response) {
+        const errors = response?.errors ? Object.values(response.errors) : [];
+        return errors.length > 0 ? [].concat(errors[0])[0] : null;
+    }
+
+    toRequest(plan) {
+        const frequency = String(plan.frequency || '').toUpperCase();
+        return {
+            symbol: String(plan.symbol || '').replace('.NS', '').trim().toUpperCase(),
+            amount: parseFloat(plan.amount),
+            frequency,
+            dayOfWeek: frequency === 'WEEKLY' ? parseInt(plan.dayOfWeek) : null,
+            dayOfMonth: frequency === 'MONTHLY' ? parseInt(plan.dayOfMonth) : null,
+            gameType: plan.gameType || ''
+        };
+    }
+
+    /**
+     * Error message for an invalid plan, or null; mirrors the server's checks
+     */
+    validate(plan) {
+        const amount = parseFloat(plan.amount);
+        const frequency = String(plan.frequency || '').toUpperCase();
+        const dayOfWeek = parseInt(plan.dayOfWeek);
+        const dayOfMonth = parseInt(plan.dayOfMonth);
+
+        if (!plan.symbol) {
+            return 'Choose a stock for the SIP';
+        }
+        if (!(amount >= this.minAmount)) {
+            return `The amount per instalment must be at least ₹${this.minAmount}`;
+        }
+        if (!SIP_FREQUENCIES.includes(frequency)) {
+            return 'Choose how often to invest';
+        }
+        if (frequency === 'WEEKLY' && !(dayOfWeek >= 1 && dayOfWeek <= 5)) {
+            return 'Choose a weekday (Monday to Friday) for a weekly plan';
+        }
+        if (frequency === 'MONTHLY' && !(dayOfMonth >= 1 && dayOfMonth <= 28)) {
+            return 'Choose a day between 1 and 28 for a monthly plan';
+        }
+        return null;
+    }
+
+    /**
+     * Schedule in words, e.g. "Every Monday" or "5th of every month"
+     */
+    describeSchedule(plan) {
+        switch (String(plan.frequency || '').toUpperCase()) {
+            case 'WEEKLY':
+                return `Every ${SIP_WEEKDAYS[plan.dayOfWeek] || 'week'}`;
+            case 'MONTHLY':
+                return `${this.ordinal(plan.dayOfMonth)} of every month`;
+            default:
+                return 'Every trading day';
+        }
+    }
+
+    ordinal(day) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd', 21: 'st', 22: 'nd', 23: 'rd' };
+        return `${day}${suffixes[day] || 'th'}`;
+    }
+
+    /**
+     * Whole shares one instalment buys at the given price, charges included
+     */
+    estimateQuantity(amount, price, feeEngine = window.feeEngine) {
+        if (!(amount > 0) || !(price > 0)) return 0;
+        return feeEngine
+            ? feeEngine.maxAffordableQuantity(amount, price)
+            : Math.floor(amount / price);
+    }
+}
+
+// Shared client for the stock modal and the SIP page
+window.sipPlans = new SipPlans();
+window.SipPlans = SipPlans;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SipPlans;
+}
@@ -242,6 +242,7 @@ function ExecuteOrder(stock, price, quantity) {
     OrderData.Price = price;
     OrderData.Quantity = Number(quantity);
     OrderData.GameType = GetGameType();
+    OrderData.IdempotencyKey = currentOrderKey;
     $("#buyButton").prop("disabled", true);
     $("#sellButton").prop("disabled", true);
 
@@ -255,13 +256,30 @@ function ExecuteOrder(stock, price, quantity) {
             GetFunds();
         },
         error: function (res) {
+            var reason = res.responseJSON && res.responseJSON.message;
+            if (res.responseJSON && res.responseJSON.errorCode === "DUPLICATE_ORDER" && res.responseJSON.orderStatus === "FILLED") {
+                // A retry of an order that already went through
+                $('#myModal').modal('toggle');
+                GetFunds();
+                return;
+            }
             $("#buyButton").prop("disabled", false);
             $("#sellButton").prop("disabled", false);
-            alert("Order Execution Fail.");
+            alert(reason ? "Order rejected: " + reason : "Order Execution Fail.");
         }
     });
 }
 
+// One key per opened order dialog, so a retried click cannot fill twice
+var currentOrderKey = null;
+
+function NewOrderKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === "function") {
+        return window.crypto.randomUUID();
+    }
+    return "key-" + Date.now() + "-" + Math.random().toString(36).slice(2, 10);
+}
+
 function GridOnClick(data) {
     var item = data.item;
     var Stock = item.Name;
@@ -276,6 +294,7 @@ function GridOnClick(data) {
     $("#mOpen").html(Open);
     $("#mStock").html(Stock);
     $("#mPrice").html(Price);
+    currentOrderKey = NewOrderKey();
     $("#buyButton").prop("disabled", false);
     $("#sellButton").prop("disabled", false);
     $('#myModal').modal('toggle');
@@ -3,6 +3,9 @@
  * Provides candlestick charts, technical indicators, and interactive features
  */
 
+// Line colours of the symbols in compare mode; the chart's own symbol is first
+const COMPARE_COLORS = ['#2563eb', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6'];
+
 class StockChart {
     constructor(canvasId, options = {}) {
         this.canvasId = canvasId;
@@ -13,6 +16,12 @@ class StockChart {
         this.currentTimeframe = '1W';
         this.chartType = 'candlestick'; // candlestick, line, area
         this.indicators = new Set(); // Technical indicators
+        this.indicatorParams = new Map(); // Indicator id -> parameters
+        this.panes = []; // Stacked y-axes top to bottom: { id, label, indicator, weight }
+        this.ohlcData = [];
+        this.volumeData = [];
+        this.crosshair = null;
+        this.comparison = null; // Compare mode: { symbols, series, failed, hidden }
         this.isLoading = false;
         
         // Default options
@@ -23,9 +32,19 @@ class StockChart {
             showIndicators: true,
             enableZoom: true,
             enablePan: true,
+            // Smallest height (px) a pane can be dragged to
+            minPaneHeight: 40,
+            // Drawing tools, saved per symbol; drawingToolbar is the id of their buttons
+            drawings: true,
+            drawingToolbar: null,
+            // Random candles when real history is unavailable; for demos only
+            demoData: false,
             ...options
         };
         
+        // Technical indicators available to addIndicator
+        this.registry = this.options.registry || window.indicatorRegistry || null;
+        
         this.init();
     }
 
@@ -37,6 +56,10 @@ class StockChart {
         
         this.initChart();
         this.bindEvents();
+        
+        if (this.options.drawings && window.ChartDrawings) {
+            this.drawings = new window.ChartDrawings(this, { toolbar: this.options.drawingToolbar });
+        }
     }
 
     /**
@@ -69,22 +92,16 @@ class StockChart {
                         display: false
                     },
                     tooltip: {
-                        enabled: true,
-                        mode: 'index',
-                        intersect: false,
-                        backgroundColor: 'var(--bg-card)',
-                        titleColor: 'var(--text-primary)',
-                        bodyColor: 'var(--text-primary)',
-                        borderColor: 'var(--border-color)',
-                        borderWidth: 1,
-                        cornerRadius: 8,
-                        displayColors: false,
+                        ...StockChart.getTooltipTheme(),
                         callbacks: {
                             title: (context) => {
                                 const date = new Date(context[0].parsed.x);
                                 return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
                             },
                             label: (context) => {
+                                if (context.dataset.compare) {
+                                    return `${context.dataset.compare}: ${StockChart.formatPercent(context.parsed.y)}`;
+                                }
                                 const data = context.parsed;
                                 return [
                                     `Open: ₹${data.o?.toFixed(2) || 'N/A'}`,
@@ -104,49 +121,18 @@ class StockChart {
                                 enabled: true
                             },
                             mode: 'x',
+                            onZoomComplete: () => this.onVisibleRangeChange()
                         },
                         pan: {
                             enabled: this.options.enablePan,
                             mode: 'x',
+                            onPanComplete: () => this.onVisibleRangeChange()
                         }
                     } : undefined
                 },
                 scales: {
-                    x: {
-                        type: 'time',
-                        time: {
-                            unit: 'day',
-                            displayFormats: {
-                                day: 'MMM dd',
-                                week: 'MMM dd',
-                                month: 'MMM yyyy'
-                            }
-                        },
-                        grid: {
-                            color: 'var(--border-color-light)',
-                            drawOnChartArea: true,
-                            drawTicks: true
-                        },
-                        ticks: {
-                            color: 'var(--text-secondary)',
-                            maxTicksLimit: 8
-                        }
-                    },
-                    y: {
-                        type: 'linear',
-                        position: 'right',
-                        grid: {
-                            color: 'var(--border-color-light)',
-                            drawOnChartArea: true,
-                            drawTicks: true
-                        },
-                        ticks: {
-                            color: 'var(--text-secondary)',
-                            callback: function(value) {
-                                return '₹' + value.toFixed(2);
-                            }
-                        }
-                    }
+                    x: StockChart.getTimeScale(),
+                    y: StockChart.getPriceScale()
                 },
                 interaction: {
                     intersect: false,
@@ -156,39 +142,294 @@ class StockChart {
                     duration: 750,
                     easing: 'easeInOutQuart'
                 }
-            }
+            },
+            plugins: [this.createPanePlugin()]
         };
 
-        // Add volume chart if enabled
+        this.panes = [{ id: 'y', label: 'Price', indicator: null, weight: 3 }];
+        this.chart = new Chart(this.ctx, config);
+        this.applyPaneLayout();
+
         if (this.options.showVolume) {
-            config.data.datasets.push({
-                label: 'Volume',
-                type: 'bar',
-                data: [],
-                backgroundColor: 'rgba(var(--color-primary-rgb), 0.3)',
-                borderColor: 'var(--color-primary)',
-                borderWidth: 1,
-                yAxisID: 'volume'
+            this.addIndicator('volume');
+        }
+    }
+
+    /**
+     * Panes are y-axes stacked on the right of one canvas, so they share the
+     * time axis and zoom, pan and hover together
+     */
+    applyPaneLayout() {
+        this.panes.forEach((pane, index) => {
+            Object.assign(this.chart.options.scales[pane.id], {
+                position: 'right',
+                stack: 'panes',
+                stackWeight: pane.weight,
+                weight: index // Boxes on one side are laid out in weight order
             });
+        });
+    }
 
-            config.options.scales.volume = {
-                type: 'linear',
-                position: 'left',
-                max: function(context) {
-                    const volumes = context.chart.data.datasets[1].data;
-                    const maxVolume = Math.max(...volumes.map(d => d.y || 0));
-                    return maxVolume * 4; // Scale volume to 1/4 of chart height
-                },
-                grid: {
-                    display: false
-                },
-                ticks: {
-                    display: false
+    /**
+     * Add a pane below the others with its own y-axis
+     */
+    addPane(id, { label, indicator, weight = 1, scale = {} }) {
+        if (!this.chart || this.panes.some(pane => pane.id === id)) return;
+
+        this.panes.push({ id, label, indicator, weight });
+        this.chart.options.scales[id] = {
+            type: 'linear',
+            grid: {
+                color: 'var(--border-color-light)',
+                drawOnChartArea: true
+            },
+            ticks: {
+                color: 'var(--text-secondary)',
+                maxTicksLimit: 4
+            },
+            ...scale
+        };
+        this.applyPaneLayout();
+    }
+
+    /**
+     * Remove a pane with its datasets. The price pane stays.
+     */
+    removePane(id) {
+        const index = this.panes.findIndex(pane => pane.id === id);
+        if (!this.chart || index < 1) return;
+
+        this.panes.splice(index, 1);
+        this.chart.data.datasets = this.chart.data.datasets.filter(dataset => dataset.yAxisID !== id);
+        delete this.chart.options.scales[id];
+        this.applyPaneLayout();
+        this.chart.update('none');
+    }
+
+    /**
+     * Move the boundary above pane `index` by dy pixels, trading height with
+     * the pane above; neither gets smaller than minPaneHeight
+     */
+    resizePanes(index, dy) {
+        const above = this.panes[index - 1];
+        const below = this.panes[index];
+        const aboveScale = above && this.chart?.scales[above.id];
+        const belowScale = below && this.chart?.scales[below.id];
+        if (!aboveScale || !belowScale) return;
+
+        const height = aboveScale.height + belowScale.height;
+        const minHeight = Math.min(this.options.minPaneHeight, height / 2);
+        const aboveHeight = Math.min(Math.max(aboveScale.height + dy, minHeight), height - minHeight);
+        const weight = above.weight + below.weight;
+
+        above.weight = weight * aboveHeight / height;
+        below.weight = weight - above.weight;
+        this.applyPaneLayout();
+        this.chart.update('none');
+    }
+
+    /**
+     * The pane under a canvas y position
+     */
+    getPaneAt(y) {
+        return this.panes.find(pane => {
+            const scale = this.chart?.scales[pane.id];
+            return scale && y >= scale.top && y <= scale.bottom;
+        }) || null;
+    }
+
+    /**
+     * Places the pane controls once Chart.js has laid the panes out, and
+     * draws the drawings and the crosshair across all panes
+     */
+    createPanePlugin() {
+        return {
+            id: 'stockChartPanes',
+            afterLayout: () => this.renderPaneControls(),
+            afterEvent: (chart, args) => {
+                const { event, inChartArea } = args;
+                const crosshair = event.type === 'mouseout' || !inChartArea ? null : { x: event.x, y: event.y };
+                if (crosshair?.x !== this.crosshair?.x || crosshair?.y !== this.crosshair?.y) {
+                    this.crosshair = crosshair;
+                    args.changed = true;
                 }
-            };
+            },
+            afterDatasetsDraw: (chart) => {
+                this.drawings?.draw(chart);
+                this.drawCrosshair(chart);
+            }
+        };
+    }
+
+    /**
+     * Vertical line through every pane at the hovered time, and a horizontal
+     * line in the pane under the pointer
+     */
+    drawCrosshair(chart) {
+        if (!this.crosshair) return;
+
+        const { ctx, chartArea } = chart;
+        const { x, y } = this.crosshair;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(128, 128, 128, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, chartArea.top);
+        ctx.lineTo(x, chartArea.bottom);
+        if (this.getPaneAt(y)) {
+            ctx.moveTo(chartArea.left, y);
+            ctx.lineTo(chartArea.right, y);
         }
+        ctx.stroke();
+        ctx.restore();
+    }
 
-        this.chart = new Chart(this.ctx, config);
+    /**
+     * Label, remove button and resize handle on top of each lower pane,
+     * positioned over the canvas
+     */
+    renderPaneControls() {
+        const container = this.canvas.parentElement;
+        if (!container || !this.chart?.chartArea) return;
+
+        let overlay = container.querySelector('.chart-pane-controls');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'chart-pane-controls';
+            container.appendChild(overlay);
+            this.bindPaneControls(overlay);
+        }
+
+        const area = this.chart.chartArea;
+        const left = this.canvas.offsetLeft + area.left;
+        overlay.innerHTML = this.panes.slice(1).map((pane, i) => {
+            const scale = this.chart.scales[pane.id];
+            if (!scale) return '';
+
+            const top = this.canvas.offsetTop + scale.top;
+            return `
+                <div class="chart-pane-divider" data-pane-index="${i + 1}" role="separator"
+                     aria-orientation="horizontal" aria-label="Resize ${pane.label} pane"
+                     style="top: ${top}px; left: ${left}px; width: ${area.width}px;"></div>
+                <div class="chart-pane-label" style="top: ${top}px; left: ${left}px;">
+                    <span>${pane.label}</span>
+                    <button type="button" class="chart-pane-remove" data-pane-id="${pane.id}"
+                            title="Remove ${pane.label}" aria-label="Remove ${pane.label} pane">&times;</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Remove buttons turn their indicator off; dragging a divider resizes the
+     * panes on either side of it
+     */
+    bindPaneControls(overlay) {
+        overlay.addEventListener('click', (event) => {
+            const button = event.target.closest('.chart-pane-remove');
+            const pane = button && this.panes.find(p => p.id === button.dataset.paneId);
+            if (!pane) return;
+
+            this.removeIndicator(pane.indicator);
+            this.onIndicatorRemoved(pane.indicator);
+        });
+
+        overlay.addEventListener('pointerdown', (event) => {
+            const divider = event.target.closest('.chart-pane-divider');
+            if (!divider) return;
+
+            event.preventDefault();
+            const index = Number(divider.dataset.paneIndex);
+            let lastY = event.clientY;
+
+            const onMove = (moveEvent) => {
+                this.resizePanes(index, moveEvent.clientY - lastY);
+                lastY = moveEvent.clientY;
+            };
+            const onUp = () => {
+                overlay.classList.remove('resizing');
+                window.removeEventListener('pointermove', onMove);
+                window.removeEventListener('pointerup', onUp);
+            };
+
+            overlay.classList.add('resizing');
+            window.addEventListener('pointermove', onMove);
+            window.addEventListener('pointerup', onUp);
+        });
+    }
+
+    /**
+     * The volume bars, if the volume pane is shown
+     */
+    getVolumeDataset() {
+        return this.chart?.data.datasets.find(dataset => dataset.yAxisID === 'volume') || null;
+    }
+
+    /**
+     * Tooltip styling shared by the app's charts
+     */
+    static getTooltipTheme() {
+        return {
+            enabled: true,
+            mode: 'index',
+            intersect: false,
+            backgroundColor: 'var(--bg-card)',
+            titleColor: 'var(--text-primary)',
+            bodyColor: 'var(--text-primary)',
+            borderColor: 'var(--border-color)',
+            borderWidth: 1,
+            cornerRadius: 8,
+            displayColors: false
+        };
+    }
+
+    /**
+     * Date axis shared by the app's charts
+     */
+    static getTimeScale() {
+        return {
+            type: 'time',
+            time: {
+                unit: 'day',
+                displayFormats: {
+                    day: 'MMM dd',
+                    week: 'MMM dd',
+                    month: 'MMM yyyy'
+                }
+            },
+            grid: {
+                color: 'var(--border-color-light)',
+                drawOnChartArea: true,
+                drawTicks: true
+            },
+            ticks: {
+                color: 'var(--text-secondary)',
+                maxTicksLimit: 8
+            }
+        };
+    }
+
+    /**
+     * Rupee axis shared by the app's charts
+     */
+    static getPriceScale() {
+        return {
+            type: 'linear',
+            position: 'right',
+            grid: {
+                color: 'var(--border-color-light)',
+                drawOnChartArea: true,
+                drawTicks: true
+            },
+            ticks: {
+                color: 'var(--text-secondary)',
+                callback: function(value) {
+                    return '₹' + value.toFixed(2);
+                }
+            }
+        };
     }
 
     /**
@@ -217,49 +458,48 @@ class StockChart {
     }
 
     /**
-     * Load chart data for a specific symbol and timeframe
+     * Load chart data for a specific symbol and timeframe from api/chart.
+     * Without real history the chart shows an error, unless the demoData
+     * option is on, in which case it shows random candles marked as demo data.
      */
     async loadData(symbol, timeframe = '1W') {
         if (this.isLoading) return;
         
+        // Another symbol ends compare mode; a new timeframe reloads its symbols
+        if (this.comparison && symbol !== this.currentSymbol) {
+            this.exitCompare();
+        }
+        
         this.isLoading = true;
         this.currentSymbol = symbol;
         this.currentTimeframe = timeframe;
         
         this.showLoading();
         
+        // Restore the symbol's drawings; a new timeframe keeps them
+        if (this.drawings && this.drawings.symbol !== symbol) {
+            this.drawings.load(symbol);
+        }
+        
         try {
             this.hideError(); // Hide any previous errors
             
-            // Try to fetch real data first
-            const response = await fetch(`/api/chart/${symbol}?timeframe=${timeframe}`);
+            this.updateChart(await StockChart.fetchChartData(symbol, timeframe));
+            this.hideLoading();
             
-            let chartData;
-            if (response.ok) {
-                chartData = await response.json();
-            } else if (response.status === 404) {
-                // API endpoint not found, use mock data
-                console.info('Chart API not available, using mock data');
-                chartData = this.generateMockOHLCData(symbol, timeframe);
-            } else {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            if (this.comparison) {
+                await this.loadComparison();
             }
             
-            this.updateChart(chartData);
-            this.hideLoading();
-            
         } catch (error) {
             console.warn('Failed to load chart data:', error);
             this.hideLoading();
             
-            // Try to use mock data as fallback
-            try {
-                const mockData = this.generateMockOHLCData(symbol, timeframe);
-                this.updateChart(mockData);
-                console.info('Using mock chart data for demonstration');
-            } catch (mockError) {
-                console.error('Failed to generate mock data:', mockError);
-                this.showError('Unable to load chart data');
+            if (this.options.demoData) {
+                this.updateChart(this.generateMockOHLCData(symbol, timeframe));
+            } else {
+                this.updateDataNotice(null);
+                this.showError(error.message || 'Unable to load chart data');
             }
         } finally {
             this.isLoading = false;
@@ -267,7 +507,45 @@ class StockChart {
     }
 
     /**
-     * Generate mock OHLC data for demonstration
+     * A symbol's chart data for a timeframe from api/chart
+     */
+    static async fetchChartData(symbol, timeframe) {
+        const response = await fetch(`/api/chart/${encodeURIComponent(symbol)}?timeframe=${encodeURIComponent(timeframe)}`);
+        const body = await response.json().catch(() => null);
+        if (!response.ok || !body?.success) {
+            throw new Error(body?.message || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        return StockChart.toChartData(body.data);
+    }
+
+    /**
+     * Chart data from an api/chart series: candles and volume as chart points,
+     * with where the data came from and whether it is delayed
+     */
+    static toChartData(series) {
+        const candles = series?.candles || [];
+        return {
+            symbol: series?.symbol,
+            timeframe: series?.timeframe,
+            interval: series?.interval,
+            source: series?.source || null,
+            fetchedAt: series?.fetchedAt ? new Date(series.fetchedAt) : null,
+            isDelayed: Boolean(series?.isDelayed),
+            delayMinutes: series?.delayMinutes || 0,
+            isSynthetic: false,
+            ohlc: candles.map(candle => ({
+                x: Date.parse(candle.time),
+                o: candle.open,
+                h: candle.high,
+                l: candle.low,
+                c: candle.close
+            })),
+            volume: candles.map(candle => ({ x: Date.parse(candle.time), y: candle.volume }))
+        };
+    }
+
+    /**
+     * Generate mock OHLC data for demonstration (demoData option only)
      */
     generateMockOHLCData(symbol, timeframe) {
         const basePrice = 100 + Math.random() * 400; // Random base price between 100-500
@@ -316,6 +594,9 @@ class StockChart {
         return {
             symbol,
             timeframe,
+            source: 'Demo',
+            isSynthetic: true,
+            isDelayed: false,
             ohlc: data,
             volume: volumeData
         };
@@ -376,15 +657,22 @@ class StockChart {
         if (!this.chart || !chartData) return;
         
         // Update OHLC data
-        this.chart.data.datasets[0].data = chartData.ohlc || [];
-        
-        // Update volume data if available
-        if (this.options.showVolume && chartData.volume && this.chart.data.datasets[1]) {
-            this.chart.data.datasets[1].data = chartData.volume;
+        this.ohlcData = chartData.ohlc || [];
+        this.chart.data.datasets[0].data = this.ohlcData;
+        
+        // Kept while the volume pane is hidden so it can be shown again
+        this.volumeData = chartData.volume || [];
+        const volumeDataset = this.getVolumeDataset();
+        if (volumeDataset) {
+            volumeDataset.data = this.volumeData;
         }
         
+        this.refreshIndicators();
+        this.refreshComparison();
+        
         // Update time scale based on timeframe
         this.updateTimeScale(chartData.timeframe);
+        this.updateDataNotice(chartData);
         
         // Animate chart update
         this.chart.update('active');
@@ -393,6 +681,45 @@ class StockChart {
         this.onChartUpdated(chartData);
     }
 
+    /**
+     * Shows where the candles came from under the chart, flagging demo
+     * (synthetic) and delayed data. Hidden when there is no data.
+     */
+    updateDataNotice(chartData) {
+        const container = this.canvas.parentElement;
+        let notice = container.querySelector('.chart-data-notice');
+        if (!chartData) {
+            if (notice) notice.style.display = 'none';
+            return;
+        }
+
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.className = 'chart-data-notice';
+            notice.setAttribute('role', 'status');
+            container.appendChild(notice);
+        }
+
+        let text;
+        let state = '';
+        if (chartData.isSynthetic) {
+            text = 'Demo data: these candles are randomly generated, not real prices';
+            state = 'synthetic';
+        } else if (chartData.isDelayed) {
+            text = `Delayed by about ${chartData.delayMinutes} min`;
+            state = 'delayed';
+        } else {
+            text = 'Historical prices';
+        }
+        if (!chartData.isSynthetic && chartData.source) {
+            text += ` · ${chartData.source}`;
+        }
+
+        notice.className = `chart-data-notice ${state}`.trim();
+        notice.textContent = text;
+        notice.style.display = '';
+    }
+
     /**
      * Update time scale configuration based on timeframe
      */
@@ -433,7 +760,7 @@ class StockChart {
                     borderWidth: 2,
                     fill: false,
                     tension: 0.1,
-                    data: this.chart.data.datasets[0].data.map(d => ({
+                    data: this.ohlcData.map(d => ({
                         x: d.x,
                         y: d.c // Use close price for line chart
                     }))
@@ -450,7 +777,7 @@ class StockChart {
                     borderWidth: 2,
                     fill: true,
                     tension: 0.1,
-                    data: this.chart.data.datasets[0].data.map(d => ({
+                    data: this.ohlcData.map(d => ({
                         x: d.x,
                         y: d.c // Use close price for area chart
                     }))
@@ -463,7 +790,8 @@ class StockChart {
                 // Restore original candlestick configuration
                 this.chart.data.datasets[0] = {
                     label: 'Price',
-                    data: this.chart.data.datasets[0].data,
+                    data: this.ohlcData,
+                    hidden: Boolean(this.comparison),
                     borderColor: {
                         up: 'var(--color-success)',
                         down: 'var(--color-error)',
@@ -482,31 +810,57 @@ class StockChart {
     }
 
     /**
-     * Add technical indicator
+     * Add a technical indicator from the registry, with its default
+     * parameters unless given others. 'volume' is the volume pane.
      */
-    addIndicator(indicator) {
+    addIndicator(indicator, params) {
+        if (!this.chart || this.indicators.has(indicator)) return;
+
+        if (indicator === 'volume') {
+            this.indicators.add(indicator);
+            this.addVolume();
+            return;
+        }
+
+        const definition = this.registry?.get(indicator);
+        if (!definition) {
+            console.warn('Unknown indicator:', indicator);
+            return;
+        }
+
         this.indicators.add(indicator);
-        
-        switch (indicator) {
-            case 'sma20':
-                this.addMovingAverage(20, 'SMA 20', '#f39c12');
-                break;
-            case 'sma50':
-                this.addMovingAverage(50, 'SMA 50', '#3498db');
-                break;
-            case 'ema20':
-                this.addExponentialMovingAverage(20, 'EMA 20', '#2ecc71');
-                break;
-            case 'bollinger':
-                this.addBollingerBands(20, 2, 'Bollinger Bands');
-                break;
-            case 'rsi':
-                this.addRSI(14, 'RSI (14)');
-                break;
-            case 'macd':
-                this.addMACD(12, 26, 9, 'MACD');
-                break;
+        this.indicatorParams.set(indicator, this.registry.normalizeParams(indicator, params ?? this.indicatorParams.get(indicator)));
+
+        const ownPane = definition.pane === 'separate';
+        if (ownPane) {
+            this.addPane(indicator, {
+                label: this.getIndicatorLabel(indicator),
+                indicator,
+                scale: definition.scale
+            });
         }
+
+        definition.outputs.forEach(output => {
+            this.chart.data.datasets.push({
+                label: output.label,
+                type: output.type || 'line',
+                data: [],
+                borderColor: output.color,
+                backgroundColor: output.type === 'bar' ? output.color : 'transparent',
+                borderWidth: 1,
+                fill: false,
+                pointRadius: 0,
+                tension: 0.1,
+                ...output.style,
+                yAxisID: ownPane ? indicator : 'y',
+                hidden: !ownPane && Boolean(this.comparison), // Rupees don't fit the percent axis
+                indicator,
+                output: output.key
+            });
+        });
+
+        this.refreshIndicator(indicator);
+        this.chart.update('none');
     }
 
     /**
@@ -514,408 +868,328 @@ class StockChart {
      */
     removeIndicator(indicator) {
         this.indicators.delete(indicator);
-        
-        // Remove datasets associated with this indicator
-        const indicatorLabels = this.getIndicatorLabels(indicator);
-        
-        for (let i = this.chart.data.datasets.length - 1; i >= 0; i--) {
-            const dataset = this.chart.data.datasets[i];
-            if (indicatorLabels.includes(dataset.label)) {
-                this.chart.data.datasets.splice(i, 1);
-            }
+        if (!this.chart) return;
+
+        const pane = this.panes.find(p => p.indicator === indicator);
+        if (pane) {
+            this.removePane(pane.id);
+            return;
         }
-        
+
+        this.chart.data.datasets = this.chart.data.datasets.filter(dataset => dataset.indicator !== indicator);
         this.chart.update('none');
     }
 
     /**
-     * Get all dataset labels for an indicator
+     * Recalculate an indicator with new parameters
      */
-    getIndicatorLabels(indicator) {
-        const labelMap = {
-            'sma20': ['SMA 20'],
-            'sma50': ['SMA 50'],
-            'ema20': ['EMA 20'],
-            'bollinger': ['Bollinger Upper', 'Bollinger Lower', 'Bollinger SMA'],
-            'rsi': ['RSI (14)'],
-            'macd': ['MACD', 'MACD Signal', 'MACD Histogram']
-        };
-        
-        return labelMap[indicator] || [indicator];
+    setIndicatorParams(indicator, params) {
+        if (!this.registry?.has(indicator)) return;
+
+        this.indicatorParams.set(indicator, this.registry.normalizeParams(indicator, params));
+        const pane = this.panes.find(p => p.indicator === indicator);
+        if (pane) {
+            pane.label = this.getIndicatorLabel(indicator);
+        }
+
+        if (this.indicators.has(indicator) && this.chart) {
+            this.refreshIndicator(indicator);
+            this.chart.update('none');
+        }
+    }
+
+    getIndicatorParams(indicator) {
+        return this.indicatorParams.get(indicator) || this.registry?.normalizeParams(indicator) || {};
     }
 
     /**
-     * Add simple moving average
+     * Indicator name with its parameters, e.g. "MACD (12, 26, 9)"
      */
-    addMovingAverage(period, label, color) {
-        const ohlcData = this.chart.data.datasets[0].data;
-        const smaData = this.calculateSMA(ohlcData, period);
-        
-        this.chart.data.datasets.push({
-            label: label,
-            type: 'line',
-            data: smaData,
-            borderColor: color,
-            backgroundColor: 'transparent',
-            borderWidth: 1,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1
-        });
-        
-        this.chart.update('none');
+    getIndicatorLabel(indicator) {
+        const definition = this.registry?.get(indicator);
+        if (!definition) return indicator;
+
+        const values = Object.values(this.getIndicatorParams(indicator));
+        return values.length ? `${definition.name} (${values.join(', ')})` : definition.name;
     }
 
     /**
-     * Add exponential moving average
+     * Candles with their volume, as indicators read them
      */
-    addExponentialMovingAverage(period, label, color) {
-        const ohlcData = this.chart.data.datasets[0].data;
-        const emaData = this.calculateEMA(ohlcData, period);
-        
-        this.chart.data.datasets.push({
-            label: label,
-            type: 'line',
-            data: emaData,
-            borderColor: color,
-            backgroundColor: 'transparent',
-            borderWidth: 1,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1
-        });
-        
-        this.chart.update('none');
+    getBars() {
+        const volumes = new Map(this.volumeData.map(point => [point.x, point.y]));
+        return this.ohlcData.map(candle => ({ ...candle, v: volumes.get(candle.x) ?? null }));
     }
 
     /**
-     * Calculate Simple Moving Average
+     * Recalculate an indicator's datasets from the current candles
      */
-    calculateSMA(data, period) {
-        const smaData = [];
-        
-        for (let i = period - 1; i < data.length; i++) {
-            let sum = 0;
-            for (let j = 0; j < period; j++) {
-                sum += data[i - j].c; // Use close price
-            }
-            const average = sum / period;
-            
-            smaData.push({
-                x: data[i].x,
-                y: average
+    refreshIndicator(indicator, bars = this.getBars()) {
+        const series = this.registry.calculate(indicator, bars, this.getIndicatorParams(indicator));
+        this.chart.data.datasets
+            .filter(dataset => dataset.indicator === indicator)
+            .forEach(dataset => {
+                dataset.data = series[dataset.output] || [];
             });
-        }
-        
-        return smaData;
     }
 
-    /**
-     * Calculate Exponential Moving Average
-     */
-    calculateEMA(data, period) {
-        const emaData = [];
-        const multiplier = 2 / (period + 1);
-        
-        // Start with SMA for first value
-        let ema = data.slice(0, period).reduce((sum, d) => sum + d.c, 0) / period;
-        emaData.push({
-            x: data[period - 1].x,
-            y: ema
+    refreshIndicators() {
+        if (!this.registry) return;
+
+        const bars = this.getBars();
+        this.indicators.forEach(indicator => {
+            if (this.registry.has(indicator)) {
+                this.refreshIndicator(indicator, bars);
+            }
         });
-        
-        // Calculate EMA for remaining values
-        for (let i = period; i < data.length; i++) {
-            ema = (data[i].c * multiplier) + (ema * (1 - multiplier));
-            emaData.push({
-                x: data[i].x,
-                y: ema
-            });
-        }
-        
-        return emaData;
     }
 
     /**
-     * Add Bollinger Bands
+     * Add the volume pane
      */
-    addBollingerBands(period, stdDev, label) {
-        const ohlcData = this.chart.data.datasets[0].data;
-        const bollingerData = this.calculateBollingerBands(ohlcData, period, stdDev);
-        
-        // Add upper band
-        this.chart.data.datasets.push({
-            label: 'Bollinger Upper',
-            type: 'line',
-            data: bollingerData.upper,
-            borderColor: '#e74c3c',
-            backgroundColor: 'transparent',
-            borderWidth: 1,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1
-        });
-        
-        // Add lower band
-        this.chart.data.datasets.push({
-            label: 'Bollinger Lower',
-            type: 'line',
-            data: bollingerData.lower,
-            borderColor: '#e74c3c',
-            backgroundColor: 'rgba(231, 76, 60, 0.1)',
-            borderWidth: 1,
-            fill: '-1', // Fill between upper and lower
-            pointRadius: 0,
-            tension: 0.1
+    addVolume() {
+        this.addPane('volume', {
+            label: 'Volume',
+            indicator: 'volume',
+            scale: {
+                beginAtZero: true,
+                ticks: {
+                    color: 'var(--text-secondary)',
+                    maxTicksLimit: 3,
+                    callback: value => StockChart.formatVolume(value)
+                }
+            }
         });
-        
-        // Add middle line (SMA)
+
         this.chart.data.datasets.push({
-            label: 'Bollinger SMA',
-            type: 'line',
-            data: bollingerData.middle,
-            borderColor: '#95a5a6',
-            backgroundColor: 'transparent',
+            label: 'Volume',
+            type: 'bar',
+            data: this.volumeData,
+            backgroundColor: 'rgba(var(--color-primary-rgb), 0.3)',
+            borderColor: 'var(--color-primary)',
             borderWidth: 1,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1,
-            borderDash: [5, 5]
+            yAxisID: 'volume'
         });
-        
+
         this.chart.update('none');
     }
 
     /**
-     * Calculate Bollinger Bands
+     * Volume axis ticks: 1.2K, 3.4M, 1.1B
      */
-    calculateBollingerBands(data, period, stdDev) {
-        const upperBand = [];
-        const lowerBand = [];
-        const middleBand = [];
-        
-        for (let i = period - 1; i < data.length; i++) {
-            // Calculate SMA
-            let sum = 0;
-            for (let j = 0; j < period; j++) {
-                sum += data[i - j].c;
-            }
-            const sma = sum / period;
-            
-            // Calculate standard deviation
-            let variance = 0;
-            for (let j = 0; j < period; j++) {
-                variance += Math.pow(data[i - j].c - sma, 2);
-            }
-            const standardDeviation = Math.sqrt(variance / period);
-            
-            const upper = sma + (stdDev * standardDeviation);
-            const lower = sma - (stdDev * standardDeviation);
-            
-            upperBand.push({ x: data[i].x, y: upper });
-            lowerBand.push({ x: data[i].x, y: lower });
-            middleBand.push({ x: data[i].x, y: sma });
-        }
-        
-        return { upper: upperBand, lower: lowerBand, middle: middleBand };
+    static formatVolume(value) {
+        const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+        const [size, suffix] = units.find(([limit]) => Math.abs(value) >= limit) || [1, ''];
+        return `${parseFloat((value / size).toFixed(1))}${suffix}`;
     }
 
     /**
-     * Add RSI indicator
+     * Compare mode: overlays the chart's symbol and up to four others as the
+     * percent change from the first visible bar. The price pane's candles,
+     * indicators and drawings are in rupees, so they are hidden until
+     * exitCompare.
      */
-    addRSI(period, label) {
-        const ohlcData = this.chart.data.datasets[0].data;
-        const rsiData = this.calculateRSI(ohlcData, period);
-        
-        // Create a separate chart or overlay for RSI
-        // For now, we'll normalize RSI to fit on the price chart
-        const normalizedRSI = rsiData.map(point => ({
-            x: point.x,
-            y: point.y // RSI is already 0-100, we might want to scale it
-        }));
-        
-        this.chart.data.datasets.push({
-            label: label,
-            type: 'line',
-            data: normalizedRSI,
-            borderColor: '#9b59b6',
-            backgroundColor: 'transparent',
-            borderWidth: 2,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1,
-            yAxisID: 'rsi'
+    async compare(symbols) {
+        if (!this.chart || !this.currentSymbol) return;
+
+        this.exitCompare();
+        const others = [...new Set(symbols)]
+            .filter(symbol => symbol && symbol !== this.currentSymbol)
+            .slice(0, StockChart.MAX_COMPARE_SYMBOLS - 1);
+        if (!others.length) return;
+
+        this.comparison = {
+            symbols: [this.currentSymbol, ...others],
+            series: new Map(), // Symbol -> candles; the chart's own are ohlcData
+            failed: new Set(),
+            hidden: new Set()
+        };
+
+        this.chart.data.datasets.forEach(dataset => {
+            if ((dataset.yAxisID || 'y') === 'y') {
+                dataset.hidden = true;
+            }
         });
-        
-        // Add RSI scale if it doesn't exist
-        if (!this.chart.options.scales.rsi) {
-            this.chart.options.scales.rsi = {
-                type: 'linear',
-                position: 'left',
-                min: 0,
-                max: 100,
-                grid: {
-                    display: false
-                },
-                ticks: {
-                    color: 'var(--text-secondary)',
-                    callback: function(value) {
-                        return value;
-                    }
-                }
-            };
-        }
-        
+        this.comparison.symbols.forEach((symbol, index) => {
+            this.chart.data.datasets.push({
+                label: symbol,
+                type: 'line',
+                data: [],
+                borderColor: COMPARE_COLORS[index],
+                backgroundColor: 'transparent',
+                borderWidth: index === 0 ? 2 : 1.5,
+                fill: false,
+                pointRadius: 0,
+                tension: 0.1,
+                yAxisID: 'y',
+                compare: symbol
+            });
+        });
+        this.chart.options.scales.y.ticks.callback = value => StockChart.formatPercent(value, 1);
+        this.drawings?.setHidden(true);
+
+        this.refreshComparison();
         this.chart.update('none');
+        await this.loadComparison();
     }
 
     /**
-     * Calculate RSI
+     * Fetches the compared symbols' candles for the current timeframe
      */
-    calculateRSI(data, period) {
-        const rsiData = [];
-        const gains = [];
-        const losses = [];
-        
-        // Calculate initial gains and losses
-        for (let i = 1; i < data.length; i++) {
-            const change = data[i].c - data[i - 1].c;
-            gains.push(change > 0 ? change : 0);
-            losses.push(change < 0 ? Math.abs(change) : 0);
-        }
-        
-        // Calculate RSI
-        for (let i = period - 1; i < gains.length; i++) {
-            let avgGain, avgLoss;
-            
-            if (i === period - 1) {
-                // First RSI calculation
-                avgGain = gains.slice(0, period).reduce((sum, gain) => sum + gain, 0) / period;
-                avgLoss = losses.slice(0, period).reduce((sum, loss) => sum + loss, 0) / period;
+    async loadComparison() {
+        const comparison = this.comparison;
+        const timeframe = this.currentTimeframe;
+        const results = await Promise.all(comparison.symbols.slice(1).map(symbol =>
+            StockChart.fetchChartData(symbol, timeframe)
+                .then(chartData => ({ symbol, candles: chartData.ohlc }))
+                .catch(error => ({ symbol, error }))));
+
+        // Compare mode ended or the timeframe changed while loading
+        if (this.comparison !== comparison || this.currentTimeframe !== timeframe) return;
+
+        results.forEach(({ symbol, candles, error }) => {
+            if (error || !candles.length) {
+                console.warn(`Failed to load ${symbol} to compare:`, error || 'no candles');
+                comparison.series.delete(symbol);
+                comparison.failed.add(symbol);
             } else {
-                // Smoothed averages
-                const prevAvgGain = rsiData[i - period].avgGain;
-                const prevAvgLoss = rsiData[i - period].avgLoss;
-                avgGain = (prevAvgGain * (period - 1) + gains[i]) / period;
-                avgLoss = (prevAvgLoss * (period - 1) + losses[i]) / period;
+                comparison.series.set(symbol, candles);
+                comparison.failed.delete(symbol);
             }
-            
-            const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-            const rsi = 100 - (100 / (1 + rs));
-            
-            rsiData.push({
-                x: data[i + 1].x,
-                y: rsi,
-                avgGain: avgGain,
-                avgLoss: avgLoss
-            });
-        }
-        
-        return rsiData;
+        });
+
+        this.refreshComparison();
+        this.chart.update('none');
     }
 
     /**
-     * Add MACD indicator
+     * Leaves compare mode, showing the candles, indicators and drawings again
      */
-    addMACD(fastPeriod, slowPeriod, signalPeriod, label) {
-        const ohlcData = this.chart.data.datasets[0].data;
-        const macdData = this.calculateMACD(ohlcData, fastPeriod, slowPeriod, signalPeriod);
-        
-        // Add MACD line
-        this.chart.data.datasets.push({
-            label: 'MACD',
-            type: 'line',
-            data: macdData.macd,
-            borderColor: '#3498db',
-            backgroundColor: 'transparent',
-            borderWidth: 2,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1,
-            yAxisID: 'macd'
-        });
-        
-        // Add Signal line
-        this.chart.data.datasets.push({
-            label: 'MACD Signal',
-            type: 'line',
-            data: macdData.signal,
-            borderColor: '#e74c3c',
-            backgroundColor: 'transparent',
-            borderWidth: 1,
-            fill: false,
-            pointRadius: 0,
-            tension: 0.1,
-            yAxisID: 'macd'
-        });
-        
-        // Add Histogram
-        this.chart.data.datasets.push({
-            label: 'MACD Histogram',
-            type: 'bar',
-            data: macdData.histogram,
-            backgroundColor: 'rgba(52, 152, 219, 0.3)',
-            borderColor: '#3498db',
-            borderWidth: 1,
-            yAxisID: 'macd'
+    exitCompare() {
+        if (!this.comparison || !this.chart) return;
+
+        this.comparison = null;
+        this.chart.data.datasets = this.chart.data.datasets.filter(dataset => !dataset.compare);
+        this.chart.data.datasets.forEach(dataset => {
+            if ((dataset.yAxisID || 'y') === 'y') {
+                dataset.hidden = false;
+            }
         });
-        
-        // Add MACD scale if it doesn't exist
-        if (!this.chart.options.scales.macd) {
-            this.chart.options.scales.macd = {
-                type: 'linear',
-                position: 'left',
-                grid: {
-                    display: false
-                },
-                ticks: {
-                    color: 'var(--text-secondary)'
-                }
-            };
+        this.chart.options.scales.y.ticks.callback = StockChart.getPriceScale().ticks.callback;
+        this.drawings?.setHidden(false);
+        this.canvas.parentElement.querySelector('.chart-compare-legend')?.remove();
+        this.chart.update('none');
+    }
+
+    /**
+     * Shows or hides one compared symbol's line
+     */
+    toggleCompareSeries(symbol) {
+        if (!this.comparison?.symbols.includes(symbol)) return;
+
+        const hidden = this.comparison.hidden;
+        if (hidden.has(symbol)) {
+            hidden.delete(symbol);
+        } else {
+            hidden.add(symbol);
         }
-        
+        this.refreshComparison();
         this.chart.update('none');
     }
 
     /**
-     * Calculate MACD
+     * Renormalizes the compared lines to the first visible bar
      */
-    calculateMACD(data, fastPeriod, slowPeriod, signalPeriod) {
-        const fastEMA = this.calculateEMA(data, fastPeriod);
-        const slowEMA = this.calculateEMA(data, slowPeriod);
-        
-        const macdLine = [];
-        const startIndex = Math.max(fastPeriod, slowPeriod) - 1;
-        
-        // Calculate MACD line
-        for (let i = 0; i < Math.min(fastEMA.length, slowEMA.length); i++) {
-            const macdValue = fastEMA[i].y - slowEMA[i].y;
-            macdLine.push({
-                x: fastEMA[i].x,
-                y: macdValue
+    refreshComparison() {
+        if (!this.comparison || !this.chart) return;
+
+        // Zooming or panning moves the first visible bar
+        const from = this.chart.isZoomedOrPanned?.() ? this.chart.scales.x?.min : null;
+        this.chart.data.datasets.filter(dataset => dataset.compare).forEach(dataset => {
+            const candles = dataset.compare === this.currentSymbol
+                ? this.ohlcData
+                : this.comparison.series.get(dataset.compare);
+            dataset.data = StockChart.toPercentChange(candles || [], from);
+            dataset.hidden = this.comparison.hidden.has(dataset.compare);
+        });
+
+        this.renderCompareLegend();
+    }
+
+    onVisibleRangeChange() {
+        if (!this.comparison) return;
+
+        this.refreshComparison();
+        this.chart.update('none');
+    }
+
+    /**
+     * Percent change of each close from the first close at or after `from`
+     * (the first bar when null)
+     */
+    static toPercentChange(candles, from = null) {
+        const close = candle => candle.c ?? candle.y;
+        const first = candles.find(candle => (from == null || candle.x >= from) && close(candle));
+        if (!first) return [];
+
+        const base = close(first);
+        return candles.map(candle => ({ x: candle.x, y: (close(candle) / base - 1) * 100 }));
+    }
+
+    static formatPercent(value, digits = 2) {
+        return `${value > 0 ? '+' : ''}${value.toFixed(digits)}%`;
+    }
+
+    /**
+     * Legend above the chart: one toggle per compared symbol with its change
+     * at the last bar, and a button to leave compare mode
+     */
+    renderCompareLegend() {
+        const container = this.canvas.parentElement;
+        let legend = container.querySelector('.chart-compare-legend');
+        if (!legend) {
+            legend = document.createElement('div');
+            legend.className = 'chart-compare-legend';
+            legend.setAttribute('role', 'group');
+            legend.setAttribute('aria-label', 'Compared symbols');
+            legend.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-compare-symbol]');
+                if (item) {
+                    this.toggleCompareSeries(item.dataset.compareSymbol);
+                } else if (e.target.closest('.compare-legend-exit')) {
+                    this.exitCompare();
+                }
             });
+            container.appendChild(legend);
         }
-        
-        // Calculate Signal line (EMA of MACD)
-        const signalLine = this.calculateEMA(macdLine, signalPeriod);
-        
-        // Calculate Histogram
-        const histogram = [];
-        for (let i = 0; i < signalLine.length; i++) {
-            const macdIndex = macdLine.findIndex(m => m.x === signalLine[i].x);
-            if (macdIndex !== -1) {
-                histogram.push({
-                    x: signalLine[i].x,
-                    y: macdLine[macdIndex].y - signalLine[i].y
-                });
+
+        const datasets = this.chart.data.datasets.filter(dataset => dataset.compare);
+        legend.innerHTML = datasets.map(dataset => {
+            const symbol = dataset.compare;
+            const last = dataset.data[dataset.data.length - 1];
+            const failed = this.comparison.failed.has(symbol);
+            const visible = !this.comparison.hidden.has(symbol);
+            let change = '…';
+            if (failed) {
+                change = 'No data';
+            } else if (last) {
+                change = StockChart.formatPercent(last.y);
             }
-        }
-        
-        return {
-            macd: macdLine,
-            signal: signalLine,
-            histogram: histogram
-        };
+
+            return `
+                <button type="button" class="compare-legend-item${visible ? '' : ' muted'}"
+                        data-compare-symbol="${symbol}" aria-pressed="${visible}"
+                        ${failed ? 'disabled' : ''} title="${visible ? 'Hide' : 'Show'} ${symbol}">
+                    <span class="compare-swatch" style="background-color: ${dataset.borderColor}"></span>
+                    <span class="compare-symbol">${symbol}</span>
+                    <span class="compare-change ${last && last.y < 0 ? 'negative' : 'positive'}">${change}</span>
+                </button>
+            `;
+        }).join('') + `
+            <button type="button" class="compare-legend-exit" title="Exit compare" aria-label="Exit compare">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
     }
 
     /**
@@ -953,7 +1227,7 @@ class StockChart {
             errorEl.innerHTML = `
                 <div class="error-content">
                     <i class="fas fa-exclamation-triangle error-icon"></i>
-                    <div class="error-message">${message}</div>
+                    <div class="error-message"></div>
                     <button class="btn btn-sm btn-outline-primary retry-btn">
                         <i class="fas fa-redo"></i> Retry
                     </button>
@@ -971,6 +1245,7 @@ class StockChart {
             });
         }
         
+        errorEl.querySelector('.error-message').textContent = message;
         errorEl.style.display = 'flex';
     }
 
@@ -991,6 +1266,7 @@ class StockChart {
     resetZoom() {
         if (this.chart && this.chart.resetZoom) {
             this.chart.resetZoom();
+            this.onVisibleRangeChange();
         }
     }
 
@@ -998,6 +1274,8 @@ class StockChart {
      * Destroy chart instance
      */
     destroy() {
+        this.canvas?.parentElement?.querySelector('.chart-pane-controls')?.remove();
+        this.canvas?.parentElement?.querySelector('.chart-compare-legend')?.remove();
         if (this.chart) {
             this.chart.destroy();
             this.chart = null;
@@ -1005,7 +1283,8 @@ class StockChart {
     }
 
     /**
-     * Enable real-time updates
+     * Enable real-time updates. Ticks are skipped while the market is closed
+     * and resume on their own at the open.
      */
     enableRealTimeUpdates(interval = 30000) { // 30 seconds default
         if (this.updateInterval) {
@@ -1013,12 +1292,16 @@ class StockChart {
         }
         
         this.updateInterval = setInterval(() => {
-            if (this.currentSymbol && !this.isLoading) {
+            if (this.currentSymbol && !this.isLoading && this.isMarketOpen()) {
                 this.updateRealTimeData();
             }
         }, interval);
     }
 
+    isMarketOpen() {
+        return !window.marketSession || window.marketSession.isOpen();
+    }
+
     /**
      * Disable real-time updates
      */
@@ -1039,14 +1322,15 @@ class StockChart {
             if (response.ok) {
                 const realtimeData = await response.json();
                 this.updateLatestDataPoint(realtimeData);
-            } else {
+            } else if (this.options.demoData) {
                 // Simulate real-time update with mock data
                 this.simulateRealTimeUpdate();
             }
         } catch (error) {
             console.warn('Real-time update failed:', error);
-            // Fallback to simulated update
-            this.simulateRealTimeUpdate();
+            if (this.options.demoData) {
+                this.simulateRealTimeUpdate();
+            }
         }
     }
 
@@ -1078,13 +1362,18 @@ class StockChart {
         }
         
         // Update volume if available
-        if (this.options.showVolume && this.chart.data.datasets[1] && realtimeData.volume) {
-            const volumeDataset = this.chart.data.datasets[1];
-            if (volumeDataset.data.length > lastIndex) {
-                volumeDataset.data[lastIndex].y = realtimeData.volume;
+        if (realtimeData.volume) {
+            const volume = this.volumeData;
+            if (realtimeData.timestamp > lastDataPoint.x) {
+                volume.push({ x: realtimeData.timestamp, y: realtimeData.volume });
+            } else if (volume.length > lastIndex) {
+                volume[lastIndex].y = realtimeData.volume;
             }
         }
         
+        this.refreshIndicators();
+        this.refreshComparison();
+        
         // Animate the update
         this.chart.update('active');
         
@@ -1093,7 +1382,7 @@ class StockChart {
     }
 
     /**
-     * Simulate real-time updates for demonstration
+     * Simulate real-time updates for demonstration (demoData option only)
      */
     simulateRealTimeUpdate() {
         if (!this.chart || !this.chart.data.datasets[0].data.length) return;
@@ -1142,7 +1431,19 @@ class StockChart {
         // Override this method to handle real-time updates
         console.log('Real-time update:', realtimeData);
     }
+
+    onIndicatorRemoved(indicator) {
+        // Override this method to handle indicators removed from their pane
+        console.log('Indicator removed:', indicator);
+    }
 }
 
 // Export for use in other modules
-window.StockChart = StockChart;
\ No newline at end of file
+// Symbols compare mode overlays, including the chart's own
+StockChart.MAX_COMPARE_SYMBOLS = COMPARE_COLORS.length;
+
+window.StockChart = StockChart;
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StockChart;
+}
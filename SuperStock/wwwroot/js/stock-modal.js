@@ -12,6 +12,14 @@ class StockModal {
         this.currentTimeframe = '1W';
         this.orderType = 'buy';
         this.isMarketOrder = true;
+        // Funds and holding for the open symbol; null until loaded
+        this.tradingLimits = null;
+        // Idempotency key of the order being confirmed; reused when Confirm is retried
+        this.orderKey = null;
+        // Intraday short-selling margin rules from the server
+        this.shortSelling = null;
+        // Symbols to compare once the chart has loaded, from the watchlist
+        this.pendingComparison = null;
         
         this.init();
     }
@@ -45,6 +53,7 @@ class StockModal {
         // Quantity input
         const quantityInput = document.getElementById('modalQuantity');
         quantityInput?.addEventListener('input', () => {
+            this.hideOrderRejection();
             this.validateQuantity();
             this.updateOrderSummary();
         });
@@ -56,6 +65,51 @@ class StockModal {
             this.updateOrderSummary();
         });
 
+        // Stop-loss / target bracket
+        const bracketToggle = document.getElementById('bracketToggle');
+        bracketToggle?.addEventListener('change', () => {
+            this.toggleBracketFields();
+            this.updateOrderSummary();
+        });
+
+        const trailingMode = document.getElementById('trailingMode');
+        trailingMode?.addEventListener('change', (e) => {
+            const trailingValue = document.getElementById('trailingValue');
+            if (trailingValue) {
+                trailingValue.disabled = !e.target.value;
+                if (!e.target.value) trailingValue.value = '';
+            }
+            this.updateOrderSummary();
+        });
+
+        ['stopLossPrice', 'takeProfitPrice', 'trailingValue'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.updateOrderSummary());
+        });
+
+        // Intraday short sell
+        const intradayToggle = document.getElementById('intradayToggle');
+        intradayToggle?.addEventListener('change', () => {
+            this.hideOrderRejection();
+            this.renderQuantityLimits();
+            this.validateQuantity();
+            this.updateOrderSummary();
+        });
+
+        // Recurring investment (SIP)
+        document.getElementById('sipToggle')?.addEventListener('click', () => {
+            this.toggleSipForm(document.getElementById('sipForm')?.style.display === 'none');
+        });
+        ['sipAmount', 'sipFrequency', 'sipDayOfWeek', 'sipDayOfMonth'].forEach(id => {
+            const field = document.getElementById(id);
+            field?.addEventListener(field.tagName === 'SELECT' ? 'change' : 'input', () => this.updateSipPreview());
+        });
+        document.getElementById('createSipBtn')?.addEventListener('click', () => this.createSip());
+
+        // Max buy / max sell shortcuts
+        document.querySelectorAll('.max-qty-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setMaxQuantity(btn.dataset.side));
+        });
+
         // Place order button
         const placeOrderBtn = document.getElementById('placeOrderBtn');
         placeOrderBtn?.addEventListener('click', () => this.showOrderConfirmation());
@@ -82,13 +136,22 @@ class StockModal {
             });
         });
 
-        // Technical indicator buttons
-        const indicatorButtons = document.querySelectorAll('.indicator-btn');
-        indicatorButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const indicator = e.target.dataset.indicator;
-                this.toggleIndicator(indicator);
-            });
+        // Technical indicator buttons (rendered from the indicator registry)
+        const indicatorButtons = document.getElementById('indicatorButtons');
+        indicatorButtons?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.indicator-btn');
+            if (btn) {
+                this.toggleIndicator(btn.dataset.indicator);
+            }
+        });
+
+        // Indicator parameter editors
+        const indicatorSettings = document.getElementById('indicatorSettings');
+        indicatorSettings?.addEventListener('change', (e) => {
+            const group = e.target.closest('[data-indicator]');
+            if (group) {
+                this.updateIndicatorParams(group);
+            }
         });
 
         // Reset zoom button
@@ -136,6 +199,12 @@ class StockModal {
         this.modal.addEventListener('hidden.bs.modal', () => {
             this.onModalHidden();
         });
+
+        // Switch between live orders and AMO when the market opens or closes
+        window.marketSession?.subscribe(() => {
+            this.renderMarketSession();
+            this.updateOrderSummary();
+        });
     }
 
     /**
@@ -147,12 +216,22 @@ class StockModal {
         this.currentStock = stockData;
         this.populateStockData(stockData);
         this.resetForm();
+        this.renderMarketSession();
+        this.loadTradingLimits();
         
         // Show modal using Bootstrap 5
         const bsModal = new bootstrap.Modal(this.modal);
         bsModal.show();
     }
 
+    /**
+     * Show the first stock's modal with its chart comparing all the symbols
+     */
+    showComparison(stockData, symbols) {
+        this.pendingComparison = symbols;
+        this.show(stockData);
+    }
+
     /**
      * Populate modal with stock data
      */
@@ -213,7 +292,8 @@ class StockModal {
             showVolume: true,
             showIndicators: true,
             enableZoom: true,
-            enablePan: true
+            enablePan: true,
+            drawingToolbar: 'chartDrawingTools'
         });
         
         // Override chart event handlers
@@ -224,6 +304,77 @@ class StockModal {
         this.chart.onChartUpdated = (chartData) => {
             this.onChartUpdated(chartData);
         };
+        
+        // Panes closed on the chart turn their indicator button off
+        this.chart.onIndicatorRemoved = (indicator) => {
+            this.updateIndicatorButton(indicator);
+            this.renderIndicatorSettings();
+        };
+        
+        this.renderIndicatorButtons();
+    }
+
+    /**
+     * One toggle button per indicator in the chart's registry, after the
+     * built-in Volume button
+     */
+    renderIndicatorButtons() {
+        const container = document.getElementById('indicatorButtons');
+        if (!container || !this.chart?.registry) return;
+
+        container.querySelectorAll('.indicator-btn:not([data-indicator="volume"])').forEach(btn => btn.remove());
+        container.insertAdjacentHTML('beforeend', this.chart.registry.list().map(definition => `
+            <button type="button" class="btn btn-sm indicator-btn${this.chart.indicators.has(definition.id) ? ' active' : ''}"
+                    data-indicator="${definition.id}">${definition.name}</button>
+        `).join(''));
+    }
+
+    /**
+     * Parameter inputs for each indicator on the chart that has parameters
+     */
+    renderIndicatorSettings() {
+        const container = document.getElementById('indicatorSettings');
+        const registry = this.chart?.registry;
+        if (!container || !registry) return;
+
+        const active = registry.list().filter(definition => this.chart.indicators.has(definition.id) && definition.params.length);
+        container.innerHTML = active.map(definition => {
+            const params = this.chart.getIndicatorParams(definition.id);
+            return `
+                <fieldset class="indicator-settings-group" data-indicator="${definition.id}">
+                    <legend>${definition.name}</legend>
+                    ${definition.params.map(param => `
+                        <label class="indicator-param">
+                            <span>${param.label}</span>
+                            <input type="number" class="form-control form-control-sm" data-param="${param.key}"
+                                   value="${params[param.key]}" min="${param.min ?? ''}" max="${param.max ?? ''}" step="${param.step ?? 1}">
+                        </label>
+                    `).join('')}
+                </fieldset>
+            `;
+        }).join('');
+        container.hidden = active.length === 0;
+    }
+
+    /**
+     * Apply the values of an indicator's parameter editor to the chart
+     */
+    updateIndicatorParams(group) {
+        const indicator = group.dataset.indicator;
+        const params = {};
+        group.querySelectorAll('[data-param]').forEach(input => {
+            params[input.dataset.param] = input.value;
+        });
+
+        this.chart?.setIndicatorParams(indicator, params);
+
+        // Show the values as clamped to each parameter's range
+        const applied = this.chart?.getIndicatorParams(indicator) || {};
+        group.querySelectorAll('[data-param]').forEach(input => {
+            if (applied[input.dataset.param] !== undefined) {
+                input.value = applied[input.dataset.param];
+            }
+        });
     }
 
     /**
@@ -234,6 +385,13 @@ class StockModal {
 
         // Use the enhanced chart's loadData method
         await this.chart.loadData(this.currentStock.symbol, this.currentTimeframe);
+        
+        // The chart keeps comparing across timeframes until it is closed
+        if (this.pendingComparison) {
+            const symbols = this.pendingComparison;
+            this.pendingComparison = null;
+            await this.chart.compare(symbols);
+        }
     }
 
     /**
@@ -322,6 +480,11 @@ class StockModal {
             }
         }
         
+        // Let the order book check resting limit orders against the new price
+        if (realtimeData.price && this.currentStock && window.orderBook) {
+            window.orderBook.processPriceUpdate(this.currentStock.symbol, realtimeData.price);
+        }
+        
         // Update order price placeholder if in market order mode
         if (this.isMarketOrder) {
             const priceInput = document.getElementById('modalOrderPrice');
@@ -384,10 +547,17 @@ class StockModal {
             this.chart.addIndicator(indicator);
         }
         
-        // Update indicator button state
-        const btn = document.querySelector(`[data-indicator="${indicator}"]`);
+        this.updateIndicatorButton(indicator);
+        this.renderIndicatorSettings();
+    }
+
+    /**
+     * Show an indicator button as active while its indicator is on the chart
+     */
+    updateIndicatorButton(indicator) {
+        const btn = document.querySelector(`.indicator-btn[data-indicator="${indicator}"]`);
         if (btn) {
-            btn.classList.toggle('active');
+            btn.classList.toggle('active', Boolean(this.chart?.indicators.has(indicator)));
         }
     }
 
@@ -421,9 +591,107 @@ class StockModal {
             }
         }
         
+        // Brackets protect bought positions only
+        const bracketGroup = document.getElementById('bracketGroup');
+        if (bracketGroup) {
+            bracketGroup.style.display = type === 'buy' ? 'block' : 'none';
+        }
+        if (type !== 'buy') {
+            const bracketToggle = document.getElementById('bracketToggle');
+            if (bracketToggle) bracketToggle.checked = false;
+            this.toggleBracketFields();
+        }
+        
+        // Only sells can open an intraday short
+        this.toggleIntradayGroup();
+        
         this.updateOrderSummary();
     }
 
+    /**
+     * Show/hide the stop-loss and target inputs
+     */
+    toggleBracketFields() {
+        const bracketToggle = document.getElementById('bracketToggle');
+        const bracketFields = document.getElementById('bracketFields');
+        if (bracketFields) {
+            bracketFields.style.display = bracketToggle?.checked ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Read the stop-loss / target bracket from the form, null when not requested
+     */
+    getBracketSpec() {
+        const bracketToggle = document.getElementById('bracketToggle');
+        if (this.orderType !== 'buy' || !bracketToggle?.checked) return null;
+
+        const trailingMode = document.getElementById('trailingMode')?.value || '';
+        return {
+            stopLoss: document.getElementById('stopLossPrice')?.value || null,
+            takeProfit: document.getElementById('takeProfitPrice')?.value || null,
+            trailing: trailingMode
+                ? { mode: trailingMode, value: document.getElementById('trailingValue')?.value }
+                : null
+        };
+    }
+
+    /**
+     * Validate bracket levels against the price the buy is expected to fill at
+     */
+    validateBracket() {
+        const feedback = document.getElementById('bracketFeedback');
+        const spec = this.getBracketSpec();
+        
+        const setFeedback = (message) => {
+            if (!feedback) return;
+            feedback.textContent = message;
+            feedback.className = message ? 'input-feedback invalid' : 'input-feedback';
+        };
+        
+        if (!spec) {
+            setFeedback('');
+            return true;
+        }
+
+        try {
+            const levels = window.orderBook
+                ? window.orderBook.parseBracketLevels(spec)
+                : { stopLoss: parseFloat(spec.stopLoss) || null, takeProfit: parseFloat(spec.takeProfit) || null };
+            const referencePrice = this.isMarketOrder
+                ? parseFloat(this.currentStock?.currentPrice || this.currentStock?.price || 0)
+                : parseFloat(document.getElementById('modalOrderPrice')?.value || 0);
+
+            if (referencePrice > 0 && levels.stopLoss !== null && levels.stopLoss >= referencePrice) {
+                throw new Error(`Stop-loss must be below ₹${referencePrice.toFixed(2)}`);
+            }
+            if (referencePrice > 0 && levels.takeProfit !== null && levels.takeProfit <= referencePrice) {
+                throw new Error(`Target must be above ₹${referencePrice.toFixed(2)}`);
+            }
+        } catch (error) {
+            setFeedback(error.message);
+            return false;
+        }
+
+        setFeedback('');
+        return true;
+    }
+
+    /**
+     * Describe a bracket for summaries, e.g. "SL ₹95.00 (trail 2%) / TGT ₹120.00"
+     */
+    describeBracket(spec) {
+        const parts = [];
+        if (spec.stopLoss) parts.push(`SL ₹${parseFloat(spec.stopLoss).toFixed(2)}`);
+        if (spec.trailing) {
+            parts.push(spec.trailing.mode === 'percent'
+                ? `Trail ${spec.trailing.value}%`
+                : `Trail ₹${parseFloat(spec.trailing.value).toFixed(2)}`);
+        }
+        if (spec.takeProfit) parts.push(`TGT ₹${parseFloat(spec.takeProfit).toFixed(2)}`);
+        return parts.join(' / ');
+    }
+
     /**
      * Toggle price input visibility based on order type
      */
@@ -460,6 +728,15 @@ class StockModal {
             feedback.className = 'input-feedback invalid';
             return false;
         }
+
+        const maxQuantity = this.getMaxQuantity(this.orderType);
+        if (maxQuantity !== null && quantity > maxQuantity) {
+            quantityInput.classList.add('is-invalid');
+            quantityInput.classList.remove('is-valid');
+            feedback.textContent = this.describeQuantityLimit(this.orderType, maxQuantity);
+            feedback.className = 'input-feedback invalid';
+            return false;
+        }
         
         quantityInput.classList.remove('is-invalid');
         quantityInput.classList.add('is-valid');
@@ -468,6 +745,274 @@ class StockModal {
         return true;
     }
 
+    /**
+     * Fetch available funds and the current holding for the open symbol so
+     * the form can reject orders the server would refuse
+     */
+    async loadTradingLimits() {
+        const symbol = this.currentStock?.symbol;
+        if (!symbol) return;
+
+        this.tradingLimits = null;
+        this.renderQuantityLimits();
+
+        try {
+            const [availableFunds, holdingQuantity] = await Promise.all([
+                this.fetchAvailableFunds(),
+                this.fetchHoldingQuantity(symbol),
+                this.loadShortSellingRules()
+            ]);
+
+            // Ignore the response if another stock was opened meanwhile
+            if (this.currentStock?.symbol !== symbol) return;
+            this.tradingLimits = { availableFunds, holdingQuantity };
+        } catch (error) {
+            console.warn('Trading limits unavailable, order checks left to the server:', error);
+        }
+
+        this.renderQuantityLimits();
+        this.toggleIntradayGroup();
+        if (document.getElementById('modalQuantity')?.value) {
+            this.updateOrderSummary();
+        }
+    }
+
+    /**
+     * Margin rate and square-off time for intraday shorts; loaded once
+     */
+    loadShortSellingRules() {
+        if (this.shortSelling) return Promise.resolve(this.shortSelling);
+
+        return new Promise((resolve) => {
+            $.ajax({
+                url: '/api/Fees/margin',
+                type: 'GET',
+                dataType: 'json',
+                success: (rules) => {
+                    this.shortSelling = rules;
+                    resolve(rules);
+                },
+                error: () => {
+                    console.warn('Short selling rules unavailable, intraday shorts disabled');
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Show the intraday option on the sell tab when short selling is enabled
+     */
+    toggleIntradayGroup() {
+        const intradayGroup = document.getElementById('intradayGroup');
+        const intradayToggle = document.getElementById('intradayToggle');
+        const available = this.orderType === 'sell' && Boolean(this.shortSelling?.enabled);
+
+        if (intradayGroup) {
+            intradayGroup.style.display = available ? 'block' : 'none';
+        }
+        if (intradayToggle && !available) {
+            intradayToggle.checked = false;
+        }
+
+        const note = document.getElementById('intradayNote');
+        if (note && this.shortSelling) {
+            note.textContent = `${(this.shortSelling.marginRate * 100).toFixed(0)}% margin is blocked from funds. ` +
+                `Open shorts are squared off at ${this.shortSelling.squareOffTime} IST.`;
+        }
+    }
+
+    /**
+     * Orders placed while the market is closed are queued as AMO
+     */
+    isMarketOpen() {
+        return !window.marketSession || window.marketSession.isOpen();
+    }
+
+    renderMarketSession() {
+        const notice = document.getElementById('amoNotice');
+        if (!notice) return;
+
+        if (this.isMarketOpen()) {
+            notice.style.display = 'none';
+            return;
+        }
+
+        const status = window.marketSession.getStatus();
+        notice.textContent = `${status.message}. Orders are queued as after-market orders (AMO) and execute at the open.`;
+        notice.style.display = 'block';
+    }
+
+    isIntradayShort() {
+        return this.orderType === 'sell' && Boolean(document.getElementById('intradayToggle')?.checked);
+    }
+
+    /**
+     * Margin an intraday short blocks from funds
+     */
+    calculateMargin(quantity, price) {
+        if (!this.isIntradayShort() || !this.shortSelling) return 0;
+        return Math.round(quantity * price * this.shortSelling.marginRate * 100) / 100;
+    }
+
+    fetchAvailableFunds() {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                type: 'GET',
+                url: '/api/GetFunds',
+                data: { GameType: this.getGameType() },
+                contentType: 'application/json',
+                timeout: 10000,
+                // Funds come back formatted with thousands separators
+                success: (funds) => resolve(parseFloat(String(funds).replace(/,/g, '')) || 0),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load available funds'))
+            });
+        });
+    }
+
+    fetchHoldingQuantity(symbol) {
+        const name = String(symbol).replace('.NS', '').toUpperCase();
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: '/api/UserStocks',
+                dataType: 'json',
+                data: { GameType: this.getGameType() },
+                contentType: 'application/json',
+                timeout: 10000,
+                success: (data) => {
+                    try {
+                        const holdings = JSON.parse(data).Value.UserStockList || [];
+                        const holding = holdings.find(stock => String(stock.Name).toUpperCase() === name);
+                        resolve(holding ? parseInt(holding.Count) || 0 : 0);
+                    } catch (parseError) {
+                        reject(new Error('Failed to parse holdings'));
+                    }
+                },
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load holdings'))
+            });
+        });
+    }
+
+    /**
+     * Price the order will be checked against: the limit price, else the market
+     */
+    getReferencePrice() {
+        if (!this.isMarketOrder) {
+            const limitPrice = parseFloat(document.getElementById('modalOrderPrice')?.value);
+            if (limitPrice > 0) return limitPrice;
+        }
+        return parseFloat(this.currentStock?.currentPrice || this.currentStock?.price || 0);
+    }
+
+    /**
+     * Largest quantity the server would accept for a side, or null if unknown
+     */
+    getMaxQuantity(side) {
+        if (!this.tradingLimits) return null;
+
+        const { availableFunds, holdingQuantity } = this.tradingLimits;
+        const shorting = side === 'sell' && this.isIntradayShort();
+
+        if (side === 'sell' && !shorting) {
+            return Math.max(holdingQuantity, 0);
+        }
+        // A buy against a short covers it, and a long must be sold before shorting
+        if (side === 'buy' && holdingQuantity < 0) {
+            return Math.abs(holdingQuantity);
+        }
+        if (shorting && holdingQuantity > 0) {
+            return 0;
+        }
+
+        const price = this.getReferencePrice();
+        if (!(price > 0)) return null;
+        return shorting
+            ? this.getFeeEngine().maxAffordableQuantity(availableFunds, price, { marginRate: this.shortSelling.marginRate, side: 'sell' })
+            : this.getFeeEngine().maxAffordableQuantity(availableFunds, price);
+    }
+
+    describeQuantityLimit(side, maxQuantity) {
+        const name = String(this.currentStock?.symbol || '').replace('.NS', '');
+        const { availableFunds, holdingQuantity } = this.tradingLimits;
+
+        if (side === 'buy' && holdingQuantity < 0) {
+            return `You are short ${maxQuantity} ${name} shares; buy up to ${maxQuantity} to cover`;
+        }
+        if (side === 'sell' && this.isIntradayShort()) {
+            if (holdingQuantity > 0) {
+                return `Sell your ${holdingQuantity} ${name} shares as delivery before shorting`;
+            }
+            return maxQuantity > 0
+                ? `Insufficient margin: you can short up to ${maxQuantity} shares with ₹${availableFunds.toFixed(2)}`
+                : `Insufficient margin: ₹${availableFunds.toFixed(2)} available`;
+        }
+
+        if (side === 'sell') {
+            return maxQuantity > 0
+                ? `You hold only ${maxQuantity} shares of ${name}`
+                : `You don't hold any ${name} shares`;
+        }
+
+        const funds = `₹${availableFunds.toFixed(2)}`;
+        return maxQuantity > 0
+            ? `Insufficient funds: you can buy up to ${maxQuantity} shares with ${funds} including charges`
+            : `Insufficient funds: ${funds} available`;
+    }
+
+    /**
+     * Show max buy / max sell next to the quantity input
+     */
+    renderQuantityLimits() {
+        ['buy', 'sell'].forEach(side => {
+            const maxQuantity = this.getMaxQuantity(side);
+            const label = document.getElementById(side === 'buy' ? 'maxBuyQuantity' : 'maxSellQuantity');
+            const button = document.querySelector(`.max-qty-btn[data-side="${side}"]`);
+
+            if (label) label.textContent = maxQuantity === null ? '--' : maxQuantity;
+            if (button) button.disabled = !maxQuantity;
+        });
+    }
+
+    /**
+     * Fill the quantity with the largest amount the side allows
+     */
+    setMaxQuantity(side) {
+        const maxQuantity = this.getMaxQuantity(side);
+        const quantityInput = document.getElementById('modalQuantity');
+        if (!maxQuantity || !quantityInput) return;
+
+        if (side !== this.orderType) {
+            this.setOrderType(side);
+        }
+        quantityInput.value = maxQuantity;
+        this.hideOrderRejection();
+        this.validateQuantity();
+        this.updateOrderSummary();
+    }
+
+    /**
+     * Explain a server rejection inside the order form, so the user can
+     * correct the quantity without starting over
+     */
+    showOrderRejection(message, details) {
+        const rejection = document.getElementById('orderRejection');
+        if (!rejection) return;
+
+        const maxQuantity = details?.maxQuantity;
+        rejection.textContent = maxQuantity > 0
+            ? `${message}. You can ${this.orderType} up to ${maxQuantity} shares.`
+            : message;
+        rejection.style.display = 'block';
+    }
+
+    hideOrderRejection() {
+        const rejection = document.getElementById('orderRejection');
+        if (rejection) {
+            rejection.textContent = '';
+            rejection.style.display = 'none';
+        }
+    }
+
     /**
      * Validate price input for limit orders
      */
@@ -518,6 +1063,9 @@ class StockModal {
         
         const totalValue = quantity * price;
         
+        // Max buy moves with the price
+        this.renderQuantityLimits();
+        
         // Update estimated value with animation
         this.animateValueChange(estimatedValue, totalValue);
         
@@ -525,7 +1073,7 @@ class StockModal {
         this.updateOrderSummaryDetails(quantity, price, totalValue);
         
         // Enable/disable place order button with visual feedback
-        const isValid = this.validateQuantity() && this.validatePrice() && quantity > 0 && price > 0;
+        const isValid = this.validateQuantity() && this.validatePrice() && this.validateBracket() && quantity > 0 && price > 0;
         this.updateOrderButton(isValid, quantity, price);
     }
 
@@ -554,10 +1102,10 @@ class StockModal {
         const orderSummary = document.getElementById('orderSummary');
         if (!orderSummary) return;
 
-        // Calculate additional fees (mock calculation)
-        const brokerage = totalValue * 0.0005; // 0.05% brokerage
-        const taxes = totalValue * 0.001; // 0.1% taxes
-        const totalCost = totalValue + brokerage + taxes;
+        const fees = this.calculateFees(quantity, price);
+        const feeEngine = this.getFeeEngine();
+        const margin = this.calculateMargin(quantity, price);
+        const shorting = this.isIntradayShort();
 
         const summaryHTML = `
             <div class="summary-row">
@@ -570,25 +1118,52 @@ class StockModal {
             </div>
             <div class="summary-row">
                 <span class="label">Order Value:</span>
-                <span class="value">₹${totalValue.toFixed(2)}</span>
+                <span class="value" id="estimatedValue">₹${totalValue.toFixed(2)}</span>
             </div>
+            ${feeEngine.getLineItems(fees).map(item => `
             <div class="summary-row fees">
-                <span class="label">Est. Brokerage:</span>
-                <span class="value">₹${brokerage.toFixed(2)}</span>
+                <span class="label">Est. ${item.label}:</span>
+                <span class="value">₹${item.amount.toFixed(2)}</span>
+            </div>`).join('')}
+            <div class="summary-row fees total-charges">
+                <span class="label">Total Charges:</span>
+                <span class="value">₹${fees.total.toFixed(2)}</span>
             </div>
-            <div class="summary-row fees">
-                <span class="label">Est. Taxes:</span>
-                <span class="value">₹${taxes.toFixed(2)}</span>
+            ${shorting ? `
+            <div class="summary-row margin">
+                <span class="label">Margin Blocked:</span>
+                <span class="value">₹${margin.toFixed(2)}</span>
             </div>
             <div class="summary-row total">
-                <span class="label">Total ${this.orderType === 'buy' ? 'Cost' : 'Credit'}:</span>
-                <span class="value">₹${totalCost.toFixed(2)}</span>
-            </div>
+                <span class="label">Funds Required:</span>
+                <span class="value">₹${(margin + fees.total).toFixed(2)}</span>
+            </div>` : `
+            <div class="summary-row total">
+                <span class="label">${this.orderType === 'buy' ? 'Total Cost' : 'Net Credit'}:</span>
+                <span class="value">₹${fees.netAmount.toFixed(2)}</span>
+            </div>`}
         `;
 
         orderSummary.innerHTML = summaryHTML;
     }
 
+    /**
+     * Shared fee engine, or a default-schedule one if it hasn't loaded
+     */
+    getFeeEngine() {
+        if (!window.feeEngine) {
+            window.feeEngine = new window.FeeEngine();
+        }
+        return window.feeEngine;
+    }
+
+    /**
+     * Brokerage and statutory charges for the order being entered
+     */
+    calculateFees(quantity, price) {
+        return this.getFeeEngine().calculate({ side: this.orderType, quantity, price });
+    }
+
     /**
      * Update order button state with visual feedback
      */
@@ -603,7 +1178,7 @@ class StockModal {
         if (isValid && quantity > 0 && price > 0) {
             const actionText = this.orderType === 'buy' ? 'Buy' : 'Sell';
             const orderTypeText = this.isMarketOrder ? 'Market' : 'Limit';
-            btnText.textContent = `Place ${actionText} Order (${orderTypeText})`;
+            btnText.textContent = `Place ${actionText} ${this.isMarketOpen() ? 'Order' : 'AMO'} (${orderTypeText})`;
             placeOrderBtn.classList.remove('btn-disabled');
             placeOrderBtn.classList.add('btn-ready');
         } else {
@@ -617,7 +1192,10 @@ class StockModal {
      * Show order confirmation modal with detailed breakdown
      */
     showOrderConfirmation() {
-        if (!this.validateQuantity() || !this.validatePrice()) return;
+        if (!this.validateQuantity() || !this.validatePrice() || !this.validateBracket()) return;
+        
+        this.orderKey = window.orderBook?.createIdempotencyKey() || null;
+        const bracketSpec = this.getBracketSpec();
 
         const quantity = parseInt(document.getElementById('modalQuantity').value);
         const price = this.isMarketOrder 
@@ -626,10 +1204,11 @@ class StockModal {
         
         const totalValue = quantity * price;
         
-        // Calculate fees and total cost
-        const brokerage = totalValue * 0.0005;
-        const taxes = totalValue * 0.001;
-        const totalCost = totalValue + brokerage + taxes;
+        // Same charges the server debits on execution
+        const fees = this.calculateFees(quantity, price);
+        const feeEngine = this.getFeeEngine();
+        const shorting = this.isIntradayShort();
+        const margin = this.calculateMargin(quantity, price);
         
         // Update confirmation modal title and icon based on order type
         const confirmationIcon = document.querySelector('.confirmation-modal .confirmation-icon');
@@ -643,7 +1222,7 @@ class StockModal {
             } else {
                 confirmationIcon.className = 'confirmation-icon warning';
                 confirmationIcon.innerHTML = '<i class="fas fa-arrow-down"></i>';
-                confirmationTitle.textContent = 'Confirm Sell Order';
+                confirmationTitle.textContent = shorting ? 'Confirm Intraday Short' : 'Confirm Sell Order';
             }
         }
         
@@ -659,7 +1238,7 @@ class StockModal {
                 <div class="order-details-grid">
                     <div class="detail-row">
                         <span class="label">Action:</span>
-                        <span class="value ${this.orderType}">${this.orderType.toUpperCase()}</span>
+                        <span class="value ${this.orderType}">${shorting ? 'SELL SHORT (Intraday)' : this.orderType.toUpperCase()}</span>
                     </div>
                     <div class="detail-row">
                         <span class="label">Quantity:</span>
@@ -673,30 +1252,47 @@ class StockModal {
                         <span class="label">Price:</span>
                         <span class="value">${this.isMarketOrder ? 'Market Price' : `₹${price.toFixed(2)}`}</span>
                     </div>
+                    ${bracketSpec ? `
+                    <div class="detail-row">
+                        <span class="label">Stop-loss / Target:</span>
+                        <span class="value">${this.describeBracket(bracketSpec)}</span>
+                    </div>` : ''}
                     <div class="detail-row subtotal">
                         <span class="label">Order Value:</span>
                         <span class="value">₹${totalValue.toFixed(2)}</span>
                     </div>
+                    ${feeEngine.getLineItems(fees).map(item => `
                     <div class="detail-row fees">
-                        <span class="label">Brokerage:</span>
-                        <span class="value">₹${brokerage.toFixed(2)}</span>
+                        <span class="label">${item.label}:</span>
+                        <span class="value">₹${item.amount.toFixed(2)}</span>
+                    </div>`).join('')}
+                    <div class="detail-row fees total-charges">
+                        <span class="label">Total Charges:</span>
+                        <span class="value">₹${fees.total.toFixed(2)}</span>
                     </div>
+                    ${shorting ? `
                     <div class="detail-row fees">
-                        <span class="label">Taxes & Charges:</span>
-                        <span class="value">₹${taxes.toFixed(2)}</span>
+                        <span class="label">Margin Blocked:</span>
+                        <span class="value">₹${margin.toFixed(2)}</span>
                     </div>
+                    <div class="detail-row total">
+                        <span class="label">Total Debit:</span>
+                        <span class="value">₹${(margin + fees.total).toFixed(2)}</span>
+                    </div>` : `
                     <div class="detail-row total">
                         <span class="label">Total ${this.orderType === 'buy' ? 'Debit' : 'Credit'}:</span>
-                        <span class="value">₹${totalCost.toFixed(2)}</span>
-                    </div>
+                        <span class="value">₹${fees.netAmount.toFixed(2)}</span>
+                    </div>`}
                 </div>
                 
                 <div class="order-warning">
                     <i class="fas fa-info-circle"></i>
-                    <span>${this.isMarketOrder ? 
+                    <span>${!this.isMarketOpen() ?
+                        `The market is closed. This order is queued and executes ${this.isMarketOrder ? 'at the opening price' : 'once the price is reached'} after the open (${window.marketSession.formatDateTime(window.marketSession.getStatus().nextOpen)} IST).` :
+                        this.isMarketOrder ? 
                         'Market orders execute immediately at the best available price.' : 
                         'Limit orders execute only when the stock reaches your specified price.'
-                    }</span>
+                    }${shorting ? ` The short is squared off automatically at ${this.shortSelling.squareOffTime} IST.` : ''}</span>
                 </div>
             `;
         }
@@ -733,29 +1329,50 @@ class StockModal {
                 orderType: this.orderType,
                 quantity: parseInt(document.getElementById('modalQuantity').value),
                 isMarketOrder: this.isMarketOrder,
-                price: this.isMarketOrder ? null : parseFloat(document.getElementById('modalOrderPrice').value)
+                price: this.isMarketOrder ? null : parseFloat(document.getElementById('modalOrderPrice').value),
+                bracket: this.getBracketSpec(),
+                productType: this.isIntradayShort() ? 'INTRADAY' : 'DELIVERY',
+                idempotencyKey: this.orderKey
             };
 
-            // Call the existing OnBuySell function or make API call
+            // Market orders execute now, limit orders go to the order book
             const response = await this.submitOrder(orderData);
             
             if (response.success) {
+                const message = response.afterMarket
+                    ? `${this.orderType.toUpperCase()} AMO for ${orderData.symbol} queued ${orderData.isMarketOrder ? 'at market' : `at ₹${orderData.price.toFixed(2)}`}; it executes at the next open`
+                    : response.pending
+                    ? `${this.orderType.toUpperCase()} limit order for ${orderData.symbol} queued at ₹${orderData.price.toFixed(2)}`
+                    : `${this.orderType.toUpperCase()} order placed successfully for ${orderData.symbol}` +
+                        (response.fees ? ` (charges ₹${response.fees.total.toFixed(2)})` : '') +
+                        (response.reconciled ? ' - confirmed from an earlier attempt' : '');
+                this.orderKey = null;
+
                 // Close modals
                 bootstrap.Modal.getInstance(this.confirmationModal)?.hide();
                 bootstrap.Modal.getInstance(this.modal)?.hide();
                 
                 // Show success notification
                 if (window.dashboard) {
-                    window.dashboard.showNotification(
-                        `${this.orderType.toUpperCase()} order placed successfully for ${this.currentStock.symbol}`,
-                        'success'
-                    );
+                    window.dashboard.showNotification(message, 'success');
+                    if (response.bracketError) {
+                        window.dashboard.showNotification(`Stop-loss / target not attached: ${response.bracketError}`, 'warning');
+                    }
                     // Refresh data
                     window.dashboard.loadHoldingsData();
                     window.dashboard.loadWatchlistData();
                 } else {
-                    alert('Order placed successfully!');
+                    alert(message);
+                }
+            } else if (response.rejection) {
+                // Keep the order form open with the reason from the server
+                bootstrap.Modal.getInstance(this.confirmationModal)?.hide();
+                // A duplicate still in flight keeps its key so a retry can reconcile
+                if (response.errorCode !== 'DUPLICATE_ORDER') {
+                    this.orderKey = null;
                 }
+                this.showOrderRejection(response.message, response.rejection);
+                this.loadTradingLimits();
             } else {
                 throw new Error(response.message || 'Order placement failed');
             }
@@ -776,32 +1393,196 @@ class StockModal {
     }
 
     /**
-     * Submit order to server
+     * Submit order to server. Market orders execute immediately, limit orders
+     * go through the order book and rest there until the price crosses.
+     * While the market is closed both are queued as AMO for the next open.
      */
     async submitOrder(orderData) {
-        // Use existing OnBuySell functionality
-        return new Promise((resolve) => {
-            // Simulate the existing order placement
-            const button = document.createElement('button');
-            button.id = orderData.orderType === 'buy' ? 'buyButton' : 'sellButton';
-            
-            // Set up the modal data as expected by OnBuySell
-            document.getElementById('mStock').textContent = orderData.symbol;
-            document.getElementById('mQuantity').value = orderData.quantity;
-            document.getElementById('mOrderPrice').value = orderData.price || '';
-            
-            // Call existing function
-            if (typeof OnBuySell === 'function') {
-                try {
-                    OnBuySell(button);
-                    resolve({ success: true });
-                } catch (error) {
-                    resolve({ success: false, message: error.message });
+        const orderBook = window.orderBook;
+        if (!orderBook) {
+            return { success: false, message: 'Order service not available' };
+        }
+
+        try {
+            if (!this.isMarketOpen()) {
+                const order = orderBook.placeAfterMarketOrder({
+                    symbol: orderData.symbol,
+                    side: orderData.orderType,
+                    quantity: orderData.quantity,
+                    limitPrice: orderData.isMarketOrder ? null : orderData.price,
+                    gameType: this.getGameType(),
+                    productType: orderData.productType,
+                    bracket: orderData.bracket
+                });
+                return { success: true, pending: true, afterMarket: true, order };
+            }
+
+            if (orderData.isMarketOrder) {
+                const marketPrice = parseFloat(this.currentStock?.currentPrice || this.currentStock?.price || 0);
+                const execution = await orderBook.executeOrder({
+                    symbol: orderData.symbol,
+                    side: orderData.orderType,
+                    quantity: orderData.quantity,
+                    price: marketPrice,
+                    gameType: this.getGameType(),
+                    productType: orderData.productType,
+                    idempotencyKey: orderData.idempotencyKey
+                });
+                
+                // The buy has gone through, so a bad bracket is only a warning
+                let bracketError = null;
+                if (orderData.bracket) {
+                    try {
+                        orderBook.attachBracket({
+                            ...orderData.bracket,
+                            symbol: orderData.symbol,
+                            quantity: orderData.quantity,
+                            entryPrice: marketPrice,
+                            gameType: this.getGameType()
+                        });
+                    } catch (error) {
+                        bracketError = error.message;
+                    }
                 }
+                return {
+                    success: true,
+                    pending: false,
+                    bracketError,
+                    fees: execution?.fees || null,
+                    reconciled: Boolean(execution?.duplicate)
+                };
+            }
+
+            const order = await orderBook.placeLimitOrder({
+                symbol: orderData.symbol,
+                side: orderData.orderType,
+                quantity: orderData.quantity,
+                limitPrice: orderData.price,
+                gameType: this.getGameType(),
+                productType: orderData.productType,
+                bracket: orderData.bracket
+            }, parseFloat(this.currentStock?.currentPrice || this.currentStock?.price || 0) || null);
+
+            if (order.status === 'rejected') {
+                return { success: false, message: order.rejectionReason, order };
+            }
+            return { success: true, pending: order.status === 'open', order };
+        } catch (error) {
+            return { success: false, message: error.message, errorCode: error.code, rejection: error.details || null };
+        }
+    }
+
+    /**
+     * Show or hide the SIP form below the order form
+     */
+    toggleSipForm(show) {
+        const form = document.getElementById('sipForm');
+        if (!form) return;
+
+        form.style.display = show ? 'block' : 'none';
+        document.getElementById('sipToggle')?.setAttribute('aria-expanded', String(show));
+        if (show) {
+            this.updateSipPreview();
+            document.getElementById('sipAmount')?.focus();
+        }
+    }
+
+    readSipPlan() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        return {
+            symbol: this.currentStock?.symbol || '',
+            amount: value('sipAmount'),
+            frequency: value('sipFrequency'),
+            dayOfWeek: value('sipDayOfWeek'),
+            dayOfMonth: value('sipDayOfMonth'),
+            gameType: this.getGameType()
+        };
+    }
+
+    /**
+     * Schedule and the shares one instalment buys at today's price
+     */
+    updateSipPreview() {
+        const sipPlans = window.sipPlans;
+        const plan = this.readSipPlan();
+        const frequency = plan.frequency;
+
+        const dayOfWeekField = document.getElementById('sipDayOfWeekField');
+        const dayOfMonthField = document.getElementById('sipDayOfMonthField');
+        if (dayOfWeekField) dayOfWeekField.style.display = frequency === 'WEEKLY' ? '' : 'none';
+        if (dayOfMonthField) dayOfMonthField.style.display = frequency === 'MONTHLY' ? '' : 'none';
+
+        const preview = document.getElementById('sipPreview');
+        const feedback = document.getElementById('sipFeedback');
+        if (!sipPlans || !preview) return;
+
+        const amount = parseFloat(plan.amount);
+        // Instalments are market buys, whatever the order form is set to
+        const price = parseFloat(this.currentStock?.currentPrice || this.currentStock?.price || 0);
+        const quantity = sipPlans.estimateQuantity(amount, price, this.getFeeEngine());
+        preview.textContent = amount > 0
+            ? `${sipPlans.describeSchedule({ ...plan, dayOfWeek: parseInt(plan.dayOfWeek), dayOfMonth: parseInt(plan.dayOfMonth) })}: ` +
+              `₹${amount.toFixed(2)} buys about ${quantity} share${quantity === 1 ? '' : 's'} at today's price`
+            : '';
+        if (feedback) {
+            feedback.textContent = amount > 0 && price > 0 && quantity === 0 ? 'The amount is less than the price of one share' : '';
+            feedback.className = feedback.textContent ? 'input-feedback invalid' : 'input-feedback';
+        }
+    }
+
+    /**
+     * Create a SIP for the open stock; the server buys it on schedule
+     */
+    async createSip() {
+        const sipPlans = window.sipPlans;
+        const feedback = document.getElementById('sipFeedback');
+        const button = document.getElementById('createSipBtn');
+        if (!sipPlans || !button) return;
+
+        const plan = this.readSipPlan();
+        const error = sipPlans.validate(plan);
+        if (error) {
+            if (feedback) {
+                feedback.textContent = error;
+                feedback.className = 'input-feedback invalid';
+            }
+            return;
+        }
+
+        button.disabled = true;
+        button.querySelector('.btn-text').style.display = 'none';
+        button.querySelector('.btn-loading').style.display = 'block';
+
+        try {
+            const created = await sipPlans.createPlan(plan);
+            const message = `SIP started: ₹${parseFloat(plan.amount).toFixed(2)} of ${created?.symbol || plan.symbol}, ` +
+                sipPlans.describeSchedule(created || plan).toLowerCase();
+            this.toggleSipForm(false);
+            if (window.dashboard) {
+                window.dashboard.showNotification(message, 'success');
             } else {
-                resolve({ success: false, message: 'Order function not available' });
+                alert(message);
             }
-        });
+        } catch (requestError) {
+            if (feedback) {
+                feedback.textContent = requestError.message;
+                feedback.className = 'input-feedback invalid';
+            }
+        } finally {
+            button.disabled = false;
+            button.querySelector('.btn-text').style.display = 'inline';
+            button.querySelector('.btn-loading').style.display = 'none';
+        }
+    }
+
+    /**
+     * Get game type from the dashboard (Competition -> C1)
+     */
+    getGameType() {
+        if (window.dashboard && window.dashboard.getGameType) {
+            return window.dashboard.getGameType();
+        }
+        return typeof GetGameType === 'function' ? GetGameType() : '';
     }
 
     /**
@@ -833,6 +1614,29 @@ class StockModal {
             priceInput.classList.remove('is-valid', 'is-invalid');
         }
         
+        // Clear stop-loss / target
+        const bracketToggle = document.getElementById('bracketToggle');
+        if (bracketToggle) {
+            bracketToggle.checked = false;
+            this.toggleBracketFields();
+        }
+        ['stopLossPrice', 'takeProfitPrice', 'trailingValue'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        const trailingMode = document.getElementById('trailingMode');
+        if (trailingMode) {
+            trailingMode.value = '';
+            document.getElementById('trailingValue').disabled = true;
+        }
+        
+        this.hideOrderRejection();
+        
+        // Close the SIP form
+        const sipAmount = document.getElementById('sipAmount');
+        if (sipAmount) sipAmount.value = '';
+        this.toggleSipForm(false);
+        
         // Clear feedback
         const feedbacks = document.querySelectorAll('.input-feedback');
         feedbacks.forEach(feedback => {
@@ -870,11 +1674,18 @@ class StockModal {
         
         // Clear current stock
         this.currentStock = null;
+        this.pendingComparison = null;
         
         // Reset chart if it exists
         if (this.chart && this.chart.chart) {
-            // Clear all indicators
-            this.chart.indicators.clear();
+            this.chart.exitCompare();
+            
+            // Clear all indicators, with their datasets and panes; volume stays
+            [...this.chart.indicators].filter(indicator => indicator !== 'volume').forEach(indicator => {
+                this.chart.removeIndicator(indicator);
+                this.updateIndicatorButton(indicator);
+            });
+            this.renderIndicatorSettings();
             
             // Reset chart type to candlestick
             this.chart.setChartType('candlestick');
@@ -373,29 +373,8 @@ class ServiceWorkerManager {
     }
 
     async setupOfflineDatabase() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open('SuperStockOffline', 1);
-            
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => resolve(request.result);
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Create stores for offline data
-                if (!db.objectStoreNames.contains('trades')) {
-                    db.createObjectStore('trades', { keyPath: 'id', autoIncrement: true });
-                }
-                
-                if (!db.objectStoreNames.contains('watchlist')) {
-                    db.createObjectStore('watchlist', { keyPath: 'id', autoIncrement: true });
-                }
-                
-                if (!db.objectStoreNames.contains('portfolio')) {
-                    db.createObjectStore('portfolio', { keyPath: 'symbol' });
-                }
-            };
-        });
+        // Same schema as the service worker; see offline-db.js
+        return window.OfflineDb.open();
     }
 
     setupOfflineFormHandling() {
@@ -485,9 +464,12 @@ class ServiceWorkerManager {
         console.log('Trade synced:', data);
         
         if (data.success) {
+            // A duplicate means an earlier replay already filled it; nothing new was bought or sold
             this.showNotification(
                 'Trade Executed',
-                'Your offline trade has been processed',
+                data.duplicate
+                    ? 'Your offline trade had already been processed'
+                    : 'Your offline trade has been processed',
                 'success'
             );
             
@@ -495,6 +477,12 @@ class ServiceWorkerManager {
             if (window.dashboard) {
                 window.dashboard.refreshPortfolio();
             }
+        } else if (data.rejection) {
+            this.showNotification(
+                'Trade Rejected',
+                data.rejection.message || 'Your offline trade could not be executed',
+                'error'
+            );
         }
     }
 
@@ -617,6 +605,23 @@ class ServiceWorkerManager {
         }
     }
 
+    // Add or replace offline records
+    async putOfflineData(storeName, records) {
+        try {
+            const db = await this.setupOfflineDatabase();
+            const transaction = db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            records.forEach(record => store.put(record));
+            
+            return new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error('Failed to store offline data:', error);
+        }
+    }
+
     // Clear offline data
     async clearOfflineData(storeName) {
         try {
@@ -0,0 +1,69 @@
+/**
+ * Unit Tests for the Account Ledger
+ * Tests the game filter mapping and how corporate action entries are rendered
+ */
+
+const AccountLedger = require('../account-ledger');
+
+describe('AccountLedger', () => {
+    const entries = [
+        {
+            id: 'l2', actionId: 'a2', symbol: 'INFY', type: 'DIVIDEND', description: 'Final dividend',
+            gameType: '', quantityBefore: 10, quantityAfter: 10, avgPriceBefore: 1500, avgPriceAfter: 1500,
+            amount: 220, exDate: '2026-05-30T00:00:00Z'
+        },
+        {
+            id: 'l1', actionId: 'a1', symbol: 'TCS', type: 'SPLIT', description: 'Split 1:2',
+            gameType: 'C1', quantityBefore: 10, quantityAfter: 20, avgPriceBefore: 2400, avgPriceAfter: 1200,
+            amount: 0, exDate: '2026-03-02T00:00:00Z'
+        }
+    ];
+
+    let ledger;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <table><tbody id="ledgerTableBody"></tbody></table>
+            <div id="ledgerEmpty" style="display: none;"></div>
+        `;
+        global.$ = {
+            ajax: jest.fn(options => {
+                options.success({ success: true, data: entries });
+                options.complete();
+            })
+        };
+        ledger = new AccountLedger();
+    });
+
+    afterEach(() => {
+        delete global.$;
+    });
+
+    test('should map the blotter game filter to the ledger gameType', () => {
+        ledger.setGameType('PRACTICE');
+        expect(ledger.gameType).toBe('');
+        ledger.setGameType('C1');
+        expect(ledger.gameType).toBe('C1');
+        ledger.setGameType('');
+        expect(ledger.gameType).toBeNull();
+    });
+
+    test('should render splits with the holding change and dividends as credits', async () => {
+        await ledger.load();
+
+        const rows = document.querySelectorAll('#ledgerTableBody tr');
+        expect(rows).toHaveLength(2);
+        expect(rows[0].querySelector('.ledger-amount').classList.contains('credit')).toBe(true);
+        expect(rows[0].textContent).toContain('10 shares held');
+        expect(rows[1].textContent).toContain('10 → 20 shares');
+        expect(rows[1].textContent).toContain('Competition');
+        expect(document.getElementById('ledgerEmpty').style.display).toBe('none');
+    });
+
+    test('should describe a dividend paid on a short as a debit', () => {
+        const html = ledger.getRowHTML({ ...entries[0], quantityBefore: -5, amount: -110 });
+        expect(html).toContain('5 shares short');
+        expect(html).toContain('debit');
+        expect(html).toContain('-₹110.00');
+    });
+});
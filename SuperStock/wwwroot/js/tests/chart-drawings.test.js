@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for the Chart Drawings
+ * Tests drawing and deleting with the pointer, Fibonacci levels and
+ * syncing the offline and server copies
+ */
+
+const { ChartDrawings, ChartDrawingStore } = require('../chart-drawings');
+
+describe('ChartDrawings', () => {
+    let canvas;
+    let store;
+
+    // 1px = 1 second on the time axis and ₹1 on the price axis (300 at the top)
+    const createStockChart = () => ({
+        canvas,
+        options: { enablePan: true },
+        chart: {
+            chartArea: { left: 0, right: 600, top: 0, bottom: 400, width: 600 },
+            scales: {
+                x: { getPixelForValue: v => v / 1000, getValueForPixel: p => p * 1000 },
+                y: { top: 0, bottom: 300, height: 300, getPixelForValue: v => 300 - v, getValueForPixel: p => 300 - p }
+            },
+            options: { plugins: { zoom: { pan: { enabled: true } } } },
+            draw: jest.fn()
+        }
+    });
+
+    const pointer = (type, x, y) => canvas.dispatchEvent(new MouseEvent(type, { clientX: x, clientY: y, button: 0, bubbles: true }));
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+        document.body.innerHTML = '<canvas id="stockChart" tabindex="0"></canvas>';
+        canvas = document.getElementById('stockChart');
+        store = {
+            getLocal: jest.fn(() => Promise.resolve(null)),
+            putLocal: jest.fn(() => Promise.resolve()),
+            fetchRemote: jest.fn(() => Promise.resolve(null)),
+            pushRemote: jest.fn((symbol, drawings, updatedAt) => Promise.resolve({ drawings, updatedAt }))
+        };
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should draw a trendline by dragging, save it and delete it with the Delete key', async () => {
+        const drawings = new ChartDrawings(createStockChart(), { store });
+        await drawings.load('TCS');
+
+        drawings.setTool('trendline');
+        pointer('pointerdown', 100, 200);
+        pointer('pointermove', 200, 150);
+        pointer('pointerup', 200, 150);
+        await flush();
+
+        expect(drawings.items).toHaveLength(1);
+        expect(drawings.items[0]).toMatchObject({ type: 'trendline', points: [{ x: 100000, y: 100 }, { x: 200000, y: 150 }] });
+        expect(drawings.selectedId).toBe(drawings.items[0].id);
+        expect(drawings.tool).toBeNull();
+        expect(store.putLocal).toHaveBeenCalledWith('TCS', expect.objectContaining({ pending: true }));
+        expect(store.pushRemote).toHaveBeenCalledWith('TCS', drawings.items, drawings.updatedAt);
+        expect(store.putLocal).toHaveBeenLastCalledWith('TCS', expect.objectContaining({ pending: false }));
+
+        canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete' }));
+        expect(drawings.items).toEqual([]);
+    });
+
+    test('should move a horizontal line by dragging it', async () => {
+        const drawings = new ChartDrawings(createStockChart(), { store });
+        await drawings.load('TCS');
+
+        drawings.setTool('hline');
+        pointer('pointerdown', 300, 100);
+        pointer('pointerup', 300, 100);
+        expect(drawings.items[0].points[0].y).toBe(200);
+
+        pointer('pointerdown', 50, 102);
+        pointer('pointermove', 50, 120);
+        pointer('pointerup', 50, 120);
+        expect(drawings.items[0].points[0].y).toBe(182);
+    });
+
+    test('should take the newer of the offline and server copies', async () => {
+        const older = { drawings: [], updatedAt: '2026-10-18T10:00:00Z' };
+        const newer = { drawings: [{ id: 'a', type: 'hline', points: [{ x: 0, y: 250 }] }], updatedAt: '2026-10-19T10:00:00Z' };
+
+        store.getLocal.mockResolvedValue({ ...older, pending: false });
+        store.fetchRemote.mockResolvedValue(newer);
+        const drawings = new ChartDrawings(createStockChart(), { store });
+        await drawings.load('TCS');
+
+        expect(drawings.items.map(d => d.id)).toEqual(['a']);
+        expect(store.putLocal).toHaveBeenCalledWith('TCS', { drawings: drawings.items, updatedAt: newer.updatedAt, pending: false });
+        expect(store.pushRemote).not.toHaveBeenCalled();
+
+        // Offline changes the server has not seen yet are sent on load
+        store.getLocal.mockResolvedValue({ ...newer, pending: true });
+        store.fetchRemote.mockResolvedValue(older);
+        await drawings.load('INFY');
+        expect(store.pushRemote).toHaveBeenCalledWith('INFY', drawings.items, newer.updatedAt);
+    });
+
+    test('should place Fibonacci levels between the two points', () => {
+        const levels = ChartDrawings.getFibonacciLevels({ x: 0, y: 100 }, { x: 1, y: 200 });
+
+        expect(levels.map(l => l.level)).toEqual([0, 0.236, 0.382, 0.5, 0.618, 0.786, 1]);
+        expect(levels.find(l => l.level === 0).price).toBe(200);
+        expect(levels.find(l => l.level === 0.5).price).toBe(150);
+        expect(levels.find(l => l.level === 1).price).toBe(100);
+    });
+
+    test('should key offline drawings by user and symbol', async () => {
+        window.swManager = { putOfflineData: jest.fn(() => Promise.resolve()) };
+        const offline = new ChartDrawingStore({ owner: 'asha@example.com' });
+        await offline.putLocal('tcs', { drawings: [], updatedAt: null, pending: true });
+
+        expect(window.swManager.putOfflineData).toHaveBeenCalledWith('drawings', [
+            expect.objectContaining({ id: 'asha@example.com|TCS', symbol: 'TCS', pending: true })
+        ]);
+        delete window.swManager;
+    });
+});
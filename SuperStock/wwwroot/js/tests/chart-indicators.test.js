@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for the Chart Indicators
+ * Tests the indicator maths and the registry's parameters and inputs
+ */
+
+const { IndicatorRegistry, TechnicalIndicators } = require('../chart-indicators');
+
+describe('Chart indicators', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const start = Date.parse('2026-10-01T00:00:00Z');
+
+    // Candles closing 1 higher each day with a 2-point range
+    const rising = (count) => Array.from({ length: count }, (_, i) => ({
+        x: start + i * day,
+        o: 100 + i,
+        h: 101 + i,
+        l: 99 + i,
+        c: 100.5 + i,
+        v: 1000
+    }));
+
+    describe('TechnicalIndicators', () => {
+        test('should average closes and leave the warm-up candles empty', () => {
+            expect(TechnicalIndicators.sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+            expect(TechnicalIndicators.ema([1, 2, 3, 4], 2)).toEqual([null, 1.5, 2.5, 3.5]);
+        });
+
+        test('should read a steady rise as overbought, trending and on the up side', () => {
+            const bars = rising(40);
+            const last = values => values[values.length - 1];
+
+            expect(last(TechnicalIndicators.rsi(bars, 14))).toBe(100);
+            expect(last(TechnicalIndicators.atr(bars, 14))).toBeCloseTo(2);
+            expect(last(TechnicalIndicators.stochastic(bars, 14, 3, 3).k)).toBeCloseTo(100 * 14.5 / 15);
+
+            const adx = TechnicalIndicators.adx(bars, 14);
+            expect(last(adx.minusDI)).toBe(0);
+            expect(last(adx.adx)).toBeCloseTo(100);
+
+            const trend = TechnicalIndicators.superTrend(bars, 10, 3);
+            expect(last(trend.up)).toBeCloseTo(139 - 3 * 2);
+            expect(last(trend.down)).toBeNull();
+        });
+
+        test('should weight VWAP by volume and restart it each day', () => {
+            const bars = [
+                { x: start, h: 102, l: 98, c: 100, v: 100 },
+                { x: start + 60000, h: 112, l: 108, c: 110, v: 300 },
+                { x: start + day, h: 52, l: 48, c: 50, v: 10 }
+            ];
+
+            expect(TechnicalIndicators.vwap(bars)).toEqual([100, 107.5, 50]);
+        });
+
+        test('should plot the Ichimoku leading spans ahead of the last candle', () => {
+            const bars = rising(60);
+            const cloud = TechnicalIndicators.ichimoku(bars, 9, 26, 52, 26);
+
+            expect(cloud.spanA[cloud.spanA.length - 1].x).toBe(bars[59].x + 26 * day);
+            expect(cloud.spanB[0].x).toBe(start + (51 + 26) * day);
+            expect(cloud.lagging[0]).toEqual({ x: bars[0].x, y: bars[26].c });
+        });
+    });
+
+    describe('IndicatorRegistry', () => {
+        const registry = IndicatorRegistry.createDefault();
+
+        test('should ship the built-in indicators with their panes', () => {
+            const separate = registry.list().filter(d => d.pane === 'separate').map(d => d.id);
+
+            expect(registry.list().map(d => d.id)).toEqual(expect.arrayContaining(['vwap', 'atr', 'stochastic', 'supertrend', 'adx', 'ichimoku']));
+            expect(separate).toEqual(['rsi', 'macd', 'atr', 'stochastic', 'adx']);
+        });
+
+        test('should fill in defaults and clamp parameters to their range', () => {
+            expect(registry.normalizeParams('supertrend', { period: '500', multiplier: 'abc' })).toEqual({ period: 100, multiplier: 3 });
+            expect(registry.normalizeParams('macd', { fast: 7.6 })).toEqual({ fast: 8, slow: 26, signal: 9 });
+        });
+
+        test('should skip an indicator whose inputs the candles lack', () => {
+            const withoutVolume = rising(5).map(bar => ({ ...bar, v: undefined }));
+
+            expect(registry.calculate('vwap', withoutVolume)).toEqual({});
+            expect(registry.calculate('vwap', rising(5)).vwap).toHaveLength(5);
+        });
+    });
+});
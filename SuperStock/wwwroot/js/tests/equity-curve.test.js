@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for the Equity Curve
+ * Tests range filtering, the range summary, the offline snapshot records and
+ * the benchmark comparison
+ */
+
+const EquityCurve = require('../equity-curve');
+
+describe('EquityCurve', () => {
+    const snapshots = [
+        { gameType: '', date: '2026-06-01T00:00:00Z', cash: 600000, invested: 400000, holdingsValue: 400000, totalValue: 1000000 },
+        { gameType: '', date: '2026-08-25T00:00:00Z', cash: 500000, invested: 520000, holdingsValue: 530000, totalValue: 1030000 },
+        { gameType: '', date: '2026-09-14T00:00:00Z', cash: 500000, invested: 520000, holdingsValue: 540000, totalValue: 1040000 },
+        { gameType: '', date: '2026-09-18T00:00:00Z', cash: 500000, invested: 520000, holdingsValue: 514000, totalValue: 1014000 }
+    ];
+    const now = new Date('2026-09-19T12:00:00Z');
+
+    let curve;
+
+    beforeEach(() => {
+        curve = new EquityCurve('equityCurveChart');
+    });
+
+    test('should keep the snapshots within each range', () => {
+        expect(curve.filterByRange(snapshots, '1W', now)).toHaveLength(2);
+        expect(curve.filterByRange(snapshots, '1M', now)).toHaveLength(3);
+        expect(curve.filterByRange(snapshots, '3M', now)).toHaveLength(3);
+        expect(curve.filterByRange(snapshots, 'ALL', now)).toHaveLength(4);
+    });
+
+    test('should summarise the change in value over the range', () => {
+        const summary = curve.getSummary(curve.filterByRange(snapshots, '1W', now));
+        expect(summary.change).toBe(-26000);
+        expect(summary.changePercent).toBeCloseTo(-2.5, 2);
+        expect(curve.getSummary([])).toEqual({ start: 0, end: 0, change: 0, changePercent: 0 });
+    });
+
+    test('should key offline records by game and trading day', () => {
+        const records = curve.toOfflineRecords([{ ...snapshots[1], gameType: 'C1' }]);
+        expect(records).toEqual([{
+            id: 'C1|2026-08-25', gameType: 'C1', date: '2026-08-25',
+            cash: 500000, invested: 520000, holdingsValue: 530000, totalValue: 1030000
+        }]);
+    });
+
+    describe('benchmark', () => {
+        const series = {
+            id: 'NIFTY50',
+            name: 'NIFTY 50',
+            points: [
+                { date: '2026-09-11T00:00:00Z', close: 25000 },
+                { date: '2026-09-14T00:00:00Z', close: 25200 },
+                { date: '2026-09-17T00:00:00Z', close: 24900 }
+            ]
+        };
+        const week = snapshots.slice(2);
+
+        test('should compare the range return with the benchmark and report alpha', () => {
+            const comparison = curve.getBenchmarkComparison(week, series);
+
+            expect(comparison.portfolioReturn).toBeCloseTo(-2.5, 4);
+            // 18 Sep has no close yet, so the 17th's is used
+            expect(comparison.benchmarkReturn).toBeCloseTo((24900 / 25200 - 1) * 100, 4);
+            expect(comparison.alpha).toBeCloseTo(comparison.portfolioReturn - comparison.benchmarkReturn, 6);
+            expect(curve.getBenchmarkComparison(week.slice(0, 1), series)).toBeNull();
+            expect(curve.getBenchmarkComparison(week, null)).toBeNull();
+        });
+
+        test('should label the comparison the same way for every card', () => {
+            const text = EquityCurve.formatComparison({ name: 'NIFTY 50', benchmarkReturn: 4.2, alpha: -1.1 });
+
+            expect(text).toBe('NIFTY 50 +4.20% · Alpha -1.10%');
+        });
+
+        test('should rebase the overlay to the first snapshot value', () => {
+            const overlay = curve.getBenchmarkOverlay(week, series);
+
+            expect(overlay).toHaveLength(2);
+            expect(overlay[0].y).toBeCloseTo(1040000, 6);
+            expect(overlay[1].y).toBeCloseTo(1040000 * 24900 / 25200, 6);
+        });
+    });
+
+    test('should ignore unknown ranges', () => {
+        curve.setRange('5Y');
+        expect(curve.range).toBe('1M');
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit Tests for the Fee Engine
+ * Tests brokerage modes and caps and the statutory charges on each side
+ */
+
+const FeeEngine = require('../fee-engine');
+
+describe('FeeEngine', () => {
+    let feeEngine;
+
+    beforeEach(() => {
+        feeEngine = new FeeEngine();
+    });
+
+    describe('Statutory charges', () => {
+        test('should charge STT, exchange, SEBI, stamp duty and GST on a buy', () => {
+            const fees = feeEngine.calculate({ side: 'buy', quantity: 10, price: 1000 });
+
+            expect(fees).toEqual({
+                turnover: 10000,
+                brokerage: 3,
+                stt: 10,
+                exchangeCharges: 0.3,
+                sebiFee: 0.01,
+                stampDuty: 1.5,
+                gst: 0.6,
+                total: 15.41,
+                netAmount: 10015.41
+            });
+        });
+
+        test('should skip stamp duty and credit net proceeds on a sell', () => {
+            const fees = feeEngine.calculate({ side: 'sell', quantity: 10, price: 1000 });
+
+            expect(fees.stampDuty).toBe(0);
+            expect(fees.total).toBe(13.91);
+            expect(fees.netAmount).toBe(9986.09);
+            expect(feeEngine.getLineItems(fees).map(item => item.label)).not.toContain('Stamp Duty');
+        });
+
+        test('should return zero charges for an empty order', () => {
+            expect(feeEngine.calculate({ side: 'buy', quantity: '', price: 1000 }).total).toBe(0);
+        });
+    });
+
+    describe('Brokerage', () => {
+        test('should cap percentage brokerage', () => {
+            const fees = feeEngine.calculate({ side: 'buy', quantity: 1000, price: 1000 });
+
+            expect(fees.brokerage).toBe(20);
+        });
+
+        test('should support flat brokerage from the server schedule', () => {
+            feeEngine.setSchedule({ brokerageMode: 'Flat', brokerageFlat: 15 });
+
+            const fees = feeEngine.calculate({ side: 'buy', quantity: 1, price: 100 });
+
+            expect(fees.brokerage).toBe(15);
+            expect(feeEngine.schedule.sttBuyRate).toBe(0.001);
+        });
+    });
+
+    describe('Max affordable quantity', () => {
+        test('should leave room for charges within the available funds', () => {
+            const quantity = feeEngine.maxAffordableQuantity(10000, 1000);
+
+            expect(quantity).toBe(9);
+            expect(feeEngine.calculate({ side: 'buy', quantity, price: 1000 }).netAmount).toBeLessThan(10000);
+            expect(feeEngine.calculate({ side: 'buy', quantity: quantity + 1, price: 1000 }).netAmount).toBeGreaterThanOrEqual(10000);
+        });
+
+        test('should only block margin for an intraday short', () => {
+            const quantity = feeEngine.maxAffordableQuantity(10000, 1000, { marginRate: 0.2, side: 'sell' });
+            const required = (q) => q * 1000 * 0.2 + feeEngine.calculate({ side: 'sell', quantity: q, price: 1000 }).total;
+
+            expect(quantity).toBe(49);
+            expect(required(quantity)).toBeLessThan(10000);
+            expect(required(quantity + 1)).toBeGreaterThanOrEqual(10000);
+        });
+
+        test('should return zero without funds or a price', () => {
+            expect(feeEngine.maxAffordableQuantity(0, 1000)).toBe(0);
+            expect(feeEngine.maxAffordableQuantity(10000, 0)).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for the Market Session
+ * Tests NSE session phases in IST, weekends and holidays, and the next open
+ */
+
+const MarketSession = require('../market-session');
+
+describe('MarketSession', () => {
+    let session;
+
+    // Instants are given in IST (+05:30) to read like the exchange clock
+    const ist = (dateTime) => new Date(`${dateTime}+05:30`);
+
+    beforeEach(() => {
+        session = new MarketSession({
+            holidays: [{ date: '2026-10-20', name: 'Dussehra' }]
+        });
+    });
+
+    describe('Session phases', () => {
+        test('should be open between 09:15 and 15:30 IST on a trading day', () => {
+            const status = session.getStatus(ist('2026-10-19T10:30:00'));
+
+            expect(status.phase).toBe('open');
+            expect(status.isOpen).toBe(true);
+            expect(status.nextClose).toEqual(ist('2026-10-19T15:30:00'));
+            expect(status.message).toBe('Market is open until 15:30 IST');
+        });
+
+        test('should report the pre-open session before the open', () => {
+            const status = session.getStatus(ist('2026-10-19T09:05:00'));
+
+            expect(status.phase).toBe('pre-open');
+            expect(status.isOpen).toBe(false);
+            expect(status.nextOpen).toEqual(ist('2026-10-19T09:15:00'));
+        });
+
+        test('should be closed after the close', () => {
+            const status = session.getStatus(ist('2026-10-19T15:30:00'));
+
+            expect(status.phase).toBe('closed');
+            expect(status.nextClose).toBeNull();
+        });
+
+        test('should follow IST regardless of the UTC date', () => {
+            // 04:00 UTC on Monday is 09:30 IST
+            expect(session.getStatus(new Date('2026-10-19T04:00:00Z')).isOpen).toBe(true);
+        });
+    });
+
+    describe('Holidays and weekends', () => {
+        test('should stay closed on a listed holiday and skip it for the next open', () => {
+            const status = session.getStatus(ist('2026-10-20T11:00:00'));
+
+            expect(status.phase).toBe('closed');
+            expect(status.holiday).toBe('Dussehra');
+            expect(status.nextOpen).toEqual(ist('2026-10-21T09:15:00'));
+            expect(status.message).toBe('Market is closed for Dussehra. Opens Wed 21 Oct, 09:15 IST');
+        });
+
+        test('should open on Monday after a weekend', () => {
+            const status = session.getStatus(ist('2026-10-23T18:00:00'));
+
+            expect(status.nextOpen).toEqual(ist('2026-10-26T09:15:00'));
+            expect(session.getStatus(ist('2026-10-24T11:00:00')).isOpen).toBe(false);
+        });
+    });
+
+    describe('Order execution', () => {
+        test('should allow orders at any time when trading hours are not enforced', () => {
+            session.setSchedule({ enforceTradingHours: false });
+
+            expect(session.isOpen(ist('2026-10-24T23:00:00'))).toBe(true);
+        });
+
+        test('should notify listeners when the phase changes', () => {
+            const listener = jest.fn();
+            session.subscribe(listener);
+            session.lastPhase = 'pre-open';
+
+            session.checkPhase(ist('2026-10-19T09:16:00'));
+            session.checkPhase(ist('2026-10-19T09:17:00'));
+
+            expect(listener).toHaveBeenCalledTimes(1);
+            expect(listener.mock.calls[0][0].phase).toBe('open');
+        });
+    });
+});
@@ -0,0 +1,37 @@
+/**
+ * Unit Tests for the Offline Database
+ * Tests that the shared upgrade creates every store the page and the
+ * service worker use
+ */
+
+const OfflineDb = require('../offline-db');
+
+describe('OfflineDb', () => {
+    const createDb = (existing = []) => {
+        const stores = new Map(existing.map(name => [name, {}]));
+        return {
+            stores,
+            objectStoreNames: { contains: name => stores.has(name) },
+            createObjectStore: jest.fn((name, options) => stores.set(name, options))
+        };
+    };
+
+    test('should create every store, whichever side opens the database first', () => {
+        const db = createDb();
+
+        OfflineDb.upgrade(db);
+
+        expect([...db.stores.keys()]).toEqual(['trades', 'watchlist', 'portfolio', 'snapshots', 'drawings']);
+        expect(db.stores.get('drawings')).toEqual({ keyPath: 'id' });
+        expect(db.stores.get('portfolio')).toEqual({ keyPath: 'symbol' });
+    });
+
+    test('should only add the stores an older version is missing', () => {
+        const db = createDb(['trades', 'watchlist', 'portfolio']);
+
+        OfflineDb.upgrade(db);
+
+        expect(db.createObjectStore).toHaveBeenCalledTimes(2);
+        expect(db.createObjectStore.mock.calls.map(([name]) => name)).toEqual(['snapshots', 'drawings']);
+    });
+});
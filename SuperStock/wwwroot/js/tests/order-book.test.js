@@ -0,0 +1,385 @@
+/**
+ * Unit Tests for the client-side Order Book
+ * Tests limit order placement, price crossing, cancel/modify, persistence
+ * and stop-loss / take-profit brackets
+ */
+
+const OrderBook = require('../order-book');
+
+describe('OrderBook', () => {
+    let orderBook;
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.useFakeTimers();
+
+        orderBook = new OrderBook();
+        orderBook.executeOrder = jest.fn().mockResolvedValue('ok');
+    });
+
+    afterEach(() => {
+        orderBook.stopPolling();
+        jest.useRealTimers();
+        jest.clearAllMocks();
+    });
+
+    describe('Placing limit orders', () => {
+        test('should rest a buy order above the market price', async () => {
+            const order = await orderBook.placeLimitOrder(
+                { symbol: 'TCS.NS', side: 'buy', quantity: 5, limitPrice: 3000 },
+                3100
+            );
+
+            expect(order.status).toBe('open');
+            expect(order.symbol).toBe('TCS');
+            expect(orderBook.getOpenOrders('TCS')).toHaveLength(1);
+            expect(orderBook.executeOrder).not.toHaveBeenCalled();
+        });
+
+        test('should fill a marketable limit order immediately', async () => {
+            const order = await orderBook.placeLimitOrder(
+                { symbol: 'INFY', side: 'sell', quantity: 2, limitPrice: 1500 },
+                1510
+            );
+
+            expect(order.status).toBe('filled');
+            expect(order.fillPrice).toBe(1510);
+            expect(orderBook.executeOrder).toHaveBeenCalledWith(expect.objectContaining({
+                symbol: 'INFY',
+                side: 'sell',
+                quantity: 2,
+                limitPrice: 1500
+            }));
+        });
+
+        test('should reject invalid orders', () => {
+            expect(() => orderBook.createOrder({ symbol: 'TCS', side: 'buy', quantity: 0, limitPrice: 10 }))
+                .toThrow('Quantity must be at least 1');
+            expect(() => orderBook.createOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: -1 }))
+                .toThrow('Limit price must be greater than zero');
+            expect(() => orderBook.createOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: 10, productType: 'INTRADAY' }))
+                .toThrow('Only sells can be placed as intraday shorts');
+        });
+
+        test('should keep the product type of an intraday short through to execution', async () => {
+            await orderBook.placeLimitOrder(
+                { symbol: 'INFY', side: 'sell', quantity: 5, limitPrice: 1500, productType: 'INTRADAY' },
+                1510
+            );
+
+            expect(orderBook.executeOrder).toHaveBeenCalledWith(expect.objectContaining({
+                symbol: 'INFY',
+                side: 'sell',
+                productType: 'INTRADAY'
+            }));
+        });
+    });
+
+    describe('After-market orders', () => {
+        let marketOpen;
+
+        beforeEach(() => {
+            marketOpen = false;
+            orderBook.marketSession = { isOpen: () => marketOpen };
+        });
+
+        test('should hold every order while the market is closed', async () => {
+            await orderBook.placeLimitOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: 3000 }, 2990);
+            orderBook.placeAfterMarketOrder({ symbol: 'INFY', side: 'buy', quantity: 2 });
+
+            await orderBook.processPriceUpdate('TCS', 2990);
+            await orderBook.processPriceUpdate('INFY', 1500);
+
+            expect(orderBook.executeOrder).not.toHaveBeenCalled();
+            expect(orderBook.getOpenOrders()).toHaveLength(2);
+        });
+
+        test('should execute a market AMO at the first price after the open', async () => {
+            const order = orderBook.placeAfterMarketOrder({ symbol: 'INFY.NS', side: 'buy', quantity: 2 });
+            expect(order.limitPrice).toBeNull();
+            expect(order.afterMarket).toBe(true);
+
+            marketOpen = true;
+            const [filled] = await orderBook.processPriceUpdate('INFY', 1512);
+
+            expect(filled.status).toBe('filled');
+            expect(filled.fillPrice).toBe(1512);
+            expect(orderBook.executeOrder).toHaveBeenCalledWith(expect.objectContaining({
+                symbol: 'INFY',
+                orderType: 'AMO',
+                limitPrice: null
+            }));
+        });
+
+        test('should treat a limit AMO as a limit order once open', async () => {
+            orderBook.placeAfterMarketOrder({ symbol: 'TCS', side: 'sell', quantity: 1, limitPrice: 3100 });
+            marketOpen = true;
+
+            await orderBook.processPriceUpdate('TCS', 3050);
+            expect(orderBook.executeOrder).not.toHaveBeenCalled();
+
+            await orderBook.processPriceUpdate('TCS', 3100);
+            expect(orderBook.getOpenOrders()).toHaveLength(0);
+        });
+
+        test('should only allow a missing limit price on an AMO', () => {
+            expect(() => orderBook.createOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: null }))
+                .toThrow('Limit price must be greater than zero');
+
+            const order = orderBook.placeAfterMarketOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: 3000 });
+            expect(orderBook.modifyOrder(order.id, { limitPrice: '' }).limitPrice).toBeNull();
+        });
+    });
+
+    describe('Price updates', () => {
+        test('should fill a buy order only when the price crosses the limit', async () => {
+            await orderBook.placeLimitOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: 3000 });
+
+            await orderBook.processPriceUpdate('TCS', 3000.5);
+            expect(orderBook.executeOrder).not.toHaveBeenCalled();
+
+            const [filled] = await orderBook.processPriceUpdate('TCS', 2999);
+            expect(filled.status).toBe('filled');
+            expect(orderBook.getOpenOrders()).toHaveLength(0);
+        });
+
+        test('should fill orders from a list of quotes', async () => {
+            await orderBook.placeLimitOrder({ symbol: 'SBIN', side: 'sell', quantity: 10, limitPrice: 800 });
+
+            await orderBook.processQuotes([{ Name: 'SBIN', Price: 801 }, { Name: 'TCS', Price: 3000 }]);
+
+            expect(orderBook.executeOrder).toHaveBeenCalledTimes(1);
+            expect(orderBook.getOpenOrders()).toHaveLength(0);
+        });
+
+        test('should keep the order open when the server has not reached the limit', async () => {
+            const conflict = new Error('Limit price not reached');
+            conflict.status = 409;
+            orderBook.executeOrder.mockRejectedValueOnce(conflict);
+
+            await orderBook.placeLimitOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: 3000 });
+            const [order] = await orderBook.processPriceUpdate('TCS', 2990);
+
+            expect(order.status).toBe('open');
+        });
+
+        test('should mark the order rejected when execution fails', async () => {
+            const listener = jest.fn();
+            orderBook.subscribe(listener);
+            orderBook.executeOrder.mockRejectedValueOnce(new Error('Insufficient Balance in SuperStock Account'));
+
+            await orderBook.placeLimitOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: 3000 });
+            const [order] = await orderBook.processPriceUpdate('TCS', 2990);
+
+            expect(order.status).toBe('rejected');
+            expect(order.rejectionReason).toBe('Insufficient Balance in SuperStock Account');
+            expect(listener).toHaveBeenCalledWith('rejected', order, orderBook);
+        });
+
+        test('should read the structured rejection reason from the server', () => {
+            const rejection = orderBook.parseRejection(JSON.stringify({
+                success: false, message: 'You hold only 2 shares of TCS. Cannot sell 5',
+                errorCode: 'INSUFFICIENT_HOLDINGS', heldQuantity: 2, maxQuantity: 2
+            }));
+
+            expect(rejection.errorCode).toBe('INSUFFICIENT_HOLDINGS');
+            expect(rejection.maxQuantity).toBe(2);
+            expect(orderBook.parseRejection('Internal Server Error')).toBeNull();
+        });
+    });
+
+    describe('Managing open orders', () => {
+        test('should cancel an open order', async () => {
+            const order = await orderBook.placeLimitOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: 3000 });
+
+            orderBook.cancelOrder(order.id);
+
+            expect(orderBook.getOpenOrders()).toHaveLength(0);
+            expect(() => orderBook.cancelOrder(order.id)).toThrow('Only open orders can be cancelled');
+        });
+
+        test('should modify quantity and limit price', async () => {
+            const order = await orderBook.placeLimitOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: 3000 });
+
+            orderBook.modifyOrder(order.id, { quantity: '4', limitPrice: '2950.456' });
+
+            expect(order.quantity).toBe(4);
+            expect(order.limitPrice).toBe(2950.46);
+        });
+
+        test('should record the charges returned by the server', async () => {
+            orderBook.executeOrder.mockResolvedValueOnce(orderBook.parseExecution(JSON.stringify({
+                Value: { Holdings: 'TCS:2990:1', Fees: { Brokerage: 0.9, Stt: 2.99, Total: 4.67 } }
+            })));
+
+            await orderBook.placeLimitOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: 3000 });
+            const [order] = await orderBook.processPriceUpdate('TCS', 2990);
+
+            expect(order.fees).toBe(4.67);
+        });
+
+        test('should persist open orders across instances', async () => {
+            await orderBook.placeLimitOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: 3000 });
+
+            const restored = new OrderBook();
+
+            expect(restored.getOpenOrders('TCS')).toHaveLength(1);
+            restored.stopPolling();
+        });
+    });
+
+    describe('Idempotent execution', () => {
+        let book;
+
+        beforeEach(() => {
+            jest.useRealTimers();
+            book = new OrderBook({ retryDelay: 0 });
+            book.sendOrder = jest.fn();
+        });
+
+        const networkError = () => Object.assign(new Error('timeout'), { status: 0 });
+
+        test('should retry an unanswered order with the same key', async () => {
+            book.sendOrder
+                .mockRejectedValueOnce(networkError())
+                .mockResolvedValueOnce({ holdings: 'TCS:3000:1', fees: null, duplicate: false });
+
+            await book.executeOrder({ symbol: 'TCS', side: 'buy', quantity: 1, price: 3000, idempotencyKey: 'key-1' });
+
+            expect(book.sendOrder).toHaveBeenCalledTimes(2);
+            expect(book.sendOrder.mock.calls.map(([order]) => order.IdempotencyKey)).toEqual(['key-1', 'key-1']);
+        });
+
+        test('should reconcile a duplicate of an order that already filled', async () => {
+            book.sendOrder
+                .mockRejectedValueOnce(networkError())
+                .mockRejectedValueOnce(Object.assign(new Error('This order has already been executed'), {
+                    status: 409,
+                    code: 'DUPLICATE_ORDER',
+                    details: { errorCode: 'DUPLICATE_ORDER', orderStatus: 'FILLED', holdings: 'TCS:3000:1', fees: { total: 4.67 } }
+                }));
+
+            const execution = await book.executeOrder({ symbol: 'TCS', side: 'buy', quantity: 1, price: 3000 });
+
+            expect(execution.duplicate).toBe(true);
+            expect(execution.holdings).toBe('TCS:3000:1');
+            expect(execution.fees.total).toBe(4.67);
+        });
+
+        test('should not retry an order the server rejected', async () => {
+            book.sendOrder.mockRejectedValueOnce(Object.assign(new Error('Insufficient Balance'), { status: 422 }));
+
+            await expect(book.executeOrder({ symbol: 'TCS', side: 'buy', quantity: 1, price: 3000 })).rejects.toThrow('Insufficient Balance');
+            expect(book.sendOrder).toHaveBeenCalledTimes(1);
+        });
+
+        test('should fill a limit order with its own key on every attempt', async () => {
+            orderBook.executeOrder.mockRejectedValueOnce(Object.assign(new Error('not reached'), { status: 409 }));
+
+            const order = await orderBook.placeLimitOrder({ symbol: 'TCS', side: 'buy', quantity: 1, limitPrice: 3000 });
+            await orderBook.processPriceUpdate('TCS', 2990);
+            await orderBook.processPriceUpdate('TCS', 2990);
+
+            const keys = orderBook.executeOrder.mock.calls.map(([request]) => request.idempotencyKey);
+            expect(keys).toEqual([order.idempotencyKey, order.idempotencyKey]);
+            expect(order.status).toBe('filled');
+        });
+    });
+
+    describe('Stop-loss and target brackets', () => {
+        const attach = (levels) => orderBook.attachBracket({
+            symbol: 'TCS', quantity: 3, entryPrice: 100, ...levels
+        });
+
+        test('should sell when the stop-loss is hit and close the bracket (OCO)', async () => {
+            const bracket = attach({ stopLoss: 95, takeProfit: 120 });
+
+            await orderBook.processPriceUpdate('TCS', 96);
+            expect(orderBook.executeOrder).not.toHaveBeenCalled();
+
+            await orderBook.processPriceUpdate('TCS', 94.5);
+            expect(orderBook.executeOrder).toHaveBeenCalledWith(expect.objectContaining({
+                symbol: 'TCS', side: 'sell', quantity: 3
+            }));
+            expect(bracket.status).toBe('triggered');
+            expect(bracket.triggeredLeg).toBe('stopLoss');
+
+            // The target leg is gone with it
+            await orderBook.processPriceUpdate('TCS', 125);
+            expect(orderBook.executeOrder).toHaveBeenCalledTimes(1);
+        });
+
+        test('should sell when the target is hit', async () => {
+            const bracket = attach({ stopLoss: 95, takeProfit: 120 });
+
+            await orderBook.processPriceUpdate('TCS', 121);
+
+            expect(bracket.triggeredLeg).toBe('takeProfit');
+            expect(orderBook.getActiveBrackets('TCS')).toHaveLength(0);
+        });
+
+        test('should keep the bracket active when the server answers 409', async () => {
+            const bracket = attach({ stopLoss: 95 });
+            const closed = Object.assign(new Error('Market is closed'), { status: 409, code: 'MARKET_CLOSED' });
+            orderBook.executeOrder.mockRejectedValueOnce(closed);
+
+            await orderBook.processPriceUpdate('TCS', 94);
+            expect(bracket.status).toBe('active');
+            expect(bracket.closedAt).toBeNull();
+
+            const key = bracket.idempotencyKey;
+            await orderBook.processPriceUpdate('TCS', 93);
+            expect(bracket.status).toBe('triggered');
+            expect(orderBook.executeOrder).toHaveBeenLastCalledWith(expect.objectContaining({ idempotencyKey: key }));
+        });
+
+        test('should ratchet a percentage trailing stop upwards only', async () => {
+            const bracket = attach({ trailing: { mode: 'percent', value: 5 } });
+            expect(bracket.stopLoss).toBe(95);
+
+            await orderBook.processPriceUpdate('TCS', 110);
+            expect(bracket.stopLoss).toBe(104.5);
+
+            await orderBook.processPriceUpdate('TCS', 106);
+            expect(bracket.stopLoss).toBe(104.5);
+            expect(bracket.status).toBe('active');
+
+            await orderBook.processPriceUpdate('TCS', 104);
+            expect(bracket.status).toBe('triggered');
+        });
+
+        test('should trail by an absolute amount', async () => {
+            const bracket = attach({ trailing: { mode: 'amount', value: 4 } });
+
+            await orderBook.processPriceUpdate('TCS', 112);
+
+            expect(bracket.stopLoss).toBe(108);
+        });
+
+        test('should validate and edit bracket levels', () => {
+            expect(() => attach({ stopLoss: 120, takeProfit: 110 })).toThrow('Stop-loss must be below the target');
+            expect(() => attach({})).toThrow('Set a stop-loss, a target or a trailing stop');
+
+            const bracket = attach({ stopLoss: 95 });
+            orderBook.modifyBracket(bracket.id, { takeProfit: '130' });
+            expect(bracket.takeProfit).toBe(130);
+
+            orderBook.cancelBracket(bracket.id);
+            expect(orderBook.getActiveBrackets()).toHaveLength(0);
+        });
+
+        test('should attach the bracket when a limit buy fills', async () => {
+            await orderBook.placeLimitOrder({
+                symbol: 'TCS', side: 'buy', quantity: 2, limitPrice: 100,
+                bracket: { stopLoss: 90, takeProfit: 115 }
+            });
+
+            await orderBook.processPriceUpdate('TCS', 99);
+
+            const [bracket] = orderBook.getActiveBrackets('TCS');
+            expect(bracket.quantity).toBe(2);
+            expect(bracket.entryPrice).toBe(99);
+            expect(bracket.takeProfit).toBe(115);
+        });
+    });
+});
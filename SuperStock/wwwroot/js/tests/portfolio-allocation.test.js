@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for Portfolio Allocation
+ * Tests the treemap layout, breakdown switching and concentration warnings
+ */
+
+const PortfolioAllocation = require('../portfolio-allocation');
+
+describe('PortfolioAllocation', () => {
+    const allocation = {
+        gameType: '',
+        totalValue: 100000,
+        threshold: 40,
+        holdings: [
+            { symbol: 'TCS', sector: 'Information Technology', industry: 'IT Services', marketCap: 'LARGE', quantity: 10, value: 45000, weight: 45, isShort: false },
+            { symbol: 'INFY', sector: 'Information Technology', industry: 'IT Services', marketCap: 'LARGE', quantity: 10, value: 15000, weight: 15, isShort: false },
+            { symbol: 'SBIN', sector: 'Financial Services', industry: 'Public Sector Bank', marketCap: 'LARGE', quantity: -20, value: 25000, weight: 25, isShort: true },
+            { symbol: 'SAIL', sector: 'Metals & Mining', industry: 'Steel', marketCap: 'MID', quantity: 100, value: 15000, weight: 15, isShort: false }
+        ],
+        sectors: [
+            { name: 'Information Technology', value: 60000, weight: 60, holdings: 2 },
+            { name: 'Financial Services', value: 25000, weight: 25, holdings: 1 },
+            { name: 'Metals & Mining', value: 15000, weight: 15, holdings: 1 }
+        ],
+        marketCaps: [
+            { name: 'LARGE', value: 85000, weight: 85, holdings: 3 },
+            { name: 'MID', value: 15000, weight: 15, holdings: 1 }
+        ],
+        warnings: [
+            { sector: 'Information Technology', weight: 60, threshold: 40, message: 'Information Technology is 60% of your portfolio, above the 40% limit' }
+        ]
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="allocationWarnings"></div>
+            <div id="allocationContent" style="display: none;"><div id="allocationTreemap"></div></div>
+            <div id="allocationEmpty" style="display: none;"></div>
+        `;
+        global.$ = {
+            ajax: jest.fn(options => {
+                options.success({ success: true, data: allocation });
+                options.complete();
+            })
+        };
+    });
+
+    afterEach(() => {
+        delete global.$;
+    });
+
+    test('should tile the whole box with areas proportional to value', () => {
+        const tiles = PortfolioAllocation.layoutTreemap(allocation.holdings);
+
+        expect(tiles).toHaveLength(4);
+        const area = tiles.reduce((sum, tile) => sum + tile.width * tile.height, 0);
+        expect(area).toBeCloseTo(10000, 6);
+        tiles.forEach(tile => {
+            expect(tile.width * tile.height).toBeCloseTo(tile.item.value / 1000 * 100, 6);
+            expect(tile.x + tile.width).toBeLessThanOrEqual(100 + 1e-9);
+            expect(tile.y + tile.height).toBeLessThanOrEqual(100 + 1e-9);
+        });
+        expect(PortfolioAllocation.layoutTreemap([])).toEqual([]);
+    });
+
+    test('should render the treemap coloured by sector and the concentration warning', async () => {
+        const portfolio = new PortfolioAllocation();
+        await portfolio.load();
+
+        const tiles = document.querySelectorAll('#allocationTreemap .treemap-tile');
+        expect(tiles).toHaveLength(4);
+        expect(tiles[0].textContent).toContain('TCS');
+        expect(tiles[0].style.background).toBe(tiles[2].style.background);
+        expect(document.querySelector('#allocationTreemap .short').textContent).toContain('SBIN');
+        expect(document.getElementById('allocationWarnings').textContent).toContain('above the 40% limit');
+        expect(document.getElementById('allocationContent').style.display).toBe('');
+        expect(document.getElementById('allocationEmpty').style.display).toBe('none');
+    });
+
+    test('should label market-cap buckets when switching breakdowns', async () => {
+        const portfolio = new PortfolioAllocation();
+        await portfolio.load();
+
+        expect(portfolio.getSlices().map(slice => slice.label)[0]).toBe('Information Technology');
+        portfolio.setView('marketCap');
+        expect(portfolio.getSlices().map(slice => slice.label)).toEqual(['Large cap', 'Mid cap']);
+        portfolio.setView('industry');
+        expect(portfolio.view).toBe('marketCap');
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for Portfolio P&L
+ * Tests portfolio valuation against FIFO tax lots and realized P&L, and the
+ * dashboard cards rendered from the processed holdings
+ */
+
+const DashboardDataManager = require('../dashboard-data-manager');
+const DashboardManager = require('../dashboard');
+
+describe('Portfolio P&L', () => {
+    // Processing needs no network or cache, so skip the constructor
+    const manager = Object.create(DashboardDataManager.prototype);
+
+    const portfolio = {
+        Value: {
+            UserStockList: [
+                { Name: 'TCS', Count: 10, AveragePrice: 3050, Price: 3200 },
+                { Name: 'INFY', Count: 5, AveragePrice: 1500, Price: 1400 }
+            ]
+        }
+    };
+
+    const taxLots = {
+        realizedPnl: 250,
+        openLots: [
+            { symbol: 'TCS', quantity: 5, remainingQuantity: 5, costPrice: 3000 },
+            { symbol: 'TCS', quantity: 5, remainingQuantity: 5, costPrice: 3100 },
+            // Lots that don't add up to the holding are ignored
+            { symbol: 'INFY', quantity: 2, remainingQuantity: 2, costPrice: 1450 }
+        ]
+    };
+
+    describe('Portfolio data', () => {
+        test('should value holdings at their open lots and add realized P&L to the total', () => {
+            const { holdings, summary } = manager.processPortfolioData(portfolio, taxLots);
+
+            expect(holdings[0].lots).toHaveLength(2);
+            expect(holdings[0].investedValue).toBe(30500);
+            expect(holdings[1].lots).toBeNull();
+            expect(holdings[1].investedValue).toBe(7500);
+            expect(summary.unrealizedPnL).toBe(1500 - 500);
+            expect(summary.realizedPnL).toBe(250);
+            expect(summary.totalPnL).toBe(1250);
+        });
+
+        test('should fall back to average prices without tax lots', () => {
+            const { summary } = manager.processPortfolioData(JSON.stringify(portfolio));
+
+            expect(summary.totalInvested).toBe(38000);
+            expect(summary.realizedPnL).toBe(0);
+            expect(summary.totalPnL).toBe(summary.unrealizedPnL);
+        });
+
+        test('should measure the day\'s change from the previous close, shorts gaining as it falls', () => {
+            const { holdings, summary } = manager.processPortfolioData({
+                Value: {
+                    UserStockList: [
+                        { Name: 'TCS', Count: 10, AveragePrice: 3050, Price: 3200, Close: 3100 },
+                        { Name: 'SBIN', Count: -20, AveragePrice: 600, Price: 590, Close: 595, Margin: 2400 },
+                        { Name: 'NEWLY', Count: 5, AveragePrice: 100, Price: 110 }
+                    ]
+                }
+            });
+
+            expect(holdings[0].dayChange).toBe(1000);
+            expect(holdings[0].dayChangePercent).toBeCloseTo(3.2258, 4);
+            expect(holdings[1].dayChange).toBe(100);
+            expect(holdings[2].dayChange).toBe(0);
+            expect(summary.dayChange).toBe(1100);
+            expect(summary.dayChangePercent).toBeCloseTo(1100 / (31000 + 11900) * 100, 6);
+        });
+    });
+
+    describe('Dashboard cards', () => {
+        const dashboard = Object.create(DashboardManager.prototype);
+
+        beforeEach(() => {
+            window.DashboardDataManager = DashboardDataManager;
+            document.body.innerHTML = `
+                <div class="value-display"><span id="todayPnl"></span></div>
+                <span id="todayPnlPercent"></span>
+            `;
+        });
+
+        test('should show the data manager\'s day change on the today card', () => {
+            const { holdings, summary } = manager.processPortfolioData({
+                Value: {
+                    UserStockList: [
+                        { Name: 'TCS', Count: 10, AveragePrice: 3050, Price: 3200, Close: 3100 },
+                        { Name: 'SBIN', Count: -20, AveragePrice: 600, Price: 590, Close: 595, Margin: 2400 }
+                    ]
+                }
+            });
+
+            dashboard.updateTodayPnlCard(holdings);
+
+            expect(document.getElementById('todayPnl').textContent).toBe('+₹1,100.00');
+            expect(document.getElementById('todayPnlPercent').textContent)
+                .toBe(`(+${summary.dayChangePercent.toFixed(2)}%)`);
+        });
+
+        test('should value processed holdings at their lots and follow live prices', () => {
+            const { holdings } = manager.processPortfolioData(portfolio, taxLots);
+            const position = dashboard.getPositionMetrics(holdings[0]);
+
+            expect(position.investedValue).toBe(30500);
+            expect(position.profitLoss).toBe(1500);
+            // A live price is picked up without reprocessing
+            holdings[0].Price = 3100;
+            expect(dashboard.getPositionMetrics(holdings[0]).profitLoss).toBe(500);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for Portfolio Returns
+ * Tests the dashboard returns card and ranking the leaderboard by returns
+ */
+
+const PortfolioReturns = require('../portfolio-returns');
+
+describe('PortfolioReturns', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <span id="twrReturn">—</span>
+            <span id="xirrReturn">—</span>
+        `;
+        global.$ = {
+            ajax: jest.fn(options => options.success({
+                success: true,
+                data: { email: 'trader@example.com', gameType: '', timeWeightedReturn: 4.5, xirr: -12.25, cashFlows: 6 }
+            }))
+        };
+    });
+
+    afterEach(() => {
+        delete global.$;
+    });
+
+    test('should show TWR and XIRR with their sign', async () => {
+        const returns = new PortfolioReturns();
+        await returns.load();
+
+        const twr = document.getElementById('twrReturn');
+        const xirr = document.getElementById('xirrReturn');
+        expect(twr.textContent).toBe('+4.50%');
+        expect(twr.classList.contains('positive')).toBe(true);
+        expect(xirr.textContent).toBe('-12.25%');
+        expect(xirr.classList.contains('negative')).toBe(true);
+    });
+
+    test('should show a dash until there is enough history', async () => {
+        global.$.ajax = jest.fn(options => options.success({ success: true, data: { timeWeightedReturn: null, xirr: null } }));
+        const returns = new PortfolioReturns();
+        await returns.load();
+
+        expect(document.getElementById('twrReturn').textContent).toBe('—');
+        expect(document.getElementById('xirrReturn').textContent).toBe('—');
+    });
+
+    test('should rank leaderboard entries by each return, missing figures last', () => {
+        const entries = [
+            { email: 'a@example.com', rank: 1 },
+            { email: 'b@example.com', rank: 2 },
+            { email: 'c@example.com', rank: 3 }
+        ];
+        const merged = PortfolioReturns.mergeLeaderboardReturns(entries, [
+            { email: 'A@example.com', timeWeightedReturn: 2, xirr: 30 },
+            { email: 'b@example.com', timeWeightedReturn: 8, xirr: null }
+        ]);
+
+        expect(merged.map(entry => entry.twrRank)).toEqual([2, 1, null]);
+        expect(merged.map(entry => entry.xirrRank)).toEqual([1, null, null]);
+        expect(merged[2].twr).toBeNull();
+        expect(entries[0].twr).toBeUndefined();
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit Tests for Portfolio Risk
+ * Tests the dashboard risk card and the leaderboard risk column
+ */
+
+const PortfolioRisk = require('../portfolio-risk');
+
+describe('PortfolioRisk', () => {
+    const metrics = {
+        email: 'trader@example.com', gameType: '', volatility: 18.4, maxDrawdown: 7.25,
+        sharpe: 1.12, sortino: 1.6, beta: null, observations: 42, benchmark: 'NIFTY 50'
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <span id="riskPeriod"></span>
+            <div id="riskMetrics"></div>
+            <div id="riskEmpty" style="display: none;"></div>
+        `;
+        global.$ = {
+            ajax: jest.fn(options => options.success({ success: true, data: metrics }))
+        };
+    });
+
+    afterEach(() => {
+        delete global.$;
+    });
+
+    test('should render a tile with an explanatory tooltip for each metric', async () => {
+        const risk = new PortfolioRisk('riskMetrics');
+        await risk.load();
+
+        const tiles = document.querySelectorAll('#riskMetrics .risk-metric');
+        expect(tiles).toHaveLength(5);
+        tiles.forEach(tile => expect(tile.getAttribute('title')).toBeTruthy());
+        expect(document.querySelector('[data-metric="volatility"]').textContent).toContain('18.40%');
+        expect(document.querySelector('[data-metric="beta"]').textContent).toContain('—');
+        expect(document.getElementById('riskPeriod').textContent).toBe('42 daily returns · beta vs NIFTY 50');
+        expect(document.getElementById('riskEmpty').style.display).toBe('none');
+    });
+
+    test('should show the empty state until there are enough snapshots', async () => {
+        global.$.ajax = jest.fn(options => options.success({ success: true, data: { ...metrics, volatility: null } }));
+        const risk = new PortfolioRisk('riskMetrics');
+        await risk.load();
+
+        expect(document.querySelectorAll('#riskMetrics .risk-metric')).toHaveLength(0);
+        expect(document.getElementById('riskEmpty').style.display).toBe('');
+    });
+
+    test('should attach risk to leaderboard entries by email', () => {
+        const entries = [{ email: 'Trader@Example.com', rank: 1 }, { email: 'new@example.com', rank: 2 }];
+        const merged = PortfolioRisk.mergeLeaderboardRisk(entries, [metrics]);
+
+        expect(merged[0].risk.sharpe).toBe(1.12);
+        expect(merged[1].risk).toBeNull();
+        expect(PortfolioRisk.getLeaderboardCellHTML(merged[0].risk)).toContain('7.25%');
+        expect(PortfolioRisk.getLeaderboardCellHTML(merged[1].risk)).toContain('risk-unavailable');
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for Portfolio Transfer
+ * Tests CSV and JSON export, the import error report and the import's idempotency key
+ */
+
+const PortfolioTransfer = require('../portfolio-transfer');
+
+describe('PortfolioTransfer', () => {
+    const holdings = [
+        { Name: 'TCS', Count: 10, AveragePrice: 3500, Price: 3650.5, ProfitLoss: '1505.00', ProfitLossPercent: '4.30' },
+        { Name: 'M&M', Count: -5, AveragePrice: 1800, Price: 1750, ProfitLoss: '250.00', ProfitLossPercent: '2.78' }
+    ];
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <a href="#" data-export="holdings" data-format="csv">CSV</a>
+            <div id="portfolioImportResult"></div>
+            <button id="portfolioImportSubmit"></button>
+        `;
+        window.dashboard = { currentHoldings: holdings, refreshAfterExecution: jest.fn() };
+    });
+
+    afterEach(() => {
+        delete window.dashboard;
+        delete global.$;
+    });
+
+    test('should export holdings as CSV that the importer can read back', async () => {
+        const transfer = new PortfolioTransfer();
+        transfer.download = jest.fn();
+        await transfer.export('holdings', 'csv');
+
+        const [filename, content, type] = transfer.download.mock.calls[0];
+        expect(filename).toMatch(/^superstock-holdings-\d{4}-\d{2}-\d{2}\.csv$/);
+        expect(type).toBe('text/csv');
+        expect(content.split('\r\n')).toEqual([
+            'Symbol,Quantity,Average Price,LTP,Current Value,P&L,P&L %',
+            'TCS,10,3500,3650.5,36505,1505.00,4.30',
+            'M&M,-5,1800,1750,-8750,250.00,2.78',
+            ''
+        ]);
+    });
+
+    test('should export JSON records and quote unsafe CSV cells', async () => {
+        const transfer = new PortfolioTransfer();
+        transfer.download = jest.fn();
+        await transfer.export('holdings', 'json');
+
+        const records = JSON.parse(transfer.download.mock.calls[0][1]);
+        expect(records[0]).toEqual({
+            symbol: 'TCS', quantity: 10, averagePrice: 3500, ltp: 3650.5,
+            currentValue: 36505, profitLoss: '1505.00', profitLossPercent: '4.30'
+        });
+        expect(PortfolioTransfer.escapeCsvCell('Tata, "Sons"')).toBe('"Tata, ""Sons"""');
+        expect(PortfolioTransfer.escapeCsvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+        expect(PortfolioTransfer.escapeCsvCell('-12.5')).toBe('-12.5');
+        expect(PortfolioTransfer.escapeCsvCell(null)).toBe('');
+    });
+
+    test('should list rejected rows and refresh the dashboard only after an import', async () => {
+        global.$ = {
+            ajax: jest.fn(options => {
+                options.success({
+                    success: false,
+                    message: '2 problem(s) found; nothing was imported',
+                    errorCode: 'IMPORT_VALIDATION_FAILED',
+                    data: {
+                        format: 'Zerodha Kite', rows: 3, imported: false,
+                        errors: [
+                            { row: 3, symbol: 'ABCXYZ', message: 'Unknown symbol ABCXYZ' },
+                            { row: 4, symbol: 'INFY', message: "Quantity '2.5' must be a positive whole number" }
+                        ]
+                    }
+                });
+                options.complete();
+            })
+        };
+
+        const transfer = new PortfolioTransfer();
+        await transfer.importFile(new Blob(['Instrument,Qty.,Avg. cost']));
+
+        const rows = document.querySelectorAll('#portfolioImportResult .import-errors tbody tr');
+        expect(rows).toHaveLength(2);
+        expect(rows[0].textContent).toContain('Unknown symbol ABCXYZ');
+        expect(document.querySelector('#portfolioImportResult .alert').textContent).toContain('Zerodha Kite');
+        expect(window.dashboard.refreshAfterExecution).not.toHaveBeenCalled();
+        expect(document.getElementById('portfolioImportSubmit').disabled).toBe(false);
+    });
+
+    test('should resend a failed import with the same idempotency key', async () => {
+        const responses = [
+            options => options.error({ status: 0 }),
+            options => options.success({ success: true, message: 'Imported 1 of 1 holdings', data: { format: 'Groww', rows: 1, errors: [] } }),
+            options => options.success({ success: true, message: 'Imported 1 of 1 holdings', data: { format: 'Groww', rows: 1, errors: [] } })
+        ];
+        global.$ = {
+            ajax: jest.fn(options => {
+                responses.shift()(options);
+                options.complete();
+            })
+        };
+
+        const transfer = new PortfolioTransfer();
+        const file = new Blob(['Stock Name,Quantity,Average buy price']);
+        await transfer.importFile(file);
+        await transfer.importFile(file);
+        await transfer.importFile(file);
+
+        const keys = global.$.ajax.mock.calls.map(([options]) => options.headers['Idempotency-Key']);
+        expect(keys[0]).toBeTruthy();
+        expect(keys[1]).toBe(keys[0]);
+        // Once the server has answered, importing the file again is a new import
+        expect(keys[2]).not.toBe(keys[0]);
+        expect(window.dashboard.refreshAfterExecution).toHaveBeenCalledTimes(2);
+    });
+});
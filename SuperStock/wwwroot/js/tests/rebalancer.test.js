@@ -0,0 +1,85 @@
+/**
+ * Unit Tests for Rebalancer
+ * Tests target validation, lot-rounded order proposals and batch submission
+ */
+
+const Rebalancer = require('../rebalancer');
+
+describe('Rebalancer', () => {
+    const holdings = [
+        { symbol: 'RELIANCE', quantity: 10, price: 2500, value: 25000 },
+        { symbol: 'TCS', quantity: 10, price: 3500, value: 35000 },
+        { symbol: 'SBIN', quantity: -20, price: 600, value: -12000 }
+    ];
+    const feeEngine = { calculate: jest.fn(() => ({ total: 20 })) };
+
+    test('should reject targets outside 0-100% or adding up to more than 100%', () => {
+        expect(Rebalancer.parseTargets({ reliance: '20', ' tcs ': 10 })).toEqual({ RELIANCE: 20, TCS: 10 });
+        expect(() => Rebalancer.parseTargets({ RELIANCE: 120 })).toThrow('between 0 and 100%');
+        expect(() => Rebalancer.parseTargets({ RELIANCE: 60, TCS: 50 })).toThrow('Targets add up to 110.00%');
+        expect(() => Rebalancer.parseTargets({ '': 10 })).toThrow('Enter a symbol');
+    });
+
+    test('should sell down, buy in whole lots within funds and leave shorts alone', () => {
+        const proposal = Rebalancer.computeOrders({
+            holdings,
+            cash: 52000,
+            targets: { RELIANCE: 20, INFY: 40, SBIN: 10 },
+            prices: { INFY: 1500 },
+            lotSizes: { INFY: 25 },
+            feeEngine
+        });
+
+        // Total value 100000: RELIANCE is 5000 over its target, TCS has no
+        // target and is sold in full, and INFY needs 26.7 shares but trades
+        // in lots of 25
+        expect(proposal.totalValue).toBe(100000);
+        expect(proposal.orders.map(({ side, symbol, quantity }) => `${side} ${quantity} ${symbol}`))
+            .toEqual(['SELL 2 RELIANCE', 'SELL 10 TCS', 'BUY 25 INFY']);
+        expect(proposal.warnings).toEqual(['SBIN is an intraday short and is left as it is']);
+        expect(proposal.cashAfter).toBe(52000 + 5000 + 35000 - 37500 - 60);
+        expect(proposal.orders[2].projectedWeight).toBeCloseTo(37500 / 99940 * 100, 6);
+
+        const capped = Rebalancer.computeOrders({ cash: 1000, targets: { ITC: 100 }, prices: { ITC: 100 }, feeEngine });
+        expect(capped.orders.map(order => order.quantity)).toEqual([9]);
+        expect(capped.warnings).toEqual(['ITC is cut to 9 shares to fit the available funds']);
+    });
+
+    test('should place the selected orders sells first and report rejections', async () => {
+        document.body.innerHTML = `
+            <div id="rebalanceTargets"></div>
+            <span id="rebalanceCashWeight"></span>
+            <div id="rebalanceError" style="display: none;"></div>
+            <div id="rebalanceOrders"></div>
+            <button id="rebalanceSubmit"></button>
+        `;
+        const orderBook = {
+            executeOrder: jest.fn(order => order.symbol === 'INFY'
+                ? Promise.reject(new Error('Insufficient funds'))
+                : Promise.resolve({ holdings: '' }))
+        };
+        window.dashboard = { refreshAfterExecution: jest.fn() };
+
+        const rebalancer = new Rebalancer({ orderBook, feeEngine, storage: null });
+        rebalancer.proposal = {
+            totalValue: 100000, cashAfter: 0, totalFees: 60, warnings: [],
+            orders: [
+                { symbol: 'INFY', side: 'BUY', quantity: 25, price: 1500, lot: 25, value: 37500, fees: 20, currentWeight: 0, targetWeight: 30, projectedWeight: 37.5, selected: true },
+                { symbol: 'WIPRO', side: 'BUY', quantity: 10, price: 500, lot: 1, value: 5000, fees: 20, currentWeight: 0, targetWeight: 5, projectedWeight: 5, selected: true },
+                { symbol: 'TCS', side: 'SELL', quantity: 10, price: 3500, lot: 1, value: 35000, fees: 20, currentWeight: 35, targetWeight: 0, projectedWeight: 0, selected: true }
+            ]
+        };
+        rebalancer.renderProposal();
+        document.querySelector('[data-order-index="1"]').checked = false;
+
+        await rebalancer.submit();
+
+        expect(orderBook.executeOrder.mock.calls.map(([order]) => `${order.side} ${order.symbol} ${order.orderType}`))
+            .toEqual(['sell TCS REBALANCE', 'buy INFY REBALANCE']);
+        const statuses = [...document.querySelectorAll('#rebalanceOrders .rebalance-status')].map(cell => cell.textContent);
+        expect(statuses).toEqual(['Rejected', '—', 'Filled']);
+        expect(window.dashboard.refreshAfterExecution).toHaveBeenCalledTimes(1);
+
+        delete window.dashboard;
+    });
+});
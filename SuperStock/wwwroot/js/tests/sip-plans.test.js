@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for SIP Plans
+ * Tests plan validation, schedule descriptions, instalment estimates and
+ * the plans page
+ */
+
+const SipPlans = require('../sip-plans');
+const SipManager = require('../sip-manager');
+const FeeEngine = require('../fee-engine');
+
+describe('SipPlans', () => {
+    let sipPlans;
+
+    beforeEach(() => {
+        sipPlans = new SipPlans();
+        global.$ = { ajax: jest.fn() };
+    });
+
+    afterEach(() => {
+        delete global.$;
+    });
+
+    describe('Validation', () => {
+        const plan = { symbol: 'INFY', amount: '5000', frequency: 'WEEKLY', dayOfWeek: '1' };
+
+        test('should accept a weekly plan on a weekday', () => {
+            expect(sipPlans.validate(plan)).toBeNull();
+        });
+
+        test('should reject amounts below the minimum and weekend days', () => {
+            expect(sipPlans.validate({ ...plan, amount: '50' })).toBe('The amount per instalment must be at least ₹100');
+            expect(sipPlans.validate({ ...plan, dayOfWeek: '6' })).toBe('Choose a weekday (Monday to Friday) for a weekly plan');
+            expect(sipPlans.validate({ ...plan, frequency: 'MONTHLY', dayOfMonth: '31' })).toBe('Choose a day between 1 and 28 for a monthly plan');
+        });
+
+        test('should send only the day that matches the frequency', () => {
+            expect(sipPlans.toRequest({ ...plan, symbol: 'infy.NS', dayOfMonth: '5' })).toEqual({
+                symbol: 'INFY', amount: 5000, frequency: 'WEEKLY', dayOfWeek: 1, dayOfMonth: null, gameType: ''
+            });
+        });
+    });
+
+    describe('Schedules', () => {
+        test('should describe each frequency', () => {
+            expect(sipPlans.describeSchedule({ frequency: 'WEEKLY', dayOfWeek: 1 })).toBe('Every Monday');
+            expect(sipPlans.describeSchedule({ frequency: 'MONTHLY', dayOfMonth: 22 })).toBe('22nd of every month');
+            expect(sipPlans.describeSchedule({ frequency: 'DAILY' })).toBe('Every trading day');
+        });
+
+        test('should leave room for charges when estimating shares per instalment', () => {
+            const feeEngine = new FeeEngine();
+
+            expect(sipPlans.estimateQuantity(5000, 1000, feeEngine)).toBe(4);
+            expect(sipPlans.estimateQuantity(5000, 6000, feeEngine)).toBe(0);
+        });
+    });
+
+    describe('API', () => {
+        test('should reject with the server message', async () => {
+            $.ajax.mockImplementation(({ error }) => error(
+                { status: 400, responseJSON: { success: false, message: 'You can have at most 20 SIP plans', errorCode: 'INVALID_SIP_PLAN' } },
+                'error',
+                'Bad Request'
+            ));
+
+            await expect(sipPlans.createPlan({ symbol: 'INFY', amount: 5000, frequency: 'DAILY' }))
+                .rejects.toMatchObject({ message: 'You can have at most 20 SIP plans', code: 'INVALID_SIP_PLAN' });
+            expect(JSON.parse($.ajax.mock.calls[0][0].data).frequency).toBe('DAILY');
+        });
+    });
+});
+
+describe('SipManager', () => {
+    const plans = [
+        {
+            id: 'p1', symbol: 'INFY', gameType: '', amount: 5000, frequency: 'WEEKLY', dayOfWeek: 1,
+            status: 'ACTIVE', nextRunAt: '2026-10-26T04:00:00Z', totalInvested: 9980.5, totalQuantity: 6, executionCount: 2
+        },
+        {
+            id: 'p2', symbol: 'TCS', gameType: 'C1', amount: 2000, frequency: 'MONTHLY', dayOfMonth: 5,
+            status: 'PAUSED', nextRunAt: null, totalInvested: 0, totalQuantity: 0, executionCount: 0
+        }
+    ];
+
+    let sipPlans;
+    let manager;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <table><tbody id="sipPlansBody"></tbody></table>
+            <div id="sipPlansEmpty"></div>
+            <table><tbody id="sipExecutionsBody"></tbody></table>
+            <div id="sipExecutionsEmpty"></div>
+        `;
+
+        sipPlans = new SipPlans();
+        sipPlans.getPlans = jest.fn().mockResolvedValue(plans);
+        sipPlans.getExecutions = jest.fn().mockResolvedValue([
+            { symbol: 'INFY', amount: 5000, quantity: 0, price: 0, status: 'REJECTED', reason: 'Insufficient Balance', executedAt: '2026-10-19T04:00:00Z' }
+        ]);
+        sipPlans.pausePlan = jest.fn().mockResolvedValue(plans[0]);
+        manager = new SipManager({ sipPlans });
+    });
+
+    test('should render plans with their schedule and pause or resume action', async () => {
+        await manager.load();
+
+        const rows = document.querySelectorAll('#sipPlansBody .sip-row');
+        expect(rows).toHaveLength(2);
+        expect(rows[0].textContent).toContain('Every Monday');
+        expect(rows[0].querySelector('[data-action="pause"]')).not.toBeNull();
+        expect(rows[1].classList.contains('paused')).toBe(true);
+        expect(rows[1].querySelector('[data-action="resume"]')).not.toBeNull();
+        expect(document.querySelector('#sipExecutionsBody .trade-status').title).toBe('Insufficient Balance');
+    });
+
+    test('should pause a plan and reload', async () => {
+        await manager.load();
+        await manager.handleAction('pause', 'p1');
+
+        expect(sipPlans.pausePlan).toHaveBeenCalledWith('p1');
+        expect(sipPlans.getPlans).toHaveBeenCalledTimes(2);
+    });
+});
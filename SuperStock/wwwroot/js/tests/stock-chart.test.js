@@ -0,0 +1,209 @@
+/**
+ * Unit Tests for Stock Chart
+ * Tests loading candles from api/chart, marking demo and delayed data and
+ * the price, volume and oscillator panes, drawing registered indicators and
+ * comparing symbols
+ */
+
+describe('StockChart', () => {
+    let StockChart;
+
+    const series = {
+        symbol: 'TCS',
+        timeframe: '1M',
+        interval: '1day',
+        source: 'TwelveData',
+        fetchedAt: '2026-10-19T05:00:00Z',
+        isDelayed: true,
+        delayMinutes: 12,
+        candles: [
+            { time: '2026-10-16T00:00:00Z', open: 3500, high: 3550, low: 3480, close: 3540, volume: 120000 },
+            { time: '2026-10-17T00:00:00Z', open: 3540, high: 3600, low: 3530, close: 3590, volume: 150000 }
+        ]
+    };
+
+    const respond = (status, body) => jest.fn(() => Promise.resolve({
+        ok: status === 200,
+        status,
+        statusText: '',
+        json: () => Promise.resolve(body)
+    }));
+
+    beforeAll(() => {
+        HTMLCanvasElement.prototype.getContext = jest.fn(() => ({}));
+        global.ResizeObserver = class { observe() {} };
+        global.Chart = jest.fn((ctx, config) => ({
+            data: config.data,
+            options: config.options,
+            scales: {},
+            update: jest.fn(),
+            resize: jest.fn()
+        }));
+        require('../chart-indicators');
+        StockChart = require('../stock-chart');
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div class="chart-container"><canvas id="stockChart"></canvas></div>';
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+        jest.restoreAllMocks();
+    });
+
+    test('should map api/chart candles to chart points and flag delayed data', async () => {
+        global.fetch = respond(200, { success: true, data: series });
+        const chart = new StockChart('stockChart');
+        await chart.loadData('M&M', '1M');
+
+        expect(global.fetch).toHaveBeenCalledWith('/api/chart/M%26M?timeframe=1M');
+        expect(chart.chart.data.datasets[0].data).toEqual([
+            { x: Date.parse('2026-10-16T00:00:00Z'), o: 3500, h: 3550, l: 3480, c: 3540 },
+            { x: Date.parse('2026-10-17T00:00:00Z'), o: 3540, h: 3600, l: 3530, c: 3590 }
+        ]);
+        expect(chart.chart.data.datasets[1].data[1]).toEqual({ x: Date.parse('2026-10-17T00:00:00Z'), y: 150000 });
+
+        const notice = document.querySelector('.chart-data-notice');
+        expect(notice.classList).toContain('delayed');
+        expect(notice.textContent).toBe('Delayed by about 12 min · TwelveData');
+    });
+
+    test('should show the error instead of made-up candles when history is unavailable', async () => {
+        global.fetch = respond(404, { success: false, message: 'No 1M price history is available for TCS', errorCode: 'NO_CHART_DATA' });
+        const chart = new StockChart('stockChart');
+        await chart.loadData('TCS', '1M');
+
+        expect(chart.chart.data.datasets[0].data).toEqual([]);
+        expect(document.querySelector('.chart-error .error-message').textContent).toBe('No 1M price history is available for TCS');
+        expect(document.querySelector('.chart-data-notice')).toBeNull();
+    });
+
+    test('should fall back to demo candles marked as synthetic only behind the demo flag', async () => {
+        global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+        const chart = new StockChart('stockChart', { demoData: true });
+        await chart.loadData('TCS', '1W');
+
+        expect(chart.chart.data.datasets[0].data).toHaveLength(7);
+        const notice = document.querySelector('.chart-data-notice');
+        expect(notice.classList).toContain('synthetic');
+        expect(notice.textContent).toContain('not real prices');
+        expect(document.querySelector('.chart-error')).toBeNull();
+    });
+
+    test('should stack volume and oscillators in panes that resize and close', () => {
+        const chart = new StockChart('stockChart');
+        chart.onIndicatorRemoved = jest.fn();
+        chart.addIndicator('rsi');
+
+        expect(chart.panes.map(pane => pane.id)).toEqual(['y', 'volume', 'rsi']);
+        expect(chart.chart.options.scales.rsi).toMatchObject({ position: 'right', stack: 'panes', weight: 2, min: 0, max: 100 });
+        expect(chart.chart.data.datasets.find(d => d.indicator === 'rsi').yAxisID).toBe('rsi');
+
+        // Dragging the volume divider down stops at the 40px minimum
+        chart.chart.scales = {
+            y: { top: 0, bottom: 300, height: 300 },
+            volume: { top: 300, bottom: 400, height: 100 },
+            rsi: { top: 400, bottom: 500, height: 100 }
+        };
+        chart.resizePanes(1, 90);
+        expect(chart.panes[0].weight).toBeCloseTo(3.6);
+        expect(chart.chart.options.scales.volume.stackWeight).toBeCloseTo(0.4);
+
+        chart.chart.chartArea = { left: 0, width: 600 };
+        chart.renderPaneControls();
+        document.querySelector('.chart-pane-remove[data-pane-id="rsi"]').click();
+
+        expect(chart.panes.map(pane => pane.id)).toEqual(['y', 'volume']);
+        expect(chart.chart.options.scales.rsi).toBeUndefined();
+        expect(chart.chart.data.datasets.some(d => d.yAxisID === 'rsi')).toBe(false);
+        expect(chart.indicators.has('rsi')).toBe(false);
+        expect(chart.onIndicatorRemoved).toHaveBeenCalledWith('rsi');
+    });
+
+    test('should draw a registered indicator and recalculate it for new candles and parameters', async () => {
+        const { IndicatorRegistry } = require('../chart-indicators');
+        const registry = new IndicatorRegistry().register({
+            id: 'range',
+            name: 'Range',
+            pane: 'separate',
+            inputs: ['high', 'low'],
+            params: [{ key: 'scale', label: 'Scale', default: 1, min: 1, max: 10, step: 1 }],
+            outputs: [{ key: 'range', label: 'Range', color: '#000' }],
+            calculate: (bars, params) => ({ range: bars.map(bar => ({ x: bar.x, y: (bar.h - bar.l) * params.scale })) })
+        });
+        const chart = new StockChart('stockChart', { registry });
+        chart.addIndicator('range');
+
+        const dataset = () => chart.chart.data.datasets.find(d => d.indicator === 'range');
+        expect(dataset().data).toEqual([]);
+
+        global.fetch = respond(200, { success: true, data: series });
+        await chart.loadData('TCS', '1M');
+        expect(dataset().data.map(point => point.y)).toEqual([70, 70]);
+
+        chart.setIndicatorParams('range', { scale: 2 });
+        expect(dataset().data.map(point => point.y)).toEqual([140, 140]);
+        expect(chart.panes.find(pane => pane.id === 'range').label).toBe('Range (2)');
+    });
+
+    test('should compare symbols as percent change with a legend that toggles and exits', async () => {
+        const peer = {
+            ...series,
+            symbol: 'INFY',
+            candles: [
+                { time: '2026-10-16T00:00:00Z', open: 1500, high: 1510, low: 1490, close: 1500, volume: 90000 },
+                { time: '2026-10-17T00:00:00Z', open: 1500, high: 1505, low: 1460, close: 1470, volume: 95000 }
+            ]
+        };
+        global.fetch = jest.fn(url => {
+            if (url.includes('WIPRO')) {
+                return respond(404, { success: false, message: 'No 1M price history is available for WIPRO' })();
+            }
+            return respond(200, { success: true, data: url.includes('INFY') ? peer : series })();
+        });
+        const chart = new StockChart('stockChart');
+        await chart.loadData('TCS', '1M');
+        await chart.compare(['TCS', 'INFY', 'WIPRO']);
+
+        const compared = () => chart.chart.data.datasets.filter(d => d.compare);
+        expect(compared().map(d => d.compare)).toEqual(['TCS', 'INFY', 'WIPRO']);
+        expect(compared()[0].data[0].y).toBe(0);
+        expect(compared()[0].data[1].y).toBeCloseTo(1.412, 3);
+        expect(compared()[1].data[0].y).toBe(0);
+        expect(compared()[1].data[1].y).toBeCloseTo(-2);
+        expect(compared()[2].data).toEqual([]);
+        expect(chart.chart.data.datasets[0].hidden).toBe(true);
+        expect(chart.chart.options.scales.y.ticks.callback(5)).toBe('+5.0%');
+
+        const legendItem = symbol => document.querySelector(`[data-compare-symbol="${symbol}"]`);
+        expect(legendItem('INFY').textContent).toContain('-2.00%');
+        expect(legendItem('WIPRO').disabled).toBe(true);
+        expect(legendItem('WIPRO').textContent).toContain('No data');
+
+        legendItem('INFY').click();
+        expect(compared()[1].hidden).toBe(true);
+        expect(legendItem('INFY').getAttribute('aria-pressed')).toBe('false');
+
+        document.querySelector('.compare-legend-exit').click();
+        expect(chart.comparison).toBeNull();
+        expect(compared()).toEqual([]);
+        expect(chart.chart.data.datasets[0].hidden).toBe(false);
+        expect(document.querySelector('.chart-compare-legend')).toBeNull();
+    });
+
+    test('should measure percent change from the first visible bar', () => {
+        const candles = [{ x: 1, c: 50 }, { x: 2, c: 100 }, { x: 3, c: 110 }];
+
+        const all = StockChart.toPercentChange(candles).map(point => point.y);
+        expect(all.slice(0, 2)).toEqual([0, 100]);
+        expect(all[2]).toBeCloseTo(120);
+
+        const visible = StockChart.toPercentChange(candles, 2).map(point => point.y);
+        expect(visible.slice(0, 2)).toEqual([-50, 0]);
+        expect(visible[2]).toBeCloseTo(10);
+        expect(StockChart.MAX_COMPARE_SYMBOLS).toBe(5);
+    });
+});
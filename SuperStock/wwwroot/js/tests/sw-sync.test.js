@@ -0,0 +1,76 @@
+/**
+ * Unit Tests for the service worker's background sync of offline trades
+ * Tests that a queued trade is replayed with the same idempotency key until
+ * the server fills it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+describe('Service worker trade sync', () => {
+    let worker;
+    let queue;
+
+    const loadWorker = (fetch) => {
+        const context = vm.createContext({
+            console: { log: jest.fn(), warn: jest.fn(), error: jest.fn() },
+            fetch
+        });
+        context.self = {
+            importScripts: jest.fn(),
+            addEventListener: jest.fn()
+        };
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '../../sw.js'), 'utf8'), context);
+
+        context.getOfflineData = jest.fn(async () => [...queue]);
+        context.removeOfflineData = jest.fn(async (store, id) => {
+            queue = queue.filter(trade => trade.id !== id);
+        });
+        context.notifyClient = jest.fn();
+        return context;
+    };
+
+    const response = (status, body = {}) => ({
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body
+    });
+
+    beforeEach(() => {
+        queue = [{ id: 1, data: { Stock: 'TCS', Price: '3000', Quantity: 1 } }];
+    });
+
+    test('should retry with the same key after the price fetch failed on the server', async () => {
+        // The price provider throws on the first attempt; the server fetches the
+        // price before claiming the key, so the retry is not a duplicate
+        const fetch = jest.fn()
+            .mockResolvedValueOnce(response(500))
+            .mockResolvedValueOnce(response(200, '{}'));
+        worker = loadWorker(fetch);
+
+        await worker.syncOfflineTrades();
+        expect(queue).toHaveLength(1);
+
+        await worker.syncOfflineTrades();
+
+        const keys = fetch.mock.calls.map(([, request]) => request.headers['Idempotency-Key']);
+        expect(keys).toEqual(['offline-trade-1', 'offline-trade-1']);
+        expect(JSON.parse(fetch.mock.calls[1][1].body).IdempotencyKey).toBe('offline-trade-1');
+        expect(queue).toHaveLength(0);
+        expect(worker.notifyClient).toHaveBeenCalledWith('trade-synced', expect.objectContaining({ success: true }));
+    });
+
+    test('should keep the trade while the key is still being processed', async () => {
+        const fetch = jest.fn().mockResolvedValue(response(409, {
+            errorCode: 'DUPLICATE_ORDER',
+            orderStatus: 'PENDING'
+        }));
+        worker = loadWorker(fetch);
+
+        await worker.syncOfflineTrades();
+
+        expect(queue).toHaveLength(1);
+        expect(worker.removeOfflineData).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit Tests for the Trade Blotter
+ * Tests order history processing, filters and rendering
+ */
+
+const TradeBlotter = require('../trade-blotter');
+const DashboardDataManager = require('../dashboard-data-manager');
+
+describe('TradeBlotter', () => {
+    const response = {
+        success: true,
+        data: [
+            {
+                id: 't2', symbol: 'TCS', side: 'SELL', quantity: 2, price: 3100,
+                orderType: 'TARGET', fees: 3.1, status: 'FILLED', realizedPnl: 193.4, timestamp: '2026-03-02T05:00:00Z'
+            },
+            {
+                id: 't1', symbol: 'TCS', side: 'BUY', quantity: 2, price: 3000,
+                orderType: 'LIMIT', fees: 1.5, status: 'FILLED', timestamp: '2026-03-01T05:00:00Z'
+            },
+            {
+                id: 't0', symbol: 'INFY', side: 'BUY', quantity: 500, price: 1500, fees: 0,
+                status: 'REJECTED', rejectionReason: 'Insufficient Balance in SuperStock Account',
+                timestamp: '2026-02-28T05:00:00Z'
+            }
+        ]
+    };
+
+    let dataManager;
+    let blotter;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <form id="tradeFilters">
+                <input id="tradeSymbolFilter">
+                <input id="tradeFromFilter">
+                <input id="tradeToFilter">
+                <select id="tradeGameTypeFilter"><option value=""></option><option value="C1"></option></select>
+            </form>
+            <span id="tradesTotalOrders"></span>
+            <span id="tradesRejectedCount"></span>
+            <span id="tradesTotalFees"></span>
+            <span id="tradesRealizedPnl"></span>
+            <table><tbody id="tradesTableBody"></tbody></table>
+            <div id="tradesEmpty"><p class="empty-message"></p></div>
+        `;
+
+        dataManager = {
+            loadOrderHistory: jest.fn().mockResolvedValue(
+                DashboardDataManager.prototype.processOrderHistoryData(JSON.stringify(response))
+            ),
+            clearCache: jest.fn()
+        };
+        blotter = new TradeBlotter({ dataManager });
+    });
+
+    describe('Order history data', () => {
+        test('should map trades and total only filled orders', () => {
+            const { trades, summary } = DashboardDataManager.prototype.processOrderHistoryData(response);
+
+            expect(trades[1]).toEqual(expect.objectContaining({
+                symbol: 'TCS', side: 'BUY', quantity: 2, price: 3000, value: 6000, orderType: 'LIMIT'
+            }));
+            expect(trades[2].orderType).toBe('MARKET');
+            expect(summary).toEqual(expect.objectContaining({
+                totalOrders: 3, filledCount: 2, rejectedCount: 1, buyValue: 6000, sellValue: 6200
+            }));
+            expect(summary.totalFees).toBeCloseTo(4.6);
+        });
+    });
+
+    describe('Rendering', () => {
+        test('should render a row per order with status and summary', async () => {
+            await blotter.loadTrades();
+
+            const rows = document.querySelectorAll('#tradesTableBody .trade-row');
+            expect(rows).toHaveLength(3);
+            expect(rows[0].textContent).toContain('Target');
+            expect(rows[2].classList.contains('rejected')).toBe(true);
+            expect(rows[2].querySelector('.trade-status').title).toBe('Insufficient Balance in SuperStock Account');
+            expect(document.getElementById('tradesTotalOrders').textContent).toBe('3');
+            expect(document.getElementById('tradesTotalFees').textContent).toBe('₹4.60');
+        });
+
+        test('should show realized P&L only on trades that closed lots', async () => {
+            await blotter.loadTrades();
+
+            const cells = document.querySelectorAll('#tradesTableBody .realized-pnl');
+            expect(cells[0].textContent).toBe('+₹193.40');
+            expect(cells[0].classList.contains('positive')).toBe(true);
+            expect(cells[1].textContent).toBe('—');
+            expect(document.getElementById('tradesRealizedPnl').textContent).toBe('+₹193.40');
+        });
+
+        test('should show the empty state when nothing matches', async () => {
+            dataManager.loadOrderHistory.mockResolvedValueOnce({ trades: [], summary: null });
+
+            await blotter.loadTrades();
+
+            expect(document.getElementById('tradesEmpty').style.display).toBe('block');
+            expect(document.getElementById('tradesTableBody').innerHTML).toBe('');
+        });
+    });
+
+    describe('Filters', () => {
+        test('should pass the form filters to the data manager', async () => {
+            document.getElementById('tradeSymbolFilter').value = ' tcs ';
+            document.getElementById('tradeFromFilter').value = '2026-03-01';
+            document.getElementById('tradeGameTypeFilter').value = 'C1';
+
+            blotter.applyFilters();
+            await Promise.resolve();
+
+            expect(dataManager.loadOrderHistory).toHaveBeenCalledWith({
+                symbol: 'TCS', from: '2026-03-01', to: '', gameType: 'C1'
+            });
+        });
+
+        test('should not load when the date range is reversed', () => {
+            document.getElementById('tradeFromFilter').value = '2026-03-05';
+            document.getElementById('tradeToFilter').value = '2026-03-01';
+
+            blotter.applyFilters();
+
+            expect(dataManager.loadOrderHistory).not.toHaveBeenCalled();
+        });
+
+        test('should bypass the cache on refresh', () => {
+            blotter.refresh();
+
+            expect(dataManager.clearCache).toHaveBeenCalledWith('orders');
+            expect(dataManager.loadOrderHistory).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Trade Simulator
+ * Tests simulated orders against a copy of the portfolio and the before/after comparison
+ */
+
+const TradeSimulator = require('../trade-simulator');
+
+describe('TradeSimulator', () => {
+    const portfolio = {
+        holdings: [
+            { Name: 'TCS', Count: 10, AveragePrice: 3000, Price: 3200, currentValue: 32000 },
+            { Name: 'INFY', Count: 20, AveragePrice: 1500, Price: 1400, currentValue: 28000 }
+        ]
+    };
+    const feeEngine = { calculate: jest.fn(() => ({ total: 20 })) };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <datalist id="simulatorHoldings"></datalist>
+            <div id="simulatorError" style="display: none;"></div>
+            <ul id="simulatorOrders"></ul>
+            <div id="simulatorResults"></div>
+        `;
+        global.$ = {
+            ajax: jest.fn(options => options.success({ success: true, data: { totalValues: [150000, 99990, 90000] } }))
+        };
+    });
+
+    afterEach(() => {
+        delete global.$;
+    });
+
+    test('should average up a buy and reject orders the account could not place', () => {
+        const state = TradeSimulator.createState(portfolio, 40000);
+        const { state: after, order } = TradeSimulator.applyOrder(state, { symbol: 'tcs', side: 'BUY', quantity: '10', price: '3400' }, feeEngine);
+
+        expect(order).toEqual({ symbol: 'TCS', side: 'BUY', quantity: 10, price: 3400, fees: 20 });
+        expect(after.cash).toBe(40000 - 34000 - 20);
+        expect(after.holdings[0]).toMatchObject({ quantity: 20, averagePrice: 3200, value: 64000 });
+        expect(state.holdings[0].quantity).toBe(10);
+
+        expect(() => TradeSimulator.applyOrder(state, { symbol: 'TCS', side: 'BUY', quantity: 13, price: 3200 }, feeEngine))
+            .toThrow('only ₹40000.00 is available');
+        expect(() => TradeSimulator.applyOrder(state, { symbol: 'INFY', side: 'SELL', quantity: 21, price: 1400 }, feeEngine))
+            .toThrow('You hold only 20 shares of INFY');
+        expect(() => TradeSimulator.applyOrder(state, { symbol: 'SBIN', side: 'BUY', quantity: 1.5, price: 600 }, feeEngine))
+            .toThrow('positive whole number');
+    });
+
+    test('should drop a position sold in full and project rank among the other participants', () => {
+        const state = TradeSimulator.createState(portfolio, 40000);
+        const { state: after } = TradeSimulator.applyOrder(state, { symbol: 'INFY', side: 'SELL', quantity: 20, price: 1400 }, feeEngine);
+        const leaderboard = [150000, 100010, 90000];
+
+        expect(after.holdings.map(h => h.symbol)).toEqual(['TCS']);
+        const before = TradeSimulator.summarize(state, leaderboard);
+        const summary = TradeSimulator.summarize(after, leaderboard);
+        expect(before.totalValue).toBe(100000);
+        expect(before.rank).toBe(3);
+        expect(summary.totalValue).toBe(99980);
+        expect(summary.cashWeight).toBeCloseTo(67980 / 99980 * 100, 6);
+        expect(summary.rank).toBe(3);
+        expect(summary.participants).toBe(4);
+    });
+
+    test('should clone the data manager state and render before/after deltas', async () => {
+        const dataManager = {
+            loadPortfolioData: jest.fn(() => Promise.resolve(portfolio)),
+            getAvailableFunds: jest.fn(() => Promise.resolve({ amount: 40000 }))
+        };
+        const simulator = new TradeSimulator({ dataManager, feeEngine });
+        await simulator.load();
+
+        simulator.addOrder({ symbol: 'SBIN', side: 'BUY', quantity: 10, price: 600 });
+        simulator.addOrder({ symbol: 'SBIN', side: 'SELL', quantity: 50, price: 600 });
+
+        expect(portfolio.holdings).toHaveLength(2);
+        expect(simulator.orders).toHaveLength(1);
+        expect(document.getElementById('simulatorError').textContent).toBe('You hold only 10 shares of SBIN');
+        expect(document.querySelectorAll('#simulatorOrders li')).toHaveLength(1);
+
+        const rows = [...document.querySelectorAll('#simulatorResults tbody tr')].map(row => row.textContent.replace(/\s+/g, ' ').trim());
+        expect(rows).toContain('Available funds ₹40,000.00 ₹33,980.00 -₹6,020.00');
+        expect(rows).toContain('SBIN average price — ₹600.00 —');
+        expect(rows).toContain('Projected rank (of 4) #2 #3 +1');
+        expect(document.querySelector('#simulatorResults tr:last-child .simulator-change').classList).toContain('negative');
+    });
+});
@@ -0,0 +1,250 @@
+/**
+ * Trade Blotter
+ * Order history page: every filled and rejected order with symbol,
+ * date range and game type filters. Data comes from DashboardDataManager.
+ */
+
+class TradeBlotter {
+    constructor(options = {}) {
+        this.dataManager = options.dataManager || new window.DashboardDataManager();
+        this.trades = [];
+        this.summary = null;
+        this.filters = { symbol: '', from: '', to: '', gameType: '' };
+        this.isLoading = false;
+    }
+
+    init() {
+        this.bindEvents();
+        this.loadTrades();
+    }
+
+    bindEvents() {
+        const form = document.getElementById('tradeFilters');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.applyFilters();
+            });
+        }
+
+        document.getElementById('resetTradeFilters')?.addEventListener('click', () => this.resetFilters());
+        document.getElementById('refreshTrades')?.addEventListener('click', () => this.refresh());
+    }
+
+    /**
+     * Read the filter form and reload
+     */
+    applyFilters() {
+        const filters = this.readFilters();
+        const error = this.validateFilters(filters);
+        if (error) {
+            this.showNotification(error, 'warning');
+            return;
+        }
+
+        this.filters = filters;
+        this.loadTrades();
+    }
+
+    resetFilters() {
+        document.getElementById('tradeFilters')?.reset();
+        this.filters = { symbol: '', from: '', to: '', gameType: '' };
+        this.loadTrades();
+    }
+
+    /**
+     * Reload ignoring cached history
+     */
+    refresh() {
+        this.dataManager.clearCache('orders');
+        this.loadTrades();
+    }
+
+    readFilters() {
+        const value = (id) => (document.getElementById(id)?.value || '').trim();
+        return {
+            symbol: value('tradeSymbolFilter').toUpperCase(),
+            from: value('tradeFromFilter'),
+            to: value('tradeToFilter'),
+            gameType: value('tradeGameTypeFilter')
+        };
+    }
+
+    validateFilters(filters) {
+        if (filters.from && filters.to && filters.from > filters.to) {
+            return 'The start date must be on or before the end date';
+        }
+        return null;
+    }
+
+    async loadTrades() {
+        if (this.isLoading) return;
+
+        this.isLoading = true;
+        this.showLoading(true);
+
+        try {
+            const history = await this.dataManager.loadOrderHistory(this.filters);
+            this.trades = history.trades;
+            this.summary = history.summary;
+            this.renderSummary();
+            this.renderTable();
+        } catch (error) {
+            console.error('Error loading order history:', error);
+            this.trades = [];
+            this.renderTable('Unable to load order history. Please try again.');
+            this.showNotification('Failed to load order history', 'error');
+        } finally {
+            this.isLoading = false;
+            this.showLoading(false);
+        }
+    }
+
+    renderSummary() {
+        if (!this.summary) return;
+
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+
+        setText('tradesTotalOrders', this.summary.totalOrders);
+        setText('tradesFilledCount', this.summary.filledCount);
+        setText('tradesRejectedCount', this.summary.rejectedCount);
+        setText('tradesBuyValue', this.formatCurrency(this.summary.buyValue));
+        setText('tradesSellValue', this.formatCurrency(this.summary.sellValue));
+        setText('tradesTotalFees', this.formatCurrency(this.summary.totalFees));
+        setText('tradesRealizedPnl', this.formatPnl(this.summary.realizedPnl));
+    }
+
+    renderTable(errorMessage = null) {
+        const tableBody = document.getElementById('tradesTableBody');
+        const emptyState = document.getElementById('tradesEmpty');
+        if (!tableBody) return;
+
+        if (errorMessage || this.trades.length === 0) {
+            tableBody.innerHTML = '';
+            if (emptyState) {
+                emptyState.querySelector('.empty-message').textContent =
+                    errorMessage || 'No orders match these filters.';
+                emptyState.style.display = 'block';
+            }
+            return;
+        }
+
+        if (emptyState) emptyState.style.display = 'none';
+        tableBody.innerHTML = this.trades.map(trade => this.getTradeRowHTML(trade)).join('');
+    }
+
+    getTradeRowHTML(trade) {
+        const side = trade.side.toLowerCase();
+        const filled = trade.status === 'FILLED';
+
+        return `
+            <tr class="trade-row ${filled ? '' : 'rejected'}">
+                <td class="trade-time">${this.formatTimestamp(trade.timestamp)}</td>
+                <td>
+                    <div class="stock-symbol">${this.escapeHtml(trade.symbol)}</div>
+                    <div class="order-type">${this.formatOrderType(trade.orderType)}${trade.productType === 'INTRADAY' ? ' · Intraday' : ''}</div>
+                </td>
+                <td><span class="order-side ${side}">${trade.side}</span></td>
+                <td class="quantity">${trade.quantity}</td>
+                <td class="price">${this.formatCurrency(trade.price)}</td>
+                <td class="price">${this.formatCurrency(trade.fees)}</td>
+                <td class="price realized-pnl ${this.getPnlClass(trade.realizedPnl)}">${typeof trade.realizedPnl === 'number' ? this.formatPnl(trade.realizedPnl) : '—'}</td>
+                <td>
+                    <span class="trade-status ${filled ? 'filled' : 'rejected'}"
+                          ${filled ? '' : `title="${this.escapeHtml(trade.rejectionReason)}"`}>
+                        ${filled ? 'Filled' : 'Rejected'}
+                    </span>
+                </td>
+            </tr>
+        `;
+    }
+
+    formatOrderType(orderType) {
+        switch (orderType) {
+            case 'LIMIT':
+                return 'Limit';
+            case 'AMO':
+                return 'AMO';
+            case 'STOP_LOSS':
+                return 'Stop-loss';
+            case 'TARGET':
+                return 'Target';
+            case 'SQUARE_OFF':
+                return 'Square-off';
+            case 'SIP':
+                return 'SIP';
+            case 'IMPORT':
+                return 'Import';
+            case 'REBALANCE':
+                return 'Rebalance';
+            default:
+                return 'Market';
+        }
+    }
+
+    formatTimestamp(timestamp) {
+        return timestamp.toLocaleString('en-IN', {
+            day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    formatCurrency(amount) {
+        return '₹' + (amount || 0).toFixed(2);
+    }
+
+    /**
+     * Signed P&L, e.g. +₹12.50 or -₹3.00
+     */
+    formatPnl(amount) {
+        const value = amount || 0;
+        return `${value < 0 ? '-' : '+'}${this.formatCurrency(Math.abs(value))}`;
+    }
+
+    getPnlClass(amount) {
+        if (!amount) return '';
+        return amount > 0 ? 'positive' : 'negative';
+    }
+
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    showLoading(show) {
+        const loadingElement = document.getElementById('tradesLoading');
+        if (loadingElement) {
+            loadingElement.style.display = show ? 'block' : 'none';
+        }
+    }
+
+    showNotification(message, type = 'info') {
+        if (window.NotificationManager) {
+            window.NotificationManager.show(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+}
+
+// Initialize the blotter when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('tradesTableBody')) {
+        window.tradeBlotter = new TradeBlotter();
+        window.tradeBlotter.init();
+    }
+});
+
+window.TradeBlotter = TradeBlotter;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TradeBlotter;
+}
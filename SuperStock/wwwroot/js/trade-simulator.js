@@ -0,0 +1,353 @@
+/**
+ * Trade Simulator
+ * What-if sandbox for the dashboard. Clones the holdings and funds loaded by
+ * DashboardDataManager, applies hypothetical orders to the copy with the same
+ * charges and funds/holdings checks as a real order, and shows how funds,
+ * average prices, allocation and projected rank would change. Nothing is
+ * sent to the server; rank is projected against the other participants'
+ * totals on the latest snapshot (api/PortfolioSnapshots/leaderboard).
+ */
+
+class TradeSimulator {
+    constructor(options = {}) {
+        this.dataManager = options.dataManager || null;
+        this.feeEngine = options.feeEngine || window.feeEngine || null;
+        this.gameType = options.gameType || '';
+        this.userId = options.userId || 'current-user';
+        this.endpoint = options.endpoint || '/api/PortfolioSnapshots/leaderboard';
+        this.baseline = null;
+        this.state = null;
+        this.orders = [];
+        this.leaderboard = [];
+    }
+
+    init() {
+        this.bindEvents();
+        return this.load();
+    }
+
+    bindEvents() {
+        const form = document.getElementById('simulatorForm');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.addOrder(this.readForm());
+            });
+        }
+
+        document.getElementById('simulatorReset')?.addEventListener('click', () => this.load());
+
+        // Held stocks default to their last traded price
+        document.getElementById('simulatorSymbol')?.addEventListener('change', (event) => {
+            const holding = this.baseline?.holdings.find(h => h.symbol === event.target.value.trim().toUpperCase());
+            const price = document.getElementById('simulatorPrice');
+            if (holding && price) price.value = holding.price.toFixed(2);
+        });
+    }
+
+    /**
+     * Takes a fresh copy of the portfolio and drops any simulated orders
+     */
+    async load() {
+        try {
+            const [portfolio, funds, leaderboard] = await Promise.all([
+                this.dataManager.loadPortfolioData(this.userId, this.gameType),
+                this.dataManager.getAvailableFunds(this.gameType),
+                this.fetchLeaderboard().catch(() => null)
+            ]);
+            this.baseline = TradeSimulator.createState(portfolio, funds?.amount);
+            this.leaderboard = leaderboard?.totalValues || [];
+        } catch (error) {
+            console.warn('Trade simulator unavailable', error);
+            this.baseline = null;
+        }
+
+        this.state = this.baseline ? TradeSimulator.cloneState(this.baseline) : null;
+        this.orders = [];
+        this.render();
+    }
+
+    fetchLeaderboard() {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: this.endpoint,
+                type: 'GET',
+                data: { gameType: this.gameType },
+                dataType: 'json',
+                timeout: 15000,
+                success: (response) => resolve(response?.data || null),
+                error: (xhr, status, error) => reject(new Error(error || 'Failed to load leaderboard snapshot'))
+            });
+        });
+    }
+
+    readForm() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        return {
+            symbol: value('simulatorSymbol'),
+            side: value('simulatorSide') || 'BUY',
+            quantity: value('simulatorQuantity'),
+            price: value('simulatorPrice')
+        };
+    }
+
+    addOrder(order) {
+        if (!this.state) return;
+
+        try {
+            const result = TradeSimulator.applyOrder(this.state, order, this.feeEngine);
+            this.state = result.state;
+            this.orders.push(result.order);
+            this.showError('');
+        } catch (error) {
+            this.showError(error.message);
+        }
+        this.render();
+    }
+
+    /**
+     * Sandbox copy of the data manager's portfolio: cash and each holding's
+     * quantity, average price, last traded price and current value
+     */
+    static createState(portfolio, cash) {
+        return {
+            cash: parseFloat(cash) || 0,
+            holdings: (portfolio?.holdings || []).map(holding => ({
+                symbol: String(holding.Name || '').replace('.NS', '').toUpperCase(),
+                quantity: holding.Count,
+                averagePrice: holding.AveragePrice,
+                price: holding.Price,
+                value: holding.currentValue ?? holding.Price * holding.Count
+            }))
+        };
+    }
+
+    static cloneState(state) {
+        return { cash: state.cash, holdings: state.holdings.map(holding => ({ ...holding })) };
+    }
+
+    /**
+     * Applies one order to a copy of the state. Buys need their cost plus
+     * charges in cash and sells need the shares, as on the server; intraday
+     * shorts are out of scope. Throws with the reason when the order would be rejected.
+     */
+    static applyOrder(state, order, feeEngine = null) {
+        const symbol = String(order.symbol || '').trim().toUpperCase();
+        const isBuy = String(order.side).toUpperCase() !== 'SELL';
+        const quantity = Number(order.quantity);
+        const price = Number(order.price);
+
+        if (!symbol) throw new Error('Enter a symbol');
+        if (!Number.isInteger(quantity) || quantity <= 0) throw new Error('Quantity must be a positive whole number');
+        if (!(price > 0)) throw new Error('Price must be greater than zero');
+
+        const next = TradeSimulator.cloneState(state);
+        let holding = next.holdings.find(h => h.symbol === symbol);
+        if (holding && holding.quantity < 0) {
+            throw new Error(`${symbol} is an intraday short, which the simulator does not model`);
+        }
+
+        const fees = feeEngine ? feeEngine.calculate({ side: isBuy ? 'buy' : 'sell', quantity, price }).total : 0;
+        const turnover = quantity * price;
+
+        if (isBuy) {
+            if (turnover + fees >= next.cash) {
+                throw new Error(`Needs ₹${(turnover + fees).toFixed(2)} including charges, but only ₹${next.cash.toFixed(2)} is available`);
+            }
+            if (!holding) {
+                holding = { symbol, quantity: 0, averagePrice: 0, price, value: 0 };
+                next.holdings.push(holding);
+            }
+            holding.averagePrice = (holding.quantity * holding.averagePrice + turnover) / (holding.quantity + quantity);
+            holding.quantity += quantity;
+            next.cash -= turnover + fees;
+        } else {
+            const held = holding ? holding.quantity : 0;
+            if (quantity > held) {
+                throw new Error(held > 0 ? `You hold only ${held} shares of ${symbol}` : `You do not hold any shares of ${symbol}`);
+            }
+            holding.quantity -= quantity;
+            next.cash += turnover - fees;
+        }
+
+        // Positions stay valued at their last traded price
+        holding.value = holding.quantity * holding.price;
+        next.holdings = next.holdings.filter(h => h.quantity !== 0);
+
+        return { state: next, order: { symbol, side: isBuy ? 'BUY' : 'SELL', quantity, price, fees } };
+    }
+
+    /**
+     * Total value, cash and holding weights (percent of total value) and the
+     * rank the total would take among the other participants' totals
+     */
+    static summarize(state, leaderboard = []) {
+        const holdingsValue = state.holdings.reduce((sum, holding) => sum + holding.value, 0);
+        const totalValue = state.cash + holdingsValue;
+        const weight = (value) => totalValue > 0 ? (value / totalValue) * 100 : 0;
+
+        return {
+            cash: state.cash,
+            totalValue,
+            cashWeight: weight(state.cash),
+            holdings: Object.fromEntries(state.holdings.map(holding => [holding.symbol, {
+                quantity: holding.quantity,
+                averagePrice: holding.averagePrice,
+                weight: weight(holding.value)
+            }])),
+            rank: 1 + leaderboard.filter(value => value > totalValue).length,
+            participants: leaderboard.length + 1
+        };
+    }
+
+    /**
+     * Before/after rows for the comparison table: funds, total value, cash
+     * weight, each traded stock's quantity, average price and weight, and rank
+     */
+    getComparison() {
+        if (!this.baseline || !this.state) return [];
+
+        const before = TradeSimulator.summarize(this.baseline, this.leaderboard);
+        const after = TradeSimulator.summarize(this.state, this.leaderboard);
+        const currency = (value) => `₹${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        const percent = (value) => `${value.toFixed(2)}%`;
+
+        const rows = [
+            { label: 'Available funds', before: before.cash, after: after.cash, format: currency },
+            { label: 'Total value', before: before.totalValue, after: after.totalValue, format: currency },
+            { label: 'Cash allocation', before: before.cashWeight, after: after.cashWeight, format: percent }
+        ];
+
+        [...new Set(this.orders.map(order => order.symbol))].forEach(symbol => {
+            const was = before.holdings[symbol];
+            const now = after.holdings[symbol];
+            rows.push(
+                { label: `${symbol} quantity`, before: was?.quantity ?? 0, after: now?.quantity ?? 0, format: (value) => String(value) },
+                { label: `${symbol} average price`, before: was?.averagePrice ?? null, after: now?.averagePrice ?? null, format: currency },
+                { label: `${symbol} allocation`, before: was?.weight ?? 0, after: now?.weight ?? 0, format: percent }
+            );
+        });
+
+        if (this.leaderboard.length > 0) {
+            rows.push({
+                label: `Projected rank (of ${after.participants})`,
+                before: before.rank,
+                after: after.rank,
+                format: (value) => `#${value}`,
+                lowerIsBetter: true
+            });
+        }
+        return rows;
+    }
+
+    render() {
+        const container = document.getElementById('simulatorResults');
+        if (!container) return;
+
+        const emptyState = document.getElementById('simulatorEmpty');
+        if (emptyState) emptyState.style.display = this.baseline ? 'none' : '';
+
+        const options = document.getElementById('simulatorHoldings');
+        if (options) {
+            options.innerHTML = (this.baseline?.holdings || [])
+                .map(holding => `<option value="${this.escapeHtml(holding.symbol)}"></option>`)
+                .join('');
+        }
+
+        this.renderOrders();
+
+        if (this.orders.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="table table-sm simulator-table">
+                <thead>
+                    <tr><th scope="col"></th><th scope="col">Before</th><th scope="col">After</th><th scope="col">Change</th></tr>
+                </thead>
+                <tbody>
+                    ${this.getComparison().map(row => this.getRowHTML(row)).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    getRowHTML(row) {
+        const format = (value) => value === null ? '—' : row.format(value);
+        let change = '—';
+        let changeClass = '';
+        if (row.before !== null && row.after !== null) {
+            const delta = row.after - row.before;
+            if (Math.abs(delta) >= 0.005) {
+                const improved = row.lowerIsBetter ? delta < 0 : delta > 0;
+                changeClass = improved ? 'positive' : 'negative';
+                change = `${delta > 0 ? '+' : '-'}${row.format(Math.abs(delta)).replace('#', '')}`;
+            } else {
+                change = 'No change';
+            }
+        }
+
+        return `
+            <tr>
+                <th scope="row">${this.escapeHtml(row.label)}</th>
+                <td>${format(row.before)}</td>
+                <td>${format(row.after)}</td>
+                <td class="simulator-change ${changeClass}">${change}</td>
+            </tr>
+        `;
+    }
+
+    renderOrders() {
+        const list = document.getElementById('simulatorOrders');
+        if (!list) return;
+
+        list.innerHTML = this.orders.map(order => `
+            <li class="simulator-order ${order.side === 'BUY' ? 'buy' : 'sell'}">
+                ${order.side} ${order.quantity} ${this.escapeHtml(order.symbol)} @ ₹${order.price.toFixed(2)}
+                <span class="simulator-fees">charges ₹${order.fees.toFixed(2)}</span>
+            </li>
+        `).join('');
+    }
+
+    showError(message) {
+        const element = document.getElementById('simulatorError');
+        if (!element) return;
+
+        element.textContent = message;
+        element.style.display = message ? '' : 'none';
+    }
+
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the simulator when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('simulatorForm')) {
+        const dataManager = window.dashboard?.dataManager
+            || (window.DashboardDataManager ? new window.DashboardDataManager() : null);
+        if (!dataManager) return;
+
+        window.tradeSimulator = new TradeSimulator({
+            dataManager,
+            gameType: window.dashboard ? window.dashboard.getGameType() : '',
+            userId: window.dashboard ? window.dashboard.getCurrentUserId() : undefined
+        });
+        window.tradeSimulator.init();
+    }
+});
+
+window.TradeSimulator = TradeSimulator;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TradeSimulator;
+}
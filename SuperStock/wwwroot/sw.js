@@ -2,6 +2,9 @@
 // SERVICE WORKER - Offline capability and performance optimization
 // ==========================================================================
 
+// IndexedDB schema shared with the page
+self.importScripts('/js/offline-db.js');
+
 const CACHE_NAME = 'superstock-v1.0.0';
 const STATIC_CACHE = 'superstock-static-v1.0.0';
 const DYNAMIC_CACHE = 'superstock-dynamic-v1.0.0';
@@ -289,12 +292,17 @@ async function syncOfflineTrades() {
         
         for (const trade of offlineTrades) {
             try {
-                const response = await fetch('/api/PlaceOrder', {
+                const order = trade.data || trade;
+                // Every replay of a queued trade carries the same key, so a
+                // trade that reached the server before going offline is not filled twice
+                const idempotencyKey = trade.idempotencyKey || order.IdempotencyKey || `offline-trade-${trade.id}`;
+                const response = await fetch('/api/ExecuteOrder', {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json'
+                        'Content-Type': 'application/json',
+                        'Idempotency-Key': idempotencyKey
                     },
-                    body: JSON.stringify(trade)
+                    body: JSON.stringify({ ...order, IdempotencyKey: idempotencyKey })
                 });
                 
                 if (response.ok) {
@@ -303,6 +311,25 @@ async function syncOfflineTrades() {
                     
                     // Notify client
                     await notifyClient('trade-synced', { trade, success: true });
+                } else if (response.status === 409 || response.status === 422 || response.status === 400) {
+                    const rejection = await response.json().catch(() => null);
+                    
+                    // Limit not reached, market closed, no live price or still executing elsewhere: keep it for the next sync
+                    if (rejection?.errorCode === 'LIMIT_NOT_REACHED' ||
+                        rejection?.errorCode === 'MARKET_CLOSED' ||
+                        rejection?.errorCode === 'PRICE_UNAVAILABLE' ||
+                        (rejection?.errorCode === 'DUPLICATE_ORDER' && rejection.orderStatus !== 'FILLED')) {
+                        continue;
+                    }
+                    
+                    // Already filled by an earlier replay, or rejected for good
+                    await removeOfflineData('trades', trade.id);
+                    await notifyClient('trade-synced', {
+                        trade,
+                        success: rejection?.errorCode === 'DUPLICATE_ORDER',
+                        duplicate: rejection?.errorCode === 'DUPLICATE_ORDER',
+                        rejection
+                    });
                 }
             } catch (error) {
                 console.error('Failed to sync trade:', error);
@@ -420,43 +447,26 @@ async function clearAllCaches() {
 
 // Utility functions for IndexedDB operations
 async function getOfflineData(storeName) {
+    const db = await self.OfflineDb.open();
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('SuperStockOffline', 1);
-        
-        request.onerror = () => reject(request.error);
+        const transaction = db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        const getAllRequest = store.getAll();
         
-        request.onsuccess = () => {
-            const db = request.result;
-            const transaction = db.transaction([storeName], 'readonly');
-            const store = transaction.objectStore(storeName);
-            const getAllRequest = store.getAll();
-            
-            getAllRequest.onsuccess = () => resolve(getAllRequest.result);
-            getAllRequest.onerror = () => reject(getAllRequest.error);
-        };
-        
-        request.onupgradeneeded = () => {
-            const db = request.result;
-            if (!db.objectStoreNames.contains(storeName)) {
-                db.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
-            }
-        };
+        getAllRequest.onsuccess = () => resolve(getAllRequest.result);
+        getAllRequest.onerror = () => reject(getAllRequest.error);
     });
 }
 
 async function removeOfflineData(storeName, id) {
+    const db = await self.OfflineDb.open();
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('SuperStockOffline', 1);
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const deleteRequest = store.delete(id);
         
-        request.onsuccess = () => {
-            const db = request.result;
-            const transaction = db.transaction([storeName], 'readwrite');
-            const store = transaction.objectStore(storeName);
-            const deleteRequest = store.delete(id);
-            
-            deleteRequest.onsuccess = () => resolve();
-            deleteRequest.onerror = () => reject(deleteRequest.error);
-        };
+        deleteRequest.onsuccess = () => resolve();
+        deleteRequest.onerror = () => reject(deleteRequest.error);
     });
 }
 